@@ -7,6 +7,7 @@
     'use strict';
 
     const API_BASE = '/api/v1';
+    const FILE_UPLOAD_TYPES = ['pdf', 'jpg', 'png', 'docx', 'xlsx', 'pptx', 'txt'];
     let surveyData = {
         surveyId: null,
         title: '',
@@ -160,6 +161,7 @@
             // Render pages and questions
             if (data.pages && data.pages.length > 0) {
                 surveyData.pages = data.pages;
+                restorePageDisplayLogic(surveyData.pages);
                 updatePageTabs();
                 renderQuestions();
             }
@@ -393,6 +395,16 @@
                 return { canvasWidth: 400, canvasHeight: 200 };
             case 'HeroCover':
                 return { title: 'Welcome', subtitle: 'Please complete this survey' };
+            case 'NPS':
+                return { lowLabel: 'Not at all likely', highLabel: 'Extremely likely' };
+            case 'Ranking':
+                return { options: ['Item 1', 'Item 2', 'Item 3'] };
+            case 'Slider':
+                return { min: 0, max: 100, step: 1, minLabel: '', maxLabel: '' };
+            case 'Numeric':
+                return { min: null, max: null, allowDecimals: false, unit: '' };
+            case 'FileUpload':
+                return { allowedFileTypes: ['pdf', 'jpg', 'png'], maxSizeMB: 5 };
             default:
                 return {};
         }
@@ -691,8 +703,104 @@
                     </div>
                 `;
                 break;
+
+            case 'NPS':
+                html += `
+                    <div class="form-group">
+                        <label>Low Label (0)</label>
+                        <input type="text" class="form-control" id="prop-low-label" value="${escapeHtml(question.options.lowLabel || '')}">
+                    </div>
+                    <div class="form-group">
+                        <label>High Label (10)</label>
+                        <input type="text" class="form-control" id="prop-high-label" value="${escapeHtml(question.options.highLabel || '')}">
+                    </div>
+                    <small class="text-muted">0-6 detractor, 7-8 passive, 9-10 promoter</small>
+                `;
+                break;
+
+            case 'Ranking':
+                html += `
+                    <div class="form-group">
+                        <label>Items to Rank</label>
+                        <div id="options-list">
+                            ${(question.options.options || []).map((item, i) => `
+                                <div class="option-item">
+                                    <input type="text" class="form-control" value="${escapeHtml(item)}" data-option-index="${i}">
+                                    <button class="btn btn-sm btn-danger" onclick="window.SurveyBuilder.removeOption(${i})">×</button>
+                                </div>
+                            `).join('')}
+                        </div>
+                        <button class="btn btn-sm btn-secondary" id="add-option-btn">+ Add Item</button>
+                    </div>
+                `;
+                break;
+
+            case 'Slider':
+                html += `
+                    <div class="form-group">
+                        <label>Range</label>
+                        <div style="display: flex; gap: 10px;">
+                            <input type="number" class="form-control" id="prop-range-min" value="${question.options.min ?? 0}" placeholder="Min">
+                            <input type="number" class="form-control" id="prop-range-max" value="${question.options.max ?? 100}" placeholder="Max">
+                            <input type="number" class="form-control" id="prop-range-step" value="${question.options.step || 1}" placeholder="Step" min="0" step="any">
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label>Min Label</label>
+                        <input type="text" class="form-control" id="prop-min-label" value="${escapeHtml(question.options.minLabel || '')}">
+                    </div>
+                    <div class="form-group">
+                        <label>Max Label</label>
+                        <input type="text" class="form-control" id="prop-max-label" value="${escapeHtml(question.options.maxLabel || '')}">
+                    </div>
+                `;
+                break;
+
+            case 'Numeric':
+                html += `
+                    <div class="form-group">
+                        <label>Allowed Range</label>
+                        <div style="display: flex; gap: 10px;">
+                            <input type="number" class="form-control" id="prop-range-min" value="${question.options.min ?? ''}" placeholder="Min (optional)">
+                            <input type="number" class="form-control" id="prop-range-max" value="${question.options.max ?? ''}" placeholder="Max (optional)">
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label>
+                            <input type="checkbox" id="prop-allow-decimals" ${question.options.allowDecimals ? 'checked' : ''}> Allow decimals
+                        </label>
+                    </div>
+                    <div class="form-group">
+                        <label>Unit</label>
+                        <input type="text" class="form-control" id="prop-unit" value="${escapeHtml(question.options.unit || '')}" placeholder="e.g. hours, Rp">
+                    </div>
+                `;
+                break;
+
+            case 'FileUpload':
+                html += `
+                    <div class="form-group">
+                        <label>Allowed File Types</label>
+                        <div>
+                            ${FILE_UPLOAD_TYPES.map(type => `
+                                <label style="margin-right: 10px;">
+                                    <input type="checkbox" data-file-type="${type}" ${(question.options.allowedFileTypes || []).includes(type) ? 'checked' : ''}> ${type}
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label>Max File Size (MB)</label>
+                        <input type="number" class="form-control" id="prop-max-size" value="${question.options.maxSizeMB || 5}" min="1">
+                    </div>
+                `;
+                break;
         }
 
+        const sourceQuestions = getLogicSourceQuestions(currentPage, index);
+        html += renderDisplayLogicEditor('question-logic', 'Display Logic', question.options.displayLogic, sourceQuestions);
+        html += renderDisplayLogicEditor('page-logic', `Page ${currentPage} Display Logic`, currentPageData.displayLogic, getLogicSourceQuestions(currentPage, 0));
+
         html += `
             <div class="form-actions">
                 <button class="btn btn-primary" id="save-properties-btn">Save Properties</button>
@@ -701,6 +809,9 @@
 
         panel.innerHTML = html;
 
+        attachDisplayLogicListeners('question-logic', sourceQuestions);
+        attachDisplayLogicListeners('page-logic', getLogicSourceQuestions(currentPage, 0));
+
         // Attach event listeners
         document.getElementById('save-properties-btn').addEventListener('click', () => saveProperties(index));
         
@@ -779,12 +890,228 @@
                 question.options.title = document.getElementById('prop-hero-title').value;
                 question.options.subtitle = document.getElementById('prop-hero-subtitle').value;
                 break;
+
+            case 'NPS':
+                question.options.lowLabel = document.getElementById('prop-low-label').value;
+                question.options.highLabel = document.getElementById('prop-high-label').value;
+                break;
+
+            case 'Ranking':
+                question.options.options = Array.from(document.querySelectorAll('[data-option-index]'))
+                    .map(input => input.value);
+                break;
+
+            case 'Slider':
+                question.options.min = parseFloat(document.getElementById('prop-range-min').value) || 0;
+                question.options.max = parseFloat(document.getElementById('prop-range-max').value) || 100;
+                question.options.step = parseFloat(document.getElementById('prop-range-step').value) || 1;
+                question.options.minLabel = document.getElementById('prop-min-label').value;
+                question.options.maxLabel = document.getElementById('prop-max-label').value;
+                break;
+
+            case 'Numeric': {
+                const min = document.getElementById('prop-range-min').value;
+                const max = document.getElementById('prop-range-max').value;
+                question.options.min = min === '' ? null : parseFloat(min);
+                question.options.max = max === '' ? null : parseFloat(max);
+                question.options.allowDecimals = document.getElementById('prop-allow-decimals').checked;
+                question.options.unit = document.getElementById('prop-unit').value;
+                break;
+            }
+
+            case 'FileUpload':
+                question.options.allowedFileTypes = Array.from(document.querySelectorAll('[data-file-type]:checked'))
+                    .map(input => input.dataset.fileType);
+                question.options.maxSizeMB = parseInt(document.getElementById('prop-max-size').value) || 5;
+                break;
+        }
+
+        const displayLogic = readDisplayLogicEditor('question-logic');
+        if (displayLogic) {
+            question.options.displayLogic = displayLogic;
+        } else {
+            delete question.options.displayLogic;
         }
+        currentPageData.displayLogic = readDisplayLogicEditor('page-logic');
+        applyPageDisplayLogic(currentPageData);
 
         renderQuestions();
         showSuccess('Properties saved');
     }
 
+    // Display logic
+    const LOGIC_OPERATORS = [
+        { value: 'equals', label: 'equals' },
+        { value: 'not_equals', label: 'does not equal' },
+        { value: 'in', label: 'is any of' },
+        { value: 'not_in', label: 'is none of' },
+        { value: 'contains', label: 'contains' },
+        { value: 'between', label: 'is between (min,max)' },
+        { value: 'gte', label: 'is at least' },
+        { value: 'lte', label: 'is at most' },
+        { value: 'answered', label: 'is answered' },
+        { value: 'not_answered', label: 'is not answered' }
+    ];
+    const APPLICATION_SOURCE = '__application__';
+
+    function getLogicSourceQuestions(pageNumber, questionIndex) {
+        const sources = [];
+        surveyData.pages
+            .slice()
+            .sort((a, b) => a.pageNumber - b.pageNumber)
+            .forEach(page => {
+                if (page.pageNumber > pageNumber) return;
+                page.questions.forEach((question, index) => {
+                    if (page.pageNumber === pageNumber && index >= questionIndex) return;
+                    if (question.type === 'HeroCover') return;
+                    sources.push(question);
+                });
+            });
+        return sources;
+    }
+
+    function renderLogicConditionRow(prefix, condition, sourceQuestions) {
+        const current = condition || {};
+        const sourceValue = current.source === 'application' ? APPLICATION_SOURCE : (current.sourceQuestionId || '');
+        const operators = sourceValue === APPLICATION_SOURCE
+            ? LOGIC_OPERATORS.filter(op => op.value === 'in' || op.value === 'not_in')
+            : LOGIC_OPERATORS;
+        let valueText = '';
+        if (current.operator === 'between') {
+            valueText = [current.min, current.max].filter(v => v !== undefined && v !== null).join(',');
+        } else if (Array.isArray(current.values)) {
+            valueText = current.values.join(', ');
+        } else if (current.value !== undefined && current.value !== null) {
+            valueText = String(current.value);
+        }
+
+        return `
+            <div class="logic-condition" data-logic-condition="${prefix}">
+                <select class="form-control" data-logic-source>
+                    <option value="">-- Source --</option>
+                    ${sourceQuestions.map(q => `
+                        <option value="${escapeHtml(q.questionId)}" ${sourceValue === q.questionId ? 'selected' : ''}>${escapeHtml(q.promptText)}</option>
+                    `).join('')}
+                    <option value="${APPLICATION_SOURCE}" ${sourceValue === APPLICATION_SOURCE ? 'selected' : ''}>Selected application</option>
+                </select>
+                <select class="form-control" data-logic-operator>
+                    ${operators.map(op => `
+                        <option value="${op.value}" ${current.operator === op.value ? 'selected' : ''}>${op.label}</option>
+                    `).join('')}
+                </select>
+                <input type="text" class="form-control" data-logic-value value="${escapeHtml(valueText)}" placeholder="Value(s), comma separated">
+                <button type="button" class="btn btn-sm btn-danger" data-logic-remove>×</button>
+            </div>
+        `;
+    }
+
+    function renderDisplayLogicEditor(prefix, title, rule, sourceQuestions) {
+        const current = rule || { action: 'show', match: 'all', conditions: [] };
+        return `
+            <div class="form-group display-logic" id="${prefix}">
+                <label>${escapeHtml(title)}</label>
+                <div class="logic-header">
+                    <select class="form-control" id="${prefix}-action">
+                        <option value="show" ${current.action !== 'hide' ? 'selected' : ''}>Show when</option>
+                        <option value="hide" ${current.action === 'hide' ? 'selected' : ''}>Hide when</option>
+                    </select>
+                    <select class="form-control" id="${prefix}-match">
+                        <option value="all" ${current.match !== 'any' ? 'selected' : ''}>all conditions match</option>
+                        <option value="any" ${current.match === 'any' ? 'selected' : ''}>any condition matches</option>
+                    </select>
+                </div>
+                <div id="${prefix}-conditions">
+                    ${(current.conditions || []).map(condition => renderLogicConditionRow(prefix, condition, sourceQuestions)).join('')}
+                </div>
+                <button type="button" class="btn btn-sm btn-secondary" id="${prefix}-add">+ Add Condition</button>
+                <small class="text-muted">Leave empty to always show.</small>
+            </div>
+        `;
+    }
+
+    function attachDisplayLogicListeners(prefix, sourceQuestions) {
+        const container = document.getElementById(`${prefix}-conditions`);
+        const addButton = document.getElementById(`${prefix}-add`);
+        if (!container || !addButton) return;
+
+        addButton.addEventListener('click', () => {
+            container.insertAdjacentHTML('beforeend', renderLogicConditionRow(prefix, null, sourceQuestions));
+        });
+
+        container.addEventListener('click', (e) => {
+            if (e.target.matches('[data-logic-remove]')) {
+                e.target.closest('.logic-condition').remove();
+            }
+        });
+
+        container.addEventListener('change', (e) => {
+            if (!e.target.matches('[data-logic-source]')) return;
+            const row = e.target.closest('.logic-condition');
+            const condition = readLogicConditionRow(row) || {};
+            row.outerHTML = renderLogicConditionRow(prefix, condition, sourceQuestions);
+        });
+    }
+
+    function readLogicConditionRow(row) {
+        const source = row.querySelector('[data-logic-source]').value;
+        const operator = row.querySelector('[data-logic-operator]').value;
+        const rawValue = row.querySelector('[data-logic-value]').value.trim();
+        const values = rawValue.split(',').map(item => item.trim()).filter(Boolean);
+        if (!source) return null;
+
+        if (source === APPLICATION_SOURCE) {
+            return {
+                source: 'application',
+                operator: operator === 'not_in' ? 'not_in' : 'in',
+                values
+            };
+        }
+
+        const condition = { source: 'question', sourceQuestionId: source, operator };
+        if (operator === 'between') {
+            condition.min = values[0] !== undefined ? Number(values[0]) : null;
+            condition.max = values[1] !== undefined ? Number(values[1]) : null;
+        } else if (operator === 'gte' || operator === 'lte') {
+            condition.value = values[0] !== undefined ? Number(values[0]) : null;
+        } else if (operator !== 'answered' && operator !== 'not_answered') {
+            condition.values = values;
+        }
+        return condition;
+    }
+
+    function readDisplayLogicEditor(prefix) {
+        const container = document.getElementById(`${prefix}-conditions`);
+        if (!container) return null;
+
+        const conditions = Array.from(container.querySelectorAll('.logic-condition'))
+            .map(readLogicConditionRow)
+            .filter(Boolean);
+        if (conditions.length === 0) return null;
+
+        return {
+            action: document.getElementById(`${prefix}-action`).value,
+            match: document.getElementById(`${prefix}-match`).value,
+            conditions
+        };
+    }
+
+    function applyPageDisplayLogic(page) {
+        page.questions.forEach(question => {
+            if (page.displayLogic) {
+                question.options.pageDisplayLogic = page.displayLogic;
+            } else {
+                delete question.options.pageDisplayLogic;
+            }
+        });
+    }
+
+    function restorePageDisplayLogic(pages) {
+        pages.forEach(page => {
+            const withLogic = (page.questions || []).find(q => q.options && q.options.pageDisplayLogic);
+            page.displayLogic = withLogic ? withLogic.options.pageDisplayLogic : null;
+        });
+    }
+
     function addOption(index) {
         const currentPageData = surveyData.pages.find(p => p.pageNumber === currentPage);
         if (!currentPageData) return;
@@ -793,6 +1120,8 @@
 
         if (question.type === 'Dropdown') {
             question.options.dropdownOptions.push('New Option');
+        } else if (question.type === 'Ranking') {
+            question.options.options.push('New Item');
         } else {
             question.options.choices.push('New Option');
         }
@@ -808,6 +1137,8 @@
 
         if (question.type === 'Dropdown') {
             question.options.dropdownOptions.splice(optionIndex, 1);
+        } else if (question.type === 'Ranking') {
+            question.options.options.splice(optionIndex, 1);
         } else {
             question.options.choices.splice(optionIndex, 1);
             if (question.options.choiceImages && question.options.choiceImages[optionIndex]) {
@@ -929,6 +1260,8 @@
             ? `${API_BASE}/surveys/${surveyData.surveyId}`
             : `${API_BASE}/surveys`;
 
+        surveyData.pages.forEach(applyPageDisplayLogic);
+
         const payload = {
             ...surveyData,
             status: publish ? 'Active' : 'Draft'
@@ -1088,6 +1421,50 @@
                         <p>${escapeHtml(question.options.subtitle || '')}</p>
                     </div>
                 `;
+
+            case 'NPS':
+                return `
+                    <div style="display: flex; gap: 5px; align-items: center;">
+                        <span>${escapeHtml(question.options.lowLabel || '')}</span>
+                        ${Array.from({length: 11}, (_, i) =>
+                            `<button style="padding: 5px 10px; border: 1px solid #ccc; border-radius: 4px;">${i}</button>`
+                        ).join('')}
+                        <span>${escapeHtml(question.options.highLabel || '')}</span>
+                    </div>
+                `;
+
+            case 'Ranking':
+                return `
+                    <ol style="padding-left: 20px;">
+                        ${(question.options.options || []).map(item => `
+                            <li style="margin: 5px 0; padding: 5px; border: 1px solid #ccc; border-radius: 4px; cursor: grab;">${escapeHtml(item)}</li>
+                        `).join('')}
+                    </ol>
+                `;
+
+            case 'Slider':
+                return `
+                    <input type="range" style="width: 100%;" min="${question.options.min}" max="${question.options.max}" step="${question.options.step}">
+                    <div style="display: flex; justify-content: space-between;">
+                        <span>${escapeHtml(question.options.minLabel || String(question.options.min))}</span>
+                        <span>${escapeHtml(question.options.maxLabel || String(question.options.max))}</span>
+                    </div>
+                `;
+
+            case 'Numeric':
+                return `<input type="number" style="padding: 8px; border: 1px solid #ccc; border-radius: 4px;" placeholder="0"> ${escapeHtml(question.options.unit || '')}`;
+
+            case 'Email':
+                return '<input type="email" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;" placeholder="name@company.com">';
+
+            case 'Phone':
+                return '<input type="tel" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;" placeholder="08xxxxxxxxxx">';
+
+            case 'FileUpload':
+                return `
+                    <input type="file">
+                    <small>Max ${question.options.maxSizeMB || 5}MB (${escapeHtml((question.options.allowedFileTypes || []).join(', '))})</small>
+                `;
             
             default:
                 return '<p>Preview not available for this question type</p>';
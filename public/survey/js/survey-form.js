@@ -9,6 +9,12 @@ const SurveyApp = (function() {
     // Application state
     const state = {
         surveyId: null,
+        shortLinkCode: null,
+        resumeToken: null,
+        editToken: null,
+        invitationToken: null,
+        emailLogId: null,
+        locale: null,
         survey: null,
         currentPage: 0,
         totalPages: 0,
@@ -32,10 +38,136 @@ const SurveyApp = (function() {
         signatureCanvas: null,
         signatureContext: null,
         currentSignatureQuestionId: null,
-        isDrawing: false
+        isDrawing: false,
+        kiosk: null,
+        kioskSyncing: false,
+        kioskSyncTimer: null,
+        kioskResetTimer: null,
+        emailVerification: null
     };
 
     const API_BASE_URL = '/api/v1';
+    const LOCALE_STORAGE_KEY = 'csi.surveyLocale';
+    const KIOSK_TOKEN_STORAGE_KEY = 'csi.kioskToken';
+    const KIOSK_QUEUE_STORAGE_KEY = 'csi.kioskQueue';
+    const KIOSK_CACHE_PREFIX = 'csi.kioskCache.';
+    const KIOSK_SYNC_INTERVAL_MS = 30000;
+    const KIOSK_BATCH_SIZE = 50;
+
+    const LOCALE_NAMES = {
+        id: 'Bahasa Indonesia',
+        en: 'English'
+    };
+
+    // Page texts per language; Indonesian comes from the page markup itself
+    const PAGE_TEXT = {
+        en: {
+            loading: 'Loading survey...',
+            errorTitle: 'Something Went Wrong',
+            reload: 'Reload',
+            language: 'Language',
+            of: 'of',
+            previous: '← Previous',
+            next: 'Next →',
+            saveDraft: 'Save &amp; Continue Later',
+            submit: 'Submit Survey',
+            submitting: 'Submitting...',
+            thankYou: 'Thank You!',
+            submitted: 'Your survey has been submitted successfully.',
+            successMessage: 'Your feedback is very valuable to help us improve our IT services.',
+            signature: 'Signature',
+            clear: 'Clear',
+            save: 'Save',
+            kioskPending: 'responses waiting to sync',
+            kioskRevoked: 'This kiosk device has been revoked. Contact the event admin.',
+            verificationEmailPrompt: 'This survey requires a verified email. Enter your email address:',
+            verificationCodePrompt: 'Enter the 6-digit verification code sent to',
+            verificationResendHint: 'leave empty to send a new code',
+            updated: 'Your answers have been updated successfully.',
+            editLinkHint: 'Need to fix an answer? Keep this link to change your answers until the survey closes or review starts.',
+            emailEditLink: 'Email Me This Link',
+            editEmailPrompt: 'Enter your email address to receive the edit link:'
+        }
+    };
+
+    function pageText(key, fallback) {
+        return (PAGE_TEXT[state.locale] || {})[key] || fallback;
+    }
+
+    /**
+     * Apply the respondent language to the static page texts and the renderer
+     */
+    function applyPageLocale() {
+        document.documentElement.lang = state.locale || 'id';
+        SurveyRenderer.setLocale(state.locale);
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            if (element.dataset.i18nDefault === undefined) {
+                element.dataset.i18nDefault = element.innerHTML.trim();
+            }
+            element.innerHTML = pageText(element.dataset.i18n, element.dataset.i18nDefault);
+        });
+    }
+
+    function readStoredLocale() {
+        try {
+            return localStorage.getItem(LOCALE_STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function storeLocale(locale) {
+        try {
+            localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+        } catch (error) {
+            console.warn('Unable to store survey language:', error);
+        }
+    }
+
+    /**
+     * Show the language selector when the event is available in more than one language
+     */
+    function renderLanguageSwitcher() {
+        const switcher = document.getElementById('language-switcher');
+        const select = document.getElementById('language-select');
+        if (!switcher || !select) return;
+
+        const locales = Array.isArray(state.survey.availableLocales) ? state.survey.availableLocales : [];
+        if (locales.length < 2) {
+            switcher.style.display = 'none';
+            return;
+        }
+
+        select.innerHTML = locales
+            .map(locale => `<option value="${locale}">${LOCALE_NAMES[locale] || locale.toUpperCase()}</option>`)
+            .join('');
+        select.value = state.locale;
+        switcher.style.display = 'flex';
+    }
+
+    /**
+     * Reload the form in another language, keeping the answers given so far
+     */
+    async function switchLanguage(locale) {
+        if (!locale || locale === state.locale) return;
+
+        saveCurrentPageData();
+        const currentPage = state.currentPage;
+        state.locale = locale;
+        storeLocale(locale);
+
+        try {
+            await loadSurveyData();
+            buildPageStructure();
+            state.currentPage = Math.min(currentPage, Math.max(state.totalPages - 1, 0));
+            applyPageLocale();
+            renderLanguageSwitcher();
+            await renderCurrentPage();
+        } catch (error) {
+            console.error('Language switch error:', error);
+            showError(error.message || 'Gagal memuat survey. Silakan coba lagi.');
+        }
+    }
 
     function showNotice(title, message) {
         const modal = document.getElementById('notice-modal');
@@ -117,11 +249,84 @@ const SurveyApp = (function() {
             return normalized;
         }
 
+        if (question.type === 'NPS') {
+            normalized.options = {
+                lowLabel: String(options.lowLabel || ''),
+                highLabel: String(options.highLabel || ''),
+                displayCondition: String(options.displayCondition || 'always')
+            };
+            normalized.pageTitle = String(options.pageTitle || '').trim();
+            return normalized;
+        }
+
+        if (question.type === 'Ranking') {
+            normalized.options = {
+                rankingItems: Array.isArray(options.options) ? options.options.map(item => String(item)) : [],
+                displayCondition: String(options.displayCondition || 'always')
+            };
+            normalized.pageTitle = String(options.pageTitle || '').trim();
+            return normalized;
+        }
+
+        if (question.type === 'Slider') {
+            const min = toOptionalNumber(options.min) ?? 0;
+            const max = toOptionalNumber(options.max) ?? 100;
+            normalized.options = {
+                min,
+                max: max > min ? max : min + 1,
+                step: Number(options.step) > 0 ? Number(options.step) : 1,
+                minLabel: String(options.minLabel || ''),
+                maxLabel: String(options.maxLabel || ''),
+                displayCondition: String(options.displayCondition || 'always')
+            };
+            normalized.pageTitle = String(options.pageTitle || '').trim();
+            return normalized;
+        }
+
+        if (question.type === 'Numeric') {
+            normalized.options = {
+                min: toOptionalNumber(options.min),
+                max: toOptionalNumber(options.max),
+                allowDecimals: options.allowDecimals === true,
+                unit: String(options.unit || ''),
+                displayCondition: String(options.displayCondition || 'always')
+            };
+            normalized.pageTitle = String(options.pageTitle || '').trim();
+            return normalized;
+        }
+
+        if (question.type === 'FileUpload') {
+            normalized.options = {
+                allowedFileTypes: Array.isArray(options.allowedFileTypes) ? options.allowedFileTypes.map(type => String(type)) : [],
+                maxSizeMB: Number(options.maxSizeMB) > 0 ? Number(options.maxSizeMB) : 5,
+                displayCondition: String(options.displayCondition || 'always')
+            };
+            normalized.pageTitle = String(options.pageTitle || '').trim();
+            return normalized;
+        }
+
         normalized.options = options;
         normalized.pageTitle = String(options.pageTitle || '').trim();
         return normalized;
     }
 
+    function withDisplayLogic(normalized, question) {
+        const options = question.options || {};
+        if (options.displayLogic) {
+            normalized.options.displayLogic = options.displayLogic;
+        }
+        if (options.pageDisplayLogic) {
+            normalized.options.pageDisplayLogic = options.pageDisplayLogic;
+        }
+        return normalized;
+    }
+
+    function toOptionalNumber(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
     function normalizeDataSource(value) {
         const source = String(value || 'manual').toLowerCase();
         if (
@@ -177,7 +382,7 @@ const SurveyApp = (function() {
         }
 
         try {
-            const response = await fetch(`${API_BASE_URL}/responses/survey/${state.surveyId}/applications?departmentId=${departmentId}`);
+            const response = await fetchFormResource(`${API_BASE_URL}/responses/survey/${state.surveyId}/applications?departmentId=${departmentId}`);
             if (!response.ok) return [];
             const payload = await response.json();
             const apps = Array.isArray(payload.applications)
@@ -201,7 +406,7 @@ const SurveyApp = (function() {
         }
 
         try {
-            const response = await fetch(`${API_BASE_URL}/responses/survey/${state.surveyId}/applications?functionId=${functionId}`);
+            const response = await fetchFormResource(`${API_BASE_URL}/responses/survey/${state.surveyId}/applications?functionId=${functionId}`);
             if (!response.ok) return [];
             const payload = await response.json();
             const apps = Array.isArray(payload.applications)
@@ -219,7 +424,7 @@ const SurveyApp = (function() {
     }
 
     async function initializeApplicationContext() {
-        const response = await fetch(`${API_BASE_URL}/responses/survey/${state.surveyId}/applications`);
+        const response = await fetchFormResource(`${API_BASE_URL}/responses/survey/${state.surveyId}/applications`);
         if (!response.ok) {
             throw new Error('Gagal memuat aplikasi survey');
         }
@@ -241,10 +446,10 @@ const SurveyApp = (function() {
     async function initializeMasterData() {
         try {
             const [buResponse, divisionResponse, departmentResponse, functionResponse] = await Promise.all([
-                fetch(`${API_BASE_URL}/public/business-units`),
-                fetch(`${API_BASE_URL}/public/divisions`),
-                fetch(`${API_BASE_URL}/public/departments`),
-                fetch(`${API_BASE_URL}/public/functions`)
+                fetchFormResource(`${API_BASE_URL}/public/business-units`),
+                fetchFormResource(`${API_BASE_URL}/public/divisions`),
+                fetchFormResource(`${API_BASE_URL}/public/departments`),
+                fetchFormResource(`${API_BASE_URL}/public/functions`)
             ]);
 
             if (!buResponse.ok) {
@@ -386,6 +591,229 @@ const SurveyApp = (function() {
         });
     }
 
+    function normalizeLogicRef(value) {
+        const raw = String(value || '').trim();
+        if (raw.toLowerCase().startsWith('q-')) {
+            return raw.slice(2);
+        }
+        return raw;
+    }
+
+    function getAllQuestions() {
+        return state.pages
+            .filter(page => page.type === 'questions')
+            .flatMap(page => page.data.questions);
+    }
+
+    function readNumericInputValue(questionId, questionType) {
+        const input = document.getElementById(`question-${questionId}`);
+        if (!input || String(input.value).trim() === '') return null;
+        if (questionType === 'Slider' && input.dataset.answered !== 'true') return null;
+        const value = Number(input.value);
+        return Number.isFinite(value) ? value : null;
+    }
+
+    function readRankingValues(questionId) {
+        const list = document.getElementById(`question-${questionId}`);
+        if (!list || list.dataset.answered !== 'true') return null;
+        const matrixValues = {};
+        list.querySelectorAll('.ranking-item').forEach((item, index) => {
+            matrixValues[item.dataset.value] = index + 1;
+        });
+        return Object.keys(matrixValues).length > 0 ? matrixValues : null;
+    }
+
+    function readLogicAnswerFromDom(questionId, questionType) {
+        const questionEl = document.querySelector(`.question-item[data-question-id="${questionId}"]`);
+        if (!questionEl) return undefined;
+
+        switch (questionType) {
+            case 'MultipleChoice':
+            case 'Rating': {
+                const checked = document.querySelector(`input[name="question-${questionId}"]:checked`);
+                if (!checked) return null;
+                return questionType === 'Rating'
+                    ? { numericValue: Number(checked.value) }
+                    : { textValue: checked.value };
+            }
+            case 'Checkbox': {
+                const checked = Array.from(document.querySelectorAll(`input[name="question-${questionId}"]:checked`));
+                return checked.length > 0 ? { textValue: checked.map(cb => cb.value).join(', ') } : null;
+            }
+            case 'MatrixLikert': {
+                const matrixValues = {};
+                questionEl.querySelectorAll('.matrix-table tbody tr input[type="radio"]:checked').forEach(radio => {
+                    matrixValues[radio.dataset.row] = Number(radio.value);
+                });
+                return Object.keys(matrixValues).length > 0 ? { matrixValues } : null;
+            }
+            case 'Date': {
+                const input = document.getElementById(`question-${questionId}`);
+                return input && input.value ? { dateValue: input.value } : null;
+            }
+            case 'NPS': {
+                const checked = document.querySelector(`input[name="question-${questionId}"]:checked`);
+                return checked ? { numericValue: Number(checked.value) } : null;
+            }
+            case 'Slider':
+            case 'Numeric': {
+                const numericValue = readNumericInputValue(questionId, questionType);
+                return numericValue !== null ? { numericValue } : null;
+            }
+            case 'Ranking': {
+                const matrixValues = readRankingValues(questionId);
+                return matrixValues ? { matrixValues } : null;
+            }
+            default: {
+                const input = document.getElementById(`question-${questionId}`);
+                return input && typeof input.value === 'string' && input.value.trim()
+                    ? { textValue: input.value.trim() }
+                    : null;
+            }
+        }
+    }
+
+    function getLogicAnswer(question) {
+        const fromDom = readLogicAnswerFromDom(question.questionId, question.type);
+        if (fromDom !== undefined) return fromDom;
+
+        for (const applicationId of Object.keys(state.responses)) {
+            const saved = (state.responses[applicationId] || [])
+                .find(item => normalizeLogicRef(item.questionId) === normalizeLogicRef(question.questionId));
+            if (saved && saved.value) return saved.value;
+        }
+        return null;
+    }
+
+    function hasLogicAnswer(value) {
+        if (!value) return false;
+        if (value.matrixValues) return Object.keys(value.matrixValues).length > 0;
+        if (value.numericValue !== undefined && value.numericValue !== null) return Number.isFinite(Number(value.numericValue));
+        if (value.dateValue) return true;
+        return String(value.textValue || '').trim().length > 0;
+    }
+
+    function getLogicNumericValue(value) {
+        if (!value) return null;
+        const numeric = Number(value.numericValue);
+        if (value.numericValue !== undefined && value.numericValue !== null && Number.isFinite(numeric)) return numeric;
+        const fromText = Number(String(value.textValue || '').trim());
+        if (String(value.textValue || '').trim() && Number.isFinite(fromText)) return fromText;
+        if (value.matrixValues) {
+            const scores = Object.values(value.matrixValues).map(Number).filter(item => Number.isFinite(item) && item > 0);
+            if (scores.length > 0) return scores.reduce((sum, item) => sum + item, 0) / scores.length;
+        }
+        return null;
+    }
+
+    function evaluateLogicCondition(condition, hiddenQuestionIds, questionMap) {
+        const expected = (Array.isArray(condition.values) ? condition.values : (condition.value !== undefined && condition.value !== null ? [condition.value] : []))
+            .map(item => String(item).trim().toLowerCase())
+            .filter(Boolean);
+
+        if (condition.source === 'application') {
+            const selected = resolveSelectedApplicationIds().map(id => String(id || '').trim().toLowerCase());
+            const matched = selected.some(id => expected.includes(id));
+            return condition.operator === 'not_in' ? !matched : matched;
+        }
+
+        const sourceId = normalizeLogicRef(condition.sourceQuestionId);
+        if (!sourceId) return true;
+        const sourceQuestion = questionMap.get(sourceId);
+        const value = sourceQuestion && !hiddenQuestionIds.has(sourceId) ? getLogicAnswer(sourceQuestion) : null;
+        const answered = hasLogicAnswer(value);
+        const numeric = getLogicNumericValue(value);
+
+        switch (condition.operator) {
+            case 'answered':
+                return answered;
+            case 'not_answered':
+                return !answered;
+            case 'between':
+            case 'gte':
+            case 'lte': {
+                if (!answered || numeric === null) return false;
+                const min = condition.operator === 'lte' ? -Infinity : Number(condition.min ?? condition.value);
+                const max = condition.operator === 'gte' ? Infinity : Number(condition.max ?? condition.value);
+                return (!Number.isFinite(min) || numeric >= min) && (!Number.isFinite(max) || numeric <= max);
+            }
+            case 'equals':
+            case 'not_equals':
+            case 'contains':
+            case 'in':
+            case 'not_in': {
+                const textValues = String((value && value.textValue) || '')
+                    .split(',')
+                    .map(item => item.trim().toLowerCase())
+                    .filter(Boolean);
+                const selected = !answered ? [] : (textValues.length > 0 ? textValues : (numeric !== null ? [String(numeric)] : []));
+                const isEqual = answered && selected.length === expected.length && expected.every(item => selected.includes(item));
+                if (condition.operator === 'equals') return isEqual;
+                if (condition.operator === 'not_equals') return !isEqual;
+                const matched = selected.some(item => expected.includes(item));
+                return condition.operator === 'not_in' ? !matched : matched;
+            }
+            default:
+                return true;
+        }
+    }
+
+    function evaluateLogicRule(rule, hiddenQuestionIds, questionMap) {
+        if (!rule || !Array.isArray(rule.conditions) || rule.conditions.length === 0) return true;
+        const results = rule.conditions.map(condition =>
+            !condition || typeof condition !== 'object' ? true : evaluateLogicCondition(condition, hiddenQuestionIds, questionMap)
+        );
+        const matched = String(rule.match || 'all').toLowerCase() === 'any'
+            ? results.some(Boolean)
+            : results.every(Boolean);
+        return String(rule.action || 'show').toLowerCase() === 'hide' ? !matched : matched;
+    }
+
+    /**
+     * Resolve hidden questions from display logic rules, in page/display order.
+     * Mirrors response-service/display-logic.js so the server accepts the same answers.
+     */
+    function resolveHiddenQuestionIds() {
+        const hiddenQuestionIds = new Set();
+        const questions = getAllQuestions();
+        const questionMap = new Map(questions.map(question => [normalizeLogicRef(question.questionId), question]));
+
+        questions.forEach(question => {
+            const options = question.options || {};
+            const visible = evaluateLogicRule(options.pageDisplayLogic, hiddenQuestionIds, questionMap) &&
+                evaluateLogicRule(options.displayLogic, hiddenQuestionIds, questionMap);
+            if (!visible) {
+                hiddenQuestionIds.add(normalizeLogicRef(question.questionId));
+            }
+        });
+
+        return hiddenQuestionIds;
+    }
+
+    function applyDisplayLogic() {
+        const hiddenQuestionIds = resolveHiddenQuestionIds();
+        document.querySelectorAll('#survey-content .question-item').forEach(questionEl => {
+            const isHidden = hiddenQuestionIds.has(normalizeLogicRef(questionEl.dataset.questionId));
+            questionEl.style.display = isHidden ? 'none' : '';
+            questionEl.dataset.logicHidden = isHidden ? 'true' : 'false';
+        });
+        return hiddenQuestionIds;
+    }
+
+    function isPageVisible(pageIndex, hiddenQuestionIds) {
+        const page = state.pages[pageIndex];
+        if (!page || page.type !== 'questions') return Boolean(page);
+        return page.data.questions.some(question => !hiddenQuestionIds.has(normalizeLogicRef(question.questionId)));
+    }
+
+    function findVisiblePageIndex(fromIndex, step) {
+        const hiddenQuestionIds = resolveHiddenQuestionIds();
+        for (let index = fromIndex; index >= 0 && index < state.pages.length; index += step) {
+            if (isPageVisible(index, hiddenQuestionIds)) return index;
+        }
+        return -1;
+    }
+
     function sanitizeIdentityValue(value, maxLength) {
         const raw = String(value || '').trim();
         if (!raw) return '';
@@ -454,6 +882,10 @@ const SurveyApp = (function() {
             // Get survey ID from URL parameter
             const urlParams = new URLSearchParams(window.location.search);
             state.surveyId = urlParams.get('id');
+            state.shortLinkCode = urlParams.get('ref') || null;
+            state.resumeToken = urlParams.get('resume') || null;
+            state.editToken = urlParams.get('edit') || null;
+            state.locale = urlParams.get('lang') || readStoredLocale() || null;
             state.respondentData = {
                 name: sanitizeIdentityValue(urlParams.get('respondentName') || urlParams.get('name'), 200),
                 email: normalizeEmail(urlParams.get('respondentEmail') || urlParams.get('email'))
@@ -464,18 +896,40 @@ const SurveyApp = (function() {
                 return;
             }
 
+            // Booth devices run the form in kiosk mode
+            await initializeKiosk(urlParams);
+
+            // Personal invitation links lock the respondent identity
+            await loadInvitation(urlParams.get('invite'));
+
+            // Tracked email links report that the form was started
+            state.emailLogId = urlParams.get('eml') || null;
+            trackEmailStart();
+
             // Fetch survey data
             await loadSurveyData();
+            applyPageLocale();
+            renderLanguageSwitcher();
             await initializeApplicationContext();
             await initializeMasterData();
             // Build page structure
             buildPageStructure();
 
+            // Edit links reopen a submitted response; otherwise restore a saved draft
+            // (resume link or this browser's last draft)
+            if (state.editToken && !state.kiosk) {
+                await loadEditableSubmission();
+            } else if (!state.kiosk) {
+                state.editToken = null;
+                await restoreDraft();
+            }
+
             // Render first page
             await renderCurrentPage();
 
             // Attach event listeners
             attachEventListeners();
+            startKioskMode();
 
             // Hide loading, show survey
             document.getElementById('loading-screen').style.display = 'none';
@@ -488,17 +942,383 @@ const SurveyApp = (function() {
     }
 
 
+    /**
+     * Report a form start for tracked email links, once per browser session
+     */
+    function trackEmailStart() {
+        if (!state.emailLogId || !/^[0-9a-f-]{36}$/i.test(state.emailLogId)) {
+            state.emailLogId = null;
+            return;
+        }
+
+        const storageKey = `csi.emailStart.${state.emailLogId}`;
+        try {
+            if (sessionStorage.getItem(storageKey)) {
+                return;
+            }
+            sessionStorage.setItem(storageKey, '1');
+        } catch (error) {
+            console.warn('Unable to access sessionStorage:', error);
+        }
+
+        fetch(`${API_BASE_URL}/emails/tracking/${encodeURIComponent(state.emailLogId)}/start`, { method: 'POST' })
+            .catch(error => console.warn('Unable to track survey start:', error));
+    }
+
+    /**
+     * Resolve a personal invitation token and use its identity for the respondent
+     * @param {string|null} token
+     */
+    async function loadInvitation(token) {
+        if (!token) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/responses/invitations/${encodeURIComponent(token)}`);
+            if (!response.ok) {
+                console.warn('Invitation link could not be resolved');
+                return;
+            }
+
+            const { invitation } = await response.json();
+            if (!invitation || String(invitation.surveyId).toLowerCase() !== String(state.surveyId).toLowerCase()) {
+                return;
+            }
+
+            state.invitationToken = token;
+            state.respondentData = {
+                name: sanitizeIdentityValue(invitation.respondent?.name, 200),
+                email: normalizeEmail(invitation.respondent?.email)
+            };
+        } catch (error) {
+            console.warn('Unable to load invitation:', error);
+        }
+    }
+
+    /**
+     * Enter kiosk mode for booth devices. Opening the kiosk link stores the
+     * device token; later loads use ?kiosk=1 so the token stays out of the URL.
+     * @param {URLSearchParams} urlParams
+     */
+    async function initializeKiosk(urlParams) {
+        const kioskParam = urlParams.get('kiosk');
+        if (!kioskParam) {
+            return;
+        }
+
+        if (kioskParam !== '1') {
+            writeKioskStorage(KIOSK_TOKEN_STORAGE_KEY, kioskParam);
+            urlParams.set('kiosk', '1');
+            window.history.replaceState(null, '', `${window.location.pathname}?${urlParams.toString()}`);
+        }
+
+        const token = readKioskStorage(KIOSK_TOKEN_STORAGE_KEY);
+        if (!token) {
+            throw new Error('Perangkat kiosk belum terdaftar. Buka link kiosk dari admin event.');
+        }
+
+        const session = await loadKioskSession(token);
+        if (String(session.surveyId).toLowerCase() !== String(state.surveyId).toLowerCase()) {
+            throw new Error('Perangkat kiosk ini terdaftar untuk event lain.');
+        }
+
+        state.kiosk = {
+            token,
+            deviceId: session.device.deviceId,
+            name: session.device.name,
+            resetAfterSeconds: Number(session.device.resetAfterSeconds) || 60
+        };
+        state.respondentData = { name: '', email: '' };
+        document.body.classList.add('kiosk-mode');
+    }
+
+    /**
+     * Verify the device token, falling back to the last known session when offline
+     * @param {string} token
+     */
+    async function loadKioskSession(token) {
+        const cacheKey = `${KIOSK_CACHE_PREFIX}session`;
+        let response;
+        try {
+            response = await fetch(`${API_BASE_URL}/responses/kiosk/session`, {
+                headers: { 'X-Kiosk-Token': token }
+            });
+        } catch (error) {
+            const cached = readKioskStorage(cacheKey);
+            if (cached) {
+                return JSON.parse(cached);
+            }
+            throw new Error('Perangkat kiosk belum pernah terhubung. Sambungkan ke internet lalu muat ulang.');
+        }
+
+        if (response.status === 401) {
+            removeKioskStorage(KIOSK_TOKEN_STORAGE_KEY);
+            removeKioskStorage(cacheKey);
+            throw new Error('Perangkat kiosk ini sudah dicabut oleh admin event.');
+        }
+        if (!response.ok) {
+            throw new Error('Gagal memuat sesi kiosk');
+        }
+
+        const session = await response.json();
+        writeKioskStorage(cacheKey, JSON.stringify({ surveyId: session.surveyId, device: session.device }));
+        return session;
+    }
+
+    function readKioskStorage(key) {
+        try {
+            return localStorage.getItem(key);
+        } catch (error) {
+            console.warn('Unable to read kiosk data from localStorage:', error);
+            return null;
+        }
+    }
+
+    function writeKioskStorage(key, value) {
+        try {
+            localStorage.setItem(key, value);
+            return true;
+        } catch (error) {
+            console.warn('Unable to persist kiosk data to localStorage:', error);
+            return false;
+        }
+    }
+
+    function removeKioskStorage(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (error) {
+            console.warn('Unable to clear kiosk data from localStorage:', error);
+        }
+    }
+
+    /**
+     * Fetch a form resource. In kiosk mode the last good copy is cached and
+     * served when the network is down, so the form keeps working offline.
+     * @param {string} url
+     * @returns {Promise<Response>}
+     */
+    async function fetchFormResource(url) {
+        if (!state.kiosk) {
+            return fetch(url);
+        }
+
+        const cacheKey = `${KIOSK_CACHE_PREFIX}${url}`;
+        try {
+            const response = await fetch(url);
+            if (response.ok) {
+                writeKioskStorage(cacheKey, await response.clone().text());
+                return response;
+            }
+            const cached = readKioskStorage(cacheKey);
+            return cached ? buildCachedResponse(cached) : response;
+        } catch (error) {
+            const cached = readKioskStorage(cacheKey);
+            if (cached) {
+                return buildCachedResponse(cached);
+            }
+            throw error;
+        }
+    }
+
+    function buildCachedResponse(body) {
+        return new Response(body, {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    function readKioskQueue() {
+        try {
+            const queue = JSON.parse(readKioskStorage(KIOSK_QUEUE_STORAGE_KEY) || '[]');
+            return Array.isArray(queue) ? queue : [];
+        } catch (error) {
+            console.warn('Unable to read kiosk queue:', error);
+            return [];
+        }
+    }
+
+    function writeKioskQueue(queue) {
+        return writeKioskStorage(KIOSK_QUEUE_STORAGE_KEY, JSON.stringify(queue));
+    }
+
+    function generateIdempotencyKey() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    /**
+     * Queue a kiosk submission locally and try to sync it straight away
+     * @param {Object} submissionData
+     */
+    function submitKioskSurvey(submissionData) {
+        const queue = readKioskQueue();
+        queue.push({
+            idempotencyKey: generateIdempotencyKey(),
+            capturedAt: new Date().toISOString(),
+            respondent: submissionData.respondent,
+            selectedApplicationIds: submissionData.selectedApplicationIds,
+            responses: submissionData.responses,
+            locale: submissionData.locale
+        });
+
+        if (!writeKioskQueue(queue)) {
+            showNotice('Gagal Menyimpan Survey', 'Penyimpanan perangkat penuh. Hubungi petugas booth.');
+            return;
+        }
+
+        document.getElementById('survey-container').style.display = 'none';
+        document.getElementById('success-screen').style.display = 'flex';
+        updateKioskStatus();
+        scheduleKioskReset();
+        syncKioskQueue();
+    }
+
+    /**
+     * Send queued submissions to the server. Accepted, duplicate and rejected
+     * items leave the queue; failed items stay for the next attempt.
+     */
+    async function syncKioskQueue() {
+        if (!state.kiosk || state.kioskSyncing || navigator.onLine === false) {
+            return;
+        }
+
+        const batch = readKioskQueue().slice(0, KIOSK_BATCH_SIZE);
+        if (batch.length === 0) {
+            return;
+        }
+
+        state.kioskSyncing = true;
+        try {
+            const response = await fetch(`${API_BASE_URL}/responses/kiosk/submissions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Kiosk-Token': state.kiosk.token
+                },
+                body: JSON.stringify({ submissions: batch })
+            });
+
+            if (response.status === 401) {
+                console.warn('Kiosk device was revoked; queued submissions are kept on this device');
+                stopKioskSync();
+                return;
+            }
+            if (!response.ok) {
+                return;
+            }
+
+            const { results } = await response.json();
+            const doneKeys = new Set((results || [])
+                .filter(result => result.status !== 'failed')
+                .map(result => result.idempotencyKey));
+            (results || [])
+                .filter(result => result.status === 'rejected')
+                .forEach(result => console.warn(`Kiosk submission ${result.idempotencyKey} rejected: ${result.message}`));
+
+            // Re-read the queue: visitors may have submitted while the batch was in flight
+            writeKioskQueue(readKioskQueue().filter(item => !doneKeys.has(item.idempotencyKey)));
+            if (doneKeys.size === batch.length && batch.length === KIOSK_BATCH_SIZE) {
+                setTimeout(syncKioskQueue, 0);
+            }
+        } catch (error) {
+            console.warn('Kiosk sync failed, will retry:', error);
+        } finally {
+            state.kioskSyncing = false;
+            updateKioskStatus();
+        }
+    }
+
+    function updateKioskStatus() {
+        const status = document.getElementById('kiosk-status');
+        if (!status || !state.kiosk) return;
+
+        const pending = readKioskQueue().length;
+        status.textContent = pending > 0
+            ? `${state.kiosk.name} · ${pending} ${pageText('kioskPending', 'respons menunggu sinkronisasi')}`
+            : state.kiosk.name;
+        status.style.display = 'block';
+    }
+
+    /**
+     * Start the kiosk background work: periodic sync and idle reset
+     */
+    function startKioskMode() {
+        if (!state.kiosk) return;
+
+        const saveDraftBtn = document.getElementById('btn-save-draft');
+        if (saveDraftBtn) {
+            saveDraftBtn.style.display = 'none';
+        }
+
+        window.addEventListener('online', syncKioskQueue);
+        state.kioskSyncTimer = setInterval(syncKioskQueue, KIOSK_SYNC_INTERVAL_MS);
+        ['click', 'keydown', 'touchstart', 'input'].forEach(eventName => {
+            document.addEventListener(eventName, scheduleKioskReset, { passive: true });
+        });
+
+        updateKioskStatus();
+        scheduleKioskReset();
+        syncKioskQueue();
+    }
+
+    function stopKioskSync() {
+        clearInterval(state.kioskSyncTimer);
+        window.removeEventListener('online', syncKioskQueue);
+        const status = document.getElementById('kiosk-status');
+        if (status) {
+            status.textContent = pageText('kioskRevoked', 'Perangkat kiosk ini sudah dicabut. Hubungi admin event.');
+        }
+    }
+
+    /**
+     * Reset the form for the next visitor once the device has been idle
+     */
+    function scheduleKioskReset() {
+        clearTimeout(state.kioskResetTimer);
+        state.kioskResetTimer = setTimeout(resetForNextVisitor, state.kiosk.resetAfterSeconds * 1000);
+    }
+
+    async function resetForNextVisitor() {
+        hideNotice();
+        closeSignatureModal();
+        removeKioskStorage(`csi.respondent.${state.surveyId}`);
+
+        state.currentPage = 0;
+        state.responses = {};
+        state.answerTextByQuestionId = {};
+        state.respondentData = { name: '', email: '' };
+        state.selectedApplications = [{
+            applicationId: state.defaultApplicationId,
+            applicationName: state.defaultApplicationName
+        }];
+
+        const btnSubmit = document.getElementById('btn-submit');
+        btnSubmit.disabled = false;
+        btnSubmit.innerHTML = pageText('submit', 'Kirim Survey');
+
+        await renderCurrentPage();
+        document.getElementById('success-screen').style.display = 'none';
+        document.getElementById('survey-container').style.display = 'block';
+        window.scrollTo(0, 0);
+    }
+
     /**
      * Load survey data from API
      */
     async function loadSurveyData() {
-        const response = await fetch(`${API_BASE_URL}/responses/survey/${state.surveyId}/form`);
+        const localeQuery = state.locale ? `?locale=${encodeURIComponent(state.locale)}` : '';
+        const response = await fetchFormResource(`${API_BASE_URL}/responses/survey/${state.surveyId}/form${localeQuery}`);
         if (!response.ok) {
             throw new Error('Survey tidak ditemukan atau sudah tidak aktif');
         }
 
         const payload = await response.json();
         state.survey = payload.form;
+        state.locale = state.survey.locale || state.survey.defaultLocale || 'id';
 
         // Check if survey is active
         if (state.survey.status !== 'Active') {
@@ -524,7 +1344,8 @@ const SurveyApp = (function() {
     function buildPageStructure() {
         state.pages = [];
 
-        const questions = (state.survey.questions || []).map(normalizeQuestion);
+        const questions = (state.survey.questions || [])
+            .map(question => withDisplayLogic(normalizeQuestion(question), question));
         buildSourceQuestionIds(questions);
         const groupedByPage = new Map();
 
@@ -581,6 +1402,7 @@ const SurveyApp = (function() {
                 }
                 restoreCurrentPageInputs(page.data.applicationId);
                 attachQuestionEventListeners();
+                applyDisplayLogic();
                 break;
         }
 
@@ -664,6 +1486,32 @@ const SurveyApp = (function() {
             });
         });
 
+        document.querySelectorAll('#survey-content .question-item input, #survey-content .question-item select, #survey-content .question-item textarea')
+            .forEach(input => {
+                input.addEventListener('change', () => {
+                    applyDisplayLogic();
+                    updateNavigation();
+                });
+            });
+
+        document.querySelectorAll('.question-item[data-question-type="Slider"] input[type="range"]').forEach(input => {
+            input.addEventListener('input', () => {
+                input.dataset.answered = 'true';
+                const output = document.getElementById(`slider-value-${input.dataset.questionId}`);
+                if (output) output.textContent = input.value;
+            });
+        });
+
+        document.querySelectorAll('.question-item[data-question-type="Ranking"] .ranking-list').forEach(list => {
+            attachRankingListeners(list);
+        });
+
+        document.querySelectorAll('.question-item[data-question-type="FileUpload"] input[type="file"]').forEach(input => {
+            input.addEventListener('change', () => {
+                uploadQuestionAttachment(input.dataset.questionId, input);
+            });
+        });
+
         const signatureButtons = document.querySelectorAll('.question-item[data-question-type="Signature"] .signature-open');
         signatureButtons.forEach(button => {
             button.addEventListener('click', () => {
@@ -675,6 +1523,105 @@ const SurveyApp = (function() {
     }
 
 
+    function markRankingAnswered(list) {
+        list.dataset.answered = 'true';
+        list.querySelectorAll('.ranking-item').forEach((item, index) => {
+            const position = item.querySelector('.ranking-position');
+            if (position) position.textContent = index + 1;
+        });
+        applyDisplayLogic();
+        updateNavigation();
+    }
+
+    function attachRankingListeners(list) {
+        let draggedItem = null;
+
+        list.querySelectorAll('.ranking-item').forEach(item => {
+            item.addEventListener('dragstart', (e) => {
+                draggedItem = item;
+                item.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+            });
+            item.addEventListener('dragend', () => {
+                item.classList.remove('dragging');
+                draggedItem = null;
+            });
+            item.addEventListener('dragover', (e) => {
+                if (!draggedItem || draggedItem === item) return;
+                e.preventDefault();
+                const rect = item.getBoundingClientRect();
+                const after = e.clientY > rect.top + rect.height / 2;
+                list.insertBefore(draggedItem, after ? item.nextSibling : item);
+            });
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                markRankingAnswered(list);
+            });
+        });
+
+        list.querySelectorAll('.ranking-move').forEach(button => {
+            button.addEventListener('click', () => {
+                const item = button.closest('.ranking-item');
+                if (button.dataset.direction === 'up' && item.previousElementSibling) {
+                    list.insertBefore(item, item.previousElementSibling);
+                } else if (button.dataset.direction === 'down' && item.nextElementSibling) {
+                    list.insertBefore(item.nextElementSibling, item);
+                }
+                markRankingAnswered(list);
+            });
+        });
+
+        const confirmButton = list.parentElement.querySelector('.ranking-confirm');
+        if (confirmButton) {
+            confirmButton.addEventListener('click', () => markRankingAnswered(list));
+        }
+    }
+
+    /**
+     * Upload a respondent file and keep its URL as the answer
+     */
+    async function uploadQuestionAttachment(questionId, fileInput) {
+        const hiddenInput = document.getElementById(`question-${questionId}`);
+        const status = document.getElementById(`file-upload-status-${questionId}`);
+        const file = fileInput.files && fileInput.files[0];
+        if (!hiddenInput || !file) return;
+
+        const maxSizeMB = Number(fileInput.dataset.maxSizeMb) || 5;
+        if (file.size > maxSizeMB * 1024 * 1024) {
+            showFieldError(questionId, `Ukuran file maksimal ${maxSizeMB}MB`);
+            fileInput.value = '';
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('file', file);
+        if (status) status.textContent = 'Mengunggah...';
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/responses/survey/${state.surveyId}/questions/${questionId}/attachment`, {
+                method: 'POST',
+                body: formData
+            });
+            const payload = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(payload.message || 'Gagal mengunggah file');
+            }
+
+            hiddenInput.value = payload.attachment.fileUrl;
+            hiddenInput.dataset.fileName = payload.attachment.fileName || file.name;
+            if (status) status.textContent = `Terunggah: ${hiddenInput.dataset.fileName}`;
+            hideFieldError(questionId);
+        } catch (error) {
+            hiddenInput.value = '';
+            if (status) status.textContent = '';
+            fileInput.value = '';
+            showFieldError(questionId, error.message || 'Gagal mengunggah file');
+        }
+
+        applyDisplayLogic();
+        updateNavigation();
+    }
+
     /**
      * Update navigation buttons
      */
@@ -691,7 +1638,7 @@ const SurveyApp = (function() {
         }
 
         // Show/hide next/submit button
-        if (state.currentPage < state.pages.length - 1) {
+        if (findVisiblePageIndex(state.currentPage + 1, 1) !== -1) {
             btnNext.style.display = 'inline-block';
             btnSubmit.style.display = 'none';
         } else {
@@ -733,17 +1680,26 @@ const SurveyApp = (function() {
         // Save current page data
         saveCurrentPageData();
 
-        // Move to next page
-        state.currentPage++;
+        // Move to next page, skipping pages hidden by display logic
+        const nextIndex = findVisiblePageIndex(state.currentPage + 1, 1);
+        if (nextIndex === -1) {
+            return;
+        }
+        state.currentPage = nextIndex;
         await renderCurrentPage();
+
+        if (state.totalPages > 1) {
+            void saveDraft().catch(error => console.warn('Unable to autosave draft:', error));
+        }
     }
 
     /**
      * Navigate to previous page
      */
     function prevPage() {
-        if (state.currentPage > 0) {
-            state.currentPage--;
+        const previousIndex = findVisiblePageIndex(state.currentPage - 1, -1);
+        if (previousIndex !== -1) {
+            state.currentPage = previousIndex;
             void renderCurrentPage();
         }
     }
@@ -762,6 +1718,31 @@ const SurveyApp = (function() {
         }
     }
 
+    /**
+     * Check the format of answered Email, Phone and Numeric questions
+     */
+    function getAnswerFormatError(questionId, questionType, questionDef) {
+        const input = document.getElementById(`question-${questionId}`);
+        const value = input && typeof input.value === 'string' ? input.value.trim() : '';
+        if (!value) return null;
+
+        if (questionType === 'Email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+            return 'Format email tidak valid';
+        }
+        if (questionType === 'Phone' && !/^\+?[0-9][0-9\s\-().]{5,19}$/.test(value)) {
+            return 'Format nomor telepon tidak valid';
+        }
+        if (questionType === 'Numeric') {
+            const options = (questionDef && questionDef.options) || {};
+            const number = Number(value);
+            if (!Number.isFinite(number)) return 'Jawaban harus berupa angka';
+            if (!options.allowDecimals && !Number.isInteger(number)) return 'Jawaban harus berupa bilangan bulat';
+            if (options.min !== null && options.min !== undefined && number < options.min) return `Nilai minimal ${options.min}`;
+            if (options.max !== null && options.max !== undefined && number > options.max) return `Nilai maksimal ${options.max}`;
+        }
+        return null;
+    }
+
     /**
      * Validate questions
      */
@@ -826,12 +1807,23 @@ const SurveyApp = (function() {
         questions.forEach(questionEl => {
             const questionId = questionEl.dataset.questionId;
             const questionType = questionEl.dataset.questionType;
+            if (questionEl.dataset.logicHidden === 'true') return;
             const questionDef = findQuestionById(questionId);
             const labelEl = questionEl.querySelector('.form-label');
             const staticMandatory = labelEl ? labelEl.classList.contains('required') : Boolean(questionDef && questionDef.isMandatory);
             const isMandatory = staticMandatory || isConditionallyRequired(questionDef);
 
-            if (!isMandatory) return;
+            const formatError = getAnswerFormatError(questionId, questionType, questionDef);
+            if (formatError) {
+                showFieldError(questionId, formatError);
+                isValid = false;
+                return;
+            }
+
+            if (!isMandatory) {
+                hideFieldError(questionId);
+                return;
+            }
 
             let hasAnswer = false;
 
@@ -891,6 +1883,24 @@ const SurveyApp = (function() {
                         hasAnswer = signatureInput && typeof signatureInput.value === 'string' ? signatureInput.value !== '' : false;
                     }
                     break;
+                case 'NPS':
+                    hasAnswer = document.querySelector(`input[name="question-${questionId}"]:checked`) !== null;
+                    break;
+                case 'Slider':
+                case 'Numeric':
+                    hasAnswer = readNumericInputValue(questionId, questionType) !== null;
+                    break;
+                case 'Ranking':
+                    hasAnswer = readRankingValues(questionId) !== null;
+                    break;
+                case 'Email':
+                case 'Phone':
+                case 'FileUpload':
+                    {
+                        const input = document.getElementById(`question-${questionId}`);
+                        hasAnswer = input && typeof input.value === 'string' ? input.value.trim() !== '' : false;
+                    }
+                    break;
                 case 'HeroCover':
                     hasAnswer = true;
                     break;
@@ -935,6 +1945,11 @@ const SurveyApp = (function() {
             const questionType = questionEl.dataset.questionType;
             let value = null;
 
+            if (questionEl.dataset.logicHidden === 'true') {
+                state.responses[applicationId] = state.responses[applicationId].filter(r => r.questionId !== questionId);
+                return;
+            }
+
             switch (questionType) {
                 case 'Text':
                     value = { textValue: document.getElementById(`question-${questionId}`).value.trim() };
@@ -989,6 +2004,26 @@ const SurveyApp = (function() {
                     const signatureData = document.getElementById(`signature-data-${questionId}`).value;
                     value = signatureData ? { textValue: signatureData } : null;
                     break;
+                case 'NPS':
+                    const npsChecked = document.querySelector(`input[name="question-${questionId}"]:checked`);
+                    value = npsChecked ? { numericValue: parseInt(npsChecked.value) } : null;
+                    break;
+                case 'Slider':
+                case 'Numeric':
+                    const numericValue = readNumericInputValue(questionId, questionType);
+                    value = numericValue !== null ? { numericValue } : null;
+                    break;
+                case 'Ranking':
+                    const rankingValues = readRankingValues(questionId);
+                    value = rankingValues ? { matrixValues: rankingValues } : null;
+                    break;
+                case 'Email':
+                case 'Phone':
+                case 'FileUpload':
+                    const inputValue = document.getElementById(`question-${questionId}`).value.trim();
+                    value = inputValue ? { textValue: inputValue } : null;
+                    state.answerTextByQuestionId[questionId] = inputValue;
+                    break;
             }
 
             if (value) {
@@ -1041,6 +2076,41 @@ const SurveyApp = (function() {
                 return;
             }
 
+            if (input.classList.contains('ranking-list') && value.matrixValues) {
+                Array.from(input.querySelectorAll('.ranking-item'))
+                    .sort((a, b) => (value.matrixValues[a.dataset.value] || 0) - (value.matrixValues[b.dataset.value] || 0))
+                    .forEach(item => input.appendChild(item));
+                input.dataset.answered = 'true';
+                input.querySelectorAll('.ranking-position').forEach((position, index) => {
+                    position.textContent = index + 1;
+                });
+                return;
+            }
+
+            if (value.numericValue !== undefined && value.numericValue !== null) {
+                const numericRadios = document.querySelectorAll(`input[name="question-${questionId}"][type="radio"]`);
+                numericRadios.forEach((radio) => {
+                    radio.checked = Number(radio.value) === Number(value.numericValue);
+                });
+                if (input.tagName === 'INPUT' && (input.type === 'range' || input.type === 'number')) {
+                    input.value = value.numericValue;
+                    input.dataset.answered = 'true';
+                    const output = document.getElementById(`slider-value-${questionId}`);
+                    if (output) output.textContent = input.value;
+                }
+                return;
+            }
+
+            if (input.tagName === 'INPUT' && ['email', 'tel', 'hidden'].includes(input.type) && typeof value.textValue === 'string') {
+                input.value = value.textValue;
+                state.answerTextByQuestionId[questionId] = value.textValue;
+                const status = document.getElementById(`file-upload-status-${questionId}`);
+                if (status && value.textValue) {
+                    status.textContent = `Terunggah: ${value.textValue.split('/').pop()}`;
+                }
+                return;
+            }
+
             if (input.tagName === 'INPUT' && input.type === 'date' && value.dateValue) {
                 input.value = value.dateValue;
                 state.answerTextByQuestionId[questionId] = value.dateValue;
@@ -1107,6 +2177,345 @@ const SurveyApp = (function() {
         return selectedIds.length > 0 ? selectedIds : [state.defaultApplicationId];
     }
 
+    function getDraftStorageKey() {
+        return `csi.draft.${state.surveyId}`;
+    }
+
+    function readStoredDraftToken() {
+        try {
+            const token = localStorage.getItem(getDraftStorageKey());
+            return token && /^[a-f0-9]{64}$/i.test(token) ? token : null;
+        } catch (error) {
+            console.warn('Unable to read draft token from localStorage:', error);
+            return null;
+        }
+    }
+
+    function storeDraftToken(token) {
+        try {
+            localStorage.setItem(getDraftStorageKey(), token);
+        } catch (error) {
+            console.warn('Unable to persist draft token to localStorage:', error);
+        }
+    }
+
+    function clearStoredDraftToken() {
+        state.resumeToken = null;
+        try {
+            localStorage.removeItem(getDraftStorageKey());
+        } catch (error) {
+            console.warn('Unable to clear draft token from localStorage:', error);
+        }
+    }
+
+    /**
+     * Restore answers and page position from a server-side draft
+     */
+    async function restoreDraft() {
+        const token = state.resumeToken || readStoredDraftToken();
+        if (!token) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/responses/drafts/${encodeURIComponent(token)}`);
+            if (!response.ok) {
+                clearStoredDraftToken();
+                return;
+            }
+
+            const { draft } = await response.json();
+            if (!draft || String(draft.surveyId).toLowerCase() !== String(state.surveyId).toLowerCase()) {
+                clearStoredDraftToken();
+                return;
+            }
+
+            const clientState = draft.clientState || {};
+            state.responses = clientState.responses && typeof clientState.responses === 'object'
+                ? clientState.responses
+                : { [state.defaultApplicationId]: draft.responses || [] };
+            state.answerTextByQuestionId = clientState.answerTextByQuestionId || {};
+            if (!state.invitationToken && clientState.invitationToken) {
+                await loadInvitation(clientState.invitationToken);
+            }
+            if (!state.emailLogId && clientState.emailLogId) {
+                state.emailLogId = clientState.emailLogId;
+            }
+            state.currentPage = Math.min(Math.max(Number(draft.currentPage) || 0, 0), Math.max(state.totalPages - 1, 0));
+            state.resumeToken = token;
+            storeDraftToken(token);
+        } catch (error) {
+            console.warn('Unable to restore draft:', error);
+        }
+    }
+
+    /**
+     * Save in-progress answers to the server
+     */
+    async function saveDraft() {
+        const hiddenQuestionIds = resolveHiddenQuestionIds();
+        const responses = [];
+        Object.keys(state.responses).forEach(appId => {
+            responses.push(
+                ...state.responses[appId].filter(item => !hiddenQuestionIds.has(normalizeLogicRef(item.questionId)))
+            );
+        });
+
+        const response = await fetch(`${API_BASE_URL}/responses/drafts`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                surveyId: state.surveyId,
+                resumeToken: state.resumeToken || undefined,
+                respondent: resolveRespondentIdentity(),
+                selectedApplicationIds: resolveSelectedApplicationIds(),
+                responses,
+                clientState: {
+                    responses: state.responses,
+                    answerTextByQuestionId: state.answerTextByQuestionId,
+                    invitationToken: state.invitationToken,
+                    emailLogId: state.emailLogId
+                },
+                currentPage: state.currentPage,
+                locale: state.locale
+            })
+        });
+
+        if (response.status === 404 && state.resumeToken) {
+            // Draft expired or was already submitted; start a fresh one
+            clearStoredDraftToken();
+            return saveDraft();
+        }
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.message || 'Gagal menyimpan draft');
+        }
+
+        const result = await response.json();
+        state.resumeToken = result.resumeToken;
+        storeDraftToken(result.resumeToken);
+        return result;
+    }
+
+    /**
+     * Save the draft and optionally email a link to continue later
+     */
+    async function saveDraftForLater() {
+        const btnSaveDraft = document.getElementById('btn-save-draft');
+        if (btnSaveDraft) btnSaveDraft.disabled = true;
+
+        try {
+            saveCurrentPageData();
+            await saveDraft();
+
+            const email = normalizeEmail(
+                state.respondentData.email ||
+                window.prompt('Masukkan email Anda untuk menerima link melanjutkan survey (opsional):') ||
+                ''
+            );
+            if (!email) {
+                showNotice('Draft Tersimpan', 'Jawaban Anda tersimpan di perangkat ini. Buka kembali link survey untuk melanjutkan.');
+                return;
+            }
+
+            const response = await fetch(`${API_BASE_URL}/responses/drafts/${encodeURIComponent(state.resumeToken)}/email`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.message || 'Gagal mengirim link');
+            }
+
+            showNotice('Draft Tersimpan', `Link untuk melanjutkan survey telah dikirim ke ${email}.`);
+        } catch (error) {
+            console.error('Save draft error:', error);
+            showNotice('Gagal Menyimpan Draft', error.message || 'Gagal menyimpan draft. Silakan coba lagi.');
+        } finally {
+            if (btnSaveDraft) btnSaveDraft.disabled = false;
+        }
+    }
+
+    /**
+     * Load a submitted response into the form so the respondent can amend it
+     */
+    async function loadEditableSubmission() {
+        const response = await fetch(`${API_BASE_URL}/responses/edit/${encodeURIComponent(state.editToken)}`);
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.message || 'Jawaban ini tidak dapat diubah lagi.');
+        }
+
+        const { submission } = result;
+        if (!submission || String(submission.surveyId).toLowerCase() !== String(state.surveyId).toLowerCase()) {
+            throw new Error('Link ubah jawaban tidak valid untuk survey ini.');
+        }
+
+        state.respondentData = {
+            name: sanitizeIdentityValue(submission.respondent?.name, 200),
+            email: normalizeEmail(submission.respondent?.email)
+        };
+        state.responses = { [state.defaultApplicationId]: submission.responses || [] };
+        state.answerTextByQuestionId = {};
+        (submission.responses || []).forEach(item => {
+            if (item.value?.textValue) {
+                state.answerTextByQuestionId[item.questionId] = item.value.textValue;
+            }
+        });
+
+        const selectedIds = new Set((submission.selectedApplicationIds || []).map(id => String(id).toLowerCase()));
+        const selectedApplications = state.applications
+            .filter(app => selectedIds.has(String(app.applicationId).toLowerCase()));
+        if (selectedApplications.length > 0) {
+            state.selectedApplications = selectedApplications;
+        }
+    }
+
+    /**
+     * Send the amended answers through the edit link
+     * @param {Object} submissionData
+     */
+    async function submitAmendment(submissionData) {
+        const response = await fetch(`${API_BASE_URL}/responses/edit/${encodeURIComponent(state.editToken)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                respondent: submissionData.respondent,
+                selectedApplicationIds: submissionData.selectedApplicationIds,
+                responses: submissionData.responses
+            })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.message || 'Gagal menyimpan perubahan jawaban');
+        }
+
+        const submittedText = document.querySelector('#success-screen [data-i18n="submitted"]');
+        if (submittedText) {
+            submittedText.innerHTML = pageText('updated', 'Perubahan jawaban Anda telah berhasil disimpan.');
+        }
+        showSubmissionSuccess(window.location.href);
+    }
+
+    /**
+     * Show the success screen, with the link to amend the submission when there is one
+     * @param {string|null} editUrl
+     */
+    function showSubmissionSuccess(editUrl) {
+        const editLinkBox = document.getElementById('edit-link-box');
+        if (editLinkBox && editUrl) {
+            const editLink = document.getElementById('edit-link');
+            editLink.href = editUrl;
+            editLink.textContent = editUrl;
+            editLinkBox.style.display = 'block';
+        }
+
+        document.getElementById('survey-container').style.display = 'none';
+        document.getElementById('success-screen').style.display = 'flex';
+    }
+
+    /**
+     * Email the respondent the link to amend their submission
+     */
+    async function emailEditLink() {
+        if (!state.editToken) return;
+
+        const email = normalizeEmail(
+            state.respondentData.email ||
+            window.prompt(pageText('editEmailPrompt', 'Masukkan email Anda untuk menerima link ubah jawaban:')) ||
+            ''
+        );
+        if (!email) return;
+
+        const btnEmailEditLink = document.getElementById('btn-email-edit-link');
+        if (btnEmailEditLink) btnEmailEditLink.disabled = true;
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/responses/edit/${encodeURIComponent(state.editToken)}/email`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email, locale: state.locale })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.message || 'Gagal mengirim link');
+            }
+
+            showNotice('Link Terkirim', `Link untuk mengubah jawaban telah dikirim ke ${email}.`);
+        } catch (error) {
+            console.error('Send edit link error:', error);
+            showNotice('Gagal Mengirim Link', error.message || 'Gagal mengirim link. Silakan coba lagi.');
+        } finally {
+            if (btnEmailEditLink) btnEmailEditLink.disabled = false;
+        }
+    }
+
+    async function requestEmailVerificationCode(email) {
+        const response = await fetch(`${API_BASE_URL}/responses/email-verification`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ surveyId: state.surveyId, email, locale: state.locale })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.message || 'Gagal mengirim kode verifikasi');
+        }
+        state.emailVerification = { email, token: null };
+    }
+
+    /**
+     * Confirm the respondent email with a one-time code when the event requires it
+     * @returns {Promise<string|null|undefined>} Verification token, null when the respondent
+     * cancelled, undefined when the event does not require verification
+     */
+    async function ensureEmailVerified() {
+        if (!state.survey?.emailVerificationRequired || state.invitationToken) {
+            return undefined;
+        }
+
+        let email = normalizeEmail(state.respondentData.email);
+        if (!email) {
+            const enteredEmail = window.prompt(pageText('verificationEmailPrompt', 'Survey ini memerlukan email terverifikasi. Masukkan alamat email Anda:'));
+            if (enteredEmail === null) return null;
+            email = normalizeEmail(enteredEmail);
+            if (!email) {
+                throw new Error('Alamat email tidak valid');
+            }
+            state.respondentData.email = email;
+        }
+
+        if (state.emailVerification?.email === email && state.emailVerification.token) {
+            return state.emailVerification.token;
+        }
+        if (state.emailVerification?.email !== email) {
+            await requestEmailVerificationCode(email);
+        }
+
+        const code = window.prompt(
+            `${pageText('verificationCodePrompt', 'Masukkan 6 digit kode verifikasi yang dikirim ke')} ${email} ` +
+            `(${pageText('verificationResendHint', 'kosongkan untuk mengirim ulang kode')}):`
+        );
+        if (code === null) return null;
+        if (!code.trim()) {
+            await requestEmailVerificationCode(email);
+            return ensureEmailVerified();
+        }
+
+        const response = await fetch(`${API_BASE_URL}/responses/email-verification/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ surveyId: state.surveyId, email, code: code.trim() })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.message || 'Kode verifikasi salah');
+        }
+
+        state.emailVerification = { email, token: result.verificationToken };
+        return result.verificationToken;
+    }
+
     /**
      * Submit survey
      */
@@ -1126,22 +2535,63 @@ const SurveyApp = (function() {
             surveyId: state.surveyId,
             respondent: respondentIdentity,
             selectedApplicationIds: resolveSelectedApplicationIds(),
-            responses: []
+            responses: [],
+            locale: state.locale
         };
+        if (state.shortLinkCode) {
+            submissionData.shortLinkCode = state.shortLinkCode;
+        }
+        if (state.resumeToken) {
+            submissionData.resumeToken = state.resumeToken;
+        }
+        if (state.invitationToken) {
+            submissionData.invitationToken = state.invitationToken;
+        }
+        if (state.emailLogId) {
+            submissionData.emailLogId = state.emailLogId;
+        }
 
-        // Flatten responses
+        // Flatten responses, dropping answers to questions hidden by display logic
+        const hiddenQuestionIds = resolveHiddenQuestionIds();
         Object.keys(state.responses).forEach(appId => {
-            submissionData.responses.push(...state.responses[appId]);
+            submissionData.responses.push(
+                ...state.responses[appId].filter(item => !hiddenQuestionIds.has(normalizeLogicRef(item.questionId)))
+            );
         });
 
+        // Kiosk devices queue the submission and sync it in the background
+        if (state.kiosk) {
+            submitKioskSurvey(submissionData);
+            return;
+        }
+
         // Disable submit button
         const btnSubmit = document.getElementById('btn-submit');
         btnSubmit.disabled = true;
-        btnSubmit.textContent = 'Mengirim...';
+        btnSubmit.innerHTML = pageText('submitting', 'Mengirim...');
 
         try {
-            // Check for duplicates first
-            const duplicateCheck = await fetch(`${API_BASE_URL}/responses/check-duplicate`, {
+            // Edit links amend the existing submission instead of creating a new one
+            if (state.editToken) {
+                await submitAmendment(submissionData);
+                return;
+            }
+
+            // Events that require a verified email confirm it with a one-time code first
+            const verificationToken = await ensureEmailVerified();
+            if (verificationToken === null) {
+                btnSubmit.disabled = false;
+                btnSubmit.innerHTML = pageText('submit', 'Kirim Survey');
+                return;
+            }
+            if (verificationToken) {
+                submissionData.respondent = resolveRespondentIdentity();
+                submissionData.emailVerificationToken = verificationToken;
+            }
+
+            // Check for duplicates first. Verified respondents are checked against
+            // verified responses only, which the submission itself does.
+            const duplicateResult = verificationToken ? {} : await fetch(`${API_BASE_URL}/responses/check-duplicate`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -1149,14 +2599,12 @@ const SurveyApp = (function() {
                     email: submissionData.respondent.email,
                     applicationIds: submissionData.selectedApplicationIds
                 })
-            });
-
-            const duplicateResult = await duplicateCheck.json();
+            }).then(duplicateCheck => duplicateCheck.json());
             
             if (duplicateResult.isDuplicate) {
                 showNotice('Duplikasi Response', duplicateResult.message || 'Anda sudah mengisi survey untuk aplikasi ini sebelumnya.');
                 btnSubmit.disabled = false;
-                btnSubmit.textContent = 'Kirim Survey';
+                btnSubmit.innerHTML = pageText('submit', 'Kirim Survey');
                 return;
             }
 
@@ -1169,18 +2617,25 @@ const SurveyApp = (function() {
 
             if (!response.ok) {
                 const error = await response.json();
+                // The verification may have expired; ask for a new code on the next attempt
+                if (submissionData.emailVerificationToken && response.status === 400) {
+                    state.emailVerification = null;
+                }
                 throw new Error(error.message || 'Gagal mengirim survey');
             }
 
-            // Show success screen
-            document.getElementById('survey-container').style.display = 'none';
-            document.getElementById('success-screen').style.display = 'flex';
+            const result = await response.json().catch(() => ({}));
+            clearStoredDraftToken();
+
+            // Show success screen with the link to amend the submission
+            state.editToken = result.editToken || null;
+            showSubmissionSuccess(result.editUrl || null);
 
         } catch (error) {
             console.error('Submission error:', error);
             showNotice('Gagal Mengirim Survey', error.message || 'Gagal mengirim survey. Silakan coba lagi.');
             btnSubmit.disabled = false;
-            btnSubmit.textContent = 'Kirim Survey';
+            btnSubmit.innerHTML = pageText('submit', 'Kirim Survey');
         }
     }
 
@@ -1374,6 +2829,17 @@ const SurveyApp = (function() {
         document.getElementById('btn-next').addEventListener('click', nextPage);
         document.getElementById('btn-submit').addEventListener('click', submitSurvey);
 
+        const saveDraftBtn = document.getElementById('btn-save-draft');
+        if (saveDraftBtn) {
+            saveDraftBtn.style.display = state.totalPages > 1 && !state.editToken ? 'inline-block' : 'none';
+            saveDraftBtn.addEventListener('click', saveDraftForLater);
+        }
+
+        const emailEditLinkBtn = document.getElementById('btn-email-edit-link');
+        if (emailEditLinkBtn) {
+            emailEditLinkBtn.addEventListener('click', emailEditLink);
+        }
+
         const signatureCloseBtn = document.getElementById('signature-modal-close');
         if (signatureCloseBtn) {
             signatureCloseBtn.addEventListener('click', closeSignatureModal);
@@ -1399,6 +2865,11 @@ const SurveyApp = (function() {
             noticeOkBtn.addEventListener('click', hideNotice);
         }
 
+        const languageSelect = document.getElementById('language-select');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', (event) => switchLanguage(event.target.value));
+        }
+
         const noticeModal = document.getElementById('notice-modal');
         if (noticeModal) {
             noticeModal.addEventListener('click', (event) => {
@@ -6,6 +6,76 @@
 const SurveyRenderer = (function() {
     'use strict';
 
+    // Respondent-facing texts of the renderer per language ({n} is replaced)
+    const UI_TEXT = {
+        id: {
+            pageTitle: 'Pertanyaan Survey',
+            required: 'Pertanyaan ini wajib dijawab',
+            textPlaceholder: 'Masukkan jawaban Anda...',
+            maxCharacters: 'Maksimal {n} karakter',
+            selectAnswer: '-- Pilih jawaban --',
+            ratingLow: 'Rendah',
+            ratingHigh: 'Tinggi',
+            commentLabel: 'Komentar (wajib untuk rating di bawah {n})',
+            commentPlaceholder: 'Berikan komentar Anda...',
+            commentError: 'Komentar wajib diisi untuk rating rendah',
+            signaturePlaceholder: 'Klik tombol di bawah untuk menandatangani',
+            signatureButton: 'Tanda Tangan',
+            npsLow: 'Sangat tidak mungkin',
+            npsHigh: 'Sangat mungkin',
+            moveUp: 'Naikkan',
+            moveDown: 'Turunkan',
+            rankingConfirm: 'Gunakan urutan ini',
+            rankingHint: 'Seret atau gunakan tombol panah untuk mengurutkan, 1 = paling penting',
+            numberPlaceholder: 'Masukkan angka...',
+            maxFileSize: 'Maksimal {n}MB'
+        },
+        en: {
+            pageTitle: 'Survey Questions',
+            required: 'This question is required',
+            textPlaceholder: 'Enter your answer...',
+            maxCharacters: 'Maximum {n} characters',
+            selectAnswer: '-- Select an answer --',
+            ratingLow: 'Low',
+            ratingHigh: 'High',
+            commentLabel: 'Comment (required for ratings below {n})',
+            commentPlaceholder: 'Share your comment...',
+            commentError: 'A comment is required for low ratings',
+            signaturePlaceholder: 'Click the button below to sign',
+            signatureButton: 'Sign',
+            npsLow: 'Not at all likely',
+            npsHigh: 'Extremely likely',
+            moveUp: 'Move up',
+            moveDown: 'Move down',
+            rankingConfirm: 'Use this order',
+            rankingHint: 'Drag or use the arrow buttons to order, 1 = most important',
+            numberPlaceholder: 'Enter a number...',
+            maxFileSize: 'Maximum {n}MB'
+        }
+    };
+
+    let currentLocale = 'id';
+
+    /**
+     * Set the language of the renderer texts
+     */
+    function setLocale(locale) {
+        currentLocale = UI_TEXT[locale] ? locale : 'id';
+    }
+
+    function t(key, value) {
+        const text = (UI_TEXT[currentLocale] || UI_TEXT.id)[key] || UI_TEXT.id[key] || key;
+        return value === undefined ? text : text.replace('{n}', value);
+    }
+
+    /**
+     * Translated label of an option; answers keep the source text as value
+     */
+    function optionLabel(options, value) {
+        const labels = options.optionLabels || {};
+        return labels[value] || value;
+    }
+
     function normalizePromptText(value) {
         const text = String(value || '').trim();
         if (text.toLowerCase() === 'untitled question') {
@@ -20,7 +90,7 @@ const SurveyRenderer = (function() {
     function renderQuestionsPage(questions, pageTitle, pageSubtitle) {
         const title = pageTitle && String(pageTitle).trim() !== ''
             ? String(pageTitle).trim()
-            : 'Pertanyaan Survey';
+            : t('pageTitle');
         const subtitle = pageSubtitle && String(pageSubtitle).trim() !== ''
             ? String(pageSubtitle).trim()
             : '';
@@ -38,7 +108,7 @@ const SurveyRenderer = (function() {
      * Render a single question based on type
      */
     function renderQuestion(question, index) {
-        const options = question.options || {};
+        const options = { ...(question.options || {}), optionLabels: question.optionLabels || {} };
         const required = question.isMandatory ? 'required' : '';
         const questionId = question.questionId;
         const promptText = normalizePromptText(question.promptText);
@@ -85,12 +155,33 @@ const SurveyRenderer = (function() {
             case 'Signature':
                 html += renderSignatureQuestion(questionId);
                 break;
+            case 'NPS':
+                html += renderNpsQuestion(questionId, options);
+                break;
+            case 'Ranking':
+                html += renderRankingQuestion(questionId, options);
+                break;
+            case 'Slider':
+                html += renderSliderQuestion(questionId, options);
+                break;
+            case 'Numeric':
+                html += renderNumericQuestion(questionId, options);
+                break;
+            case 'Email':
+                html += renderEmailQuestion(questionId);
+                break;
+            case 'Phone':
+                html += renderPhoneQuestion(questionId);
+                break;
+            case 'FileUpload':
+                html += renderFileUploadQuestion(questionId, options);
+                break;
             default:
                 html += `<p>Unsupported question type: ${question.type}</p>`;
         }
 
         html += `
-                <span class="form-error" id="error-${questionId}">Pertanyaan ini wajib dijawab</span>
+                <span class="form-error" id="error-${questionId}">${t('required')}</span>
             </div>
         `;
 
@@ -116,8 +207,8 @@ const SurveyRenderer = (function() {
         const maxChars = options.maxCharacters || 500;
         return `
             <textarea id="question-${questionId}" class="form-control" maxlength="${maxChars}" 
-                placeholder="Masukkan jawaban Anda..."></textarea>
-            <small class="form-text">Maksimal ${maxChars} karakter</small>
+                placeholder="${t('textPlaceholder')}"></textarea>
+            <small class="form-text">${t('maxCharacters', maxChars)}</small>
         `;
     }
 
@@ -131,7 +222,7 @@ const SurveyRenderer = (function() {
                         <input type="radio" id="question-${questionId}-${idx}" name="question-${questionId}" value="${escapeHtml(choice.text)}">
                         ${choice.imageUrl ? `<img src="${choice.imageUrl}" alt="Option" class="option-image">` : ''}
                         <div class="option-content">
-                            <span class="option-text">${escapeHtml(choice.text)}</span>
+                            <span class="option-text">${escapeHtml(optionLabel(options, choice.text))}</span>
                         </div>
                     </div>
                 `).join('')}
@@ -149,7 +240,7 @@ const SurveyRenderer = (function() {
                         <input type="checkbox" id="question-${questionId}-${idx}" name="question-${questionId}" value="${escapeHtml(choice.text)}">
                         ${choice.imageUrl ? `<img src="${choice.imageUrl}" alt="Option" class="option-image">` : ''}
                         <div class="option-content">
-                            <span class="option-text">${escapeHtml(choice.text)}</span>
+                            <span class="option-text">${escapeHtml(optionLabel(options, choice.text))}</span>
                         </div>
                     </div>
                 `).join('')}
@@ -161,8 +252,8 @@ const SurveyRenderer = (function() {
         const dropdownOptions = options.dropdownOptions || [];
         return `
             <select id="question-${questionId}" class="form-control">
-                <option value="">-- Pilih jawaban --</option>
-                ${dropdownOptions.map(opt => `<option value="${escapeHtml(opt)}">${escapeHtml(opt)}</option>`).join('')}
+                <option value="">${t('selectAnswer')}</option>
+                ${dropdownOptions.map(opt => `<option value="${escapeHtml(opt)}">${escapeHtml(optionLabel(options, opt))}</option>`).join('')}
             </select>
         `;
     }
@@ -188,7 +279,7 @@ const SurveyRenderer = (function() {
                     <tbody>
                         ${rows.map((row, rowIdx) => `
                             <tr>
-                                <td>${escapeHtml(row)}</td>
+                                <td>${escapeHtml(optionLabel(options, row))}</td>
                                 ${scale.map(num => `
                                     <td>
                                         <input type="radio" name="question-${questionId}-row-${rowIdx}" 
@@ -205,8 +296,8 @@ const SurveyRenderer = (function() {
 
     function renderRatingQuestion(questionId, options) {
         const scale = options.ratingScale || 10;
-        const lowLabel = options.ratingLowLabel || 'Rendah';
-        const highLabel = options.ratingHighLabel || 'Tinggi';
+        const lowLabel = options.ratingLowLabel || t('ratingLow');
+        const highLabel = options.ratingHighLabel || t('ratingHigh');
         const commentRequired = options.commentRequiredBelowRating || null;
 
         const ratings = [];
@@ -230,9 +321,9 @@ const SurveyRenderer = (function() {
                 </div>
                 ${commentRequired ? `
                     <div class="comment-section" id="comment-${questionId}" style="display: none; margin-top: 1rem;">
-                        <label class="form-label required">Komentar (wajib untuk rating di bawah ${commentRequired})</label>
-                        <textarea class="form-control" id="comment-text-${questionId}" placeholder="Berikan komentar Anda..."></textarea>
-                        <span class="form-error" id="error-comment-${questionId}">Komentar wajib diisi untuk rating rendah</span>
+                        <label class="form-label required">${t('commentLabel', commentRequired)}</label>
+                        <textarea class="form-control" id="comment-text-${questionId}" placeholder="${t('commentPlaceholder')}"></textarea>
+                        <span class="form-error" id="error-comment-${questionId}">${t('commentError')}</span>
                     </div>
                 ` : ''}
             </div>
@@ -249,20 +340,119 @@ const SurveyRenderer = (function() {
         return `
             <div class="signature-container" id="question-${questionId}">
                 <div class="signature-preview" id="signature-preview-${questionId}">
-                    <span class="signature-placeholder">Klik tombol di bawah untuk menandatangani</span>
+                    <span class="signature-placeholder">${t('signaturePlaceholder')}</span>
                 </div>
                 <button
                     type="button"
                     class="btn btn-primary signature-open"
                     data-question-id="${questionId}"
                 >
-                    Tanda Tangan
+                    ${t('signatureButton')}
                 </button>
                 <input type="hidden" id="signature-data-${questionId}" value="">
             </div>
         `;
     }
 
+    function renderNpsQuestion(questionId, options) {
+        const scores = [];
+        for (let i = 0; i <= 10; i++) {
+            scores.push(i);
+        }
+
+        return `
+            <div class="rating-container nps-container">
+                <div class="nps-scale" id="question-${questionId}">
+                    ${scores.map(num => `
+                        <div class="rating-option">
+                            <input type="radio" id="question-${questionId}-${num}" name="question-${questionId}" value="${num}">
+                            <label for="question-${questionId}-${num}">${num}</label>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="rating-labels">
+                    <span>${escapeHtml(options.lowLabel || t('npsLow'))}</span>
+                    <span>${escapeHtml(options.highLabel || t('npsHigh'))}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    function renderRankingQuestion(questionId, options) {
+        const items = options.rankingItems || [];
+        return `
+            <ol class="ranking-list" id="question-${questionId}" data-answered="false">
+                ${items.map((item, idx) => `
+                    <li class="ranking-item" draggable="true" data-value="${escapeHtml(item)}">
+                        <span class="ranking-position">${idx + 1}</span>
+                        <span class="ranking-text">${escapeHtml(optionLabel(options, item))}</span>
+                        <button type="button" class="ranking-move" data-direction="up" aria-label="${t('moveUp')}">&#9650;</button>
+                        <button type="button" class="ranking-move" data-direction="down" aria-label="${t('moveDown')}">&#9660;</button>
+                    </li>
+                `).join('')}
+            </ol>
+            <button type="button" class="btn btn-secondary ranking-confirm">${t('rankingConfirm')}</button>
+            <small class="form-text">${t('rankingHint')}</small>
+        `;
+    }
+
+    function renderSliderQuestion(questionId, options) {
+        const min = options.min ?? 0;
+        const max = options.max ?? 100;
+        const step = options.step || 1;
+        return `
+            <div class="slider-container">
+                <input type="range" id="question-${questionId}" class="form-range" data-question-id="${questionId}"
+                    min="${min}" max="${max}" step="${step}" value="${min}" data-answered="false">
+                <div class="rating-labels">
+                    <span>${escapeHtml(options.minLabel || String(min))}</span>
+                    <output id="slider-value-${questionId}">-</output>
+                    <span>${escapeHtml(options.maxLabel || String(max))}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    function renderNumericQuestion(questionId, options) {
+        const min = options.min !== null && options.min !== undefined ? `min="${options.min}"` : '';
+        const max = options.max !== null && options.max !== undefined ? `max="${options.max}"` : '';
+        return `
+            <div class="numeric-container">
+                <input type="number" id="question-${questionId}" class="form-control" ${min} ${max}
+                    step="${options.allowDecimals ? 'any' : '1'}" placeholder="${t('numberPlaceholder')}">
+                ${options.unit ? `<span class="numeric-unit">${escapeHtml(options.unit)}</span>` : ''}
+            </div>
+        `;
+    }
+
+    function renderEmailQuestion(questionId) {
+        return `
+            <input type="email" id="question-${questionId}" class="form-control" maxlength="200"
+                placeholder="nama@perusahaan.com">
+        `;
+    }
+
+    function renderPhoneQuestion(questionId) {
+        return `
+            <input type="tel" id="question-${questionId}" class="form-control" maxlength="20"
+                placeholder="08xxxxxxxxxx">
+        `;
+    }
+
+    function renderFileUploadQuestion(questionId, options) {
+        const accept = (options.allowedFileTypes || []).map(type => `.${type}`).join(',');
+        const maxSizeMB = options.maxSizeMB || 5;
+        return `
+            <div class="file-upload-container">
+                <input type="file" id="question-${questionId}-file" class="form-control" data-question-id="${questionId}"
+                    data-max-size-mb="${maxSizeMB}" ${accept ? `accept="${accept}"` : ''}>
+                <input type="hidden" id="question-${questionId}" value="">
+                <small class="form-text">${t('maxFileSize', maxSizeMB)}${accept ? ` (${escapeHtml(accept)})` : ''}</small>
+                <span class="file-upload-status" id="file-upload-status-${questionId}"></span>
+            </div>
+        `;
+    }
+
     /**
      * Utility: Escape HTML to prevent XSS
      */
@@ -276,6 +466,7 @@ const SurveyRenderer = (function() {
     // Public API
     return {
         renderQuestionsPage,
-        renderQuestion
+        renderQuestion,
+        setLocale
     };
 })();
@@ -0,0 +1,102 @@
+/**
+ * event-definition.js
+ *
+ * Export/import definisi event (event, konfigurasi, questions, opsi, aturan
+ * kondisional dan referensi asset) sebagai JSON portabel, misalnya untuk
+ * memindahkan event dari DB office ke localdb:
+ *
+ *   npm run db:use:office
+ *   npm run db:event:export -- 12 event-12.json
+ *   npm run db:use:localdb
+ *   npm run db:event:import -- event-12.json --start 2026-01-01T00:00:00 --end 2026-12-31T23:59:59
+ *
+ * Usage:
+ *   node scripts/event-definition.js export <surveyId|surveyNo> [file]
+ *   node scripts/event-definition.js import <file> [--user <userId>] [--title <judul>] [--start <tanggal>] [--end <tanggal>]
+ *
+ * File upload (gambar) tidak ikut di dalam JSON. Import menampilkan daftar
+ * asset yang belum ada di folder upload environment tujuan.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const db = require("../src/database/connection");
+const surveyService = require("../src/services/surveyService");
+
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function getSuperAdminId(pool) {
+  const result = await pool.request().query(`
+    SELECT TOP 1 UserId FROM Users
+    WHERE Role = 'SuperAdmin' AND IsActive = 1
+    ORDER BY CreatedAt
+  `);
+  if (!result.recordset[0]) throw new Error("No active SuperAdmin found");
+  return result.recordset[0].UserId;
+}
+
+async function exportDefinition(surveyIdentifier, file) {
+  if (!surveyIdentifier) {
+    throw new Error("Survey ID atau nomor survey wajib diisi");
+  }
+
+  const definition = await surveyService.exportSurveyDefinition(surveyIdentifier);
+  const target = path.resolve(file || `event-${definition.source.surveyId}.json`);
+  fs.writeFileSync(target, `${JSON.stringify(definition, null, 2)}\n`, "utf8");
+
+  console.log(`✅ Definisi event "${definition.event.title}" diexport ke ${target}`);
+  console.log(`   Questions : ${definition.questions.length}`);
+  console.log(`   Assets    : ${definition.assets.length}`);
+}
+
+async function importDefinition(file, args) {
+  if (!file || !fs.existsSync(file)) {
+    throw new Error(`File definisi tidak ditemukan: ${file}`);
+  }
+
+  const definition = JSON.parse(fs.readFileSync(file, "utf8"));
+  const pool = await db.getPool();
+  const userId = readOption(args, "user") || (await getSuperAdminId(pool));
+
+  const { survey, missingAssets } = await surveyService.importSurveyDefinition(definition, {
+    title: readOption(args, "title"),
+    startDate: readOption(args, "start"),
+    endDate: readOption(args, "end"),
+    userId,
+  });
+
+  console.log(`✅ Event "${survey.Title}" diimport sebagai Draft`);
+  console.log(`   Survey ID : ${survey.SurveyId}`);
+  if (missingAssets.length > 0) {
+    console.log(`\n⚠️  ${missingAssets.length} asset belum ada di folder upload environment ini:`);
+    missingAssets.forEach((asset) => console.log(`   - ${asset.url} (${asset.usage})`));
+  }
+}
+
+async function run() {
+  const [command, target, ...rest] = process.argv.slice(2);
+
+  if (command === "export") {
+    await exportDefinition(target, rest[0] && !rest[0].startsWith("--") ? rest[0] : undefined);
+  } else if (command === "import") {
+    await importDefinition(target, rest);
+  } else {
+    console.log("Usage:");
+    console.log("  node scripts/event-definition.js export <surveyId|surveyNo> [file]");
+    console.log("  node scripts/event-definition.js import <file> [--user <userId>] [--title <judul>] [--start <tanggal>] [--end <tanggal>]");
+    process.exit(1);
+  }
+
+  await db.close();
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(async (error) => {
+    console.error("\n❌ Gagal:", error.message);
+    await db.close().catch(() => {});
+    process.exit(1);
+  });
@@ -7,6 +7,10 @@ const db = require('./src/database/connection');
 const { getTLSConfig } = require('./src/config/security');
 const { handleUnhandledRejection, handleUncaughtException } = require('./src/middleware/errorHandler');
 const scheduledOperationsProcessor = require('./src/services/scheduledOperationsProcessor');
+const eventLifecycleProcessor = require('./src/services/eventLifecycleProcessor');
+const approvalSlaProcessor = require('./src/services/approvalSlaProcessor');
+const approvalBulkJobProcessor = require('./src/services/approvalBulkJobProcessor');
+const responseAttachmentCleanupProcessor = require('./src/services/responseAttachmentCleanupProcessor');
 
 /**
  * Create HTTP or HTTPS server based on configuration
@@ -73,6 +77,30 @@ function ensureScheduledProcessorStarted() {
   scheduledOperationsProcessor.triggerProcessing().catch((error) => {
     logger.error('Initial scheduled operations trigger failed:', error);
   });
+
+  if (config.lifecycle.enabled) {
+    eventLifecycleProcessor.start();
+    eventLifecycleProcessor.triggerProcessing().catch((error) => {
+      logger.error('Initial event lifecycle trigger failed:', error);
+    });
+  }
+
+  // Digests are daily, so no run on startup: a restart must not resend them
+  if (config.approvalSla.enabled) {
+    approvalSlaProcessor.start();
+  }
+
+  // Resumes jobs interrupted by a restart
+  if (config.approvalBulkJobs.enabled) {
+    approvalBulkJobProcessor.start();
+    approvalBulkJobProcessor.triggerProcessing().catch((error) => {
+      logger.error('Initial approval bulk job trigger failed:', error);
+    });
+  }
+
+  if (config.attachmentCleanup.enabled) {
+    responseAttachmentCleanupProcessor.start();
+  }
 }
 
 /**
@@ -133,6 +161,10 @@ process.on('uncaughtException', handleUncaughtException);
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully...');
   scheduledOperationsProcessor.stop();
+  eventLifecycleProcessor.stop();
+  approvalSlaProcessor.stop();
+  approvalBulkJobProcessor.stop();
+  responseAttachmentCleanupProcessor.stop();
   await db.close();
   process.exit(0);
 });
@@ -140,6 +172,10 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully...');
   scheduledOperationsProcessor.stop();
+  eventLifecycleProcessor.stop();
+  approvalSlaProcessor.stop();
+  approvalBulkJobProcessor.stop();
+  responseAttachmentCleanupProcessor.stop();
   await db.close();
   process.exit(0);
 });
@@ -1,4 +1,3 @@
-const sql = require('./database/sql-client');
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
@@ -9,7 +8,8 @@ const swaggerUi = require('swagger-ui-express');
 const YAML = require('yamljs');
 
   
-const db = require('./database/connection');
+const shortLinkService = require('./services/shortLinkService');
+const emailTrackingService = require('./services/emailTrackingService');
 const { requireAuth, requirePermission } = require('./middleware/authMiddleware');
 
 /**
@@ -52,6 +52,44 @@ const passwordResetLimiter = rateLimit({
 app.use('/api/v1/auth/reset-password', passwordResetLimiter);
 app.use('/api/v1/auth/forgot-password', passwordResetLimiter);
 
+// Rate limiting - Public endpoints that send email to respondents
+const responseEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 emails per hour
+  handler: (req, res) => {
+    logger.warn('Response email rate limit exceeded', {
+      ip: req.ip,
+      path: req.path
+    });
+    res.status(429).json({
+      error: 'Too many email requests',
+      message: 'Too many email requests, please try again later.'
+    });
+  }
+});
+
+// Exact paths, so checking a verification code is not limited
+app.post('/api/v1/responses/email-verification', responseEmailLimiter);
+app.post('/api/v1/responses/edit/:editToken/email', responseEmailLimiter);
+
+// Rate limiting - Public attachment upload, checked before the file is read
+const responseAttachmentLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 uploads per 15 minutes
+  handler: (req, res) => {
+    logger.warn('Response attachment rate limit exceeded', {
+      ip: req.ip,
+      path: req.path
+    });
+    res.status(429).json({
+      error: 'Too many uploads',
+      message: 'Too many file uploads, please try again later.'
+    });
+  }
+});
+
+app.post('/api/v1/responses/survey/:surveyId/questions/:questionId/attachment', responseAttachmentLimiter);
+
 // Additional security middleware
 const { 
   securityHeaders, 
@@ -119,36 +157,75 @@ function registerExtensionlessPageRoutes(basePath, staticDir, defaultPage) {
 registerExtensionlessPageRoutes('/admin', adminStaticDir, 'login');
 registerExtensionlessPageRoutes('/survey', surveyStaticDir, 'index');
 
-// Short survey link redirect: /s/{first-8-survey-id}
+// Short survey link redirect: /s/{random-code}
 app.get('/s/:shortCode', async (req, res) => {
   try {
-    const shortCode = String(req.params.shortCode || '').trim();
-    if (!/^[0-9a-fA-F]{8}$/.test(shortCode)) {
-      return res.status(404).send('Invalid survey link');
+    if (!(await shortLinkService.hasSupport())) {
+      return res.status(404).send('Survey link not found');
     }
 
-    const pool = await db.getPool();
-    const result = await pool.request()
-      .input('prefix', sql.NVarChar(8), shortCode.toLowerCase())
-      .query(`
-        SELECT TOP 2 SurveyId
-        FROM Events
-        WHERE LOWER(CONVERT(NVARCHAR(36), SurveyId)) LIKE @prefix + '%'
-      `);
+    const shortLink = await shortLinkService.resolveShortLink(null, req.params.shortCode, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      referrer: req.get('referer')
+    });
 
-    if (!result.recordset || result.recordset.length !== 1) {
+    if (!shortLink) {
       return res.status(404).send('Survey link not found');
     }
 
-    const surveyId = result.recordset[0].SurveyId;
     const publicSurveyBaseUrl = config.publicSurveyBaseUrl || config.baseUrl || '';
-    return res.redirect(`${publicSurveyBaseUrl}/survey/${encodeURIComponent(surveyId)}`);
+    const target = `${publicSurveyBaseUrl}/survey/${encodeURIComponent(shortLink.surveyId)}?ref=${encodeURIComponent(shortLink.code)}`;
+    // Keep the email reference added by tracked email links
+    return res.redirect(
+      emailTrackingService.isValidEmailLogId(req.query.eml)
+        ? emailTrackingService.appendTrackingParam(target, String(req.query.eml).trim())
+        : target
+    );
   } catch (error) {
     logger.error('Short link redirect error:', error);
     return res.status(500).send('Failed to resolve survey link');
   }
 });
 
+// Survey email tracking: open pixel and tracked survey link redirect
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+app.get('/e/:emailLogId/open.gif', async (req, res) => {
+  try {
+    await emailTrackingService.recordEvent(null, req.params.emailLogId, 'Open', {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    logger.error('Email open tracking error:', error);
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+  });
+  return res.send(TRACKING_PIXEL);
+});
+
+app.get('/e/:emailLogId/click', async (req, res) => {
+  try {
+    const tracked = await emailTrackingService.recordEvent(null, req.params.emailLogId, 'Click', {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (!tracked) {
+      return res.status(404).send('Survey link not found');
+    }
+
+    return res.redirect(emailTrackingService.appendTrackingParam(tracked.trackedLink, tracked.emailLogId));
+  } catch (error) {
+    logger.error('Email click tracking error:', error);
+    return res.status(500).send('Failed to resolve survey link');
+  }
+});
+
 // Serve static files
 app.use('/admin', express.static(path.join(__dirname, '../public/admin')));
 app.use('/survey', express.static(path.join(__dirname, '../public/survey')));
@@ -144,6 +144,52 @@ const config = {
     file: process.env.LOG_FILE || 'logs/app.log'
   },
 
+  // Event lifecycle (auto open / close / archive)
+  lifecycle: {
+    enabled: process.env.EVENT_LIFECYCLE_ENABLED !== 'false',
+    schedule: process.env.EVENT_LIFECYCLE_SCHEDULE || '*/5 * * * *',
+    archiveAfterDays: process.env.EVENT_ARCHIVE_AFTER_DAYS !== undefined ? parseInt(process.env.EVENT_ARCHIVE_AFTER_DAYS, 10) : 90,
+    notifyAdmins: process.env.EVENT_LIFECYCLE_NOTIFY_ADMINS === 'true'
+  },
+
+  // Kiosk devices: how long after capture an offline submission may still sync
+  kiosk: {
+    syncGraceHours: parseInt(process.env.KIOSK_SYNC_GRACE_HOURS || '72', 10)
+  },
+
+  // Approval SLA (daily approver digests, escalation of overdue approvals)
+  approvalSla: {
+    enabled: process.env.APPROVAL_SLA_ENABLED !== 'false',
+    schedule: process.env.APPROVAL_SLA_SCHEDULE || '0 8 * * *',
+    itLeadHours: parseInt(process.env.APPROVAL_SLA_IT_LEAD_HOURS || '72', 10),
+    departmentHeadHours: parseInt(process.env.APPROVAL_SLA_DEPARTMENT_HEAD_HOURS || '72', 10),
+    takeoutDecisionHours: parseInt(process.env.APPROVAL_SLA_TAKEOUT_DECISION_HOURS || '48', 10),
+    superAdminAfterHours: parseInt(process.env.APPROVAL_SLA_SUPER_ADMIN_AFTER_HOURS || '48', 10)
+  },
+
+  // Filter-based bulk approvals processed in the background
+  approvalBulkJobs: {
+    enabled: process.env.APPROVAL_BULK_JOBS_ENABLED !== 'false',
+    schedule: process.env.APPROVAL_BULK_JOBS_SCHEDULE || '* * * * *',
+    batchSize: parseInt(process.env.APPROVAL_BULK_JOBS_BATCH_SIZE || '50', 10)
+  },
+
+  // Removal of response attachments no submitted answer or open draft refers to
+  attachmentCleanup: {
+    enabled: process.env.ATTACHMENT_CLEANUP_ENABLED !== 'false',
+    schedule: process.env.ATTACHMENT_CLEANUP_SCHEDULE || '0 3 * * *',
+    orphanHours: parseInt(process.env.ATTACHMENT_ORPHAN_HOURS || '48', 10)
+  },
+
+  // Survey content languages (defaultLocale is the language events are authored in)
+  i18n: {
+    defaultLocale: (process.env.DEFAULT_LOCALE || 'id').trim().toLowerCase(),
+    supportedLocales: (process.env.SUPPORTED_LOCALES || 'id,en')
+      .split(',')
+      .map((locale) => locale.trim().toLowerCase())
+      .filter(Boolean)
+  },
+
   // Development startup retry
   startup: {
     dbRetryEnabled: process.env.DB_RETRY_ENABLED !== 'false',
@@ -241,6 +287,10 @@ function validateConfig() {
   if (config.upload.maxFileSizeMB < 1 || config.upload.maxFileSizeMB > 100) {
     errors.push('Max file size must be between 1 and 100 MB');
   }
+  // Respondents still filling in a form need their uploads to survive until they submit
+  if (!(config.attachmentCleanup.orphanHours >= 1)) {
+    errors.push('Attachment orphan hours must be at least 1');
+  }
 
   // Throw error if validation fails
   if (errors.length > 0) {
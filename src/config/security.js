@@ -38,6 +38,7 @@ function configureCORS() {
       'Content-Type',
       'Authorization',
       'X-CSRF-Token',
+      'X-Kiosk-Token',
       'X-Requested-With'
     ],
     exposedHeaders: ['X-CSRF-Token'],
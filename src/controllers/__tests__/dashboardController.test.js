@@ -0,0 +1,115 @@
+jest.mock('../../services/dashboardService', () => ({
+  getAdminStats: jest.fn(),
+  getITLeadStats: jest.fn(),
+  getDeptHeadStats: jest.fn(),
+}));
+
+jest.mock('../../config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+}));
+
+const dashboardService = require('../../services/dashboardService');
+const dashboardController = require('../dashboardController');
+
+function createResponse() {
+  return {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+}
+
+describe('dashboardController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getAdminStats', () => {
+    it('should return flat statistics consumed by the dashboard page', async () => {
+      const stats = {
+        totalSurveys: 4,
+        activeSurveys: 2,
+        pendingApprovals: 7,
+        totalResponses: 120,
+        approvalBacklog: { submitted: 5, pendingAdminTakeoutDecision: 2 },
+        activeEvents: [],
+      };
+      dashboardService.getAdminStats.mockResolvedValue(stats);
+
+      const req = { user: { userId: 'admin-1', role: 'AdminEvent' } };
+      const res = createResponse();
+
+      await dashboardController.getAdminStats(req, res);
+
+      expect(dashboardService.getAdminStats).toHaveBeenCalledWith('admin-1', 'AdminEvent');
+      expect(res.json).toHaveBeenCalledWith({ success: true, ...stats });
+    });
+
+    it('should map unexpected errors to 500 response', async () => {
+      dashboardService.getAdminStats.mockRejectedValue(new Error('db down'));
+
+      const req = { user: { userId: 'admin-1', role: 'SuperAdmin' } };
+      const res = createResponse();
+
+      await dashboardController.getAdminStats(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('getITLeadStats', () => {
+    it('should scope statistics to the current IT Lead', async () => {
+      dashboardService.getITLeadStats.mockResolvedValue({
+        pendingApprovals: 3,
+        approvedCount: 10,
+        rejectedCount: 1,
+        assignedFunctions: 2,
+      });
+
+      const req = { user: { userId: 'lead-1', role: 'ITLead' } };
+      const res = createResponse();
+
+      await dashboardController.getITLeadStats(req, res);
+
+      expect(dashboardService.getITLeadStats).toHaveBeenCalledWith('lead-1');
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: true,
+        pendingApprovals: 3,
+        assignedFunctions: 2,
+      }));
+    });
+  });
+
+  describe('getDeptHeadStats', () => {
+    it('should ignore department override for Department Head users', async () => {
+      dashboardService.getDeptHeadStats.mockResolvedValue({ averageScore: 8.5 });
+
+      const req = {
+        query: { departmentId: 'other-dept' },
+        user: { userId: 'head-1', role: 'DepartmentHead' },
+      };
+      const res = createResponse();
+
+      await dashboardController.getDeptHeadStats(req, res);
+
+      expect(dashboardService.getDeptHeadStats).toHaveBeenCalledWith('head-1', 'DepartmentHead', null);
+    });
+
+    it('should map unauthorized errors to 403 response', async () => {
+      const error = new Error('Department Head must be assigned to a department');
+      error.name = 'UnauthorizedError';
+      dashboardService.getDeptHeadStats.mockRejectedValue(error);
+
+      const req = { query: {}, user: { userId: 'head-1', role: 'DepartmentHead' } };
+      const res = createResponse();
+
+      await dashboardController.getDeptHeadStats(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Access denied',
+        message: 'Department Head must be assigned to a department',
+      });
+    });
+  });
+});
@@ -3,6 +3,7 @@ jest.mock('../../services/reportService', () => ({
   viewReport: jest.fn(),
   exportToExcel: jest.fn(),
   exportToPdf: jest.fn(),
+  getTrends: jest.fn(),
 }));
 
 jest.mock('../../config/logger', () => ({
@@ -119,4 +120,49 @@ describe('reportController', () => {
       expect(res.send).toHaveBeenCalledWith(buffer);
     });
   });
+
+  describe('getTrends', () => {
+    it('should pass query filters and requester context to the service', async () => {
+      const trends = { dimension: 'application', events: [], eventSeries: [], cycles: [], cycleSeries: [] };
+      reportService.getTrends.mockResolvedValue(trends);
+
+      const req = {
+        query: { surveyId: ' survey-1 ', dimension: 'application', limit: '3' },
+        user: { userId: 'user-1', role: 'AdminEvent' },
+      };
+      const res = createResponse();
+
+      await reportController.getTrends(req, res);
+
+      expect(reportService.getTrends).toHaveBeenCalledWith({
+        surveyId: 'survey-1',
+        dimension: 'application',
+        limit: '3',
+        departmentId: null,
+        userId: 'user-1',
+        userRole: 'AdminEvent',
+      });
+      expect(res.json).toHaveBeenCalledWith({ success: true, trends });
+    });
+
+    it('should map validation errors to 400 response', async () => {
+      const error = new Error('Trend dimension must be one of: function, application, department');
+      error.name = 'ValidationError';
+      reportService.getTrends.mockRejectedValue(error);
+
+      const req = {
+        query: { surveyId: 'survey-1', dimension: 'region' },
+        user: { userId: 'user-1', role: 'AdminEvent' },
+      };
+      const res = createResponse();
+
+      await reportController.getTrends(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation error',
+        message: 'Trend dimension must be one of: function, application, department',
+      });
+    });
+  });
 });
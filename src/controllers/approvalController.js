@@ -1,5 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
 const approvalService = require('../services/approvalService');
+const approvalBulkJobProcessor = require('../services/approvalBulkJobProcessor');
 const logger = require('../config/logger');
 
 function handleApprovalError(res, error, fallbackMessage) {
@@ -24,6 +25,125 @@ function handleApprovalError(res, error, fallbackMessage) {
   });
 }
 
+const eventTypeIdValidation = [
+  param('eventTypeId').isUUID().withMessage('Invalid event type ID')
+];
+
+const saveApprovalWorkflowValidation = [
+  ...eventTypeIdValidation,
+  body('name').trim().notEmpty().withMessage('Workflow name is required')
+    .isLength({ max: 200 }).withMessage('Workflow name must not exceed 200 characters'),
+  body('stages').isArray({ max: 10 }).withMessage('Stages must be an array of at most 10 items')
+];
+
+const pendingStageApprovalsValidation = [
+  query('surveyId').optional().isString().trim().notEmpty().withMessage('Invalid survey ID'),
+  query('overdueOnly').optional().isBoolean().withMessage('overdueOnly must be a boolean')
+];
+
+const delegationListValidation = [
+  query('userId').optional().isUUID().withMessage('Invalid user ID'),
+  query('activeOnly').optional().isBoolean().withMessage('activeOnly must be a boolean')
+];
+
+const createDelegationValidation = [
+  body('delegateUserId').isUUID().withMessage('Invalid delegate user ID'),
+  body('delegatorUserId').optional().isUUID().withMessage('Invalid approver user ID'),
+  body('startDate').isISO8601({ strict: true }).withMessage('startDate must be a date (YYYY-MM-DD)'),
+  body('endDate').isISO8601({ strict: true }).withMessage('endDate must be a date (YYYY-MM-DD)'),
+  body('reason').optional({ nullable: true }).isString().isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+];
+
+const delegationIdValidation = [
+  param('delegationId').isUUID().withMessage('Invalid delegation ID')
+];
+
+const approvalAgeingValidation = [
+  query('surveyId').optional().isString().trim().notEmpty().withMessage('Invalid survey ID')
+];
+
+const takeoutReasonListValidation = [
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be a boolean')
+];
+
+const saveTakeoutReasonValidation = [
+  param('reasonCode').matches(/^[A-Za-z][A-Za-z0-9_]{1,49}$/)
+    .withMessage('reasonCode must be 2-50 characters of letters, digits or _'),
+  body('label').isString().trim().notEmpty().withMessage('Label is required')
+    .isLength({ max: 200 }).withMessage('Label must not exceed 200 characters'),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  body('requiresDetail').optional().isBoolean().withMessage('requiresDetail must be a boolean'),
+  body('sortOrder').optional().isInt({ min: 0, max: 9999 }).withMessage('sortOrder must be between 0 and 9999'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+const takeoutAnalyticsValidation = [
+  query('surveyId').optional().isString().trim().notEmpty().withMessage('Invalid survey ID'),
+  query('from').optional().isISO8601({ strict: true }).withMessage('from must be a date (YYYY-MM-DD)'),
+  query('to').optional().isISO8601({ strict: true }).withMessage('to must be a date (YYYY-MM-DD)')
+];
+
+const reopenReasonValidation = body('reason').isString().trim().notEmpty().withMessage('Reason is required')
+  .isLength({ max: 1000 }).withMessage('Reason must not exceed 1000 characters');
+
+const reopenResponseValidation = [
+  param('responseId').isUUID().withMessage('Invalid response ID'),
+  body('targetStage').isString().trim().notEmpty().withMessage('targetStage is required'),
+  reopenReasonValidation
+];
+
+const reopenQuestionResponseValidation = [
+  param('responseId').isUUID().withMessage('Invalid response ID'),
+  param('questionId').isUUID().withMessage('Invalid question ID'),
+  body('targetStatus').isIn(['ProposedTakeout', 'Active']).withMessage('targetStatus must be ProposedTakeout or Active'),
+  reopenReasonValidation
+];
+
+const bulkJobFilterValidation = [
+  body('action').isIn(['ApproveInitial', 'ApproveFinal', 'ProposeTakeout'])
+    .withMessage('action must be ApproveInitial, ApproveFinal or ProposeTakeout'),
+  body('surveyId').isString().trim().notEmpty().withMessage('Survey ID is required'),
+  body('applicationId').optional({ nullable: true }).isUUID().withMessage('Invalid application ID'),
+  body('departmentId').optional({ nullable: true }).isUUID().withMessage('Invalid department ID'),
+  body('duplicateFilter').optional().isIn(['all', 'duplicate', 'unique'])
+    .withMessage('duplicateFilter must be all, duplicate or unique'),
+  body('questionIds').optional().isArray({ min: 1, max: 50 }).withMessage('questionIds must contain 1-50 questions'),
+  body('questionIds.*').optional().isUUID().withMessage('Invalid question ID')
+];
+
+const createBulkJobValidation = [
+  ...bulkJobFilterValidation,
+  body('reason').optional({ nullable: true }).isString().isLength({ max: 1000 })
+    .withMessage('Reason must not exceed 1000 characters'),
+  body('reasonCode').optional({ nullable: true }).isString().isLength({ max: 50 }).withMessage('Invalid reason code'),
+  body('expectedTotal').optional().isInt({ min: 1 }).withMessage('expectedTotal must be a positive number')
+];
+
+const bulkJobIdValidation = [
+  param('jobId').isUUID().withMessage('Invalid job ID')
+];
+
+const bulkJobItemsValidation = [
+  ...bulkJobIdValidation,
+  query('status').optional().isIn(['Pending', 'Succeeded', 'Skipped', 'Failed']).withMessage('Invalid item status'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('offset must be 0 or more')
+];
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    error: 'Validation failed',
+    details: errors.array()
+  });
+  return true;
+}
+
 /**
  * Propose takeout for question
  * POST /api/v1/approvals/propose-takeout
@@ -32,13 +152,13 @@ function handleApprovalError(res, error, fallbackMessage) {
  */
 async function proposeTakeoutForQuestion(req, res) {
   try {
-    const { responseId, questionId, reason } = req.body;
+    const { responseId, questionId, reason, reasonCode } = req.body;
     const proposedBy = req.user?.userId;
 
-    if (!responseId || !questionId || !reason) {
+    if (!responseId || !questionId || (!reason && !reasonCode)) {
       return res.status(400).json({
         error: 'Validation failed',
-        message: 'Response ID, question ID, and reason are required'
+        message: 'Response ID, question ID, and a reason code or reason are required'
       });
     }
 
@@ -46,6 +166,7 @@ async function proposeTakeoutForQuestion(req, res) {
       responseId,
       questionId,
       reason,
+      reasonCode,
       proposedBy,
       proposedByRole: req.user?.role
     });
@@ -75,10 +196,10 @@ async function proposeTakeoutForQuestion(req, res) {
  */
 async function bulkProposeTakeout(req, res) {
   try {
-    const { responseIds, questionIds, reason } = req.body;
+    const { responseIds, questionIds, reason, reasonCode } = req.body;
     const proposedBy = req.user?.userId;
 
-    const result = await approvalService.bulkProposeTakeout(responseIds, questionIds, reason, proposedBy);
+    const result = await approvalService.bulkProposeTakeout(responseIds, questionIds, reason, proposedBy, reasonCode);
 
     if (!result.success) {
       return res.status(400).json({
@@ -144,7 +265,7 @@ async function cancelProposedTakeout(req, res) {
  */
 async function approveProposedTakeout(req, res) {
   try {
-    const { responseId, questionId, reason } = req.body;
+    const { responseId, questionId, reason, reasonCode } = req.body;
     const approvedBy = req.user?.userId;
 
     const result = await approvalService.approveProposedTakeout(
@@ -152,7 +273,8 @@ async function approveProposedTakeout(req, res) {
       questionId,
       approvedBy,
       reason,
-      req.user?.role
+      req.user?.role,
+      reasonCode
     );
 
     if (!result.success) {
@@ -339,7 +461,7 @@ async function approveFinalResponses(req, res) {
     const result = await approvalService.approveFinalResponses(responseIds, approvedBy, reason || null, req.user?.role);
     res.json({
       success: true,
-      message: 'Response berhasil di-approve final oleh IT Lead',
+      message: 'Response berhasil di-approve pada tahap approval',
       data: result
     });
   } catch (error) {
@@ -604,7 +726,478 @@ async function getApprovalStatistics(req, res) {
   }
 }
 
+/**
+ * Get responses waiting on the requester's approval stage (IT Lead or Department Head)
+ * GET /api/v1/approvals/stage-pending
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getPendingStageApprovals(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const responses = await approvalService.getPendingStageApprovals(req.user?.userId, req.user?.role, {
+      surveyId: req.query.surveyId,
+      overdueOnly: req.query.overdueOnly === 'true'
+    });
+
+    res.json({
+      success: true,
+      responses
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while fetching pending stage approvals');
+  }
+}
+
+/**
+ * Get the ageing report of the approval backlog (by stage and by IT Lead)
+ * GET /api/v1/approvals/sla/ageing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getApprovalAgeingReport(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const report = await approvalService.getApprovalAgeingReport({
+      surveyId: req.query.surveyId,
+      requesterUserId: req.user?.userId,
+      requesterRole: req.user?.role
+    });
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while fetching the approval ageing report');
+  }
+}
+
+/**
+ * List approver delegations given or received by the requester (all for SuperAdmin)
+ * GET /api/v1/approvals/delegations
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getDelegations(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const delegations = await approvalService.getDelegations(req.user, {
+      userId: req.query.userId,
+      activeOnly: req.query.activeOnly === 'true'
+    });
+    res.json({
+      success: true,
+      delegations
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while fetching delegations');
+  }
+}
+
+/**
+ * Register a delegate who takes over an approver's queue for a date range
+ * POST /api/v1/approvals/delegations
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createDelegation(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const delegation = await approvalService.createDelegation({
+      delegatorUserId: req.body.delegatorUserId,
+      delegateUserId: req.body.delegateUserId,
+      startDate: req.body.startDate,
+      endDate: req.body.endDate,
+      reason: req.body.reason
+    }, req.user);
+    res.status(201).json({
+      success: true,
+      delegation
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while creating the delegation');
+  }
+}
+
+/**
+ * Revoke a delegation before its end date
+ * DELETE /api/v1/approvals/delegations/:delegationId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function revokeDelegation(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const delegation = await approvalService.revokeDelegation(req.params.delegationId, req.user);
+    res.json({
+      success: true,
+      delegation
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while revoking the delegation');
+  }
+}
+
+/**
+ * Send a finalised response back to an earlier approval stage
+ * POST /api/v1/approvals/responses/:responseId/reopen
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function reopenResponse(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const result = await approvalService.reopenResponse(req.params.responseId, {
+      targetStage: req.body.targetStage,
+      reason: req.body.reason
+    }, req.user);
+    res.json({
+      success: true,
+      message: 'Response reopened successfully',
+      ...result
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while reopening the response');
+  }
+}
+
+/**
+ * Send a taken out answer of a finalised response back to the takeout decision or restore it
+ * POST /api/v1/approvals/responses/:responseId/questions/:questionId/reopen
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function reopenQuestionResponse(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const result = await approvalService.reopenQuestionResponse(req.params.responseId, req.params.questionId, {
+      targetStatus: req.body.targetStatus,
+      reason: req.body.reason
+    }, req.user);
+    res.json({
+      success: true,
+      message: 'Answer reopened successfully',
+      ...result
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while reopening the answer');
+  }
+}
+
+function readBulkJobFilter(body) {
+  return {
+    action: body.action,
+    surveyId: body.surveyId,
+    applicationId: body.applicationId || null,
+    departmentId: body.departmentId || null,
+    duplicateFilter: body.duplicateFilter || 'all',
+    questionIds: body.questionIds
+  };
+}
+
+/**
+ * Count and list the responses a filter-based bulk approval would process
+ * POST /api/v1/approvals/bulk-jobs/preview
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function previewBulkApproval(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const preview = await approvalService.previewBulkApproval(readBulkJobFilter(req.body), req.user);
+    res.json({
+      success: true,
+      ...preview
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while previewing the bulk approval');
+  }
+}
+
+/**
+ * Queue a filter-based bulk approval as a background job
+ * POST /api/v1/approvals/bulk-jobs
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createBulkApprovalJob(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const job = await approvalService.createBulkApprovalJob({
+      ...readBulkJobFilter(req.body),
+      reason: req.body.reason || null,
+      reasonCode: req.body.reasonCode || null,
+      expectedTotal: req.body.expectedTotal !== undefined ? Number(req.body.expectedTotal) : undefined
+    }, req.user);
+
+    // Start right away instead of on the next schedule; a running processor picks the job up itself
+    approvalBulkJobProcessor.triggerProcessing().catch((error) => {
+      logger.debug(`Bulk job ${job.jobId} left to the scheduled run: ${error.message}`);
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Bulk approval job queued',
+      job
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while queueing the bulk approval');
+  }
+}
+
+/**
+ * List the bulk approval jobs of the requester (all jobs for SuperAdmin)
+ * GET /api/v1/approvals/bulk-jobs
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getBulkApprovalJobs(req, res) {
+  try {
+    const jobs = await approvalService.getBulkApprovalJobs(req.user);
+    res.json({
+      success: true,
+      jobs
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while fetching bulk approval jobs');
+  }
+}
+
+/**
+ * Get the status and progress of a bulk approval job
+ * GET /api/v1/approvals/bulk-jobs/:jobId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getBulkApprovalJob(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const job = await approvalService.getBulkApprovalJob(req.params.jobId, req.user);
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while fetching the bulk approval job');
+  }
+}
+
+/**
+ * Get the per-response result log of a bulk approval job
+ * GET /api/v1/approvals/bulk-jobs/:jobId/items
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getBulkApprovalJobItems(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { job, items } = await approvalService.getBulkApprovalJobItems(req.params.jobId, req.user, {
+      status: req.query.status,
+      limit: req.query.limit !== undefined ? Number(req.query.limit) : undefined,
+      offset: req.query.offset !== undefined ? Number(req.query.offset) : undefined
+    });
+    res.json({
+      success: true,
+      job,
+      items
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while fetching the bulk approval job items');
+  }
+}
+
+/**
+ * List the takeout reason catalogue
+ * GET /api/v1/takeout-reasons
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getTakeoutReasons(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const reasons = await approvalService.getTakeoutReasons({
+      includeInactive: req.query.includeInactive === 'true'
+    });
+    res.json({
+      success: true,
+      reasons
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while fetching takeout reasons');
+  }
+}
+
+/**
+ * Create or update a takeout reason
+ * PUT /api/v1/takeout-reasons/:reasonCode
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function saveTakeoutReason(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { reason, created } = await approvalService.saveTakeoutReason(
+      req.params.reasonCode,
+      {
+        label: req.body.label,
+        description: req.body.description,
+        requiresDetail: req.body.requiresDetail === true || req.body.requiresDetail === 'true',
+        sortOrder: req.body.sortOrder !== undefined ? Number(req.body.sortOrder) : undefined,
+        isActive: !(req.body.isActive === false || req.body.isActive === 'false')
+      },
+      req.user?.userId
+    );
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Takeout reason created successfully' : 'Takeout reason updated successfully',
+      reason
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while saving the takeout reason');
+  }
+}
+
+/**
+ * Get takeout counts by reason, by IT Lead and by application
+ * GET /api/v1/approvals/takeout-analytics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getTakeoutAnalytics(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const analytics = await approvalService.getTakeoutAnalytics({
+      surveyId: req.query.surveyId,
+      from: req.query.from,
+      to: req.query.to,
+      requesterUserId: req.user?.userId,
+      requesterRole: req.user?.role
+    });
+    res.json({
+      success: true,
+      analytics
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while fetching takeout analytics');
+  }
+}
+
+/**
+ * Get approval workflows of all active event types
+ * GET /api/v1/approval-workflows
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getApprovalWorkflows(req, res) {
+  try {
+    const workflows = await approvalService.getApprovalWorkflows();
+    res.json({
+      success: true,
+      workflows
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while fetching approval workflows');
+  }
+}
+
+/**
+ * Get the approval workflow of an event type
+ * GET /api/v1/approval-workflows/:eventTypeId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getApprovalWorkflow(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const workflow = await approvalService.getApprovalWorkflow(req.params.eventTypeId);
+    res.json({
+      success: true,
+      workflow
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while fetching the approval workflow');
+  }
+}
+
+/**
+ * Create or replace the approval workflow of an event type
+ * PUT /api/v1/approval-workflows/:eventTypeId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function saveApprovalWorkflow(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const workflow = await approvalService.saveApprovalWorkflow(
+      req.params.eventTypeId,
+      { name: req.body.name, stages: req.body.stages },
+      req.user?.userId
+    );
+    res.json({
+      success: true,
+      message: 'Approval workflow saved successfully',
+      workflow
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while saving the approval workflow');
+  }
+}
+
+/**
+ * Remove the custom workflow of an event type so it uses the default path again
+ * DELETE /api/v1/approval-workflows/:eventTypeId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function resetApprovalWorkflow(req, res) {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const workflow = await approvalService.resetApprovalWorkflow(req.params.eventTypeId);
+    res.json({
+      success: true,
+      message: 'Approval workflow reset to default',
+      workflow
+    });
+  } catch (error) {
+    return handleApprovalError(res, error, 'An error occurred while resetting the approval workflow');
+  }
+}
+
 module.exports = {
+  eventTypeIdValidation,
+  saveApprovalWorkflowValidation,
+  pendingStageApprovalsValidation,
+  approvalAgeingValidation,
+  delegationListValidation,
+  createDelegationValidation,
+  delegationIdValidation,
+  takeoutReasonListValidation,
+  saveTakeoutReasonValidation,
+  takeoutAnalyticsValidation,
+  reopenResponseValidation,
+  reopenQuestionResponseValidation,
+  bulkJobFilterValidation,
+  createBulkJobValidation,
+  bulkJobIdValidation,
+  bulkJobItemsValidation,
   proposeTakeoutForQuestion,
   bulkProposeTakeout,
   cancelProposedTakeout,
@@ -622,5 +1215,24 @@ module.exports = {
   getBestComments,
   getBestCommentsWithFeedback,
   submitBestCommentFeedback,
-  getApprovalStatistics
+  getApprovalStatistics,
+  getPendingStageApprovals,
+  getApprovalAgeingReport,
+  getDelegations,
+  createDelegation,
+  revokeDelegation,
+  getTakeoutReasons,
+  saveTakeoutReason,
+  getTakeoutAnalytics,
+  reopenResponse,
+  reopenQuestionResponse,
+  previewBulkApproval,
+  createBulkApprovalJob,
+  getBulkApprovalJobs,
+  getBulkApprovalJob,
+  getBulkApprovalJobItems,
+  getApprovalWorkflows,
+  getApprovalWorkflow,
+  saveApprovalWorkflow,
+  resetApprovalWorkflow
 };
@@ -0,0 +1,89 @@
+const dashboardService = require('../services/dashboardService');
+const logger = require('../config/logger');
+
+function handleDashboardError(error, res, fallbackMessage) {
+  const name = String(error?.name || '');
+  if (name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: error.message || fallbackMessage
+    });
+  }
+  if (name === 'UnauthorizedError') {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: error.message || fallbackMessage
+    });
+  }
+  return res.status(500).json({
+    error: 'Internal server error',
+    message: fallbackMessage
+  });
+}
+
+/**
+ * Get admin dashboard statistics
+ * GET /api/v1/dashboard/admin-stats
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getAdminStats(req, res) {
+  try {
+    const stats = await dashboardService.getAdminStats(req.user?.userId, req.user?.role);
+
+    res.json({
+      success: true,
+      ...stats
+    });
+  } catch (error) {
+    logger.error('Get admin dashboard stats controller error:', error);
+    return handleDashboardError(error, res, 'An error occurred while retrieving dashboard statistics');
+  }
+}
+
+/**
+ * Get IT Lead dashboard statistics
+ * GET /api/v1/dashboard/it-lead-stats
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getITLeadStats(req, res) {
+  try {
+    const stats = await dashboardService.getITLeadStats(req.user?.userId);
+
+    res.json({
+      success: true,
+      ...stats
+    });
+  } catch (error) {
+    logger.error('Get IT Lead dashboard stats controller error:', error);
+    return handleDashboardError(error, res, 'An error occurred while retrieving dashboard statistics');
+  }
+}
+
+/**
+ * Get Department Head dashboard statistics
+ * GET /api/v1/dashboard/dept-head-stats
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getDeptHeadStats(req, res) {
+  try {
+    const departmentId = req.user?.role === 'DepartmentHead' ? null : (req.query.departmentId || null);
+    const stats = await dashboardService.getDeptHeadStats(req.user?.userId, req.user?.role, departmentId);
+
+    res.json({
+      success: true,
+      ...stats
+    });
+  } catch (error) {
+    logger.error('Get Department Head dashboard stats controller error:', error);
+    return handleDashboardError(error, res, 'An error occurred while retrieving dashboard statistics');
+  }
+}
+
+module.exports = {
+  getAdminStats,
+  getITLeadStats,
+  getDeptHeadStats
+};
@@ -1,5 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
 const emailService = require('../services/emailService');
+const emailTrackingService = require('../services/emailTrackingService');
 const logger = require('../config/logger');
 
 function handleEmailError(res, error, fallbackMessage) {
@@ -128,6 +129,75 @@ async function getNonRespondents(req, res) {
   }
 }
 
+/**
+ * Record that a respondent opened the survey form from a tracked email
+ * POST /api/v1/emails/tracking/:emailLogId/start
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function trackSurveyStart(req, res) {
+  try {
+    const tracked = await emailTrackingService.recordEvent(null, req.params.emailLogId, 'Start', {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      tracked: Boolean(tracked)
+    });
+
+  } catch (error) {
+    return handleEmailError(res, error, 'An error occurred while tracking survey start');
+  }
+}
+
+/**
+ * Get the sent -> opened -> clicked -> started -> submitted funnel of survey emails
+ * GET /api/v1/emails/funnel?surveyId=&emailType=
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getEmailFunnel(req, res) {
+  try {
+    const surveyId = String(req.query.surveyId || '').trim();
+    const emailType = String(req.query.emailType || '').trim();
+
+    if (surveyId && !/^[0-9a-fA-F-]{36}$/.test(surveyId)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Survey ID must be a valid UUID'
+      });
+    }
+    if (emailType && !emailTrackingService.isTrackedEmailType(emailType)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Email type must be Blast or Reminder'
+      });
+    }
+
+    if (!(await emailTrackingService.hasSupport())) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Email tracking is not available. Run migration 037 first.'
+      });
+    }
+
+    const funnel = await emailTrackingService.getFunnel(null, {
+      surveyId: surveyId || null,
+      emailType: emailType || null
+    });
+
+    res.json({
+      success: true,
+      ...funnel
+    });
+
+  } catch (error) {
+    return handleEmailError(res, error, 'An error occurred while fetching email funnel');
+  }
+}
+
 /**
  * Send approval notification
  * POST /api/v1/emails/approval-notification
@@ -233,6 +303,8 @@ module.exports = {
   getTargetRecipients,
   sendReminders,
   getNonRespondents,
+  trackSurveyStart,
+  getEmailFunnel,
   sendApprovalNotification,
   sendRejectionNotification,
   getTemplate
@@ -1,6 +1,8 @@
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const surveyService = require('../services/surveyService');
+const questionBankService = require('../services/questionBankService');
 const logger = require('../config/logger');
+const { QUESTION_TYPES } = require('../services/survey-service/question-types');
 
 /**
  * Validation rules for adding a question
@@ -9,7 +11,7 @@ const addQuestionValidation = [
   body('surveyId').optional().isUUID().withMessage('Survey ID must be a valid UUID'),
   body('type')
     .notEmpty().withMessage('Question type is required')
-    .isIn(['HeroCover', 'Text', 'MultipleChoice', 'Checkbox', 'Dropdown', 'MatrixLikert', 'Rating', 'Date', 'Signature'])
+    .isIn(QUESTION_TYPES)
     .withMessage('Invalid question type'),
   body('promptText')
     .optional()
@@ -30,7 +32,10 @@ const addQuestionValidation = [
     .isInt({ min: 1 }).withMessage('Page number must be a positive integer'),
   body('layoutOrientation')
     .optional()
-    .isIn(['vertical', 'horizontal']).withMessage('Invalid layout orientation')
+    .isIn(['vertical', 'horizontal']).withMessage('Invalid layout orientation'),
+  body('bankQuestionId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('bankQuestionId must be a valid UUID')
 ];
 
 /**
@@ -41,7 +46,7 @@ const updateQuestionValidation = [
   body('surveyId').optional().isUUID().withMessage('Survey ID must be a valid UUID'),
   body('type')
     .optional()
-    .isIn(['HeroCover', 'Text', 'MultipleChoice', 'Checkbox', 'Dropdown', 'MatrixLikert', 'Rating', 'Date', 'Signature'])
+    .isIn(QUESTION_TYPES)
     .withMessage('Invalid question type'),
   body('promptText')
     .optional()
@@ -62,7 +67,10 @@ const updateQuestionValidation = [
     .isInt({ min: 1 }).withMessage('Page number must be a positive integer'),
   body('layoutOrientation')
     .optional()
-    .isIn(['vertical', 'horizontal']).withMessage('Invalid layout orientation')
+    .isIn(['vertical', 'horizontal']).withMessage('Invalid layout orientation'),
+  body('bankQuestionId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('bankQuestionId must be a valid UUID')
 ];
 
 /**
@@ -75,6 +83,67 @@ const reorderQuestionsValidation = [
     .notEmpty().withMessage('Question orders cannot be empty')
 ];
 
+const questionKeyValidation = param('questionKey')
+  .trim()
+  .matches(/^[A-Za-z0-9][A-Za-z0-9_.-]{1,99}$/)
+  .withMessage('questionKey must be 2-100 characters of letters, digits, ".", "_" or "-"');
+
+/**
+ * Validation rules for listing the question bank
+ */
+const getBankQuestionsValidation = [
+  query('category')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('category must not exceed 100 characters'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('search must not exceed 200 characters'),
+  query('includeInactive')
+    .optional()
+    .isBoolean().withMessage('includeInactive must be a boolean')
+];
+
+const bankQuestionContentValidation = (optional) => [
+  body('category')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 }).withMessage('category must not exceed 100 characters'),
+  (optional ? body('type').optional() : body('type').notEmpty().withMessage('Question type is required'))
+    .isIn(QUESTION_TYPES.filter((type) => type !== 'HeroCover'))
+    .withMessage('Invalid question type'),
+  (optional ? body('promptText').optional() : body('promptText').notEmpty().withMessage('Prompt text is required'))
+    .trim()
+    .isLength({ max: 500 }).withMessage('Prompt text must not exceed 500 characters'),
+  body('subtitle')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 200 }).withMessage('Subtitle must not exceed 200 characters'),
+  body('options')
+    .optional({ nullable: true })
+    .isObject().withMessage('options must be an object')
+];
+
+/**
+ * Validation rules for adding a question to the bank
+ */
+const createBankQuestionValidation = [
+  body('questionKey')
+    .trim()
+    .matches(/^[A-Za-z0-9][A-Za-z0-9_.-]{1,99}$/)
+    .withMessage('questionKey must be 2-100 characters of letters, digits, ".", "_" or "-"'),
+  ...bankQuestionContentValidation(false)
+];
+
+/**
+ * Validation rules for updating a bank question
+ */
+const updateBankQuestionValidation = [
+  questionKeyValidation,
+  ...bankQuestionContentValidation(true)
+];
+
 /**
  * Add a question to a survey
  * POST /api/v1/questions
@@ -99,7 +168,7 @@ async function addQuestion(req, res) {
       question
     });
   } catch (error) {
-    if (error.name === 'ValidationError' || error.name === 'NotFoundError') {
+    if (['ValidationError', 'NotFoundError', 'ConflictError'].includes(error.name)) {
       return res.status(400).json({
         error: 'Question creation failed',
         message: error.message
@@ -160,7 +229,7 @@ async function updateQuestion(req, res) {
       question
     });
   } catch (error) {
-    if (error.name === 'ValidationError' || error.name === 'NotFoundError') {
+    if (['ValidationError', 'NotFoundError', 'ConflictError'].includes(error.name)) {
       return res.status(400).json({
         error: 'Question update failed',
         message: error.message
@@ -334,6 +403,159 @@ async function uploadOptionImage(req, res) {
   }
 }
 
+function sendServiceError(res, error, message) {
+  if (error?.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.name || 'Request failed',
+      message: error.message
+    });
+  }
+  return res.status(500).json({
+    error: 'Internal server error',
+    message
+  });
+}
+
+/**
+ * List the current version of the bank questions
+ * GET /api/v1/question-bank
+ */
+async function getBankQuestions(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const questions = await questionBankService.getBankQuestions({
+      category: req.query.category,
+      search: req.query.search,
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    return res.json({
+      success: true,
+      questions
+    });
+  } catch (error) {
+    logger.error('Get bank questions controller error:', error);
+    return sendServiceError(res, error, 'An error occurred while fetching the question bank');
+  }
+}
+
+/**
+ * Get a bank question with its versions
+ * GET /api/v1/question-bank/:questionKey
+ */
+async function getBankQuestion(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const question = await questionBankService.getBankQuestion(req.params.questionKey);
+
+    return res.json({
+      success: true,
+      question
+    });
+  } catch (error) {
+    logger.error('Get bank question controller error:', error);
+    return sendServiceError(res, error, 'An error occurred while fetching the bank question');
+  }
+}
+
+/**
+ * Add a question to the bank
+ * POST /api/v1/question-bank
+ */
+async function createBankQuestion(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const question = await questionBankService.createBankQuestion(req.body, req.user?.userId);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Bank question created successfully',
+      question
+    });
+  } catch (error) {
+    logger.error('Create bank question controller error:', error);
+    return sendServiceError(res, error, 'An error occurred while creating the bank question');
+  }
+}
+
+/**
+ * Update a bank question. Content changes add a new version.
+ * PUT /api/v1/question-bank/:questionKey
+ */
+async function updateBankQuestion(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const question = await questionBankService.updateBankQuestion(
+      req.params.questionKey,
+      req.body,
+      req.user?.userId
+    );
+
+    return res.json({
+      success: true,
+      message: 'Bank question updated successfully',
+      question
+    });
+  } catch (error) {
+    logger.error('Update bank question controller error:', error);
+    return sendServiceError(res, error, 'An error occurred while updating the bank question');
+  }
+}
+
+/**
+ * Deactivate a bank question
+ * DELETE /api/v1/question-bank/:questionKey
+ */
+async function deactivateBankQuestion(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    await questionBankService.deactivateBankQuestion(req.params.questionKey);
+
+    return res.json({
+      success: true,
+      message: 'Bank question deactivated successfully'
+    });
+  } catch (error) {
+    logger.error('Deactivate bank question controller error:', error);
+    return sendServiceError(res, error, 'An error occurred while deactivating the bank question');
+  }
+}
+
 module.exports = {
   addQuestion,
   getQuestionsBySurvey,
@@ -344,5 +566,14 @@ module.exports = {
   uploadOptionImage,
   addQuestionValidation,
   updateQuestionValidation,
-  reorderQuestionsValidation
+  reorderQuestionsValidation,
+  getBankQuestions,
+  getBankQuestion,
+  createBankQuestion,
+  updateBankQuestion,
+  deactivateBankQuestion,
+  getBankQuestionsValidation,
+  createBankQuestionValidation,
+  updateBankQuestionValidation,
+  questionKeyValidation
 };
@@ -26,6 +26,12 @@ function handleReportError(error, res, fallbackMessage) {
       message: error.message || fallbackMessage
     });
   }
+  if (name === 'ConflictError') {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: error.message || fallbackMessage
+    });
+  }
   if (name === 'UnauthorizedError') {
     return res.status(403).json({
       error: 'Access denied',
@@ -334,6 +340,64 @@ async function exportToPdf(req, res) {
   }
 }
 
+/**
+ * Get score trends across previous events and publish cycles
+ * GET /api/v1/reports/trends
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getTrends(req, res) {
+  try {
+    const trends = await reportService.getTrends({
+      surveyId: String(req.query.surveyId || '').trim(),
+      dimension: req.query.dimension ? String(req.query.dimension) : undefined,
+      limit: req.query.limit,
+      departmentId: req.query.departmentId ? String(req.query.departmentId) : null,
+      userId: req.user?.userId,
+      userRole: req.user?.role,
+    });
+
+    res.json({
+      success: true,
+      trends
+    });
+
+  } catch (error) {
+    logger.error('Get report trends controller error:', error);
+    return handleReportError(error, res, 'An error occurred while fetching trends');
+  }
+}
+
+/**
+ * Compare question bank scores across events and years
+ * GET /api/v1/reports/question-bank
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getQuestionBankComparison(req, res) {
+  try {
+    const comparison = await reportService.getQuestionBankComparison({
+      questionKey: req.query.questionKey ? String(req.query.questionKey) : null,
+      category: req.query.category ? String(req.query.category) : null,
+      eventTypeId: req.query.eventTypeId ? String(req.query.eventTypeId) : null,
+      fromYear: req.query.fromYear,
+      toYear: req.query.toYear,
+      departmentId: req.query.departmentId ? String(req.query.departmentId) : null,
+      userId: req.user?.userId,
+      userRole: req.user?.role,
+    });
+
+    res.json({
+      success: true,
+      comparison
+    });
+
+  } catch (error) {
+    logger.error('Get question bank comparison controller error:', error);
+    return handleReportError(error, res, 'An error occurred while comparing question bank scores');
+  }
+}
+
 /**
  * Get aggregate statistics
  * POST /api/v1/reports/statistics
@@ -371,5 +435,7 @@ module.exports = {
   getApprovedTakeouts,
   exportToExcel,
   exportToPdf,
+  getTrends,
+  getQuestionBankComparison,
   getAggregateStatistics
 };
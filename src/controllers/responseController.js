@@ -1,8 +1,10 @@
 const { body, param, query, validationResult } = require('express-validator');
 const responseService = require('../services/responseService');
+const emailVerificationService = require('../services/emailVerificationService');
 const logger = require('../config/logger');
 
 const surveyIdentifierPattern = /^([0-9]+|[0-9a-fA-F-]{36})$/;
+const localePattern = /^[A-Za-z]{2}([-_][A-Za-z]{2})?$/;
 
 function handleResponseError(res, error, fallbackMessage) {
   const name = String(error?.name || '');
@@ -18,6 +20,24 @@ function handleResponseError(res, error, fallbackMessage) {
       message: error.message || fallbackMessage
     });
   }
+  if (name === 'QuotaReachedError') {
+    return res.status(409).json({
+      error: 'Quota reached',
+      message: error.message || fallbackMessage
+    });
+  }
+  if (name === 'ResponseLockedError') {
+    return res.status(409).json({
+      error: 'Response locked',
+      message: error.message || fallbackMessage
+    });
+  }
+  if (name === 'KioskDeviceError') {
+    return res.status(401).json({
+      error: 'Kiosk device not authorized',
+      message: error.message || fallbackMessage
+    });
+  }
 
   logger.error(fallbackMessage, error);
   return res.status(500).json({
@@ -49,26 +69,76 @@ const submitResponseValidation = [
   body('respondent.departmentId')
     .optional({ values: 'falsy' })
     .isUUID().withMessage('Department ID must be a valid UUID'),
+  body('resumeToken')
+    .optional({ values: 'falsy' })
+    .matches(/^[a-fA-F0-9]{64}$/).withMessage('Resume token is invalid'),
   body('selectedApplicationIds')
+    .if(body('resumeToken').isEmpty())
     .isArray().withMessage('Selected applications must be an array')
     .notEmpty().withMessage('At least one application must be selected')
     .custom((ids) => ids.every((id) => typeof id === 'string' && /^[0-9a-fA-F-]{36}$/.test(id)))
     .withMessage('Each selected application ID must be a valid UUID'),
   body('responses')
+    .if(body('resumeToken').isEmpty())
     .isArray().withMessage('Responses must be an array')
-    .notEmpty().withMessage('At least one response is required')
+    .notEmpty().withMessage('At least one response is required'),
+  body('emailLogId')
+    .optional({ values: 'falsy' })
+    .isUUID().withMessage('Email log ID must be a valid UUID'),
+  body('invitationToken')
+    .optional({ values: 'falsy' })
+    .matches(/^[A-Za-z0-9_-]{32}$/).withMessage('Invitation token is invalid'),
+  body('shortLinkCode')
+    .optional({ values: 'falsy' })
+    .matches(/^[A-Za-z0-9]{6,32}$/).withMessage('Short link code is invalid'),
+  body('locale')
+    .optional({ values: 'falsy' })
+    .matches(localePattern).withMessage('Locale is invalid'),
+  body('emailVerificationToken')
+    .optional({ values: 'falsy' })
+    .matches(/^[A-Za-z0-9_-]{43}$/).withMessage('Email verification token is invalid')
+];
+
+/**
+ * Validation rules for requesting and checking an email verification code
+ */
+const requestEmailVerificationValidation = [
+  body('surveyId')
+    .notEmpty().withMessage('Survey ID is required')
+    .matches(surveyIdentifierPattern).withMessage('Survey ID must be a survey number or UUID'),
+  body('email')
+    .isEmail().withMessage('Invalid email format'),
+  body('locale')
+    .optional({ values: 'falsy' })
+    .matches(localePattern).withMessage('Locale is invalid')
+];
+
+const sendEditLinkValidation = [
+  body('locale')
+    .optional({ values: 'falsy' })
+    .matches(localePattern).withMessage('Locale is invalid')
+];
+
+const verifyEmailCodeValidation = [
+  body('surveyId')
+    .notEmpty().withMessage('Survey ID is required')
+    .matches(surveyIdentifierPattern).withMessage('Survey ID must be a survey number or UUID'),
+  body('email')
+    .isEmail().withMessage('Invalid email format'),
+  body('code')
+    .matches(/^[0-9]{6}$/).withMessage('Verification code must be 6 digits')
 ];
 
 /**
- * Get survey form
- * GET /api/v1/responses/survey/:surveyId/form
+ * Get survey form, translated when a supported locale is requested
+ * GET /api/v1/responses/survey/:surveyId/form?locale=en
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 async function getSurveyForm(req, res) {
   try {
     const surveyId = req.params.surveyId;
-    const form = await responseService.getSurveyForm(surveyId);
+    const form = await responseService.getSurveyForm(surveyId, { locale: req.query.locale });
 
     if (!form) {
       return res.status(404).json({
@@ -111,6 +181,124 @@ async function getAvailableApplications(req, res) {
   }
 }
 
+/**
+ * Validation rules for uploading a respondent attachment
+ */
+const uploadAttachmentValidation = [
+  param('surveyId')
+    .matches(surveyIdentifierPattern).withMessage('Survey ID must be a survey number or UUID'),
+  param('questionId')
+    .isUUID().withMessage('Question ID must be a valid UUID')
+];
+
+/**
+ * Upload a file for a FileUpload question
+ * POST /api/v1/responses/survey/:surveyId/questions/:questionId/attachment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function uploadAttachment(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'File is required'
+      });
+    }
+
+    const attachment = await responseService.uploadAttachment(req.params.surveyId, req.params.questionId, req.file);
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      attachment
+    });
+
+  } catch (error) {
+    return handleResponseError(res, error, 'An error occurred while uploading file');
+  }
+}
+
+/**
+ * Validation rules for saving a response draft
+ */
+const saveDraftValidation = [
+  body('surveyId')
+    .notEmpty().withMessage('Survey ID is required')
+    .matches(surveyIdentifierPattern).withMessage('Survey ID must be a survey number or UUID'),
+  body('resumeToken')
+    .optional({ values: 'falsy' })
+    .matches(/^[a-fA-F0-9]{64}$/).withMessage('Resume token is invalid'),
+  body('respondent.email')
+    .optional({ values: 'falsy' })
+    .isEmail().withMessage('Invalid email format'),
+  body('selectedApplicationIds')
+    .optional()
+    .isArray().withMessage('Selected applications must be an array'),
+  body('responses')
+    .optional()
+    .isArray().withMessage('Responses must be an array'),
+  body('currentPage')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Current page must be a non-negative integer'),
+  body('locale')
+    .optional({ values: 'falsy' })
+    .matches(localePattern).withMessage('Locale is invalid')
+];
+
+/**
+ * Validation rules for amending a submission through its edit link
+ */
+const amendResponseValidation = [
+  param('editToken')
+    .matches(/^[A-Za-z0-9_-]{43}$/).withMessage('Edit token is invalid'),
+  body('respondent.name')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 1, max: 200 }).withMessage('Name must be between 1 and 200 characters'),
+  body('respondent.businessUnitId')
+    .optional({ values: 'falsy' })
+    .isUUID().withMessage('Business Unit ID must be a valid UUID'),
+  body('respondent.divisionId')
+    .optional({ values: 'falsy' })
+    .isUUID().withMessage('Division ID must be a valid UUID'),
+  body('respondent.departmentId')
+    .optional({ values: 'falsy' })
+    .isUUID().withMessage('Department ID must be a valid UUID'),
+  body('selectedApplicationIds')
+    .isArray().withMessage('Selected applications must be an array')
+    .notEmpty().withMessage('At least one application must be selected')
+    .custom((ids) => ids.every((id) => typeof id === 'string' && /^[0-9a-fA-F-]{36}$/.test(id)))
+    .withMessage('Each selected application ID must be a valid UUID'),
+  body('responses')
+    .isArray().withMessage('Responses must be an array')
+    .notEmpty().withMessage('At least one response is required')
+];
+
+/**
+ * Validation rules for syncing a kiosk batch
+ */
+const submitKioskBatchValidation = [
+  body('submissions')
+    .isArray({ min: 1, max: 50 }).withMessage('submissions must be an array of 1 to 50 items'),
+  body('submissions.*.idempotencyKey')
+    .matches(/^[A-Za-z0-9_-]{8,100}$/).withMessage('idempotencyKey must be 8-100 letters, digits, dashes or underscores'),
+  body('submissions.*.capturedAt')
+    .optional({ values: 'falsy' })
+    .isISO8601().withMessage('capturedAt must be an ISO 8601 date'),
+  body('submissions.*.locale')
+    .optional({ values: 'falsy' })
+    .matches(localePattern).withMessage('Locale is invalid')
+];
+
 /**
  * Submit survey response
  * POST /api/v1/responses
@@ -144,7 +332,10 @@ async function submitResponse(req, res) {
     res.status(201).json({
       success: true,
       message: 'Response submitted successfully',
-      responseIds: result.responseIds
+      responseIds: result.responseIds,
+      editToken: result.editToken,
+      editUrl: result.editUrl,
+      editableUntil: result.editableUntil
     });
 
   } catch (error) {
@@ -152,6 +343,329 @@ async function submitResponse(req, res) {
   }
 }
 
+/**
+ * Save or update an in-progress response draft
+ * POST /api/v1/responses/drafts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function saveDraft(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const draft = await responseService.saveDraft({
+      ...req.body,
+      ipAddress: req.ip || req.connection.remoteAddress
+    });
+
+    res.json({
+      success: true,
+      resumeToken: draft.resumeToken,
+      expiresAt: draft.expiresAt,
+      currentPage: draft.currentPage
+    });
+
+  } catch (error) {
+    return handleResponseError(res, error, 'An error occurred while saving draft');
+  }
+}
+
+/**
+ * Get an in-progress response draft
+ * GET /api/v1/responses/drafts/:resumeToken
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getDraft(req, res) {
+  try {
+    const draft = await responseService.getDraft(req.params.resumeToken);
+
+    res.json({
+      success: true,
+      draft: {
+        surveyId: draft.surveyId,
+        respondent: draft.respondent,
+        selectedApplicationIds: draft.selectedApplicationIds,
+        responses: draft.responses,
+        clientState: draft.clientState,
+        currentPage: draft.currentPage,
+        expiresAt: draft.expiresAt,
+        updatedAt: draft.updatedAt
+      }
+    });
+
+  } catch (error) {
+    return handleResponseError(res, error, 'An error occurred while fetching draft');
+  }
+}
+
+/**
+ * Email a link to continue a response draft
+ * POST /api/v1/responses/drafts/:resumeToken/email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function sendDraftResumeLink(req, res) {
+  try {
+    const result = await responseService.sendDraftResumeLink(req.params.resumeToken, req.body?.email);
+
+    if (!result.sent) {
+      return res.status(502).json({
+        error: 'Email delivery failed',
+        message: 'Draft saved, but the resume link could not be emailed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Resume link sent',
+      expiresAt: result.expiresAt
+    });
+
+  } catch (error) {
+    return handleResponseError(res, error, 'An error occurred while sending resume link');
+  }
+}
+
+/**
+ * Get a submitted response for the respondent to amend
+ * GET /api/v1/responses/edit/:editToken
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getEditableSubmission(req, res) {
+  try {
+    const submission = await responseService.getEditableSubmission(req.params.editToken);
+
+    res.json({
+      success: true,
+      submission
+    });
+
+  } catch (error) {
+    return handleResponseError(res, error, 'An error occurred while fetching submission');
+  }
+}
+
+/**
+ * Amend a submitted response through its edit link
+ * PUT /api/v1/responses/edit/:editToken
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function amendResponse(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await responseService.amendResponse(req.params.editToken, {
+      respondent: req.body.respondent,
+      selectedApplicationIds: req.body.selectedApplicationIds,
+      responses: req.body.responses,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Response updated successfully',
+      responseIds: result.responseIds,
+      revision: result.revision,
+      editableUntil: result.editableUntil
+    });
+
+  } catch (error) {
+    return handleResponseError(res, error, 'An error occurred while updating response');
+  }
+}
+
+/**
+ * Email the respondent the link to amend their submission
+ * POST /api/v1/responses/edit/:editToken/email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function sendEditLink(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await responseService.sendEditLink(req.params.editToken, req.body?.locale);
+
+    if (!result.sent) {
+      return res.status(502).json({
+        error: 'Email delivery failed',
+        message: 'The edit link could not be emailed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Edit link sent'
+    });
+
+  } catch (error) {
+    return handleResponseError(res, error, 'An error occurred while sending edit link');
+  }
+}
+
+/**
+ * Email a one-time code to confirm the respondent's address
+ * POST /api/v1/responses/email-verification
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function requestEmailVerification(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await emailVerificationService.requestCode(req.body.surveyId, req.body.email, {
+      locale: req.body.locale,
+      ipAddress: req.ip || req.connection.remoteAddress
+    });
+
+    if (!result.sent) {
+      return res.status(502).json({
+        error: 'Email delivery failed',
+        message: 'The verification code could not be emailed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      expiresInMinutes: result.expiresInMinutes
+    });
+
+  } catch (error) {
+    return handleResponseError(res, error, 'An error occurred while sending verification code');
+  }
+}
+
+/**
+ * Check a verification code and return the token the submission carries
+ * POST /api/v1/responses/email-verification/verify
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function verifyEmailCode(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await emailVerificationService.verifyCode(req.body.surveyId, req.body.email, req.body.code);
+
+    res.json({
+      success: true,
+      verificationToken: result.verificationToken,
+      email: result.email,
+      expiresInMinutes: result.expiresInMinutes
+    });
+
+  } catch (error) {
+    return handleResponseError(res, error, 'An error occurred while verifying email');
+  }
+}
+
+/**
+ * Resolve a personal invitation link for the survey form
+ * GET /api/v1/responses/invitations/:token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getInvitation(req, res) {
+  try {
+    const invitation = await responseService.getInvitation(req.params.token);
+
+    res.json({
+      success: true,
+      invitation
+    });
+
+  } catch (error) {
+    return handleResponseError(res, error, 'An error occurred while fetching invitation');
+  }
+}
+
+/**
+ * Resolve the kiosk device of the X-Kiosk-Token header
+ * GET /api/v1/responses/kiosk/session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getKioskSession(req, res) {
+  try {
+    const session = await responseService.getKioskSession(req.get('X-Kiosk-Token'));
+
+    res.json({
+      success: true,
+      ...session
+    });
+
+  } catch (error) {
+    return handleResponseError(res, error, 'An error occurred while loading kiosk session');
+  }
+}
+
+/**
+ * Sync submissions a kiosk device queued, possibly while offline
+ * POST /api/v1/responses/kiosk/submissions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function submitKioskBatch(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await responseService.submitKioskBatch(
+      req.get('X-Kiosk-Token'),
+      req.body.submissions,
+      req.ip || req.connection.remoteAddress
+    );
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    return handleResponseError(res, error, 'An error occurred while syncing kiosk submissions');
+  }
+}
+
 /**
  * Check for duplicate response
  * POST /api/v1/responses/check-duplicate
@@ -213,7 +727,7 @@ async function checkDuplicateResponse(req, res) {
  */
 async function getResponses(req, res) {
   try {
-    const { surveyId, departmentId, applicationId, status, search } = req.query;
+    const { surveyId, departmentId, applicationId, status, search, emailVerified } = req.query;
 
     const filter = {};
     if (surveyId) filter.surveyId = String(surveyId).trim();
@@ -221,6 +735,7 @@ async function getResponses(req, res) {
     if (applicationId) filter.applicationId = String(applicationId).trim();
     if (status) filter.status = status;
     if (search) filter.search = search;
+    if (emailVerified === 'true' || emailVerified === 'false') filter.emailVerified = emailVerified === 'true';
 
     const responses = await responseService.getResponses(filter);
 
@@ -287,9 +802,28 @@ module.exports = {
   getSurveyForm,
   getAvailableApplications,
   submitResponse,
+  saveDraft,
+  getDraft,
+  sendDraftResumeLink,
+  getEditableSubmission,
+  amendResponse,
+  sendEditLink,
+  requestEmailVerification,
+  verifyEmailCode,
+  getInvitation,
+  getKioskSession,
+  submitKioskBatch,
   checkDuplicateResponse,
   getResponses,
   getResponseById,
   getResponseStatistics,
-  submitResponseValidation
+  uploadAttachment,
+  submitResponseValidation,
+  saveDraftValidation,
+  amendResponseValidation,
+  sendEditLinkValidation,
+  submitKioskBatchValidation,
+  requestEmailVerificationValidation,
+  verifyEmailCodeValidation,
+  uploadAttachmentValidation
 };
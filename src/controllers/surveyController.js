@@ -1,5 +1,9 @@
 const { body, param, query, validationResult } = require('express-validator');
 const surveyService = require('../services/surveyService');
+const scoringService = require('../services/scoringService');
+const translationService = require('../services/translationService');
+const quotaService = require('../services/quotaService');
+const kioskService = require('../services/kioskService');
 const logger = require('../config/logger');
 const multer = require('multer');
 
@@ -95,6 +99,183 @@ const updateSurveyValidation = [
   body('assignedAdminIds.*')
     .optional()
     .isUUID().withMessage('Each assigned admin ID must be a valid UUID'),
+  body('autoPublish')
+    .optional()
+    .isBoolean().withMessage('autoPublish must be a boolean')
+    .toBoolean(),
+  body('emailVerificationRequired')
+    .optional()
+    .isBoolean().withMessage('emailVerificationRequired must be a boolean')
+    .toBoolean(),
+];
+
+const templateIdValidation = param('templateId')
+  .isUUID().withMessage('Template ID must be a valid UUID');
+
+/**
+ * Validation rules for events copied from another event or a template
+ */
+const copySurveyValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+  body('startDate')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Invalid start date format'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Invalid end date format'),
+  body('assignedAdminIds')
+    .optional()
+    .isArray().withMessage('assignedAdminIds must be an array'),
+  body('assignedAdminIds.*')
+    .optional()
+    .isUUID().withMessage('Each assigned admin ID must be a valid UUID'),
+];
+
+const cloneSurveyValidation = [
+  surveyIdentifierValidation,
+  ...copySurveyValidation
+];
+
+const createFromTemplateValidation = [
+  templateIdValidation,
+  ...copySurveyValidation
+];
+
+/**
+ * Validation rules for saving an event as a template
+ */
+const saveTemplateValidation = [
+  surveyIdentifierValidation,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 }).withMessage('Template name must be between 1 and 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 }).withMessage('Description must not exceed 1000 characters'),
+];
+
+/**
+ * Validation rules for importing an event definition
+ */
+const importSurveyValidation = [
+  body('definition')
+    .isObject().withMessage('definition must be an event definition object'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+  body('startDate')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Invalid start date format'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Invalid end date format'),
+];
+
+/**
+ * Validation rules for saving an event scoring formula
+ */
+const saveScoringFormulaValidation = [
+  surveyIdentifierValidation,
+  body('includedTypes')
+    .optional()
+    .isArray({ min: 1 }).withMessage('includedTypes must be a non-empty array'),
+  body('questionWeights')
+    .optional({ nullable: true })
+    .isObject().withMessage('questionWeights must be an object keyed by question ID'),
+];
+
+const localeValidation = (field) => field
+  .trim()
+  .notEmpty().withMessage('locale is required')
+  .matches(/^[A-Za-z]{2}([-_][A-Za-z]{2})?$/).withMessage('locale must be a language code such as en');
+
+/**
+ * Validation rules for reading event translations
+ */
+const getTranslationsValidation = [
+  surveyIdentifierValidation,
+  localeValidation(query('locale')),
+];
+
+/**
+ * Validation rules for saving event translations
+ */
+const saveTranslationsValidation = [
+  surveyIdentifierValidation,
+  localeValidation(param('locale')),
+  body('translations')
+    .isArray({ min: 1 }).withMessage('translations must be a non-empty array'),
+  body('translations.*.key')
+    .isString().withMessage('Each translation must have a key'),
+  body('translations.*.translatedText')
+    .optional({ nullable: true })
+    .isString().withMessage('translatedText must be a string'),
+];
+
+/**
+ * Validation rules for exporting the translation workbook
+ */
+const exportTranslationsValidation = [
+  surveyIdentifierValidation,
+  query('locales')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z]{2}([-_][A-Za-z]{2})?(,[A-Za-z]{2}([-_][A-Za-z]{2})?)*$/).withMessage('locales must be a comma separated list of language codes'),
+];
+
+/**
+ * Validation rules for saving the response quotas of an event
+ */
+const saveQuotasValidation = [
+  surveyIdentifierValidation,
+  body('quotas')
+    .isArray().withMessage('quotas must be an array'),
+  body('quotas.*.segmentType')
+    .isIn(['BusinessUnit', 'Department', 'Application']).withMessage('segmentType must be BusinessUnit, Department or Application'),
+  body('quotas.*.segmentId')
+    .isUUID().withMessage('segmentId must be a valid UUID'),
+  body('quotas.*.maxResponses')
+    .isInt({ min: 1 }).withMessage('maxResponses must be a positive whole number'),
+];
+
+/**
+ * Validation rules for registering a kiosk device
+ */
+const registerKioskDeviceValidation = [
+  surveyIdentifierValidation,
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Device name is required')
+    .isLength({ max: 200 }).withMessage('Device name must not exceed 200 characters'),
+  body('resetAfterSeconds')
+    .optional()
+    .isInt({ min: 10, max: 3600 }).withMessage('resetAfterSeconds must be between 10 and 3600'),
+];
+
+const kioskDeviceValidation = [
+  surveyIdentifierValidation,
+  param('deviceId')
+    .isUUID().withMessage('Device ID must be a valid UUID'),
+];
+
+const getTemplatesValidation = [
+  query('eventTypeId')
+    .optional()
+    .isUUID().withMessage('eventTypeId must be a valid UUID'),
+  query('eventTypeCode')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('eventTypeCode must not exceed 50 characters'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('search must not exceed 200 characters'),
 ];
 
 /**
@@ -397,7 +578,7 @@ async function generateSurveyLink(req, res) {
     const surveyId = req.params.id;
     const { shortenUrl } = req.body;
 
-    const result = await surveyService.generateSurveyLink(surveyId, shortenUrl);
+    const result = await surveyService.generateSurveyLink(surveyId, shortenUrl, req.user?.userId || null);
 
     res.json({
       success: true,
@@ -429,7 +610,7 @@ async function generateSurveyLink(req, res) {
 async function generateQRCode(req, res) {
   try {
     const surveyId = req.params.id;
-    const result = await surveyService.generateQRCode(surveyId);
+    const result = await surveyService.generateQRCode(surveyId, req.user?.userId || null);
 
     res.json({
       success: true,
@@ -452,23 +633,38 @@ async function generateQRCode(req, res) {
 }
 
 /**
- * Generate embed code
- * POST /api/v1/surveys/:id/embed
+ * Clone an event into a new Draft event
+ * POST /api/v1/surveys/:id/clone
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-async function generateEmbedCode(req, res) {
+async function cloneSurvey(req, res) {
   try {
-    const surveyId = req.params.id;
-    const result = await surveyService.generateEmbedCode(surveyId);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    res.json({
-      success: true,
-      embedCode: result
+    const { title, startDate, endDate, assignedAdminIds } = req.body || {};
+    const survey = await surveyService.cloneSurvey(req.params.id, {
+      title,
+      startDate,
+      endDate,
+      assignedAdminIds,
+      ownerAdminId: req.user?.role === 'AdminEvent' ? req.user.userId : null,
+      createdBy: req.user?.userId
     });
 
+    res.status(201).json({
+      success: true,
+      message: 'Event cloned successfully',
+      survey
+    });
   } catch (error) {
-    logger.error('Generate embed code controller error:', error);
+    logger.error('Clone survey controller error:', error);
     if (error?.statusCode) {
       return res.status(error.statusCode).json({
         error: error.name || 'Request failed',
@@ -477,36 +673,82 @@ async function generateEmbedCode(req, res) {
     }
     res.status(500).json({
       error: 'Internal server error',
-      message: 'An error occurred while generating embed code'
+      message: 'An error occurred while cloning event'
     });
   }
 }
 
 /**
- * Schedule blast
- * POST /api/v1/surveys/:id/schedule-blast
+ * Save an event as a reusable template
+ * POST /api/v1/surveys/:id/templates
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-async function scheduleBlast(req, res) {
+async function saveSurveyAsTemplate(req, res) {
   try {
-    const surveyId = req.params.id;
-    const request = {
-      ...req.body,
-      surveyId,
-      createdBy: req.user?.userId
-    };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    const result = await surveyService.scheduleBlast(request);
+    const { name, description } = req.body || {};
+    const template = await surveyService.saveSurveyAsTemplate(req.params.id, {
+      name,
+      description,
+      createdBy: req.user?.userId || null
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Blast scheduled successfully',
-      operation: result
+      message: 'Template saved successfully',
+      template
+    });
+  } catch (error) {
+    logger.error('Save survey as template controller error:', error);
+    if (error?.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.name || 'Request failed',
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while saving template'
+    });
+  }
+}
+
+/**
+ * List event templates, optionally by event type
+ * GET /api/v1/event-templates
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getTemplates(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const templates = await surveyService.getTemplates({
+      eventTypeId: req.query.eventTypeId,
+      eventTypeCode: req.query.eventTypeCode,
+      search: req.query.search
     });
 
+    res.json({
+      success: true,
+      templates
+    });
   } catch (error) {
-    logger.error('Schedule blast controller error:', error);
+    logger.error('Get templates controller error:', error);
     if (error?.statusCode) {
       return res.status(error.statusCode).json({
         error: error.name || 'Request failed',
@@ -515,36 +757,44 @@ async function scheduleBlast(req, res) {
     }
     res.status(500).json({
       error: 'Internal server error',
-      message: 'An error occurred while scheduling blast'
+      message: 'An error occurred while fetching templates'
     });
   }
 }
 
 /**
- * Schedule reminder
- * POST /api/v1/surveys/:id/schedule-reminder
+ * Create a new Draft event from a template
+ * POST /api/v1/event-templates/:templateId/events
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-async function scheduleReminder(req, res) {
+async function createSurveyFromTemplate(req, res) {
   try {
-    const surveyId = req.params.id;
-    const request = {
-      ...req.body,
-      surveyId,
-      createdBy: req.user?.userId
-    };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    const result = await surveyService.scheduleReminder(request);
+    const { title, startDate, endDate, assignedAdminIds } = req.body || {};
+    const survey = await surveyService.createSurveyFromTemplate(req.params.templateId, {
+      title,
+      startDate,
+      endDate,
+      assignedAdminIds,
+      ownerAdminId: req.user?.role === 'AdminEvent' ? req.user.userId : null,
+      createdBy: req.user?.userId
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Reminder scheduled successfully',
-      operation: result
+      message: 'Event created from template successfully',
+      survey
     });
-
   } catch (error) {
-    logger.error('Schedule reminder controller error:', error);
+    logger.error('Create survey from template controller error:', error);
     if (error?.statusCode) {
       return res.status(error.statusCode).json({
         error: error.name || 'Request failed',
@@ -553,35 +803,67 @@ async function scheduleReminder(req, res) {
     }
     res.status(500).json({
       error: 'Internal server error',
-      message: 'An error occurred while scheduling reminder'
+      message: 'An error occurred while creating event from template'
     });
   }
 }
 
 /**
- * Get scheduled operations
- * GET /api/v1/surveys/:id/scheduled-operations
+ * Remove a template from the library
+ * DELETE /api/v1/event-templates/:templateId
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-async function getScheduledOperations(req, res) {
+async function deleteTemplate(req, res) {
   try {
-    const surveyId = req.params.id;
-    const { type, status } = req.query;
-
-    const filter = {};
-    if (type) filter.operationType = type;
-    if (status) filter.status = status;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    const operations = await surveyService.getScheduledOperations(surveyId, filter);
+    await surveyService.deleteTemplate(req.params.templateId);
 
     res.json({
       success: true,
-      operations
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete template controller error:', error);
+    if (error?.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.name || 'Request failed',
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while deleting template'
     });
+  }
+}
+
+/**
+ * Export an event as a portable JSON definition
+ * GET /api/v1/surveys/:id/definition
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function exportSurveyDefinition(req, res) {
+  try {
+    const definition = await surveyService.exportSurveyDefinition(req.params.id);
+
+    if (req.query.download === 'true') {
+      const filename = `event-${definition.source.surveyId}.json`;
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    }
+
+    res.json(definition);
 
   } catch (error) {
-    logger.error('Get scheduled operations controller error:', error);
+    logger.error('Export survey definition controller error:', error);
     if (error?.statusCode) {
       return res.status(error.statusCode).json({
         error: error.name || 'Request failed',
@@ -590,30 +872,45 @@ async function getScheduledOperations(req, res) {
     }
     res.status(500).json({
       error: 'Internal server error',
-      message: 'An error occurred while fetching scheduled operations'
+      message: 'An error occurred while exporting event definition'
     });
   }
 }
 
 /**
- * Cancel scheduled operation
- * DELETE /api/v1/surveys/scheduled-operations/:operationId
+ * Import a JSON definition as a new Draft event
+ * POST /api/v1/surveys/import
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-async function cancelScheduledOperation(req, res) {
+async function importSurveyDefinition(req, res) {
   try {
-    const operationId = req.params.operationId;
-    const result = await surveyService.cancelScheduledOperation(operationId);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    res.json({
+    const { definition, title, startDate, endDate } = req.body || {};
+    const result = await surveyService.importSurveyDefinition(definition, {
+      title,
+      startDate,
+      endDate,
+      ownerAdminId: req.user?.role === 'AdminEvent' ? req.user.userId : null,
+      userId: req.user?.userId
+    });
+
+    res.status(201).json({
       success: true,
-      message: 'Scheduled operation cancelled successfully',
-      operation: result
+      message: 'Event imported successfully',
+      survey: result.survey,
+      missingAssets: result.missingAssets
     });
 
   } catch (error) {
-    logger.error('Cancel scheduled operation controller error:', error);
+    logger.error('Import survey definition controller error:', error);
     if (error?.statusCode) {
       return res.status(error.statusCode).json({
         error: error.name || 'Request failed',
@@ -622,11 +919,654 @@ async function cancelScheduledOperation(req, res) {
     }
     res.status(500).json({
       error: 'Internal server error',
-      message: 'An error occurred while cancelling operation'
+      message: 'An error occurred while importing event definition'
     });
   }
 }
 
+/**
+ * Create a channel-tagged short link
+ * POST /api/v1/surveys/:id/short-links
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createShortLink(req, res) {
+  try {
+    const surveyId = req.params.id;
+    const { channel, label, expiresAt } = req.body || {};
+
+    const shortLink = await surveyService.createShortLink(
+      surveyId,
+      { channel, label, expiresAt },
+      req.user?.userId || null
+    );
+
+    res.status(201).json({
+      success: true,
+      shortLink
+    });
+
+  } catch (error) {
+    logger.error('Create short link controller error:', error);
+    if (error?.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.name || 'Request failed',
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while creating short link'
+    });
+  }
+}
+
+/**
+ * Get short links with hit and response counts per channel
+ * GET /api/v1/surveys/:id/short-links
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getShortLinks(req, res) {
+  try {
+    const surveyId = req.params.id;
+    const result = await surveyService.getShortLinks(surveyId);
+
+    res.json({
+      success: true,
+      links: result.links,
+      channels: result.channels
+    });
+
+  } catch (error) {
+    logger.error('Get short links controller error:', error);
+    if (error?.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.name || 'Request failed',
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while fetching short links'
+    });
+  }
+}
+
+/**
+ * Deactivate a short link
+ * DELETE /api/v1/surveys/:id/short-links/:shortLinkId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deactivateShortLink(req, res) {
+  try {
+    const { id: surveyId, shortLinkId } = req.params;
+    const shortLink = await surveyService.deactivateShortLink(surveyId, shortLinkId);
+
+    res.json({
+      success: true,
+      shortLink
+    });
+
+  } catch (error) {
+    logger.error('Deactivate short link controller error:', error);
+    if (error?.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.name || 'Request failed',
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while deactivating short link'
+    });
+  }
+}
+
+/**
+ * Generate embed code
+ * POST /api/v1/surveys/:id/embed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function generateEmbedCode(req, res) {
+  try {
+    const surveyId = req.params.id;
+    const result = await surveyService.generateEmbedCode(surveyId);
+
+    res.json({
+      success: true,
+      embedCode: result
+    });
+
+  } catch (error) {
+    logger.error('Generate embed code controller error:', error);
+    if (error?.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.name || 'Request failed',
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while generating embed code'
+    });
+  }
+}
+
+/**
+ * Schedule blast
+ * POST /api/v1/surveys/:id/schedule-blast
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function scheduleBlast(req, res) {
+  try {
+    const surveyId = req.params.id;
+    const request = {
+      ...req.body,
+      surveyId,
+      createdBy: req.user?.userId
+    };
+
+    const result = await surveyService.scheduleBlast(request);
+
+    res.status(201).json({
+      success: true,
+      message: 'Blast scheduled successfully',
+      operation: result
+    });
+
+  } catch (error) {
+    logger.error('Schedule blast controller error:', error);
+    if (error?.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.name || 'Request failed',
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while scheduling blast'
+    });
+  }
+}
+
+/**
+ * Schedule reminder
+ * POST /api/v1/surveys/:id/schedule-reminder
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function scheduleReminder(req, res) {
+  try {
+    const surveyId = req.params.id;
+    const request = {
+      ...req.body,
+      surveyId,
+      createdBy: req.user?.userId
+    };
+
+    const result = await surveyService.scheduleReminder(request);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reminder scheduled successfully',
+      operation: result
+    });
+
+  } catch (error) {
+    logger.error('Schedule reminder controller error:', error);
+    if (error?.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.name || 'Request failed',
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while scheduling reminder'
+    });
+  }
+}
+
+/**
+ * Get scheduled operations
+ * GET /api/v1/surveys/:id/scheduled-operations
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getScheduledOperations(req, res) {
+  try {
+    const surveyId = req.params.id;
+    const { type, status } = req.query;
+
+    const filter = {};
+    if (type) filter.operationType = type;
+    if (status) filter.status = status;
+
+    const operations = await surveyService.getScheduledOperations(surveyId, filter);
+
+    res.json({
+      success: true,
+      operations
+    });
+
+  } catch (error) {
+    logger.error('Get scheduled operations controller error:', error);
+    if (error?.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.name || 'Request failed',
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while fetching scheduled operations'
+    });
+  }
+}
+
+/**
+ * Cancel scheduled operation
+ * DELETE /api/v1/surveys/scheduled-operations/:operationId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function cancelScheduledOperation(req, res) {
+  try {
+    const operationId = req.params.operationId;
+    const result = await surveyService.cancelScheduledOperation(operationId);
+
+    res.json({
+      success: true,
+      message: 'Scheduled operation cancelled successfully',
+      operation: result
+    });
+
+  } catch (error) {
+    logger.error('Cancel scheduled operation controller error:', error);
+    if (error?.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.name || 'Request failed',
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while cancelling operation'
+    });
+  }
+}
+
+function sendServiceError(res, error, message) {
+  if (error?.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.name || 'Request failed',
+      message: error.message,
+    });
+  }
+  return res.status(500).json({
+    error: 'Internal server error',
+    message
+  });
+}
+
+/**
+ * Get the event score with breakdowns per application, function and department
+ * GET /api/v1/surveys/:id/score
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSurveyScore(req, res) {
+  try {
+    const score = await scoringService.getEventScore(req.params.id);
+    res.json({
+      success: true,
+      score
+    });
+  } catch (error) {
+    logger.error('Get survey score controller error:', error);
+    sendServiceError(res, error, 'An error occurred while calculating event score');
+  }
+}
+
+/**
+ * Recalculate and store the event score
+ * POST /api/v1/surveys/:id/score/recalculate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function recalculateSurveyScore(req, res) {
+  try {
+    const score = await scoringService.recalculateScore(req.params.id);
+    res.json({
+      success: true,
+      message: 'Event score recalculated successfully',
+      score
+    });
+  } catch (error) {
+    logger.error('Recalculate survey score controller error:', error);
+    sendServiceError(res, error, 'An error occurred while recalculating event score');
+  }
+}
+
+/**
+ * Get the scoring formula of an event
+ * GET /api/v1/surveys/:id/scoring-formula
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getScoringFormula(req, res) {
+  try {
+    const formula = await scoringService.getScoringFormula(req.params.id);
+    res.json({
+      success: true,
+      formula
+    });
+  } catch (error) {
+    logger.error('Get scoring formula controller error:', error);
+    sendServiceError(res, error, 'An error occurred while fetching scoring formula');
+  }
+}
+
+/**
+ * Save the scoring formula of an event
+ * PUT /api/v1/surveys/:id/scoring-formula
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function saveScoringFormula(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { includedTypes, questionWeights } = req.body || {};
+    const formula = await scoringService.saveScoringFormula(
+      req.params.id,
+      { includedTypes, questionWeights },
+      req.user?.userId
+    );
+    res.json({
+      success: true,
+      message: 'Scoring formula saved successfully',
+      formula
+    });
+  } catch (error) {
+    logger.error('Save scoring formula controller error:', error);
+    sendServiceError(res, error, 'An error occurred while saving scoring formula');
+  }
+}
+
+/**
+ * Reset the scoring formula of an event to the default formula
+ * DELETE /api/v1/surveys/:id/scoring-formula
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function resetScoringFormula(req, res) {
+  try {
+    const formula = await scoringService.resetScoringFormula(req.params.id);
+    res.json({
+      success: true,
+      message: 'Scoring formula reset to default',
+      formula
+    });
+  } catch (error) {
+    logger.error('Reset scoring formula controller error:', error);
+    sendServiceError(res, error, 'An error occurred while resetting scoring formula');
+  }
+}
+
+/**
+ * Get the translations of an event in one language
+ * GET /api/v1/surveys/:id/translations?locale=en
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getTranslations(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const translations = await translationService.getTranslations(req.params.id, req.query.locale);
+    res.json({
+      success: true,
+      translations
+    });
+  } catch (error) {
+    logger.error('Get translations controller error:', error);
+    sendServiceError(res, error, 'An error occurred while fetching translations');
+  }
+}
+
+/**
+ * Save the translations of an event in one language
+ * PUT /api/v1/surveys/:id/translations/:locale
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function saveTranslations(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const translations = await translationService.saveTranslations(
+      req.params.id,
+      req.params.locale,
+      req.body.translations,
+      req.user?.userId
+    );
+    res.json({
+      success: true,
+      message: 'Translations saved successfully',
+      translations
+    });
+  } catch (error) {
+    logger.error('Save translations controller error:', error);
+    sendServiceError(res, error, 'An error occurred while saving translations');
+  }
+}
+
+/**
+ * Download the translation workbook of an event
+ * GET /api/v1/surveys/:id/translations/export?locales=en
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function exportTranslations(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const locales = req.query.locales ? String(req.query.locales).split(',') : [];
+    const { buffer, filename } = await translationService.exportWorkbook(req.params.id, locales);
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    logger.error('Export translations controller error:', error);
+    sendServiceError(res, error, 'An error occurred while exporting translations');
+  }
+}
+
+/**
+ * Import a translation workbook filled in by translators
+ * POST /api/v1/surveys/:id/translations/import
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function importTranslations(req, res) {
+  try {
+    if (!req.file || !req.file.buffer) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'No file uploaded'
+      });
+    }
+
+    const result = await translationService.importWorkbook(req.params.id, req.file.buffer, req.user?.userId);
+    res.json({
+      success: true,
+      message: `Translations imported. Updated: ${result.imported}, Cleared: ${result.cleared}, Skipped: ${result.skipped}`,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Import translations controller error:', error);
+    sendServiceError(res, error, 'An error occurred while importing translations');
+  }
+}
+
+/**
+ * Get the response quotas of an event with their progress
+ * GET /api/v1/surveys/:id/quotas
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getQuotas(req, res) {
+  try {
+    const progress = await quotaService.getQuotaProgress(req.params.id);
+    res.json({
+      success: true,
+      ...progress
+    });
+  } catch (error) {
+    logger.error('Get quotas controller error:', error);
+    sendServiceError(res, error, 'An error occurred while fetching response quotas');
+  }
+}
+
+/**
+ * Replace the response quotas of an event
+ * PUT /api/v1/surveys/:id/quotas
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function saveQuotas(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const progress = await quotaService.saveQuotas(req.params.id, req.body.quotas, req.user?.userId);
+    res.json({
+      success: true,
+      message: 'Response quotas saved successfully',
+      ...progress
+    });
+  } catch (error) {
+    logger.error('Save quotas controller error:', error);
+    sendServiceError(res, error, 'An error occurred while saving response quotas');
+  }
+}
+
+/**
+ * List the kiosk devices of an event
+ * GET /api/v1/surveys/:id/kiosk-devices
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getKioskDevices(req, res) {
+  try {
+    const devices = await kioskService.getDevices(req.params.id);
+    res.json({
+      success: true,
+      devices
+    });
+  } catch (error) {
+    logger.error('Get kiosk devices controller error:', error);
+    sendServiceError(res, error, 'An error occurred while fetching kiosk devices');
+  }
+}
+
+/**
+ * Register a kiosk device. The device token is only returned here.
+ * POST /api/v1/surveys/:id/kiosk-devices
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function registerKioskDevice(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { device, token, kioskUrl } = await kioskService.registerDevice(
+      req.params.id,
+      { name: req.body.name, resetAfterSeconds: req.body.resetAfterSeconds },
+      req.user?.userId || null
+    );
+    res.status(201).json({
+      success: true,
+      message: 'Kiosk device registered successfully',
+      device,
+      token,
+      kioskUrl
+    });
+  } catch (error) {
+    logger.error('Register kiosk device controller error:', error);
+    sendServiceError(res, error, 'An error occurred while registering kiosk device');
+  }
+}
+
+/**
+ * Revoke a kiosk device
+ * DELETE /api/v1/surveys/:id/kiosk-devices/:deviceId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function revokeKioskDevice(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const device = await kioskService.revokeDevice(req.params.id, req.params.deviceId, req.user?.userId || null);
+    res.json({
+      success: true,
+      message: 'Kiosk device revoked successfully',
+      device
+    });
+  } catch (error) {
+    logger.error('Revoke kiosk device controller error:', error);
+    sendServiceError(res, error, 'An error occurred while revoking kiosk device');
+  }
+}
+
 /**
  * Upload hero image
  * POST /api/v1/surveys/:id/upload/hero
@@ -740,15 +1680,52 @@ module.exports = {
   generateSurveyLink,
   generateQRCode,
   generateEmbedCode,
+  createShortLink,
+  getShortLinks,
+  deactivateShortLink,
+  cloneSurvey,
+  saveSurveyAsTemplate,
+  getTemplates,
+  createSurveyFromTemplate,
+  deleteTemplate,
+  exportSurveyDefinition,
+  importSurveyDefinition,
   scheduleBlast,
   scheduleReminder,
   getScheduledOperations,
   cancelScheduledOperation,
+  getSurveyScore,
+  recalculateSurveyScore,
+  getScoringFormula,
+  saveScoringFormula,
+  resetScoringFormula,
+  getTranslations,
+  saveTranslations,
+  exportTranslations,
+  importTranslations,
+  getQuotas,
+  saveQuotas,
+  getKioskDevices,
+  registerKioskDevice,
+  revokeKioskDevice,
   uploadHeroImage,
   uploadLogo,
   uploadBackgroundImage,
   createSurveyValidation,
   updateSurveyValidation,
+  cloneSurveyValidation,
+  saveTemplateValidation,
+  getTemplatesValidation,
+  createFromTemplateValidation,
+  templateIdValidation,
+  importSurveyValidation,
+  saveScoringFormulaValidation,
+  getTranslationsValidation,
+  saveTranslationsValidation,
+  exportTranslationsValidation,
+  saveQuotasValidation,
+  registerKioskDeviceValidation,
+  kioskDeviceValidation,
   upload
 };
 
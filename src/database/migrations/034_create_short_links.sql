@@ -0,0 +1,136 @@
+/*
+  Migration 034: Create short link support for events
+  Purpose:
+  - Replace guessable SurveyId-prefix short links with random codes
+  - Allow several links per event, each tagged with a distribution channel
+  - Track hits per link and attribute responses to the link that was used
+*/
+
+USE CSI;
+GO
+
+DECLARE @ShortLinkParentTable NVARCHAR(128);
+DECLARE @CreateShortLinksSql NVARCHAR(MAX);
+
+SET @ShortLinkParentTable = CASE
+    WHEN OBJECT_ID(N'dbo.Events', N'U') IS NOT NULL THEN N'Events'
+    WHEN OBJECT_ID(N'dbo.Surveys', N'U') IS NOT NULL THEN N'Surveys'
+    ELSE NULL
+END;
+
+IF @ShortLinkParentTable IS NULL
+BEGIN
+    THROW 50000, 'Migration 034 requires dbo.Events or dbo.Surveys user table.', 1;
+END
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ShortLinks')
+BEGIN
+    SET @CreateShortLinksSql = N'
+        CREATE TABLE ShortLinks (
+            ShortLinkId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+            SurveyId UNIQUEIDENTIFIER NOT NULL,
+            Code NVARCHAR(32) NOT NULL,
+            Channel NVARCHAR(20) NOT NULL DEFAULT ''direct'',
+            Label NVARCHAR(200) NULL,
+            ExpiresAt DATETIME2 NULL,
+            IsActive BIT NOT NULL DEFAULT 1,
+            HitCount INT NOT NULL DEFAULT 0,
+            LastHitAt DATETIME2 NULL,
+            CreatedBy UNIQUEIDENTIFIER NULL,
+            CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+            UpdatedAt DATETIME2 NULL,
+            CONSTRAINT FK_ShortLinks_Survey FOREIGN KEY (SurveyId) REFERENCES dbo.' + QUOTENAME(@ShortLinkParentTable) + N'(SurveyId) ON DELETE CASCADE,
+            CONSTRAINT FK_ShortLinks_CreatedBy FOREIGN KEY (CreatedBy) REFERENCES dbo.Users(UserId),
+            CONSTRAINT UQ_ShortLinks_Code UNIQUE (Code),
+            CONSTRAINT CK_ShortLinks_Channel CHECK (Channel IN (''direct'', ''email'', ''qr'', ''poster'', ''intranet'', ''other''))
+        );
+
+        CREATE INDEX IX_ShortLinks_SurveyId ON ShortLinks(SurveyId, Channel);
+    ';
+
+    EXEC sp_executesql @CreateShortLinksSql;
+    PRINT 'ShortLinks table created successfully';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ShortLinkHits')
+BEGIN
+    CREATE TABLE ShortLinkHits (
+        ShortLinkHitId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        ShortLinkId UNIQUEIDENTIFIER NOT NULL,
+        HitAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        IpAddress NVARCHAR(50) NULL,
+        UserAgent NVARCHAR(500) NULL,
+        Referrer NVARCHAR(500) NULL,
+        CONSTRAINT FK_ShortLinkHits_ShortLink FOREIGN KEY (ShortLinkId) REFERENCES ShortLinks(ShortLinkId) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IX_ShortLinkHits_ShortLinkId_HitAt ON ShortLinkHits(ShortLinkId, HitAt);
+
+    PRINT 'ShortLinkHits table created successfully';
+END
+GO
+
+IF COL_LENGTH('Responses', 'ShortLinkId') IS NULL
+BEGIN
+    ALTER TABLE Responses ADD ShortLinkId UNIQUEIDENTIFIER NULL;
+    PRINT 'Added ShortLinkId column to Responses';
+END
+GO
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.foreign_keys
+    WHERE name = 'FK_Responses_ShortLink'
+)
+AND COL_LENGTH('Responses', 'ShortLinkId') IS NOT NULL
+BEGIN
+    ALTER TABLE Responses
+    ADD CONSTRAINT FK_Responses_ShortLink
+        FOREIGN KEY (ShortLinkId) REFERENCES ShortLinks(ShortLinkId);
+END
+GO
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'IX_Responses_ShortLinkId'
+      AND object_id = OBJECT_ID('Responses')
+)
+AND COL_LENGTH('Responses', 'ShortLinkId') IS NOT NULL
+BEGIN
+    CREATE INDEX IX_Responses_ShortLinkId ON Responses(ShortLinkId);
+END
+GO
+
+-- Keep links that were already shared working: register the legacy 8-char prefix codes
+-- as 'direct' links so admins can review and deactivate them. Ambiguous prefixes never
+-- resolved before either, so they are skipped.
+;WITH LegacyCodes AS (
+    SELECT
+        LOWER(LEFT(CONVERT(NVARCHAR(36), s.SurveyId), 8)) AS Code,
+        MIN(CONVERT(NVARCHAR(36), s.SurveyId)) AS SurveyId
+    FROM Surveys s
+    GROUP BY LOWER(LEFT(CONVERT(NVARCHAR(36), s.SurveyId), 8))
+    HAVING COUNT(1) = 1
+       AND MAX(CASE WHEN s.ShortenedLink IS NOT NULL THEN 1 ELSE 0 END) = 1
+)
+INSERT INTO ShortLinks (ShortLinkId, SurveyId, Code, Channel, Label, IsActive, CreatedAt)
+SELECT
+    NEWID(),
+    CONVERT(UNIQUEIDENTIFIER, src.SurveyId),
+    src.Code,
+    'direct',
+    'Legacy link',
+    1,
+    GETDATE()
+FROM LegacyCodes src
+WHERE NOT EXISTS (
+    SELECT 1
+    FROM ShortLinks sl
+    WHERE sl.Code = src.Code
+);
+GO
+
+PRINT 'Migration 034 completed: ShortLinks, ShortLinkHits and Responses.ShortLinkId are available';
+GO
@@ -0,0 +1,60 @@
+/*
+  Migration 035: Create respondent response drafts
+  Purpose:
+  - Persist in-progress answers of multi-page surveys server side
+  - Resume a draft with an opaque token (only its SHA-256 hash is stored)
+  - Keep a link to the responses a draft was promoted into on final submit
+*/
+
+USE CSI;
+GO
+
+DECLARE @DraftParentTable NVARCHAR(128);
+DECLARE @CreateDraftsSql NVARCHAR(MAX);
+
+SET @DraftParentTable = CASE
+    WHEN OBJECT_ID(N'dbo.Events', N'U') IS NOT NULL THEN N'Events'
+    WHEN OBJECT_ID(N'dbo.Surveys', N'U') IS NOT NULL THEN N'Surveys'
+    ELSE NULL
+END;
+
+IF @DraftParentTable IS NULL
+BEGIN
+    THROW 50000, 'Migration 035 requires dbo.Events or dbo.Surveys user table.', 1;
+END
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ResponseDrafts')
+BEGIN
+    SET @CreateDraftsSql = N'
+        CREATE TABLE ResponseDrafts (
+            DraftId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+            SurveyId UNIQUEIDENTIFIER NOT NULL,
+            ResumeTokenHash NVARCHAR(64) NOT NULL,
+            RespondentName NVARCHAR(200) NULL,
+            RespondentEmail NVARCHAR(200) NULL,
+            DraftData NVARCHAR(MAX) NOT NULL,
+            CurrentPage INT NOT NULL DEFAULT 0,
+            Status NVARCHAR(20) NOT NULL DEFAULT ''InProgress'',
+            ExpiresAt DATETIME2 NOT NULL,
+            ResumeEmailSentAt DATETIME2 NULL,
+            SubmittedAt DATETIME2 NULL,
+            SubmittedResponseIds NVARCHAR(MAX) NULL,
+            IpAddress NVARCHAR(50) NULL,
+            CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+            UpdatedAt DATETIME2 NULL,
+            CONSTRAINT FK_ResponseDrafts_Survey FOREIGN KEY (SurveyId) REFERENCES dbo.' + QUOTENAME(@DraftParentTable) + N'(SurveyId) ON DELETE CASCADE,
+            CONSTRAINT UQ_ResponseDrafts_ResumeTokenHash UNIQUE (ResumeTokenHash),
+            CONSTRAINT CK_ResponseDrafts_Status CHECK (Status IN (''InProgress'', ''Submitted''))
+        );
+
+        CREATE INDEX IX_ResponseDrafts_SurveyId_Status ON ResponseDrafts(SurveyId, Status);
+        CREATE INDEX IX_ResponseDrafts_ExpiresAt ON ResponseDrafts(ExpiresAt);
+    ';
+
+    EXEC sp_executesql @CreateDraftsSql;
+    PRINT 'ResponseDrafts table created successfully';
+END
+GO
+
+PRINT 'Migration 035 completed successfully';
+GO
@@ -0,0 +1,95 @@
+/*
+  Migration 036: Create per-respondent survey invitations
+  Purpose:
+  - Give every blast recipient a personal tokenised survey link
+  - Snapshot the recipient identity and org hierarchy the token locks in the form
+  - Track invitation status (Sent -> Opened -> Completed) for reminders
+*/
+
+USE CSI;
+GO
+
+DECLARE @InvitationParentTable NVARCHAR(128);
+DECLARE @CreateInvitationsSql NVARCHAR(MAX);
+
+SET @InvitationParentTable = CASE
+    WHEN OBJECT_ID(N'dbo.Events', N'U') IS NOT NULL THEN N'Events'
+    WHEN OBJECT_ID(N'dbo.Surveys', N'U') IS NOT NULL THEN N'Surveys'
+    ELSE NULL
+END;
+
+IF @InvitationParentTable IS NULL
+BEGIN
+    THROW 50000, 'Migration 036 requires dbo.Events or dbo.Surveys user table.', 1;
+END
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'SurveyInvitations')
+BEGIN
+    SET @CreateInvitationsSql = N'
+        CREATE TABLE SurveyInvitations (
+            InvitationId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+            SurveyId UNIQUEIDENTIFIER NOT NULL,
+            Token NVARCHAR(64) NOT NULL,
+            RecipientEmail NVARCHAR(200) NOT NULL,
+            RecipientName NVARCHAR(200) NULL,
+            UserId UNIQUEIDENTIFIER NULL,
+            BusinessUnitId UNIQUEIDENTIFIER NULL,
+            DivisionId UNIQUEIDENTIFIER NULL,
+            DepartmentId UNIQUEIDENTIFIER NULL,
+            Status NVARCHAR(20) NOT NULL DEFAULT ''Sent'',
+            SentAt DATETIME2 NULL,
+            OpenedAt DATETIME2 NULL,
+            CompletedAt DATETIME2 NULL,
+            LastReminderAt DATETIME2 NULL,
+            ReminderCount INT NOT NULL DEFAULT 0,
+            CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+            UpdatedAt DATETIME2 NULL,
+            CONSTRAINT FK_SurveyInvitations_Survey FOREIGN KEY (SurveyId) REFERENCES dbo.' + QUOTENAME(@InvitationParentTable) + N'(SurveyId) ON DELETE CASCADE,
+            CONSTRAINT FK_SurveyInvitations_User FOREIGN KEY (UserId) REFERENCES dbo.Users(UserId),
+            CONSTRAINT UQ_SurveyInvitations_Token UNIQUE (Token),
+            CONSTRAINT UQ_SurveyInvitations_SurveyRecipient UNIQUE (SurveyId, RecipientEmail),
+            CONSTRAINT CK_SurveyInvitations_Status CHECK (Status IN (''Sent'', ''Opened'', ''Completed''))
+        );
+
+        CREATE INDEX IX_SurveyInvitations_SurveyId_Status ON SurveyInvitations(SurveyId, Status);
+    ';
+
+    EXEC sp_executesql @CreateInvitationsSql;
+    PRINT 'SurveyInvitations table created successfully';
+END
+GO
+
+IF COL_LENGTH('Responses', 'InvitationId') IS NULL
+BEGIN
+    ALTER TABLE Responses ADD InvitationId UNIQUEIDENTIFIER NULL;
+    PRINT 'Added InvitationId column to Responses';
+END
+GO
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.foreign_keys
+    WHERE name = 'FK_Responses_Invitation'
+)
+AND COL_LENGTH('Responses', 'InvitationId') IS NOT NULL
+BEGIN
+    ALTER TABLE Responses
+    ADD CONSTRAINT FK_Responses_Invitation
+        FOREIGN KEY (InvitationId) REFERENCES SurveyInvitations(InvitationId);
+END
+GO
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'IX_Responses_InvitationId'
+      AND object_id = OBJECT_ID('Responses')
+)
+AND COL_LENGTH('Responses', 'InvitationId') IS NOT NULL
+BEGIN
+    CREATE INDEX IX_Responses_InvitationId ON Responses(InvitationId);
+END
+GO
+
+PRINT 'Migration 036 completed: SurveyInvitations and Responses.InvitationId are available';
+GO
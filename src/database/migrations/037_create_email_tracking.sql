@@ -0,0 +1,39 @@
+/*
+  Migration 037: Create open and click tracking for survey emails
+  Purpose:
+  - Keep the survey link each blast/reminder email pointed to, so tracked
+    redirects never accept a target from the request
+  - Store open, click, start and submit events per EmailLogs row
+*/
+
+USE CSI;
+GO
+
+IF COL_LENGTH('EmailLogs', 'TrackedLink') IS NULL
+BEGIN
+    ALTER TABLE EmailLogs ADD TrackedLink NVARCHAR(1000) NULL;
+    PRINT 'Added TrackedLink column to EmailLogs';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'EmailTrackingEvents')
+BEGIN
+    CREATE TABLE EmailTrackingEvents (
+        EmailTrackingEventId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        EmailLogId UNIQUEIDENTIFIER NOT NULL,
+        EventType NVARCHAR(20) NOT NULL,
+        OccurredAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        IpAddress NVARCHAR(50) NULL,
+        UserAgent NVARCHAR(500) NULL,
+        CONSTRAINT FK_EmailTrackingEvents_EmailLog FOREIGN KEY (EmailLogId) REFERENCES EmailLogs(EmailLogId) ON DELETE CASCADE,
+        CONSTRAINT CK_EmailTrackingEvents_EventType CHECK (EventType IN ('Open', 'Click', 'Start', 'Submit'))
+    );
+
+    CREATE INDEX IX_EmailTrackingEvents_EmailLogId_EventType ON EmailTrackingEvents(EmailLogId, EventType);
+
+    PRINT 'EmailTrackingEvents table created successfully';
+END
+GO
+
+PRINT 'Migration 037 completed: EmailLogs.TrackedLink and EmailTrackingEvents are available';
+GO
@@ -0,0 +1,46 @@
+/*
+  Migration 038: Create reusable event templates
+  Purpose:
+  - Store a snapshot of an event (details, EventConfiguration and Questions)
+    so admins can start a new event from it instead of rebuilding questions
+  - Scope templates by EventType
+*/
+
+USE CSI;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'SurveyTemplates')
+BEGIN
+    CREATE TABLE SurveyTemplates (
+        TemplateId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        EventTypeId UNIQUEIDENTIFIER NULL,
+        Name NVARCHAR(200) NOT NULL,
+        Description NVARCHAR(1000) NULL,
+        SourceSurveyId UNIQUEIDENTIFIER NULL,
+        QuestionCount INT NOT NULL DEFAULT 0,
+        Content NVARCHAR(MAX) NOT NULL,
+        IsActive BIT NOT NULL DEFAULT 1,
+        CreatedBy UNIQUEIDENTIFIER NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        UpdatedAt DATETIME2 NULL,
+        CONSTRAINT FK_SurveyTemplates_CreatedBy FOREIGN KEY (CreatedBy) REFERENCES dbo.Users(UserId),
+        CONSTRAINT CK_SurveyTemplates_Content CHECK (ISJSON(Content) = 1)
+    );
+
+    CREATE INDEX IX_SurveyTemplates_EventTypeId ON SurveyTemplates(EventTypeId, IsActive);
+
+    PRINT 'SurveyTemplates table created successfully';
+END
+GO
+
+IF OBJECT_ID(N'dbo.EventTypes', N'U') IS NOT NULL
+   AND NOT EXISTS (SELECT 1 FROM sys.foreign_keys WHERE name = N'FK_SurveyTemplates_EventType')
+BEGIN
+    ALTER TABLE SurveyTemplates
+        ADD CONSTRAINT FK_SurveyTemplates_EventType FOREIGN KEY (EventTypeId) REFERENCES dbo.EventTypes(EventTypeId);
+    PRINT 'Added FK_SurveyTemplates_EventType';
+END
+GO
+
+PRINT 'Migration 038 completed: SurveyTemplates is available';
+GO
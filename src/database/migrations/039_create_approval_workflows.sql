@@ -0,0 +1,118 @@
+/*
+  Migration 039: Configurable approval workflows per EventType
+  Purpose:
+  - Store the ordered approval stages (role, skip conditions, SLA) of each
+    EventType so the response approval path is no longer hard-coded
+  - Track the current stage and its SLA deadline on Responses
+  - Allow the PendingDepartmentHead response status
+  - Keep a log of approved and skipped stages per response
+  Event types without a workflow keep the default path:
+  Admin Event -> IT Lead (skipped when the event has no application question)
+*/
+
+USE CSI;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ApprovalWorkflows')
+BEGIN
+    CREATE TABLE ApprovalWorkflows (
+        WorkflowId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        EventTypeId UNIQUEIDENTIFIER NOT NULL,
+        Name NVARCHAR(200) NOT NULL,
+        Stages NVARCHAR(MAX) NOT NULL,
+        UpdatedBy UNIQUEIDENTIFIER NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        UpdatedAt DATETIME2 NULL,
+        CONSTRAINT UQ_ApprovalWorkflows_EventType UNIQUE (EventTypeId),
+        CONSTRAINT FK_ApprovalWorkflows_EventType FOREIGN KEY (EventTypeId) REFERENCES dbo.EventTypes(EventTypeId),
+        CONSTRAINT FK_ApprovalWorkflows_UpdatedBy FOREIGN KEY (UpdatedBy) REFERENCES dbo.Users(UserId),
+        CONSTRAINT CK_ApprovalWorkflows_Stages CHECK (ISJSON(Stages) = 1)
+    );
+
+    PRINT 'ApprovalWorkflows table created successfully';
+END
+GO
+
+IF COL_LENGTH('Responses', 'ApprovalStageCode') IS NULL
+BEGIN
+    ALTER TABLE Responses
+    ADD ApprovalStageCode NVARCHAR(50) NULL;
+    PRINT 'Added Responses.ApprovalStageCode';
+END
+GO
+
+IF COL_LENGTH('Responses', 'ApprovalStageDueAt') IS NULL
+BEGIN
+    ALTER TABLE Responses
+    ADD ApprovalStageDueAt DATETIME2 NULL;
+    PRINT 'Added Responses.ApprovalStageDueAt';
+END
+GO
+
+IF EXISTS (
+    SELECT 1
+    FROM sys.check_constraints
+    WHERE name = 'CK_Responses_ResponseApprovalStatus'
+)
+BEGIN
+    ALTER TABLE Responses
+    DROP CONSTRAINT CK_Responses_ResponseApprovalStatus;
+END
+GO
+
+ALTER TABLE Responses
+ADD CONSTRAINT CK_Responses_ResponseApprovalStatus
+CHECK (
+    ResponseApprovalStatus IN (
+        'Submitted',
+        'RejectedByAdmin',
+        'PendingITLead',
+        'PendingDepartmentHead',
+        'PendingAdminTakeoutDecision',
+        'ApprovedFinal'
+    )
+);
+GO
+
+UPDATE Responses
+SET ApprovalStageCode = 'ITLead'
+WHERE ApprovalStageCode IS NULL
+  AND ResponseApprovalStatus IN ('PendingITLead', 'PendingAdminTakeoutDecision');
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ResponseStageApprovals')
+BEGIN
+    CREATE TABLE ResponseStageApprovals (
+        ResponseStageApprovalId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        ResponseId UNIQUEIDENTIFIER NOT NULL,
+        StageCode NVARCHAR(50) NOT NULL,
+        Role NVARCHAR(50) NOT NULL,
+        Action NVARCHAR(20) NOT NULL,
+        PerformedBy UNIQUEIDENTIFIER NULL,
+        Reason NVARCHAR(MAX) NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT FK_ResponseStageApprovals_Response FOREIGN KEY (ResponseId) REFERENCES dbo.Responses(ResponseId) ON DELETE CASCADE,
+        CONSTRAINT FK_ResponseStageApprovals_PerformedBy FOREIGN KEY (PerformedBy) REFERENCES dbo.Users(UserId),
+        CONSTRAINT CK_ResponseStageApprovals_Action CHECK (Action IN ('Approved', 'Skipped'))
+    );
+
+    CREATE INDEX IX_ResponseStageApprovals_ResponseId ON ResponseStageApprovals(ResponseId, CreatedAt);
+
+    PRINT 'ResponseStageApprovals table created successfully';
+END
+GO
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'IX_Responses_ApprovalStageDueAt'
+      AND object_id = OBJECT_ID('Responses')
+)
+BEGIN
+    CREATE INDEX IX_Responses_ApprovalStageDueAt
+    ON Responses(ResponseApprovalStatus, ApprovalStageDueAt);
+END
+GO
+
+PRINT 'Migration 039 completed: approval workflows are configurable per EventType';
+GO
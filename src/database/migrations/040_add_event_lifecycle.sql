@@ -0,0 +1,60 @@
+/*
+  Migration 040: Automatic event lifecycle
+  Purpose:
+  - AutoPublish marks a Draft event as ready to be opened automatically at StartDate
+  - ClosedAt / ArchivedAt record when the lifecycle processor (or an admin) moved the event
+  - Index the columns the lifecycle processor scans every cycle
+*/
+
+USE CSI;
+GO
+
+IF COL_LENGTH('Events', 'AutoPublish') IS NULL
+BEGIN
+    ALTER TABLE Events
+    ADD AutoPublish BIT NOT NULL
+        CONSTRAINT DF_Events_AutoPublish DEFAULT 0;
+    PRINT 'Added Events.AutoPublish';
+END
+GO
+
+IF COL_LENGTH('Events', 'ClosedAt') IS NULL
+BEGIN
+    ALTER TABLE Events
+    ADD ClosedAt DATETIME2 NULL;
+    PRINT 'Added Events.ClosedAt';
+END
+GO
+
+IF COL_LENGTH('Events', 'ArchivedAt') IS NULL
+BEGIN
+    ALTER TABLE Events
+    ADD ArchivedAt DATETIME2 NULL;
+    PRINT 'Added Events.ArchivedAt';
+END
+GO
+
+-- Events closed before this migration are archived relative to their EndDate
+UPDATE Events
+SET ClosedAt = EndDate
+WHERE Status = 'Closed'
+  AND ClosedAt IS NULL
+  AND EndDate IS NOT NULL;
+GO
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'IX_Events_Lifecycle'
+      AND object_id = OBJECT_ID('Events')
+)
+BEGIN
+    CREATE INDEX IX_Events_Lifecycle
+    ON Events(Status, StartDate, EndDate)
+    INCLUDE (AutoPublish, ClosedAt);
+    PRINT 'Index IX_Events_Lifecycle created';
+END
+GO
+
+PRINT 'Migration 040 completed: events open, close and archive automatically';
+GO
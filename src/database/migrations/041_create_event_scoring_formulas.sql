@@ -0,0 +1,40 @@
+/*
+  Migration 041: Event scoring formulas
+  Purpose:
+  - Store the scoring formula of an event (included question types and
+    per-question weights) used to compute Events.CurrentScore
+  - Record when CurrentScore was last recalculated
+  Events without a formula are scored from every Rating and MatrixLikert
+  question with weight 1.
+*/
+
+USE CSI;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'EventScoringFormulas')
+BEGIN
+    CREATE TABLE EventScoringFormulas (
+        SurveyId UNIQUEIDENTIFIER PRIMARY KEY,
+        Formula NVARCHAR(MAX) NOT NULL,
+        UpdatedBy UNIQUEIDENTIFIER NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        UpdatedAt DATETIME2 NULL,
+        CONSTRAINT FK_EventScoringFormulas_Event FOREIGN KEY (SurveyId) REFERENCES dbo.Events(SurveyId) ON DELETE CASCADE,
+        CONSTRAINT FK_EventScoringFormulas_UpdatedBy FOREIGN KEY (UpdatedBy) REFERENCES dbo.Users(UserId),
+        CONSTRAINT CK_EventScoringFormulas_Formula CHECK (ISJSON(Formula) = 1)
+    );
+
+    PRINT 'EventScoringFormulas table created successfully';
+END
+GO
+
+IF COL_LENGTH('Events', 'ScoreCalculatedAt') IS NULL
+BEGIN
+    ALTER TABLE Events
+    ADD ScoreCalculatedAt DATETIME2 NULL;
+    PRINT 'Added Events.ScoreCalculatedAt';
+END
+GO
+
+PRINT 'Migration 041 completed: event scores are calculated from configurable formulas';
+GO
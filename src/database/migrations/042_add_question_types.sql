@@ -0,0 +1,49 @@
+/*
+  Migration 042: Additional question types
+  Purpose:
+  - Allow NPS, Ranking, Slider, Numeric, Email, Phone and FileUpload questions
+    in Questions.Type
+  Answers reuse the existing QuestionResponses columns: NPS, Slider and Numeric
+  in NumericValue, Ranking in MatrixValues (item -> rank) and Email, Phone and
+  the uploaded file URL of FileUpload in TextValue.
+*/
+
+USE CSI;
+GO
+
+IF EXISTS (
+    SELECT 1
+    FROM sys.check_constraints
+    WHERE parent_object_id = OBJECT_ID('Questions')
+      AND name = 'CK_Questions_Type'
+)
+BEGIN
+    ALTER TABLE Questions DROP CONSTRAINT CK_Questions_Type;
+    PRINT 'Dropped existing CK_Questions_Type';
+END
+GO
+
+ALTER TABLE Questions
+ADD CONSTRAINT CK_Questions_Type
+CHECK (Type IN (
+    'HeroCover',
+    'Text',
+    'MultipleChoice',
+    'Checkbox',
+    'Dropdown',
+    'MatrixLikert',
+    'Rating',
+    'Date',
+    'Signature',
+    'NPS',
+    'Ranking',
+    'Slider',
+    'Numeric',
+    'Email',
+    'Phone',
+    'FileUpload'
+));
+GO
+
+PRINT 'Migration 042 completed: CK_Questions_Type allows NPS, Ranking, Slider, Numeric, Email, Phone and FileUpload';
+GO
@@ -0,0 +1,45 @@
+/*
+  Migration 043: Survey translations
+  Purpose:
+  - Store per-language text of an event (title, description, hero texts,
+    question prompts, option labels and scale labels)
+  - Record the language a respondent answered in on the response
+  Event content stays authored in the default language. A translation is
+  keyed by the field it replaces and keeps the source text it was made
+  from, so translations of edited source text can be flagged as outdated.
+*/
+
+USE CSI;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'SurveyTranslations')
+BEGIN
+    CREATE TABLE SurveyTranslations (
+        TranslationId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        SurveyId UNIQUEIDENTIFIER NOT NULL,
+        LanguageCode NVARCHAR(10) NOT NULL,
+        TranslationKey NVARCHAR(400) NOT NULL,
+        SourceText NVARCHAR(MAX) NULL,
+        TranslatedText NVARCHAR(MAX) NOT NULL,
+        UpdatedBy UNIQUEIDENTIFIER NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        UpdatedAt DATETIME2 NULL,
+        CONSTRAINT FK_SurveyTranslations_Event FOREIGN KEY (SurveyId) REFERENCES dbo.Events(SurveyId) ON DELETE CASCADE,
+        CONSTRAINT FK_SurveyTranslations_UpdatedBy FOREIGN KEY (UpdatedBy) REFERENCES dbo.Users(UserId),
+        CONSTRAINT UQ_SurveyTranslations_Key UNIQUE (SurveyId, LanguageCode, TranslationKey)
+    );
+
+    PRINT 'SurveyTranslations table created successfully';
+END
+GO
+
+IF COL_LENGTH('Responses', 'Locale') IS NULL
+BEGIN
+    ALTER TABLE Responses
+    ADD Locale NVARCHAR(10) NULL;
+    PRINT 'Added Responses.Locale';
+END
+GO
+
+PRINT 'Migration 043 completed: event content can be translated per language';
+GO
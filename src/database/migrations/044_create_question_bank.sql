@@ -0,0 +1,67 @@
+/*
+  Migration 044: Shared question bank
+  Purpose:
+  - Store canonical questions reused by every CSI cycle under a stable key,
+    with a category and a version per content change
+  - Link event questions to the bank version they were built from so scores
+    of "the same question" can be compared across events and years
+  Changing the type, prompt, subtitle or options of a bank question adds a new
+  version; questions linked to an older version keep that link.
+*/
+
+USE CSI;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'QuestionBank')
+BEGIN
+    CREATE TABLE QuestionBank (
+        BankQuestionId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        QuestionKey NVARCHAR(100) NOT NULL,
+        Version INT NOT NULL DEFAULT 1,
+        Category NVARCHAR(100) NULL,
+        Type NVARCHAR(50) NOT NULL,
+        PromptText NVARCHAR(MAX) NOT NULL,
+        Subtitle NVARCHAR(500) NULL,
+        Options NVARCHAR(MAX) NULL,
+        IsCurrent BIT NOT NULL DEFAULT 1,
+        IsActive BIT NOT NULL DEFAULT 1,
+        CreatedBy UNIQUEIDENTIFIER NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        UpdatedAt DATETIME2 NULL,
+        CONSTRAINT FK_QuestionBank_CreatedBy FOREIGN KEY (CreatedBy) REFERENCES dbo.Users(UserId),
+        CONSTRAINT UQ_QuestionBank_KeyVersion UNIQUE (QuestionKey, Version),
+        CONSTRAINT CK_QuestionBank_Options CHECK (Options IS NULL OR ISJSON(Options) = 1)
+    );
+
+    CREATE UNIQUE INDEX UX_QuestionBank_CurrentKey ON QuestionBank(QuestionKey) WHERE IsCurrent = 1;
+    CREATE INDEX IX_QuestionBank_Category ON QuestionBank(Category, IsActive);
+
+    PRINT 'QuestionBank table created successfully';
+END
+GO
+
+IF COL_LENGTH('Questions', 'BankQuestionId') IS NULL
+BEGIN
+    ALTER TABLE Questions
+    ADD BankQuestionId UNIQUEIDENTIFIER NULL;
+    PRINT 'Added Questions.BankQuestionId';
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.foreign_keys WHERE name = N'FK_Questions_BankQuestion')
+BEGIN
+    ALTER TABLE Questions
+        ADD CONSTRAINT FK_Questions_BankQuestion FOREIGN KEY (BankQuestionId) REFERENCES dbo.QuestionBank(BankQuestionId);
+    PRINT 'Added FK_Questions_BankQuestion';
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Questions_BankQuestionId' AND object_id = OBJECT_ID('Questions'))
+BEGIN
+    CREATE INDEX IX_Questions_BankQuestionId ON Questions(BankQuestionId) WHERE BankQuestionId IS NOT NULL;
+    PRINT 'Added IX_Questions_BankQuestionId';
+END
+GO
+
+PRINT 'Migration 044 completed: questions can be linked to the question bank';
+GO
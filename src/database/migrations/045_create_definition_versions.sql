@@ -0,0 +1,92 @@
+/*
+  Migration 045: Frozen survey definition per publish cycle
+  Purpose:
+  - Snapshot the question set of an event when a publish cycle starts, and
+    again whenever its questions are edited while the cycle runs
+  - Record on every answer the question version it was answered against so
+    the response detail view and reports show the wording the respondent saw
+  Snapshots are never updated; an edit adds a new definition version and
+  marks it current.
+*/
+
+USE CSI;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'SurveyDefinitionVersions')
+BEGIN
+    CREATE TABLE SurveyDefinitionVersions (
+        DefinitionVersionId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        SurveyId UNIQUEIDENTIFIER NOT NULL,
+        PublishCycleId UNIQUEIDENTIFIER NOT NULL,
+        VersionNumber INT NOT NULL,
+        IsCurrent BIT NOT NULL DEFAULT 1,
+        CreatedBy UNIQUEIDENTIFIER NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT FK_SurveyDefinitionVersions_PublishCycle FOREIGN KEY (PublishCycleId) REFERENCES dbo.SurveyPublishCycles(PublishCycleId) ON DELETE CASCADE,
+        CONSTRAINT FK_SurveyDefinitionVersions_CreatedBy FOREIGN KEY (CreatedBy) REFERENCES dbo.Users(UserId),
+        CONSTRAINT UQ_SurveyDefinitionVersions_SurveyVersion UNIQUE (SurveyId, VersionNumber)
+    );
+
+    CREATE UNIQUE INDEX UX_SurveyDefinitionVersions_Current
+        ON SurveyDefinitionVersions(SurveyId)
+        WHERE IsCurrent = 1;
+
+    CREATE INDEX IX_SurveyDefinitionVersions_PublishCycleId ON SurveyDefinitionVersions(PublishCycleId);
+
+    PRINT 'SurveyDefinitionVersions table created successfully';
+END
+GO
+
+-- QuestionId has no foreign key: deleting a question must not delete the
+-- wording earlier respondents answered
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'QuestionVersions')
+BEGIN
+    CREATE TABLE QuestionVersions (
+        QuestionVersionId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        DefinitionVersionId UNIQUEIDENTIFIER NOT NULL,
+        QuestionId UNIQUEIDENTIFIER NOT NULL,
+        Type NVARCHAR(50) NOT NULL,
+        PromptText NVARCHAR(MAX) NOT NULL,
+        Subtitle NVARCHAR(500) NULL,
+        ImageUrl NVARCHAR(500) NULL,
+        IsMandatory BIT NOT NULL DEFAULT 0,
+        DisplayOrder INT NOT NULL,
+        PageNumber INT NOT NULL DEFAULT 1,
+        LayoutOrientation NVARCHAR(20) NULL,
+        Options NVARCHAR(MAX) NULL,
+        CommentRequiredBelowRating INT NULL,
+        CONSTRAINT FK_QuestionVersions_DefinitionVersion FOREIGN KEY (DefinitionVersionId) REFERENCES dbo.SurveyDefinitionVersions(DefinitionVersionId) ON DELETE CASCADE,
+        CONSTRAINT UQ_QuestionVersions_DefinitionQuestion UNIQUE (DefinitionVersionId, QuestionId)
+    );
+
+    CREATE INDEX IX_QuestionVersions_QuestionId ON QuestionVersions(QuestionId);
+
+    PRINT 'QuestionVersions table created successfully';
+END
+GO
+
+IF COL_LENGTH('QuestionResponses', 'QuestionVersionId') IS NULL
+BEGIN
+    ALTER TABLE QuestionResponses
+    ADD QuestionVersionId UNIQUEIDENTIFIER NULL;
+    PRINT 'Added QuestionResponses.QuestionVersionId';
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.foreign_keys WHERE name = N'FK_QuestionResponses_QuestionVersion')
+BEGIN
+    ALTER TABLE QuestionResponses
+        ADD CONSTRAINT FK_QuestionResponses_QuestionVersion FOREIGN KEY (QuestionVersionId) REFERENCES dbo.QuestionVersions(QuestionVersionId);
+    PRINT 'Added FK_QuestionResponses_QuestionVersion';
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_QuestionResponses_QuestionVersionId' AND object_id = OBJECT_ID('QuestionResponses'))
+BEGIN
+    CREATE INDEX IX_QuestionResponses_QuestionVersionId ON QuestionResponses(QuestionVersionId) WHERE QuestionVersionId IS NOT NULL;
+    PRINT 'Added IX_QuestionResponses_QuestionVersionId';
+END
+GO
+
+PRINT 'Migration 045 completed: survey definitions are versioned per publish cycle';
+GO
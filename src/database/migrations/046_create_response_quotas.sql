@@ -0,0 +1,37 @@
+/*
+  Migration 046: Per-segment response quotas
+  Purpose:
+  - Cap the number of responses an event accepts per business unit,
+    department or application (e.g. at most 30 responses per application)
+  A segment closes automatically once its quota is reached: its applications
+  are no longer offered and further submissions for it are rejected.
+  Responses of the current publish cycle count towards a quota unless an
+  admin rejected them.
+*/
+
+USE CSI;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'EventResponseQuotas')
+BEGIN
+    CREATE TABLE EventResponseQuotas (
+        QuotaId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        SurveyId UNIQUEIDENTIFIER NOT NULL,
+        SegmentType NVARCHAR(30) NOT NULL,
+        SegmentId UNIQUEIDENTIFIER NOT NULL,
+        MaxResponses INT NOT NULL,
+        CreatedBy UNIQUEIDENTIFIER NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT FK_EventResponseQuotas_Event FOREIGN KEY (SurveyId) REFERENCES dbo.Events(SurveyId) ON DELETE CASCADE,
+        CONSTRAINT FK_EventResponseQuotas_CreatedBy FOREIGN KEY (CreatedBy) REFERENCES dbo.Users(UserId),
+        CONSTRAINT UQ_EventResponseQuotas_Segment UNIQUE (SurveyId, SegmentType, SegmentId),
+        CONSTRAINT CK_EventResponseQuotas_SegmentType CHECK (SegmentType IN ('BusinessUnit', 'Department', 'Application')),
+        CONSTRAINT CK_EventResponseQuotas_MaxResponses CHECK (MaxResponses > 0)
+    );
+
+    PRINT 'EventResponseQuotas table created successfully';
+END
+GO
+
+PRINT 'Migration 046 completed: events can limit responses per segment';
+GO
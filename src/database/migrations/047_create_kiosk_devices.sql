@@ -0,0 +1,60 @@
+/*
+  Migration 047: Kiosk devices for exhibition-type events
+  Purpose:
+  - Register booth tablets that run the public form in kiosk mode
+    (only the SHA-256 hash of a device token is stored; revoking a device
+    locks it out)
+  - Remember the idempotency key of every kiosk submission so a device that
+    retries a queued batch never creates the same responses twice
+*/
+
+USE CSI;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'KioskDevices')
+BEGIN
+    CREATE TABLE KioskDevices (
+        DeviceId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        SurveyId UNIQUEIDENTIFIER NOT NULL,
+        DeviceName NVARCHAR(200) NOT NULL,
+        TokenHash NVARCHAR(64) NOT NULL,
+        ResetAfterSeconds INT NOT NULL DEFAULT 60,
+        IsActive BIT NOT NULL DEFAULT 1,
+        LastSeenAt DATETIME2 NULL,
+        LastSyncAt DATETIME2 NULL,
+        CreatedBy UNIQUEIDENTIFIER NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        RevokedBy UNIQUEIDENTIFIER NULL,
+        RevokedAt DATETIME2 NULL,
+        CONSTRAINT FK_KioskDevices_Event FOREIGN KEY (SurveyId) REFERENCES dbo.Events(SurveyId) ON DELETE CASCADE,
+        CONSTRAINT FK_KioskDevices_CreatedBy FOREIGN KEY (CreatedBy) REFERENCES dbo.Users(UserId),
+        CONSTRAINT FK_KioskDevices_RevokedBy FOREIGN KEY (RevokedBy) REFERENCES dbo.Users(UserId),
+        CONSTRAINT UQ_KioskDevices_TokenHash UNIQUE (TokenHash),
+        CONSTRAINT CK_KioskDevices_ResetAfterSeconds CHECK (ResetAfterSeconds BETWEEN 10 AND 3600)
+    );
+
+    CREATE INDEX IX_KioskDevices_SurveyId ON KioskDevices(SurveyId);
+
+    PRINT 'KioskDevices table created successfully';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'KioskSubmissions')
+BEGIN
+    CREATE TABLE KioskSubmissions (
+        KioskSubmissionId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        DeviceId UNIQUEIDENTIFIER NOT NULL,
+        IdempotencyKey NVARCHAR(100) NOT NULL,
+        ResponseIds NVARCHAR(MAX) NOT NULL,
+        CapturedAt DATETIME2 NULL,
+        ReceivedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT FK_KioskSubmissions_Device FOREIGN KEY (DeviceId) REFERENCES KioskDevices(DeviceId) ON DELETE CASCADE,
+        CONSTRAINT UQ_KioskSubmissions_Key UNIQUE (DeviceId, IdempotencyKey)
+    );
+
+    PRINT 'KioskSubmissions table created successfully';
+END
+GO
+
+PRINT 'Migration 047 completed: kiosk devices can queue submissions offline';
+GO
@@ -0,0 +1,77 @@
+/*
+  Migration 048: Respondent email verification
+  Purpose:
+  - Let an event require respondents to confirm their email with a one-time
+    code before submitting (only SHA-256 hashes of the code and of the
+    verification token handed back to the form are stored)
+  - Flag responses whose email was verified so duplicate checks and reports
+    can trust or filter on it
+*/
+
+USE CSI;
+GO
+
+IF COL_LENGTH('Events', 'EmailVerificationRequired') IS NULL
+BEGIN
+    ALTER TABLE Events ADD EmailVerificationRequired BIT NOT NULL
+        CONSTRAINT DF_Events_EmailVerificationRequired DEFAULT 0;
+
+    PRINT 'Events.EmailVerificationRequired column added successfully';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ResponseEmailVerifications')
+BEGIN
+    CREATE TABLE ResponseEmailVerifications (
+        VerificationId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        SurveyId UNIQUEIDENTIFIER NOT NULL,
+        Email NVARCHAR(200) NOT NULL,
+        CodeHash NVARCHAR(64) NOT NULL,
+        TokenHash NVARCHAR(64) NULL,
+        Attempts INT NOT NULL DEFAULT 0,
+        ExpiresAt DATETIME2 NOT NULL,
+        VerifiedAt DATETIME2 NULL,
+        UsedAt DATETIME2 NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        CreatedByIp NVARCHAR(50) NULL,
+        CONSTRAINT FK_ResponseEmailVerifications_Event FOREIGN KEY (SurveyId) REFERENCES dbo.Events(SurveyId) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IX_ResponseEmailVerifications_SurveyEmail ON ResponseEmailVerifications(SurveyId, Email, CreatedAt);
+    CREATE INDEX IX_ResponseEmailVerifications_TokenHash ON ResponseEmailVerifications(TokenHash) WHERE TokenHash IS NOT NULL;
+
+    PRINT 'ResponseEmailVerifications table created successfully';
+END
+GO
+
+IF COL_LENGTH('Responses', 'EmailVerified') IS NULL
+BEGIN
+    ALTER TABLE Responses ADD EmailVerified BIT NOT NULL
+        CONSTRAINT DF_Responses_EmailVerified DEFAULT 0;
+
+    PRINT 'Responses.EmailVerified column added successfully';
+END
+GO
+
+IF COL_LENGTH('Responses', 'EmailVerificationId') IS NULL
+BEGIN
+    ALTER TABLE Responses ADD EmailVerificationId UNIQUEIDENTIFIER NULL;
+    PRINT 'Responses.EmailVerificationId column added successfully';
+END
+GO
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.foreign_keys
+    WHERE name = 'FK_Responses_EmailVerification'
+)
+AND COL_LENGTH('Responses', 'EmailVerificationId') IS NOT NULL
+BEGIN
+    ALTER TABLE Responses
+    ADD CONSTRAINT FK_Responses_EmailVerification
+        FOREIGN KEY (EmailVerificationId) REFERENCES ResponseEmailVerifications(VerificationId);
+END
+GO
+
+PRINT 'Migration 048 completed: respondents can verify their email before submitting';
+GO
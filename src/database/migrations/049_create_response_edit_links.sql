@@ -0,0 +1,38 @@
+/*
+  Migration 049: Respondent edit links
+  Purpose:
+  - Let respondents reopen and amend a submission with a private edit link
+    (only the SHA-256 hash of the link token is stored)
+  - Track which responses a link currently covers; changing the application
+    choice replaces responses, so the list is rewritten on every revision
+  - Editing is allowed until the event EndDate or until an admin starts
+    reviewing the responses; every revision is written to AuditLogs
+*/
+
+USE CSI;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ResponseEditLinks')
+BEGIN
+    CREATE TABLE ResponseEditLinks (
+        EditLinkId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        SurveyId UNIQUEIDENTIFIER NOT NULL,
+        TokenHash NVARCHAR(64) NOT NULL,
+        ResponseIds NVARCHAR(MAX) NOT NULL,
+        RespondentEmail NVARCHAR(200) NULL,
+        RevisionCount INT NOT NULL DEFAULT 0,
+        LastEditedAt DATETIME2 NULL,
+        EmailSentAt DATETIME2 NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT FK_ResponseEditLinks_Event FOREIGN KEY (SurveyId) REFERENCES dbo.Events(SurveyId) ON DELETE CASCADE,
+        CONSTRAINT UQ_ResponseEditLinks_TokenHash UNIQUE (TokenHash)
+    );
+
+    CREATE INDEX IX_ResponseEditLinks_SurveyId ON ResponseEditLinks(SurveyId);
+
+    PRINT 'ResponseEditLinks table created successfully';
+END
+GO
+
+PRINT 'Migration 049 completed: respondents can amend their submission with an edit link';
+GO
@@ -0,0 +1,36 @@
+/*
+  Migration 050: Approval SLA escalations
+  Purpose:
+  - Record every escalation sent for a response that overran the SLA of its
+    approval stage (level 1 = admins assigned to the event, level 2 = SuperAdmin)
+  - The unique key on (response, stage, stage start, level) keeps the daily SLA
+    run from escalating the same stage twice; a new stage start (e.g. the
+    response was routed back) starts a fresh escalation chain
+*/
+
+USE CSI;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ApprovalEscalations')
+BEGIN
+    CREATE TABLE ApprovalEscalations (
+        EscalationId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        ResponseId UNIQUEIDENTIFIER NOT NULL,
+        StageStatus NVARCHAR(50) NOT NULL,
+        StageStartedAt DATETIME2 NOT NULL,
+        EscalationLevel INT NOT NULL,
+        RecipientCount INT NOT NULL DEFAULT 0,
+        EscalatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT FK_ApprovalEscalations_Response FOREIGN KEY (ResponseId) REFERENCES Responses(ResponseId) ON DELETE CASCADE,
+        CONSTRAINT UQ_ApprovalEscalations_Stage UNIQUE (ResponseId, StageStatus, StageStartedAt, EscalationLevel),
+        CONSTRAINT CK_ApprovalEscalations_Level CHECK (EscalationLevel IN (1, 2))
+    );
+
+    CREATE INDEX IX_ApprovalEscalations_EscalatedAt ON ApprovalEscalations(EscalatedAt);
+
+    PRINT 'ApprovalEscalations table created successfully';
+END
+GO
+
+PRINT 'Migration 050 completed: overdue approvals are escalated once per stage and level';
+GO
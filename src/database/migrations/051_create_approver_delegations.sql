@@ -0,0 +1,61 @@
+/*
+  Migration 051: Approver delegation
+  Purpose:
+  - Let an IT Lead or Department Head name a delegate for a date range (out of
+    office); during the range the delegate sees the approver's queue and can
+    act on it
+  - Record on whose behalf an approval action was taken in ApprovalHistory and
+    ResponseStageApprovals (PerformedBy stays the user who acted)
+*/
+
+USE CSI;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ApproverDelegations')
+BEGIN
+    CREATE TABLE ApproverDelegations (
+        DelegationId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        DelegatorUserId UNIQUEIDENTIFIER NOT NULL,
+        DelegateUserId UNIQUEIDENTIFIER NOT NULL,
+        StartDate DATE NOT NULL,
+        EndDate DATE NOT NULL,
+        Reason NVARCHAR(500) NULL,
+        CreatedBy UNIQUEIDENTIFIER NOT NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        RevokedBy UNIQUEIDENTIFIER NULL,
+        RevokedAt DATETIME2 NULL,
+        CONSTRAINT FK_ApproverDelegations_Delegator FOREIGN KEY (DelegatorUserId) REFERENCES dbo.Users(UserId),
+        CONSTRAINT FK_ApproverDelegations_Delegate FOREIGN KEY (DelegateUserId) REFERENCES dbo.Users(UserId),
+        CONSTRAINT FK_ApproverDelegations_CreatedBy FOREIGN KEY (CreatedBy) REFERENCES dbo.Users(UserId),
+        CONSTRAINT FK_ApproverDelegations_RevokedBy FOREIGN KEY (RevokedBy) REFERENCES dbo.Users(UserId),
+        CONSTRAINT CK_ApproverDelegations_Range CHECK (EndDate >= StartDate),
+        CONSTRAINT CK_ApproverDelegations_Self CHECK (DelegateUserId <> DelegatorUserId)
+    );
+
+    CREATE INDEX IX_ApproverDelegations_Delegate ON ApproverDelegations(DelegateUserId, StartDate, EndDate) WHERE RevokedAt IS NULL;
+    CREATE INDEX IX_ApproverDelegations_Delegator ON ApproverDelegations(DelegatorUserId, StartDate, EndDate);
+
+    PRINT 'ApproverDelegations table created successfully';
+END
+GO
+
+IF COL_LENGTH('ApprovalHistory', 'OnBehalfOf') IS NULL
+BEGIN
+    ALTER TABLE ApprovalHistory ADD OnBehalfOf UNIQUEIDENTIFIER NULL
+        CONSTRAINT FK_ApprovalHistory_OnBehalfOf FOREIGN KEY REFERENCES dbo.Users(UserId);
+
+    PRINT 'ApprovalHistory.OnBehalfOf column added successfully';
+END
+GO
+
+IF COL_LENGTH('ResponseStageApprovals', 'OnBehalfOf') IS NULL
+BEGIN
+    ALTER TABLE ResponseStageApprovals ADD OnBehalfOf UNIQUEIDENTIFIER NULL
+        CONSTRAINT FK_ResponseStageApprovals_OnBehalfOf FOREIGN KEY REFERENCES dbo.Users(UserId);
+
+    PRINT 'ResponseStageApprovals.OnBehalfOf column added successfully';
+END
+GO
+
+PRINT 'Migration 051 completed: approvers can delegate their queue while out of office';
+GO
@@ -0,0 +1,74 @@
+/*
+  Migration 052: Takeout reason codes
+  Purpose:
+  - Managed catalogue of takeout reasons (wrong application, not a user,
+    abusive comment, duplicate, ...) that IT Leads pick from when proposing a
+    takeout; TakeoutReason keeps the optional free-text detail
+  - Store the reason code on QuestionResponses and ApprovalHistory so takeouts
+    can be counted by reason, IT Lead and application
+  - Existing takeouts are classified as OTHER, their free text stays the detail
+*/
+
+USE CSI;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'TakeoutReasons')
+BEGIN
+    CREATE TABLE TakeoutReasons (
+        ReasonCode NVARCHAR(50) NOT NULL PRIMARY KEY,
+        Label NVARCHAR(200) NOT NULL,
+        Description NVARCHAR(500) NULL,
+        RequiresDetail BIT NOT NULL DEFAULT 0,
+        SortOrder INT NOT NULL DEFAULT 0,
+        IsActive BIT NOT NULL DEFAULT 1,
+        CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        UpdatedBy UNIQUEIDENTIFIER NULL,
+        UpdatedAt DATETIME2 NULL,
+        CONSTRAINT FK_TakeoutReasons_UpdatedBy FOREIGN KEY (UpdatedBy) REFERENCES dbo.Users(UserId)
+    );
+
+    INSERT INTO TakeoutReasons (ReasonCode, Label, Description, RequiresDetail, SortOrder)
+    VALUES
+        ('WRONG_APPLICATION', 'Wrong application', 'The answer is about another application than the one rated', 0, 10),
+        ('NOT_A_USER', 'Not a user', 'The respondent does not use the application', 0, 20),
+        ('ABUSIVE_COMMENT', 'Abusive comment', 'The comment is offensive or personal', 0, 30),
+        ('DUPLICATE', 'Duplicate', 'The same respondent already answered for this application', 0, 40),
+        ('OTHER', 'Other', 'Any other reason, explained in the detail', 1, 99);
+
+    PRINT 'TakeoutReasons table created successfully';
+END
+GO
+
+IF COL_LENGTH('QuestionResponses', 'TakeoutReasonCode') IS NULL
+BEGIN
+    ALTER TABLE QuestionResponses ADD TakeoutReasonCode NVARCHAR(50) NULL
+        CONSTRAINT FK_QuestionResponses_TakeoutReasonCode FOREIGN KEY REFERENCES dbo.TakeoutReasons(ReasonCode);
+
+    PRINT 'QuestionResponses.TakeoutReasonCode column added successfully';
+END
+GO
+
+IF COL_LENGTH('ApprovalHistory', 'ReasonCode') IS NULL
+BEGIN
+    ALTER TABLE ApprovalHistory ADD ReasonCode NVARCHAR(50) NULL
+        CONSTRAINT FK_ApprovalHistory_ReasonCode FOREIGN KEY REFERENCES dbo.TakeoutReasons(ReasonCode);
+
+    CREATE INDEX IX_ApprovalHistory_ReasonCode ON ApprovalHistory(ReasonCode) WHERE ReasonCode IS NOT NULL;
+
+    PRINT 'ApprovalHistory.ReasonCode column added successfully';
+END
+GO
+
+UPDATE QuestionResponses
+SET TakeoutReasonCode = 'OTHER'
+WHERE TakeoutReasonCode IS NULL
+  AND TakeoutStatus IN ('ProposedTakeout', 'TakenOut');
+
+UPDATE ApprovalHistory
+SET ReasonCode = 'OTHER'
+WHERE ReasonCode IS NULL
+  AND Action = 'Proposed';
+GO
+
+PRINT 'Migration 052 completed: takeouts are classified with reason codes';
+GO
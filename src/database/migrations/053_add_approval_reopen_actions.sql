@@ -0,0 +1,76 @@
+/*
+  Migration 053: Reopen finalised responses
+  Purpose:
+  - Allow the 'Reopened' action in ApprovalHistory (a taken out answer sent
+    back to the takeout decision or restored) and in ResponseStageApprovals
+    (a finalised response sent back to an earlier stage)
+  - The column-level CHECK on ApprovalHistory.Action created by migration 005
+    has a generated name; it is replaced by the named CK_ApprovalHistory_Action
+*/
+
+USE CSI;
+GO
+
+SET NOCOUNT ON;
+
+DECLARE @constraintName NVARCHAR(128);
+DECLARE @dropSql NVARCHAR(MAX);
+
+DECLARE constraint_cursor CURSOR FOR
+SELECT cc.name
+FROM sys.check_constraints cc
+WHERE cc.parent_object_id = OBJECT_ID('ApprovalHistory')
+  AND cc.definition LIKE '%[[]Action]%'
+  AND cc.name <> 'CK_ApprovalHistory_Action';
+
+OPEN constraint_cursor;
+FETCH NEXT FROM constraint_cursor INTO @constraintName;
+
+WHILE @@FETCH_STATUS = 0
+BEGIN
+    SET @dropSql = N'ALTER TABLE ApprovalHistory DROP CONSTRAINT ' + QUOTENAME(@constraintName) + ';';
+    EXEC sp_executesql @dropSql;
+    PRINT 'Dropped legacy constraint: ' + @constraintName;
+    FETCH NEXT FROM constraint_cursor INTO @constraintName;
+END
+
+CLOSE constraint_cursor;
+DEALLOCATE constraint_cursor;
+GO
+
+IF OBJECT_ID('CK_ApprovalHistory_Action', 'C') IS NULL
+BEGIN
+    ALTER TABLE ApprovalHistory
+    ADD CONSTRAINT CK_ApprovalHistory_Action
+    CHECK (Action IN ('Proposed', 'Approved', 'Rejected', 'Cancelled', 'Reopened'));
+
+    PRINT 'Created CK_ApprovalHistory_Action constraint';
+END
+GO
+
+IF EXISTS (SELECT * FROM sys.tables WHERE name = 'ResponseStageApprovals')
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM sys.check_constraints
+        WHERE parent_object_id = OBJECT_ID('ResponseStageApprovals')
+          AND name = 'CK_ResponseStageApprovals_Action'
+          AND definition NOT LIKE '%Reopened%'
+    )
+    BEGIN
+        ALTER TABLE ResponseStageApprovals DROP CONSTRAINT CK_ResponseStageApprovals_Action;
+    END
+
+    IF OBJECT_ID('CK_ResponseStageApprovals_Action', 'C') IS NULL
+    BEGIN
+        ALTER TABLE ResponseStageApprovals
+        ADD CONSTRAINT CK_ResponseStageApprovals_Action
+        CHECK (Action IN ('Approved', 'Skipped', 'Reopened'));
+
+        PRINT 'ResponseStageApprovals accepts the Reopened action';
+    END
+END
+GO
+
+PRINT 'Migration 053 completed: finalised responses can be reopened';
+GO
@@ -0,0 +1,72 @@
+/*
+  Migration 054: Filter-based bulk approval jobs
+  Purpose:
+  - Queue "approve everything matching this filter" (event, application,
+    department, duplicate flag) as a background job instead of one request
+    carrying every response ID
+  - Snapshot the matching responses as job items when the job is created and
+    log the result of each item, so progress can be followed and failures
+    reviewed afterwards
+*/
+
+USE CSI;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ApprovalBulkJobs')
+BEGIN
+    CREATE TABLE ApprovalBulkJobs (
+        JobId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        Action NVARCHAR(30) NOT NULL,
+        SurveyId UNIQUEIDENTIFIER NOT NULL,
+        Filter NVARCHAR(MAX) NOT NULL,
+        QuestionIds NVARCHAR(MAX) NULL,
+        Reason NVARCHAR(MAX) NULL,
+        ReasonCode NVARCHAR(50) NULL,
+        RequestedBy UNIQUEIDENTIFIER NOT NULL,
+        RequestedByRole NVARCHAR(50) NOT NULL,
+        Status NVARCHAR(20) NOT NULL DEFAULT 'Pending',
+        TotalItems INT NOT NULL DEFAULT 0,
+        ProcessedItems INT NOT NULL DEFAULT 0,
+        SucceededItems INT NOT NULL DEFAULT 0,
+        SkippedItems INT NOT NULL DEFAULT 0,
+        FailedItems INT NOT NULL DEFAULT 0,
+        ErrorMessage NVARCHAR(MAX) NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+        StartedAt DATETIME2 NULL,
+        CompletedAt DATETIME2 NULL,
+        CONSTRAINT FK_ApprovalBulkJobs_Survey FOREIGN KEY (SurveyId) REFERENCES dbo.Surveys(SurveyId),
+        CONSTRAINT FK_ApprovalBulkJobs_RequestedBy FOREIGN KEY (RequestedBy) REFERENCES dbo.Users(UserId),
+        CONSTRAINT CK_ApprovalBulkJobs_Action CHECK (Action IN ('ApproveInitial', 'ApproveFinal', 'ProposeTakeout')),
+        CONSTRAINT CK_ApprovalBulkJobs_Status CHECK (Status IN ('Pending', 'Running', 'Completed', 'Failed'))
+    );
+
+    CREATE INDEX IX_ApprovalBulkJobs_Status ON ApprovalBulkJobs(Status, CreatedAt);
+    CREATE INDEX IX_ApprovalBulkJobs_RequestedBy ON ApprovalBulkJobs(RequestedBy, CreatedAt);
+
+    PRINT 'ApprovalBulkJobs table created successfully';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ApprovalBulkJobItems')
+BEGIN
+    CREATE TABLE ApprovalBulkJobItems (
+        JobItemId BIGINT IDENTITY(1,1) PRIMARY KEY,
+        JobId UNIQUEIDENTIFIER NOT NULL,
+        ResponseId UNIQUEIDENTIFIER NOT NULL,
+        Status NVARCHAR(20) NOT NULL DEFAULT 'Pending',
+        ResultStatus NVARCHAR(50) NULL,
+        Message NVARCHAR(1000) NULL,
+        ProcessedAt DATETIME2 NULL,
+        CONSTRAINT FK_ApprovalBulkJobItems_Job FOREIGN KEY (JobId) REFERENCES dbo.ApprovalBulkJobs(JobId) ON DELETE CASCADE,
+        CONSTRAINT UQ_ApprovalBulkJobItems_Response UNIQUE (JobId, ResponseId),
+        CONSTRAINT CK_ApprovalBulkJobItems_Status CHECK (Status IN ('Pending', 'Succeeded', 'Skipped', 'Failed'))
+    );
+
+    CREATE INDEX IX_ApprovalBulkJobItems_Status ON ApprovalBulkJobItems(JobId, Status, JobItemId);
+
+    PRINT 'ApprovalBulkJobItems table created successfully';
+END
+GO
+
+PRINT 'Migration 054 completed: bulk approvals can run as background jobs';
+GO
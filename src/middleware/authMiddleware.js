@@ -45,12 +45,21 @@ const PERMISSIONS = {
   'responses:approve-initial': [ROLES.ADMIN_EVENT],
   'responses:reject-initial': [ROLES.ADMIN_EVENT],
   'responses:propose-takeout': [ROLES.IT_LEAD],
-  'responses:approve-final': [ROLES.IT_LEAD],
+  'responses:approve-final': [ROLES.IT_LEAD, ROLES.DEPARTMENT_HEAD],
 
   // Approval Management
   'approvals:read': [ROLES.ADMIN_EVENT, ROLES.IT_LEAD],
   'approvals:approve': [ROLES.ADMIN_EVENT],
   'approvals:reject': [ROLES.ADMIN_EVENT],
+  'approvals:sla-report': [ROLES.ADMIN_EVENT, ROLES.SUPER_ADMIN],
+  'approval-workflows:read': [ROLES.ADMIN_EVENT, ROLES.SUPER_ADMIN],
+  'approval-workflows:update': [ROLES.SUPER_ADMIN],
+  'approval-delegations:manage': [ROLES.IT_LEAD, ROLES.DEPARTMENT_HEAD, ROLES.SUPER_ADMIN],
+  'approvals:takeout-report': [ROLES.ADMIN_EVENT, ROLES.SUPER_ADMIN],
+  'approvals:reopen': [ROLES.ADMIN_EVENT, ROLES.SUPER_ADMIN],
+  'approvals:bulk-jobs': [ROLES.ADMIN_EVENT, ROLES.IT_LEAD, ROLES.DEPARTMENT_HEAD, ROLES.SUPER_ADMIN],
+  'takeout-reasons:read': [ROLES.ADMIN_EVENT, ROLES.IT_LEAD, ROLES.SUPER_ADMIN],
+  'takeout-reasons:manage': [ROLES.SUPER_ADMIN],
 
   // Best Comments
   'best-comments:read': [ROLES.ADMIN_EVENT, ROLES.IT_LEAD, ROLES.DEPARTMENT_HEAD],
@@ -58,6 +67,11 @@ const PERMISSIONS = {
   'best-comments:delete': [ROLES.ADMIN_EVENT],
   'best-comments:feedback': [ROLES.IT_LEAD],
 
+  // Dashboard
+  'dashboard:admin': [ROLES.ADMIN_EVENT, ROLES.SUPER_ADMIN],
+  'dashboard:it-lead': [ROLES.IT_LEAD],
+  'dashboard:department-head': [ROLES.DEPARTMENT_HEAD, ROLES.ADMIN_EVENT, ROLES.SUPER_ADMIN],
+
   // Reports
   'reports:read': [ROLES.ADMIN_EVENT, ROLES.SUPER_ADMIN, ROLES.IT_LEAD, ROLES.DEPARTMENT_HEAD],
   'reports:export': [ROLES.ADMIN_EVENT, ROLES.SUPER_ADMIN, ROLES.IT_LEAD, ROLES.DEPARTMENT_HEAD],
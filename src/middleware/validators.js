@@ -1,5 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { ValidationError } = require('./errorHandler');
+const { QUESTION_TYPES } = require('../services/survey-service/question-types');
 
 /**
  * Middleware to handle validation results
@@ -397,7 +398,7 @@ const validateCreateQuestion = [
     .notEmpty().withMessage('Survey ID is required'),
   body('type')
     .notEmpty().withMessage('Question type is required')
-    .isIn(['HeroCover', 'Text', 'MultipleChoice', 'Checkbox', 'Dropdown', 'MatrixLikert', 'Rating', 'Date', 'Signature'])
+    .isIn(QUESTION_TYPES)
     .withMessage('Invalid question type'),
   body('promptText')
     .optional()
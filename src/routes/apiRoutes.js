@@ -6,6 +6,7 @@ const {
   requireAuth,
   requirePermission
 } = require('../middleware/authMiddleware');
+const { ATTACHMENT_MIME_TYPES } = require('../services/response-service/attachments');
 
 const userController = require('../controllers/userController');
 const businessUnitController = require('../controllers/businessUnitController');
@@ -18,6 +19,7 @@ const surveyController = require('../controllers/surveyController');
 const questionController = require('../controllers/questionController');
 const responseController = require('../controllers/responseController');
 const reportController = require('../controllers/reportController');
+const dashboardController = require('../controllers/dashboardController');
 const approvalController = require('../controllers/approvalController');
 const emailController = require('../controllers/emailController');
 const auditController = require('../controllers/auditController');
@@ -51,6 +53,8 @@ const spreadsheetUpload = createUploadMiddleware([
   'text/csv'
 ]);
 
+const attachmentUpload = createUploadMiddleware(ATTACHMENT_MIME_TYPES);
+
 // Public master data endpoints for respondent form
 router.get('/public/business-units', businessUnitController.getBusinessUnits);
 router.get('/public/divisions', divisionController.getDivisions);
@@ -146,6 +150,7 @@ router.get('/mappings/app-dept/template', requireAuth, requirePermission('mappin
 router.get('/surveys', requireAuth, requirePermission('surveys:read'), surveyController.getSurveys);
 router.get('/surveys/:id', requireAuth, requirePermission('surveys:read'), surveyController.getSurveyById);
 router.post('/surveys', requireAuth, requirePermission('surveys:create'), surveyController.createSurveyValidation, surveyController.createSurvey);
+router.post('/surveys/import', requireAuth, requirePermission('surveys:create'), surveyController.importSurveyValidation, surveyController.importSurveyDefinition);
 router.put('/surveys/:id', requireAuth, requirePermission('surveys:update'), surveyController.updateSurveyValidation, surveyController.updateSurvey);
 router.delete('/surveys/:id', requireAuth, requirePermission('surveys:delete'), surveyController.deleteSurvey);
 router.patch('/surveys/:id/config', requireAuth, requirePermission('surveys:update'), surveyController.updateSurveyConfig);
@@ -153,9 +158,29 @@ router.get('/surveys/:id/preview', requireAuth, requirePermission('surveys:read'
 router.post('/surveys/:id/link', requireAuth, requirePermission('surveys:read'), surveyController.generateSurveyLink);
 router.post('/surveys/:id/qrcode', requireAuth, requirePermission('surveys:read'), surveyController.generateQRCode);
 router.post('/surveys/:id/embed', requireAuth, requirePermission('surveys:read'), surveyController.generateEmbedCode);
+router.get('/surveys/:id/short-links', requireAuth, requirePermission('surveys:read'), surveyController.getShortLinks);
+router.post('/surveys/:id/short-links', requireAuth, requirePermission('surveys:update'), surveyController.createShortLink);
+router.delete('/surveys/:id/short-links/:shortLinkId', requireAuth, requirePermission('surveys:update'), surveyController.deactivateShortLink);
+router.post('/surveys/:id/clone', requireAuth, requirePermission('surveys:create'), surveyController.cloneSurveyValidation, surveyController.cloneSurvey);
+router.post('/surveys/:id/templates', requireAuth, requirePermission('surveys:update'), surveyController.saveTemplateValidation, surveyController.saveSurveyAsTemplate);
+router.get('/surveys/:id/definition', requireAuth, requirePermission('surveys:read'), surveyController.exportSurveyDefinition);
 router.post('/surveys/:id/schedule-blast', requireAuth, requirePermission('surveys:update'), validators.validateScheduleOperation, surveyController.scheduleBlast);
 router.post('/surveys/:id/schedule-reminder', requireAuth, requirePermission('surveys:update'), validators.validateScheduleOperation, surveyController.scheduleReminder);
 router.get('/surveys/:id/scheduled-operations', requireAuth, requirePermission('surveys:read'), surveyController.getScheduledOperations);
+router.get('/surveys/:id/score', requireAuth, requirePermission('surveys:read'), surveyController.getSurveyScore);
+router.post('/surveys/:id/score/recalculate', requireAuth, requirePermission('surveys:update'), surveyController.recalculateSurveyScore);
+router.get('/surveys/:id/scoring-formula', requireAuth, requirePermission('surveys:read'), surveyController.getScoringFormula);
+router.put('/surveys/:id/scoring-formula', requireAuth, requirePermission('surveys:update'), surveyController.saveScoringFormulaValidation, surveyController.saveScoringFormula);
+router.delete('/surveys/:id/scoring-formula', requireAuth, requirePermission('surveys:update'), surveyController.resetScoringFormula);
+router.get('/surveys/:id/translations', requireAuth, requirePermission('surveys:read'), surveyController.getTranslationsValidation, surveyController.getTranslations);
+router.get('/surveys/:id/translations/export', requireAuth, requirePermission('surveys:read'), surveyController.exportTranslationsValidation, surveyController.exportTranslations);
+router.post('/surveys/:id/translations/import', requireAuth, requirePermission('surveys:update'), spreadsheetUpload.single('file'), surveyController.importTranslations);
+router.put('/surveys/:id/translations/:locale', requireAuth, requirePermission('surveys:update'), surveyController.saveTranslationsValidation, surveyController.saveTranslations);
+router.get('/surveys/:id/quotas', requireAuth, requirePermission('surveys:read'), surveyController.getQuotas);
+router.put('/surveys/:id/quotas', requireAuth, requirePermission('surveys:update'), surveyController.saveQuotasValidation, surveyController.saveQuotas);
+router.get('/surveys/:id/kiosk-devices', requireAuth, requirePermission('surveys:read'), surveyController.getKioskDevices);
+router.post('/surveys/:id/kiosk-devices', requireAuth, requirePermission('surveys:update'), surveyController.registerKioskDeviceValidation, surveyController.registerKioskDevice);
+router.delete('/surveys/:id/kiosk-devices/:deviceId', requireAuth, requirePermission('surveys:update'), surveyController.kioskDeviceValidation, surveyController.revokeKioskDevice);
 router.delete('/surveys/scheduled-operations/:operationId', requireAuth, requirePermission('surveys:update'), surveyController.cancelScheduledOperation);
 router.post('/surveys/:id/upload/hero', requireAuth, requirePermission('surveys:update'), surveyController.upload.single('image'), surveyController.uploadHeroImage);
 router.post('/surveys/:id/upload/logo', requireAuth, requirePermission('surveys:update'), surveyController.upload.single('image'), surveyController.uploadLogo);
@@ -165,6 +190,7 @@ router.post('/surveys/:id/upload/background', requireAuth, requirePermission('su
 router.get('/events', requireAuth, requirePermission('surveys:read'), surveyController.getSurveys);
 router.get('/events/:id', requireAuth, requirePermission('surveys:read'), surveyController.getSurveyById);
 router.post('/events', requireAuth, requirePermission('surveys:create'), surveyController.createSurveyValidation, surveyController.createSurvey);
+router.post('/events/import', requireAuth, requirePermission('surveys:create'), surveyController.importSurveyValidation, surveyController.importSurveyDefinition);
 router.put('/events/:id', requireAuth, requirePermission('surveys:update'), surveyController.updateSurveyValidation, surveyController.updateSurvey);
 router.delete('/events/:id', requireAuth, requirePermission('surveys:delete'), surveyController.deleteSurvey);
 router.patch('/events/:id/config', requireAuth, requirePermission('surveys:update'), surveyController.updateSurveyConfig);
@@ -172,9 +198,34 @@ router.get('/events/:id/preview', requireAuth, requirePermission('surveys:read')
 router.post('/events/:id/link', requireAuth, requirePermission('surveys:read'), surveyController.generateSurveyLink);
 router.post('/events/:id/qrcode', requireAuth, requirePermission('surveys:read'), surveyController.generateQRCode);
 router.post('/events/:id/embed', requireAuth, requirePermission('surveys:read'), surveyController.generateEmbedCode);
+router.get('/events/:id/short-links', requireAuth, requirePermission('surveys:read'), surveyController.getShortLinks);
+router.post('/events/:id/short-links', requireAuth, requirePermission('surveys:update'), surveyController.createShortLink);
+router.delete('/events/:id/short-links/:shortLinkId', requireAuth, requirePermission('surveys:update'), surveyController.deactivateShortLink);
+router.post('/events/:id/clone', requireAuth, requirePermission('surveys:create'), surveyController.cloneSurveyValidation, surveyController.cloneSurvey);
+router.post('/events/:id/templates', requireAuth, requirePermission('surveys:update'), surveyController.saveTemplateValidation, surveyController.saveSurveyAsTemplate);
+router.get('/events/:id/definition', requireAuth, requirePermission('surveys:read'), surveyController.exportSurveyDefinition);
 router.post('/events/:id/schedule-blast', requireAuth, requirePermission('surveys:update'), validators.validateScheduleOperation, surveyController.scheduleBlast);
 router.post('/events/:id/schedule-reminder', requireAuth, requirePermission('surveys:update'), validators.validateScheduleOperation, surveyController.scheduleReminder);
 router.get('/events/:id/scheduled-operations', requireAuth, requirePermission('surveys:read'), surveyController.getScheduledOperations);
+router.get('/events/:id/score', requireAuth, requirePermission('surveys:read'), surveyController.getSurveyScore);
+router.post('/events/:id/score/recalculate', requireAuth, requirePermission('surveys:update'), surveyController.recalculateSurveyScore);
+router.get('/events/:id/scoring-formula', requireAuth, requirePermission('surveys:read'), surveyController.getScoringFormula);
+router.put('/events/:id/scoring-formula', requireAuth, requirePermission('surveys:update'), surveyController.saveScoringFormulaValidation, surveyController.saveScoringFormula);
+router.delete('/events/:id/scoring-formula', requireAuth, requirePermission('surveys:update'), surveyController.resetScoringFormula);
+router.get('/events/:id/translations', requireAuth, requirePermission('surveys:read'), surveyController.getTranslationsValidation, surveyController.getTranslations);
+router.get('/events/:id/translations/export', requireAuth, requirePermission('surveys:read'), surveyController.exportTranslationsValidation, surveyController.exportTranslations);
+router.post('/events/:id/translations/import', requireAuth, requirePermission('surveys:update'), spreadsheetUpload.single('file'), surveyController.importTranslations);
+router.put('/events/:id/translations/:locale', requireAuth, requirePermission('surveys:update'), surveyController.saveTranslationsValidation, surveyController.saveTranslations);
+router.get('/events/:id/quotas', requireAuth, requirePermission('surveys:read'), surveyController.getQuotas);
+router.put('/events/:id/quotas', requireAuth, requirePermission('surveys:update'), surveyController.saveQuotasValidation, surveyController.saveQuotas);
+router.get('/events/:id/kiosk-devices', requireAuth, requirePermission('surveys:read'), surveyController.getKioskDevices);
+router.post('/events/:id/kiosk-devices', requireAuth, requirePermission('surveys:update'), surveyController.registerKioskDeviceValidation, surveyController.registerKioskDevice);
+router.delete('/events/:id/kiosk-devices/:deviceId', requireAuth, requirePermission('surveys:update'), surveyController.kioskDeviceValidation, surveyController.revokeKioskDevice);
+
+// Event template library
+router.get('/event-templates', requireAuth, requirePermission('surveys:read'), surveyController.getTemplatesValidation, surveyController.getTemplates);
+router.post('/event-templates/:templateId/events', requireAuth, requirePermission('surveys:create'), surveyController.createFromTemplateValidation, surveyController.createSurveyFromTemplate);
+router.delete('/event-templates/:templateId', requireAuth, requirePermission('surveys:delete'), surveyController.templateIdValidation, surveyController.deleteTemplate);
 
 router.get('/questions/survey/:surveyId', requireAuth, requirePermission('surveys:read'), questionController.getQuestionsBySurvey);
 router.post('/questions', requireAuth, requirePermission('surveys:update'), questionController.addQuestionValidation, questionController.addQuestion);
@@ -184,17 +235,41 @@ router.patch('/questions/reorder', requireAuth, requirePermission('surveys:updat
 router.post('/questions/:id/upload/image', requireAuth, requirePermission('surveys:update'), surveyController.upload.single('image'), questionController.uploadQuestionImage);
 router.post('/questions/:id/upload/option/:optionIndex', requireAuth, requirePermission('surveys:update'), surveyController.upload.single('image'), questionController.uploadOptionImage);
 
+// Shared question bank
+router.get('/question-bank', requireAuth, requirePermission('surveys:read'), questionController.getBankQuestionsValidation, questionController.getBankQuestions);
+router.post('/question-bank', requireAuth, requirePermission('surveys:create'), questionController.createBankQuestionValidation, questionController.createBankQuestion);
+router.get('/question-bank/:questionKey', requireAuth, requirePermission('surveys:read'), questionController.questionKeyValidation, questionController.getBankQuestion);
+router.put('/question-bank/:questionKey', requireAuth, requirePermission('surveys:update'), questionController.updateBankQuestionValidation, questionController.updateBankQuestion);
+router.delete('/question-bank/:questionKey', requireAuth, requirePermission('surveys:delete'), questionController.questionKeyValidation, questionController.deactivateBankQuestion);
+
 // Public survey response endpoints
 router.get('/responses/survey/:surveyId/form', responseController.getSurveyForm);
 router.get('/responses/survey/:surveyId/applications', responseController.getAvailableApplications);
+router.post('/responses/survey/:surveyId/questions/:questionId/attachment', attachmentUpload.single('file'), responseController.uploadAttachmentValidation, responseController.uploadAttachment);
 router.post('/responses/check-duplicate', responseController.checkDuplicateResponse);
 router.post('/responses', responseController.submitResponseValidation, responseController.submitResponse);
+router.post('/responses/drafts', responseController.saveDraftValidation, responseController.saveDraft);
+router.get('/responses/drafts/:resumeToken', responseController.getDraft);
+router.post('/responses/drafts/:resumeToken/email', responseController.sendDraftResumeLink);
+router.get('/responses/edit/:editToken', responseController.getEditableSubmission);
+router.put('/responses/edit/:editToken', responseController.amendResponseValidation, responseController.amendResponse);
+router.post('/responses/edit/:editToken/email', responseController.sendEditLinkValidation, responseController.sendEditLink);
+router.post('/responses/email-verification', responseController.requestEmailVerificationValidation, responseController.requestEmailVerification);
+router.post('/responses/email-verification/verify', responseController.verifyEmailCodeValidation, responseController.verifyEmailCode);
+router.get('/responses/invitations/:token', responseController.getInvitation);
+router.get('/responses/kiosk/session', responseController.getKioskSession);
+router.post('/responses/kiosk/submissions', responseController.submitKioskBatchValidation, responseController.submitKioskBatch);
 
 // Response management
 router.get('/responses', requireAuth, requirePermission('responses:read'), responseController.getResponses);
 router.get('/responses/:id', requireAuth, requirePermission('responses:read'), responseController.getResponseById);
 router.get('/responses/survey/:surveyId/statistics', requireAuth, requirePermission('responses:read'), responseController.getResponseStatistics);
 
+// Dashboard
+router.get('/dashboard/admin-stats', requireAuth, requirePermission('dashboard:admin'), dashboardController.getAdminStats);
+router.get('/dashboard/it-lead-stats', requireAuth, requirePermission('dashboard:it-lead'), dashboardController.getITLeadStats);
+router.get('/dashboard/dept-head-stats', requireAuth, requirePermission('dashboard:department-head'), dashboardController.getDeptHeadStats);
+
 // Reports
 router.post('/reports/generate', requireAuth, requirePermission('reports:read'), reportController.generateReport);
 router.post('/reports/view', requireAuth, requirePermission('reports:read'), reportController.viewReport);
@@ -205,6 +280,8 @@ router.get('/reports/takeout-comparison/:surveyId', requireAuth, requirePermissi
 router.get('/reports/department-head-review/:departmentId/:surveyId', requireAuth, requirePermission('reports:read'), reportController.getDepartmentHeadReview);
 router.get('/reports/scores-by-function/:departmentId/:surveyId', requireAuth, requirePermission('reports:read'), reportController.getScoresByFunction);
 router.get('/reports/approved-takeouts/:departmentId/:surveyId', requireAuth, requirePermission('reports:read'), reportController.getApprovedTakeouts);
+router.get('/reports/trends', requireAuth, requirePermission('reports:read'), reportController.getTrends);
+router.get('/reports/question-bank', requireAuth, requirePermission('reports:read'), reportController.getQuestionBankComparison);
 router.post('/reports/export/excel', requireAuth, requirePermission('reports:export'), reportController.exportToExcel);
 router.post('/reports/export/pdf', requireAuth, requirePermission('reports:export'), reportController.exportToPdf);
 router.post('/reports/statistics', requireAuth, requirePermission('reports:read'), reportController.getAggregateStatistics);
@@ -227,6 +304,25 @@ router.delete('/approvals/best-comments', requireAuth, requirePermission('best-c
 router.get('/approvals/best-comments', requireAuth, requirePermission('best-comments:read'), approvalController.getBestComments);
 router.get('/approvals/best-comments-with-feedback', requireAuth, requirePermission('best-comments:read'), approvalController.getBestCommentsWithFeedback);
 router.post('/approvals/best-comments/feedback', requireAuth, requirePermission('best-comments:feedback'), approvalController.submitBestCommentFeedback);
+router.get('/approvals/stage-pending', requireAuth, requirePermission('responses:approve-final'), approvalController.pendingStageApprovalsValidation, approvalController.getPendingStageApprovals);
+router.get('/approvals/delegations', requireAuth, requirePermission('approval-delegations:manage'), approvalController.delegationListValidation, approvalController.getDelegations);
+router.post('/approvals/delegations', requireAuth, requirePermission('approval-delegations:manage'), approvalController.createDelegationValidation, approvalController.createDelegation);
+router.delete('/approvals/delegations/:delegationId', requireAuth, requirePermission('approval-delegations:manage'), approvalController.delegationIdValidation, approvalController.revokeDelegation);
+router.post('/approvals/responses/:responseId/reopen', requireAuth, requirePermission('approvals:reopen'), approvalController.reopenResponseValidation, approvalController.reopenResponse);
+router.post('/approvals/responses/:responseId/questions/:questionId/reopen', requireAuth, requirePermission('approvals:reopen'), approvalController.reopenQuestionResponseValidation, approvalController.reopenQuestionResponse);
+router.post('/approvals/bulk-jobs/preview', requireAuth, requirePermission('approvals:bulk-jobs'), approvalController.bulkJobFilterValidation, approvalController.previewBulkApproval);
+router.post('/approvals/bulk-jobs', requireAuth, requirePermission('approvals:bulk-jobs'), approvalController.createBulkJobValidation, approvalController.createBulkApprovalJob);
+router.get('/approvals/bulk-jobs', requireAuth, requirePermission('approvals:bulk-jobs'), approvalController.getBulkApprovalJobs);
+router.get('/approvals/bulk-jobs/:jobId', requireAuth, requirePermission('approvals:bulk-jobs'), approvalController.bulkJobIdValidation, approvalController.getBulkApprovalJob);
+router.get('/approvals/bulk-jobs/:jobId/items', requireAuth, requirePermission('approvals:bulk-jobs'), approvalController.bulkJobItemsValidation, approvalController.getBulkApprovalJobItems);
+router.get('/approvals/takeout-analytics', requireAuth, requirePermission('approvals:takeout-report'), approvalController.takeoutAnalyticsValidation, approvalController.getTakeoutAnalytics);
+router.get('/takeout-reasons', requireAuth, requirePermission('takeout-reasons:read'), approvalController.takeoutReasonListValidation, approvalController.getTakeoutReasons);
+router.put('/takeout-reasons/:reasonCode', requireAuth, requirePermission('takeout-reasons:manage'), approvalController.saveTakeoutReasonValidation, approvalController.saveTakeoutReason);
+router.get('/approvals/sla/ageing', requireAuth, requirePermission('approvals:sla-report'), approvalController.approvalAgeingValidation, approvalController.getApprovalAgeingReport);
+router.get('/approval-workflows', requireAuth, requirePermission('approval-workflows:read'), approvalController.getApprovalWorkflows);
+router.get('/approval-workflows/:eventTypeId', requireAuth, requirePermission('approval-workflows:read'), approvalController.eventTypeIdValidation, approvalController.getApprovalWorkflow);
+router.put('/approval-workflows/:eventTypeId', requireAuth, requirePermission('approval-workflows:update'), approvalController.saveApprovalWorkflowValidation, approvalController.saveApprovalWorkflow);
+router.delete('/approval-workflows/:eventTypeId', requireAuth, requirePermission('approval-workflows:update'), approvalController.eventTypeIdValidation, approvalController.resetApprovalWorkflow);
 router.get('/approvals/statistics/:surveyId', requireAuth, requirePermission('approvals:read'), approvalController.getApprovalStatistics);
 
 // Emails
@@ -234,6 +330,8 @@ router.post('/emails/blast', requireAuth, requirePermission('emails:send'), emai
 router.get('/emails/recipients/:surveyId', requireAuth, requirePermission('emails:send'), emailController.getTargetRecipients);
 router.post('/emails/reminders', requireAuth, requirePermission('emails:send'), emailController.sendReminders);
 router.get('/emails/non-respondents/:surveyId', requireAuth, requirePermission('emails:send'), emailController.getNonRespondents);
+router.get('/emails/funnel', requireAuth, requirePermission('emails:send'), emailController.getEmailFunnel);
+router.post('/emails/tracking/:emailLogId/start', emailController.trackSurveyStart);
 router.post('/emails/approval-notification', requireAuth, requirePermission('emails:send'), emailController.sendApprovalNotification);
 router.post('/emails/rejection-notification', requireAuth, requirePermission('emails:send'), emailController.sendRejectionNotification);
 router.get('/emails/templates/:templateName', requireAuth, requirePermission('emails:send'), emailController.getTemplate);
@@ -0,0 +1,164 @@
+jest.mock('mssql', () => ({
+  UniqueIdentifier: 'UniqueIdentifier',
+  NVarChar: jest.fn(() => 'NVarChar'),
+  DateTime2: 'DateTime2',
+  Int: 'Int',
+  BigInt: 'BigInt',
+  MAX: 'MAX',
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../database/connection');
+jest.mock('../approvalService', () => ({
+  initialize: jest.fn(),
+  hasBulkJobSupport: jest.fn(),
+  runBulkApprovalJobItem: jest.fn(),
+}));
+jest.mock('../scoringService', () => ({
+  refreshScoresForResponses: jest.fn(),
+}));
+
+const config = require('../../config');
+const db = require('../../database/connection');
+const approvalService = require('../approvalService');
+const scoringService = require('../scoringService');
+const { ApprovalBulkJobProcessor } = require('../approvalBulkJobProcessor');
+
+describe('ApprovalBulkJobProcessor', () => {
+  const originalBulkJobs = config.approvalBulkJobs;
+
+  let processor;
+  let queries;
+  let queuedJobs;
+  let pendingItems;
+
+  function jobRow(overrides = {}) {
+    return {
+      JobId: 'job-1',
+      Action: 'ApproveInitial',
+      SurveyId: 'survey-1',
+      Filter: '{}',
+      RequestedBy: 'admin-1',
+      RequestedByRole: 'AdminEvent',
+      Status: 'Running',
+      TotalItems: 3,
+      ProcessedItems: 0,
+      ...overrides,
+    };
+  }
+
+  function createRequest() {
+    const request = {
+      inputs: {},
+      input: jest.fn((name, type, value) => {
+        request.inputs[name] = value;
+        return request;
+      }),
+      query: jest.fn(async (text) => {
+        queries.push({ text, inputs: request.inputs });
+        if (text.includes('WITH NextJob AS')) {
+          const job = queuedJobs.shift();
+          return { recordset: job ? [job] : [] };
+        }
+        if (text.includes('FROM ApprovalBulkJobItems') && text.includes('SELECT TOP (@limit)')) {
+          const batch = pendingItems.splice(0, request.inputs.limit);
+          return { recordset: batch };
+        }
+        return { recordset: [], rowsAffected: [1] };
+      }),
+    };
+    return request;
+  }
+
+  beforeEach(() => {
+    processor = new ApprovalBulkJobProcessor();
+    queries = [];
+    queuedJobs = [jobRow()];
+    pendingItems = [
+      { JobItemId: 1, ResponseId: 'response-1' },
+      { JobItemId: 2, ResponseId: 'response-2' },
+      { JobItemId: 3, ResponseId: 'response-3' },
+    ];
+    config.approvalBulkJobs = { ...originalBulkJobs, batchSize: 2 };
+    db.getPool = jest.fn().mockResolvedValue({ request: jest.fn(() => createRequest()) });
+    approvalService.hasBulkJobSupport.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    config.approvalBulkJobs = originalBulkJobs;
+    jest.clearAllMocks();
+  });
+
+  it('should process every item in batches and log each outcome', async () => {
+    approvalService.runBulkApprovalJobItem.mockImplementation(async (job, responseId) => (
+      responseId === 'response-2'
+        ? { status: 'Skipped', message: 'Response response-2 sudah diproses sebelumnya' }
+        : { status: 'Succeeded', resultStatus: 'PendingITLead', message: 'Approved, now PendingITLead' }
+    ));
+
+    await expect(processor.processBulkJobs()).resolves.toEqual({ jobs: 1 });
+
+    expect(approvalService.runBulkApprovalJobItem).toHaveBeenCalledTimes(3);
+    expect(approvalService.runBulkApprovalJobItem.mock.calls[0][0]).toEqual(expect.objectContaining({ jobId: 'job-1', action: 'ApproveInitial' }));
+
+    const results = queries.filter(({ text }) => text.includes('UPDATE ApprovalBulkJobItems'));
+    expect(results.map(({ inputs }) => [inputs.jobItemId, inputs.status])).toEqual([
+      [1, 'Succeeded'],
+      [2, 'Skipped'],
+      [3, 'Succeeded'],
+    ]);
+    expect(results[0].text).toContain('ProcessedItems = ProcessedItems + 1');
+
+    // One refresh per batch, only for the approved responses
+    expect(scoringService.refreshScoresForResponses.mock.calls).toEqual([[['response-1']], [['response-3']]]);
+
+    const finish = queries.find(({ text }) => text.includes('CompletedAt = GETDATE()'));
+    expect(finish.inputs).toEqual(expect.objectContaining({ jobId: 'job-1', status: 'Completed', errorMessage: null }));
+  });
+
+  it('should not refresh scores for takeout proposals', async () => {
+    queuedJobs = [jobRow({ Action: 'ProposeTakeout', QuestionIds: '["question-1"]' })];
+    approvalService.runBulkApprovalJobItem.mockResolvedValue({ status: 'Succeeded' });
+
+    await processor.processBulkJobs();
+
+    expect(approvalService.runBulkApprovalJobItem.mock.calls[0][0].questionIds).toEqual(['question-1']);
+    expect(scoringService.refreshScoresForResponses).not.toHaveBeenCalled();
+  });
+
+  it('should fail the job and keep the remaining items pending when the log cannot be written', async () => {
+    approvalService.runBulkApprovalJobItem.mockResolvedValue({ status: 'Succeeded' });
+    db.getPool = jest.fn().mockResolvedValue({
+      request: jest.fn(() => {
+        const request = createRequest();
+        const query = request.query;
+        request.query = jest.fn(async (text) => {
+          if (text.includes('UPDATE ApprovalBulkJobItems') && request.inputs.jobItemId === 2) {
+            throw new Error('Connection lost');
+          }
+          return query(text);
+        });
+        return request;
+      }),
+    });
+
+    await processor.processBulkJobs();
+
+    const finish = queries.find(({ text }) => text.includes('CompletedAt = GETDATE()'));
+    expect(finish.inputs).toEqual(expect.objectContaining({ status: 'Failed', errorMessage: 'Connection lost' }));
+    expect(approvalService.runBulkApprovalJobItem).toHaveBeenCalledTimes(2);
+  });
+
+  it('should skip the run before migration 054', async () => {
+    approvalService.hasBulkJobSupport.mockResolvedValue(false);
+
+    await expect(processor.processBulkJobs()).resolves.toEqual({ jobs: 0 });
+    expect(queries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,266 @@
+const { ApprovalService, UnauthorizedError, ValidationError } = require('../approvalService');
+const db = require('../../database/connection');
+const auditService = require('../auditService');
+const publishCycleService = require('../publishCycleService');
+
+jest.mock('mssql', () => ({
+  connect: jest.fn(),
+  close: jest.fn(),
+  Transaction: jest.fn(),
+  Request: jest.fn(),
+  UniqueIdentifier: 'UniqueIdentifier',
+  NVarChar: jest.fn((length) => `NVarChar(${length})`),
+  DateTime2: 'DateTime2',
+  Int: 'Int',
+  BigInt: 'BigInt',
+  Bit: 'Bit',
+  MAX: 'MAX'
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../database/connection');
+jest.mock('../scoringService', () => ({
+  refreshScoresForResponses: jest.fn()
+}));
+jest.mock('../auditService', () => ({
+  logAction: jest.fn()
+}));
+jest.mock('../publishCycleService', () => ({
+  getCurrentCycle: jest.fn(),
+  hasSupport: jest.fn()
+}));
+jest.mock('../survey-service/read-model', () => ({
+  resolveSurveyIdentifier: jest.fn(async (database, sqlClient, NotFound, surveyId) => surveyId)
+}));
+
+const sql = require('mssql');
+
+describe('ApprovalService - Filter-based bulk approval jobs', () => {
+  const surveyId = '22222222-2222-4222-8222-222222222222';
+  const applicationId = '66666666-6666-4666-8666-666666666666';
+  const questionId = '44444444-4444-4444-8444-444444444444';
+  const admin = { userId: '55555555-5555-4555-8555-555555555555', username: 'admin', role: 'AdminEvent' };
+  const itLead = { userId: '33333333-3333-4333-8333-333333333333', username: 'itlead', role: 'ITLead' };
+
+  let approvalService;
+  let queries;
+  let handler;
+  let transactions;
+
+  function createRequest() {
+    const request = {
+      inputs: {},
+      input: jest.fn((name, type, value) => {
+        request.inputs[name] = value;
+        return request;
+      }),
+      query: jest.fn(async (text) => {
+        queries.push({ text, inputs: request.inputs });
+        return handler(text, request.inputs) || { recordset: [], rowsAffected: [1] };
+      })
+    };
+    return request;
+  }
+
+  function jobRow(overrides = {}) {
+    return {
+      JobId: 'job-1',
+      Action: 'ApproveInitial',
+      SurveyId: surveyId,
+      Filter: JSON.stringify({ surveyId, applicationId, departmentId: null, duplicateFilter: 'duplicate' }),
+      QuestionIds: null,
+      Reason: 'Bulk approval',
+      RequestedBy: admin.userId,
+      RequestedByRole: 'AdminEvent',
+      Status: 'Pending',
+      TotalItems: 3,
+      ProcessedItems: 0,
+      CreatedAt: new Date('2026-03-01T08:00:00Z'),
+      ...overrides
+    };
+  }
+
+  function mockDatabase({ matching = 3, assigned = true, job = jobRow() } = {}) {
+    handler = (text) => {
+      if (text.includes("OBJECT_ID('ApprovalBulkJobs'")) return { recordset: [{ Supported: 1 }] };
+      if (text.includes("OBJECT_ID('ApproverDelegations'")) return { recordset: [{ Supported: 0 }] };
+      if (text.includes('SELECT TOP 1 s.SurveyId')) {
+        return { recordset: assigned ? [{ SurveyId: surveyId }] : [] };
+      }
+      if (text.includes('SELECT TOP (@sampleSize)')) {
+        return {
+          recordset: Array.from({ length: Math.min(matching, 2) }, (value, index) => ({
+            ResponseId: `response-${index + 1}`,
+            RespondentName: `Respondent ${index + 1}`,
+            RespondentEmail: 'same@example.com',
+            ApplicationName: 'SAP',
+            DepartmentName: 'Finance',
+            ResponseApprovalStatus: 'Submitted',
+            DuplicateCount: 2,
+            Total: matching
+          }))
+        };
+      }
+      if (text.includes('INSERT INTO ApprovalBulkJobs')) return { recordset: [{ JobId: 'job-1' }] };
+      if (text.includes('INSERT INTO ApprovalBulkJobItems')) return { recordset: [], rowsAffected: [matching] };
+      if (text.includes('FROM ApprovalBulkJobs WHERE JobId')) return { recordset: [job] };
+      return null;
+    };
+  }
+
+  function findQuery(fragment) {
+    return queries.find(({ text }) => text.includes(fragment));
+  }
+
+  beforeEach(() => {
+    approvalService = new ApprovalService();
+    queries = [];
+    transactions = [];
+    db.getPool = jest.fn().mockResolvedValue({ request: jest.fn(() => createRequest()) });
+    sql.Transaction.mockImplementation(() => {
+      const transaction = {
+        begin: jest.fn().mockResolvedValue(undefined),
+        commit: jest.fn().mockResolvedValue(undefined),
+        rollback: jest.fn().mockResolvedValue(undefined),
+        request: jest.fn(() => createRequest())
+      };
+      transactions.push(transaction);
+      return transaction;
+    });
+    publishCycleService.getCurrentCycle.mockResolvedValue({ PublishCycleId: 'cycle-1' });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should preview the responses matching the filter without writing anything', async () => {
+    mockDatabase();
+
+    const preview = await approvalService.previewBulkApproval({
+      action: 'ApproveInitial',
+      surveyId,
+      applicationId,
+      duplicateFilter: 'duplicate'
+    }, admin);
+
+    expect(preview.total).toBe(3);
+    expect(preview.sample).toHaveLength(2);
+    expect(preview.sample[0]).toEqual(expect.objectContaining({ responseId: 'response-1', isDuplicate: true }));
+
+    const matching = findQuery('WITH Matching AS');
+    expect(matching.text).toContain('WHERE DuplicateCount > 1');
+    expect(matching.text).toContain('r.PublishCycleId = @publishCycleId');
+    expect(matching.inputs).toEqual(expect.objectContaining({ status0: 'Submitted', applicationId, publishCycleId: 'cycle-1' }));
+    expect(queries.some(({ text }) => /INSERT|UPDATE/.test(text))).toBe(false);
+  });
+
+  it('should limit approvers to their own queue and actions to the roles that own them', async () => {
+    mockDatabase();
+
+    await approvalService.previewBulkApproval({ action: 'ProposeTakeout', surveyId, questionIds: [questionId], reason: 'Wrong app' }, itLead);
+    const matching = findQuery('WITH Matching AS');
+    expect(matching.text).toContain('f.ITLeadUserId = @approverUserId');
+    expect(matching.text).toContain('qr.TakeoutStatus = @activeTakeoutStatus');
+    expect(matching.inputs).toEqual(expect.objectContaining({
+      status0: 'PendingITLead',
+      status1: 'PendingAdminTakeoutDecision',
+      questionId0: questionId
+    }));
+
+    await expect(approvalService.previewBulkApproval({ action: 'ApproveInitial', surveyId }, itLead))
+      .rejects.toThrow(UnauthorizedError);
+    await expect(approvalService.previewBulkApproval({ action: 'ApproveInitial', surveyId }, { ...admin, role: 'SuperAdmin' }))
+      .rejects.toThrow(UnauthorizedError);
+    await expect(approvalService.previewBulkApproval({ action: 'ProposeTakeout', surveyId, reason: 'Wrong app' }, itLead))
+      .rejects.toThrow('QuestionIds must contain');
+
+    mockDatabase({ assigned: false });
+    await expect(approvalService.previewBulkApproval({ action: 'ApproveInitial', surveyId }, admin))
+      .rejects.toThrow('Admin Event tidak memiliki akses');
+  });
+
+  it('should queue a job with the matching responses as items and audit it', async () => {
+    mockDatabase();
+
+    const job = await approvalService.createBulkApprovalJob({
+      action: 'ApproveInitial',
+      surveyId,
+      applicationId,
+      duplicateFilter: 'duplicate',
+      reason: 'Bulk approval',
+      expectedTotal: 3
+    }, admin);
+
+    expect(job).toEqual(expect.objectContaining({ jobId: 'job-1', status: 'Pending', totalItems: 3, progress: 0 }));
+    expect(findQuery('INSERT INTO ApprovalBulkJobs').inputs).toEqual(expect.objectContaining({
+      action: 'ApproveInitial',
+      requestedBy: admin.userId,
+      requestedByRole: 'AdminEvent'
+    }));
+    expect(findQuery('INSERT INTO ApprovalBulkJobItems').text).toContain('FROM Matching');
+    expect(findQuery('SET TotalItems = @total').inputs.total).toBe(3);
+    expect(transactions[0].commit).toHaveBeenCalled();
+    expect(auditService.logAction).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'Create',
+      entityType: 'ApprovalBulkJob',
+      entityId: 'job-1'
+    }));
+  });
+
+  it('should not queue a job when the filter changed since the preview', async () => {
+    mockDatabase({ matching: 5 });
+
+    await expect(approvalService.createBulkApprovalJob({
+      action: 'ApproveInitial',
+      surveyId,
+      expectedTotal: 3
+    }, admin)).rejects.toThrow('preview again');
+    expect(transactions[0].rollback).toHaveBeenCalled();
+
+    mockDatabase({ matching: 0 });
+    await expect(approvalService.createBulkApprovalJob({ action: 'ApproveInitial', surveyId }, admin))
+      .rejects.toThrow(new ValidationError('Tidak ada response yang cocok dengan filter'));
+  });
+
+  it('should turn item errors into skipped or failed outcomes', async () => {
+    mockDatabase();
+    const job = { action: 'ApproveInitial', requestedBy: admin.userId, requestedByRole: 'AdminEvent', reason: null };
+
+    approvalService.approveInitialResponses = jest.fn().mockResolvedValue({ updated: [{ status: 'PendingITLead' }] });
+    await expect(approvalService.runBulkApprovalJobItem(job, 'response-1')).resolves.toEqual(expect.objectContaining({
+      status: 'Succeeded',
+      resultStatus: 'PendingITLead'
+    }));
+    expect(approvalService.approveInitialResponses).toHaveBeenCalledWith(
+      ['response-1'], admin.userId, null, 'AdminEvent', { refreshScores: false }
+    );
+
+    approvalService.approveInitialResponses = jest.fn().mockRejectedValue(new ValidationError('Response response-2 sudah diproses sebelumnya'));
+    await expect(approvalService.runBulkApprovalJobItem(job, 'response-2')).resolves.toEqual({
+      status: 'Skipped',
+      message: 'Response response-2 sudah diproses sebelumnya'
+    });
+
+    approvalService.approveInitialResponses = jest.fn().mockRejectedValue(new Error('Deadlock'));
+    await expect(approvalService.runBulkApprovalJobItem(job, 'response-3')).resolves.toEqual({
+      status: 'Failed',
+      message: 'Deadlock'
+    });
+  });
+
+  it('should only show a job to its requester and SuperAdmin', async () => {
+    mockDatabase();
+
+    await expect(approvalService.getBulkApprovalJob('job-1', admin)).resolves.toEqual(expect.objectContaining({ jobId: 'job-1' }));
+    await expect(approvalService.getBulkApprovalJob('job-1', { userId: 'other', role: 'SuperAdmin' }))
+      .resolves.toEqual(expect.objectContaining({ jobId: 'job-1' }));
+    await expect(approvalService.getBulkApprovalJob('job-1', itLead)).rejects.toThrow(UnauthorizedError);
+  });
+});
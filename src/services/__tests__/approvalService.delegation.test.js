@@ -0,0 +1,246 @@
+const { ApprovalService, UnauthorizedError, ValidationError } = require('../approvalService');
+const { normalizeDelegationRange } = require('../approval-service/delegations');
+const db = require('../../database/connection');
+const auditService = require('../auditService');
+
+jest.mock('mssql', () => ({
+  connect: jest.fn(),
+  close: jest.fn(),
+  Transaction: jest.fn(),
+  Request: jest.fn(),
+  UniqueIdentifier: 'UniqueIdentifier',
+  NVarChar: jest.fn((length) => `NVarChar(${length})`),
+  DateTime2: 'DateTime2',
+  Date: 'Date',
+  Int: 'Int',
+  Bit: 'Bit',
+  MAX: 'MAX'
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../database/connection');
+jest.mock('../auditService', () => ({
+  logAction: jest.fn()
+}));
+jest.mock('../scoringService', () => ({
+  refreshScoresForResponses: jest.fn()
+}));
+
+const sql = require('mssql');
+
+describe('ApprovalService - Approver delegation', () => {
+  const responseId = '11111111-1111-4111-8111-111111111111';
+  const delegateId = '22222222-2222-4222-8222-222222222222';
+  const itLeadId = '33333333-3333-4333-8333-333333333333';
+  const questionId = '44444444-4444-4444-8444-444444444444';
+
+  let approvalService;
+  let queries;
+  let handler;
+
+  function createRequest() {
+    const request = {
+      inputs: {},
+      input: jest.fn((name, type, value) => {
+        request.inputs[name] = value;
+        return request;
+      }),
+      query: jest.fn(async (text) => {
+        queries.push({ text, inputs: request.inputs });
+        return handler(text, request.inputs) || { recordset: [], rowsAffected: [1] };
+      })
+    };
+    return request;
+  }
+
+  function mockDatabase({ delegationTable = true, direct = false, status = 'PendingITLead', users = {}, overlap = false } = {}) {
+    handler = (text, inputs) => {
+      if (text.includes("OBJECT_ID('ApproverDelegations'")) {
+        return { recordset: [{ Supported: delegationTable ? 1 : 0 }] };
+      }
+      if (text.includes('INFORMATION_SCHEMA.COLUMNS')) return { recordset: [{ Cnt: 1 }] };
+      if (text.includes('sys.tables')) return { recordset: [{ Cnt: 0 }] };
+      if (text.includes('AS IsDirect')) {
+        return {
+          recordset: [{
+            ResponseId: responseId,
+            IsDirect: direct ? 1 : 0,
+            OwnerUserId: itLeadId,
+            OwnerName: 'Rina (IT Lead)'
+          }]
+        };
+      }
+      if (text.includes('SELECT ResponseId, ResponseApprovalStatus')) {
+        return { recordset: [{ ResponseId: responseId, ResponseApprovalStatus: status }] };
+      }
+      if (text.includes('SELECT ResponseApprovalStatus')) {
+        return { recordset: [{ ResponseApprovalStatus: status }] };
+      }
+      if (text.includes('AS HasApplicationQuestions')) {
+        return { recordset: [{ SurveyId: 'survey-1', EventTypeId: null, HasApplicationQuestions: true, HasITLeadMapping: true, HasDepartmentHead: false }] };
+      }
+      if (text.includes('SELECT QuestionResponseId, TakeoutStatus')) {
+        return { recordset: [{ QuestionResponseId: 'qr-1', TakeoutStatus: 'Active' }] };
+      }
+      if (text.includes('SELECT Username, DisplayName FROM Users')) {
+        return { recordset: [{ Username: 'budi', DisplayName: 'Budi (delegate)' }] };
+      }
+      if (text.includes('SELECT UserId, DisplayName, Role, IsActive FROM Users')) {
+        const user = users[inputs.userId];
+        return { recordset: user ? [user] : [] };
+      }
+      if (text.includes('FROM ApproverDelegations WITH (UPDLOCK, HOLDLOCK)')) {
+        return { recordset: overlap ? [{ DelegationId: 'existing' }] : [] };
+      }
+      return null;
+    };
+  }
+
+  beforeEach(() => {
+    approvalService = new ApprovalService();
+    queries = [];
+    db.getPool = jest.fn().mockResolvedValue({ request: jest.fn(() => createRequest()) });
+    sql.Transaction.mockImplementation(() => ({
+      begin: jest.fn().mockResolvedValue(undefined),
+      commit: jest.fn().mockResolvedValue(undefined),
+      rollback: jest.fn().mockResolvedValue(undefined),
+      request: jest.fn(() => createRequest())
+    }));
+    auditService.logAction.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should let a delegate approve the IT Lead stage and record on whose behalf', async () => {
+    mockDatabase();
+
+    const result = await approvalService.approveFinalResponses([responseId], delegateId, 'Covering leave', 'ITLead');
+
+    expect(result.updated[0].onBehalfOf).toEqual({ userId: itLeadId, displayName: 'Rina (IT Lead)' });
+    const access = queries.find(({ text }) => text.includes('AS IsDirect'));
+    expect(access.text).toContain('FROM ApproverDelegations ad');
+    expect(access.inputs.itLeadUserId).toBe(delegateId);
+    expect(auditService.logAction).toHaveBeenCalledWith(expect.objectContaining({
+      userId: delegateId,
+      username: 'budi',
+      action: 'Approve',
+      entityType: 'Response',
+      entityId: responseId,
+      newValues: expect.objectContaining({
+        OnBehalfOf: itLeadId,
+        Summary: 'Approved by Budi (delegate) on behalf of Rina (IT Lead)'
+      })
+    }));
+  });
+
+  it('should write OnBehalfOf to ApprovalHistory when a delegate proposes a takeout', async () => {
+    mockDatabase();
+
+    const result = await approvalService.proposeTakeoutForQuestion({
+      responseId,
+      questionId,
+      reason: 'Off topic',
+      proposedBy: delegateId,
+      proposedByRole: 'ITLead'
+    });
+
+    expect(result.onBehalfOf.userId).toBe(itLeadId);
+    const history = queries.find(({ text }) => text.includes('INSERT INTO ApprovalHistory'));
+    expect(history.text).toContain('OnBehalfOf');
+    expect(history.inputs).toEqual(expect.objectContaining({ performedBy: delegateId, onBehalfOf: itLeadId }));
+    expect(auditService.logAction).toHaveBeenCalledWith(expect.objectContaining({
+      entityType: 'QuestionResponse',
+      newValues: expect.objectContaining({ Summary: 'Takeout proposed by Budi (delegate) on behalf of Rina (IT Lead)' })
+    }));
+  });
+
+  it('should keep the original queries and skip the audit entry for the approver themselves', async () => {
+    mockDatabase({ delegationTable: false, direct: true });
+
+    const result = await approvalService.proposeTakeoutForQuestion({
+      responseId,
+      questionId,
+      reason: 'Off topic',
+      proposedBy: itLeadId,
+      proposedByRole: 'ITLead'
+    });
+
+    expect(result.onBehalfOf).toBeNull();
+    expect(queries.some(({ text }) => text.includes('FROM ApproverDelegations'))).toBe(false);
+    expect(queries.find(({ text }) => text.includes('INSERT INTO ApprovalHistory')).text).not.toContain('OnBehalfOf');
+    expect(auditService.logAction).not.toHaveBeenCalled();
+  });
+
+  it('should include delegated applications in the IT Lead queue', async () => {
+    mockDatabase();
+
+    await approvalService.getPendingApprovalsForITLead(delegateId);
+
+    const queue = queries.find(({ text }) => text.includes('FROM QuestionResponses qr'));
+    expect(queue.text).toContain('f.ITLeadUserId IN (');
+    expect(queue.text).toContain('delegation.OnBehalfOfName');
+  });
+
+  describe('managing delegations', () => {
+    const itLead = { UserId: itLeadId, DisplayName: 'Rina', Role: 'ITLead', IsActive: true };
+    const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const today = new Date().toISOString().slice(0, 10);
+
+    it('should only let SuperAdmin register a delegation for another approver', async () => {
+      mockDatabase();
+
+      await expect(approvalService.createDelegation(
+        { delegatorUserId: itLeadId, delegateUserId: delegateId, startDate: today, endDate: nextWeek },
+        { userId: delegateId, role: 'ITLead' }
+      )).rejects.toThrow(UnauthorizedError);
+    });
+
+    it('should require a delegate with the same role and no overlapping delegation', async () => {
+      mockDatabase({
+        users: {
+          [itLeadId]: itLead,
+          [delegateId]: { UserId: delegateId, DisplayName: 'Budi', Role: 'DepartmentHead', IsActive: true }
+        }
+      });
+      await expect(approvalService.createDelegation(
+        { delegateUserId: delegateId, startDate: today, endDate: nextWeek },
+        { userId: itLeadId, role: 'ITLead' }
+      )).rejects.toThrow('The delegate must also be a ITLead');
+
+      mockDatabase({
+        overlap: true,
+        users: {
+          [itLeadId]: itLead,
+          [delegateId]: { UserId: delegateId, DisplayName: 'Budi', Role: 'ITLead', IsActive: true }
+        }
+      });
+      await expect(approvalService.createDelegation(
+        { delegateUserId: delegateId, startDate: today, endDate: nextWeek },
+        { userId: itLeadId, role: 'ITLead' }
+      )).rejects.toThrow('already has a delegation');
+      expect(queries.some(({ text }) => text.includes('INSERT INTO ApproverDelegations'))).toBe(false);
+    });
+
+    it('should validate the date range', () => {
+      expect(() => normalizeDelegationRange('2026-02-30', '2026-03-01')).toThrow('startDate must be a valid date');
+      expect(() => normalizeDelegationRange(nextWeek, today)).toThrow('endDate must be on or after startDate');
+      expect(() => normalizeDelegationRange('2020-01-01', '2020-01-05')).toThrow(ValidationError);
+      expect(() => normalizeDelegationRange(today, '2999-01-01')).toThrow('at most 90 days');
+    });
+
+    it('should ask for migration 051 when the delegation table is missing', async () => {
+      mockDatabase({ delegationTable: false });
+
+      await expect(approvalService.getDelegations({ userId: itLeadId, role: 'ITLead' }))
+        .rejects.toThrow('migration 051');
+    });
+  });
+});
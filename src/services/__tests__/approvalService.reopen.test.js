@@ -0,0 +1,294 @@
+const { ApprovalService, ValidationError } = require('../approvalService');
+const db = require('../../database/connection');
+const auditService = require('../auditService');
+const publishCycleService = require('../publishCycleService');
+const scoringService = require('../scoringService');
+
+jest.mock('mssql', () => ({
+  connect: jest.fn(),
+  close: jest.fn(),
+  Transaction: jest.fn(),
+  Request: jest.fn(),
+  UniqueIdentifier: 'UniqueIdentifier',
+  NVarChar: jest.fn((length) => `NVarChar(${length})`),
+  DateTime2: 'DateTime2',
+  Int: 'Int',
+  Bit: 'Bit',
+  MAX: 'MAX'
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../database/connection');
+jest.mock('../scoringService', () => ({
+  refreshScoresForResponses: jest.fn()
+}));
+jest.mock('../auditService', () => ({
+  logAction: jest.fn()
+}));
+jest.mock('../publishCycleService', () => ({
+  hasSupport: jest.fn(),
+  clearGenerated: jest.fn()
+}));
+
+const sql = require('mssql');
+
+describe('ApprovalService - Reopen finalised responses', () => {
+  const responseId = '11111111-1111-4111-8111-111111111111';
+  const questionId = '44444444-4444-4444-8444-444444444444';
+  const adminId = '55555555-5555-4555-8555-555555555555';
+  const superAdmin = { userId: adminId, username: 'superadmin', role: 'SuperAdmin' };
+
+  const stages = [
+    { code: 'ITLead', name: 'IT Lead review', role: 'ITLead', skipWhen: ['noApplicationQuestions'], slaHours: 48 },
+    { code: 'DeptHead', name: 'Department Head review', role: 'DepartmentHead', skipWhen: ['noDepartmentHead'], slaHours: null }
+  ];
+
+  let approvalService;
+  let queries;
+  let handler;
+  let transactions;
+
+  function createRequest() {
+    const request = {
+      inputs: {},
+      input: jest.fn((name, type, value) => {
+        request.inputs[name] = value;
+        return request;
+      }),
+      query: jest.fn(async (text) => {
+        queries.push({ text, inputs: request.inputs });
+        return handler(text, request.inputs) || { recordset: [], rowsAffected: [1] };
+      })
+    };
+    return request;
+  }
+
+  function mockDatabase({
+    reopenSupport = true,
+    workflowSupport = true,
+    status = 'ApprovedFinal',
+    takeoutStatus = 'TakenOut',
+    hasDepartmentHead = false
+  } = {}) {
+    handler = (text) => {
+      if (text.includes("OBJECT_ID('CK_ApprovalHistory_Action'")) {
+        return { recordset: [{ Supported: reopenSupport ? 1 : 0 }] };
+      }
+      if (text.includes("name = 'ApprovalWorkflows'")) return { recordset: [{ Cnt: workflowSupport ? 1 : 0 }] };
+      if (text.includes("OBJECT_ID('TakeoutReasons'")) return { recordset: [{ Supported: 1 }] };
+      if (text.includes('sys.tables')) return { recordset: [{ Cnt: 1 }] };
+      if (text.includes('FROM Responses WITH (UPDLOCK')) {
+        return {
+          recordset: [{ ResponseId: responseId, SurveyId: 'survey-1', ResponseApprovalStatus: status, PublishCycleId: 'cycle-1' }]
+        };
+      }
+      if (text.includes('AS HasApplicationQuestions')) {
+        return {
+          recordset: [{
+            SurveyId: 'survey-1',
+            EventTypeId: 'event-type-1',
+            HasApplicationQuestions: true,
+            HasITLeadMapping: true,
+            HasDepartmentHead: hasDepartmentHead
+          }]
+        };
+      }
+      if (text.includes('FROM ApprovalWorkflows')) {
+        return { recordset: [{ Stages: JSON.stringify(stages) }] };
+      }
+      if (text.includes('SELECT QuestionResponseId, TakeoutStatus')) {
+        return { recordset: [{ QuestionResponseId: 'qr-1', TakeoutStatus: takeoutStatus }] };
+      }
+      return null;
+    };
+  }
+
+  function findQuery(fragment) {
+    return queries.find(({ text }) => text.includes(fragment));
+  }
+
+  beforeEach(() => {
+    approvalService = new ApprovalService();
+    queries = [];
+    transactions = [];
+    db.getPool = jest.fn().mockResolvedValue({ request: jest.fn(() => createRequest()) });
+    sql.Transaction.mockImplementation(() => {
+      const transaction = {
+        begin: jest.fn().mockResolvedValue(undefined),
+        commit: jest.fn().mockResolvedValue(undefined),
+        rollback: jest.fn().mockResolvedValue(undefined),
+        request: jest.fn(() => createRequest())
+      };
+      transactions.push(transaction);
+      return transaction;
+    });
+    publishCycleService.hasSupport.mockResolvedValue(true);
+    publishCycleService.clearGenerated.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should send a finalised response back to a workflow stage and invalidate the report', async () => {
+    mockDatabase();
+
+    const result = await approvalService.reopenResponse(responseId, {
+      targetStage: 'itlead',
+      reason: '  Wrong application mapping  '
+    }, superAdmin);
+
+    expect(result).toEqual(expect.objectContaining({
+      previousStatus: 'ApprovedFinal',
+      status: 'PendingITLead',
+      stageCode: 'ITLead',
+      reportInvalidated: true
+    }));
+
+    const update = findQuery('UPDATE Responses');
+    expect(update.text).toContain('ITLeadReviewedBy = @itLeadReviewedBy');
+    expect(update.text).not.toContain('AdminReviewedBy');
+    expect(update.inputs).toEqual(expect.objectContaining({ status: 'PendingITLead', finalizedAt: null, approvalStageCode: 'ITLead' }));
+    expect(update.inputs.approvalStageDueAt).toBeInstanceOf(Date);
+
+    expect(findQuery('INSERT INTO ResponseStageApprovals').inputs).toEqual(expect.objectContaining({
+      stageCode: 'ITLead',
+      action: 'Reopened',
+      performedBy: adminId,
+      reason: 'Wrong application mapping'
+    }));
+    expect(findQuery('INSERT INTO ApprovalHistory').inputs).toEqual(expect.objectContaining({
+      questionResponseId: 'qr-1',
+      action: 'Reopened',
+      performedBy: adminId,
+      reason: 'Wrong application mapping',
+      previousStatus: 'TakenOut',
+      newStatus: 'TakenOut'
+    }));
+    expect(publishCycleService.clearGenerated).toHaveBeenCalledWith(transactions[0], 'cycle-1');
+    expect(transactions[0].commit).toHaveBeenCalled();
+    expect(scoringService.refreshScoresForResponses).toHaveBeenCalledWith([responseId]);
+    expect(auditService.logAction).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'Update',
+      entityType: 'Response',
+      entityId: responseId,
+      oldValues: { ResponseApprovalStatus: 'ApprovedFinal' }
+    }));
+  });
+
+  it('should clear every review when a response is sent back to Submitted', async () => {
+    mockDatabase();
+
+    const result = await approvalService.reopenResponse(responseId, {
+      targetStage: 'Submitted',
+      reason: 'Respondent picked the wrong department'
+    }, superAdmin);
+
+    expect(result).toEqual(expect.objectContaining({ status: 'Submitted', stageCode: null }));
+    const update = findQuery('UPDATE Responses');
+    expect(update.text).toContain('AdminReviewedBy = @adminReviewedBy');
+    expect(update.text).toContain('ITLeadReviewedBy = @itLeadReviewedBy');
+    expect(update.inputs.approvalStageCode).toBeNull();
+    expect(findQuery('INSERT INTO ResponseStageApprovals').inputs).toEqual(expect.objectContaining({
+      stageCode: 'Submitted',
+      role: 'AdminEvent'
+    }));
+  });
+
+  it('should reopen a response on the default workflow before migration 039', async () => {
+    mockDatabase({ workflowSupport: false });
+
+    const result = await approvalService.reopenResponse(responseId, {
+      targetStage: 'ITLead',
+      reason: 'Wrong application mapping'
+    }, superAdmin);
+
+    expect(result).toEqual(expect.objectContaining({ status: 'PendingITLead', stageCode: 'ITLead' }));
+    expect(findQuery('UPDATE Responses').text).not.toContain('ApprovalStageCode');
+    expect(findQuery('INSERT INTO ApprovalHistory').inputs.action).toBe('Reopened');
+    expect(findQuery('INSERT INTO ResponseStageApprovals')).toBeUndefined();
+    expect(findQuery('FROM ApprovalWorkflows')).toBeUndefined();
+    expect(transactions[0].commit).toHaveBeenCalled();
+  });
+
+  it('should reject stages the response never passed and responses that are not final', async () => {
+    mockDatabase();
+    await expect(approvalService.reopenResponse(responseId, { targetStage: 'DeptHead', reason: 'Check' }, superAdmin))
+      .rejects.toThrow('does not apply to this response');
+    await expect(approvalService.reopenResponse(responseId, { targetStage: 'Finance', reason: 'Check' }, superAdmin))
+      .rejects.toThrow(ValidationError);
+
+    mockDatabase({ status: 'PendingITLead' });
+    await expect(approvalService.reopenResponse(responseId, { targetStage: 'ITLead', reason: 'Check' }, superAdmin))
+      .rejects.toThrow('ApprovedFinal');
+
+    expect(transactions.every((transaction) => transaction.rollback.mock.calls.length === 1)).toBe(true);
+    expect(findQuery('UPDATE Responses')).toBeUndefined();
+    expect(publishCycleService.clearGenerated).not.toHaveBeenCalled();
+  });
+
+  it('should restore a taken out answer and send its response back to the IT Lead', async () => {
+    mockDatabase();
+
+    const result = await approvalService.reopenQuestionResponse(responseId, questionId, {
+      targetStatus: 'Active',
+      reason: 'Takeout was approved by mistake'
+    }, superAdmin);
+
+    expect(result).toEqual(expect.objectContaining({
+      questionResponseId: 'qr-1',
+      previousStatus: 'TakenOut',
+      takeoutStatus: 'Active',
+      status: 'PendingITLead',
+      stageCode: 'ITLead'
+    }));
+    const answerUpdate = findQuery('UPDATE QuestionResponses');
+    expect(answerUpdate.text).toContain('TakeoutReason = NULL');
+    expect(answerUpdate.text).toContain('TakeoutReasonCode = NULL');
+    expect(findQuery('INSERT INTO ApprovalHistory').inputs).toEqual(expect.objectContaining({
+      action: 'Reopened',
+      previousStatus: 'TakenOut',
+      newStatus: 'Active'
+    }));
+    expect(findQuery('UPDATE Responses').inputs).toEqual(expect.objectContaining({ status: 'PendingITLead', approvalStageCode: 'ITLead' }));
+    expect(auditService.logAction).toHaveBeenCalledWith(expect.objectContaining({ entityType: 'QuestionResponse', entityId: 'qr-1' }));
+  });
+
+  it('should send a taken out answer back to the takeout decision', async () => {
+    mockDatabase();
+
+    const result = await approvalService.reopenQuestionResponse(responseId, questionId, {
+      targetStatus: 'ProposedTakeout',
+      reason: 'Needs a second look'
+    }, superAdmin);
+
+    expect(result.status).toBe('PendingAdminTakeoutDecision');
+    const answerUpdate = findQuery('UPDATE QuestionResponses');
+    expect(answerUpdate.text).not.toContain('TakeoutReason');
+    expect(findQuery('UPDATE Responses').text).not.toContain('ITLeadReviewedBy');
+  });
+
+  it('should only reopen answers that were taken out', async () => {
+    mockDatabase({ takeoutStatus: 'Active' });
+
+    await expect(approvalService.reopenQuestionResponse(responseId, questionId, {
+      targetStatus: 'Active',
+      reason: 'Check'
+    }, superAdmin)).rejects.toThrow('Only taken out answers can be reopened');
+    expect(findQuery('UPDATE QuestionResponses')).toBeUndefined();
+  });
+
+  it('should require migration 053', async () => {
+    mockDatabase({ reopenSupport: false });
+
+    await expect(approvalService.reopenResponse(responseId, { targetStage: 'ITLead', reason: 'Check' }, superAdmin))
+      .rejects.toThrow('migration 053');
+    expect(transactions).toHaveLength(0);
+  });
+});
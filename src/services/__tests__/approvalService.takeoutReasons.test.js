@@ -0,0 +1,262 @@
+const { ApprovalService, NotFoundError, ValidationError } = require('../approvalService');
+const { buildTakeoutAnalytics } = require('../approval-service/takeout-reasons');
+const db = require('../../database/connection');
+
+jest.mock('mssql', () => ({
+  connect: jest.fn(),
+  close: jest.fn(),
+  Transaction: jest.fn(),
+  Request: jest.fn(),
+  UniqueIdentifier: 'UniqueIdentifier',
+  NVarChar: jest.fn((length) => `NVarChar(${length})`),
+  DateTime2: 'DateTime2',
+  Int: 'Int',
+  Bit: 'Bit',
+  MAX: 'MAX'
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../database/connection');
+jest.mock('../scoringService', () => ({
+  refreshScoresForResponses: jest.fn()
+}));
+
+const sql = require('mssql');
+
+describe('ApprovalService - Takeout reason codes', () => {
+  const responseId = '11111111-1111-4111-8111-111111111111';
+  const questionId = '44444444-4444-4444-8444-444444444444';
+  const itLeadId = '33333333-3333-4333-8333-333333333333';
+  const adminId = '55555555-5555-4555-8555-555555555555';
+
+  const catalogue = {
+    WRONG_APPLICATION: { ReasonCode: 'WRONG_APPLICATION', Label: 'Wrong application', RequiresDetail: false },
+    DUPLICATE: { ReasonCode: 'DUPLICATE', Label: 'Duplicate', RequiresDetail: false },
+    OTHER: { ReasonCode: 'OTHER', Label: 'Other', RequiresDetail: true }
+  };
+
+  let approvalService;
+  let queries;
+  let handler;
+
+  function createRequest() {
+    const request = {
+      inputs: {},
+      input: jest.fn((name, type, value) => {
+        request.inputs[name] = value;
+        return request;
+      }),
+      query: jest.fn(async (text) => {
+        queries.push({ text, inputs: request.inputs });
+        return handler(text, request.inputs) || { recordset: [], rowsAffected: [1] };
+      })
+    };
+    return request;
+  }
+
+  function mockDatabase({ reasonTable = true, status = 'PendingITLead', takeoutStatus = 'Active', currentReasonCode = null } = {}) {
+    handler = (text, inputs) => {
+      if (text.includes("OBJECT_ID('TakeoutReasons'")) {
+        return { recordset: [{ Supported: reasonTable ? 1 : 0 }] };
+      }
+      if (text.includes("OBJECT_ID('ApproverDelegations'")) return { recordset: [{ Supported: 0 }] };
+      if (text.includes('INFORMATION_SCHEMA.COLUMNS')) return { recordset: [{ Cnt: 1 }] };
+      if (text.includes('sys.tables')) return { recordset: [{ Cnt: 0 }] };
+      if (text.includes('AS IsDirect') || text.includes('SELECT TOP 1 r.ResponseId')) {
+        return { recordset: [{ ResponseId: responseId, IsDirect: 1 }] };
+      }
+      if (text.includes('SELECT ResponseId, ResponseApprovalStatus')) {
+        return { recordset: [{ ResponseId: responseId, ResponseApprovalStatus: status }] };
+      }
+      if (text.includes('AS HasApplicationQuestions')) {
+        return { recordset: [{ SurveyId: 'survey-1', EventTypeId: null, HasApplicationQuestions: true, HasITLeadMapping: true, HasDepartmentHead: false }] };
+      }
+      if (text.includes('SELECT ResponseApprovalStatus')) {
+        return { recordset: [{ ResponseApprovalStatus: status }] };
+      }
+      if (text.includes('SELECT QuestionResponseId, TakeoutStatus')) {
+        return {
+          recordset: [{
+            QuestionResponseId: 'qr-1',
+            TakeoutStatus: takeoutStatus,
+            TakeoutReason: 'Answered for SAP',
+            TakeoutReasonCode: currentReasonCode
+          }]
+        };
+      }
+      if (text.includes('FROM TakeoutReasons') && text.includes('IsActive = 1')) {
+        const row = catalogue[inputs.reasonCode];
+        return { recordset: row ? [row] : [] };
+      }
+      if (text.includes('FROM ApprovalHistory h')) {
+        return { recordset: [] };
+      }
+      return null;
+    };
+  }
+
+  function historyInsert() {
+    return queries.find(({ text }) => text.includes('INSERT INTO ApprovalHistory'));
+  }
+
+  beforeEach(() => {
+    approvalService = new ApprovalService();
+    queries = [];
+    db.getPool = jest.fn().mockResolvedValue({ request: jest.fn(() => createRequest()) });
+    sql.Transaction.mockImplementation(() => ({
+      begin: jest.fn().mockResolvedValue(undefined),
+      commit: jest.fn().mockResolvedValue(undefined),
+      rollback: jest.fn().mockResolvedValue(undefined),
+      request: jest.fn(() => createRequest())
+    }));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should store the reason code on the question response and in ApprovalHistory', async () => {
+    mockDatabase();
+
+    const result = await approvalService.proposeTakeoutForQuestion({
+      responseId,
+      questionId,
+      reasonCode: 'wrong_application',
+      proposedBy: itLeadId,
+      proposedByRole: 'ITLead'
+    });
+
+    expect(result.reasonCode).toBe('WRONG_APPLICATION');
+    const update = queries.find(({ text }) => text.includes('UPDATE QuestionResponses'));
+    expect(update.text).toContain('TakeoutReasonCode = @reasonCode');
+    expect(update.inputs).toEqual(expect.objectContaining({ reasonCode: 'WRONG_APPLICATION', reason: 'Wrong application' }));
+    expect(historyInsert().text).toContain('ReasonCode');
+    expect(historyInsert().inputs.reasonCode).toBe('WRONG_APPLICATION');
+  });
+
+  it('should file a free-text reason under OTHER and require a detail for it', async () => {
+    mockDatabase();
+
+    const result = await approvalService.proposeTakeoutForQuestion({
+      responseId,
+      questionId,
+      reason: 'Respondent left the company',
+      proposedBy: itLeadId,
+      proposedByRole: 'ITLead'
+    });
+    expect(result.reasonCode).toBe('OTHER');
+    expect(historyInsert().inputs.reason).toBe('Respondent left the company');
+
+    await expect(approvalService.proposeTakeoutForQuestion({
+      responseId,
+      questionId,
+      reasonCode: 'OTHER',
+      proposedBy: itLeadId,
+      proposedByRole: 'ITLead'
+    })).rejects.toThrow('Takeout reason Other requires a detail');
+
+    await expect(approvalService.proposeTakeoutForQuestion({
+      responseId,
+      questionId,
+      reasonCode: 'RETIRED_CODE',
+      proposedBy: itLeadId,
+      proposedByRole: 'ITLead'
+    })).rejects.toThrow(NotFoundError);
+  });
+
+  it('should keep free-text takeouts working before migration 052', async () => {
+    mockDatabase({ reasonTable: false });
+
+    const result = await approvalService.proposeTakeoutForQuestion({
+      responseId,
+      questionId,
+      reason: 'Wrong application',
+      proposedBy: itLeadId,
+      proposedByRole: 'ITLead'
+    });
+
+    expect(result.reasonCode).toBeNull();
+    expect(queries.find(({ text }) => text.includes('UPDATE QuestionResponses')).text).not.toContain('TakeoutReasonCode');
+    expect(historyInsert().text).not.toContain('ReasonCode');
+
+    queries = [];
+    await expect(approvalService.proposeTakeoutForQuestion({
+      responseId,
+      questionId,
+      reasonCode: 'DUPLICATE',
+      proposedBy: itLeadId,
+      proposedByRole: 'ITLead'
+    })).rejects.toThrow('migration 052');
+  });
+
+  it('should let the admin reclassify a takeout when approving it', async () => {
+    mockDatabase({ status: 'PendingAdminTakeoutDecision', takeoutStatus: 'ProposedTakeout', currentReasonCode: 'WRONG_APPLICATION' });
+
+    const result = await approvalService.approveProposedTakeout(responseId, questionId, adminId, null, 'AdminEvent', 'DUPLICATE');
+
+    expect(result.reasonCode).toBe('DUPLICATE');
+    const update = queries.find(({ text }) => text.includes('UPDATE QuestionResponses'));
+    expect(update.text).toContain('TakeoutReasonCode = @reasonCode');
+    expect(historyInsert().inputs).toEqual(expect.objectContaining({ action: 'Approved', reasonCode: 'DUPLICATE' }));
+  });
+
+  it('should clear the reason code when the admin rejects a takeout', async () => {
+    mockDatabase({ status: 'PendingAdminTakeoutDecision', takeoutStatus: 'ProposedTakeout', currentReasonCode: 'WRONG_APPLICATION' });
+
+    await approvalService.rejectProposedTakeout(responseId, questionId, adminId, 'The answer is about SAP', 'AdminEvent');
+
+    expect(queries.find(({ text }) => text.includes('UPDATE QuestionResponses')).text).toContain('TakeoutReasonCode = NULL');
+    expect(historyInsert().text).not.toContain('ReasonCode');
+  });
+
+  it('should reject an inverted analytics period', async () => {
+    mockDatabase();
+
+    await expect(approvalService.getTakeoutAnalytics({ from: '2026-03-10', to: '2026-03-01' }))
+      .rejects.toThrow(ValidationError);
+  });
+});
+
+describe('takeout analytics', () => {
+  const proposal = (overrides) => ({
+    ITLeadUserId: 'it-1',
+    ITLeadName: 'Rina',
+    ApplicationId: 'app-1',
+    ApplicationName: 'SAP',
+    ReasonCode: 'WRONG_APPLICATION',
+    ReasonLabel: 'Wrong application',
+    Outcome: 'Approved',
+    ...overrides
+  });
+
+  it('should count proposals and outcomes by reason, IT Lead and application', () => {
+    const analytics = buildTakeoutAnalytics([
+      proposal(),
+      proposal({ Outcome: 'Rejected' }),
+      proposal({ Outcome: 'Rejected', ReasonCode: 'ABUSIVE_COMMENT', ReasonLabel: 'Abusive comment' }),
+      proposal({ Outcome: null, ITLeadUserId: 'it-2', ITLeadName: 'Budi', ApplicationId: 'app-2', ApplicationName: 'CRM' }),
+      proposal({ Outcome: 'Cancelled', ITLeadUserId: 'it-2', ITLeadName: 'Budi' })
+    ]);
+
+    expect(analytics.totals).toEqual({ proposed: 5, takenOut: 1, rejected: 2, cancelled: 1, pending: 1, rejectionRate: 66.7 });
+    expect(analytics.byReason).toEqual([
+      { reasonCode: 'WRONG_APPLICATION', label: 'Wrong application', proposed: 4, takenOut: 1, rejected: 1, cancelled: 1, pending: 1, rejectionRate: 50 },
+      { reasonCode: 'ABUSIVE_COMMENT', label: 'Abusive comment', proposed: 1, takenOut: 0, rejected: 1, cancelled: 0, pending: 0, rejectionRate: 100 }
+    ]);
+    expect(analytics.byITLead[0]).toMatchObject({
+      userId: 'it-1',
+      proposed: 3,
+      rejected: 2,
+      rejectionRate: 66.7,
+      byReason: { WRONG_APPLICATION: 2, ABUSIVE_COMMENT: 1 }
+    });
+    expect(analytics.byITLead[1]).toMatchObject({ userId: 'it-2', proposed: 2, rejectionRate: null });
+    expect(analytics.byApplication.map((application) => [application.name, application.proposed])).toEqual([['SAP', 4], ['CRM', 1]]);
+  });
+});
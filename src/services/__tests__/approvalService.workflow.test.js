@@ -0,0 +1,210 @@
+const { ApprovalService, ResponseApprovalStatus, ValidationError } = require('../approvalService');
+const { normalizeWorkflowStages, resolveNextStage } = require('../approval-service/workflow-definition');
+const db = require('../../database/connection');
+
+jest.mock('mssql', () => ({
+  connect: jest.fn(),
+  close: jest.fn(),
+  Transaction: jest.fn(),
+  Request: jest.fn(),
+  UniqueIdentifier: 'UniqueIdentifier',
+  NVarChar: jest.fn((length) => `NVarChar(${length})`),
+  DateTime2: 'DateTime2',
+  Int: 'Int',
+  Bit: 'Bit',
+  MAX: 'MAX'
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../database/connection');
+
+const sql = require('mssql');
+
+describe('ApprovalService - Configurable approval workflow', () => {
+  const responseId = '11111111-1111-4111-8111-111111111111';
+  const userId = '22222222-2222-4222-8222-222222222222';
+
+  const departmentHeadWorkflow = [
+    { code: 'ITLead', name: 'IT Lead review', role: 'ITLead', skipWhen: ['noApplicationQuestions'] },
+    { code: 'DeptHead', name: 'Department Head sign-off', role: 'DepartmentHead', skipWhen: ['noDepartmentHead'], slaHours: 48 }
+  ];
+
+  let approvalService;
+  let mockRequest;
+  let mockTransaction;
+  let queries;
+
+  function mockDatabase({ workflowTable = true, stages = null, status = 'Submitted', stageCode = null, routing = {} } = {}) {
+    mockRequest.query.mockImplementation(async (text) => {
+      queries.push(text);
+      if (text.includes('INFORMATION_SCHEMA.COLUMNS')) {
+        return { recordset: [{ Cnt: 1 }] };
+      }
+      if (text.includes('sys.tables')) {
+        return { recordset: [{ Cnt: workflowTable ? 1 : 0 }] };
+      }
+      if (text.includes('SELECT ResponseId, ResponseApprovalStatus')) {
+        return { recordset: [{ ResponseId: responseId, ResponseApprovalStatus: status, ApprovalStageCode: stageCode }] };
+      }
+      if (text.includes('AS HasApplicationQuestions')) {
+        return {
+          recordset: [{
+            SurveyId: 'survey-1',
+            EventTypeId: 'type-1',
+            HasApplicationQuestions: true,
+            HasITLeadMapping: true,
+            HasDepartmentHead: true,
+            ...routing
+          }]
+        };
+      }
+      if (text.includes('FROM ApprovalWorkflows')) {
+        return { recordset: stages ? [{ Stages: JSON.stringify(stages) }] : [] };
+      }
+      return { recordset: [{ ResponseId: responseId }], rowsAffected: [1] };
+    });
+  }
+
+  function inputValue(name) {
+    const calls = mockRequest.input.mock.calls.filter(([inputName]) => inputName === name);
+    return calls.length > 0 ? calls[calls.length - 1][2] : undefined;
+  }
+
+  beforeEach(() => {
+    approvalService = new ApprovalService();
+    queries = [];
+
+    mockRequest = {
+      input: jest.fn().mockReturnThis(),
+      query: jest.fn()
+    };
+    mockTransaction = {
+      begin: jest.fn().mockResolvedValue(undefined),
+      commit: jest.fn().mockResolvedValue(undefined),
+      rollback: jest.fn().mockResolvedValue(undefined),
+      request: jest.fn().mockReturnValue(mockRequest)
+    };
+
+    db.getPool = jest.fn().mockResolvedValue({ request: jest.fn().mockReturnValue(mockRequest) });
+    sql.Transaction.mockReturnValue(mockTransaction);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('workflow definition', () => {
+    it('should reject unknown roles, repeated roles and unknown skip conditions', () => {
+      expect(() => normalizeWorkflowStages([{ code: 'Finance', role: 'Finance' }]))
+        .toThrow('Stage 1 role must be one of: ITLead, DepartmentHead');
+      expect(() => normalizeWorkflowStages([
+        { code: 'A', role: 'ITLead' },
+        { code: 'B', role: 'ITLead' }
+      ])).toThrow('Role ITLead can only be assigned to one stage');
+      expect(() => normalizeWorkflowStages([{ code: 'A', role: 'ITLead', skipWhen: ['weekend'] }]))
+        .toThrow(ValidationError);
+      expect(() => normalizeWorkflowStages([{ code: 'A', role: 'ITLead', slaHours: 0 }]))
+        .toThrow('Stage 1 slaHours must be a whole number');
+    });
+
+    it('should return the first stage whose skip conditions do not match', () => {
+      const stages = normalizeWorkflowStages(departmentHeadWorkflow);
+
+      const next = resolveNextStage(stages, -1, { hasApplicationQuestions: false, hasDepartmentHead: true });
+
+      expect(next.stage.code).toBe('DeptHead');
+      expect(next.skipped).toEqual([{ stage: stages[0], condition: 'noApplicationQuestions' }]);
+      expect(resolveNextStage(stages, 1, {}).stage).toBeNull();
+    });
+  });
+
+  describe('approveInitialResponses', () => {
+    it('should keep the IT Lead path for event types without a workflow', async () => {
+      mockDatabase({ workflowTable: false });
+
+      const result = await approvalService.approveInitialResponses([responseId], userId);
+
+      expect(result.updated[0]).toEqual(expect.objectContaining({
+        status: ResponseApprovalStatus.PENDING_IT_LEAD,
+        requiresITLead: true
+      }));
+      expect(inputValue('status')).toBe(ResponseApprovalStatus.PENDING_IT_LEAD);
+      expect(queries.some((text) => text.includes('ApprovalStageCode ='))).toBe(false);
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should skip the IT Lead and start the Department Head SLA when the event has no application question', async () => {
+      mockDatabase({ stages: departmentHeadWorkflow, routing: { HasApplicationQuestions: false } });
+      const before = Date.now();
+
+      const result = await approvalService.approveInitialResponses([responseId], userId);
+
+      expect(result.updated[0]).toEqual(expect.objectContaining({
+        status: ResponseApprovalStatus.PENDING_DEPARTMENT_HEAD,
+        stageCode: 'DeptHead',
+        skippedStages: ['ITLead']
+      }));
+      expect(result.summary.sentToDepartmentHead).toBe(1);
+      expect(inputValue('approvalStageCode')).toBe('DeptHead');
+      expect(inputValue('approvalStageDueAt').getTime()).toBeGreaterThanOrEqual(before + 48 * 60 * 60 * 1000);
+      expect(mockRequest.input).toHaveBeenCalledWith('action', expect.anything(), 'Skipped');
+      expect(mockRequest.input).toHaveBeenCalledWith('reason', expect.anything(), 'noApplicationQuestions');
+    });
+  });
+
+  describe('approveFinalResponses', () => {
+    it('should send IT Lead approvals on to the Department Head stage', async () => {
+      mockDatabase({ stages: departmentHeadWorkflow, status: 'PendingITLead', stageCode: 'ITLead' });
+
+      const result = await approvalService.approveFinalResponses([responseId], userId, null, 'ITLead');
+
+      expect(result.updated[0].status).toBe(ResponseApprovalStatus.PENDING_DEPARTMENT_HEAD);
+      expect(inputValue('itLeadReviewedBy')).toBe(userId);
+      expect(mockRequest.input).toHaveBeenCalledWith('action', expect.anything(), 'Approved');
+    });
+
+    it('should finalize the response after the Department Head sign-off', async () => {
+      mockDatabase({ stages: departmentHeadWorkflow, status: 'PendingDepartmentHead', stageCode: 'DeptHead' });
+
+      const result = await approvalService.approveFinalResponses([responseId], userId, 'OK', 'DepartmentHead');
+
+      expect(result.updated[0]).toEqual(expect.objectContaining({
+        status: ResponseApprovalStatus.APPROVED_FINAL,
+        stageCode: null
+      }));
+      expect(inputValue('finalizedAt')).toBeInstanceOf(Date);
+      expect(queries.some((text) => text.includes('INNER JOIN Users u ON u.DepartmentId = r.DepartmentId'))).toBe(true);
+    });
+
+    it('should only let the Department Head of the response department sign off', async () => {
+      mockDatabase({ stages: departmentHeadWorkflow, status: 'PendingDepartmentHead', stageCode: 'DeptHead' });
+      const respond = mockRequest.query.getMockImplementation();
+      mockRequest.query.mockImplementation(async (text) => {
+        if (text.includes('INNER JOIN Users u ON u.DepartmentId = r.DepartmentId')) {
+          queries.push(text);
+          return { recordset: [] };
+        }
+        return respond(text);
+      });
+
+      await expect(approvalService.approveFinalResponses([responseId], userId, null, 'DepartmentHead'))
+        .rejects.toThrow('Department Head tidak memiliki akses ke response ini');
+      const accessQuery = queries.find((text) => text.includes('INNER JOIN Users u ON u.DepartmentId = r.DepartmentId'));
+      expect(accessQuery).toMatch(/AND u\.Role = 'DepartmentHead'\s+AND \(u\.UserId = @departmentHeadUserId/);
+    });
+
+    it('should refuse responses that wait on another stage', async () => {
+      mockDatabase({ stages: departmentHeadWorkflow, status: 'PendingITLead', stageCode: 'ITLead' });
+
+      await expect(approvalService.approveFinalResponses([responseId], userId, null, 'DepartmentHead'))
+        .rejects.toThrow('belum berada di tahap approval DepartmentHead');
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+  });
+});
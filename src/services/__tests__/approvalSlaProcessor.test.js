@@ -0,0 +1,248 @@
+jest.mock('mssql', () => ({
+  UniqueIdentifier: 'UniqueIdentifier',
+  NVarChar: jest.fn(() => 'NVarChar'),
+  DateTime2: 'DateTime2',
+  Int: 'Int',
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../database/connection');
+jest.mock('../emailService', () => ({
+  sendApprovalDigest: jest.fn(),
+  sendApprovalEscalation: jest.fn(),
+}));
+
+const config = require('../../config');
+const db = require('../../database/connection');
+const emailService = require('../emailService');
+const { ApprovalSlaProcessor } = require('../approvalSlaProcessor');
+const { annotatePendingApproval, buildAgeingReport } = require('../approval-service/sla');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * HOUR_MS);
+}
+
+function pendingRow(overrides = {}) {
+  return {
+    ResponseId: 'response-1',
+    SurveyId: 'survey-1',
+    SurveyTitle: 'CSI 2026',
+    ResponseApprovalStatus: 'PendingITLead',
+    RespondentName: 'Budi',
+    ApplicationId: 'app-1',
+    ApplicationName: 'SAP',
+    DepartmentId: 'dept-1',
+    DepartmentName: 'Finance',
+    SubmittedAt: hoursAgo(200),
+    AdminReviewedAt: hoursAgo(10),
+    ITLeadReviewedAt: null,
+    ApprovalStageDueAt: null,
+    ...overrides,
+  };
+}
+
+describe('ApprovalSlaProcessor', () => {
+  const originalApprovalSla = config.approvalSla;
+  const itLead = { ApplicationId: 'APP-1', UserId: 'it-1', DisplayName: 'IT Lead', Email: 'it@example.com' };
+  const admin = { SurveyId: 'survey-1', UserId: 'admin-1', DisplayName: 'Admin', Email: 'admin@example.com' };
+  const superAdmin = { UserId: 'super-1', DisplayName: 'Super', Email: 'super@example.com' };
+
+  let processor;
+  let queries;
+  let responses;
+
+  function mockQueries(handler) {
+    responses = handler;
+  }
+
+  function createRequest() {
+    const request = {
+      inputs: {},
+      input: jest.fn((name, type, value) => {
+        request.inputs[name] = value;
+        return request;
+      }),
+      query: jest.fn(async (text) => {
+        queries.push({ text, inputs: request.inputs });
+        return responses(text, request.inputs) || { recordset: [] };
+      }),
+    };
+    return request;
+  }
+
+  function approverQueries(pendingRows, options = {}) {
+    return (text, inputs) => {
+      if (text.includes('COL_LENGTH')) {
+        return { recordset: [{ StageDueAtSupported: 1, EscalationsSupported: options.escalations === false ? 0 : 1 }] };
+      }
+      if (text.includes('FROM Responses r')) return { recordset: pendingRows };
+      if (text.includes('FROM FunctionApplicationMappings fam')) return { recordset: [itLead] };
+      if (text.includes("u.Role = 'DepartmentHead'")) return { recordset: [] };
+      if (text.includes('FROM SurveyAdminAssignments')) return { recordset: [admin] };
+      if (text.includes("Role = 'SuperAdmin'")) return { recordset: [superAdmin] };
+      if (text.includes('INSERT INTO ApprovalEscalations')) {
+        const alreadyEscalated = (options.escalated || []).includes(`${inputs.responseId}|${inputs.level}`);
+        return { recordset: alreadyEscalated ? [] : [{ EscalationId: 'escalation-1' }] };
+      }
+      return null;
+    };
+  }
+
+  beforeEach(() => {
+    processor = new ApprovalSlaProcessor();
+    queries = [];
+    config.approvalSla = {
+      enabled: true,
+      schedule: '0 8 * * *',
+      itLeadHours: 72,
+      departmentHeadHours: 72,
+      takeoutDecisionHours: 48,
+      superAdminAfterHours: 48,
+    };
+    emailService.sendApprovalDigest.mockResolvedValue({ success: true });
+    emailService.sendApprovalEscalation.mockResolvedValue({ success: true });
+    db.getPool = jest.fn().mockResolvedValue({ request: jest.fn(() => createRequest()) });
+  });
+
+  afterEach(() => {
+    config.approvalSla = originalApprovalSla;
+    jest.clearAllMocks();
+  });
+
+  it('should send one digest per approver and escalate overdue responses to event admins, then SuperAdmin', async () => {
+    mockQueries(approverQueries([
+      pendingRow({ ResponseId: 'fresh', AdminReviewedAt: hoursAgo(10) }),
+      pendingRow({ ResponseId: 'late', AdminReviewedAt: hoursAgo(80) }),
+      pendingRow({ ResponseId: 'very-late', AdminReviewedAt: hoursAgo(130) }),
+    ]));
+
+    const summary = await processor.processApprovalSla();
+
+    expect(summary).toEqual({ pending: 3, overdue: 2, digestsSent: 1, escalated: 3, escalationsSent: 2 });
+    expect(emailService.sendApprovalDigest).toHaveBeenCalledTimes(1);
+    const digest = emailService.sendApprovalDigest.mock.calls[0][0];
+    expect(digest).toMatchObject({ recipientEmail: 'it@example.com', pendingCount: 3, overdueCount: 2 });
+    expect(digest.items.map((item) => item.responseId)).toEqual(['very-late', 'late', 'fresh']);
+
+    const escalations = emailService.sendApprovalEscalation.mock.calls.map(([params]) => params);
+    expect(escalations).toEqual(expect.arrayContaining([
+      expect.objectContaining({ recipientEmail: 'admin@example.com', level: 1 }),
+      expect.objectContaining({ recipientEmail: 'super@example.com', level: 2 }),
+    ]));
+    const adminEscalation = escalations.find((params) => params.level === 1);
+    expect(adminEscalation.items.map((item) => item.responseId)).toEqual(['very-late', 'late']);
+    const superAdminEscalation = escalations.find((params) => params.level === 2);
+    expect(superAdminEscalation.items.map((item) => item.responseId)).toEqual(['very-late']);
+  });
+
+  it('should not escalate a stage level twice and send takeout decisions straight to SuperAdmin', async () => {
+    mockQueries(approverQueries([
+      pendingRow({ ResponseId: 'late', AdminReviewedAt: hoursAgo(80) }),
+      pendingRow({
+        ResponseId: 'takeout',
+        ResponseApprovalStatus: 'PendingAdminTakeoutDecision',
+        ITLeadReviewedAt: hoursAgo(100),
+      }),
+    ], { escalated: ['late|1'] }));
+
+    const summary = await processor.processApprovalSla();
+
+    expect(summary.escalated).toBe(1);
+    expect(emailService.sendApprovalEscalation).toHaveBeenCalledTimes(1);
+    expect(emailService.sendApprovalEscalation.mock.calls[0][0]).toMatchObject({
+      recipientEmail: 'super@example.com',
+      level: 2,
+    });
+    const inserts = queries.filter((query) => query.text.includes('INSERT INTO ApprovalEscalations'));
+    expect(inserts.map((query) => `${query.inputs.responseId}|${query.inputs.level}`)).toEqual(['late|1', 'takeout|2']);
+
+    const adminDigest = emailService.sendApprovalDigest.mock.calls
+      .map(([params]) => params)
+      .find((params) => params.recipientEmail === 'admin@example.com');
+    expect(adminDigest.items.map((item) => item.responseId)).toEqual(['takeout']);
+  });
+
+  it('should still send digests when the escalation table is missing', async () => {
+    mockQueries(approverQueries([pendingRow({ AdminReviewedAt: hoursAgo(80) })], { escalations: false }));
+
+    const summary = await processor.processApprovalSla();
+
+    expect(summary).toMatchObject({ pending: 1, overdue: 1, digestsSent: 1, escalated: 0 });
+    expect(emailService.sendApprovalEscalation).not.toHaveBeenCalled();
+    expect(queries.some((query) => query.text.includes('INSERT INTO ApprovalEscalations'))).toBe(false);
+  });
+
+  it('should skip the run when nothing is pending', async () => {
+    mockQueries(approverQueries([]));
+
+    const summary = await processor.processApprovalSla();
+
+    expect(summary.pending).toBe(0);
+    expect(emailService.sendApprovalDigest).not.toHaveBeenCalled();
+    expect(queries.some((query) => query.text.includes("Role = 'SuperAdmin'"))).toBe(false);
+  });
+
+  it('should not run when disabled', () => {
+    config.approvalSla.enabled = false;
+    processor.start();
+    expect(processor.getStatus()).toEqual({ isRunning: false, isScheduled: false });
+  });
+});
+
+describe('approval SLA ageing', () => {
+  const slaConfig = { itLeadHours: 72, departmentHeadHours: 72, takeoutDecisionHours: 48, superAdminAfterHours: 48 };
+  const now = new Date('2026-03-10T08:00:00Z');
+  const at = (hoursBefore) => new Date(now.getTime() - hoursBefore * HOUR_MS);
+
+  it('should prefer the workflow stage due date over the configured hours', () => {
+    const item = annotatePendingApproval(pendingRow({
+      AdminReviewedAt: at(30),
+      ApprovalStageDueAt: at(6),
+    }), slaConfig, now);
+
+    expect(item).toMatchObject({ ageHours: 30, isOverdue: true, overdueHours: 6 });
+
+    const takeout = annotatePendingApproval(pendingRow({
+      ResponseApprovalStatus: 'PendingAdminTakeoutDecision',
+      ITLeadReviewedAt: at(30),
+      ApprovalStageDueAt: at(6),
+    }), slaConfig, now);
+    expect(takeout.isOverdue).toBe(false);
+    expect(takeout.dueAt).toEqual(new Date(at(30).getTime() + 48 * HOUR_MS));
+  });
+
+  it('should group the backlog by stage, age bucket and IT Lead', () => {
+    const items = [
+      pendingRow({ ResponseId: 'r1', AdminReviewedAt: at(5) }),
+      pendingRow({ ResponseId: 'r2', AdminReviewedAt: at(100) }),
+      pendingRow({ ResponseId: 'r3', ApplicationId: 'app-unmapped', AdminReviewedAt: at(200) }),
+      pendingRow({ ResponseId: 'r4', ResponseApprovalStatus: 'PendingDepartmentHead', ITLeadReviewedAt: at(30) }),
+    ].map((row) => annotatePendingApproval(row, slaConfig, now));
+    const itLeads = new Map([['app-1', [{ userId: 'it-1', displayName: 'IT Lead', email: 'it@example.com' }]]]);
+
+    const report = buildAgeingReport(items, itLeads, slaConfig, now);
+
+    expect(report.totals).toMatchObject({ pending: 4, overdue: 2, oldestAgeHours: 200 });
+    const itLeadStage = report.byStage.find((stage) => stage.status === 'PendingITLead');
+    expect(itLeadStage).toMatchObject({
+      slaHours: 72,
+      pending: 3,
+      overdue: 2,
+      buckets: { under1Day: 1, days1To3: 0, days3To7: 1, over7Days: 1 },
+    });
+    expect(report.byStage.find((stage) => stage.status === 'PendingDepartmentHead')).toMatchObject({ pending: 1, overdue: 0 });
+    expect(report.byITLead).toEqual([
+      expect.objectContaining({ userId: 'it-1', pending: 2, overdue: 1 }),
+      expect.objectContaining({ userId: null, displayName: 'Unassigned', pending: 1, overdue: 1 }),
+    ]);
+    expect(report.overdueItems.map((item) => item.responseId)).toEqual(['r3', 'r2']);
+  });
+});
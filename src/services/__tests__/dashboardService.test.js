@@ -0,0 +1,242 @@
+jest.mock('mssql', () => ({
+  UniqueIdentifier: 'UniqueIdentifier',
+  NVarChar: jest.fn(() => 'NVarChar'),
+  Int: 'Int',
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../database/connection');
+jest.mock('../approvalService', () => ({
+  hasResponseApprovalStatusColumn: jest.fn(),
+}));
+jest.mock('../reportService', () => ({
+  getUserDepartmentId: jest.fn(),
+  validateDepartmentHeadAccess: jest.fn(),
+}));
+
+const db = require('../../database/connection');
+const approvalService = require('../approvalService');
+const reportService = require('../reportService');
+const { DashboardService } = require('../dashboardService');
+
+describe('DashboardService', () => {
+  let service;
+  let queries;
+  let responses;
+
+  function createRequest() {
+    const request = {
+      inputs: {},
+      input: jest.fn((name, type, value) => {
+        request.inputs[name] = value;
+        return request;
+      }),
+      query: jest.fn(async (text) => {
+        queries.push({ text, inputs: request.inputs });
+        return responses(text, request.inputs) || { recordset: [] };
+      }),
+    };
+    return request;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queries = [];
+    responses = () => null;
+    db.getPool = jest.fn().mockResolvedValue({ request: jest.fn(() => createRequest()) });
+    approvalService.hasResponseApprovalStatusColumn.mockResolvedValue(true);
+    reportService.validateDepartmentHeadAccess.mockResolvedValue(true);
+    service = new DashboardService();
+  });
+
+  describe('getAdminStats', () => {
+    const events = [
+      {
+        SurveyId: 'survey-1', Title: 'CSI 2026', Status: 'Active', TargetRespondents: 40,
+        TargetScore: 8, CurrentScore: 7.456, ResponseCount: 10,
+      },
+      { SurveyId: 'survey-2', Title: 'CSI 2025', Status: 'Closed', TargetRespondents: null, ResponseCount: 5 },
+    ];
+
+    beforeEach(() => {
+      responses = (text) => {
+        if (text.includes('FROM Surveys s')) return { recordset: events };
+        if (text.includes('GROUP BY r.ResponseApprovalStatus')) {
+          return {
+            recordset: [
+              { ResponseApprovalStatus: 'Submitted', Count: 3 },
+              { ResponseApprovalStatus: 'PendingAdminTakeoutDecision', Count: 2 },
+              { ResponseApprovalStatus: 'ApprovedFinal', Count: 7 },
+            ],
+          };
+        }
+        return null;
+      };
+    });
+
+    it('summarises every event and the approval backlog for a SuperAdmin', async () => {
+      const stats = await service.getAdminStats('super-1', 'SuperAdmin');
+
+      expect(stats).toMatchObject({
+        totalSurveys: 2,
+        activeSurveys: 1,
+        pendingApprovals: 5,
+        totalResponses: 15,
+        approvalBacklog: { submitted: 3, pendingAdminTakeoutDecision: 2, approvedFinal: 7 },
+      });
+      expect(stats.activeEvents).toEqual([
+        expect.objectContaining({ surveyId: 'survey-1', responseRate: 25, currentScore: 7.46 }),
+      ]);
+      queries.forEach((query) => {
+        expect(query.text).not.toContain('SurveyAdminAssignments');
+      });
+    });
+
+    it('limits an AdminEvent to the events they are assigned to', async () => {
+      await service.getAdminStats('admin-1', 'AdminEvent');
+
+      expect(queries).toHaveLength(2);
+      queries.forEach((query) => {
+        expect(query.text).toContain('SurveyAdminAssignments');
+        expect(query.inputs.requesterUserId).toBe('admin-1');
+      });
+    });
+  });
+
+  describe('getITLeadStats', () => {
+    it('requires the IT Lead user ID', async () => {
+      await expect(service.getITLeadStats(null)).rejects.toThrow('ITLeadUserId is required');
+    });
+
+    it('counts approvals and takeouts of the functions the IT Lead leads', async () => {
+      responses = (text) => {
+        if (text.includes('FROM Functions f')) {
+          return { recordset: [{ FunctionId: 'fn-1', FunctionName: 'Finance', ApplicationCount: 3 }] };
+        }
+        if (text.includes('GROUP BY r.ResponseApprovalStatus')) {
+          return {
+            recordset: [
+              { ResponseApprovalStatus: 'PendingITLead', Count: 4 },
+              { ResponseApprovalStatus: 'ApprovedFinal', Count: 6 },
+            ],
+          };
+        }
+        if (text.includes('GROUP BY qr.TakeoutStatus')) {
+          return {
+            recordset: [
+              { TakeoutStatus: 'ProposedTakeout', Count: 2 },
+              { TakeoutStatus: 'TakenOut', Count: 1 },
+              { TakeoutStatus: 'Rejected', Count: 5 },
+            ],
+          };
+        }
+        return null;
+      };
+
+      const stats = await service.getITLeadStats('it-1');
+
+      expect(stats).toMatchObject({
+        pendingApprovals: 4,
+        pendingTakeouts: 2,
+        approvedCount: 6,
+        rejectedCount: 5,
+        assignedFunctions: 1,
+        takeouts: { proposed: 2, takenOut: 1, rejected: 5 },
+        functions: [{ functionId: 'fn-1', functionName: 'Finance', applicationCount: 3 }],
+      });
+      queries.forEach((query) => {
+        expect(query.inputs.itLeadUserId).toBe('it-1');
+      });
+    });
+  });
+
+  describe('getDeptHeadStats', () => {
+    const events = [
+      { SurveyId: 'SURVEY-1', Title: 'CSI 2026', Status: 'Active', TargetScore: 8, ResponseCount: 3, BestCommentsCount: 1 },
+      { SurveyId: 'survey-2', Title: 'CSI 2025', Status: 'Closed', TargetScore: 7, ResponseCount: 0, BestCommentsCount: 0 },
+    ];
+
+    function mockAnswers(answers) {
+      responses = (text) => {
+        if (text.includes('BestCommentsCount')) return { recordset: events };
+        if (text.includes('FROM QuestionResponses qr')) return { recordset: answers };
+        return null;
+      };
+    }
+
+    it('averages answers on their own rating scale like the event score', async () => {
+      reportService.getUserDepartmentId.mockResolvedValue('dept-1');
+      mockAnswers([
+        // 5 of 5 and 10 of 10 both score 10; 3 of 5 scores 5
+        { SurveyId: 'survey-1', Type: 'Rating', Options: '{"ratingScale":5}', NumericValue: 5 },
+        { SurveyId: 'survey-1', Type: 'Rating', Options: '{"ratingScale":10}', NumericValue: 10 },
+        { SurveyId: 'survey-1', Type: 'Rating', Options: '{"ratingScale":5}', NumericValue: 3 },
+        { SurveyId: 'survey-3', Type: 'MatrixLikert', Options: '{"scaleMin":1,"scaleMax":5}', MatrixValues: '{"a":1,"b":5}' },
+      ]);
+
+      const stats = await service.getDeptHeadStats('head-1', 'DepartmentHead');
+
+      expect(reportService.validateDepartmentHeadAccess).toHaveBeenCalledWith('head-1', 'dept-1', 'DepartmentHead');
+      expect(stats).toMatchObject({
+        departmentId: 'dept-1',
+        activeSurveys: 1,
+        totalResponses: 3,
+        averageScore: 7.5,
+        bestCommentsCount: 1,
+      });
+      expect(stats.departmentScores).toEqual([
+        expect.objectContaining({ surveyId: 'SURVEY-1', averageScore: 8.33 }),
+        expect.objectContaining({ surveyId: 'survey-2', averageScore: null }),
+      ]);
+      const answersQuery = queries.find((query) => query.text.includes('q.Type IN'));
+      expect(answersQuery.inputs).toMatchObject({ type0: 'Rating', type1: 'MatrixLikert', takenOut: 'TakenOut' });
+    });
+
+    it('returns no average when the department has no scored answers', async () => {
+      reportService.getUserDepartmentId.mockResolvedValue('dept-1');
+      mockAnswers([]);
+
+      const stats = await service.getDeptHeadStats('head-1', 'DepartmentHead');
+
+      expect(stats.averageScore).toBeNull();
+      stats.departmentScores.forEach((event) => expect(event.averageScore).toBeNull());
+    });
+
+    it('limits an AdminEvent to the events they are assigned to', async () => {
+      mockAnswers([]);
+
+      await service.getDeptHeadStats('admin-1', 'AdminEvent', 'dept-9');
+
+      expect(reportService.getUserDepartmentId).not.toHaveBeenCalled();
+      expect(queries).toHaveLength(2);
+      queries.forEach((query) => {
+        expect(query.text).toContain('SurveyAdminAssignments');
+        expect(query.inputs).toMatchObject({ departmentId: 'dept-9', requesterUserId: 'admin-1' });
+      });
+    });
+
+    it('does not scope a SuperAdmin to assigned events', async () => {
+      mockAnswers([]);
+
+      await service.getDeptHeadStats('super-1', 'SuperAdmin', 'dept-9');
+
+      queries.forEach((query) => {
+        expect(query.text).not.toContain('SurveyAdminAssignments');
+      });
+    });
+
+    it('rejects a Department Head without a department', async () => {
+      reportService.getUserDepartmentId.mockResolvedValue(null);
+
+      await expect(service.getDeptHeadStats('head-1', 'DepartmentHead'))
+        .rejects.toThrow('Department Head must be assigned to a department');
+      expect(queries).toHaveLength(0);
+    });
+  });
+});
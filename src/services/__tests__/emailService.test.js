@@ -99,6 +99,39 @@ describe('EmailService', () => {
         });
     });
 
+    describe('tracking', () => {
+        test('should render the open pixel only when a tracking URL is given', async () => {
+            const data = {
+                recipientName: 'John Doe',
+                surveyTitle: 'IT Satisfaction Survey',
+                surveyLink: 'http://localhost:3000/e/123/click',
+                startDate: '2024-01-01',
+                endDate: '2024-01-31',
+                targetRespondents: '100',
+                customMessage: '',
+                embedCover: false,
+                heroCoverUrl: null
+            };
+
+            const tracked = await emailService.renderTemplate('survey-invitation', {
+                ...data,
+                trackingPixelUrl: 'http://localhost:3000/e/123/open.gif'
+            });
+            const untracked = await emailService.renderTemplate('survey-invitation', data);
+
+            expect(tracked).toContain('http://localhost:3000/e/123/open.gif');
+            expect(untracked).not.toContain('open.gif');
+        });
+
+        test('should not track notification emails', async () => {
+            const tracking = await emailService.prepareTracking(true, 'Notification', {
+                surveyLink: 'http://localhost:3000/survey/123'
+            });
+
+            expect(tracking).toBeNull();
+        });
+    });
+
     describe('delay', () => {
         test('should delay for specified milliseconds', async () => {
             const start = Date.now();
@@ -0,0 +1,102 @@
+const { EmailTrackingService } = require('../emailTrackingService');
+const db = require('../../database/connection');
+const config = require('../../config');
+
+jest.mock('../../database/connection');
+
+describe('EmailTrackingService', () => {
+  const emailLogId = '123e4567-e89b-12d3-a456-426614174000';
+  let emailTrackingService;
+  let mockRequest;
+  let mockPool;
+
+  beforeEach(() => {
+    emailTrackingService = new EmailTrackingService();
+
+    mockRequest = {
+      input: jest.fn().mockReturnThis(),
+      query: jest.fn()
+    };
+    mockPool = {
+      request: jest.fn().mockReturnValue(mockRequest)
+    };
+    db.getPool.mockResolvedValue(mockPool);
+    config.baseUrl = 'http://localhost:3000';
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('tracking links', () => {
+    it('should build pixel and redirect URLs for an email log', () => {
+      expect(emailTrackingService.buildOpenPixelUrl(emailLogId))
+        .toBe(`http://localhost:3000/e/${emailLogId}/open.gif`);
+      expect(emailTrackingService.buildClickUrl(emailLogId))
+        .toBe(`http://localhost:3000/e/${emailLogId}/click`);
+    });
+
+    it('should keep existing query parameters when adding the email reference', () => {
+      expect(emailTrackingService.appendTrackingParam('http://localhost:3000/survey/s1?invite=abc', emailLogId))
+        .toBe(`http://localhost:3000/survey/s1?invite=abc&eml=${emailLogId}`);
+    });
+  });
+
+  describe('recordEvent', () => {
+    it('should ignore malformed IDs and unknown event types without querying', async () => {
+      expect(await emailTrackingService.recordEvent(null, "x'; --", 'Open')).toBeNull();
+      expect(await emailTrackingService.recordEvent(null, emailLogId, 'Bounce')).toBeNull();
+      expect(mockRequest.query).not.toHaveBeenCalled();
+    });
+
+    it('should store the event and return the tracked link', async () => {
+      emailTrackingService.supportCache = true;
+      mockRequest.query.mockResolvedValueOnce({
+        recordset: [{ EmailLogId: emailLogId, SurveyId: 'survey-1', TrackedLink: 'http://localhost:3000/survey/survey-1' }]
+      });
+
+      const tracked = await emailTrackingService.recordEvent(null, emailLogId, 'Click', { ipAddress: '10.0.0.1' });
+
+      expect(tracked).toEqual({
+        emailLogId,
+        surveyId: 'survey-1',
+        trackedLink: 'http://localhost:3000/survey/survey-1'
+      });
+      expect(mockRequest.query.mock.calls[0][0]).toContain('INSERT INTO EmailTrackingEvents');
+      expect(mockRequest.input).toHaveBeenCalledWith('eventType', expect.anything(), 'Click');
+    });
+  });
+
+  describe('getFunnel', () => {
+    it('should aggregate the funnel per event and per business unit', async () => {
+      mockRequest.query.mockResolvedValueOnce({
+        recordset: [
+          {
+            SurveyId: 's1', SurveyTitle: 'CSI 2026', BusinessUnitId: 'bu1', BusinessUnitName: 'Astra',
+            SentCount: 10, OpenedCount: 6, ClickedCount: 4, StartedCount: 3, SubmittedCount: 2
+          },
+          {
+            SurveyId: 's1', SurveyTitle: 'CSI 2026', BusinessUnitId: null, BusinessUnitName: null,
+            SentCount: 2, OpenedCount: 0, ClickedCount: 0, StartedCount: 0, SubmittedCount: 0
+          },
+          {
+            SurveyId: 's2', SurveyTitle: 'Pulse', BusinessUnitId: 'bu1', BusinessUnitName: 'Astra',
+            SentCount: 8, OpenedCount: 2, ClickedCount: 2, StartedCount: 2, SubmittedCount: 2
+          }
+        ]
+      });
+
+      const funnel = await emailTrackingService.getFunnel(null, { emailType: 'Blast' });
+
+      expect(mockRequest.input).toHaveBeenCalledWith('emailType', expect.anything(), 'Blast');
+      expect(funnel.totals).toEqual(expect.objectContaining({ sent: 20, opened: 8, submitted: 4, submitRate: 20 }));
+      expect(funnel.events).toHaveLength(2);
+      expect(funnel.events[0]).toEqual(expect.objectContaining({ surveyId: 's1', sent: 12, clicked: 4 }));
+      expect(funnel.events[0].businessUnits[1].businessUnitName).toBe('Unknown');
+      expect(funnel.businessUnits).toEqual([
+        expect.objectContaining({ businessUnitId: 'bu1', sent: 18, opened: 8, clicked: 6, started: 5, submitted: 4 }),
+        expect.objectContaining({ businessUnitId: null, sent: 2, openRate: 0 })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const emailVerificationService = require('../emailVerificationService');
+const emailService = require('../emailService');
+const translationService = require('../translationService');
+const db = require('../../database/connection');
+const { hashOneTimeToken } = require('../auth-service/utils');
+
+jest.mock('../../database/connection');
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const SURVEY_ID = '123e4567-e89b-12d3-a456-426614174000';
+
+describe('EmailVerificationService', () => {
+  let queries;
+
+  const mockPool = (handler) => {
+    db.getPool.mockResolvedValue({
+      request: jest.fn(() => {
+        const request = {
+          inputs: {},
+          input: jest.fn((name, type, value) => {
+            request.inputs[name] = value;
+            return request;
+          }),
+          query: jest.fn(async (text) => {
+            queries.push({ text, inputs: request.inputs });
+            return handler(text, request.inputs);
+          })
+        };
+        return request;
+      })
+    });
+  };
+
+  beforeEach(() => {
+    queries = [];
+    emailVerificationService.supportCache = true;
+  });
+
+  afterEach(() => {
+    emailVerificationService.supportCache = null;
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('requestCode', () => {
+    const activeEvent = { SurveyId: SURVEY_ID, Title: 'Expo', Status: 'Active', EmailVerificationRequired: true };
+
+    beforeEach(() => {
+      jest.spyOn(translationService, 'translateEventText').mockImplementation(async (id, locale, text) => text);
+    });
+
+    it('stores only the hash of the emailed code and invalidates older codes', async () => {
+      mockPool((text) => {
+        if (text.includes('FROM Events')) return { recordset: [activeEvent] };
+        if (text.includes('INSERT INTO')) return { recordset: [{ VerificationId: 'verification-2' }], rowsAffected: [1] };
+        return { recordset: [], rowsAffected: [1] };
+      });
+      const sendSpy = jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ success: true });
+
+      const result = await emailVerificationService.requestCode(SURVEY_ID, ' Visitor@Example.com ', { locale: 'en' });
+
+      const code = sendSpy.mock.calls[0][0].data.code;
+      const insert = queries.find((entry) => entry.text.includes('INSERT INTO ResponseEmailVerifications'));
+      expect(result).toEqual({ sent: true, email: 'visitor@example.com', expiresInMinutes: 10 });
+      expect(code).toMatch(/^[0-9]{6}$/);
+      expect(insert.inputs.codeHash).toBe(hashOneTimeToken(code));
+      expect(insert.text).toContain('WITH (UPDLOCK, HOLDLOCK)');
+      expect(queries.find((entry) => entry.text.includes('SET UsedAt = GETDATE()')).inputs.verificationId)
+        .toBe('verification-2');
+      expect(sendSpy).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'visitor@example.com',
+        template: 'email-verification',
+        subject: 'Verification Code: Expo'
+      }));
+    });
+
+    it('refuses to resend a code within the cooldown', async () => {
+      mockPool((text) => {
+        if (text.includes('FROM Events')) return { recordset: [activeEvent] };
+        return { recordset: [], rowsAffected: [0] };
+      });
+      const sendSpy = jest.spyOn(emailService, 'sendEmail');
+
+      await expect(emailVerificationService.requestCode(SURVEY_ID, 'visitor@example.com'))
+        .rejects.toThrow('Please wait a minute');
+      expect(queries.find((entry) => entry.text.includes('SET UsedAt = GETDATE()'))).toBeUndefined();
+      expect(sendSpy).not.toHaveBeenCalled();
+    });
+
+    it('rejects events that do not require verification', async () => {
+      mockPool(() => ({ recordset: [{ ...activeEvent, EmailVerificationRequired: false }] }));
+
+      await expect(emailVerificationService.requestCode(SURVEY_ID, 'visitor@example.com'))
+        .rejects.toThrow('Email verification is not enabled for this survey');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const pending = (attempts = 0) => ({ VerificationId: 'verification-1', Attempts: attempts });
+    const handler = ({ attemptsLeft = true } = {}) => (text) => {
+      if (text.includes('SELECT TOP 1')) return { recordset: [pending()] };
+      if (text.includes('Attempts = Attempts + 1')) {
+        return attemptsLeft
+          ? { recordset: [{ CodeHash: hashOneTimeToken('123456') }], rowsAffected: [1] }
+          : { recordset: [], rowsAffected: [0] };
+      }
+      return { recordset: [], rowsAffected: [1] };
+    };
+
+    it('exchanges a correct code for a token and stores only its hash', async () => {
+      mockPool(handler());
+
+      const result = await emailVerificationService.verifyCode(SURVEY_ID, 'visitor@example.com', '123456');
+
+      const update = queries.find((entry) => entry.text.includes('SET VerifiedAt = GETDATE()'));
+      expect(result.verificationToken).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(update.inputs.tokenHash).toBe(hashOneTimeToken(result.verificationToken));
+    });
+
+    it('counts wrong codes and locks the code after too many attempts', async () => {
+      mockPool(handler());
+
+      await expect(emailVerificationService.verifyCode(SURVEY_ID, 'visitor@example.com', '654321'))
+        .rejects.toThrow('Verification code is incorrect');
+      expect(queries[1].text).toContain('Attempts = Attempts + 1');
+      expect(queries[1].text).toContain('Attempts < @maxAttempts');
+      expect(queries[1].inputs.maxAttempts).toBe(5);
+      expect(queries).toHaveLength(2);
+
+      queries = [];
+      mockPool(() => ({ recordset: [pending(5)] }));
+      await expect(emailVerificationService.verifyCode(SURVEY_ID, 'visitor@example.com', '123456'))
+        .rejects.toThrow('Too many incorrect attempts');
+    });
+
+    it('does not compare the code once a parallel attempt used up the last try', async () => {
+      mockPool(handler({ attemptsLeft: false }));
+
+      await expect(emailVerificationService.verifyCode(SURVEY_ID, 'visitor@example.com', '123456'))
+        .rejects.toThrow('Too many incorrect attempts');
+      expect(queries.find((entry) => entry.text.includes('SET VerifiedAt = GETDATE()'))).toBeUndefined();
+    });
+  });
+
+  describe('consumeToken', () => {
+    it('only accepts the token for the address it was issued to', async () => {
+      const token = emailVerificationService.generateToken();
+      const connection = {
+        request: jest.fn(() => {
+          const request = {
+            inputs: {},
+            input: jest.fn((name, type, value) => {
+              request.inputs[name] = value;
+              return request;
+            }),
+            query: jest.fn(async (text) => {
+              queries.push({ text, inputs: request.inputs });
+              return { recordset: [{ VerificationId: 'verification-1' }] };
+            })
+          };
+          return request;
+        })
+      };
+
+      await expect(emailVerificationService.consumeToken(connection, SURVEY_ID, 'Visitor@Example.com', token))
+        .resolves.toBe('verification-1');
+      expect(queries[0].inputs).toEqual(expect.objectContaining({
+        email: 'visitor@example.com',
+        tokenHash: hashOneTimeToken(token)
+      }));
+      expect(queries[0].text).toContain('UsedAt IS NULL');
+
+      await expect(emailVerificationService.consumeToken(connection, SURVEY_ID, 'visitor@example.com', 'bad'))
+        .resolves.toBeNull();
+      expect(queries).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+jest.mock('mssql', () => ({
+  Transaction: jest.fn(),
+  UniqueIdentifier: 'UniqueIdentifier',
+  Int: 'Int',
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../database/connection');
+jest.mock('../auditService', () => ({
+  logAction: jest.fn(),
+}));
+jest.mock('../emailService', () => ({
+  sendEventLifecycleNotification: jest.fn(),
+}));
+jest.mock('../publishCycleService', () => ({
+  activateNewCycle: jest.fn(),
+}));
+
+const sql = require('mssql');
+const config = require('../../config');
+const db = require('../../database/connection');
+const auditService = require('../auditService');
+const emailService = require('../emailService');
+const publishCycleService = require('../publishCycleService');
+const { EventLifecycleProcessor, LifecycleTransition } = require('../eventLifecycleProcessor');
+
+describe('EventLifecycleProcessor', () => {
+  const readyEvent = { SurveyId: 'survey-1', Title: 'CSI 2026', StartDate: new Date(), EndDate: new Date() };
+  const originalLifecycle = config.lifecycle;
+
+  let processor;
+  let queries;
+  let responses;
+  let mockTransaction;
+
+  function mockQueries(handler) {
+    responses = handler;
+  }
+
+  function createRequest() {
+    const request = {
+      inputs: {},
+      input: jest.fn((name, type, value) => {
+        request.inputs[name] = value;
+        return request;
+      }),
+      query: jest.fn(async (text) => {
+        queries.push({ text, inputs: request.inputs });
+        return responses(text, request.inputs) || { recordset: [], rowsAffected: [0] };
+      }),
+    };
+    return request;
+  }
+
+  beforeEach(() => {
+    processor = new EventLifecycleProcessor();
+    queries = [];
+    config.lifecycle = { enabled: true, schedule: '*/5 * * * *', archiveAfterDays: 90, notifyAdmins: false };
+
+    mockTransaction = {
+      begin: jest.fn().mockResolvedValue(undefined),
+      commit: jest.fn().mockResolvedValue(undefined),
+      rollback: jest.fn().mockResolvedValue(undefined),
+      request: jest.fn(() => createRequest()),
+    };
+    sql.Transaction.mockReturnValue(mockTransaction);
+    db.getPool = jest.fn().mockResolvedValue({ request: jest.fn(() => createRequest()) });
+  });
+
+  afterEach(() => {
+    config.lifecycle = originalLifecycle;
+    jest.clearAllMocks();
+  });
+
+  it('should open ready Draft events, start a publish cycle and audit the transition', async () => {
+    mockQueries((text) => {
+      if (text.includes('COL_LENGTH')) return { recordset: [{ Supported: 1 }] };
+      if (text.includes("WHERE e.Status = 'Draft'")) return { recordset: [readyEvent] };
+      if (text.includes("SET Status = 'Active'")) return { recordset: [], rowsAffected: [1] };
+      return null;
+    });
+
+    const summary = await processor.processLifecycle();
+
+    expect(summary).toEqual({ opened: 1, closed: 0, archived: 0, cancelledOperations: 0 });
+    expect(publishCycleService.activateNewCycle).toHaveBeenCalledWith(mockTransaction, 'survey-1', null);
+    expect(mockTransaction.commit).toHaveBeenCalled();
+    expect(auditService.logAction).toHaveBeenCalledWith(expect.objectContaining({
+      username: 'system',
+      action: 'Update',
+      entityType: 'Event',
+      entityId: 'survey-1',
+      oldValues: { Status: 'Draft' },
+      newValues: { Status: 'Active', LifecycleTransition: LifecycleTransition.OPEN },
+    }));
+  });
+
+  it('should skip events an admin published between the scan and the update', async () => {
+    mockQueries((text) => {
+      if (text.includes('COL_LENGTH')) return { recordset: [{ Supported: 1 }] };
+      if (text.includes("WHERE e.Status = 'Draft'")) return { recordset: [readyEvent] };
+      return null;
+    });
+
+    const summary = await processor.processLifecycle();
+
+    expect(summary.opened).toBe(0);
+    expect(mockTransaction.rollback).toHaveBeenCalled();
+    expect(publishCycleService.activateNewCycle).not.toHaveBeenCalled();
+    expect(auditService.logAction).not.toHaveBeenCalled();
+  });
+
+  it('should close ended events, archive after the retention period and cancel pending operations', async () => {
+    mockQueries((text) => {
+      if (text.includes('COL_LENGTH')) return { recordset: [{ Supported: 1 }] };
+      if (text.includes("SET Status = 'Closed'")) return { recordset: [{ SurveyId: 'survey-2', Title: 'Closed event' }] };
+      if (text.includes("SET Status = 'Archived'")) return { recordset: [{ SurveyId: 'survey-3', Title: 'Old event' }] };
+      if (text.includes('FROM ScheduledOperations')) {
+        return { recordset: [{ OperationId: 'op-1', SurveyId: 'survey-2', OperationType: 'Reminder' }] };
+      }
+      return null;
+    });
+
+    const summary = await processor.processLifecycle();
+
+    expect(summary).toEqual({ opened: 0, closed: 1, archived: 1, cancelledOperations: 1 });
+    const closeQuery = queries.find(({ text }) => text.includes("SET Status = 'Closed'"));
+    expect(closeQuery.text).toContain('ClosedAt = GETDATE()');
+    const archiveQuery = queries.find(({ text }) => text.includes("SET Status = 'Archived'"));
+    expect(archiveQuery.inputs.archiveAfterDays).toBe(90);
+    expect(auditService.logAction).toHaveBeenCalledWith(expect.objectContaining({
+      entityId: 'survey-3',
+      newValues: { Status: 'Archived', LifecycleTransition: LifecycleTransition.ARCHIVE, archiveAfterDays: 90 },
+    }));
+  });
+
+  it('should not auto-open or archive without migration 040 and archiving enabled', async () => {
+    config.lifecycle.archiveAfterDays = 0;
+    mockQueries((text) => {
+      if (text.includes('COL_LENGTH')) return { recordset: [{ Supported: 0 }] };
+      return null;
+    });
+
+    await processor.processLifecycle();
+
+    expect(queries.some(({ text }) => text.includes('AutoPublish = 1'))).toBe(false);
+    expect(queries.some(({ text }) => text.includes("SET Status = 'Archived'"))).toBe(false);
+    const closeQuery = queries.find(({ text }) => text.includes("SET Status = 'Closed'"));
+    expect(closeQuery.text).not.toContain('ClosedAt');
+  });
+
+  it('should notify the assigned admins when notifications are enabled', async () => {
+    config.lifecycle.notifyAdmins = true;
+    emailService.sendEventLifecycleNotification.mockResolvedValue({ success: true });
+    mockQueries((text) => {
+      if (text.includes('COL_LENGTH')) return { recordset: [{ Supported: 1 }] };
+      if (text.includes("SET Status = 'Closed'")) return { recordset: [{ SurveyId: 'survey-2', Title: 'Closed event' }] };
+      if (text.includes('FROM Users u')) {
+        return { recordset: [{ Email: 'admin@example.com', DisplayName: 'Admin Event' }] };
+      }
+      return null;
+    });
+
+    await processor.processLifecycle();
+
+    expect(emailService.sendEventLifecycleNotification).toHaveBeenCalledWith(expect.objectContaining({
+      recipientEmail: 'admin@example.com',
+      surveyId: 'survey-2',
+      transition: LifecycleTransition.CLOSE,
+      newStatus: 'Closed',
+    }));
+  });
+});
@@ -0,0 +1,133 @@
+const { InvitationService } = require('../invitationService');
+const db = require('../../database/connection');
+const config = require('../../config');
+
+jest.mock('../../database/connection');
+
+describe('InvitationService', () => {
+  let invitationService;
+  let mockRequest;
+  let mockPool;
+
+  beforeEach(() => {
+    invitationService = new InvitationService();
+
+    mockRequest = {
+      input: jest.fn().mockReturnThis(),
+      query: jest.fn()
+    };
+    mockPool = {
+      request: jest.fn().mockReturnValue(mockRequest)
+    };
+    db.getPool.mockResolvedValue(mockPool);
+    config.publicSurveyBaseUrl = 'http://localhost:3000';
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('generateToken', () => {
+    it('should generate unique url-safe tokens', () => {
+      const tokens = new Set(Array.from({ length: 50 }, () => invitationService.generateToken()));
+
+      expect(tokens.size).toBe(50);
+      tokens.forEach((token) => expect(invitationService.isValidToken(token)).toBe(true));
+    });
+
+    it('should build a personal survey link', () => {
+      expect(invitationService.buildInvitationLink('survey-1', 'Ab_-cdefghijklmnopqrstuvwxyz0123'))
+        .toBe('http://localhost:3000/survey/survey-1?invite=Ab_-cdefghijklmnopqrstuvwxyz0123');
+    });
+  });
+
+  describe('issueInvitations', () => {
+    it('should issue one invitation per distinct email', async () => {
+      mockRequest.query.mockImplementation(async () => ({
+        recordset: [{
+          InvitationId: 'inv-1',
+          SurveyId: 'survey-1',
+          Token: 'existing-token',
+          RecipientEmail: 'user@example.com',
+          RecipientName: 'User',
+          DepartmentId: 'dept-1',
+          Status: 'Opened'
+        }]
+      }));
+
+      const invitations = await invitationService.issueInvitations(null, 'survey-1', [
+        { email: 'User@Example.com', name: 'User' },
+        { email: 'user@example.com', name: 'User again' }
+      ]);
+
+      expect(mockRequest.query).toHaveBeenCalledTimes(1);
+      expect(mockRequest.input).toHaveBeenCalledWith('email', expect.anything(), 'user@example.com');
+      expect(mockRequest.query.mock.calls[0][0]).toContain('IF NOT EXISTS');
+      expect(invitations.get('user@example.com')).toEqual(expect.objectContaining({
+        invitationId: 'inv-1',
+        token: 'existing-token',
+        departmentId: 'dept-1',
+        status: 'Opened'
+      }));
+    });
+  });
+
+  describe('findByToken', () => {
+    it('should ignore malformed tokens without querying', async () => {
+      const result = await invitationService.findByToken(null, "abc'; --");
+
+      expect(result).toBeNull();
+      expect(mockRequest.query).not.toHaveBeenCalled();
+    });
+
+    it('should return null when invitations are not migrated', async () => {
+      mockRequest.query.mockResolvedValueOnce({ recordset: [{ TableCnt: 0, ColumnCnt: 0 }] });
+
+      const result = await invitationService.findByToken(null, invitationService.generateToken());
+
+      expect(result).toBeNull();
+      expect(mockRequest.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('openInvitation', () => {
+    it('should mark a sent invitation opened', async () => {
+      invitationService.supportCache = true;
+      mockRequest.query
+        .mockResolvedValueOnce({
+          recordset: [{ InvitationId: 'inv-1', SurveyId: 'survey-1', Token: 't', RecipientEmail: 'a@b.co', Status: 'Sent' }]
+        })
+        .mockResolvedValueOnce({ rowsAffected: [1] });
+
+      const invitation = await invitationService.openInvitation(null, invitationService.generateToken());
+
+      expect(invitation.status).toBe('Opened');
+      expect(mockRequest.query.mock.calls[1][0]).toContain("SET Status = 'Opened'");
+    });
+
+    it('should not reopen a completed invitation', async () => {
+      invitationService.supportCache = true;
+      mockRequest.query.mockResolvedValueOnce({
+        recordset: [{ InvitationId: 'inv-1', SurveyId: 'survey-1', Token: 't', RecipientEmail: 'a@b.co', Status: 'Completed' }]
+      });
+
+      const invitation = await invitationService.openInvitation(null, invitationService.generateToken());
+
+      expect(invitation.status).toBe('Completed');
+      expect(mockRequest.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('markCompleted', () => {
+    it('should complete the invitation and link the submitted responses', async () => {
+      mockRequest.query.mockResolvedValueOnce({ rowsAffected: [1, 2] });
+
+      await invitationService.markCompleted(null, 'inv-1', ['resp-1', 'resp-2']);
+
+      const query = mockRequest.query.mock.calls[0][0];
+      expect(query).toContain("SET Status = 'Completed'");
+      expect(query).toContain('WHERE ResponseId IN (@resp0, @resp1)');
+      expect(mockRequest.input).toHaveBeenCalledWith('resp1', expect.anything(), 'resp-2');
+    });
+  });
+});
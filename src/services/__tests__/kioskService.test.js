@@ -0,0 +1,114 @@
+const kioskService = require('../kioskService');
+const db = require('../../database/connection');
+const { KioskDeviceError } = require('../response-service/errors');
+const { ValidationError } = require('../survey-service/errors');
+
+jest.mock('../../database/connection');
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('KioskService', () => {
+  let queries;
+
+  const mockPool = (handler) => {
+    db.getPool.mockResolvedValue({
+      request: jest.fn(() => {
+        const request = {
+          inputs: {},
+          input: jest.fn((name, type, value) => {
+            request.inputs[name] = value;
+            return request;
+          }),
+          query: jest.fn(async (text) => {
+            queries.push({ text, inputs: request.inputs });
+            return handler(text, request.inputs);
+          })
+        };
+        return request;
+      })
+    });
+  };
+
+  beforeEach(() => {
+    queries = [];
+    kioskService.supportCache = true;
+  });
+
+  afterEach(() => {
+    kioskService.supportCache = null;
+    jest.clearAllMocks();
+  });
+
+  describe('authenticateDevice', () => {
+    it('looks the device up by token hash and records that it was seen', async () => {
+      const token = kioskService.generateToken();
+      mockPool(() => ({
+        recordset: [{ DeviceId: 'device-1', SurveyId: 'survey-1', DeviceName: 'Booth A', ResetAfterSeconds: 90, IsActive: true }]
+      }));
+
+      const device = await kioskService.authenticateDevice(token);
+
+      expect(device).toEqual(expect.objectContaining({ deviceId: 'device-1', name: 'Booth A', resetAfterSeconds: 90 }));
+      expect(queries[0].text).toContain('SET LastSeenAt = GETDATE()');
+      expect(queries[0].inputs.tokenHash).toBe(kioskService.hashToken(token));
+      expect(queries[0].inputs.tokenHash).not.toBe(token);
+    });
+
+    it('rejects revoked devices', async () => {
+      mockPool(() => ({ recordset: [{ DeviceId: 'device-1', IsActive: false }] }));
+
+      await expect(kioskService.authenticateDevice(kioskService.generateToken()))
+        .rejects.toThrow('This kiosk device has been revoked');
+    });
+
+    it('rejects malformed tokens without querying', async () => {
+      await expect(kioskService.authenticateDevice('not-a-token')).rejects.toBeInstanceOf(KioskDeviceError);
+      expect(queries).toHaveLength(0);
+    });
+  });
+
+  describe('normalizeResetAfterSeconds', () => {
+    it('defaults to a minute and enforces the allowed range', () => {
+      expect(kioskService.normalizeResetAfterSeconds(undefined)).toBe(60);
+      expect(kioskService.normalizeResetAfterSeconds('120')).toBe(120);
+      expect(() => kioskService.normalizeResetAfterSeconds(5)).toThrow(ValidationError);
+    });
+  });
+
+  describe('resolveWindowTime', () => {
+    const now = new Date('2026-10-10T12:00:00.000Z');
+
+    it('uses the capture time within the sync grace period and never a future time', () => {
+      expect(kioskService.resolveWindowTime('2026-10-09T08:00:00.000Z', now)).toEqual(new Date('2026-10-09T08:00:00.000Z'));
+      expect(kioskService.resolveWindowTime('2026-10-11T08:00:00.000Z', now)).toEqual(now);
+      expect(kioskService.resolveWindowTime('2026-09-01T08:00:00.000Z', now)).toEqual(new Date('2026-10-07T12:00:00.000Z'));
+      expect(kioskService.resolveWindowTime('not a date', now)).toEqual(now);
+    });
+  });
+
+  describe('findSubmission', () => {
+    it('returns the responses a synced submission created', async () => {
+      mockPool(() => ({
+        recordset: [{ IdempotencyKey: 'key-12345678', ResponseIds: '["response-1","response-2"]' }]
+      }));
+
+      const submission = await kioskService.findSubmission(null, 'device-1', 'key-12345678');
+
+      expect(submission.responseIds).toEqual(['response-1', 'response-2']);
+      expect(queries[0].inputs).toEqual({ deviceId: 'device-1', idempotencyKey: 'key-12345678' });
+    });
+  });
+
+  describe('revokeDevice', () => {
+    it('throws when the device does not belong to the event', async () => {
+      const surveyId = '123e4567-e89b-12d3-a456-426614174000';
+      mockPool(() => ({ recordset: [], rowsAffected: [0] }));
+
+      await expect(kioskService.revokeDevice(surveyId, 'device-1', 'user-1')).rejects.toThrow('Kiosk device not found');
+      expect(queries.find((entry) => entry.text.includes('UPDATE KioskDevices')).text).toContain('SET IsActive = 0');
+    });
+  });
+});
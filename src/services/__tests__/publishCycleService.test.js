@@ -0,0 +1,129 @@
+const publishCycleService = require('../publishCycleService');
+
+jest.mock('../../database/connection');
+
+describe('PublishCycleService definition versions', () => {
+  let queries;
+  let connection;
+
+  const createConnection = (handler) => ({
+    request: jest.fn(() => {
+      const request = {
+        inputs: {},
+        input: jest.fn((name, type, value) => {
+          request.inputs[name] = value;
+          return request;
+        }),
+        query: jest.fn(async (text) => {
+          queries.push({ text, inputs: request.inputs });
+          return handler(text, request.inputs);
+        })
+      };
+      return request;
+    })
+  });
+
+  beforeEach(() => {
+    queries = [];
+    publishCycleService.supportCache = true;
+    publishCycleService.definitionSupportCache = true;
+    connection = createConnection((text) => {
+      if (text.includes('NextCycle')) return { recordset: [{ NextCycle: 3 }] };
+      if (text.includes('NextVersion')) return { recordset: [{ NextVersion: 5 }] };
+      if (text.includes('INSERT INTO SurveyPublishCycles')) {
+        return { recordset: [{ PublishCycleId: 'cycle-3', SurveyId: 'survey-1', CycleNumber: 3 }] };
+      }
+      if (text.includes('INSERT INTO SurveyDefinitionVersions')) {
+        return { recordset: [{ DefinitionVersionId: 'definition-5', PublishCycleId: 'cycle-3', VersionNumber: 5 }] };
+      }
+      return { recordset: [], rowsAffected: [1] };
+    });
+  });
+
+  afterEach(() => {
+    publishCycleService.supportCache = null;
+    publishCycleService.definitionSupportCache = null;
+  });
+
+  it('freezes the question set when a new cycle starts', async () => {
+    const cycle = await publishCycleService.createCycle(connection, 'survey-1', 'user-1', true);
+
+    expect(cycle.PublishCycleId).toBe('cycle-3');
+    const header = queries.find((entry) => entry.text.includes('INSERT INTO SurveyDefinitionVersions'));
+    expect(header.inputs).toEqual(expect.objectContaining({
+      surveyId: 'survey-1',
+      publishCycleId: 'cycle-3',
+      versionNumber: 5,
+      createdBy: 'user-1'
+    }));
+    const copy = queries.find((entry) => entry.text.includes('INSERT INTO QuestionVersions'));
+    expect(copy.text).toContain('SELECT @definitionVersionId, QuestionId, Type, PromptText');
+    expect(copy.inputs.definitionVersionId).toBe(header.inputs.definitionVersionId);
+  });
+
+  it('keeps earlier definition versions unchanged apart from IsCurrent', async () => {
+    await publishCycleService.snapshotDefinition(connection, 'survey-1', 'cycle-3', null);
+
+    const updates = queries.filter((entry) => entry.text.includes('UPDATE SurveyDefinitionVersions'));
+    expect(updates).toHaveLength(1);
+    expect(updates[0].text).toContain('SET IsCurrent = 0');
+    expect(queries.some((entry) => entry.text.includes('UPDATE QuestionVersions'))).toBe(false);
+  });
+
+  it('reuses the current definition version of the cycle for new answers', async () => {
+    connection = createConnection(() => ({
+      recordset: [{ DefinitionVersionId: 'definition-2', PublishCycleId: 'CYCLE-3' }]
+    }));
+
+    const version = await publishCycleService.ensureDefinitionVersion(connection, 'survey-1', { PublishCycleId: 'cycle-3' });
+
+    expect(version.DefinitionVersionId).toBe('definition-2');
+    expect(queries.some((entry) => entry.text.includes('INSERT INTO'))).toBe(false);
+  });
+
+  it('freezes a version for cycles started before versioning existed', async () => {
+    const version = await publishCycleService.ensureDefinitionVersion(connection, 'survey-1', { PublishCycleId: 'cycle-3' });
+
+    expect(version.DefinitionVersionId).toBe('definition-5');
+    const lock = queries.find((entry) => entry.text.includes('NextVersion'));
+    expect(lock.text).toContain('WITH (UPDLOCK, HOLDLOCK)');
+  });
+
+  it('returns the version a parallel submission created while it waited for the lock', async () => {
+    let locked = false;
+    connection = createConnection((text) => {
+      if (text.includes('NextVersion')) {
+        locked = true;
+        return { recordset: [{ NextVersion: 6 }] };
+      }
+      if (text.includes('IsCurrent = 1') && text.includes('SELECT TOP 1')) {
+        return {
+          recordset: [locked
+            ? { DefinitionVersionId: 'definition-5', PublishCycleId: 'cycle-3' }
+            : { DefinitionVersionId: 'definition-4', PublishCycleId: 'cycle-2' }]
+        };
+      }
+      return { recordset: [], rowsAffected: [1] };
+    });
+
+    const version = await publishCycleService.ensureDefinitionVersion(connection, 'survey-1', { PublishCycleId: 'cycle-3' });
+
+    expect(version.DefinitionVersionId).toBe('definition-5');
+    expect(queries.some((entry) => entry.text.includes('INSERT INTO'))).toBe(false);
+    expect(queries.some((entry) => entry.text.includes('UPDATE SurveyDefinitionVersions'))).toBe(false);
+  });
+
+  it('does nothing for events that were never published', async () => {
+    connection = createConnection(() => ({ recordset: [] }));
+
+    await expect(publishCycleService.refreshDefinitionVersion(connection, 'survey-1', 'user-1')).resolves.toBeNull();
+    expect(queries.some((entry) => entry.text.includes('INSERT INTO'))).toBe(false);
+  });
+
+  it('skips versioning before migration 045', async () => {
+    publishCycleService.definitionSupportCache = false;
+
+    await expect(publishCycleService.snapshotDefinition(connection, 'survey-1', 'cycle-3')).resolves.toBeNull();
+    expect(queries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,196 @@
+const { QuestionBankService } = require('../questionBankService');
+const { buildQuestionBankComparison } = require('../report-service/question-bank');
+const { hasContentChanged, normalizeBankQuestionContent } = require('../survey-service/question-bank');
+const db = require('../../database/connection');
+const sql = require('mssql');
+
+jest.mock('mssql', () => ({
+  Transaction: jest.fn(),
+  Request: jest.fn(),
+  UniqueIdentifier: 'UniqueIdentifier',
+  NVarChar: jest.fn((length) => `NVarChar(${length})`),
+  Int: 'Int',
+  Bit: 'Bit',
+  MAX: 'MAX'
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../database/connection');
+
+describe('QuestionBankService', () => {
+  const bankQuestionId = '11111111-1111-4111-8111-111111111111';
+
+  const bankRow = (overrides) => ({
+    BankQuestionId: bankQuestionId,
+    QuestionKey: 'CSI.OVERALL',
+    Version: 1,
+    Category: 'Overall',
+    Type: 'Rating',
+    PromptText: 'How satisfied are you overall?',
+    Subtitle: null,
+    Options: JSON.stringify({ ratingScale: 5 }),
+    IsCurrent: true,
+    IsActive: true,
+    UsageCount: 2,
+    CreatedAt: new Date('2025-01-01T00:00:00Z'),
+    ...overrides
+  });
+
+  let service;
+  let mockRequest;
+  let queries;
+
+  beforeEach(() => {
+    service = new QuestionBankService();
+    service.bankSupportCache = true;
+    queries = [];
+    mockRequest = {
+      input: jest.fn().mockReturnThis(),
+      query: jest.fn(async (text) => {
+        queries.push(text);
+        if (text.includes('FROM QuestionBank qb')) return { recordset: [bankRow()] };
+        if (text.includes('WHERE BankQuestionId IN')) {
+          return { recordset: [{ BankQuestionId: bankQuestionId, QuestionKey: 'CSI.OVERALL', Type: 'Rating' }] };
+        }
+        return { recordset: [], rowsAffected: [1] };
+      })
+    };
+    const mockTransaction = {
+      begin: jest.fn().mockResolvedValue(),
+      commit: jest.fn().mockResolvedValue(),
+      rollback: jest.fn().mockResolvedValue()
+    };
+    db.getPool.mockResolvedValue({ request: jest.fn().mockReturnValue(mockRequest) });
+    sql.Transaction.mockReturnValue(mockTransaction);
+    sql.Request.mockReturnValue(mockRequest);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('content', () => {
+    it('drops event specific display logic from bank options', () => {
+      const content = normalizeBankQuestionContent({
+        type: 'Rating',
+        promptText: '  Overall satisfaction ',
+        options: { ratingScale: 10, displayLogic: { conditions: [] } }
+      });
+
+      expect(content).toEqual({
+        type: 'Rating',
+        promptText: 'Overall satisfaction',
+        subtitle: null,
+        options: { ratingScale: 10 }
+      });
+    });
+
+    it('rejects hero cover blocks', () => {
+      expect(() => normalizeBankQuestionContent({ type: 'HeroCover', promptText: 'Welcome' }))
+        .toThrow('HeroCover blocks cannot be added to the question bank');
+    });
+
+    it('only treats type, prompt, subtitle and options as content', () => {
+      const current = { type: 'Rating', promptText: 'A', subtitle: null, options: { ratingScale: 5 } };
+
+      expect(hasContentChanged(current, { type: 'Rating', promptText: 'A', subtitle: null, options: { ratingScale: 5 } }))
+        .toBe(false);
+      expect(hasContentChanged(current, { type: 'Rating', promptText: 'A', subtitle: null, options: { ratingScale: 10 } }))
+        .toBe(true);
+    });
+  });
+
+  describe('updateBankQuestion', () => {
+    it('adds a new version when the prompt changes', async () => {
+      await service.updateBankQuestion('csi.overall', { promptText: 'Overall, how satisfied are you?' }, 'user-1');
+
+      expect(queries.some((text) => text.includes('SET IsCurrent = 0'))).toBe(true);
+      expect(queries.some((text) => text.includes('INSERT INTO QuestionBank'))).toBe(true);
+      expect(mockRequest.input).toHaveBeenCalledWith('version', 'Int', 2);
+      expect(mockRequest.input).toHaveBeenCalledWith('questionKey', 'NVarChar(100)', 'CSI.OVERALL');
+    });
+
+    it('updates the category in place', async () => {
+      await service.updateBankQuestion('CSI.OVERALL', { category: 'Satisfaction' }, 'user-1');
+
+      expect(queries.some((text) => text.includes('INSERT INTO QuestionBank'))).toBe(false);
+      expect(mockRequest.input).toHaveBeenCalledWith('category', 'NVarChar(100)', 'Satisfaction');
+    });
+  });
+
+  describe('validateQuestionLinks', () => {
+    it('does not touch the database when no question is linked', async () => {
+      await expect(service.validateQuestionLinks([{ type: 'Rating' }])).resolves.toBe(false);
+      expect(db.getPool).not.toHaveBeenCalled();
+    });
+
+    it('requires the type of the linked bank version', async () => {
+      await expect(service.validateQuestionLinks([{ type: 'Text', bankQuestionId }]))
+        .rejects.toThrow('Question linked to CSI.OVERALL must be of type Rating');
+      await expect(service.validateQuestionLinks([{ type: 'Rating', bankQuestionId }])).resolves.toBe(true);
+    });
+
+    it('reports a missing migration', async () => {
+      service.bankSupportCache = false;
+
+      await expect(service.validateQuestionLinks([{ type: 'Rating', bankQuestionId }]))
+        .rejects.toThrow('Run migration 044 first');
+    });
+  });
+
+  describe('buildQuestionBankComparison', () => {
+    const answer = (overrides) => ({
+      QuestionKey: 'CSI.OVERALL',
+      Category: 'Overall',
+      CurrentPromptText: 'Overall, how satisfied are you?',
+      Version: 1,
+      SurveyId: 'survey-2024',
+      Title: 'CSI 2024',
+      StartDate: new Date('2024-03-01T00:00:00Z'),
+      Type: 'Rating',
+      Options: JSON.stringify({ ratingScale: 5 }),
+      NumericValue: 4,
+      MatrixValues: null,
+      ...overrides
+    });
+
+    it('compares normalised scores per event and year', () => {
+      const comparison = buildQuestionBankComparison([
+        answer({ NumericValue: 4 }),
+        answer({ NumericValue: 5 }),
+        answer({
+          Version: 2,
+          SurveyId: 'survey-2025',
+          Title: 'CSI 2025',
+          StartDate: new Date('2025-03-01T00:00:00Z'),
+          Options: JSON.stringify({ ratingScale: 10 }),
+          NumericValue: 7
+        }),
+        answer({ SurveyId: 'survey-2025', Title: 'CSI 2025', StartDate: new Date('2025-03-01T00:00:00Z'), NumericValue: null })
+      ]);
+
+      expect(comparison.years).toEqual([2024, 2025]);
+      expect(comparison.questions).toHaveLength(1);
+      expect(comparison.questions[0]).toEqual(expect.objectContaining({
+        questionKey: 'CSI.OVERALL',
+        latestScore: 6.67,
+        previousScore: 8.75,
+        change: -2.08
+      }));
+      expect(comparison.questions[0].events).toEqual([
+        { surveyId: 'survey-2024', title: 'CSI 2024', year: 2024, versions: [1], averageScore: 8.75, answerCount: 2 },
+        { surveyId: 'survey-2025', title: 'CSI 2025', year: 2025, versions: [2], averageScore: 6.67, answerCount: 1 }
+      ]);
+      expect(comparison.questions[0].years).toEqual([
+        { year: 2024, averageScore: 8.75, answerCount: 2, eventCount: 1 },
+        { year: 2025, averageScore: 6.67, answerCount: 1, eventCount: 1 }
+      ]);
+    });
+  });
+});
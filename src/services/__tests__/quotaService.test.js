@@ -0,0 +1,140 @@
+const quotaService = require('../quotaService');
+const publishCycleService = require('../publishCycleService');
+const db = require('../../database/connection');
+const { QuotaReachedError } = require('../response-service/errors');
+const { ValidationError } = require('../survey-service/errors');
+const { findExceededQuota, normalizeQuotas } = require('../survey-service/quotas');
+
+jest.mock('../../database/connection');
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const APP_ID = '11111111-1111-1111-1111-111111111111';
+const DEPT_ID = '22222222-2222-2222-2222-222222222222';
+
+describe('QuotaService', () => {
+  afterEach(() => {
+    quotaService.quotaSupportCache = null;
+    quotaService.approvalStatusCache = null;
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeQuotas', () => {
+    it('normalizes segment IDs and limits', () => {
+      expect(normalizeQuotas([
+        { segmentType: 'Application', segmentId: APP_ID.toUpperCase(), maxResponses: '30' }
+      ])).toEqual([{ segmentType: 'Application', segmentId: APP_ID, maxResponses: 30 }]);
+    });
+
+    it('rejects unknown segment types, bad limits and duplicates', () => {
+      expect(() => normalizeQuotas([{ segmentType: 'Function', segmentId: APP_ID, maxResponses: 1 }]))
+        .toThrow(ValidationError);
+      expect(() => normalizeQuotas([{ segmentType: 'Application', segmentId: APP_ID, maxResponses: 0 }]))
+        .toThrow('quotas[0].maxResponses');
+      expect(() => normalizeQuotas([
+        { segmentType: 'Application', segmentId: APP_ID, maxResponses: 5 },
+        { segmentType: 'Application', segmentId: APP_ID.toUpperCase(), maxResponses: 10 }
+      ])).toThrow('has more than one quota');
+    });
+  });
+
+  describe('findExceededQuota', () => {
+    const quota = {
+      quotaId: 'quota-1', segmentType: 'Application', segmentId: APP_ID, maxResponses: 30, responseCount: 29
+    };
+
+    it('allows the submission that takes the last place', () => {
+      expect(findExceededQuota([quota], [{ applicationId: APP_ID }])).toBeNull();
+    });
+
+    it('counts every response of a submission against the quota', () => {
+      expect(findExceededQuota([quota], [{ applicationId: APP_ID }, { applicationId: APP_ID }])).toBe(quota);
+    });
+
+    it('ignores quotas of other segments', () => {
+      expect(findExceededQuota([{ ...quota, responseCount: 30 }], [{ applicationId: DEPT_ID }])).toBeNull();
+    });
+  });
+
+  describe('assertQuotaAvailable', () => {
+    it('rejects submissions for a full segment with a friendly message', async () => {
+      quotaService.quotaSupportCache = true;
+      jest.spyOn(quotaService, 'loadQuotaProgress').mockResolvedValue([{
+        quotaId: 'quota-1',
+        segmentType: 'Department',
+        segmentId: DEPT_ID,
+        segmentName: 'Finance',
+        maxResponses: 10,
+        responseCount: 10
+      }]);
+
+      const error = await quotaService
+        .assertQuotaAvailable({}, 'survey-1', [{ departmentId: DEPT_ID, applicationId: APP_ID }])
+        .catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(QuotaReachedError);
+      expect(error.message).toContain('department Finance has been reached');
+      expect(quotaService.loadQuotaProgress).toHaveBeenCalledWith({}, 'survey-1', { lock: true });
+    });
+
+    it('skips the check before migration 046', async () => {
+      quotaService.quotaSupportCache = false;
+      const loadSpy = jest.spyOn(quotaService, 'loadQuotaProgress');
+
+      await expect(quotaService.assertQuotaAvailable({}, 'survey-1', [{ applicationId: APP_ID }])).resolves.toBeUndefined();
+      expect(loadSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('loadQuotaProgress', () => {
+    it('counts current-cycle responses that were not rejected', async () => {
+      const queries = [];
+      const connection = {
+        request: jest.fn(() => {
+          const request = {
+            input: jest.fn(() => request),
+            query: jest.fn(async (text) => {
+              queries.push(text);
+              if (text.includes('COL_LENGTH')) return { recordset: [{ HasColumn: 1 }] };
+              return {
+                recordset: [{
+                  QuotaId: 'quota-1', SegmentType: 'Application', SegmentId: APP_ID,
+                  SegmentName: 'SAP', MaxResponses: 4, ResponseCount: 3
+                }]
+              };
+            })
+          };
+          return request;
+        })
+      };
+      jest.spyOn(publishCycleService, 'getCurrentCycle').mockResolvedValue({ PublishCycleId: 'cycle-2' });
+
+      const quotas = await quotaService.loadQuotaProgress(connection, 'survey-1', { lock: true });
+
+      expect(quotas).toEqual([expect.objectContaining({
+        segmentName: 'SAP', responseCount: 3, remaining: 1, percentage: 75, isFull: false
+      })]);
+      const progressQuery = queries.find((text) => text.includes('FROM EventResponseQuotas'));
+      expect(progressQuery).toContain('r.PublishCycleId = @publishCycleId');
+      expect(progressQuery).toContain("<> 'RejectedByAdmin'");
+      expect(progressQuery).toContain('WITH (UPDLOCK, HOLDLOCK)');
+    });
+  });
+
+  describe('getFullSegments', () => {
+    it('returns empty sets when quotas are not available', async () => {
+      db.getPool.mockResolvedValue({
+        request: () => ({ query: jest.fn().mockResolvedValue({ recordset: [{ TableCnt: 0 }] }) })
+      });
+
+      const segments = await quotaService.getFullSegments('survey-1');
+
+      expect(segments.Application.size).toBe(0);
+      expect(segments.Department.size).toBe(0);
+      expect(segments.BusinessUnit.size).toBe(0);
+    });
+  });
+});
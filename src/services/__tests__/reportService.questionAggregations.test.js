@@ -0,0 +1,65 @@
+const { buildQuestionAggregations } = require('../report-service/question-aggregations');
+const { buildRatingAnswerCondition, classifyNpsScore } = require('../survey-service/question-types');
+
+describe('report question aggregations', () => {
+  const row = (overrides) => ({
+    ResponseId: 'response-1',
+    RespondentName: 'Budi',
+    QuestionId: 'q-nps',
+    PromptText: 'How likely are you to recommend us?',
+    QuestionType: 'NPS',
+    TextValue: null,
+    NumericValue: null,
+    MatrixValues: null,
+    ...overrides
+  });
+
+  it('should classify NPS answers and calculate the score', () => {
+    expect([0, 6, 7, 8, 9, 10, 11].map(classifyNpsScore))
+      .toEqual(['Detractor', 'Detractor', 'Passive', 'Passive', 'Promoter', 'Promoter', null]);
+
+    const [nps] = buildQuestionAggregations([
+      row({ NumericValue: 10 }),
+      row({ NumericValue: 9 }),
+      row({ NumericValue: 7 }),
+      row({ NumericValue: 0 })
+    ]);
+
+    expect(nps).toEqual(expect.objectContaining({
+      questionType: 'NPS',
+      answerCount: 4,
+      promoters: 2,
+      passives: 1,
+      detractors: 1,
+      npsScore: 25
+    }));
+  });
+
+  it('should summarise numeric, ranking and file answers and skip rating questions', () => {
+    const aggregations = buildQuestionAggregations([
+      row({ QuestionId: 'q-rating', QuestionType: 'Rating', NumericValue: 8 }),
+      row({ QuestionId: 'q-slider', QuestionType: 'Slider', NumericValue: 20 }),
+      row({ QuestionId: 'q-slider', QuestionType: 'Slider', NumericValue: 40 }),
+      row({ QuestionId: 'q-slider', QuestionType: 'Slider', NumericValue: 90 }),
+      row({ QuestionId: 'q-rank', QuestionType: 'Ranking', MatrixValues: JSON.stringify({ SAP: 1, Email: 2 }) }),
+      row({ QuestionId: 'q-rank', QuestionType: 'Ranking', MatrixValues: JSON.stringify({ SAP: 2, Email: 1 }) }),
+      row({ QuestionId: 'q-rank', QuestionType: 'Ranking', MatrixValues: JSON.stringify({ SAP: 1, Email: 2 }) }),
+      row({ QuestionId: 'q-file', QuestionType: 'FileUpload', TextValue: '/uploads/responses/1-a.pdf' })
+    ]);
+
+    expect(aggregations.map((entry) => entry.questionId)).toEqual(['q-slider', 'q-rank', 'q-file']);
+    expect(aggregations[0]).toEqual(expect.objectContaining({ answerCount: 3, average: 50, median: 40, min: 20, max: 90 }));
+    expect(aggregations[1].items).toEqual([
+      { item: 'SAP', averageRank: 1.33, firstPlaceCount: 2 },
+      { item: 'Email', averageRank: 1.67, firstPlaceCount: 1 }
+    ]);
+    expect(aggregations[2].files).toEqual([
+      { responseId: 'response-1', respondentName: 'Budi', fileUrl: '/uploads/responses/1-a.pdf' }
+    ]);
+  });
+
+  it('should exclude non-rating numeric answers from rating averages', () => {
+    expect(buildRatingAnswerCondition('qr'))
+      .toBe("NOT EXISTS (SELECT 1 FROM Questions nq WHERE nq.QuestionId = qr.QuestionId AND nq.Type IN ('NPS', 'Slider', 'Numeric'))");
+  });
+});
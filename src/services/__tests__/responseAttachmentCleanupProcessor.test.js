@@ -0,0 +1,115 @@
+jest.mock('mssql', () => ({
+  NVarChar: jest.fn(() => 'NVarChar'),
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../database/connection');
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+
+const config = require('../../config');
+const db = require('../../database/connection');
+const { ResponseAttachmentCleanupProcessor } = require('../responseAttachmentCleanupProcessor');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('ResponseAttachmentCleanupProcessor', () => {
+  const originalUpload = config.upload;
+  const originalCleanup = config.attachmentCleanup;
+
+  let processor;
+  let uploadDir;
+  let queries;
+  let referenced;
+
+  function attachmentName(hoursAgo, suffix) {
+    return `${Date.now() - hoursAgo * HOUR_MS}-${suffix.padEnd(16, '0')}.pdf`;
+  }
+
+  async function storeFiles(filenames) {
+    const directory = path.join(uploadDir, 'responses');
+    await fs.mkdir(directory, { recursive: true });
+    await Promise.all(filenames.map((filename) => fs.writeFile(path.join(directory, filename), 'file')));
+  }
+
+  async function storedFiles() {
+    return (await fs.readdir(path.join(uploadDir, 'responses'))).sort();
+  }
+
+  function createRequest() {
+    const request = {
+      inputs: {},
+      input: jest.fn((name, type, value) => {
+        request.inputs[name] = value;
+        return request;
+      }),
+      query: jest.fn(async (text) => {
+        queries.push({ text, inputs: request.inputs });
+        return {
+          recordset: Object.values(request.inputs)
+            .filter((filename) => referenced.includes(filename))
+            .map((filename) => ({ FileName: filename })),
+        };
+      }),
+    };
+    return request;
+  }
+
+  beforeEach(async () => {
+    processor = new ResponseAttachmentCleanupProcessor();
+    queries = [];
+    referenced = [];
+    uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'attachment-cleanup-'));
+    config.upload = { ...originalUpload, directory: uploadDir };
+    config.attachmentCleanup = { ...originalCleanup, orphanHours: 48 };
+    db.getPool = jest.fn().mockResolvedValue({ request: jest.fn(() => createRequest()) });
+  });
+
+  afterEach(async () => {
+    config.upload = originalUpload;
+    config.attachmentCleanup = originalCleanup;
+    await fs.rm(uploadDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  it('should delete expired attachments that no answer or draft refers to', async () => {
+    const orphan = attachmentName(72, 'a1');
+    const submitted = attachmentName(72, 'b2');
+    const recent = attachmentName(1, 'c3');
+    await storeFiles([orphan, submitted, recent, 'README.txt']);
+    referenced = [submitted];
+
+    await expect(processor.cleanupAttachments()).resolves.toEqual({ checked: 2, deleted: 1 });
+
+    expect(await storedFiles()).toEqual([submitted, recent, 'README.txt'].sort());
+    expect(queries).toHaveLength(1);
+    expect(Object.values(queries[0].inputs).sort()).toEqual([orphan, submitted].sort());
+    expect(queries[0].text).toContain("q.Type = 'FileUpload'");
+    expect(queries[0].text).toContain('FROM ResponseDrafts d');
+    expect(queries[0].text).toContain('d.ExpiresAt > GETDATE()');
+  });
+
+  it('should keep uploads younger than the configured TTL', async () => {
+    config.attachmentCleanup = { ...originalCleanup, orphanHours: 96 };
+    const attachment = attachmentName(72, 'a1');
+    await storeFiles([attachment]);
+
+    await expect(processor.cleanupAttachments()).resolves.toEqual({ checked: 0, deleted: 0 });
+
+    expect(await storedFiles()).toEqual([attachment]);
+    expect(db.getPool).not.toHaveBeenCalled();
+  });
+
+  it('should do nothing before the first attachment is uploaded', async () => {
+    await expect(processor.cleanupAttachments()).resolves.toEqual({ checked: 0, deleted: 0 });
+    expect(db.getPool).not.toHaveBeenCalled();
+  });
+});
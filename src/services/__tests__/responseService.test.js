@@ -1,5 +1,13 @@
 const responseService = require('../responseService');
 const pool = require('../../database/connection');
+const quotaService = require('../quotaService');
+const kioskService = require('../kioskService');
+const emailVerificationService = require('../emailVerificationService');
+const publishCycleService = require('../publishCycleService');
+const scoringService = require('../scoringService');
+const auditService = require('../auditService');
+const sql = require('../../database/sql-client');
+const { hashEditToken } = require('../response-service/edit-links');
 
 // Mock the database connection
 jest.mock('../../database/connection', () => ({
@@ -11,6 +19,8 @@ describe('ResponseService', () => {
     jest.clearAllMocks();
     responseService.questionResponsesHasApplicationId = null;
     responseService.questionResponsesHasTakeoutStatus = null;
+    emailVerificationService.supportCache = false;
+    responseService.editLinksSupported = false;
   });
 
   describe('getSurveyForm', () => {
@@ -118,6 +128,16 @@ describe('ResponseService', () => {
   });
 
   describe('getAvailableApplications', () => {
+    const emptySegments = () => ({ BusinessUnit: new Set(), Department: new Set(), Application: new Set() });
+
+    beforeEach(() => {
+      jest.spyOn(quotaService, 'getFullSegments').mockResolvedValue(emptySegments());
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
     it('should return applications for a department', async () => {
       const mockSurveyId = '123e4567-e89b-12d3-a456-426614174000';
       const mockDepartmentId = '223e4567-e89b-12d3-a456-426614174000';
@@ -160,6 +180,40 @@ describe('ResponseService', () => {
       await expect(responseService.getAvailableApplications('survey-id', null))
         .resolves.toEqual([]);
     });
+
+    it('should leave out applications whose quota is reached', async () => {
+      const fullSegments = emptySegments();
+      fullSegments.Application.add('323e4567-e89b-12d3-a456-426614174000');
+      quotaService.getFullSegments.mockResolvedValue(fullSegments);
+      pool.request.mockReturnValue({
+        input: jest.fn().mockReturnThis(),
+        query: jest.fn().mockResolvedValue({
+          recordset: [
+            { ApplicationId: '323E4567-E89B-12D3-A456-426614174000', Code: 'APP001', Name: 'Full' },
+            { ApplicationId: '423e4567-e89b-12d3-a456-426614174000', Code: 'APP002', Name: 'Open' }
+          ]
+        })
+      });
+
+      const result = await responseService.getAvailableApplications('survey-id', null);
+
+      expect(result.map((app) => app.code)).toEqual(['APP002']);
+    });
+
+    it('should close every application when the department quota is reached', async () => {
+      const departmentId = '223e4567-e89b-12d3-a456-426614174000';
+      const fullSegments = emptySegments();
+      fullSegments.Department.add(departmentId);
+      quotaService.getFullSegments.mockResolvedValue(fullSegments);
+      pool.request.mockReturnValue({
+        input: jest.fn().mockReturnThis(),
+        query: jest.fn().mockResolvedValue({
+          recordset: [{ ApplicationId: '423e4567-e89b-12d3-a456-426614174000', Code: 'APP002', Name: 'Open' }]
+        })
+      });
+
+      await expect(responseService.getAvailableApplications('survey-id', departmentId)).resolves.toEqual([]);
+    });
   });
 
   describe('checkDuplicateResponse', () => {
@@ -197,6 +251,25 @@ describe('ResponseService', () => {
       expect(result).toBe(false);
     });
 
+    it('should only count verified responses when asked to', async () => {
+      emailVerificationService.supportCache = true;
+      const mockRequest = {
+        input: jest.fn().mockReturnThis(),
+        query: jest.fn().mockResolvedValue({ recordset: [{ Count: 0 }] })
+      };
+
+      pool.request.mockReturnValue(mockRequest);
+
+      await responseService.checkDuplicateResponse(
+        '123e4567-e89b-12d3-a456-426614174000',
+        'test@example.com',
+        '223e4567-e89b-12d3-a456-426614174000',
+        { verifiedOnly: true }
+      );
+
+      expect(mockRequest.query.mock.calls[mockRequest.query.mock.calls.length - 1][0]).toContain('AND EmailVerified = 1');
+    });
+
     it('should throw ValidationError if required parameters are missing', async () => {
       await expect(responseService.checkDuplicateResponse(null, 'email', 'app-id'))
         .rejects.toThrow('Survey ID is required');
@@ -303,6 +376,56 @@ describe('ResponseService', () => {
       expect(responseService.checkResponseHasValue('Signature', { textValue: '' })).toBeFalsy();
       expect(responseService.checkResponseHasValue('Signature', null)).toBeFalsy();
     });
+
+    it('should validate NPS, Ranking and contact question responses', () => {
+      expect(responseService.checkResponseHasValue('NPS', { numericValue: 0 })).toBeTruthy();
+      expect(responseService.checkResponseHasValue('Slider', { numericValue: '' })).toBeFalsy();
+      expect(responseService.checkResponseHasValue('Ranking', { matrixValues: { SAP: 1 } })).toBeTruthy();
+      expect(responseService.checkResponseHasValue('Email', { textValue: ' ' })).toBeFalsy();
+      expect(responseService.checkResponseHasValue('FileUpload', { textValue: '/uploads/responses/1-a.pdf' })).toBeTruthy();
+    });
+  });
+
+  describe('extractNumericResponseValue', () => {
+    it('should not treat phone numbers or rankings as scores', () => {
+      expect(responseService.extractNumericResponseValue({ numericValue: 0 }, 'NPS')).toBe(0);
+      expect(responseService.extractNumericResponseValue({ textValue: '081234567' }, 'Phone')).toBeNull();
+      expect(responseService.extractNumericResponseValue({ matrixValues: { SAP: 1, Email: 2 } }, 'Ranking')).toBeNull();
+    });
+  });
+
+  describe('validateAnswerValues', () => {
+    const { validateAnswerValues } = require('../response-service/validation');
+    const { ValidationError } = require('../response-service/errors');
+    const question = (type, options = {}) => ({ questionId: 'q1', promptText: 'Question', type, options });
+    const validate = (type, value, options) => () => validateAnswerValues(
+      ValidationError,
+      [question(type, options)],
+      [{ questionId: 'q1', value }]
+    );
+
+    it('should accept well formed answers', () => {
+      expect(validate('NPS', { numericValue: 9 })).not.toThrow();
+      expect(validate('Slider', { numericValue: 25 }, { min: 0, max: 100, step: 5 })).not.toThrow();
+      expect(validate('Numeric', { numericValue: 2.5 }, { allowDecimals: true, min: 0 })).not.toThrow();
+      expect(validate('Email', { textValue: 'user@example.com' })).not.toThrow();
+      expect(validate('Phone', { textValue: '+62 812-3456-789' })).not.toThrow();
+      expect(validate('Ranking', { matrixValues: { SAP: 2, Email: 1 } }, { options: ['SAP', 'Email'] })).not.toThrow();
+      expect(validate('FileUpload', { textValue: 'http://localhost:3000/uploads/responses/1718000000000-0123456789abcdef.pdf' }))
+        .not.toThrow();
+    });
+
+    it('should reject malformed answers', () => {
+      expect(validate('NPS', { numericValue: 11 })).toThrow('must be a whole number between 0 and 10');
+      expect(validate('Slider', { numericValue: 22 }, { min: 0, max: 100, step: 5 })).toThrow('must be a multiple of 5');
+      expect(validate('Numeric', { numericValue: 2.5 }, {})).toThrow('must be a whole number');
+      expect(validate('Numeric', { numericValue: 120 }, { max: 100 })).toThrow('must be at most 100');
+      expect(validate('Email', { textValue: 'not-an-email' })).toThrow('valid email address');
+      expect(validate('Phone', { textValue: 'call me' })).toThrow('valid phone number');
+      expect(validate('Ranking', { matrixValues: { SAP: 1, Email: 1 } }, { options: ['SAP', 'Email'] }))
+        .toThrow('must rank every item exactly once');
+      expect(validate('FileUpload', { textValue: 'https://example.com/malware.exe' })).toThrow('uploaded to this survey');
+    });
   });
 
   describe('validateMandatoryQuestions', () => {
@@ -381,6 +504,183 @@ describe('ResponseService', () => {
       expect(() => responseService.validateMandatoryQuestions(questions, responses))
         .not.toThrow();
     });
+
+    it('should not require questions hidden by display logic', () => {
+      const questions = [
+        {
+          questionId: 'usage-q',
+          type: 'MultipleChoice',
+          promptText: 'Apakah Anda menggunakan aplikasi ini?',
+          isMandatory: true,
+          pageNumber: 1,
+          displayOrder: 1,
+          options: {}
+        },
+        {
+          questionId: 'detail-q',
+          type: 'Text',
+          promptText: 'Jelaskan penggunaan Anda',
+          isMandatory: true,
+          pageNumber: 1,
+          displayOrder: 2,
+          options: {
+            displayLogic: {
+              action: 'show',
+              match: 'all',
+              conditions: [{ source: 'question', sourceQuestionId: 'usage-q', operator: 'equals', values: ['Ya'] }]
+            }
+          }
+        }
+      ];
+
+      expect(() => responseService.validateMandatoryQuestions(questions, [
+        { questionId: 'usage-q', value: { textValue: 'Tidak' } }
+      ])).not.toThrow();
+
+      expect(() => responseService.validateMandatoryQuestions(questions, [
+        { questionId: 'usage-q', value: { textValue: 'Ya' } }
+      ])).toThrow('Jelaskan penggunaan Anda');
+    });
+
+    it('should hide whole pages based on rating range and selected application', () => {
+      const pageLogic = {
+        action: 'hide',
+        match: 'any',
+        conditions: [
+          { source: 'question', sourceQuestionId: 'rating-q', operator: 'between', min: 9, max: 10 },
+          { source: 'application', operator: 'in', values: ['app-hidden'] }
+        ]
+      };
+      const questions = [
+        { questionId: 'rating-q', type: 'Rating', promptText: 'Rating', isMandatory: true, pageNumber: 1, displayOrder: 1, options: {} },
+        { questionId: 'why-q', type: 'Text', promptText: 'Alasan', isMandatory: true, pageNumber: 2, displayOrder: 1, options: { pageDisplayLogic: pageLogic } }
+      ];
+
+      expect(() => responseService.validateMandatoryQuestions(
+        questions,
+        [{ questionId: 'rating-q', value: { numericValue: 9 } }],
+        { selectedApplicationIds: ['app-1'] }
+      )).not.toThrow();
+
+      expect(() => responseService.validateMandatoryQuestions(
+        questions,
+        [{ questionId: 'rating-q', value: { numericValue: 5 } }],
+        { selectedApplicationIds: ['app-hidden'] }
+      )).not.toThrow();
+
+      expect(() => responseService.validateMandatoryQuestions(
+        questions,
+        [{ questionId: 'rating-q', value: { numericValue: 5 } }],
+        { selectedApplicationIds: ['app-1'] }
+      )).toThrow('Alasan');
+    });
+  });
+
+  describe('filterVisibleResponses', () => {
+    it('should drop answers to hidden questions and questions depending on them', () => {
+      const questions = [
+        { questionId: 'usage-q', type: 'MultipleChoice', promptText: 'Pakai?', pageNumber: 1, displayOrder: 1, options: {} },
+        {
+          questionId: 'feature-q',
+          type: 'Checkbox',
+          promptText: 'Fitur',
+          pageNumber: 1,
+          displayOrder: 2,
+          options: {
+            displayLogic: { conditions: [{ sourceQuestionId: 'usage-q', operator: 'equals', values: ['Ya'] }] }
+          }
+        },
+        {
+          questionId: 'feature-rating-q',
+          type: 'Rating',
+          promptText: 'Rating fitur',
+          pageNumber: 1,
+          displayOrder: 3,
+          options: {
+            displayLogic: { conditions: [{ sourceQuestionId: 'feature-q', operator: 'answered' }] }
+          }
+        }
+      ];
+      const responses = [
+        { questionId: 'usage-q', value: { textValue: 'Tidak' } },
+        { questionId: 'feature-q', value: { textValue: 'Laporan, Dashboard' } },
+        { questionId: 'feature-rating-q', value: { numericValue: 8 } }
+      ];
+
+      const visible = responseService.filterVisibleResponses(questions, responses);
+
+      expect(visible.map(item => item.questionId)).toEqual(['usage-q']);
+    });
+  });
+
+  describe('response drafts', () => {
+    const { mergeDraftIntoSubmission } = require('../response-service/drafts');
+
+    it('should merge draft answers with answers sent on final submit', () => {
+      const draft = {
+        respondent: { email: 'draft@example.com' },
+        selectedApplicationIds: ['app-1'],
+        responses: [
+          { questionId: 'Q1', value: { numericValue: 6 } },
+          { questionId: 'q2', value: { textValue: 'Draft answer' } }
+        ]
+      };
+
+      const merged = mergeDraftIntoSubmission(draft, {
+        surveyId: 'survey-1',
+        responses: [{ questionId: 'q1', value: { numericValue: 9 } }]
+      });
+
+      expect(merged.respondent).toEqual({ email: 'draft@example.com' });
+      expect(merged.selectedApplicationIds).toEqual(['app-1']);
+      expect(merged.responses).toEqual([
+        { questionId: 'q1', value: { numericValue: 9 } },
+        { questionId: 'q2', value: { textValue: 'Draft answer' } }
+      ]);
+    });
+
+    it('should reject malformed resume tokens without querying', async () => {
+      await expect(responseService.getDraft('not-a-token'))
+        .rejects.toThrow('Invalid resume token');
+      expect(pool.request).not.toHaveBeenCalled();
+    });
+
+    it('should create a new draft and return a resume token', async () => {
+      const mockRequest = {
+        input: jest.fn().mockReturnThis(),
+        query: jest.fn()
+          .mockResolvedValueOnce({ recordset: [{ SurveyId: 'survey-1', Status: 'Active', EndDate: null }] })
+          .mockResolvedValueOnce({ rowsAffected: [1] })
+      };
+      pool.request.mockReturnValue(mockRequest);
+
+      const result = await responseService.saveDraft({
+        surveyId: '123e4567-e89b-12d3-a456-426614174000',
+        responses: [{ questionId: 'q1', value: { numericValue: 7 } }],
+        currentPage: 2
+      });
+
+      expect(result.resumeToken).toMatch(/^[a-f0-9]{64}$/);
+      expect(result.currentPage).toBe(2);
+      expect(mockRequest.query.mock.calls[1][0]).toContain('INSERT INTO ResponseDrafts');
+      expect(mockRequest.input).not.toHaveBeenCalledWith('tokenHash', expect.anything(), result.resumeToken);
+    });
+
+    it('should fail when updating an expired or submitted draft', async () => {
+      const mockRequest = {
+        input: jest.fn().mockReturnThis(),
+        query: jest.fn()
+          .mockResolvedValueOnce({ recordset: [{ SurveyId: 'survey-1', Status: 'Active', EndDate: null }] })
+          .mockResolvedValueOnce({ rowsAffected: [0] })
+      };
+      pool.request.mockReturnValue(mockRequest);
+
+      await expect(responseService.saveDraft({
+        surveyId: '123e4567-e89b-12d3-a456-426614174000',
+        resumeToken: 'a'.repeat(64),
+        responses: []
+      })).rejects.toThrow('Draft not found or has expired');
+    });
   });
 
   describe('getResponses', () => {
@@ -474,4 +774,380 @@ describe('ResponseService', () => {
         .rejects.toThrow('Survey ID is required');
     });
   });
+
+  describe('submitResponse email verification', () => {
+    const surveyId = '123e4567-e89b-12d3-a456-426614174000';
+    const submission = (overrides = {}) => ({
+      surveyId,
+      respondent: { name: 'Visitor', email: 'visitor@example.com' },
+      selectedApplicationIds: ['223e4567-e89b-12d3-a456-426614174000'],
+      responses: [{ questionId: 'q-1', value: { numericValue: 9 } }],
+      ...overrides
+    });
+
+    beforeEach(() => {
+      jest.spyOn(responseService, 'getSurveyForm').mockResolvedValue({
+        surveyId,
+        duplicatePreventionEnabled: false,
+        emailVerificationRequired: true,
+        questions: [{ questionId: 'q-1', type: 'Rating', isMandatory: false }]
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('rejects submissions without a verified email when the event requires one', async () => {
+      await expect(responseService.submitResponse(submission()))
+        .rejects.toThrow('Please verify your email before submitting this survey');
+    });
+
+    it('asks for an email address before anything else', async () => {
+      await expect(responseService.submitResponse(submission({ respondent: { name: 'Visitor' } })))
+        .rejects.toThrow('Email is required for this survey');
+    });
+  });
+
+  describe('response edit links', () => {
+    const surveyId = '123e4567-e89b-12d3-a456-426614174000';
+    const editToken = 'e'.repeat(43);
+    const keptAppId = '223e4567-e89b-12d3-a456-426614174000';
+    const removedAppId = '323e4567-e89b-12d3-a456-426614174000';
+    let queries;
+
+    const mockQueries = (handler) => {
+      pool.request.mockImplementation(() => {
+        const request = {
+          inputs: {},
+          input: jest.fn((name, type, value) => {
+            request.inputs[name] = value;
+            return request;
+          }),
+          query: jest.fn(async (text) => {
+            queries.push({ text, inputs: request.inputs });
+            return handler(text, request.inputs);
+          })
+        };
+        return request;
+      });
+    };
+
+    const storedRows = [
+      { ResponseId: 'response-1', RespondentName: 'Visitor', RespondentEmail: 'visitor@example.com', ApplicationId: keptAppId, QuestionId: 'q-1', NumericValue: 7 },
+      { ResponseId: 'response-2', RespondentName: 'Visitor', RespondentEmail: 'visitor@example.com', ApplicationId: removedAppId, QuestionId: 'q-1', NumericValue: 7 }
+    ];
+
+    const defaultHandler = (reviewedCnt = 0) => (text) => {
+      if (text.includes('FROM ResponseEditLinks')) {
+        return {
+          recordset: [{
+            EditLinkId: 'link-1',
+            SurveyId: surveyId,
+            ResponseIds: JSON.stringify(['response-1', 'response-2']),
+            RespondentEmail: 'visitor@example.com',
+            RevisionCount: 0
+          }]
+        };
+      }
+      if (text.includes('LEFT JOIN QuestionResponses')) return { recordset: storedRows };
+      if (text.includes('ReviewedCnt')) return { recordset: [{ ResponseCnt: 2, ReviewedCnt: reviewedCnt }] };
+      if (text.includes('OUTPUT INSERTED.RevisionCount')) return { recordset: [{ RevisionCount: 1 }] };
+      return { recordset: [], rowsAffected: [1] };
+    };
+
+    beforeEach(() => {
+      queries = [];
+      responseService.editLinksSupported = true;
+      responseService.responsesHasApprovalStatus = true;
+      jest.spyOn(responseService, 'getSurveyForm').mockResolvedValue({
+        surveyId,
+        endDate: '2026-12-31T00:00:00.000Z',
+        duplicatePreventionEnabled: true,
+        questions: [{ questionId: 'q-1', type: 'Rating', isMandatory: true }]
+      });
+    });
+
+    afterEach(() => {
+      responseService.responsesHasApprovalStatus = null;
+      jest.restoreAllMocks();
+    });
+
+    it('rejects malformed edit tokens without querying', async () => {
+      await expect(responseService.getEditableSubmission('not-a-token'))
+        .rejects.toThrow('Invalid edit token');
+      expect(pool.request).not.toHaveBeenCalled();
+    });
+
+    it('looks the link up by token hash and returns the stored answers', async () => {
+      mockQueries(defaultHandler());
+
+      const submission = await responseService.getEditableSubmission(editToken);
+
+      expect(queries[0].inputs.tokenHash).toBe(hashEditToken(editToken));
+      expect(submission).toEqual(expect.objectContaining({
+        surveyId,
+        selectedApplicationIds: [keptAppId, removedAppId],
+        editableUntil: '2026-12-31T00:00:00.000Z'
+      }));
+      expect(submission.respondent.email).toBe('visitor@example.com');
+      expect(submission.responses).toEqual([
+        { questionId: 'q-1', value: expect.objectContaining({ numericValue: 7 }) }
+      ]);
+    });
+
+    it('locks the submission once an admin started reviewing it', async () => {
+      mockQueries(defaultHandler(1));
+
+      await expect(responseService.getEditableSubmission(editToken)).rejects.toMatchObject({
+        name: 'ResponseLockedError',
+        message: 'This submission is being reviewed and can no longer be changed'
+      });
+      expect(queries.find((entry) => entry.text.includes('ReviewedCnt')).text).toContain("<> 'Submitted'");
+    });
+
+    it('locks the submission once the event has closed', async () => {
+      mockQueries(defaultHandler());
+      const { ValidationError } = require('../response-service/errors');
+      responseService.getSurveyForm.mockRejectedValue(new ValidationError('Survey is not available at this time'));
+
+      await expect(responseService.getEditableSubmission(editToken))
+        .rejects.toMatchObject({ name: 'ResponseLockedError' });
+    });
+
+    it('replaces answers, drops deselected applications and logs the revision', async () => {
+      mockQueries(defaultHandler());
+      const transaction = {
+        _aborted: false,
+        begin: jest.fn().mockResolvedValue(),
+        commit: jest.fn().mockResolvedValue(),
+        rollback: jest.fn().mockResolvedValue(),
+        request: () => pool.request()
+      };
+      jest.spyOn(sql, 'Transaction').mockImplementation(() => transaction);
+      jest.spyOn(publishCycleService, 'ensureCurrentCycle').mockResolvedValue(null);
+      jest.spyOn(publishCycleService, 'ensureDefinitionVersion').mockResolvedValue(null);
+      jest.spyOn(responseService, 'resolveRespondentOrg').mockResolvedValue({});
+      jest.spyOn(responseService, 'hasQuestionResponseApplicationIdColumn').mockResolvedValue(true);
+      const duplicateSpy = jest.spyOn(responseService, 'checkDuplicateResponse');
+      const refreshSpy = jest.spyOn(scoringService, 'refreshScoresForResponses').mockResolvedValue();
+      const updateLogSpy = jest.spyOn(auditService, 'logUpdate').mockResolvedValue();
+      const deleteLogSpy = jest.spyOn(auditService, 'logDelete').mockResolvedValue();
+
+      const result = await responseService.amendResponse(editToken, {
+        respondent: { name: 'Visitor Fixed', email: 'someone-else@example.com' },
+        selectedApplicationIds: [keptAppId],
+        responses: [{ questionId: 'q-1', value: { numericValue: 9 } }]
+      });
+
+      const texts = queries.map((entry) => entry.text);
+      expect(result).toEqual(expect.objectContaining({ responseIds: ['response-1'], revision: 1 }));
+      expect(duplicateSpy).not.toHaveBeenCalled();
+      expect(texts.find((text) => text.includes('ReviewedCnt'))).toContain('UPDLOCK');
+      expect(queries.find((entry) => entry.text.includes('DELETE FROM QuestionResponses')).inputs.responseId).toBe('response-1');
+      expect(queries.find((entry) => entry.text.includes('INSERT INTO QuestionResponses')).inputs.numericValue).toBe(9);
+      expect(queries.find((entry) => entry.text.includes('DELETE FROM Responses')).inputs.responseId).toBe('response-2');
+      expect(queries.find((entry) => entry.text.includes('SET ResponseIds')).inputs.responseIds).toBe('["response-1"]');
+      expect(transaction.commit).toHaveBeenCalled();
+      expect(updateLogSpy).toHaveBeenCalledWith(
+        null, 'respondent', 'Response', 'response-1',
+        expect.objectContaining({ respondentName: 'Visitor' }),
+        expect.objectContaining({ revision: 1, respondentName: 'Visitor Fixed' }),
+        null, undefined
+      );
+      expect(deleteLogSpy).toHaveBeenCalledWith(
+        null, 'respondent', 'Response', 'response-2', expect.objectContaining({ revision: 1 }), null, undefined
+      );
+      // Unapproved answers do not count towards the score
+      expect(refreshSpy).not.toHaveBeenCalled();
+    });
+
+    describe('sendEditLink', () => {
+      const emailService = require('../emailService');
+      const translationService = require('../translationService');
+
+      beforeEach(() => {
+        jest.spyOn(translationService, 'translateEventText').mockImplementation(async (id, locale, text) => text);
+      });
+
+      it('only emails the link to the respondent email of the submission', async () => {
+        mockQueries((text) => {
+          if (text.includes('SET EmailSentAt')) return { recordset: [{ EditLinkId: 'link-1' }], rowsAffected: [1] };
+          if (text.includes('FROM Surveys')) return { recordset: [{ Title: 'Expo', EndDate: null }] };
+          return defaultHandler()(text);
+        });
+        const sendSpy = jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ success: true });
+
+        await expect(responseService.sendEditLink(editToken, 'en')).resolves.toEqual({ sent: true });
+
+        expect(sendSpy).toHaveBeenCalledWith(expect.objectContaining({ to: 'visitor@example.com' }));
+        const mark = queries.find((entry) => entry.text.includes('SET EmailSentAt'));
+        expect(mark.text).toContain('DATEADD(MINUTE, -@cooldownMinutes, GETDATE())');
+        expect(mark.inputs.editLinkId).toBe('link-1');
+      });
+
+      it('refuses when a parallel request already sent the link', async () => {
+        mockQueries((text) => {
+          if (text.includes('SET EmailSentAt')) return { recordset: [], rowsAffected: [0] };
+          if (text.includes('FROM Surveys')) return { recordset: [{ Title: 'Expo', EndDate: null }] };
+          return defaultHandler()(text);
+        });
+        const sendSpy = jest.spyOn(emailService, 'sendEmail');
+
+        await expect(responseService.sendEditLink(editToken)).rejects.toThrow('An edit link was sent recently');
+        expect(sendSpy).not.toHaveBeenCalled();
+      });
+
+      it('refuses submissions without a stored email', async () => {
+        mockQueries((text) => (text.includes('FROM ResponseEditLinks')
+          ? { recordset: [{ EditLinkId: 'link-1', SurveyId: surveyId, ResponseIds: '[]', RespondentEmail: null }] }
+          : defaultHandler()(text)));
+
+        await expect(responseService.sendEditLink(editToken)).rejects.toMatchObject({
+          name: 'ValidationError',
+          message: 'No email address was given with this submission'
+        });
+        expect(queries.find((entry) => entry.text.includes('SET EmailSentAt'))).toBeUndefined();
+      });
+    });
+  });
+
+  describe('submitKioskBatch', () => {
+    const device = { deviceId: 'device-1', surveyId: 'survey-1', name: 'Booth A' };
+    const item = (idempotencyKey) => ({
+      idempotencyKey,
+      capturedAt: '2026-10-01T09:00:00.000Z',
+      respondent: { name: 'Visitor' },
+      selectedApplicationIds: ['app-1'],
+      responses: [{ questionId: 'q-1', value: { numericValue: 9 } }]
+    });
+
+    beforeEach(() => {
+      jest.spyOn(kioskService, 'authenticateDevice').mockResolvedValue(device);
+      jest.spyOn(kioskService, 'markSynced').mockResolvedValue();
+      jest.spyOn(kioskService, 'findSubmission').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('submits new items for the device event with their idempotency key', async () => {
+      const submitSpy = jest.spyOn(responseService, 'submitResponse')
+        .mockResolvedValue({ success: true, responseIds: ['response-1'] });
+
+      const result = await responseService.submitKioskBatch('token', [item('key-00000001')], '10.0.0.5');
+
+      expect(submitSpy).toHaveBeenCalledWith(
+        expect.objectContaining({ surveyId: 'survey-1', selectedApplicationIds: ['app-1'], ipAddress: '10.0.0.5' }),
+        { kiosk: { deviceId: 'device-1', idempotencyKey: 'key-00000001', capturedAt: '2026-10-01T09:00:00.000Z' } }
+      );
+      expect(result.results).toEqual([{ idempotencyKey: 'key-00000001', status: 'accepted', responseIds: ['response-1'] }]);
+      expect(kioskService.markSynced).toHaveBeenCalledWith('device-1');
+    });
+
+    it('does not submit an item twice when the device retries', async () => {
+      kioskService.findSubmission.mockResolvedValue({ idempotencyKey: 'key-00000001', responseIds: ['response-1'] });
+      const submitSpy = jest.spyOn(responseService, 'submitResponse');
+
+      const result = await responseService.submitKioskBatch('token', [item('key-00000001')]);
+
+      expect(submitSpy).not.toHaveBeenCalled();
+      expect(result.results[0]).toEqual({ idempotencyKey: 'key-00000001', status: 'duplicate', responseIds: ['response-1'] });
+    });
+
+    it('reports a concurrent retry that lost the unique key as a duplicate', async () => {
+      const uniqueViolation = Object.assign(new Error('Violation of UNIQUE KEY constraint'), { number: 2627 });
+      jest.spyOn(responseService, 'submitResponse').mockRejectedValue(uniqueViolation);
+      kioskService.findSubmission
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ idempotencyKey: 'key-00000001', responseIds: ['response-1'] });
+
+      const result = await responseService.submitKioskBatch('token', [item('key-00000001')]);
+
+      expect(result.results[0].status).toBe('duplicate');
+    });
+
+    it('separates rejected items from items worth retrying', async () => {
+      const { QuotaReachedError } = require('../response-service/errors');
+      jest.spyOn(responseService, 'submitResponse')
+        .mockRejectedValueOnce(new QuotaReachedError('Quota reached'))
+        .mockRejectedValueOnce(new Error('Connection lost'));
+
+      const result = await responseService.submitKioskBatch('token', [item('key-00000001'), item('key-00000002')]);
+
+      expect(result.results.map((entry) => entry.status)).toEqual(['rejected', 'failed']);
+      expect(result.summary).toEqual({ accepted: 0, duplicate: 0, rejected: 1, failed: 1 });
+    });
+
+    describe('after the event closed', () => {
+      const surveyId = '123e4567-e89b-12d3-a456-426614174000';
+      const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+      beforeEach(() => {
+        kioskService.authenticateDevice.mockResolvedValue({ ...device, surveyId });
+        pool.request.mockImplementation(() => {
+          const request = {
+            input: jest.fn().mockReturnThis(),
+            query: jest.fn(async (text) => {
+              if (text.includes('FROM Events s')) {
+                return {
+                  recordset: [{
+                    SurveyId: surveyId,
+                    Title: 'Booth survey',
+                    Status: 'Closed',
+                    StartDate: daysAgo(10),
+                    EndDate: daysAgo(1),
+                    DuplicatePreventionEnabled: false
+                  }]
+                };
+              }
+              if (text.includes('FROM Questions')) {
+                return { recordset: [{ QuestionId: 'q-1', SurveyId: surveyId, Type: 'Rating', IsMandatory: false, DisplayOrder: 1, Options: null }] };
+              }
+              return { recordset: [], rowsAffected: [1] };
+            })
+          };
+          return request;
+        });
+        jest.spyOn(sql, 'Transaction').mockImplementation(() => ({
+          _aborted: false,
+          begin: jest.fn().mockResolvedValue(),
+          commit: jest.fn().mockResolvedValue(),
+          rollback: jest.fn().mockResolvedValue(),
+          request: () => pool.request()
+        }));
+        jest.spyOn(publishCycleService, 'ensureCurrentCycle').mockResolvedValue(null);
+        jest.spyOn(publishCycleService, 'ensureDefinitionVersion').mockResolvedValue(null);
+        jest.spyOn(quotaService, 'assertQuotaAvailable').mockResolvedValue();
+        jest.spyOn(responseService, 'resolveRespondentOrg').mockResolvedValue({});
+        jest.spyOn(responseService, 'hasQuestionResponseApplicationIdColumn').mockResolvedValue(true);
+        jest.spyOn(responseService, 'hasResponseApprovalStatusColumn').mockResolvedValue(true);
+        jest.spyOn(responseService, 'insertSubmittedResponse').mockResolvedValue('response-1');
+        jest.spyOn(kioskService, 'recordSubmission').mockResolvedValue();
+      });
+
+      it('accepts items captured while the event was open', async () => {
+        const result = await responseService.submitKioskBatch('token', [
+          { ...item('key-00000001'), capturedAt: daysAgo(2.5).toISOString() }
+        ]);
+
+        expect(result.results[0]).toEqual({ idempotencyKey: 'key-00000001', status: 'accepted', responseIds: ['response-1'] });
+        expect(kioskService.recordSubmission).toHaveBeenCalled();
+      });
+
+      it('keeps items captured after the event closed on the device', async () => {
+        const result = await responseService.submitKioskBatch('token', [
+          { ...item('key-00000001'), capturedAt: new Date().toISOString() }
+        ]);
+
+        expect(result.results[0]).toEqual({
+          idempotencyKey: 'key-00000001',
+          status: 'failed',
+          message: 'Survey is not available at this time'
+        });
+        expect(responseService.insertSubmittedResponse).not.toHaveBeenCalled();
+      });
+    });
+  });
 });
@@ -32,6 +32,7 @@ describe('ScheduledOperationsProcessor', () => {
           customSubject: 'Blast Subject',
           customMessage: 'Blast body',
           includeQrCode: true,
+          locale: 'en',
         }),
       };
 
@@ -45,6 +46,7 @@ describe('ScheduledOperationsProcessor', () => {
           customSubject: 'Blast Subject',
           customMessage: 'Blast body',
           includeQrCode: true,
+          locale: 'en',
         },
         emailTemplate: 'survey-invitation',
         customSubject: 'Blast Subject',
@@ -53,6 +55,7 @@ describe('ScheduledOperationsProcessor', () => {
         recipientEmails: ['qa1@example.com', 'qa2@example.com'],
         disableDuplicateCheck: true,
         embedCover: true,
+        locale: 'en',
       });
     });
   });
@@ -82,6 +85,7 @@ describe('ScheduledOperationsProcessor', () => {
         customMessage: 'Reminder body',
         recipientEmails: ['qa3@example.com'],
         embedCover: false,
+        locale: null,
       });
     });
   });
@@ -0,0 +1,176 @@
+const { ScoringService } = require('../scoringService');
+const { calculateScore, normalizeScoringFormula, scoreAnswer } = require('../scoring-service/formula');
+const db = require('../../database/connection');
+const publishCycleService = require('../publishCycleService');
+
+jest.mock('mssql', () => ({
+  UniqueIdentifier: 'UniqueIdentifier',
+  NVarChar: jest.fn((length) => `NVarChar(${length})`),
+  Decimal: jest.fn((precision, scale) => `Decimal(${precision},${scale})`),
+  Int: 'Int',
+  MAX: 'MAX'
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../database/connection');
+jest.mock('../publishCycleService', () => ({
+  getCurrentCycle: jest.fn()
+}));
+
+describe('ScoringService', () => {
+  const surveyId = '11111111-1111-4111-8111-111111111111';
+  const ratingQuestionId = '22222222-2222-4222-8222-222222222222';
+  const matrixQuestionId = '33333333-3333-4333-8333-333333333333';
+
+  const answer = (overrides) => ({
+    responseId: 'response-1',
+    questionId: ratingQuestionId,
+    type: 'Rating',
+    options: JSON.stringify({ ratingScale: 10 }),
+    numericValue: 8,
+    matrixValues: null,
+    applicationId: 'app-1',
+    applicationName: 'SAP',
+    departmentId: 'dept-1',
+    departmentName: 'Finance',
+    ...overrides
+  });
+
+  describe('formula', () => {
+    it('should normalise ratings and matrix rows between their scale minimum and maximum', () => {
+      expect(scoreAnswer(answer({ options: JSON.stringify({ ratingScale: 5 }), numericValue: 4 }))).toBe(7.5);
+      expect(scoreAnswer(answer({
+        type: 'MatrixLikert',
+        options: { scaleMin: 1, scaleMax: 5 },
+        matrixValues: JSON.stringify({ Speed: 5, Stability: 3 })
+      }))).toBe(7.5);
+      expect(scoreAnswer(answer({ numericValue: null }))).toBeNull();
+    });
+
+    it('should count 0 answers and score NPS, Slider and bounded Numeric questions', () => {
+      expect(scoreAnswer(answer({ type: 'NPS', options: null, numericValue: 0 }))).toBe(0);
+      expect(scoreAnswer(answer({ type: 'NPS', options: null, numericValue: 9 }))).toBe(9);
+      expect(scoreAnswer(answer({ type: 'Slider', options: { min: -50, max: 50 }, numericValue: 0 }))).toBe(5);
+      expect(scoreAnswer(answer({
+        type: 'MatrixLikert',
+        options: { scaleMin: 0, scaleMax: 4 },
+        matrixValues: { Speed: 0, Stability: 4 }
+      }))).toBe(5);
+      expect(scoreAnswer(answer({ type: 'Numeric', options: { min: 0, max: 20 }, numericValue: 15 }))).toBe(7.5);
+      expect(scoreAnswer(answer({ type: 'Numeric', options: { min: 0, max: null }, numericValue: 15 }))).toBeNull();
+      expect(scoreAnswer(answer({ type: 'NPS', options: null, numericValue: 'n/a' }))).toBeNull();
+    });
+
+    it('should reject unknown question types and out of range weights', () => {
+      expect(() => normalizeScoringFormula({ includedTypes: ['Text'] }))
+        .toThrow('includedTypes must only contain: Rating, MatrixLikert, NPS, Slider, Numeric');
+      expect(() => normalizeScoringFormula({ questionWeights: { [ratingQuestionId]: -1 } }))
+        .toThrow(`Weight of question ${ratingQuestionId} must be between 0 and 100`);
+    });
+
+    it('should weight questions, skip excluded types and break the score down', () => {
+      const formula = normalizeScoringFormula({
+        includedTypes: ['Rating', 'MatrixLikert'],
+        questionWeights: { [ratingQuestionId.toUpperCase()]: 3 }
+      });
+      const answers = [
+        answer({ numericValue: 10 }),
+        answer({
+          responseId: 'response-2',
+          questionId: matrixQuestionId,
+          type: 'MatrixLikert',
+          options: { scaleMin: 0, scaleMax: 10 },
+          matrixValues: { Speed: 6 },
+          applicationId: 'app-2',
+          applicationName: 'Email',
+          departmentId: 'dept-2',
+          departmentName: 'HR'
+        })
+      ];
+      const functions = new Map([
+        ['app-1', [{ functionId: 'fn-1', functionName: 'ERP' }]],
+        ['app-2', [{ functionId: 'fn-1', functionName: 'ERP' }]]
+      ]);
+
+      const result = calculateScore(answers, formula, functions);
+
+      expect(result.score).toBe(9);
+      expect(result.responseCount).toBe(2);
+      expect(result.byApplication).toEqual([
+        { applicationId: 'app-2', applicationName: 'Email', score: 6, responseCount: 1, answerCount: 1 },
+        { applicationId: 'app-1', applicationName: 'SAP', score: 10, responseCount: 1, answerCount: 1 }
+      ]);
+      expect(result.byFunction).toEqual([
+        { functionId: 'fn-1', functionName: 'ERP', score: 9, responseCount: 2, answerCount: 2 }
+      ]);
+      expect(result.byDepartment.map((entry) => entry.score)).toEqual([10, 6]);
+
+      const ratingOnly = calculateScore(answers, normalizeScoringFormula({ includedTypes: ['Rating'] }), functions);
+      expect(ratingOnly.score).toBe(10);
+    });
+  });
+
+  describe('recalculateEventScore', () => {
+    let service;
+    let mockRequest;
+    let queries;
+
+    beforeEach(() => {
+      service = new ScoringService();
+      queries = [];
+      mockRequest = {
+        input: jest.fn().mockReturnThis(),
+        query: jest.fn(async (text) => {
+          queries.push(text);
+          if (text.includes('INFORMATION_SCHEMA.COLUMNS') || text.includes('sys.tables')) {
+            return { recordset: [{ Cnt: 1, TableCnt: 1 }] };
+          }
+          if (text.includes('FROM EventScoringFormulas')) {
+            return { recordset: [{ Formula: JSON.stringify({ includedTypes: ['Rating'], questionWeights: {} }) }] };
+          }
+          if (text.includes('FROM QuestionResponses qr')) {
+            return {
+              recordset: [
+                { ResponseId: 'response-1', QuestionId: ratingQuestionId, Type: 'Rating', Options: null, NumericValue: 7, ApplicationId: null },
+                { ResponseId: 'response-2', QuestionId: ratingQuestionId, Type: 'Rating', Options: null, NumericValue: 9, ApplicationId: null }
+              ]
+            };
+          }
+          return { recordset: [], rowsAffected: [1] };
+        })
+      };
+      db.getPool = jest.fn().mockResolvedValue({ request: jest.fn().mockReturnValue(mockRequest) });
+      publishCycleService.getCurrentCycle.mockResolvedValue({ PublishCycleId: 'cycle-1' });
+    });
+
+    afterEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('should score ApprovedFinal answers of the current cycle and store CurrentScore', async () => {
+      const score = await service.recalculateEventScore(surveyId);
+
+      expect(score).toBe(7.78);
+      const answersQuery = queries.find((text) => text.includes('FROM QuestionResponses qr'));
+      expect(answersQuery).toContain("r.ResponseApprovalStatus = 'ApprovedFinal'");
+      expect(answersQuery).toContain("qr.TakeoutStatus <> 'TakenOut'");
+      expect(answersQuery).toContain('r.PublishCycleId = @publishCycleId');
+      expect(mockRequest.input).toHaveBeenCalledWith('type0', expect.anything(), 'Rating');
+      expect(mockRequest.input).not.toHaveBeenCalledWith('type1', expect.anything(), 'MatrixLikert');
+      expect(mockRequest.input).toHaveBeenCalledWith('currentScore', expect.anything(), 7.78);
+      expect(queries.some((text) => text.includes('ScoreCalculatedAt = GETDATE()'))).toBe(true);
+    });
+
+    it('should not fail the caller when a refresh fails', async () => {
+      db.getPool.mockRejectedValue(new Error('connection lost'));
+
+      await expect(service.refreshScoresForResponses(['response-1'])).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const { ShortLinkService } = require('../shortLinkService');
+const db = require('../../database/connection');
+const config = require('../../config');
+
+jest.mock('../../database/connection');
+
+describe('ShortLinkService', () => {
+  let shortLinkService;
+  let mockRequest;
+  let mockPool;
+
+  beforeEach(() => {
+    shortLinkService = new ShortLinkService();
+
+    mockRequest = {
+      input: jest.fn().mockReturnThis(),
+      query: jest.fn()
+    };
+    mockPool = {
+      request: jest.fn().mockReturnValue(mockRequest)
+    };
+    db.getPool.mockResolvedValue(mockPool);
+    config.baseUrl = 'http://localhost:3000';
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('generateCode', () => {
+    it('should generate random alphanumeric codes that are not derived from the survey ID', () => {
+      const codes = new Set(Array.from({ length: 50 }, () => shortLinkService.generateCode()));
+
+      expect(codes.size).toBe(50);
+      codes.forEach((code) => expect(code).toMatch(/^[A-Za-z0-9]{10}$/));
+    });
+  });
+
+  describe('createShortLink', () => {
+    it('should reject unknown channels', async () => {
+      await expect(shortLinkService.createShortLink(null, { surveyId: 'survey-1', channel: 'sms' }))
+        .rejects.toThrow('Channel must be one of');
+      expect(mockRequest.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject expiry dates in the past', async () => {
+      await expect(shortLinkService.createShortLink(null, {
+        surveyId: 'survey-1',
+        channel: 'poster',
+        expiresAt: '2000-01-01T00:00:00Z'
+      })).rejects.toThrow('Expiry must be in the future');
+    });
+
+    it('should retry with a new code when the generated code already exists', async () => {
+      const duplicateError = new Error('Violation of UNIQUE KEY constraint');
+      duplicateError.number = 2627;
+      mockRequest.query
+        .mockRejectedValueOnce(duplicateError)
+        .mockResolvedValueOnce({
+          recordset: [{
+            ShortLinkId: 'link-1',
+            SurveyId: 'survey-1',
+            Code: 'Ab3dEf7hJk',
+            Channel: 'email',
+            IsActive: true,
+            HitCount: 0
+          }]
+        });
+
+      const link = await shortLinkService.createShortLink(null, { surveyId: 'survey-1', channel: 'EMAIL' });
+
+      expect(mockRequest.query).toHaveBeenCalledTimes(2);
+      expect(mockRequest.input).toHaveBeenCalledWith('channel', expect.anything(), 'email');
+      expect(link).toEqual(expect.objectContaining({
+        code: 'Ab3dEf7hJk',
+        channel: 'email',
+        url: 'http://localhost:3000/s/Ab3dEf7hJk',
+        isExpired: false
+      }));
+    });
+  });
+
+  describe('resolveShortLink', () => {
+    it('should ignore malformed codes without querying', async () => {
+      const result = await shortLinkService.resolveShortLink(null, "abc'; --");
+
+      expect(result).toBeNull();
+      expect(mockRequest.query).not.toHaveBeenCalled();
+    });
+
+    it('should return null for unknown, inactive or expired codes', async () => {
+      mockRequest.query.mockResolvedValueOnce({ recordset: [] });
+
+      const result = await shortLinkService.resolveShortLink(null, 'Ab3dEf7hJk');
+
+      expect(result).toBeNull();
+      expect(mockRequest.query).toHaveBeenCalledTimes(1);
+      expect(mockRequest.query.mock.calls[0][0]).toContain('ExpiresAt IS NULL OR ExpiresAt > GETDATE()');
+    });
+
+    it('should count the hit and log request details', async () => {
+      mockRequest.query
+        .mockResolvedValueOnce({
+          recordset: [{ ShortLinkId: 'link-1', SurveyId: 'survey-1', Code: 'Ab3dEf7hJk' }]
+        })
+        .mockResolvedValueOnce({ recordset: [] });
+
+      const result = await shortLinkService.resolveShortLink(null, 'Ab3dEf7hJk', {
+        ipAddress: '10.0.0.1',
+        userAgent: 'Mozilla/5.0',
+        referrer: 'https://intranet.local/news'
+      });
+
+      expect(result).toEqual({ shortLinkId: 'link-1', surveyId: 'survey-1', code: 'Ab3dEf7hJk' });
+      const hitQuery = mockRequest.query.mock.calls[1][0];
+      expect(hitQuery).toContain('HitCount = HitCount + 1');
+      expect(hitQuery).toContain('INSERT INTO ShortLinkHits');
+      expect(mockRequest.input).toHaveBeenCalledWith('referrer', expect.anything(), 'https://intranet.local/news');
+    });
+  });
+
+  describe('getShortLinks', () => {
+    it('should summarize hits and responses per channel', async () => {
+      mockRequest.query.mockResolvedValueOnce({
+        recordset: [
+          { ShortLinkId: 'l1', SurveyId: 's1', Code: 'Aaaaaaaaaa', Channel: 'email', IsActive: true, HitCount: 10, ResponseCount: 4 },
+          { ShortLinkId: 'l2', SurveyId: 's1', Code: 'Bbbbbbbbbb', Channel: 'email', IsActive: false, HitCount: 10, ResponseCount: 1 },
+          { ShortLinkId: 'l3', SurveyId: 's1', Code: 'Cccccccccc', Channel: 'qr', IsActive: true, HitCount: 0, ResponseCount: 0 }
+        ]
+      });
+
+      const result = await shortLinkService.getShortLinks(null, 's1');
+
+      expect(result.links).toHaveLength(3);
+      expect(result.channels).toEqual([
+        { channel: 'email', linkCount: 2, hitCount: 20, responseCount: 5, conversionRate: 25 },
+        { channel: 'qr', linkCount: 1, hitCount: 0, responseCount: 0, conversionRate: null }
+      ]);
+    });
+  });
+});
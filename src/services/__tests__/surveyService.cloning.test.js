@@ -0,0 +1,304 @@
+const { SurveyService, ConflictError, NotFoundError } = require('../surveyService');
+const { remapQuestionReferences } = require('../survey-service/cloning');
+const db = require('../../database/connection');
+const fs = require('fs').promises;
+
+jest.mock('mssql', () => ({
+  connect: jest.fn(),
+  close: jest.fn(),
+  Transaction: jest.fn(),
+  Request: jest.fn(),
+  UniqueIdentifier: 'UniqueIdentifier',
+  NVarChar: jest.fn((length) => `NVarChar(${length})`),
+  Int: 'Int',
+  Bit: 'Bit',
+  Decimal: jest.fn(() => 'Decimal'),
+  MAX: 'MAX'
+}));
+
+jest.mock('../../config', () => ({
+  baseUrl: 'http://localhost:3000',
+  upload: {
+    directory: 'uploads',
+    maxFileSizeMB: 10
+  },
+  logging: {
+    level: 'info',
+    file: 'logs/app.log'
+  }
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../database/connection');
+jest.mock('fs', () => ({
+  promises: {
+    access: jest.fn(),
+    mkdir: jest.fn(),
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    unlink: jest.fn()
+  }
+}));
+
+const sql = require('mssql');
+
+describe('SurveyService - Cloning and templates', () => {
+  const sourceSurveyId = '11111111-1111-4111-8111-111111111111';
+  const sourceQuestionA = '22222222-2222-4222-8222-222222222222';
+  const sourceQuestionB = '33333333-3333-4333-8333-333333333333';
+  const newSurveyId = '44444444-4444-4444-8444-444444444444';
+  const userId = '55555555-5555-4555-8555-555555555555';
+
+  let surveyService;
+  let mockPool;
+  let mockRequest;
+  let mockTransaction;
+  let queries;
+
+  function mockSourceSurvey({ questions } = {}) {
+    mockRequest.query.mockImplementation(async (text) => {
+      queries.push(text);
+      if (text.includes('SELECT * FROM Events')) {
+        return {
+          recordset: [{
+            SurveyId: sourceSurveyId,
+            Title: 'CSI 2026',
+            Description: 'Annual survey',
+            EventTypeId: 'type-1',
+            TargetScore: 8,
+            DuplicatePreventionEnabled: true
+          }]
+        };
+      }
+      if (text.includes('FROM EventConfiguration')) {
+        return {
+          recordset: [{
+            HeroTitle: 'Welcome',
+            HeroImageUrl: 'http://localhost:3000/uploads/surveys/hero.png',
+            LogoUrl: 'https://cdn.example.com/logo.png',
+            ShowProgressBar: true,
+            ShowPageNumbers: false,
+            MultiPage: true
+          }]
+        };
+      }
+      if (text.includes('SELECT * FROM Questions')) {
+        return {
+          recordset: questions || [
+            {
+              QuestionId: sourceQuestionA,
+              Type: 'Rating',
+              PromptText: 'How satisfied are you?',
+              IsMandatory: true,
+              DisplayOrder: 1,
+              PageNumber: 1,
+              Options: JSON.stringify({ ratingScale: 10 })
+            },
+            {
+              QuestionId: sourceQuestionB,
+              Type: 'Text',
+              PromptText: 'Why?',
+              ImageUrl: 'http://localhost:3000/uploads/questions/why.jpg',
+              IsMandatory: false,
+              DisplayOrder: 2,
+              PageNumber: 1,
+              Options: JSON.stringify({
+                displayLogic: {
+                  action: 'show',
+                  match: 'all',
+                  conditions: [{ source: 'question', sourceQuestionId: sourceQuestionA, operator: 'lte', value: 6 }]
+                }
+              })
+            }
+          ]
+        };
+      }
+      if (text.includes('FROM EventAdminAssignments')) {
+        return { recordset: [{ AdminUserId: 'admin-1' }] };
+      }
+      if (text.includes('INSERT INTO Events')) {
+        return { recordset: [{ SurveyId: newSurveyId, Title: 'CSI 2027', Status: 'Draft' }] };
+      }
+      if (text.includes('INSERT INTO EventConfiguration')) {
+        return { recordset: [{ SurveyId: newSurveyId }] };
+      }
+      if (text.includes('sys.tables')) {
+        return { recordset: [{ TableCnt: 1 }] };
+      }
+      if (text.includes('INSERT INTO SurveyTemplates')) {
+        return { recordset: [{ TemplateId: 'template-1', Name: 'CSI', QuestionCount: 2, CreatedAt: new Date() }] };
+      }
+      return { recordset: [], rowsAffected: [1] };
+    });
+  }
+
+  function questionInsertInputs() {
+    return mockRequest.input.mock.calls
+      .filter(([name]) => name === 'questionId' || name === 'options' || name === 'imageUrl');
+  }
+
+  beforeEach(() => {
+    surveyService = new SurveyService();
+    queries = [];
+
+    mockRequest = {
+      input: jest.fn().mockReturnThis(),
+      query: jest.fn()
+    };
+
+    mockTransaction = {
+      begin: jest.fn().mockResolvedValue(undefined),
+      commit: jest.fn().mockResolvedValue(undefined),
+      rollback: jest.fn().mockResolvedValue(undefined),
+      request: jest.fn().mockReturnValue(mockRequest)
+    };
+
+    mockPool = {
+      request: jest.fn().mockReturnValue(mockRequest)
+    };
+
+    db.getPool = jest.fn().mockResolvedValue(mockPool);
+    sql.Transaction.mockReturnValue(mockTransaction);
+    sql.Request.mockReturnValue(mockRequest);
+
+    fs.access.mockResolvedValue(undefined);
+    fs.readFile.mockResolvedValue(Buffer.from('image'));
+    fs.writeFile.mockResolvedValue(undefined);
+    fs.unlink.mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('remapQuestionReferences', () => {
+    it('should point display logic and conditional required rules at the new questions', () => {
+      const questionIdMap = new Map([
+        [sourceQuestionA.toLowerCase(), 'new-a'],
+        [sourceQuestionB.toLowerCase(), 'new-b']
+      ]);
+
+      const options = remapQuestionReferences({
+        displayLogic: {
+          action: 'show',
+          match: 'any',
+          conditions: [
+            { source: 'question', sourceQuestionId: sourceQuestionA.toUpperCase(), operator: 'answered' },
+            { source: 'application', operator: 'in', values: ['app-1'] }
+          ]
+        },
+        pageDisplayLogic: {
+          action: 'hide',
+          match: 'all',
+          conditions: [{ source: 'question', sourceQuestionId: `q-${sourceQuestionB}`, operator: 'equals', value: 'x' }]
+        },
+        conditionalRequired: { sourceElementId: `q-${sourceQuestionA}`, threshold: 6 },
+        choices: ['A', 'B']
+      }, questionIdMap);
+
+      expect(options.displayLogic.conditions[0].sourceQuestionId).toBe('new-a');
+      expect(options.displayLogic.conditions[1]).toEqual({ source: 'application', operator: 'in', values: ['app-1'] });
+      expect(options.pageDisplayLogic.conditions[0].sourceQuestionId).toBe('q-new-b');
+      expect(options.conditionalRequired).toEqual({ sourceElementId: 'q-new-a', threshold: 6 });
+      expect(options.choices).toEqual(['A', 'B']);
+    });
+  });
+
+  describe('cloneSurvey', () => {
+    it('should create a draft copy with new question IDs and copied images', async () => {
+      mockSourceSurvey();
+
+      const result = await surveyService.cloneSurvey(sourceSurveyId, { title: 'CSI 2027', createdBy: userId });
+
+      expect(result).toEqual(expect.objectContaining({ SurveyId: newSurveyId, questionCount: 2 }));
+      expect(mockTransaction.commit).toHaveBeenCalled();
+      expect(mockRequest.input).toHaveBeenCalledWith('status', expect.anything(), 'Draft');
+      expect(mockRequest.input).toHaveBeenCalledWith('eventTypeId', expect.anything(), 'type-1');
+      expect(mockRequest.input).toHaveBeenCalledWith('adminUserId', expect.anything(), 'admin-1');
+
+      // Local uploads are duplicated, external URLs are kept
+      expect(fs.readFile).toHaveBeenCalledTimes(2);
+      expect(fs.writeFile).toHaveBeenCalledTimes(2);
+      const heroImageUrl = mockRequest.input.mock.calls.find(([name]) => name === 'heroImageUrl')[2];
+      expect(heroImageUrl).toMatch(/^http:\/\/localhost:3000\/uploads\/surveys\/\d+-[0-9a-f]+\.png$/);
+      expect(mockRequest.input).toHaveBeenCalledWith('logoUrl', expect.anything(), 'https://cdn.example.com/logo.png');
+
+      const inputs = questionInsertInputs();
+      const [newQuestionA, newQuestionB] = inputs.filter(([name]) => name === 'questionId').map(([, , value]) => value);
+      expect(newQuestionA).not.toBe(sourceQuestionA);
+      expect(newQuestionB).not.toBe(sourceQuestionB);
+
+      const copiedOptions = JSON.parse(inputs.filter(([name]) => name === 'options')[1][2]);
+      expect(copiedOptions.displayLogic.conditions[0].sourceQuestionId).toBe(newQuestionA);
+
+      const copiedQuestionImage = inputs.filter(([name]) => name === 'imageUrl')[1][2];
+      expect(copiedQuestionImage).toMatch(/\/uploads\/questions\/\d+-[0-9a-f]+\.jpg$/);
+    });
+
+    it('should default the title and keep the cloning Admin Event assigned', async () => {
+      mockSourceSurvey({ questions: [] });
+
+      await surveyService.cloneSurvey(sourceSurveyId, { createdBy: userId, ownerAdminId: userId });
+
+      expect(mockRequest.input).toHaveBeenCalledWith('title', expect.anything(), 'CSI 2026 (Copy)');
+      expect(mockRequest.input).toHaveBeenCalledWith('adminUserId', expect.anything(), 'admin-1');
+      expect(mockRequest.input).toHaveBeenCalledWith('adminUserId', expect.anything(), userId);
+    });
+
+    it('should remove copied files when the copy cannot be saved', async () => {
+      mockSourceSurvey();
+      const insertQuestions = mockRequest.query.getMockImplementation();
+      mockRequest.query.mockImplementation(async (text) => {
+        if (text.includes('INSERT INTO Questions')) {
+          throw new Error('insert failed');
+        }
+        return insertQuestions(text);
+      });
+
+      await expect(surveyService.cloneSurvey(sourceSurveyId, { createdBy: userId }))
+        .rejects.toThrow('insert failed');
+
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+      expect(fs.unlink).toHaveBeenCalledTimes(2);
+    });
+
+    it('should throw NotFoundError when the source event does not exist', async () => {
+      mockRequest.query.mockResolvedValue({ recordset: [] });
+
+      await expect(surveyService.cloneSurvey(sourceSurveyId, { createdBy: userId }))
+        .rejects.toThrow(NotFoundError);
+      expect(sql.Transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('templates', () => {
+    it('should refuse template operations before migration 038', async () => {
+      mockRequest.query.mockResolvedValueOnce({ recordset: [{ TableCnt: 0 }] });
+
+      await expect(surveyService.getTemplates()).rejects.toThrow(ConflictError);
+    });
+
+    it('should save the snapshot without admin assignments and copy images into the templates folder', async () => {
+      mockSourceSurvey();
+
+      const template = await surveyService.saveSurveyAsTemplate(sourceSurveyId, { createdBy: userId });
+
+      expect(template.templateId).toBe('template-1');
+      expect(mockRequest.input).toHaveBeenCalledWith('name', expect.anything(), 'CSI 2026');
+      expect(mockRequest.input).toHaveBeenCalledWith('eventTypeId', expect.anything(), 'type-1');
+
+      const content = JSON.parse(mockRequest.input.mock.calls.find(([name]) => name === 'content')[2]);
+      expect(content.assignedAdminIds).toBeUndefined();
+      expect(content.survey.assignedAdminId).toBeNull();
+      expect(content.questions).toHaveLength(2);
+      expect(content.configuration.heroImageUrl).toMatch(/\/uploads\/templates\//);
+      expect(content.questions[1].imageUrl).toMatch(/\/uploads\/templates\//);
+    });
+  });
+});
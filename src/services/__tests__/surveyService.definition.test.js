@@ -0,0 +1,170 @@
+const { SurveyService, ValidationError } = require('../surveyService');
+const { buildSurveyDefinition, prepareSurveyImport } = require('../survey-service/definition');
+const db = require('../../database/connection');
+
+jest.mock('../../database/connection');
+jest.mock('../../config/logger');
+
+describe('SurveyService - Event definition import/export', () => {
+  const sourceQuestionA = '22222222-2222-4222-8222-222222222222';
+  const sourceQuestionB = '33333333-3333-4333-8333-333333333333';
+
+  let surveyService;
+  let mockRequest;
+  let mockPool;
+
+  const snapshot = {
+    survey: {
+      title: 'CSI 2026',
+      description: 'Annual survey',
+      targetScore: 8,
+      duplicatePreventionEnabled: true
+    },
+    configuration: {
+      heroTitle: 'Welcome',
+      heroImageUrl: 'http://office:3000/uploads/surveys/123-abc.png',
+      logoUrl: 'https://cdn.example.com/logo.png'
+    },
+    questions: [
+      {
+        sourceQuestionId: sourceQuestionA.toUpperCase(),
+        type: 'Rating',
+        promptText: 'How satisfied are you?',
+        isMandatory: true,
+        displayOrder: 1,
+        pageNumber: 1,
+        options: { ratingScale: 10 }
+      },
+      {
+        sourceQuestionId: sourceQuestionB,
+        type: 'Text',
+        promptText: 'Why?',
+        displayOrder: 2,
+        pageNumber: 1,
+        options: {
+          displayLogic: {
+            action: 'show',
+            match: 'all',
+            conditions: [{ source: 'question', sourceQuestionId: sourceQuestionA, operator: 'lte', value: 6 }]
+          },
+          conditionalRequired: { sourceElementId: `q-${sourceQuestionA}`, threshold: 6 }
+        }
+      }
+    ]
+  };
+
+  function validators() {
+    return {
+      ValidationError,
+      validateQuestionType: surveyService.validateQuestionType.bind(surveyService),
+      validateLayoutOrientation: surveyService.validateLayoutOrientation.bind(surveyService),
+      validateDisplayLogic: surveyService.validateDisplayLogic.bind(surveyService)
+    };
+  }
+
+  beforeEach(() => {
+    surveyService = new SurveyService();
+
+    mockRequest = {
+      input: jest.fn().mockReturnThis(),
+      query: jest.fn()
+    };
+    mockPool = {
+      request: jest.fn().mockReturnValue(mockRequest)
+    };
+    db.getPool = jest.fn().mockResolvedValue(mockPool);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildSurveyDefinition', () => {
+    it('should export questions with refs, rules and asset references', () => {
+      const definition = buildSurveyDefinition(snapshot, {
+        sourceSurveyId: 'survey-1',
+        eventTypeCode: 'SURVEY',
+        startDate: new Date('2026-01-01T00:00:00Z')
+      });
+
+      expect(definition).toEqual(expect.objectContaining({ format: 'csi-portal/event-definition', version: 1 }));
+      expect(definition.event).toEqual(expect.objectContaining({
+        title: 'CSI 2026',
+        eventTypeCode: 'SURVEY',
+        startDate: '2026-01-01T00:00:00.000Z',
+        endDate: null
+      }));
+      expect(definition.questions[0].ref).toBe(sourceQuestionA);
+      expect(definition.questions[1].options.displayLogic.conditions[0].sourceQuestionId).toBe(sourceQuestionA);
+      expect(definition.assets).toEqual([
+        { url: 'http://office:3000/uploads/surveys/123-abc.png', usage: 'configuration.heroImageUrl', uploaded: true },
+        { url: 'https://cdn.example.com/logo.png', usage: 'configuration.logoUrl', uploaded: false }
+      ]);
+    });
+  });
+
+  describe('prepareSurveyImport', () => {
+    it('should assign new question IDs and remap conditional rules', () => {
+      const prepared = prepareSurveyImport(buildSurveyDefinition(snapshot), validators());
+
+      const [questionA, questionB] = prepared.questions;
+      expect(questionA.newQuestionId).not.toBe(sourceQuestionA);
+      expect(questionB.options.displayLogic.conditions[0].sourceQuestionId).toBe(questionA.newQuestionId);
+      expect(questionB.options.conditionalRequired.sourceElementId).toBe(`q-${questionA.newQuestionId}`);
+    });
+
+    it('should reject unknown formats and invalid question types', () => {
+      expect(() => prepareSurveyImport({ format: 'other', version: 1 }, validators()))
+        .toThrow('Event definition format must be "csi-portal/event-definition"');
+
+      const definition = buildSurveyDefinition(snapshot);
+      definition.questions[0].type = 'Hologram';
+      expect(() => prepareSurveyImport(definition, validators())).toThrow(ValidationError);
+    });
+
+    it('should reject malformed display logic', () => {
+      const definition = buildSurveyDefinition(snapshot);
+      definition.questions[1].options.displayLogic.conditions[0].operator = 'near';
+
+      expect(() => prepareSurveyImport(definition, validators())).toThrow('Display logic operator must be one of');
+    });
+  });
+
+  describe('importSurveyDefinition', () => {
+    it('should save the definition as a draft of the matching event type', async () => {
+      const definition = buildSurveyDefinition(snapshot, {
+        eventTypeCode: 'survey',
+        startDate: '2026-01-01T00:00:00',
+        endDate: '2026-12-31T00:00:00'
+      });
+      mockRequest.query.mockResolvedValueOnce({ recordset: [{ EventTypeId: 'type-1' }] });
+      const saveSurvey = jest.spyOn(surveyService, 'saveSurvey').mockResolvedValue({ SurveyId: 'new-survey', Title: 'CSI 2027' });
+
+      const result = await surveyService.importSurveyDefinition(definition, { title: 'CSI 2027', userId: 'user-1' });
+
+      expect(mockRequest.input).toHaveBeenCalledWith('code', expect.anything(), 'SURVEY');
+      expect(saveSurvey).toHaveBeenCalledWith(expect.objectContaining({
+        title: 'CSI 2027',
+        status: 'Draft',
+        eventTypeId: 'type-1',
+        startDate: '2026-01-01T00:00:00.000Z',
+        userId: 'user-1'
+      }));
+      const savedQuestions = saveSurvey.mock.calls[0][0].questions;
+      expect(savedQuestions).toHaveLength(2);
+      expect(savedQuestions[0].QuestionId).toBeUndefined();
+      expect(result.survey.SurveyId).toBe('new-survey');
+      expect(result.missingAssets.map((asset) => asset.url)).toEqual(['http://office:3000/uploads/surveys/123-abc.png']);
+    });
+
+    it('should reject event types that do not exist in this environment', async () => {
+      const definition = buildSurveyDefinition(snapshot, { eventTypeCode: 'WEBINAR' });
+      mockRequest.query.mockResolvedValueOnce({ recordset: [] });
+      const saveSurvey = jest.spyOn(surveyService, 'saveSurvey');
+
+      await expect(surveyService.importSurveyDefinition(definition, { userId: 'user-1' }))
+        .rejects.toThrow('Event type WEBINAR does not exist in this environment');
+      expect(saveSurvey).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -6,8 +6,13 @@ const config = require('../../config');
 jest.mock('../../database/connection');
 jest.mock('../../config/logger');
 jest.mock('qrcode');
+jest.mock('../shortLinkService', () => ({
+  hasSupport: jest.fn(),
+  getOrCreateChannelLink: jest.fn()
+}));
 
 const QRCode = require('qrcode');
+const shortLinkService = require('../shortLinkService');
 
 describe('SurveyService - Operational Controls', () => {
   let surveyService;
@@ -27,6 +32,7 @@ describe('SurveyService - Operational Controls', () => {
     };
 
     db.getPool.mockResolvedValue(mockPool);
+    shortLinkService.hasSupport.mockResolvedValue(false);
     
     // Mock config
     config.baseUrl = 'http://localhost:3000';
@@ -60,6 +66,12 @@ describe('SurveyService - Operational Controls', () => {
     });
 
     it('should generate survey link with shortening', async () => {
+      shortLinkService.hasSupport.mockResolvedValue(true);
+      shortLinkService.getOrCreateChannelLink.mockResolvedValue({
+        code: 'Xk3pQ9mZ2a',
+        url: 'http://localhost:3000/s/Xk3pQ9mZ2a'
+      });
+
       // Mock survey exists
       mockRequest.query
         .mockResolvedValueOnce({
@@ -67,13 +79,27 @@ describe('SurveyService - Operational Controls', () => {
         })
         .mockResolvedValueOnce({ recordset: [] }); // Update query
 
-      const result = await surveyService.generateSurveyLink(surveyId, true);
+      const result = await surveyService.generateSurveyLink(surveyId, true, 'user-1');
 
       expect(result.surveyLink).toBe(`http://localhost:3001/survey/${surveyId}`);
-      expect(result.shortenedLink).toBe('http://localhost:3000/s/12345678');
+      expect(result.shortenedLink).toBe('http://localhost:3000/s/Xk3pQ9mZ2a');
+      expect(shortLinkService.getOrCreateChannelLink).toHaveBeenCalledWith(mockPool, surveyId, 'direct', 'user-1');
       
       // Verify update was called with shortened link
-      expect(mockRequest.input).toHaveBeenCalledWith('shortenedLink', expect.anything(), 'http://localhost:3000/s/12345678');
+      expect(mockRequest.input).toHaveBeenCalledWith('shortenedLink', expect.anything(), 'http://localhost:3000/s/Xk3pQ9mZ2a');
+    });
+
+    it('should not derive a short link from the survey ID when short links are unavailable', async () => {
+      mockRequest.query
+        .mockResolvedValueOnce({
+          recordset: [{ SurveyId: surveyId, Title: 'Test Survey' }]
+        })
+        .mockResolvedValueOnce({ recordset: [] }); // Update query
+
+      const result = await surveyService.generateSurveyLink(surveyId, true);
+
+      expect(result.shortenedLink).toBeNull();
+      expect(shortLinkService.getOrCreateChannelLink).not.toHaveBeenCalled();
     });
 
     it('should throw NotFoundError if survey does not exist', async () => {
@@ -162,6 +188,32 @@ describe('SurveyService - Operational Controls', () => {
       );
     });
 
+    it('should encode a dedicated QR channel short link when available', async () => {
+      shortLinkService.hasSupport.mockResolvedValue(true);
+      shortLinkService.getOrCreateChannelLink.mockResolvedValue({
+        code: 'Qr7bN4vW8c',
+        url: 'http://localhost:3000/s/Qr7bN4vW8c'
+      });
+
+      mockRequest.query
+        .mockResolvedValueOnce({
+          recordset: [{
+            SurveyId: surveyId,
+            SurveyLink: `http://localhost:3000/survey/${surveyId}`,
+            ShortenedLink: 'http://localhost:3000/s/Xk3pQ9mZ2a'
+          }]
+        })
+        .mockResolvedValueOnce({ recordset: [] }); // Update query
+
+      await surveyService.generateQRCode(surveyId);
+
+      expect(shortLinkService.getOrCreateChannelLink).toHaveBeenCalledWith(mockPool, surveyId, 'qr', null);
+      expect(QRCode.toDataURL).toHaveBeenCalledWith(
+        'http://localhost:3000/s/Qr7bN4vW8c',
+        expect.any(Object)
+      );
+    });
+
     it('should generate link first if no link exists', async () => {
       // Mock survey without link
       mockRequest.query
@@ -4,6 +4,8 @@
 
 const { SurveyService } = require('../surveyService');
 const db = require('../../database/connection');
+const publishCycleService = require('../publishCycleService');
+const sql = require('mssql');
 
 // Mock database
 jest.mock('../../database/connection');
@@ -36,6 +38,9 @@ describe('SurveyService - Signature Question Type', () => {
     };
 
     db.getPool.mockResolvedValue(mockPool);
+    jest.spyOn(sql, 'Transaction').mockReturnValue(mockTransaction);
+    jest.spyOn(sql, 'Request').mockReturnValue(mockRequest);
+    jest.spyOn(publishCycleService, 'refreshDefinitionVersion').mockResolvedValue(null);
   });
 
   afterEach(() => {
@@ -1,5 +1,6 @@
 const { SurveyService, ValidationError, NotFoundError } = require('../surveyService');
 const db = require('../../database/connection');
+const publishCycleService = require('../publishCycleService');
 const sql = require('mssql');
 
 // Mock dependencies
@@ -35,6 +36,7 @@ describe('SurveyService', () => {
     // Mock sql.Transaction
     sql.Transaction = jest.fn().mockReturnValue(mockTransaction);
     sql.Request = jest.fn().mockReturnValue(mockRequest);
+    jest.spyOn(publishCycleService, 'refreshDefinitionVersion').mockResolvedValue(null);
   });
 
   afterEach(() => {
@@ -693,6 +695,43 @@ describe('SurveyService', () => {
 
       expect(mockRequest.input).toHaveBeenCalledWith('displayOrder', expect.anything(), 5);
     });
+
+    it('should add the question and freeze the definition version in one transaction', async () => {
+      mockRequest.query
+        .mockResolvedValueOnce({ recordset: [{ SurveyId: surveyId, Status: 'Draft' }] })
+        .mockResolvedValueOnce({ recordset: [{ NextOrder: 1 }] })
+        .mockResolvedValueOnce({ recordset: [{ QuestionId: '33333333-3333-3333-3333-333333333333', Options: null }] });
+      publishCycleService.refreshDefinitionVersion.mockRejectedValueOnce(new Error('Deadlock'));
+
+      await expect(surveyService.addQuestion(surveyId, validQuestionData)).rejects.toThrow('Deadlock');
+
+      expect(sql.Request).toHaveBeenCalledWith(mockTransaction);
+      expect(publishCycleService.refreshDefinitionVersion)
+        .toHaveBeenCalledWith(mockTransaction, surveyId, validQuestionData.createdBy);
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+      expect(mockTransaction.commit).not.toHaveBeenCalled();
+    });
+
+    it('should reject display logic that depends on a later question', async () => {
+      const laterQuestionId = '44444444-4444-4444-4444-444444444444';
+      mockRequest.query
+        .mockResolvedValueOnce({ recordset: [{ SurveyId: surveyId, Status: 'Draft' }] })
+        .mockResolvedValueOnce({
+          recordset: [{ QuestionId: laterQuestionId, PageNumber: 1, DisplayOrder: 2, Options: null }]
+        });
+
+      await expect(surveyService.addQuestion(surveyId, {
+        ...validQuestionData,
+        displayOrder: 1,
+        options: {
+          displayLogic: {
+            action: 'show',
+            conditions: [{ source: 'question', sourceQuestionId: laterQuestionId, operator: 'answered' }]
+          }
+        }
+      })).rejects.toThrow('Display logic of question 1 can only depend on questions before it');
+      expect(mockTransaction.begin).not.toHaveBeenCalled();
+    });
   });
 
   describe('updateQuestion', () => {
@@ -716,6 +755,30 @@ describe('SurveyService', () => {
       expect(result.QuestionId).toBe(questionId);
     });
 
+    it('should freeze a new definition version of the question survey', async () => {
+      const updatedBy = '11111111-1111-1111-1111-111111111111';
+      mockRequest.query
+        .mockResolvedValueOnce({ recordset: [{ QuestionId: questionId, SurveyId: surveyId }] })
+        .mockResolvedValueOnce({ recordset: [{ QuestionId: questionId, SurveyId: surveyId, Options: null }] });
+
+      await surveyService.updateQuestion(questionId, { promptText: 'Reworded', updatedBy });
+
+      expect(publishCycleService.refreshDefinitionVersion).toHaveBeenCalledWith(mockTransaction, surveyId, updatedBy);
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('should roll the update back when the definition version cannot be frozen', async () => {
+      mockRequest.query
+        .mockResolvedValueOnce({ recordset: [{ QuestionId: questionId, SurveyId: surveyId }] })
+        .mockResolvedValueOnce({ recordset: [{ QuestionId: questionId, SurveyId: surveyId, Options: null }] });
+      publishCycleService.refreshDefinitionVersion.mockRejectedValueOnce(new Error('Deadlock'));
+
+      await expect(surveyService.updateQuestion(questionId, { promptText: 'Reworded' }))
+        .rejects.toThrow('Deadlock');
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+      expect(mockTransaction.commit).not.toHaveBeenCalled();
+    });
+
     it('should throw NotFoundError if question does not exist', async () => {
       const testRequest = {
         input: jest.fn().mockReturnThis(),
@@ -736,6 +799,7 @@ describe('SurveyService', () => {
           .mockResolvedValueOnce({ recordset: [{ QuestionId: questionId, PromptText: 'Allowed update', Options: null }] })
       };
       mockPool.request = jest.fn().mockReturnValue(testRequest);
+      sql.Request = jest.fn().mockReturnValue(testRequest);
 
       await expect(surveyService.updateQuestion(questionId, updateData))
         .resolves.toBeDefined();
@@ -750,9 +814,8 @@ describe('SurveyService', () => {
         input: jest.fn().mockReturnThis(),
         query: jest.fn().mockResolvedValueOnce({ recordset: [{ QuestionId: questionId, PromptText: '', Options: null }] })
       };
-      mockPool.request = jest.fn()
-        .mockReturnValueOnce(testRequest1)
-        .mockReturnValueOnce(testRequest2);
+      mockPool.request = jest.fn().mockReturnValueOnce(testRequest1);
+      sql.Request = jest.fn().mockReturnValueOnce(testRequest2);
 
       const result = await surveyService.updateQuestion(questionId, { promptText: '' });
 
@@ -795,6 +858,29 @@ describe('SurveyService', () => {
 
       expect(result.Options).toEqual(updateData.options);
     });
+
+    it('should reject moving a question behind the questions that depend on it', async () => {
+      const dependentId = '44444444-4444-4444-4444-444444444444';
+      mockRequest.query
+        .mockResolvedValueOnce({ recordset: [{ QuestionId: questionId, SurveyId: surveyId }] })
+        .mockResolvedValueOnce({
+          recordset: [
+            { QuestionId: questionId, PageNumber: 1, DisplayOrder: 1, Options: null },
+            {
+              QuestionId: dependentId,
+              PageNumber: 1,
+              DisplayOrder: 2,
+              Options: JSON.stringify({
+                displayLogic: { conditions: [{ source: 'question', sourceQuestionId: questionId, operator: 'answered' }] }
+              })
+            }
+          ]
+        });
+
+      await expect(surveyService.updateQuestion(questionId, { displayOrder: 3 }))
+        .rejects.toThrow('Display logic of question 1 can only depend on questions before it');
+      expect(mockTransaction.begin).not.toHaveBeenCalled();
+    });
   });
 
   describe('deleteQuestion', () => {
@@ -819,6 +905,7 @@ describe('SurveyService', () => {
       expect(mockTransaction.commit).toHaveBeenCalled();
       expect(txRequest.query).toHaveBeenCalledWith('DELETE FROM QuestionResponses WHERE QuestionId = @responseQuestionId');
       expect(txRequest.query).toHaveBeenCalledWith('DELETE FROM Questions WHERE QuestionId = @deleteQuestionId');
+      expect(publishCycleService.refreshDefinitionVersion).toHaveBeenCalledWith(mockTransaction, surveyId);
     });
 
     it('should throw NotFoundError if question does not exist', async () => {
@@ -1011,6 +1098,52 @@ describe('SurveyService', () => {
     });
   });
 
+  describe('validateDisplayLogicReferences', () => {
+    const rule = (sourceQuestionId) => ({
+      conditions: [{ source: 'question', sourceQuestionId, operator: 'answered' }]
+    });
+
+    it('should accept rules on earlier questions and application conditions', () => {
+      const questions = [
+        { questionId: 'q1', pageNumber: 1, displayOrder: 1, options: null },
+        { questionId: 'q2', pageNumber: 1, displayOrder: 2, options: { displayLogic: rule('q-q1') } },
+        {
+          questionId: 'q3',
+          pageNumber: 2,
+          displayOrder: 1,
+          options: {
+            pageDisplayLogic: rule('Q2'),
+            displayLogic: { conditions: [{ source: 'application', operator: 'in', values: ['app-1'] }] }
+          }
+        }
+      ];
+
+      expect(() => surveyService.validateDisplayLogicReferences(questions)).not.toThrow();
+    });
+
+    it('should reject self references, unknown sources and page rules on the same page', () => {
+      expect(() => surveyService.validateDisplayLogicReferences([
+        { questionId: 'q1', pageNumber: 1, displayOrder: 1, options: { displayLogic: rule('q1') } }
+      ])).toThrow('Display logic of question 1 cannot depend on the question itself');
+
+      expect(() => surveyService.validateDisplayLogicReferences([
+        { questionId: 'q1', pageNumber: 1, displayOrder: 1, options: { displayLogic: rule('q9') } }
+      ])).toThrow('depends on a question that is not part of this event');
+
+      expect(() => surveyService.validateDisplayLogicReferences([
+        { questionId: 'q1', pageNumber: 2, displayOrder: 1, options: null },
+        { questionId: 'q2', pageNumber: 2, displayOrder: 2, options: { pageDisplayLogic: rule('q1') } }
+      ])).toThrow('Page display logic of question 2 can only depend on questions of earlier pages');
+    });
+
+    it('should reject rules that form a cycle', () => {
+      expect(() => surveyService.validateDisplayLogicReferences([
+        { questionId: 'q1', pageNumber: 1, displayOrder: 1, options: { displayLogic: rule('q2') } },
+        { questionId: 'q2', pageNumber: 1, displayOrder: 2, options: { displayLogic: rule('q1') } }
+      ])).toThrow(ValidationError);
+    });
+  });
+
   describe('validateLayoutOrientation', () => {
     it('should not throw error for valid orientations', () => {
       expect(() => surveyService.validateLayoutOrientation('vertical')).not.toThrow();
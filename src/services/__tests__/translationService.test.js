@@ -0,0 +1,186 @@
+const { TranslationService } = require('../translationService');
+const {
+  applyTranslations,
+  collectTranslatableFields,
+  normalizeLocale,
+  summarizeTranslations
+} = require('../survey-service/translations');
+const db = require('../../database/connection');
+
+jest.mock('mssql', () => ({
+  UniqueIdentifier: 'UniqueIdentifier',
+  NVarChar: jest.fn((length) => `NVarChar(${length})`),
+  MAX: 'MAX'
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../database/connection');
+
+describe('TranslationService', () => {
+  const surveyId = '11111111-1111-4111-8111-111111111111';
+  const questionId = 'AAAAAAAA-2222-4222-8222-222222222222';
+  const questionKey = `question.${questionId.toLowerCase()}`;
+
+  const form = () => ({
+    surveyId,
+    title: 'Survei Kepuasan',
+    description: 'Deskripsi survei',
+    configuration: { heroTitle: 'Selamat datang', heroSubtitle: '' },
+    questions: [{
+      questionId,
+      type: 'MultipleChoice',
+      promptText: 'Seberapa puas Anda?',
+      subtitle: null,
+      options: JSON.stringify({ options: ['Puas', 'Tidak puas'], pageTitle: 'Halaman 1' })
+    }]
+  });
+
+  const translation = (sourceText, translatedText) => ({ sourceText, translatedText, updatedAt: null });
+
+  describe('normalizeLocale', () => {
+    it('lowercases locales and rejects malformed values', () => {
+      expect(normalizeLocale('EN')).toBe('en');
+      expect(normalizeLocale('en_US')).toBe('en-us');
+      expect(normalizeLocale('english')).toBe('');
+      expect(normalizeLocale(null)).toBe('');
+    });
+  });
+
+  describe('collectTranslatableFields', () => {
+    it('lists non-empty event, question and option texts in display order', () => {
+      const fields = collectTranslatableFields(form());
+
+      expect(fields.map((field) => field.key)).toEqual([
+        'event.title',
+        'event.description',
+        'configuration.heroTitle',
+        `${questionKey}.promptText`,
+        `${questionKey}.options.pageTitle`,
+        `${questionKey}.options.options.0`,
+        `${questionKey}.options.options.1`
+      ]);
+      expect(fields[5]).toEqual({
+        key: `${questionKey}.options.options.0`,
+        context: 'Question 1 (MultipleChoice) options 1',
+        sourceText: 'Puas'
+      });
+    });
+  });
+
+  describe('applyTranslations', () => {
+    it('replaces texts and exposes option entries as labels', () => {
+      const translations = new Map([
+        ['event.title', translation('Survei Kepuasan', 'Satisfaction Survey')],
+        [`${questionKey}.promptText`, translation('Seberapa puas Anda?', 'How satisfied are you?')],
+        [`${questionKey}.options.options.0`, translation('Puas', 'Satisfied')]
+      ]);
+
+      const translated = applyTranslations(form(), translations);
+
+      expect(translated.title).toBe('Satisfaction Survey');
+      expect(translated.description).toBe('Deskripsi survei');
+      expect(translated.questions[0].promptText).toBe('How satisfied are you?');
+      expect(translated.questions[0].options.options).toEqual(['Puas', 'Tidak puas']);
+      expect(translated.questions[0].optionLabels).toEqual({ Puas: 'Satisfied' });
+    });
+
+    it('ignores translations made from older source text', () => {
+      const translations = new Map([
+        ['event.title', translation('Survei Lama', 'Old Survey')]
+      ]);
+
+      expect(applyTranslations(form(), translations).title).toBe('Survei Kepuasan');
+    });
+  });
+
+  describe('summarizeTranslations', () => {
+    it('counts translated and outdated entries', () => {
+      const fields = collectTranslatableFields(form());
+      const translations = new Map([
+        ['event.title', translation('Survei Kepuasan', 'Satisfaction Survey')],
+        ['event.description', translation('Deskripsi lama', 'Old description')]
+      ]);
+
+      const summary = summarizeTranslations(fields, translations);
+
+      expect(summary.entries[0]).toMatchObject({ translatedText: 'Satisfaction Survey', isOutdated: false });
+      expect(summary.entries[1]).toMatchObject({ translatedText: 'Old description', isOutdated: true });
+      expect(summary.entries[2]).toMatchObject({ translatedText: null, isOutdated: false });
+      expect(summary.completion).toEqual({ total: 7, translated: 1, outdated: 1, percentage: 14 });
+    });
+  });
+
+  describe('locales', () => {
+    const service = new TranslationService();
+
+    it('falls back to the default locale for unsupported languages', () => {
+      expect(service.getDefaultLocale()).toBe('id');
+      expect(service.resolveLocale('en-GB')).toBe('en');
+      expect(service.resolveLocale('fr')).toBe('id');
+    });
+
+    it('only accepts translation locales other than the default one', () => {
+      expect(service.assertTranslationLocale('EN')).toBe('en');
+      expect(() => service.assertTranslationLocale('id')).toThrow('locale must be one of: en');
+    });
+  });
+
+  describe('translateForm', () => {
+    let service;
+    let queries;
+
+    beforeEach(() => {
+      service = new TranslationService();
+      queries = [];
+      const request = {
+        input: jest.fn().mockReturnThis(),
+        query: jest.fn(async (query) => {
+          queries.push(query);
+          if (query.includes('sys.tables')) return { recordset: [{ TableCnt: 1 }] };
+          if (query.includes('DISTINCT LanguageCode')) return { recordset: [{ LanguageCode: 'en' }] };
+          return {
+            recordset: [{
+              TranslationKey: 'event.title',
+              SourceText: 'Survei Kepuasan',
+              TranslatedText: 'Satisfaction Survey',
+              UpdatedAt: null
+            }]
+          };
+        })
+      };
+      db.getPool.mockResolvedValue({ request: () => request });
+    });
+
+    it('returns the translated form for an available locale', async () => {
+      const translated = await service.translateForm(form(), 'en');
+
+      expect(translated).toMatchObject({
+        title: 'Satisfaction Survey',
+        locale: 'en',
+        defaultLocale: 'id',
+        availableLocales: ['id', 'en']
+      });
+    });
+
+    it('keeps the default language when no locale is requested', async () => {
+      const translated = await service.translateForm(form(), undefined);
+
+      expect(translated).toMatchObject({ title: 'Survei Kepuasan', locale: 'id', availableLocales: ['id', 'en'] });
+      expect(queries.some((query) => query.includes('TranslatedText'))).toBe(false);
+    });
+
+    it('serves the untranslated form before migration 043 is applied', async () => {
+      service.translationSupportCache = false;
+
+      const translated = await service.translateForm(form(), 'en');
+
+      expect(translated).toMatchObject({ title: 'Survei Kepuasan', locale: 'id', availableLocales: ['id'] });
+    });
+  });
+});
@@ -0,0 +1,514 @@
+const sql = require('../../database/sql-client');
+const { PERMISSIONS } = require('../../middleware/authMiddleware');
+const {
+  NotFoundError,
+  ResponseApprovalStatus,
+  TakeoutStatus,
+  UnauthorizedError,
+  ValidationError
+} = require('./constants');
+const { STAGE_ROLE_STATUS } = require('./workflow-definition');
+const { approverScope } = require('./delegations');
+
+const BulkApprovalAction = {
+  APPROVE_INITIAL: 'ApproveInitial',
+  APPROVE_FINAL: 'ApproveFinal',
+  PROPOSE_TAKEOUT: 'ProposeTakeout'
+};
+
+const BulkJobStatus = {
+  PENDING: 'Pending',
+  RUNNING: 'Running',
+  COMPLETED: 'Completed',
+  FAILED: 'Failed'
+};
+
+const BulkJobItemStatus = {
+  PENDING: 'Pending',
+  SUCCEEDED: 'Succeeded',
+  SKIPPED: 'Skipped',
+  FAILED: 'Failed'
+};
+
+/**
+ * Permission of the per-response endpoint behind each bulk action, so a bulk
+ * job never lets a role do more than it can one response at a time, and the
+ * statuses a response has to be in to match its filter
+ */
+const BULK_ACTIONS = {
+  [BulkApprovalAction.APPROVE_INITIAL]: {
+    permission: 'responses:approve-initial',
+    statuses: () => [ResponseApprovalStatus.SUBMITTED]
+  },
+  [BulkApprovalAction.APPROVE_FINAL]: {
+    permission: 'responses:approve-final',
+    statuses: (role) => [STAGE_ROLE_STATUS[role]]
+  },
+  [BulkApprovalAction.PROPOSE_TAKEOUT]: {
+    permission: 'responses:propose-takeout',
+    statuses: () => [ResponseApprovalStatus.PENDING_IT_LEAD, ResponseApprovalStatus.PENDING_ADMIN_TAKEOUT_DECISION]
+  }
+};
+
+const DUPLICATE_FILTERS = ['all', 'duplicate', 'unique'];
+const MAX_BULK_JOB_ITEMS = 20000;
+const MAX_TAKEOUT_QUESTIONS = 50;
+const PREVIEW_SAMPLE_SIZE = 20;
+
+/**
+ * Validate a bulk approval request against the role of the requester
+ * @param {Object} data - { action, surveyId, applicationId, departmentId, duplicateFilter, questionIds, reason, reasonCode }
+ * @param {string} role - Role of the requester
+ * @returns {Object} Normalized request
+ */
+function normalizeBulkJobRequest(data, role) {
+  const definition = BULK_ACTIONS[data.action];
+  if (!definition) {
+    throw new ValidationError(`action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`);
+  }
+  if (!PERMISSIONS[definition.permission].includes(role)) {
+    throw new UnauthorizedError(`Role ${role} tidak dapat menjalankan bulk ${data.action}`);
+  }
+  if (!data.surveyId) {
+    throw new ValidationError('SurveyId is required');
+  }
+
+  const duplicateFilter = data.duplicateFilter || 'all';
+  if (!DUPLICATE_FILTERS.includes(duplicateFilter)) {
+    throw new ValidationError(`duplicateFilter must be one of: ${DUPLICATE_FILTERS.join(', ')}`);
+  }
+
+  const normalized = {
+    action: data.action,
+    filter: {
+      surveyId: data.surveyId,
+      applicationId: data.applicationId || null,
+      departmentId: data.departmentId || null,
+      duplicateFilter
+    },
+    statuses: definition.statuses(role),
+    questionIds: null,
+    reason: data.reason ? String(data.reason).trim() || null : null,
+    reasonCode: data.reasonCode ? String(data.reasonCode).trim().toUpperCase() : null
+  };
+
+  if (data.action === BulkApprovalAction.PROPOSE_TAKEOUT) {
+    const questionIds = [...new Set(Array.isArray(data.questionIds) ? data.questionIds.filter(Boolean) : [])];
+    if (questionIds.length === 0 || questionIds.length > MAX_TAKEOUT_QUESTIONS) {
+      throw new ValidationError(`QuestionIds must contain 1-${MAX_TAKEOUT_QUESTIONS} questions`);
+    }
+    if (!normalized.reason && !normalized.reasonCode) {
+      throw new ValidationError('Reason or ReasonCode is required');
+    }
+    normalized.questionIds = questionIds;
+  }
+  return normalized;
+}
+
+/**
+ * Bind the filter of a bulk job to a request and return the CTE "Matching"
+ * with the responses it covers. DuplicateCount is computed within the
+ * filtered set, like the respondent list the admin selects from.
+ * @param {Object} request - Request to bind the parameters to
+ * @param {Object} options - Normalized request plus { surveyId, publishCycleId, approverUserId, approverRole, hasDelegationSupport }
+ * @returns {Object} { cte, duplicateCondition }
+ */
+function bindMatchingResponses(request, options) {
+  const conditions = ['r.SurveyId = @surveyId'];
+  request.input('surveyId', sql.UniqueIdentifier, options.surveyId);
+
+  const statusParams = options.statuses.map((status, index) => {
+    request.input(`status${index}`, sql.NVarChar(50), status);
+    return `@status${index}`;
+  });
+  conditions.push(`r.ResponseApprovalStatus IN (${statusParams.join(', ')})`);
+
+  if (options.publishCycleId) {
+    conditions.push('r.PublishCycleId = @publishCycleId');
+    request.input('publishCycleId', sql.UniqueIdentifier, options.publishCycleId);
+  }
+  if (options.filter.applicationId) {
+    conditions.push('r.ApplicationId = @applicationId');
+    request.input('applicationId', sql.UniqueIdentifier, options.filter.applicationId);
+  }
+  if (options.filter.departmentId) {
+    conditions.push('r.DepartmentId = @departmentId');
+    request.input('departmentId', sql.UniqueIdentifier, options.filter.departmentId);
+  }
+
+  if (options.approverRole === 'ITLead') {
+    conditions.push(`EXISTS (
+      SELECT 1
+      FROM FunctionApplicationMappings fam
+      INNER JOIN Functions f ON f.FunctionId = fam.FunctionId
+      WHERE fam.ApplicationId = r.ApplicationId
+        AND ${approverScope('f.ITLeadUserId', '@approverUserId', options.hasDelegationSupport)}
+    )`);
+    request.input('approverUserId', sql.UniqueIdentifier, options.approverUserId);
+  } else if (options.approverRole === 'DepartmentHead') {
+    const delegatedHead = options.hasDelegationSupport
+      ? ` OR (u.Role = 'DepartmentHead' AND ${approverScope('u.UserId', '@approverUserId', true)})`
+      : '';
+    conditions.push(`EXISTS (
+      SELECT 1
+      FROM Users u
+      WHERE u.DepartmentId = r.DepartmentId
+        AND (u.UserId = @approverUserId${delegatedHead})
+    )`);
+    request.input('approverUserId', sql.UniqueIdentifier, options.approverUserId);
+  }
+
+  if (options.questionIds) {
+    const questionParams = options.questionIds.map((questionId, index) => {
+      request.input(`questionId${index}`, sql.UniqueIdentifier, questionId);
+      return `@questionId${index}`;
+    });
+    request.input('activeTakeoutStatus', sql.NVarChar(50), TakeoutStatus.ACTIVE);
+    conditions.push(`EXISTS (
+      SELECT 1
+      FROM QuestionResponses qr
+      WHERE qr.ResponseId = r.ResponseId
+        AND qr.QuestionId IN (${questionParams.join(', ')})
+        AND qr.TakeoutStatus = @activeTakeoutStatus
+    )`);
+  }
+
+  const duplicateCondition = {
+    all: '1 = 1',
+    duplicate: 'DuplicateCount > 1',
+    unique: 'DuplicateCount = 1'
+  }[options.filter.duplicateFilter];
+
+  return {
+    cte: `
+      WITH Matching AS (
+        SELECT r.ResponseId, r.RespondentName, r.RespondentEmail, r.ApplicationId, a.Name AS ApplicationName,
+               r.DepartmentId, d.Name AS DepartmentName, r.SubmittedAt, r.ResponseApprovalStatus,
+               COUNT(*) OVER (PARTITION BY r.RespondentEmail, r.ApplicationId) AS DuplicateCount
+        FROM Responses r
+        INNER JOIN Applications a ON a.ApplicationId = r.ApplicationId
+        INNER JOIN Departments d ON d.DepartmentId = r.DepartmentId
+        WHERE ${conditions.join(' AND ')}
+      )
+    `,
+    duplicateCondition
+  };
+}
+
+/**
+ * Count the responses a bulk job would process and list the first of them
+ * @param {Object} executor - Pool or transaction
+ * @param {Object} options - See bindMatchingResponses
+ * @returns {Promise<Object>} { total, sample }
+ */
+async function previewBulkJob(executor, options) {
+  const request = executor.request();
+  const { cte, duplicateCondition } = bindMatchingResponses(request, options);
+  request.input('sampleSize', sql.Int, PREVIEW_SAMPLE_SIZE);
+
+  const result = await request.query(`
+    ${cte}
+    SELECT TOP (@sampleSize) *, COUNT(*) OVER () AS Total
+    FROM Matching
+    WHERE ${duplicateCondition}
+    ORDER BY SubmittedAt
+  `);
+
+  return {
+    total: Number(result.recordset[0]?.Total || 0),
+    sample: result.recordset.map((row) => ({
+      responseId: row.ResponseId,
+      respondentName: row.RespondentName,
+      respondentEmail: row.RespondentEmail,
+      applicationName: row.ApplicationName,
+      departmentName: row.DepartmentName,
+      submittedAt: row.SubmittedAt,
+      responseApprovalStatus: row.ResponseApprovalStatus,
+      isDuplicate: Number(row.DuplicateCount) > 1
+    }))
+  };
+}
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function mapBulkJob(row) {
+  const totalItems = Number(row.TotalItems || 0);
+  const processedItems = Number(row.ProcessedItems || 0);
+  return {
+    jobId: row.JobId,
+    action: row.Action,
+    surveyId: row.SurveyId,
+    filter: parseJson(row.Filter, {}),
+    questionIds: parseJson(row.QuestionIds, null),
+    reason: row.Reason || null,
+    reasonCode: row.ReasonCode || null,
+    requestedBy: row.RequestedBy,
+    requestedByRole: row.RequestedByRole,
+    status: row.Status,
+    totalItems,
+    processedItems,
+    succeededItems: Number(row.SucceededItems || 0),
+    skippedItems: Number(row.SkippedItems || 0),
+    failedItems: Number(row.FailedItems || 0),
+    progress: totalItems > 0 ? Math.floor((processedItems / totalItems) * 100) : 100,
+    errorMessage: row.ErrorMessage || null,
+    createdAt: row.CreatedAt,
+    startedAt: row.StartedAt || null,
+    completedAt: row.CompletedAt || null
+  };
+}
+
+const BULK_JOB_COLUMNS = `
+  JobId, Action, SurveyId, Filter, QuestionIds, Reason, ReasonCode, RequestedBy, RequestedByRole,
+  Status, TotalItems, ProcessedItems, SucceededItems, SkippedItems, FailedItems, ErrorMessage,
+  CreatedAt, StartedAt, CompletedAt
+`;
+
+/**
+ * Queue a bulk job and snapshot the responses matching its filter as items
+ * @param {Object} transaction - Active transaction
+ * @param {Object} options - See bindMatchingResponses, plus { requestedBy, requestedByRole, expectedTotal }
+ * @returns {Promise<Object>} Created job
+ */
+async function createBulkJob(transaction, options) {
+  const jobResult = await transaction.request()
+    .input('action', sql.NVarChar(30), options.action)
+    .input('surveyId', sql.UniqueIdentifier, options.surveyId)
+    .input('filter', sql.NVarChar(sql.MAX), JSON.stringify({ ...options.filter, surveyId: options.surveyId }))
+    .input('questionIds', sql.NVarChar(sql.MAX), options.questionIds ? JSON.stringify(options.questionIds) : null)
+    .input('reason', sql.NVarChar(sql.MAX), options.reason)
+    .input('reasonCode', sql.NVarChar(50), options.reasonCode)
+    .input('requestedBy', sql.UniqueIdentifier, options.requestedBy)
+    .input('requestedByRole', sql.NVarChar(50), options.requestedByRole)
+    .query(`
+      INSERT INTO ApprovalBulkJobs (Action, SurveyId, Filter, QuestionIds, Reason, ReasonCode, RequestedBy, RequestedByRole)
+      OUTPUT inserted.JobId
+      VALUES (@action, @surveyId, @filter, @questionIds, @reason, @reasonCode, @requestedBy, @requestedByRole)
+    `);
+  const jobId = jobResult.recordset[0].JobId;
+
+  const itemRequest = transaction.request();
+  const { cte, duplicateCondition } = bindMatchingResponses(itemRequest, options);
+  itemRequest.input('jobId', sql.UniqueIdentifier, jobId);
+  const itemResult = await itemRequest.query(`
+    ${cte}
+    INSERT INTO ApprovalBulkJobItems (JobId, ResponseId)
+    SELECT @jobId, ResponseId
+    FROM Matching
+    WHERE ${duplicateCondition}
+  `);
+
+  const total = Number(itemResult.rowsAffected?.[0] || 0);
+  if (total === 0) {
+    throw new ValidationError('Tidak ada response yang cocok dengan filter');
+  }
+  if (total > MAX_BULK_JOB_ITEMS) {
+    throw new ValidationError(`Filter mencakup ${total} response, maksimal ${MAX_BULK_JOB_ITEMS} per job`);
+  }
+  // The preview the user confirmed no longer matches, e.g. others approved part of it meanwhile
+  if (Number.isInteger(options.expectedTotal) && options.expectedTotal !== total) {
+    throw new ValidationError(`Filter now matches ${total} responses instead of ${options.expectedTotal}; preview again`);
+  }
+
+  await transaction.request()
+    .input('jobId', sql.UniqueIdentifier, jobId)
+    .input('total', sql.Int, total)
+    .query('UPDATE ApprovalBulkJobs SET TotalItems = @total WHERE JobId = @jobId');
+
+  return getBulkJob(transaction, jobId);
+}
+
+async function getBulkJob(executor, jobId) {
+  const result = await executor.request()
+    .input('jobId', sql.UniqueIdentifier, jobId)
+    .query(`SELECT ${BULK_JOB_COLUMNS} FROM ApprovalBulkJobs WHERE JobId = @jobId`);
+
+  if (result.recordset.length === 0) {
+    throw new NotFoundError(`Bulk job ${jobId} not found`);
+  }
+  return mapBulkJob(result.recordset[0]);
+}
+
+/**
+ * List the most recent bulk jobs, of one requester or of everyone
+ * @param {Object} executor - Pool or transaction
+ * @param {Object} filter - { requestedBy, limit }
+ * @returns {Promise<Array<Object>>} Jobs, newest first
+ */
+async function listBulkJobs(executor, filter = {}) {
+  const request = executor.request()
+    .input('limit', sql.Int, filter.limit || 50);
+  let where = '';
+  if (filter.requestedBy) {
+    where = 'WHERE RequestedBy = @requestedBy';
+    request.input('requestedBy', sql.UniqueIdentifier, filter.requestedBy);
+  }
+
+  const result = await request.query(`
+    SELECT TOP (@limit) ${BULK_JOB_COLUMNS}
+    FROM ApprovalBulkJobs
+    ${where}
+    ORDER BY CreatedAt DESC
+  `);
+  return result.recordset.map(mapBulkJob);
+}
+
+/**
+ * Page through the result log of a bulk job
+ * @param {Object} executor - Pool or transaction
+ * @param {string} jobId - Job ID
+ * @param {Object} filter - { status, limit, offset }
+ * @returns {Promise<Array<Object>>} Items in processing order
+ */
+async function listBulkJobItems(executor, jobId, filter = {}) {
+  const request = executor.request()
+    .input('jobId', sql.UniqueIdentifier, jobId)
+    .input('limit', sql.Int, filter.limit || 100)
+    .input('offset', sql.Int, filter.offset || 0);
+  let statusCondition = '';
+  if (filter.status) {
+    statusCondition = 'AND i.Status = @status';
+    request.input('status', sql.NVarChar(20), filter.status);
+  }
+
+  const result = await request.query(`
+    SELECT i.JobItemId, i.ResponseId, i.Status, i.ResultStatus, i.Message, i.ProcessedAt,
+           r.RespondentName, r.RespondentEmail
+    FROM ApprovalBulkJobItems i
+    LEFT JOIN Responses r ON r.ResponseId = i.ResponseId
+    WHERE i.JobId = @jobId ${statusCondition}
+    ORDER BY i.JobItemId
+    OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
+  `);
+  return result.recordset.map((row) => ({
+    responseId: row.ResponseId,
+    respondentName: row.RespondentName || null,
+    respondentEmail: row.RespondentEmail || null,
+    status: row.Status,
+    resultStatus: row.ResultStatus || null,
+    message: row.Message || null,
+    processedAt: row.ProcessedAt || null
+  }));
+}
+
+/**
+ * Take the oldest queued job. Running jobs are picked up again so a job
+ * interrupted by a restart resumes with its pending items.
+ * @param {Object} executor - Pool
+ * @returns {Promise<Object|null>} Job, or null when the queue is empty
+ */
+async function claimNextBulkJob(executor) {
+  const result = await executor.request()
+    .input('running', sql.NVarChar(20), BulkJobStatus.RUNNING)
+    .input('pending', sql.NVarChar(20), BulkJobStatus.PENDING)
+    .query(`
+      WITH NextJob AS (
+        SELECT TOP 1 *
+        FROM ApprovalBulkJobs WITH (UPDLOCK, READPAST)
+        WHERE Status IN (@pending, @running)
+        ORDER BY CreatedAt
+      )
+      UPDATE NextJob
+      SET Status = @running,
+          StartedAt = COALESCE(StartedAt, GETDATE())
+      OUTPUT inserted.*
+    `);
+  return result.recordset[0] ? mapBulkJob(result.recordset[0]) : null;
+}
+
+async function loadPendingBulkJobItems(executor, jobId, limit) {
+  const result = await executor.request()
+    .input('jobId', sql.UniqueIdentifier, jobId)
+    .input('limit', sql.Int, limit)
+    .input('pending', sql.NVarChar(20), BulkJobItemStatus.PENDING)
+    .query(`
+      SELECT TOP (@limit) JobItemId, ResponseId
+      FROM ApprovalBulkJobItems
+      WHERE JobId = @jobId AND Status = @pending
+      ORDER BY JobItemId
+    `);
+  return result.recordset.map((row) => ({ jobItemId: row.JobItemId, responseId: row.ResponseId }));
+}
+
+/**
+ * Store the outcome of an item and count it in the progress of its job
+ * @param {Object} executor - Pool or transaction
+ * @param {Object} outcome - { status, resultStatus, message }
+ */
+async function recordBulkJobItemResult(executor, jobId, jobItemId, outcome) {
+  await executor.request()
+    .input('jobId', sql.UniqueIdentifier, jobId)
+    .input('jobItemId', sql.BigInt, jobItemId)
+    .input('status', sql.NVarChar(20), outcome.status)
+    .input('resultStatus', sql.NVarChar(50), outcome.resultStatus || null)
+    .input('message', sql.NVarChar(1000), outcome.message ? String(outcome.message).slice(0, 1000) : null)
+    .input('pending', sql.NVarChar(20), BulkJobItemStatus.PENDING)
+    .query(`
+      UPDATE ApprovalBulkJobItems
+      SET Status = @status, ResultStatus = @resultStatus, Message = @message, ProcessedAt = GETDATE()
+      WHERE JobItemId = @jobItemId AND Status = @pending;
+
+      IF @@ROWCOUNT > 0
+        UPDATE ApprovalBulkJobs
+        SET ProcessedItems = ProcessedItems + 1,
+            SucceededItems = SucceededItems + CASE WHEN @status = 'Succeeded' THEN 1 ELSE 0 END,
+            SkippedItems = SkippedItems + CASE WHEN @status = 'Skipped' THEN 1 ELSE 0 END,
+            FailedItems = FailedItems + CASE WHEN @status = 'Failed' THEN 1 ELSE 0 END
+        WHERE JobId = @jobId;
+    `);
+}
+
+async function finishBulkJob(executor, jobId, status, errorMessage = null) {
+  await executor.request()
+    .input('jobId', sql.UniqueIdentifier, jobId)
+    .input('status', sql.NVarChar(20), status)
+    .input('errorMessage', sql.NVarChar(sql.MAX), errorMessage)
+    .query(`
+      UPDATE ApprovalBulkJobs
+      SET Status = @status, ErrorMessage = @errorMessage, CompletedAt = GETDATE()
+      WHERE JobId = @jobId
+    `);
+}
+
+/**
+ * Outcome of an item whose action threw. Approval errors mean the response no
+ * longer qualifies (e.g. approved by someone else after the preview) and are
+ * skipped; anything else is a failure.
+ * @param {Error} error - Error thrown by the action
+ * @returns {Object} { status, message }
+ */
+function classifyBulkJobItemError(error) {
+  const skipped = error instanceof ValidationError
+    || error instanceof NotFoundError
+    || error instanceof UnauthorizedError;
+  return {
+    status: skipped ? BulkJobItemStatus.SKIPPED : BulkJobItemStatus.FAILED,
+    message: error.message
+  };
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  BulkApprovalAction,
+  BulkJobItemStatus,
+  BulkJobStatus,
+  MAX_BULK_JOB_ITEMS,
+  bindMatchingResponses,
+  claimNextBulkJob,
+  classifyBulkJobItemError,
+  createBulkJob,
+  finishBulkJob,
+  getBulkJob,
+  listBulkJobItems,
+  listBulkJobs,
+  loadPendingBulkJobItems,
+  normalizeBulkJobRequest,
+  previewBulkJob,
+  recordBulkJobItemResult
+};
@@ -30,6 +30,7 @@ const ResponseApprovalStatus = {
   SUBMITTED: 'Submitted',
   REJECTED_BY_ADMIN: 'RejectedByAdmin',
   PENDING_IT_LEAD: 'PendingITLead',
+  PENDING_DEPARTMENT_HEAD: 'PendingDepartmentHead',
   PENDING_ADMIN_TAKEOUT_DECISION: 'PendingAdminTakeoutDecision',
   APPROVED_FINAL: 'ApprovedFinal'
 };
@@ -38,11 +39,19 @@ const ApprovalAction = {
   PROPOSED: 'Proposed',
   APPROVED: 'Approved',
   REJECTED: 'Rejected',
-  CANCELLED: 'Cancelled'
+  CANCELLED: 'Cancelled',
+  REOPENED: 'Reopened'
+};
+
+const ApprovalStageAction = {
+  APPROVED: 'Approved',
+  SKIPPED: 'Skipped',
+  REOPENED: 'Reopened'
 };
 
 module.exports = {
   ApprovalAction,
+  ApprovalStageAction,
   NotFoundError,
   ResponseApprovalStatus,
   TakeoutStatus,
@@ -0,0 +1,316 @@
+const sql = require('../../database/sql-client');
+const { NotFoundError, UnauthorizedError, ValidationError } = require('./constants');
+
+// Roles that own an approval queue and can hand it to a delegate
+const DELEGABLE_ROLES = ['ITLead', 'DepartmentHead'];
+const MAX_DELEGATION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Subquery of the users who delegated their approvals to the user bound to
+ * delegateParam, for delegations covering today. Delegations do not chain:
+ * a delegate only acts for the users who named them directly.
+ * @param {string} delegateParam - SQL parameter holding the delegate user ID
+ * @returns {string} SQL
+ */
+function activeDelegatorsQuery(delegateParam) {
+  return `
+    SELECT ad.DelegatorUserId
+    FROM ApproverDelegations ad
+    WHERE ad.DelegateUserId = ${delegateParam}
+      AND ad.RevokedAt IS NULL
+      AND CAST(GETDATE() AS DATE) BETWEEN ad.StartDate AND ad.EndDate
+  `;
+}
+
+/**
+ * Condition matching an approver column against a user and the users they
+ * currently stand in for
+ * @param {string} column - Approver column (e.g. f.ITLeadUserId)
+ * @param {string} userParam - SQL parameter holding the acting user ID
+ * @param {boolean} hasDelegationSupport - Whether migration 051 has been applied
+ * @returns {string} SQL condition
+ */
+function approverScope(column, userParam, hasDelegationSupport) {
+  return hasDelegationSupport
+    ? `(${column} = ${userParam} OR ${column} IN (${activeDelegatorsQuery(userParam)}))`
+    : `${column} = ${userParam}`;
+}
+
+/**
+ * Turn the row of an access check into the approver the user acted for
+ * @param {Object} row - Row with IsDirect, OwnerUserId and OwnerName
+ * @returns {Object} { onBehalfOf } - null when the user acted on their own queue
+ */
+function mapApproverAccess(row) {
+  if (Number(row.IsDirect ?? 1) !== 0) {
+    return { onBehalfOf: null };
+  }
+  return {
+    onBehalfOf: {
+      userId: row.OwnerUserId,
+      displayName: row.OwnerName || null
+    }
+  };
+}
+
+function parseDateOnly(value, field) {
+  const text = String(value || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    throw new ValidationError(`${field} must be a date (YYYY-MM-DD)`);
+  }
+  const date = new Date(`${text}T00:00:00Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+    throw new ValidationError(`${field} must be a valid date`);
+  }
+  return date;
+}
+
+function todayUtc() {
+  return new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+}
+
+/**
+ * Validate the date range of a delegation
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day, inclusive (YYYY-MM-DD)
+ * @returns {Object} { startDate, endDate } as Date
+ */
+function normalizeDelegationRange(startDate, endDate) {
+  const start = parseDateOnly(startDate, 'startDate');
+  const end = parseDateOnly(endDate, 'endDate');
+
+  if (end < start) {
+    throw new ValidationError('endDate must be on or after startDate');
+  }
+  if (end < todayUtc()) {
+    throw new ValidationError('endDate must not be in the past');
+  }
+  if ((end - start) / DAY_MS + 1 > MAX_DELEGATION_DAYS) {
+    throw new ValidationError(`A delegation can cover at most ${MAX_DELEGATION_DAYS} days`);
+  }
+  return { startDate: start, endDate: end };
+}
+
+function getDelegationStatus(row, today = todayUtc()) {
+  if (row.RevokedAt) return 'Revoked';
+  if (new Date(row.EndDate) < today) return 'Expired';
+  if (new Date(row.StartDate) > today) return 'Scheduled';
+  return 'Active';
+}
+
+function mapDelegation(row) {
+  return {
+    delegationId: row.DelegationId,
+    delegator: { userId: row.DelegatorUserId, displayName: row.DelegatorName, role: row.DelegatorRole },
+    delegate: { userId: row.DelegateUserId, displayName: row.DelegateName, email: row.DelegateEmail },
+    startDate: row.StartDate,
+    endDate: row.EndDate,
+    reason: row.Reason || null,
+    status: getDelegationStatus(row),
+    createdBy: row.CreatedBy,
+    createdAt: row.CreatedAt,
+    revokedAt: row.RevokedAt || null
+  };
+}
+
+const DELEGATION_SELECT = `
+  SELECT ad.DelegationId, ad.DelegatorUserId, ad.DelegateUserId, ad.StartDate, ad.EndDate,
+         ad.Reason, ad.CreatedBy, ad.CreatedAt, ad.RevokedBy, ad.RevokedAt,
+         delegator.DisplayName AS DelegatorName, delegator.Role AS DelegatorRole,
+         delegate.DisplayName AS DelegateName, delegate.Email AS DelegateEmail
+  FROM ApproverDelegations ad
+  INNER JOIN Users delegator ON delegator.UserId = ad.DelegatorUserId
+  INNER JOIN Users delegate ON delegate.UserId = ad.DelegateUserId
+`;
+
+/**
+ * List delegations given or received by a user, or all of them for SuperAdmin
+ * @param {Object} executor - Pool or transaction
+ * @param {Object} filter - { userId, activeOnly }
+ * @returns {Promise<Array<Object>>} Delegations
+ */
+async function listDelegations(executor, filter = {}) {
+  const request = executor.request();
+  const conditions = ['1 = 1'];
+
+  if (filter.userId) {
+    conditions.push('(ad.DelegatorUserId = @userId OR ad.DelegateUserId = @userId)');
+    request.input('userId', sql.UniqueIdentifier, filter.userId);
+  }
+  if (filter.activeOnly) {
+    conditions.push('ad.RevokedAt IS NULL AND ad.EndDate >= CAST(GETDATE() AS DATE)');
+  }
+
+  const result = await request.query(`
+    ${DELEGATION_SELECT}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ad.StartDate DESC, ad.CreatedAt DESC
+  `);
+  return result.recordset.map(mapDelegation);
+}
+
+async function loadActiveUser(executor, userId, label) {
+  const result = await executor.request()
+    .input('userId', sql.UniqueIdentifier, userId)
+    .query('SELECT UserId, DisplayName, Role, IsActive FROM Users WHERE UserId = @userId');
+
+  const user = result.recordset[0];
+  if (!user || !user.IsActive) {
+    throw new NotFoundError(`${label} not found or inactive`);
+  }
+  return user;
+}
+
+/**
+ * Register a delegate for an approver. The delegate must hold the same role
+ * so the approval routes let them act, and one approver cannot have two
+ * delegations covering the same day.
+ * @param {Object} executor - Transaction
+ * @param {Object} data - { delegatorUserId, delegateUserId, startDate, endDate, reason, createdBy }
+ * @returns {Promise<Object>} Created delegation
+ */
+async function createDelegation(executor, data) {
+  const { startDate, endDate } = normalizeDelegationRange(data.startDate, data.endDate);
+  if (!data.delegateUserId) {
+    throw new ValidationError('delegateUserId is required');
+  }
+  if (String(data.delegateUserId).toLowerCase() === String(data.delegatorUserId).toLowerCase()) {
+    throw new ValidationError('An approver cannot delegate to themselves');
+  }
+
+  const delegator = await loadActiveUser(executor, data.delegatorUserId, 'Approver');
+  if (!DELEGABLE_ROLES.includes(delegator.Role)) {
+    throw new ValidationError(`Only ${DELEGABLE_ROLES.join(' and ')} users can delegate their approvals`);
+  }
+  const delegate = await loadActiveUser(executor, data.delegateUserId, 'Delegate');
+  if (delegate.Role !== delegator.Role) {
+    throw new ValidationError(`The delegate must also be a ${delegator.Role}`);
+  }
+
+  const overlap = await executor.request()
+    .input('delegatorUserId', sql.UniqueIdentifier, data.delegatorUserId)
+    .input('startDate', sql.Date, startDate)
+    .input('endDate', sql.Date, endDate)
+    .query(`
+      SELECT TOP 1 DelegationId
+      FROM ApproverDelegations WITH (UPDLOCK, HOLDLOCK)
+      WHERE DelegatorUserId = @delegatorUserId
+        AND RevokedAt IS NULL
+        AND StartDate <= @endDate
+        AND EndDate >= @startDate
+    `);
+  if (overlap.recordset.length > 0) {
+    throw new ValidationError('This approver already has a delegation covering part of these dates');
+  }
+
+  const inserted = await executor.request()
+    .input('delegatorUserId', sql.UniqueIdentifier, data.delegatorUserId)
+    .input('delegateUserId', sql.UniqueIdentifier, data.delegateUserId)
+    .input('startDate', sql.Date, startDate)
+    .input('endDate', sql.Date, endDate)
+    .input('reason', sql.NVarChar(500), data.reason ? String(data.reason).trim().slice(0, 500) : null)
+    .input('createdBy', sql.UniqueIdentifier, data.createdBy)
+    .query(`
+      INSERT INTO ApproverDelegations (DelegatorUserId, DelegateUserId, StartDate, EndDate, Reason, CreatedBy)
+      OUTPUT INSERTED.DelegationId
+      VALUES (@delegatorUserId, @delegateUserId, @startDate, @endDate, @reason, @createdBy)
+    `);
+
+  return findDelegation(executor, inserted.recordset[0].DelegationId);
+}
+
+/**
+ * Load one delegation
+ * @param {Object} executor - Pool or transaction
+ * @param {string} delegationId - Delegation ID
+ * @returns {Promise<Object>} Delegation
+ */
+async function findDelegation(executor, delegationId) {
+  const result = await executor.request()
+    .input('delegationId', sql.UniqueIdentifier, delegationId)
+    .query(`${DELEGATION_SELECT} WHERE ad.DelegationId = @delegationId`);
+
+  if (result.recordset.length === 0) {
+    throw new NotFoundError('Delegation not found');
+  }
+  return mapDelegation(result.recordset[0]);
+}
+
+/**
+ * End a delegation early. Only the approver, whoever registered it and
+ * SuperAdmin may revoke it.
+ * @param {Object} executor - Pool or transaction
+ * @param {string} delegationId - Delegation ID
+ * @param {Object} user - { userId, role } of the requester
+ * @returns {Promise<Object>} Revoked delegation
+ */
+async function revokeDelegation(executor, delegationId, user) {
+  const delegation = await findDelegation(executor, delegationId);
+  const requesterId = String(user.userId).toLowerCase();
+  const allowed = user.role === 'SuperAdmin'
+    || String(delegation.delegator.userId).toLowerCase() === requesterId
+    || String(delegation.createdBy).toLowerCase() === requesterId;
+  if (!allowed) {
+    throw new UnauthorizedError('Only the approver who delegated can revoke this delegation');
+  }
+  if (delegation.status === 'Revoked' || delegation.status === 'Expired') {
+    throw new ValidationError(`Delegation is already ${delegation.status.toLowerCase()}`);
+  }
+
+  await executor.request()
+    .input('delegationId', sql.UniqueIdentifier, delegationId)
+    .input('revokedBy', sql.UniqueIdentifier, user.userId)
+    .query(`
+      UPDATE ApproverDelegations
+      SET RevokedAt = GETDATE(), RevokedBy = @revokedBy
+      WHERE DelegationId = @delegationId AND RevokedAt IS NULL
+    `);
+
+  return findDelegation(executor, delegationId);
+}
+
+/**
+ * Write the audit entry of an approval action taken for another approver,
+ * e.g. "approved by X on behalf of Y"
+ * @param {Object} executor - Pool
+ * @param {Object} auditService - Audit service
+ * @param {Object} entry - { performedBy, onBehalfOf, action, verb, entityType, entityId, details }
+ * @returns {Promise<void>}
+ */
+async function logDelegatedAction(executor, auditService, entry) {
+  const result = await executor.request()
+    .input('userId', sql.UniqueIdentifier, entry.performedBy)
+    .query('SELECT Username, DisplayName FROM Users WHERE UserId = @userId');
+  const performer = result.recordset[0] || {};
+  const performerName = performer.DisplayName || performer.Username || entry.performedBy;
+  const ownerName = entry.onBehalfOf.displayName || entry.onBehalfOf.userId;
+
+  await auditService.logAction({
+    userId: entry.performedBy,
+    username: performer.Username || 'system',
+    action: entry.action,
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    newValues: {
+      ...entry.details,
+      PerformedBy: entry.performedBy,
+      OnBehalfOf: entry.onBehalfOf.userId,
+      Summary: `${entry.verb} by ${performerName} on behalf of ${ownerName}`
+    }
+  });
+}
+
+module.exports = {
+  DELEGABLE_ROLES,
+  MAX_DELEGATION_DAYS,
+  activeDelegatorsQuery,
+  approverScope,
+  createDelegation,
+  findDelegation,
+  listDelegations,
+  logDelegatedAction,
+  mapApproverAccess,
+  normalizeDelegationRange,
+  revokeDelegation
+};
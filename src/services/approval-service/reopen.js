@@ -0,0 +1,278 @@
+const sql = require('../../database/sql-client');
+const {
+  ApprovalAction,
+  ApprovalStageAction,
+  NotFoundError,
+  ResponseApprovalStatus,
+  TakeoutStatus,
+  ValidationError
+} = require('./constants');
+const {
+  computeStageDueAt,
+  findCurrentStageIndex,
+  getStageStatus,
+  resolveNextStage
+} = require('./workflow-definition');
+const { recordStageAction } = require('./workflow');
+const { insertApprovalHistory } = require('./takeout-actions');
+
+// Target of a response sent back to the Admin Event review
+const SUBMITTED_TARGET = { code: 'Submitted', role: 'AdminEvent' };
+
+/**
+ * Where a taken out answer can be sent back to, and the status its response
+ * waits in afterwards. Both are part of the IT Lead stage.
+ */
+const QUESTION_REOPEN_TARGETS = {
+  [TakeoutStatus.PROPOSED_TAKEOUT]: ResponseApprovalStatus.PENDING_ADMIN_TAKEOUT_DECISION,
+  [TakeoutStatus.ACTIVE]: ResponseApprovalStatus.PENDING_IT_LEAD
+};
+
+const ADMIN_REVIEW_RESET = { adminReviewedBy: null, adminReviewedAt: null, adminReviewReason: null };
+const IT_LEAD_REVIEW_RESET = { itLeadReviewedBy: null, itLeadReviewedAt: null, itLeadReviewReason: null };
+
+function requireReason(reason) {
+  const text = String(reason || '').trim();
+  if (!text) {
+    throw new ValidationError('Reason is required to reopen an approval');
+  }
+  return text;
+}
+
+/**
+ * Lock a response and check that its approval is final
+ * @param {Object} transaction - Active transaction
+ * @param {string} responseId - Response ID
+ * @param {boolean} hasPublishCycle - Whether Responses.PublishCycleId exists
+ * @returns {Promise<Object>} { ResponseId, SurveyId, ResponseApprovalStatus, PublishCycleId }
+ */
+async function loadFinalizedResponse(transaction, responseId, hasPublishCycle) {
+  const result = await transaction.request()
+    .input('responseId', sql.UniqueIdentifier, responseId)
+    .query(`
+      SELECT ResponseId, SurveyId, ResponseApprovalStatus,
+             ${hasPublishCycle ? 'PublishCycleId' : 'CAST(NULL AS UNIQUEIDENTIFIER) AS PublishCycleId'}
+      FROM Responses WITH (UPDLOCK, ROWLOCK)
+      WHERE ResponseId = @responseId
+    `);
+
+  const response = result.recordset[0];
+  if (!response) {
+    throw new NotFoundError(`Response ${responseId} not found`);
+  }
+  if (response.ResponseApprovalStatus !== ResponseApprovalStatus.APPROVED_FINAL) {
+    throw new ValidationError('Hanya response berstatus ApprovedFinal yang dapat dibuka kembali');
+  }
+  return response;
+}
+
+/**
+ * Resolve the stage a finalised response is sent back to
+ * @param {Array<Object>} stages - Workflow stages of the event type
+ * @param {Object} routing - Routing facts of the response
+ * @param {string} targetStage - 'Submitted' or a stage code of the workflow
+ * @returns {Object} { code, role, status, stage } - stage is null for Submitted
+ */
+function resolveResponseReopenTarget(stages, routing, targetStage) {
+  const code = String(targetStage || '').trim();
+  if (!code) {
+    throw new ValidationError('targetStage is required');
+  }
+  if (code.toLowerCase() === SUBMITTED_TARGET.code.toLowerCase()) {
+    return { ...SUBMITTED_TARGET, status: ResponseApprovalStatus.SUBMITTED, stage: null };
+  }
+
+  const index = stages.findIndex((stage) => stage.code.toLowerCase() === code.toLowerCase());
+  if (index === -1) {
+    throw new ValidationError(`Stage ${code} is not part of the approval workflow of this event`);
+  }
+  // A stage skipped for this response has no approver to send it back to
+  const next = resolveNextStage(stages, index - 1, routing);
+  if (!next.stage || next.stage.code !== stages[index].code) {
+    throw new ValidationError(`Stage ${stages[index].code} does not apply to this response`);
+  }
+
+  const stage = stages[index];
+  return { code: stage.code, role: stage.role, status: getStageStatus(stage), stage };
+}
+
+/**
+ * Response fields written when a response is sent back to a stage: the
+ * reviews of that stage and of the stages after it are cleared
+ * @param {Object} target - Result of resolveResponseReopenTarget
+ * @param {boolean} hasWorkflowSupport - Whether migration 039 has been applied
+ * @param {Date} now - Reopen time
+ * @returns {Object} Fields for updateResponseApprovalStatus
+ */
+function buildResponseReopenFields(target, hasWorkflowSupport, now = new Date()) {
+  const fields = { finalizedAt: null };
+  if (!target.stage) {
+    Object.assign(fields, ADMIN_REVIEW_RESET, IT_LEAD_REVIEW_RESET);
+  } else if (target.role === 'ITLead') {
+    Object.assign(fields, IT_LEAD_REVIEW_RESET);
+  }
+  if (hasWorkflowSupport) {
+    fields.approvalStageCode = target.stage ? target.stage.code : null;
+    fields.approvalStageDueAt = computeStageDueAt(target.stage, now);
+  }
+  return fields;
+}
+
+/**
+ * Log a reopen of the whole response in ApprovalHistory for each of its
+ * answers. Their takeout status does not change.
+ * @param {Object} transaction - Active transaction
+ * @param {string} responseId - Response ID
+ * @param {string} performedBy - User ID
+ * @param {string} reason - Reopen reason
+ */
+async function recordResponseReopenHistory(transaction, responseId, performedBy, reason) {
+  const result = await transaction.request()
+    .input('responseId', sql.UniqueIdentifier, responseId)
+    .query(`
+      SELECT QuestionResponseId, TakeoutStatus FROM QuestionResponses
+      WHERE ResponseId = @responseId
+    `);
+
+  for (const row of result.recordset) {
+    await insertApprovalHistory(transaction, sql, {
+      questionResponseId: row.QuestionResponseId,
+      action: ApprovalAction.REOPENED,
+      performedBy,
+      reason,
+      previousStatus: row.TakeoutStatus,
+      newStatus: row.TakeoutStatus
+    });
+  }
+}
+
+/**
+ * Send a finalised response back to an earlier stage and log it in
+ * ApprovalHistory and, once migration 039 ran, in ResponseStageApprovals.
+ * Takeout decisions of its answers are kept. Like the question reopen it
+ * works on the default workflow before migration 039.
+ * @param {Object} context - { updateResponseApprovalStatus, hasWorkflowSupport, stages, routing }
+ * @param {Object} transaction - Active transaction
+ * @param {Object} response - Row of loadFinalizedResponse
+ * @param {Object} data - { targetStage, reason, performedBy }
+ * @returns {Promise<Object>} { previousStatus, status, stageCode }
+ */
+async function reopenResponse(context, transaction, response, data) {
+  const { updateResponseApprovalStatus, hasWorkflowSupport, stages, routing } = context;
+  const reason = requireReason(data.reason);
+  const target = resolveResponseReopenTarget(stages, routing, data.targetStage);
+
+  await updateResponseApprovalStatus(
+    transaction,
+    response.ResponseId,
+    target.status,
+    buildResponseReopenFields(target, hasWorkflowSupport)
+  );
+  await recordResponseReopenHistory(transaction, response.ResponseId, data.performedBy, reason);
+  if (hasWorkflowSupport) {
+    await recordStageAction(
+      transaction,
+      response.ResponseId,
+      { code: target.code, role: target.role },
+      ApprovalStageAction.REOPENED,
+      data.performedBy,
+      reason
+    );
+  }
+
+  return {
+    previousStatus: response.ResponseApprovalStatus,
+    status: target.status,
+    stageCode: target.stage ? target.stage.code : null
+  };
+}
+
+/**
+ * Send a taken out answer of a finalised response back to the takeout
+ * decision (ProposedTakeout) or restore it (Active). Its response returns to
+ * the IT Lead stage and walks the later stages again.
+ * @param {Object} context - { updateResponseApprovalStatus, hasWorkflowSupport, hasTakeoutReasonSupport, stages }
+ * @param {Object} transaction - Active transaction
+ * @param {Object} response - Row of loadFinalizedResponse
+ * @param {Object} data - { questionId, targetStatus, reason, performedBy }
+ * @returns {Promise<Object>} { questionResponseId, previousStatus, takeoutStatus, status, stageCode }
+ */
+async function reopenQuestionResponse(context, transaction, response, data) {
+  const { updateResponseApprovalStatus, hasWorkflowSupport, hasTakeoutReasonSupport, stages } = context;
+  const reason = requireReason(data.reason);
+  const responseStatus = QUESTION_REOPEN_TARGETS[data.targetStatus];
+  if (!responseStatus) {
+    throw new ValidationError(`targetStatus must be one of: ${Object.keys(QUESTION_REOPEN_TARGETS).join(', ')}`);
+  }
+
+  const checkResult = await transaction.request()
+    .input('responseId', sql.UniqueIdentifier, response.ResponseId)
+    .input('questionId', sql.UniqueIdentifier, data.questionId)
+    .query(`
+      SELECT QuestionResponseId, TakeoutStatus FROM QuestionResponses
+      WHERE ResponseId = @responseId AND QuestionId = @questionId
+    `);
+
+  const questionResponse = checkResult.recordset[0];
+  if (!questionResponse) {
+    throw new NotFoundError('Question response not found');
+  }
+  if (questionResponse.TakeoutStatus !== TakeoutStatus.TAKEN_OUT) {
+    throw new ValidationError('Only taken out answers can be reopened');
+  }
+
+  const stageIndex = findCurrentStageIndex(stages, ResponseApprovalStatus.PENDING_IT_LEAD);
+  if (hasWorkflowSupport && stageIndex === -1) {
+    throw new ValidationError('The IT Lead stage is no longer part of the approval workflow of this event');
+  }
+  const stage = stageIndex === -1 ? null : stages[stageIndex];
+
+  const restore = data.targetStatus === TakeoutStatus.ACTIVE;
+  await transaction.request()
+    .input('questionResponseId', sql.UniqueIdentifier, questionResponse.QuestionResponseId)
+    .input('status', sql.NVarChar, data.targetStatus)
+    .query(`
+      UPDATE QuestionResponses
+      SET TakeoutStatus = @status, ReviewedBy = NULL, ReviewedAt = NULL
+          ${restore ? ', TakeoutReason = NULL, ProposedBy = NULL, ProposedAt = NULL' : ''}
+          ${restore && hasTakeoutReasonSupport ? ', TakeoutReasonCode = NULL' : ''}
+      WHERE QuestionResponseId = @questionResponseId
+    `);
+
+  await insertApprovalHistory(transaction, sql, {
+    questionResponseId: questionResponse.QuestionResponseId,
+    action: ApprovalAction.REOPENED,
+    performedBy: data.performedBy,
+    reason,
+    previousStatus: questionResponse.TakeoutStatus,
+    newStatus: data.targetStatus
+  });
+
+  const fields = { ...ADMIN_REVIEW_RESET, finalizedAt: null };
+  if (restore) {
+    Object.assign(fields, IT_LEAD_REVIEW_RESET);
+  }
+  if (hasWorkflowSupport) {
+    fields.approvalStageCode = stage.code;
+    fields.approvalStageDueAt = computeStageDueAt(stage);
+  }
+  await updateResponseApprovalStatus(transaction, response.ResponseId, responseStatus, fields);
+
+  return {
+    questionResponseId: questionResponse.QuestionResponseId,
+    previousStatus: questionResponse.TakeoutStatus,
+    takeoutStatus: data.targetStatus,
+    status: responseStatus,
+    stageCode: stage ? stage.code : null
+  };
+}
+
+module.exports = {
+  QUESTION_REOPEN_TARGETS,
+  SUBMITTED_TARGET,
+  buildResponseReopenFields,
+  loadFinalizedResponse,
+  reopenQuestionResponse,
+  reopenResponse,
+  resolveResponseReopenTarget
+};
@@ -0,0 +1,427 @@
+const sql = require('../../database/sql-client');
+const { ResponseApprovalStatus } = require('./constants');
+const { adminEventScope } = require('./workflow');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Approval statuses tracked against an SLA. The stage timer starts when the
+ * previous reviewer handed the response over: the admin's initial approval
+ * for the IT Lead stage, the IT Lead's approval (or the admin's, when the IT
+ * Lead stage was skipped) for the Department Head stage, and the IT Lead's
+ * takeout proposal for the admin takeout decision.
+ */
+const SLA_STAGES = {
+  [ResponseApprovalStatus.PENDING_IT_LEAD]: {
+    hoursKey: 'itLeadHours',
+    approver: 'ITLead',
+    adminPage: 'approval-it-lead',
+    startedAt: (row) => row.AdminReviewedAt
+  },
+  [ResponseApprovalStatus.PENDING_DEPARTMENT_HEAD]: {
+    hoursKey: 'departmentHeadHours',
+    approver: 'DepartmentHead',
+    adminPage: 'dept-head-review',
+    startedAt: (row) => row.ITLeadReviewedAt || row.AdminReviewedAt
+  },
+  [ResponseApprovalStatus.PENDING_ADMIN_TAKEOUT_DECISION]: {
+    hoursKey: 'takeoutDecisionHours',
+    approver: 'AdminEvent',
+    adminPage: 'approval-admin',
+    startedAt: (row) => row.ITLeadReviewedAt
+  }
+};
+
+const SLA_STATUS_LIST = Object.keys(SLA_STAGES).map((status) => `'${status}'`).join(', ');
+
+// Age buckets of the ageing report, upper bound in hours (exclusive)
+const AGE_BUCKETS = [
+  { key: 'under1Day', maxHours: 24 },
+  { key: 'days1To3', maxHours: 72 },
+  { key: 'days3To7', maxHours: 168 },
+  { key: 'over7Days', maxHours: Infinity }
+];
+
+const EscalationLevel = {
+  EVENT_ADMINS: 1,
+  SUPER_ADMIN: 2
+};
+
+function toHours(ms) {
+  return Math.round((ms / HOUR_MS) * 10) / 10;
+}
+
+function getSlaHours(slaConfig, status) {
+  const stage = SLA_STAGES[status];
+  const hours = Number(slaConfig?.[stage?.hoursKey]);
+  return Number.isFinite(hours) && hours > 0 ? hours : null;
+}
+
+/**
+ * Compute the stage timer of a pending response. Workflow stages keep the
+ * due date set when the response entered them (ApprovalStageDueAt); the
+ * configured SLA hours apply otherwise. The takeout decision is not a
+ * workflow stage, so it always uses the configured hours.
+ * @param {Object} row - Row returned by loadPendingApprovals
+ * @param {Object} slaConfig - config.approvalSla
+ * @param {Date} now - Reference time
+ * @returns {Object} Pending approval with stage start, due date and age
+ */
+function annotatePendingApproval(row, slaConfig, now = new Date()) {
+  const stage = SLA_STAGES[row.ResponseApprovalStatus];
+  const startedAt = new Date(stage.startedAt(row) || row.SubmittedAt);
+  const slaHours = getSlaHours(slaConfig, row.ResponseApprovalStatus);
+
+  let dueAt = null;
+  if (row.ApprovalStageDueAt && row.ResponseApprovalStatus !== ResponseApprovalStatus.PENDING_ADMIN_TAKEOUT_DECISION) {
+    dueAt = new Date(row.ApprovalStageDueAt);
+  } else if (slaHours) {
+    dueAt = new Date(startedAt.getTime() + slaHours * HOUR_MS);
+  }
+
+  const overdueMs = dueAt ? now.getTime() - dueAt.getTime() : 0;
+  return {
+    responseId: row.ResponseId,
+    surveyId: row.SurveyId,
+    surveyTitle: row.SurveyTitle,
+    status: row.ResponseApprovalStatus,
+    approver: stage.approver,
+    respondentName: row.RespondentName,
+    applicationId: row.ApplicationId,
+    applicationName: row.ApplicationName || null,
+    departmentId: row.DepartmentId,
+    departmentName: row.DepartmentName || null,
+    stageStartedAt: startedAt,
+    dueAt,
+    ageHours: toHours(Math.max(0, now.getTime() - startedAt.getTime())),
+    overdueHours: overdueMs > 0 ? toHours(overdueMs) : 0,
+    isOverdue: overdueMs > 0
+  };
+}
+
+/**
+ * Load every response waiting on an SLA-tracked approval stage
+ * @param {Object} executor - Pool or transaction
+ * @param {Object} options - { hasStageDueAt, surveyId, adminUserId }
+ * @returns {Promise<Array<Object>>} Pending response rows
+ */
+async function loadPendingApprovals(executor, options = {}) {
+  const request = executor.request();
+  let query = `
+    SELECT r.ResponseId, r.SurveyId, s.Title AS SurveyTitle, r.ResponseApprovalStatus,
+           r.RespondentName, r.ApplicationId, a.Name AS ApplicationName,
+           r.DepartmentId, d.Name AS DepartmentName,
+           r.SubmittedAt, r.AdminReviewedAt, r.ITLeadReviewedAt,
+           ${options.hasStageDueAt ? 'r.ApprovalStageDueAt' : 'NULL AS ApprovalStageDueAt'}
+    FROM Responses r
+    INNER JOIN Surveys s ON s.SurveyId = r.SurveyId
+    LEFT JOIN Applications a ON a.ApplicationId = r.ApplicationId
+    LEFT JOIN Departments d ON d.DepartmentId = r.DepartmentId
+    WHERE r.ResponseApprovalStatus IN (${SLA_STATUS_LIST})
+  `;
+
+  if (options.surveyId) {
+    query += ' AND r.SurveyId = @surveyId';
+    request.input('surveyId', sql.UniqueIdentifier, options.surveyId);
+  }
+  if (options.adminUserId) {
+    query += ` AND ${adminEventScope('s', '@adminUserId')}`;
+    request.input('adminUserId', sql.UniqueIdentifier, options.adminUserId);
+  }
+  query += ' ORDER BY r.SubmittedAt';
+
+  const result = await request.query(query);
+  return result.recordset;
+}
+
+function groupUsers(rows, keyColumn) {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = String(row[keyColumn]).toLowerCase();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ userId: row.UserId, displayName: row.DisplayName, email: row.Email });
+  });
+  return groups;
+}
+
+/**
+ * IT Leads of the applications that have responses pending an approval
+ * @param {Object} executor - Pool or transaction
+ * @returns {Promise<Map<string, Array<Object>>>} IT Leads keyed by lower-case ApplicationId
+ */
+async function loadITLeadsByApplication(executor) {
+  const result = await executor.request().query(`
+    SELECT DISTINCT fam.ApplicationId, u.UserId, u.DisplayName, u.Email
+    FROM FunctionApplicationMappings fam
+    INNER JOIN Functions f ON f.FunctionId = fam.FunctionId
+    INNER JOIN Users u ON u.UserId = f.ITLeadUserId
+    WHERE u.IsActive = 1
+      AND fam.ApplicationId IN (
+        SELECT ApplicationId FROM Responses WHERE ResponseApprovalStatus IN (${SLA_STATUS_LIST})
+      )
+  `);
+  return groupUsers(result.recordset, 'ApplicationId');
+}
+
+/**
+ * Add the delegates standing in for an approver next to the approver
+ * @param {Object} executor - Pool or transaction
+ * @param {Array<Map<string, Array<Object>>>} groups - Approvers grouped by application / department
+ * @returns {Promise<void>}
+ */
+async function addActiveDelegates(executor, groups) {
+  const result = await executor.request().query(`
+    SELECT ad.DelegatorUserId, u.UserId, u.DisplayName, u.Email
+    FROM ApproverDelegations ad
+    INNER JOIN Users u ON u.UserId = ad.DelegateUserId
+    WHERE ad.RevokedAt IS NULL
+      AND CAST(GETDATE() AS DATE) BETWEEN ad.StartDate AND ad.EndDate
+      AND u.IsActive = 1
+  `);
+  if (result.recordset.length === 0) return;
+
+  const delegatesByApprover = groupUsers(result.recordset, 'DelegatorUserId');
+  groups.forEach((group) => {
+    group.forEach((users) => {
+      users.slice().forEach((user) => {
+        lookup(delegatesByApprover, user.userId).forEach((delegate) => {
+          if (!users.some((existing) => String(existing.userId).toLowerCase() === String(delegate.userId).toLowerCase())) {
+            users.push(delegate);
+          }
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Load everyone who can act on or be escalated a pending approval
+ * @param {Object} executor - Pool or transaction
+ * @param {Object} options - { hasDelegationSupport } adds the delegates of approvers on leave
+ * @returns {Promise<Object>} { itLeadsByApplication, departmentHeadsByDepartment, adminsBySurvey, superAdmins }
+ */
+async function loadApprovers(executor, options = {}) {
+  const itLeadsByApplication = await loadITLeadsByApplication(executor);
+
+  const heads = await executor.request().query(`
+    SELECT u.DepartmentId, u.UserId, u.DisplayName, u.Email
+    FROM Users u
+    WHERE u.Role = 'DepartmentHead'
+      AND u.IsActive = 1
+      AND u.DepartmentId IN (
+        SELECT DepartmentId FROM Responses WHERE ResponseApprovalStatus = '${ResponseApprovalStatus.PENDING_DEPARTMENT_HEAD}'
+      )
+  `);
+
+  const admins = await executor.request().query(`
+    SELECT DISTINCT assigned.SurveyId, u.UserId, u.DisplayName, u.Email
+    FROM (
+      SELECT SurveyId, AssignedAdminId AS AdminUserId FROM Events WHERE AssignedAdminId IS NOT NULL
+      UNION
+      SELECT SurveyId, AdminUserId FROM SurveyAdminAssignments
+    ) assigned
+    INNER JOIN Users u ON u.UserId = assigned.AdminUserId
+    WHERE u.IsActive = 1
+      AND assigned.SurveyId IN (
+        SELECT SurveyId FROM Responses WHERE ResponseApprovalStatus IN (${SLA_STATUS_LIST})
+      )
+  `);
+
+  const superAdmins = await executor.request().query(`
+    SELECT UserId, DisplayName, Email
+    FROM Users
+    WHERE Role = 'SuperAdmin'
+      AND IsActive = 1
+  `);
+
+  const departmentHeadsByDepartment = groupUsers(heads.recordset, 'DepartmentId');
+  if (options.hasDelegationSupport) {
+    await addActiveDelegates(executor, [itLeadsByApplication, departmentHeadsByDepartment]);
+  }
+
+  return {
+    itLeadsByApplication,
+    departmentHeadsByDepartment,
+    adminsBySurvey: groupUsers(admins.recordset, 'SurveyId'),
+    superAdmins: superAdmins.recordset.map((row) => ({
+      userId: row.UserId,
+      displayName: row.DisplayName,
+      email: row.Email
+    }))
+  };
+}
+
+function lookup(map, id) {
+  return id ? map.get(String(id).toLowerCase()) || [] : [];
+}
+
+/**
+ * The users whose action a pending approval is waiting on
+ * @param {Object} item - Item returned by annotatePendingApproval
+ * @param {Object} approvers - Result of loadApprovers
+ * @returns {Array<Object>} Users
+ */
+function getStageApprovers(item, approvers) {
+  if (item.status === ResponseApprovalStatus.PENDING_IT_LEAD) {
+    return lookup(approvers.itLeadsByApplication, item.applicationId);
+  }
+  if (item.status === ResponseApprovalStatus.PENDING_DEPARTMENT_HEAD) {
+    return lookup(approvers.departmentHeadsByDepartment, item.departmentId);
+  }
+  return lookup(approvers.adminsBySurvey, item.surveyId);
+}
+
+/**
+ * The users an overdue approval is escalated to at a level. Takeout
+ * decisions are already waiting on the event admins, so they skip level 1.
+ * @param {Object} item - Item returned by annotatePendingApproval
+ * @param {number} level - EscalationLevel
+ * @param {Object} approvers - Result of loadApprovers
+ * @returns {Array<Object>} Users
+ */
+function getEscalationRecipients(item, level, approvers) {
+  if (level === EscalationLevel.SUPER_ADMIN) {
+    return approvers.superAdmins;
+  }
+  if (item.status === ResponseApprovalStatus.PENDING_ADMIN_TAKEOUT_DECISION) {
+    return [];
+  }
+  return lookup(approvers.adminsBySurvey, item.surveyId);
+}
+
+/**
+ * Escalation levels an overdue approval has reached
+ * @param {Object} item - Item returned by annotatePendingApproval
+ * @param {Object} slaConfig - config.approvalSla
+ * @returns {Array<number>} EscalationLevel values
+ */
+function getDueEscalationLevels(item, slaConfig) {
+  if (!item.isOverdue) return [];
+  const levels = [EscalationLevel.EVENT_ADMINS];
+  const superAdminAfterHours = Number(slaConfig?.superAdminAfterHours);
+  if (Number.isFinite(superAdminAfterHours) && superAdminAfterHours >= 0 && item.overdueHours >= superAdminAfterHours) {
+    levels.push(EscalationLevel.SUPER_ADMIN);
+  }
+  return levels;
+}
+
+/**
+ * Record an escalation unless this stage already reached the level
+ * @param {Object} executor - Pool or transaction
+ * @param {Object} item - Item returned by annotatePendingApproval
+ * @param {number} level - EscalationLevel
+ * @param {number} recipientCount - Number of users notified
+ * @returns {Promise<boolean>} Whether the escalation is new
+ */
+async function recordEscalation(executor, item, level, recipientCount) {
+  const result = await executor.request()
+    .input('responseId', sql.UniqueIdentifier, item.responseId)
+    .input('stageStatus', sql.NVarChar(50), item.status)
+    .input('stageStartedAt', sql.DateTime2, item.stageStartedAt)
+    .input('level', sql.Int, level)
+    .input('recipientCount', sql.Int, recipientCount)
+    .query(`
+      INSERT INTO ApprovalEscalations (ResponseId, StageStatus, StageStartedAt, EscalationLevel, RecipientCount, EscalatedAt)
+      OUTPUT INSERTED.EscalationId
+      SELECT @responseId, @stageStatus, @stageStartedAt, @level, @recipientCount, GETDATE()
+      WHERE NOT EXISTS (
+        SELECT 1
+        FROM ApprovalEscalations
+        WHERE ResponseId = @responseId
+          AND StageStatus = @stageStatus
+          AND StageStartedAt = @stageStartedAt
+          AND EscalationLevel = @level
+      )
+    `);
+
+  return result.recordset.length > 0;
+}
+
+function createAgeingBucket() {
+  const bucket = { pending: 0, overdue: 0, oldestAgeHours: 0, totalAgeHours: 0, buckets: {} };
+  AGE_BUCKETS.forEach(({ key }) => { bucket.buckets[key] = 0; });
+  return bucket;
+}
+
+function addToBucket(bucket, item) {
+  bucket.pending += 1;
+  if (item.isOverdue) bucket.overdue += 1;
+  bucket.oldestAgeHours = Math.max(bucket.oldestAgeHours, item.ageHours);
+  bucket.totalAgeHours += item.ageHours;
+  const ageBucket = AGE_BUCKETS.find(({ maxHours }) => item.ageHours < maxHours);
+  bucket.buckets[ageBucket.key] += 1;
+}
+
+function finishBucket(bucket) {
+  const { totalAgeHours, ...rest } = bucket;
+  return {
+    ...rest,
+    averageAgeHours: bucket.pending ? Math.round((totalAgeHours / bucket.pending) * 10) / 10 : 0
+  };
+}
+
+/**
+ * Summarize the approval backlog by stage and by IT Lead
+ * @param {Array<Object>} items - Items returned by annotatePendingApproval
+ * @param {Map<string, Array<Object>>} itLeadsByApplication - Result of loadITLeadsByApplication
+ * @param {Object} slaConfig - config.approvalSla
+ * @param {Date} now - Reference time
+ * @returns {Object} Ageing report
+ */
+function buildAgeingReport(items, itLeadsByApplication, slaConfig, now = new Date()) {
+  const totals = createAgeingBucket();
+  const byStage = new Map(Object.keys(SLA_STAGES).map((status) => [status, createAgeingBucket()]));
+  const byITLead = new Map();
+
+  items.forEach((item) => {
+    addToBucket(totals, item);
+    addToBucket(byStage.get(item.status), item);
+
+    if (item.status !== ResponseApprovalStatus.PENDING_IT_LEAD) return;
+    const itLeads = lookup(itLeadsByApplication, item.applicationId);
+    (itLeads.length ? itLeads : [null]).forEach((itLead) => {
+      const key = itLead ? String(itLead.userId).toLowerCase() : 'unassigned';
+      if (!byITLead.has(key)) {
+        byITLead.set(key, {
+          userId: itLead?.userId || null,
+          displayName: itLead?.displayName || 'Unassigned',
+          email: itLead?.email || null,
+          ...createAgeingBucket()
+        });
+      }
+      addToBucket(byITLead.get(key), item);
+    });
+  });
+
+  return {
+    generatedAt: now,
+    totals: finishBucket(totals),
+    byStage: [...byStage.entries()].map(([status, bucket]) => ({
+      status,
+      slaHours: getSlaHours(slaConfig, status),
+      ...finishBucket(bucket)
+    })),
+    byITLead: [...byITLead.values()]
+      .map(finishBucket)
+      .sort((a, b) => b.overdue - a.overdue || b.pending - a.pending),
+    overdueItems: items
+      .filter((item) => item.isOverdue)
+      .sort((a, b) => b.overdueHours - a.overdueHours)
+  };
+}
+
+module.exports = {
+  AGE_BUCKETS,
+  EscalationLevel,
+  SLA_STAGES,
+  annotatePendingApproval,
+  buildAgeingReport,
+  getDueEscalationLevels,
+  getEscalationRecipients,
+  getSlaHours,
+  getStageApprovers,
+  loadApprovers,
+  loadITLeadsByApplication,
+  loadPendingApprovals,
+  recordEscalation
+};
@@ -1,3 +1,34 @@
+/**
+ * Log a takeout action. OnBehalfOf is set when a delegate acted for the IT
+ * Lead; the column only exists once migration 051 ran, which is also the
+ * only case where a delegate can act. ReasonCode is likewise only set once
+ * the takeout reason catalogue of migration 052 exists.
+ */
+async function insertApprovalHistory(transaction, sql, entry) {
+  const request = transaction.request()
+    .input('questionResponseId', sql.UniqueIdentifier, entry.questionResponseId)
+    .input('action', sql.NVarChar, entry.action)
+    .input('performedBy', sql.UniqueIdentifier, entry.performedBy)
+    .input('reason', sql.NVarChar, entry.reason || null)
+    .input('previousStatus', sql.NVarChar, entry.previousStatus)
+    .input('newStatus', sql.NVarChar, entry.newStatus);
+
+  const columns = ['QuestionResponseId', 'Action', 'PerformedBy', 'Reason', 'PreviousStatus', 'NewStatus'];
+  if (entry.onBehalfOf) {
+    request.input('onBehalfOf', sql.UniqueIdentifier, entry.onBehalfOf.userId);
+    columns.push('OnBehalfOf');
+  }
+  if (entry.reasonCode) {
+    request.input('reasonCode', sql.NVarChar(50), entry.reasonCode);
+    columns.push('ReasonCode');
+  }
+  const values = columns.map((column) => `@${column.charAt(0).toLowerCase()}${column.slice(1)}`);
+  await request.query(`
+    INSERT INTO ApprovalHistory (${columns.join(', ')})
+    VALUES (${values.join(', ')})
+  `);
+}
+
 async function proposeTakeoutForQuestion(context, request) {
   const {
     ApprovalAction,
@@ -9,13 +40,14 @@ async function proposeTakeoutForQuestion(context, request) {
     assertITLeadCanAccessResponse,
     getResponseApprovalStatus,
     updateResponseApprovalStatus,
+    resolveTakeoutReason,
     pool,
     sql
   } = context;
-  const { responseId, questionId, reason, proposedBy, proposedByRole } = request;
+  const { responseId, questionId, reason, reasonCode, proposedBy, proposedByRole } = request;
 
-  if (!responseId || !questionId || !reason || !proposedBy) {
-    throw new ValidationError('ResponseId, QuestionId, Reason, and ProposedBy are required');
+  if (!responseId || !questionId || (!reason && !reasonCode) || !proposedBy) {
+    throw new ValidationError('ResponseId, QuestionId, Reason or ReasonCode, and ProposedBy are required');
   }
 
   const hasApprovalStatus = await hasResponseApprovalStatusColumn();
@@ -23,8 +55,9 @@ async function proposeTakeoutForQuestion(context, request) {
   await transaction.begin();
 
   try {
+    let onBehalfOf = null;
     if (proposedByRole === 'ITLead') {
-      await assertITLeadCanAccessResponse(transaction, responseId, proposedBy);
+      ({ onBehalfOf } = await assertITLeadCanAccessResponse(transaction, responseId, proposedBy));
     }
 
     if (hasApprovalStatus) {
@@ -34,6 +67,10 @@ async function proposeTakeoutForQuestion(context, request) {
       }
     }
 
+    // null until migration 052: the free-text reason is then stored as is
+    const takeoutReason = await resolveTakeoutReason(transaction, reasonCode, reason);
+    const reasonText = takeoutReason ? takeoutReason.text : reason;
+
     const checkResult = await transaction.request()
       .input('responseId', sql.UniqueIdentifier, responseId)
       .input('questionId', sql.UniqueIdentifier, questionId)
@@ -50,33 +87,36 @@ async function proposeTakeoutForQuestion(context, request) {
     const questionResponse = checkResult.recordset[0];
     const previousStatus = questionResponse.TakeoutStatus;
 
-    await transaction.request()
+    const updateRequest = transaction.request()
       .input('responseId', sql.UniqueIdentifier, responseId)
       .input('questionId', sql.UniqueIdentifier, questionId)
       .input('status', sql.NVarChar, TakeoutStatus.PROPOSED_TAKEOUT)
-      .input('reason', sql.NVarChar, reason)
+      .input('reason', sql.NVarChar, reasonText)
       .input('proposedBy', sql.UniqueIdentifier, proposedBy)
-      .input('proposedAt', sql.DateTime2, new Date())
-      .query(`
-        UPDATE QuestionResponses
-        SET TakeoutStatus = @status,
-            TakeoutReason = @reason,
-            ProposedBy = @proposedBy,
-            ProposedAt = @proposedAt
-        WHERE ResponseId = @responseId AND QuestionId = @questionId
-      `);
-
-    await transaction.request()
-      .input('questionResponseId', sql.UniqueIdentifier, questionResponse.QuestionResponseId)
-      .input('action', sql.NVarChar, ApprovalAction.PROPOSED)
-      .input('performedBy', sql.UniqueIdentifier, proposedBy)
-      .input('reason', sql.NVarChar, reason)
-      .input('previousStatus', sql.NVarChar, previousStatus)
-      .input('newStatus', sql.NVarChar, TakeoutStatus.PROPOSED_TAKEOUT)
-      .query(`
-        INSERT INTO ApprovalHistory (QuestionResponseId, Action, PerformedBy, Reason, PreviousStatus, NewStatus)
-        VALUES (@questionResponseId, @action, @performedBy, @reason, @previousStatus, @newStatus)
-      `);
+      .input('proposedAt', sql.DateTime2, new Date());
+    if (takeoutReason) {
+      updateRequest.input('reasonCode', sql.NVarChar(50), takeoutReason.code);
+    }
+    await updateRequest.query(`
+      UPDATE QuestionResponses
+      SET TakeoutStatus = @status,
+          TakeoutReason = @reason,
+          ${takeoutReason ? 'TakeoutReasonCode = @reasonCode,' : ''}
+          ProposedBy = @proposedBy,
+          ProposedAt = @proposedAt
+      WHERE ResponseId = @responseId AND QuestionId = @questionId
+    `);
+
+    await insertApprovalHistory(transaction, sql, {
+      questionResponseId: questionResponse.QuestionResponseId,
+      action: ApprovalAction.PROPOSED,
+      performedBy: proposedBy,
+      onBehalfOf,
+      reason: reasonText,
+      reasonCode: takeoutReason ? takeoutReason.code : null,
+      previousStatus,
+      newStatus: TakeoutStatus.PROPOSED_TAKEOUT
+    });
 
     if (hasApprovalStatus) {
       await updateResponseApprovalStatus(
@@ -86,7 +126,7 @@ async function proposeTakeoutForQuestion(context, request) {
         {
           itLeadReviewedBy: proposedBy,
           itLeadReviewedAt: new Date(),
-          itLeadReviewReason: reason,
+          itLeadReviewReason: reasonText,
           finalizedAt: null
         }
       );
@@ -97,7 +137,9 @@ async function proposeTakeoutForQuestion(context, request) {
     return {
       success: true,
       questionResponseId: questionResponse.QuestionResponseId,
-      status: TakeoutStatus.PROPOSED_TAKEOUT
+      status: TakeoutStatus.PROPOSED_TAKEOUT,
+      reasonCode: takeoutReason ? takeoutReason.code : null,
+      onBehalfOf
     };
   } catch (error) {
     await transaction.rollback();
@@ -115,6 +157,7 @@ async function cancelProposedTakeoutForQuestion(context, responseId, questionId,
     hasResponseApprovalStatusColumn,
     assertITLeadCanAccessResponse,
     updateResponseApprovalStatus,
+    hasTakeoutReasonSupport,
     pool,
     sql
   } = context;
@@ -124,12 +167,14 @@ async function cancelProposedTakeoutForQuestion(context, responseId, questionId,
   }
 
   const hasApprovalStatus = await hasResponseApprovalStatusColumn();
+  const hasReasonCodes = await hasTakeoutReasonSupport();
   const transaction = new sql.Transaction(pool);
   await transaction.begin();
 
   try {
+    let onBehalfOf = null;
     if (cancelledByRole === 'ITLead') {
-      await assertITLeadCanAccessResponse(transaction, responseId, cancelledBy);
+      ({ onBehalfOf } = await assertITLeadCanAccessResponse(transaction, responseId, cancelledBy));
     }
 
     const checkResult = await transaction.request()
@@ -159,21 +204,21 @@ async function cancelProposedTakeoutForQuestion(context, responseId, questionId,
         UPDATE QuestionResponses
         SET TakeoutStatus = @status,
             TakeoutReason = NULL,
+            ${hasReasonCodes ? 'TakeoutReasonCode = NULL,' : ''}
             ProposedBy = NULL,
             ProposedAt = NULL
         WHERE ResponseId = @responseId AND QuestionId = @questionId
       `);
 
-    await transaction.request()
-      .input('questionResponseId', sql.UniqueIdentifier, questionResponse.QuestionResponseId)
-      .input('action', sql.NVarChar, ApprovalAction.CANCELLED)
-      .input('performedBy', sql.UniqueIdentifier, cancelledBy)
-      .input('previousStatus', sql.NVarChar, previousStatus)
-      .input('newStatus', sql.NVarChar, TakeoutStatus.ACTIVE)
-      .query(`
-        INSERT INTO ApprovalHistory (QuestionResponseId, Action, PerformedBy, Reason, PreviousStatus, NewStatus)
-        VALUES (@questionResponseId, @action, @performedBy, NULL, @previousStatus, @newStatus)
-      `);
+    await insertApprovalHistory(transaction, sql, {
+      questionResponseId: questionResponse.QuestionResponseId,
+      action: ApprovalAction.CANCELLED,
+      performedBy: cancelledBy,
+      onBehalfOf,
+      reason: null,
+      previousStatus,
+      newStatus: TakeoutStatus.ACTIVE
+    });
 
     if (hasApprovalStatus) {
       const remaining = await transaction.request()
@@ -206,7 +251,8 @@ async function cancelProposedTakeoutForQuestion(context, responseId, questionId,
     return {
       success: true,
       questionResponseId: questionResponse.QuestionResponseId,
-      status: TakeoutStatus.ACTIVE
+      status: TakeoutStatus.ACTIVE,
+      onBehalfOf
     };
   } catch (error) {
     await transaction.rollback();
@@ -214,7 +260,11 @@ async function cancelProposedTakeoutForQuestion(context, responseId, questionId,
   }
 }
 
-async function approveProposedTakeout(context, responseId, questionId, approvedBy, reason = null, approvedByRole = null) {
+/**
+ * Approve a proposed takeout. The admin can pass reasonCode to reclassify
+ * the takeout when the IT Lead picked the wrong reason.
+ */
+async function approveProposedTakeout(context, responseId, questionId, approvedBy, reason = null, approvedByRole = null, reasonCode = null) {
   const {
     ApprovalAction,
     ResponseApprovalStatus,
@@ -225,6 +275,8 @@ async function approveProposedTakeout(context, responseId, questionId, approvedB
     assertAdminEventCanAccessResponse,
     getResponseApprovalStatus,
     finalizeResponseIfReady,
+    hasTakeoutReasonSupport,
+    resolveTakeoutReason,
     pool,
     sql
   } = context;
@@ -234,6 +286,7 @@ async function approveProposedTakeout(context, responseId, questionId, approvedB
   }
 
   const hasApprovalStatus = await hasResponseApprovalStatusColumn();
+  const hasReasonCodes = await hasTakeoutReasonSupport();
   const transaction = new sql.Transaction(pool);
   await transaction.begin();
 
@@ -253,7 +306,7 @@ async function approveProposedTakeout(context, responseId, questionId, approvedB
       .input('responseId', sql.UniqueIdentifier, responseId)
       .input('questionId', sql.UniqueIdentifier, questionId)
       .query(`
-        SELECT QuestionResponseId, TakeoutStatus FROM QuestionResponses
+        SELECT QuestionResponseId, TakeoutStatus${hasReasonCodes ? ', TakeoutReasonCode' : ''} FROM QuestionResponses
         WHERE ResponseId = @responseId AND QuestionId = @questionId
       `);
 
@@ -267,36 +320,49 @@ async function approveProposedTakeout(context, responseId, questionId, approvedB
       throw new ValidationError('Can only approve proposed takeouts');
     }
 
-    await transaction.request()
+    // The decision is logged with the final reason so analytics follow a reclassification
+    let finalReasonCode = hasReasonCodes ? questionResponse.TakeoutReasonCode || null : null;
+    if (reasonCode) {
+      finalReasonCode = (await resolveTakeoutReason(transaction, reasonCode, reason || questionResponse.TakeoutReason)).code;
+    }
+
+    const updateRequest = transaction.request()
       .input('responseId', sql.UniqueIdentifier, responseId)
       .input('questionId', sql.UniqueIdentifier, questionId)
       .input('status', sql.NVarChar, TakeoutStatus.TAKEN_OUT)
       .input('reviewedBy', sql.UniqueIdentifier, approvedBy)
-      .input('reviewedAt', sql.DateTime2, new Date())
-      .query(`
-        UPDATE QuestionResponses
-        SET TakeoutStatus = @status, ReviewedBy = @reviewedBy, ReviewedAt = @reviewedAt
-        WHERE ResponseId = @responseId AND QuestionId = @questionId
-      `);
-
-    await transaction.request()
-      .input('questionResponseId', sql.UniqueIdentifier, questionResponse.QuestionResponseId)
-      .input('action', sql.NVarChar, ApprovalAction.APPROVED)
-      .input('performedBy', sql.UniqueIdentifier, approvedBy)
-      .input('reason', sql.NVarChar, reason)
-      .input('previousStatus', sql.NVarChar, previousStatus)
-      .input('newStatus', sql.NVarChar, TakeoutStatus.TAKEN_OUT)
-      .query(`
-        INSERT INTO ApprovalHistory (QuestionResponseId, Action, PerformedBy, Reason, PreviousStatus, NewStatus)
-        VALUES (@questionResponseId, @action, @performedBy, @reason, @previousStatus, @newStatus)
-      `);
+      .input('reviewedAt', sql.DateTime2, new Date());
+    if (reasonCode) {
+      updateRequest.input('reasonCode', sql.NVarChar(50), finalReasonCode);
+    }
+    await updateRequest.query(`
+      UPDATE QuestionResponses
+      SET TakeoutStatus = @status, ReviewedBy = @reviewedBy, ReviewedAt = @reviewedAt
+          ${reasonCode ? ', TakeoutReasonCode = @reasonCode' : ''}
+      WHERE ResponseId = @responseId AND QuestionId = @questionId
+    `);
+
+    await insertApprovalHistory(transaction, sql, {
+      questionResponseId: questionResponse.QuestionResponseId,
+      action: ApprovalAction.APPROVED,
+      performedBy: approvedBy,
+      reason,
+      reasonCode: finalReasonCode,
+      previousStatus,
+      newStatus: TakeoutStatus.TAKEN_OUT
+    });
 
     if (hasApprovalStatus) {
       await finalizeResponseIfReady(transaction, responseId, approvedBy, reason || null);
     }
 
     await transaction.commit();
-    return { success: true, questionResponseId: questionResponse.QuestionResponseId, status: TakeoutStatus.TAKEN_OUT };
+    return {
+      success: true,
+      questionResponseId: questionResponse.QuestionResponseId,
+      status: TakeoutStatus.TAKEN_OUT,
+      reasonCode: finalReasonCode
+    };
   } catch (error) {
     await transaction.rollback();
     throw error;
@@ -314,6 +380,7 @@ async function rejectProposedTakeout(context, responseId, questionId, rejectedBy
     assertAdminEventCanAccessResponse,
     getResponseApprovalStatus,
     finalizeResponseIfReady,
+    hasTakeoutReasonSupport,
     pool,
     sql
   } = context;
@@ -323,6 +390,7 @@ async function rejectProposedTakeout(context, responseId, questionId, rejectedBy
   }
 
   const hasApprovalStatus = await hasResponseApprovalStatusColumn();
+  const hasReasonCodes = await hasTakeoutReasonSupport();
   const transaction = new sql.Transaction(pool);
   await transaction.begin();
 
@@ -365,21 +433,19 @@ async function rejectProposedTakeout(context, responseId, questionId, rejectedBy
       .query(`
         UPDATE QuestionResponses
         SET TakeoutStatus = @status, TakeoutReason = NULL,
+            ${hasReasonCodes ? 'TakeoutReasonCode = NULL,' : ''}
             ProposedBy = NULL, ProposedAt = NULL, ReviewedBy = @reviewedBy, ReviewedAt = @reviewedAt
         WHERE ResponseId = @responseId AND QuestionId = @questionId
       `);
 
-    await transaction.request()
-      .input('questionResponseId', sql.UniqueIdentifier, questionResponse.QuestionResponseId)
-      .input('action', sql.NVarChar, ApprovalAction.REJECTED)
-      .input('performedBy', sql.UniqueIdentifier, rejectedBy)
-      .input('reason', sql.NVarChar, reason)
-      .input('previousStatus', sql.NVarChar, previousStatus)
-      .input('newStatus', sql.NVarChar, TakeoutStatus.ACTIVE)
-      .query(`
-        INSERT INTO ApprovalHistory (QuestionResponseId, Action, PerformedBy, Reason, PreviousStatus, NewStatus)
-        VALUES (@questionResponseId, @action, @performedBy, @reason, @previousStatus, @newStatus)
-      `);
+    await insertApprovalHistory(transaction, sql, {
+      questionResponseId: questionResponse.QuestionResponseId,
+      action: ApprovalAction.REJECTED,
+      performedBy: rejectedBy,
+      reason,
+      previousStatus,
+      newStatus: TakeoutStatus.ACTIVE
+    });
 
     if (hasApprovalStatus) {
       await finalizeResponseIfReady(transaction, responseId, rejectedBy, reason);
@@ -410,6 +476,7 @@ module.exports = {
   approveProposedTakeout,
   bulkTakeoutAction,
   cancelProposedTakeoutForQuestion,
+  insertApprovalHistory,
   proposeTakeoutForQuestion,
   rejectProposedTakeout
 };
@@ -0,0 +1,251 @@
+const sql = require('../../database/sql-client');
+const { NotFoundError, ValidationError } = require('./constants');
+const { adminEventScope } = require('./workflow');
+
+// Used when a client only sends free text; it requires that text as detail
+const DEFAULT_TAKEOUT_REASON_CODE = 'OTHER';
+const REASON_CODE_PATTERN = /^[A-Z][A-Z0-9_]{1,49}$/;
+
+function mapTakeoutReason(row) {
+  return {
+    reasonCode: row.ReasonCode,
+    label: row.Label,
+    description: row.Description || null,
+    requiresDetail: Boolean(row.RequiresDetail),
+    sortOrder: Number(row.SortOrder || 0),
+    isActive: Boolean(row.IsActive),
+    updatedAt: row.UpdatedAt || null
+  };
+}
+
+/**
+ * List the takeout reason catalogue
+ * @param {Object} executor - Pool or transaction
+ * @param {Object} options - { includeInactive }
+ * @returns {Promise<Array<Object>>} Reasons ordered for display
+ */
+async function listTakeoutReasons(executor, options = {}) {
+  const result = await executor.request().query(`
+    SELECT ReasonCode, Label, Description, RequiresDetail, SortOrder, IsActive, UpdatedAt
+    FROM TakeoutReasons
+    ${options.includeInactive ? '' : 'WHERE IsActive = 1'}
+    ORDER BY SortOrder, Label
+  `);
+  return result.recordset.map(mapTakeoutReason);
+}
+
+/**
+ * Create or update a takeout reason. Reasons are deactivated rather than
+ * deleted because past takeouts keep referring to them.
+ * @param {Object} executor - Pool or transaction
+ * @param {string} reasonCode - Code, e.g. WRONG_APPLICATION
+ * @param {Object} data - { label, description, requiresDetail, sortOrder, isActive }
+ * @param {string} updatedBy - User ID
+ * @returns {Promise<Object>} { reason, created }
+ */
+async function saveTakeoutReason(executor, reasonCode, data, updatedBy) {
+  const code = String(reasonCode || '').trim().toUpperCase();
+  if (!REASON_CODE_PATTERN.test(code)) {
+    throw new ValidationError('reasonCode must be 2-50 characters of A-Z, 0-9 or _ and start with a letter');
+  }
+  const label = String(data.label || '').trim();
+  if (!label || label.length > 200) {
+    throw new ValidationError('label is required and must not exceed 200 characters');
+  }
+  const isActive = data.isActive !== false;
+  if (code === DEFAULT_TAKEOUT_REASON_CODE && !isActive) {
+    throw new ValidationError(`${DEFAULT_TAKEOUT_REASON_CODE} cannot be deactivated`);
+  }
+
+  const result = await executor.request()
+    .input('reasonCode', sql.NVarChar(50), code)
+    .input('label', sql.NVarChar(200), label)
+    .input('description', sql.NVarChar(500), data.description ? String(data.description).trim() : null)
+    .input('requiresDetail', sql.Bit, Boolean(data.requiresDetail))
+    .input('sortOrder', sql.Int, Number.isInteger(data.sortOrder) ? data.sortOrder : 0)
+    .input('isActive', sql.Bit, isActive)
+    .input('updatedBy', sql.UniqueIdentifier, updatedBy)
+    .query(`
+      MERGE TakeoutReasons WITH (HOLDLOCK) AS target
+      USING (SELECT @reasonCode AS ReasonCode) AS source
+      ON target.ReasonCode = source.ReasonCode
+      WHEN MATCHED THEN
+        UPDATE SET Label = @label, Description = @description, RequiresDetail = @requiresDetail,
+                   SortOrder = @sortOrder, IsActive = @isActive, UpdatedBy = @updatedBy, UpdatedAt = GETDATE()
+      WHEN NOT MATCHED THEN
+        INSERT (ReasonCode, Label, Description, RequiresDetail, SortOrder, IsActive, UpdatedBy, UpdatedAt)
+        VALUES (@reasonCode, @label, @description, @requiresDetail, @sortOrder, @isActive, @updatedBy, GETDATE())
+      OUTPUT $action AS MergeAction, inserted.ReasonCode, inserted.Label, inserted.Description,
+             inserted.RequiresDetail, inserted.SortOrder, inserted.IsActive, inserted.UpdatedAt;
+    `);
+
+  const row = result.recordset[0];
+  return { reason: mapTakeoutReason(row), created: row.MergeAction === 'INSERT' };
+}
+
+/**
+ * Validate the reason an IT Lead gave for a takeout. Without a code the free
+ * text is filed under OTHER, so older clients keep working.
+ * @param {Object} executor - Pool or transaction
+ * @param {string|null} reasonCode - Catalogue code
+ * @param {string|null} detail - Optional free-text detail
+ * @returns {Promise<Object>} { code, label, text } - text is stored as TakeoutReason
+ */
+async function resolveTakeoutReason(executor, reasonCode, detail) {
+  const code = reasonCode ? String(reasonCode).trim().toUpperCase() : DEFAULT_TAKEOUT_REASON_CODE;
+  const text = detail ? String(detail).trim() : '';
+
+  const result = await executor.request()
+    .input('reasonCode', sql.NVarChar(50), code)
+    .query(`
+      SELECT ReasonCode, Label, RequiresDetail
+      FROM TakeoutReasons
+      WHERE ReasonCode = @reasonCode AND IsActive = 1
+    `);
+
+  const row = result.recordset[0];
+  if (!row) {
+    throw new NotFoundError(`Takeout reason ${code} not found or inactive`);
+  }
+  if (row.RequiresDetail && !text) {
+    throw new ValidationError(`Takeout reason ${row.Label} requires a detail`);
+  }
+  return { code: row.ReasonCode, label: row.Label, text: text || row.Label };
+}
+
+/**
+ * Load every takeout proposal with the decision that followed it. A decision
+ * is the first Approved, Rejected or Cancelled entry after the proposal; an
+ * approval may have reclassified the reason.
+ * @param {Object} executor - Pool or transaction
+ * @param {Object} options - { surveyId, adminUserId, from, to }
+ * @returns {Promise<Array<Object>>} Proposal rows
+ */
+async function loadTakeoutProposals(executor, options = {}) {
+  const request = executor.request();
+  const conditions = ["h.Action = 'Proposed'"];
+
+  if (options.surveyId) {
+    conditions.push('r.SurveyId = @surveyId');
+    request.input('surveyId', sql.UniqueIdentifier, options.surveyId);
+  }
+  if (options.adminUserId) {
+    conditions.push(adminEventScope('s', '@adminUserId'));
+    request.input('adminUserId', sql.UniqueIdentifier, options.adminUserId);
+  }
+  if (options.from) {
+    conditions.push('h.PerformedAt >= @from');
+    request.input('from', sql.DateTime2, options.from);
+  }
+  if (options.to) {
+    conditions.push('h.PerformedAt < @to');
+    request.input('to', sql.DateTime2, options.to);
+  }
+
+  const result = await request.query(`
+    SELECT h.HistoryId, h.PerformedAt AS ProposedAt,
+           h.PerformedBy AS ITLeadUserId, itLead.DisplayName AS ITLeadName,
+           COALESCE(decision.ReasonCode, h.ReasonCode) AS ReasonCode, reason.Label AS ReasonLabel,
+           decision.Action AS Outcome,
+           a.ApplicationId, a.Name AS ApplicationName
+    FROM ApprovalHistory h
+    INNER JOIN QuestionResponses qr ON qr.QuestionResponseId = h.QuestionResponseId
+    INNER JOIN Responses r ON r.ResponseId = qr.ResponseId
+    INNER JOIN Surveys s ON s.SurveyId = r.SurveyId
+    INNER JOIN Applications a ON a.ApplicationId = r.ApplicationId
+    INNER JOIN Users itLead ON itLead.UserId = h.PerformedBy
+    OUTER APPLY (
+      SELECT TOP 1 d.Action, d.ReasonCode
+      FROM ApprovalHistory d
+      WHERE d.QuestionResponseId = h.QuestionResponseId
+        AND d.HistoryId <> h.HistoryId
+        AND d.Action IN ('Approved', 'Rejected', 'Cancelled')
+        AND d.PerformedAt >= h.PerformedAt
+      ORDER BY d.PerformedAt ASC
+    ) decision
+    LEFT JOIN TakeoutReasons reason ON reason.ReasonCode = COALESCE(decision.ReasonCode, h.ReasonCode)
+    WHERE ${conditions.join(' AND ')}
+  `);
+  return result.recordset;
+}
+
+const OUTCOME_KEYS = {
+  Approved: 'takenOut',
+  Rejected: 'rejected',
+  Cancelled: 'cancelled'
+};
+
+function createCounts() {
+  return { proposed: 0, takenOut: 0, rejected: 0, cancelled: 0, pending: 0, rejectionRate: null };
+}
+
+function countProposal(counts, row) {
+  counts.proposed += 1;
+  counts[OUTCOME_KEYS[row.Outcome] || 'pending'] += 1;
+}
+
+// Share of admin decisions that overturned the proposal
+function finishCounts(counts) {
+  const decided = counts.takenOut + counts.rejected;
+  counts.rejectionRate = decided > 0 ? Math.round((counts.rejected / decided) * 1000) / 10 : null;
+  return counts;
+}
+
+function groupProposals(rows, keyOf, describe) {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = keyOf(row);
+    if (!groups.has(key)) {
+      groups.set(key, { ...describe(row), ...createCounts(), byReason: {} });
+    }
+    const group = groups.get(key);
+    countProposal(group, row);
+    const reasonCode = row.ReasonCode || DEFAULT_TAKEOUT_REASON_CODE;
+    group.byReason[reasonCode] = (group.byReason[reasonCode] || 0) + 1;
+  });
+  return Array.from(groups.values())
+    .map(finishCounts)
+    .sort((a, b) => b.proposed - a.proposed || (b.rejectionRate || 0) - (a.rejectionRate || 0));
+}
+
+/**
+ * Count takeout proposals and their outcome by reason, by IT Lead and by
+ * application. A high rejectionRate points at takeouts that admins did not
+ * follow, i.e. proposals that would have distorted the score.
+ * @param {Array<Object>} rows - Rows of loadTakeoutProposals
+ * @returns {Object} { totals, byReason, byITLead, byApplication }
+ */
+function buildTakeoutAnalytics(rows) {
+  const totals = createCounts();
+  (rows || []).forEach((row) => countProposal(totals, row));
+
+  const byReason = groupProposals(
+    rows || [],
+    (row) => row.ReasonCode || DEFAULT_TAKEOUT_REASON_CODE,
+    (row) => ({ reasonCode: row.ReasonCode || DEFAULT_TAKEOUT_REASON_CODE, label: row.ReasonLabel || null })
+  ).map(({ byReason: _byReason, ...reason }) => reason);
+
+  return {
+    totals: finishCounts(totals),
+    byReason,
+    byITLead: groupProposals(
+      rows || [],
+      (row) => String(row.ITLeadUserId).toLowerCase(),
+      (row) => ({ userId: row.ITLeadUserId, displayName: row.ITLeadName || null })
+    ),
+    byApplication: groupProposals(
+      rows || [],
+      (row) => String(row.ApplicationId).toLowerCase(),
+      (row) => ({ applicationId: row.ApplicationId, name: row.ApplicationName || null })
+    )
+  };
+}
+
+module.exports = {
+  DEFAULT_TAKEOUT_REASON_CODE,
+  buildTakeoutAnalytics,
+  listTakeoutReasons,
+  loadTakeoutProposals,
+  resolveTakeoutReason,
+  saveTakeoutReason
+};
@@ -0,0 +1,282 @@
+const sql = require('../../database/sql-client');
+const { NotFoundError, ResponseApprovalStatus, ValidationError } = require('./constants');
+
+/**
+ * Roles that can own an approval stage and the response status used while a
+ * response waits on that stage. The status identifies the stage, so a role
+ * can only appear once per workflow.
+ */
+const STAGE_ROLE_STATUS = {
+  ITLead: ResponseApprovalStatus.PENDING_IT_LEAD,
+  DepartmentHead: ResponseApprovalStatus.PENDING_DEPARTMENT_HEAD
+};
+
+/**
+ * Skip conditions evaluated against the routing facts of a response
+ * (see getResponseRoutingRequirement)
+ */
+const SKIP_CONDITIONS = {
+  noApplicationQuestions: (routing) => !routing.hasApplicationQuestions,
+  noITLeadMapping: (routing) => !routing.hasITLeadMapping,
+  noDepartmentHead: (routing) => !routing.hasDepartmentHead
+};
+
+// Path used by event types without a configured workflow
+const DEFAULT_WORKFLOW = {
+  name: 'Default approval',
+  stages: [
+    {
+      code: 'ITLead',
+      name: 'IT Lead review',
+      role: 'ITLead',
+      skipWhen: ['noApplicationQuestions'],
+      slaHours: null
+    }
+  ]
+};
+
+const STAGE_CODE_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,49}$/;
+const MAX_SLA_HOURS = 24 * 90;
+
+/**
+ * Validate workflow stages and return them in canonical form
+ * @param {Array<Object>} stages - [{ code, name, role, skipWhen, slaHours }]
+ * @returns {Array<Object>} Normalized stages
+ */
+function normalizeWorkflowStages(stages) {
+  if (!Array.isArray(stages)) {
+    throw new ValidationError('Stages must be an array');
+  }
+
+  const codes = new Set();
+  const roles = new Set();
+
+  return stages.map((stage, index) => {
+    const label = `Stage ${index + 1}`;
+    if (!stage || typeof stage !== 'object' || Array.isArray(stage)) {
+      throw new ValidationError(`${label} must be an object`);
+    }
+
+    const code = String(stage.code || '').trim();
+    if (!STAGE_CODE_PATTERN.test(code)) {
+      throw new ValidationError(`${label} code must start with a letter and contain only letters, numbers, "-" or "_"`);
+    }
+    if (codes.has(code.toLowerCase())) {
+      throw new ValidationError(`${label} code "${code}" is used more than once`);
+    }
+    codes.add(code.toLowerCase());
+
+    if (!Object.prototype.hasOwnProperty.call(STAGE_ROLE_STATUS, stage.role)) {
+      throw new ValidationError(`${label} role must be one of: ${Object.keys(STAGE_ROLE_STATUS).join(', ')}`);
+    }
+    if (roles.has(stage.role)) {
+      throw new ValidationError(`Role ${stage.role} can only be assigned to one stage`);
+    }
+    roles.add(stage.role);
+
+    const skipWhen = stage.skipWhen === undefined || stage.skipWhen === null ? [] : stage.skipWhen;
+    if (!Array.isArray(skipWhen)) {
+      throw new ValidationError(`${label} skipWhen must be an array`);
+    }
+    skipWhen.forEach((condition) => {
+      if (!Object.prototype.hasOwnProperty.call(SKIP_CONDITIONS, condition)) {
+        throw new ValidationError(`${label} skip condition must be one of: ${Object.keys(SKIP_CONDITIONS).join(', ')}`);
+      }
+    });
+
+    let slaHours = null;
+    if (stage.slaHours !== undefined && stage.slaHours !== null && stage.slaHours !== '') {
+      slaHours = Number(stage.slaHours);
+      if (!Number.isInteger(slaHours) || slaHours < 1 || slaHours > MAX_SLA_HOURS) {
+        throw new ValidationError(`${label} slaHours must be a whole number between 1 and ${MAX_SLA_HOURS}`);
+      }
+    }
+
+    return {
+      code,
+      name: stage.name ? String(stage.name).trim().slice(0, 200) : code,
+      role: stage.role,
+      skipWhen: [...new Set(skipWhen)],
+      slaHours
+    };
+  });
+}
+
+function getStageStatus(stage) {
+  return STAGE_ROLE_STATUS[stage.role];
+}
+
+/**
+ * Find the stage a response is waiting on. The stored stage code wins; the
+ * status is used for responses that entered a stage before migration 039.
+ * @returns {number} Stage index, or -1 when the stage is no longer in the workflow
+ */
+function findCurrentStageIndex(stages, status, stageCode = null) {
+  if (stageCode) {
+    const byCode = stages.findIndex((stage) => stage.code.toLowerCase() === String(stageCode).toLowerCase());
+    if (byCode !== -1) return byCode;
+  }
+
+  // Takeout decisions happen inside the IT Lead stage
+  const stageStatus = status === ResponseApprovalStatus.PENDING_ADMIN_TAKEOUT_DECISION
+    ? ResponseApprovalStatus.PENDING_IT_LEAD
+    : status;
+  return stages.findIndex((stage) => getStageStatus(stage) === stageStatus);
+}
+
+/**
+ * Walk the stages after currentIndex and return the first one that is not skipped
+ * @param {Array<Object>} stages - Normalized stages
+ * @param {number} currentIndex - Index of the completed stage, -1 after Admin Event approval
+ * @param {Object} routing - Routing facts of the response
+ * @returns {Object} { stage, skipped: [{ stage, condition }] } - stage is null when approval is final
+ */
+function resolveNextStage(stages, currentIndex, routing) {
+  const skipped = [];
+
+  for (let index = currentIndex + 1; index < stages.length; index += 1) {
+    const stage = stages[index];
+    const condition = stage.skipWhen.find((name) => SKIP_CONDITIONS[name](routing));
+    if (!condition) {
+      return { stage, skipped };
+    }
+    skipped.push({ stage, condition });
+  }
+
+  return { stage: null, skipped };
+}
+
+function computeStageDueAt(stage, from = new Date()) {
+  if (!stage || !stage.slaHours) return null;
+  return new Date(from.getTime() + stage.slaHours * 60 * 60 * 1000);
+}
+
+function parseStages(content) {
+  try {
+    return normalizeWorkflowStages(JSON.parse(content));
+  } catch (error) {
+    return null;
+  }
+}
+
+function mapWorkflow(row) {
+  const stages = row.Stages ? parseStages(row.Stages) : null;
+  return {
+    eventTypeId: row.EventTypeId,
+    eventTypeCode: row.EventTypeCode || null,
+    eventTypeName: row.EventTypeName || null,
+    workflowId: row.WorkflowId || null,
+    name: row.WorkflowId ? row.Name : DEFAULT_WORKFLOW.name,
+    isDefault: !row.WorkflowId || !stages,
+    stages: stages || DEFAULT_WORKFLOW.stages,
+    updatedBy: row.UpdatedBy || null,
+    updatedAt: row.UpdatedAt || row.CreatedAt || null
+  };
+}
+
+/**
+ * Load the stages that apply to an event type
+ * @param {Object} executor - Pool or transaction
+ * @param {string|null} eventTypeId - Event type ID
+ * @returns {Promise<Array<Object>>} Normalized stages
+ */
+async function getWorkflowStages(executor, eventTypeId) {
+  if (!eventTypeId) {
+    return DEFAULT_WORKFLOW.stages;
+  }
+
+  const result = await executor.request()
+    .input('eventTypeId', sql.UniqueIdentifier, eventTypeId)
+    .query('SELECT Stages FROM ApprovalWorkflows WHERE EventTypeId = @eventTypeId');
+
+  const stages = result.recordset[0] ? parseStages(result.recordset[0].Stages) : null;
+  return stages || DEFAULT_WORKFLOW.stages;
+}
+
+const WORKFLOW_SELECT = `
+  SELECT
+    et.EventTypeId, et.Code AS EventTypeCode, et.Name AS EventTypeName,
+    aw.WorkflowId, aw.Name, aw.Stages, aw.UpdatedBy, aw.CreatedAt, aw.UpdatedAt
+  FROM EventTypes et
+  LEFT JOIN ApprovalWorkflows aw ON aw.EventTypeId = et.EventTypeId
+`;
+
+async function listApprovalWorkflows(executor) {
+  const result = await executor.request().query(`
+    ${WORKFLOW_SELECT}
+    WHERE et.IsActive = 1
+    ORDER BY et.Name
+  `);
+  return result.recordset.map(mapWorkflow);
+}
+
+async function getApprovalWorkflow(executor, eventTypeId) {
+  const result = await executor.request()
+    .input('eventTypeId', sql.UniqueIdentifier, eventTypeId)
+    .query(`${WORKFLOW_SELECT} WHERE et.EventTypeId = @eventTypeId`);
+
+  if (result.recordset.length === 0) {
+    throw new NotFoundError('Event type not found');
+  }
+  return mapWorkflow(result.recordset[0]);
+}
+
+/**
+ * Create or replace the workflow of an event type
+ * @param {Object} executor - Pool
+ * @param {string} eventTypeId - Event type ID
+ * @param {Object} data - { name, stages }
+ * @param {string} updatedBy - User ID
+ * @returns {Promise<Object>} Saved workflow
+ */
+async function saveApprovalWorkflow(executor, eventTypeId, data, updatedBy) {
+  const stages = normalizeWorkflowStages(data.stages);
+  const name = String(data.name || '').trim();
+  if (!name) {
+    throw new ValidationError('Workflow name is required');
+  }
+
+  await getApprovalWorkflow(executor, eventTypeId);
+
+  await executor.request()
+    .input('eventTypeId', sql.UniqueIdentifier, eventTypeId)
+    .input('name', sql.NVarChar(200), name.slice(0, 200))
+    .input('stages', sql.NVarChar(sql.MAX), JSON.stringify(stages))
+    .input('updatedBy', sql.UniqueIdentifier, updatedBy || null)
+    .query(`
+      MERGE ApprovalWorkflows AS target
+      USING (SELECT @eventTypeId AS EventTypeId) AS source
+      ON target.EventTypeId = source.EventTypeId
+      WHEN MATCHED THEN
+        UPDATE SET Name = @name, Stages = @stages, UpdatedBy = @updatedBy, UpdatedAt = GETDATE()
+      WHEN NOT MATCHED THEN
+        INSERT (EventTypeId, Name, Stages, UpdatedBy, CreatedAt)
+        VALUES (@eventTypeId, @name, @stages, @updatedBy, GETDATE());
+    `);
+
+  return getApprovalWorkflow(executor, eventTypeId);
+}
+
+async function deleteApprovalWorkflow(executor, eventTypeId) {
+  await getApprovalWorkflow(executor, eventTypeId);
+  await executor.request()
+    .input('eventTypeId', sql.UniqueIdentifier, eventTypeId)
+    .query('DELETE FROM ApprovalWorkflows WHERE EventTypeId = @eventTypeId');
+  return getApprovalWorkflow(executor, eventTypeId);
+}
+
+module.exports = {
+  DEFAULT_WORKFLOW,
+  SKIP_CONDITIONS,
+  STAGE_ROLE_STATUS,
+  computeStageDueAt,
+  deleteApprovalWorkflow,
+  findCurrentStageIndex,
+  getApprovalWorkflow,
+  getStageStatus,
+  getWorkflowStages,
+  listApprovalWorkflows,
+  normalizeWorkflowStages,
+  resolveNextStage,
+  saveApprovalWorkflow
+};
@@ -6,6 +6,7 @@ const {
   TakeoutStatus,
   UnauthorizedError
 } = require('./constants');
+const { approverScope, mapApproverAccess } = require('./delegations');
 
 async function applyCurrentCycleFilter(pool, request, query, surveyId, responseAlias = 'r') {
   if (!surveyId) return query;
@@ -33,6 +34,12 @@ async function getResponseApprovalStatus(executor, responseId) {
   return result.recordset[0].ResponseApprovalStatus || ResponseApprovalStatus.SUBMITTED;
 }
 
+/**
+ * Load the facts approval workflow skip conditions are evaluated against
+ * @param {Object} executor - Pool or transaction
+ * @param {string} responseId - Response ID
+ * @returns {Promise<Object>} { surveyId, eventTypeId, hasApplicationQuestions, hasITLeadMapping, hasDepartmentHead }
+ */
 async function getResponseRoutingRequirement(executor, responseId) {
   const result = await executor.request()
     .input('responseId', sql.UniqueIdentifier, responseId)
@@ -40,6 +47,7 @@ async function getResponseRoutingRequirement(executor, responseId) {
       SELECT
         r.ResponseId,
         r.SurveyId,
+        s.EventTypeId,
         CASE
           WHEN EXISTS (
             SELECT 1
@@ -51,8 +59,29 @@ async function getResponseRoutingRequirement(executor, responseId) {
               )
           ) THEN CAST(1 AS BIT)
           ELSE CAST(0 AS BIT)
-        END AS RequiresITLead
+        END AS HasApplicationQuestions,
+        CASE
+          WHEN EXISTS (
+            SELECT 1
+            FROM FunctionApplicationMappings fam
+            INNER JOIN Functions f ON f.FunctionId = fam.FunctionId
+            WHERE fam.ApplicationId = r.ApplicationId
+              AND f.ITLeadUserId IS NOT NULL
+          ) THEN CAST(1 AS BIT)
+          ELSE CAST(0 AS BIT)
+        END AS HasITLeadMapping,
+        CASE
+          WHEN EXISTS (
+            SELECT 1
+            FROM Users u
+            WHERE u.DepartmentId = r.DepartmentId
+              AND u.Role = 'DepartmentHead'
+              AND u.IsActive = 1
+          ) THEN CAST(1 AS BIT)
+          ELSE CAST(0 AS BIT)
+        END AS HasDepartmentHead
       FROM Responses r
+      INNER JOIN Surveys s ON s.SurveyId = r.SurveyId
       WHERE r.ResponseId = @responseId
     `);
 
@@ -60,9 +89,13 @@ async function getResponseRoutingRequirement(executor, responseId) {
     throw new NotFoundError(`Response ${responseId} not found`);
   }
 
+  const row = result.recordset[0];
   return {
-    surveyId: result.recordset[0].SurveyId,
-    requiresITLead: Boolean(result.recordset[0].RequiresITLead),
+    surveyId: row.SurveyId,
+    eventTypeId: row.EventTypeId || null,
+    hasApplicationQuestions: Boolean(row.HasApplicationQuestions),
+    hasITLeadMapping: Boolean(row.HasITLeadMapping),
+    hasDepartmentHead: Boolean(row.HasDepartmentHead),
   };
 }
 
@@ -101,6 +134,14 @@ async function updateResponseApprovalStatus(transaction, responseId, status, fie
     request.input('finalizedAt', sql.DateTime2, fields.finalizedAt || null);
     updates.push('FinalizedAt = @finalizedAt');
   }
+  if (Object.prototype.hasOwnProperty.call(fields, 'approvalStageCode')) {
+    request.input('approvalStageCode', sql.NVarChar(50), fields.approvalStageCode || null);
+    updates.push('ApprovalStageCode = @approvalStageCode');
+  }
+  if (Object.prototype.hasOwnProperty.call(fields, 'approvalStageDueAt')) {
+    request.input('approvalStageDueAt', sql.DateTime2, fields.approvalStageDueAt || null);
+    updates.push('ApprovalStageDueAt = @approvalStageDueAt');
+  }
 
   await request.query(`
     UPDATE Responses
@@ -109,6 +150,25 @@ async function updateResponseApprovalStatus(transaction, responseId, status, fie
   `);
 }
 
+/**
+ * Condition matching the events an Admin Event is assigned to, as owner or
+ * through SurveyAdminAssignments
+ * @param {string} surveyAlias - Alias of the Surveys table (e.g. s)
+ * @param {string} userParam - SQL parameter holding the admin user ID
+ * @returns {string} SQL condition
+ */
+function adminEventScope(surveyAlias, userParam) {
+  return `(
+    ${surveyAlias}.AssignedAdminId = ${userParam}
+    OR EXISTS (
+      SELECT 1
+      FROM SurveyAdminAssignments saa
+      WHERE saa.SurveyId = ${surveyAlias}.SurveyId
+        AND saa.AdminUserId = ${userParam}
+    )
+  )`;
+}
+
 async function assertAdminEventCanAccessSurvey(executor, surveyId, adminUserId) {
   const result = await executor.request()
     .input('surveyId', sql.UniqueIdentifier, surveyId)
@@ -148,25 +208,88 @@ async function assertAdminEventCanAccessResponse(executor, responseId, adminUser
   }
 }
 
-async function assertITLeadCanAccessResponse(executor, responseId, itLeadUserId) {
+/**
+ * Check that an IT Lead owns a response, directly or as the delegate of its IT Lead
+ * @returns {Promise<Object>} { onBehalfOf } - the IT Lead acted for, null on their own queue
+ */
+async function assertITLeadCanAccessResponse(executor, responseId, itLeadUserId, hasDelegationSupport = false) {
   const result = await executor.request()
     .input('responseId', sql.UniqueIdentifier, responseId)
     .input('itLeadUserId', sql.UniqueIdentifier, itLeadUserId)
     .query(`
-      SELECT TOP 1 r.ResponseId
+      SELECT TOP 1 r.ResponseId,
+             CASE WHEN f.ITLeadUserId = @itLeadUserId THEN 1 ELSE 0 END AS IsDirect,
+             f.ITLeadUserId AS OwnerUserId, owner.DisplayName AS OwnerName
       FROM Responses r
       INNER JOIN FunctionApplicationMappings fam ON fam.ApplicationId = r.ApplicationId
       INNER JOIN Functions f ON f.FunctionId = fam.FunctionId
+      LEFT JOIN Users owner ON owner.UserId = f.ITLeadUserId
       WHERE r.ResponseId = @responseId
-        AND f.ITLeadUserId = @itLeadUserId
+        AND ${approverScope('f.ITLeadUserId', '@itLeadUserId', hasDelegationSupport)}
+      ORDER BY IsDirect DESC
     `);
 
   if (result.recordset.length === 0) {
     throw new UnauthorizedError('IT Lead tidak memiliki akses ke response ini');
   }
+  return mapApproverAccess(result.recordset[0]);
 }
 
-async function finalizeResponseIfReady(transaction, responseId, adminUserId, reason = null) {
+/**
+ * Check that a Department Head heads the department of a response, directly
+ * or as the delegate of its Department Head
+ * @returns {Promise<Object>} { onBehalfOf } - the Department Head acted for, null on their own queue
+ */
+async function assertDepartmentHeadCanAccessResponse(executor, responseId, departmentHeadUserId, hasDelegationSupport = false) {
+  const delegatedHead = hasDelegationSupport
+    ? ` OR ${approverScope('u.UserId', '@departmentHeadUserId', true)}`
+    : '';
+  const result = await executor.request()
+    .input('responseId', sql.UniqueIdentifier, responseId)
+    .input('departmentHeadUserId', sql.UniqueIdentifier, departmentHeadUserId)
+    .query(`
+      SELECT TOP 1 r.ResponseId,
+             CASE WHEN u.UserId = @departmentHeadUserId THEN 1 ELSE 0 END AS IsDirect,
+             u.UserId AS OwnerUserId, u.DisplayName AS OwnerName
+      FROM Responses r
+      INNER JOIN Users u ON u.DepartmentId = r.DepartmentId
+      WHERE r.ResponseId = @responseId
+        AND u.Role = 'DepartmentHead'
+        AND (u.UserId = @departmentHeadUserId${delegatedHead})
+      ORDER BY IsDirect DESC
+    `);
+
+  if (result.recordset.length === 0) {
+    throw new UnauthorizedError('Department Head tidak memiliki akses ke response ini');
+  }
+  return mapApproverAccess(result.recordset[0]);
+}
+
+async function recordStageAction(transaction, responseId, stage, action, performedBy = null, reason = null, onBehalfOf = null) {
+  const request = transaction.request()
+    .input('responseId', sql.UniqueIdentifier, responseId)
+    .input('stageCode', sql.NVarChar(50), stage.code)
+    .input('role', sql.NVarChar(50), stage.role)
+    .input('action', sql.NVarChar(20), action)
+    .input('performedBy', sql.UniqueIdentifier, performedBy || null)
+    .input('reason', sql.NVarChar(sql.MAX), reason || null);
+
+  // OnBehalfOf only exists once migration 051 ran, which is also when delegates can act
+  if (onBehalfOf) {
+    request.input('onBehalfOf', sql.UniqueIdentifier, onBehalfOf);
+  }
+  await request.query(`
+    INSERT INTO ResponseStageApprovals (ResponseId, StageCode, Role, Action, PerformedBy, Reason${onBehalfOf ? ', OnBehalfOf' : ''})
+    VALUES (@responseId, @stageCode, @role, @action, @performedBy, @reason${onBehalfOf ? ', @onBehalfOf' : ''})
+  `);
+}
+
+/**
+ * Move a response past the IT Lead stage once every proposed takeout is decided
+ * @param {Function} advanceResponse - (transaction, responseId, currentStatus, options) => next stage
+ * @returns {Promise<boolean>} True when the response left the takeout decision
+ */
+async function finalizeResponseIfReady(transaction, responseId, adminUserId, reason = null, advanceResponse = null) {
   const remaining = await transaction.request()
     .input('responseId', sql.UniqueIdentifier, responseId)
     .input('pendingStatus', sql.NVarChar(50), TakeoutStatus.PROPOSED_TAKEOUT)
@@ -182,22 +305,34 @@ async function finalizeResponseIfReady(transaction, responseId, adminUserId, rea
     return false;
   }
 
-  await updateResponseApprovalStatus(transaction, responseId, ResponseApprovalStatus.APPROVED_FINAL, {
+  const fields = {
     adminReviewedBy: adminUserId || null,
     adminReviewedAt: new Date(),
-    adminReviewReason: reason || null,
+    adminReviewReason: reason || null
+  };
+
+  if (advanceResponse) {
+    await advanceResponse(transaction, responseId, ResponseApprovalStatus.PENDING_ADMIN_TAKEOUT_DECISION, { fields });
+    return true;
+  }
+
+  await updateResponseApprovalStatus(transaction, responseId, ResponseApprovalStatus.APPROVED_FINAL, {
+    ...fields,
     finalizedAt: new Date()
   });
   return true;
 }
 
 module.exports = {
+  adminEventScope,
   applyCurrentCycleFilter,
   assertAdminEventCanAccessResponse,
   assertAdminEventCanAccessSurvey,
+  assertDepartmentHeadCanAccessResponse,
   assertITLeadCanAccessResponse,
   finalizeResponseIfReady,
   getResponseApprovalStatus,
   getResponseRoutingRequirement,
+  recordStageAction,
   updateResponseApprovalStatus
 };
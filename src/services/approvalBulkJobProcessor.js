@@ -0,0 +1,153 @@
+/**
+ * Approval Bulk Job Processor
+ * Background job that works through queued filter-based bulk approvals one
+ * response at a time and logs the result of each response
+ */
+
+const cron = require('node-cron');
+
+const config = require('../config');
+const logger = require('../config/logger');
+const db = require('../database/connection');
+const approvalService = require('./approvalService');
+const scoringService = require('./scoringService');
+const {
+    BulkApprovalAction,
+    BulkJobItemStatus,
+    BulkJobStatus,
+    claimNextBulkJob,
+    finishBulkJob,
+    loadPendingBulkJobItems,
+    recordBulkJobItemResult
+} = require('./approval-service/bulk-jobs');
+
+class ApprovalBulkJobProcessor {
+    constructor() {
+        this.isRunning = false;
+        this.cronJob = null;
+    }
+
+    /**
+     * Start the bulk job processor on the configured schedule
+     */
+    start() {
+        if (this.cronJob) {
+            logger.warn('Approval bulk job processor is already running');
+            return;
+        }
+
+        if (config.approvalBulkJobs?.enabled === false) {
+            logger.info('Approval bulk job processor is disabled');
+            return;
+        }
+
+        this.cronJob = cron.schedule(config.approvalBulkJobs?.schedule || '* * * * *', async () => {
+            if (this.isRunning) {
+                logger.debug('Previous bulk job run still running, skipping this cycle');
+                return;
+            }
+
+            this.isRunning = true;
+            try {
+                await this.processBulkJobs();
+            } catch (error) {
+                logger.error('Error processing approval bulk jobs:', error);
+            } finally {
+                this.isRunning = false;
+            }
+        });
+
+        logger.info('Approval bulk job processor started');
+    }
+
+    /**
+     * Stop the bulk job processor
+     */
+    stop() {
+        if (this.cronJob) {
+            this.cronJob.stop();
+            this.cronJob = null;
+            logger.info('Approval bulk job processor stopped');
+        }
+    }
+
+    /**
+     * Process queued jobs until the queue is empty
+     * @returns {Promise<Object>} { jobs } - Number of jobs processed
+     */
+    async processBulkJobs() {
+        const pool = await db.getPool();
+        await approvalService.initialize();
+        if (!(await approvalService.hasBulkJobSupport())) {
+            logger.debug('ApprovalBulkJobs table not found, skipping bulk jobs');
+            return { jobs: 0 };
+        }
+
+        let jobs = 0;
+        let job = await claimNextBulkJob(pool);
+        while (job) {
+            await this.processJob(pool, job);
+            jobs += 1;
+            job = await claimNextBulkJob(pool);
+        }
+        return { jobs };
+    }
+
+    /**
+     * Process the pending items of a job in batches. Scores are refreshed once
+     * per batch instead of after every approval.
+     * @param {Object} pool - Connection pool
+     * @param {Object} job - Claimed job
+     */
+    async processJob(pool, job) {
+        const batchSize = config.approvalBulkJobs?.batchSize || 50;
+        logger.info(`Processing bulk ${job.action} job ${job.jobId} (${job.processedItems}/${job.totalItems} done)`);
+
+        try {
+            let items = await loadPendingBulkJobItems(pool, job.jobId, batchSize);
+            while (items.length > 0) {
+                const approved = [];
+                for (const item of items) {
+                    const outcome = await approvalService.runBulkApprovalJobItem(job, item.responseId);
+                    await recordBulkJobItemResult(pool, job.jobId, item.jobItemId, outcome);
+                    if (outcome.status === BulkJobItemStatus.SUCCEEDED) {
+                        approved.push(item.responseId);
+                    }
+                }
+
+                // Takeout proposals do not change scores until an admin decides them
+                if (job.action !== BulkApprovalAction.PROPOSE_TAKEOUT && approved.length > 0) {
+                    await scoringService.refreshScoresForResponses(approved);
+                }
+                items = await loadPendingBulkJobItems(pool, job.jobId, batchSize);
+            }
+
+            await finishBulkJob(pool, job.jobId, BulkJobStatus.COMPLETED);
+            logger.info(`Bulk job ${job.jobId} completed`);
+        } catch (error) {
+            logger.error(`Bulk job ${job.jobId} failed:`, error);
+            await finishBulkJob(pool, job.jobId, BulkJobStatus.FAILED, error.message);
+        }
+    }
+
+    /**
+     * Process the queue now, e.g. right after a job was created
+     * @returns {Promise<Object>} { jobs }
+     */
+    async triggerProcessing() {
+        if (this.isRunning) {
+            throw new Error('Processing is already running');
+        }
+
+        this.isRunning = true;
+        try {
+            return await this.processBulkJobs();
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new ApprovalBulkJobProcessor();
+module.exports.ApprovalBulkJobProcessor = ApprovalBulkJobProcessor;
@@ -6,11 +6,15 @@ const sql = require('../database/sql-client');
 
 
   
+const config = require('../config');
 const db = require('../database/connection');
 const logger = require('../config/logger');
+const auditService = require('./auditService');
 const publishCycleService = require('./publishCycleService');
+const scoringService = require('./scoringService');
 const {
   ApprovalAction,
+  ApprovalStageAction,
   NotFoundError,
   ResponseApprovalStatus,
   TakeoutStatus,
@@ -18,15 +22,31 @@ const {
   ValidationError
 } = require('./approval-service/constants');
 const {
+  adminEventScope,
   applyCurrentCycleFilter,
   assertAdminEventCanAccessResponse,
   assertAdminEventCanAccessSurvey,
+  assertDepartmentHeadCanAccessResponse,
   assertITLeadCanAccessResponse,
   finalizeResponseIfReady,
   getResponseApprovalStatus,
   getResponseRoutingRequirement,
+  recordStageAction,
   updateResponseApprovalStatus
 } = require('./approval-service/workflow');
+const {
+  DEFAULT_WORKFLOW,
+  STAGE_ROLE_STATUS,
+  computeStageDueAt,
+  deleteApprovalWorkflow,
+  findCurrentStageIndex,
+  getApprovalWorkflow,
+  getStageStatus,
+  getWorkflowStages,
+  listApprovalWorkflows,
+  resolveNextStage,
+  saveApprovalWorkflow
+} = require('./approval-service/workflow-definition');
 const {
   getBestCommentFeedback,
   markAsBestComment,
@@ -45,6 +65,42 @@ const {
   proposeTakeoutForQuestion: proposeTakeoutForQuestionHelper,
   rejectProposedTakeout: rejectProposedTakeoutHelper
 } = require('./approval-service/takeout-actions');
+const {
+  buildTakeoutAnalytics,
+  listTakeoutReasons,
+  loadTakeoutProposals,
+  resolveTakeoutReason,
+  saveTakeoutReason
+} = require('./approval-service/takeout-reasons');
+const {
+  approverScope,
+  createDelegation,
+  listDelegations,
+  logDelegatedAction,
+  revokeDelegation
+} = require('./approval-service/delegations');
+const {
+  annotatePendingApproval,
+  buildAgeingReport,
+  loadITLeadsByApplication,
+  loadPendingApprovals
+} = require('./approval-service/sla');
+const {
+  loadFinalizedResponse,
+  reopenQuestionResponse,
+  reopenResponse
+} = require('./approval-service/reopen');
+const {
+  BulkApprovalAction,
+  BulkJobItemStatus,
+  classifyBulkJobItemError,
+  createBulkJob,
+  getBulkJob,
+  listBulkJobItems,
+  listBulkJobs,
+  normalizeBulkJobRequest,
+  previewBulkJob
+} = require('./approval-service/bulk-jobs');
 const {
   resolveSurveyIdentifier
 } = require('./survey-service/read-model');
@@ -53,6 +109,11 @@ class ApprovalService {
   constructor() {
     this.pool = null;
     this.responsesHasApprovalStatus = null;
+    this.workflowSupportCache = null;
+    this.delegationSupportCache = null;
+    this.takeoutReasonSupportCache = null;
+    this.reopenSupportCache = null;
+    this.bulkJobSupportCache = null;
   }
 
   async initialize() {
@@ -83,6 +144,134 @@ class ApprovalService {
     return this.responsesHasApprovalStatus;
   }
 
+  async hasApprovalWorkflowSupport() {
+    if (typeof this.workflowSupportCache === 'boolean') {
+      return this.workflowSupportCache;
+    }
+
+    const result = await this.pool.request().query(`
+      SELECT COUNT(*) as Cnt
+      FROM sys.tables
+      WHERE name = 'ApprovalWorkflows'
+    `);
+
+    this.workflowSupportCache = Number(result.recordset?.[0]?.Cnt || 0) > 0;
+    return this.workflowSupportCache;
+  }
+
+  async assertApprovalWorkflowSupport() {
+    if (!(await this.hasApprovalWorkflowSupport())) {
+      throw new ValidationError('Schema approval workflow belum siap. Jalankan migration 039 terlebih dahulu.');
+    }
+  }
+
+  async hasDelegationSupport() {
+    if (typeof this.delegationSupportCache === 'boolean') {
+      return this.delegationSupportCache;
+    }
+
+    const result = await this.pool.request().query(`
+      SELECT CASE WHEN OBJECT_ID('ApproverDelegations', 'U') IS NULL THEN 0 ELSE 1 END AS Supported
+    `);
+
+    this.delegationSupportCache = Number(result.recordset?.[0]?.Supported || 0) === 1;
+    return this.delegationSupportCache;
+  }
+
+  async assertDelegationSupport() {
+    if (!(await this.hasDelegationSupport())) {
+      throw new ValidationError('Schema delegasi approver belum siap. Jalankan migration 051 terlebih dahulu.');
+    }
+  }
+
+  async hasTakeoutReasonSupport() {
+    if (typeof this.takeoutReasonSupportCache === 'boolean') {
+      return this.takeoutReasonSupportCache;
+    }
+
+    const result = await this.pool.request().query(`
+      SELECT CASE WHEN OBJECT_ID('TakeoutReasons', 'U') IS NULL THEN 0 ELSE 1 END AS Supported
+    `);
+
+    this.takeoutReasonSupportCache = Number(result.recordset?.[0]?.Supported || 0) === 1;
+    return this.takeoutReasonSupportCache;
+  }
+
+  async assertTakeoutReasonSupport() {
+    if (!(await this.hasTakeoutReasonSupport())) {
+      throw new ValidationError('Schema alasan takeout belum siap. Jalankan migration 052 terlebih dahulu.');
+    }
+  }
+
+  async hasReopenSupport() {
+    if (typeof this.reopenSupportCache === 'boolean') {
+      return this.reopenSupportCache;
+    }
+
+    const result = await this.pool.request().query(`
+      SELECT CASE WHEN OBJECT_ID('CK_ApprovalHistory_Action', 'C') IS NULL THEN 0 ELSE 1 END AS Supported
+    `);
+
+    this.reopenSupportCache = Number(result.recordset?.[0]?.Supported || 0) === 1;
+    return this.reopenSupportCache;
+  }
+
+  async assertReopenSupport() {
+    if (!(await this.hasReopenSupport())) {
+      throw new ValidationError('Schema reopen approval belum siap. Jalankan migration 053 terlebih dahulu.');
+    }
+  }
+
+  async hasBulkJobSupport() {
+    if (typeof this.bulkJobSupportCache === 'boolean') {
+      return this.bulkJobSupportCache;
+    }
+
+    const result = await this.pool.request().query(`
+      SELECT CASE WHEN OBJECT_ID('ApprovalBulkJobs', 'U') IS NULL THEN 0 ELSE 1 END AS Supported
+    `);
+
+    this.bulkJobSupportCache = Number(result.recordset?.[0]?.Supported || 0) === 1;
+    return this.bulkJobSupportCache;
+  }
+
+  async assertBulkJobSupport() {
+    if (!(await this.hasBulkJobSupport())) {
+      throw new ValidationError('Schema bulk approval job belum siap. Jalankan migration 054 terlebih dahulu.');
+    }
+  }
+
+  /**
+   * Resolve the reason code of a takeout; null before migration 052, when
+   * only free-text reasons exist
+   * @param {Object} executor - Pool or transaction
+   * @param {string|null} reasonCode - Catalogue code
+   * @param {string|null} detail - Free-text detail
+   * @returns {Promise<Object|null>} { code, label, text }
+   */
+  async resolveTakeoutReason(executor, reasonCode, detail) {
+    if (!(await this.hasTakeoutReasonSupport())) {
+      if (reasonCode) {
+        await this.assertTakeoutReasonSupport();
+      }
+      return null;
+    }
+    return resolveTakeoutReason(executor, reasonCode, detail);
+  }
+
+  /**
+   * Audit an approval action a delegate took for another approver. Failures
+   * are logged only: the action itself is already committed.
+   * @param {Object} entry - { performedBy, onBehalfOf, action, verb, entityType, entityId, details }
+   */
+  async logDelegatedAction(entry) {
+    try {
+      await logDelegatedAction(this.pool, auditService, entry);
+    } catch (error) {
+      logger.error('Failed to audit delegated approval action:', error);
+    }
+  }
+
   async getResponseApprovalStatus(executor, responseId) {
     return getResponseApprovalStatus(executor, responseId);
   }
@@ -104,11 +293,89 @@ class ApprovalService {
   }
 
   async assertITLeadCanAccessResponse(executor, responseId, itLeadUserId) {
-    return assertITLeadCanAccessResponse(executor, responseId, itLeadUserId);
+    return assertITLeadCanAccessResponse(executor, responseId, itLeadUserId, await this.hasDelegationSupport());
+  }
+
+  async assertDepartmentHeadCanAccessResponse(executor, responseId, departmentHeadUserId) {
+    return assertDepartmentHeadCanAccessResponse(
+      executor,
+      responseId,
+      departmentHeadUserId,
+      await this.hasDelegationSupport()
+    );
   }
 
   async finalizeResponseIfReady(transaction, responseId, adminUserId, reason = null) {
-    return finalizeResponseIfReady(transaction, responseId, adminUserId, reason);
+    return finalizeResponseIfReady(
+      transaction,
+      responseId,
+      adminUserId,
+      reason,
+      this.advanceResponseWorkflow.bind(this)
+    );
+  }
+
+  /**
+   * Load the approval stages that apply to an event type
+   * @param {Object} executor - Pool or transaction
+   * @param {string|null} eventTypeId - Event type ID
+   * @returns {Promise<Array<Object>>} Stages
+   */
+  async getWorkflowStages(executor, eventTypeId) {
+    if (!(await this.hasApprovalWorkflowSupport())) {
+      return DEFAULT_WORKFLOW.stages;
+    }
+    return getWorkflowStages(executor, eventTypeId);
+  }
+
+  /**
+   * Move a response to the next stage of its event type's workflow, skipping
+   * stages whose skip conditions match, or finalize it when no stage is left
+   * @param {Object} transaction - Active transaction
+   * @param {string} responseId - Response ID
+   * @param {string} currentStatus - Status the response is leaving
+   * @param {Object} options - { stageCode, fields } - fields are written with the new status
+   * @returns {Promise<Object>} { surveyId, status, stageCode, dueAt, skippedStages }
+   */
+  async advanceResponseWorkflow(transaction, responseId, currentStatus, options = {}) {
+    const { stageCode = null, fields = {} } = options;
+    const now = new Date();
+    const hasWorkflowSupport = await this.hasApprovalWorkflowSupport();
+    const routing = await this.getResponseRoutingRequirement(transaction, responseId);
+    const stages = await this.getWorkflowStages(transaction, routing.eventTypeId);
+
+    let next = { stage: null, skipped: [] };
+    if (currentStatus === ResponseApprovalStatus.SUBMITTED) {
+      next = resolveNextStage(stages, -1, routing);
+    } else {
+      // A stage removed from the workflow while a response waited on it ends the approval
+      const currentIndex = findCurrentStageIndex(stages, currentStatus, stageCode);
+      if (currentIndex !== -1) {
+        next = resolveNextStage(stages, currentIndex, routing);
+      }
+    }
+
+    const status = next.stage ? getStageStatus(next.stage) : ResponseApprovalStatus.APPROVED_FINAL;
+    const dueAt = computeStageDueAt(next.stage, now);
+    const updateFields = { ...fields, finalizedAt: next.stage ? null : now };
+
+    if (hasWorkflowSupport) {
+      updateFields.approvalStageCode = next.stage ? next.stage.code : null;
+      updateFields.approvalStageDueAt = dueAt;
+      for (const { stage, condition } of next.skipped) {
+        await recordStageAction(transaction, responseId, stage, ApprovalStageAction.SKIPPED, null, condition);
+      }
+    }
+
+    await this.updateResponseApprovalStatus(transaction, responseId, status, updateFields);
+
+    return {
+      surveyId: routing.surveyId,
+      status,
+      stageCode: next.stage ? next.stage.code : null,
+      dueAt,
+      skippedStages: next.skipped.map(({ stage }) => stage.code)
+    };
   }
 
   async proposeTakeoutForQuestion(request) {
@@ -124,10 +391,27 @@ class ApprovalService {
         assertITLeadCanAccessResponse: this.assertITLeadCanAccessResponse.bind(this),
         getResponseApprovalStatus: this.getResponseApprovalStatus.bind(this),
         updateResponseApprovalStatus: this.updateResponseApprovalStatus.bind(this),
+        resolveTakeoutReason: this.resolveTakeoutReason.bind(this),
         pool: this.pool,
         sql
       }, request);
       logger.info(`Takeout proposed for question response: ${result.questionResponseId}`);
+      if (result.onBehalfOf) {
+        await this.logDelegatedAction({
+          performedBy: request.proposedBy,
+          onBehalfOf: result.onBehalfOf,
+          action: 'Update',
+          verb: 'Takeout proposed',
+          entityType: 'QuestionResponse',
+          entityId: result.questionResponseId,
+          details: {
+            ResponseId: request.responseId,
+            QuestionId: request.questionId,
+            TakeoutStatus: result.status,
+            ReasonCode: result.reasonCode
+          }
+        });
+      }
       return result;
     } catch (error) {
       logger.error('Error proposing takeout for question:', error);
@@ -147,10 +431,22 @@ class ApprovalService {
         hasResponseApprovalStatusColumn: this.hasResponseApprovalStatusColumn.bind(this),
         assertITLeadCanAccessResponse: this.assertITLeadCanAccessResponse.bind(this),
         updateResponseApprovalStatus: this.updateResponseApprovalStatus.bind(this),
+        hasTakeoutReasonSupport: this.hasTakeoutReasonSupport.bind(this),
         pool: this.pool,
         sql
       }, responseId, questionId, cancelledBy, cancelledByRole);
       logger.info(`Proposed takeout cancelled for question response: ${result.questionResponseId}`);
+      if (result.onBehalfOf) {
+        await this.logDelegatedAction({
+          performedBy: cancelledBy,
+          onBehalfOf: result.onBehalfOf,
+          action: 'Update',
+          verb: 'Takeout proposal cancelled',
+          entityType: 'QuestionResponse',
+          entityId: result.questionResponseId,
+          details: { ResponseId: responseId, QuestionId: questionId, TakeoutStatus: result.status }
+        });
+      }
       return result;
     } catch (error) {
       logger.error('Error cancelling proposed takeout:', error);
@@ -158,7 +454,7 @@ class ApprovalService {
     }
   }
 
-  async bulkProposeTakeout(responseIds, questionIds, reason, proposedBy) {
+  async bulkProposeTakeout(responseIds, questionIds, reason, proposedBy, reasonCode = null) {
     await this.initialize();
     if (!responseIds || !Array.isArray(responseIds) || responseIds.length === 0) {
       throw new ValidationError('ResponseIds array is required');
@@ -166,16 +462,26 @@ class ApprovalService {
     if (!questionIds || !Array.isArray(questionIds) || questionIds.length === 0) {
       throw new ValidationError('QuestionIds array is required');
     }
-    if (!reason || !proposedBy) {
-      throw new ValidationError('Reason and ProposedBy are required');
+    if ((!reason && !reasonCode) || !proposedBy) {
+      throw new ValidationError('Reason or ReasonCode, and ProposedBy are required');
     }
     const items = responseIds.flatMap((responseId) => questionIds.map((questionId) => ({ responseId, questionId })));
     return bulkTakeoutAction(items, ({ responseId, questionId }) =>
-      this.proposeTakeoutForQuestion({ responseId, questionId, reason, proposedBy })
+      this.proposeTakeoutForQuestion({ responseId, questionId, reason, reasonCode, proposedBy })
     );
   }
 
-  async approveInitialResponses(responseIds, approvedBy, reason = null, approvedByRole = null) {
+  /**
+   * Approve submitted responses as Admin Event and route them to their first
+   * workflow stage
+   * @param {Array<string>} responseIds - Response IDs
+   * @param {string} approvedBy - Admin user ID
+   * @param {string|null} reason - Optional note
+   * @param {string|null} approvedByRole - AdminEvent is checked against the event assignment
+   * @param {Object} options - { refreshScores } - bulk jobs refresh scores once per batch
+   * @returns {Promise<Object>} { success, updated, summary }
+   */
+  async approveInitialResponses(responseIds, approvedBy, reason = null, approvedByRole = null, options = {}) {
     await this.initialize();
     if (!Array.isArray(responseIds) || responseIds.length === 0 || !approvedBy) {
       throw new ValidationError('ResponseIds and ApprovedBy are required');
@@ -213,42 +519,35 @@ class ApprovalService {
           throw new ValidationError(`Response ${responseId} sudah diproses sebelumnya`);
         }
 
-        const routing = await this.getResponseRoutingRequirement(transaction, responseId);
-        const nextStatus = routing.requiresITLead
-          ? ResponseApprovalStatus.PENDING_IT_LEAD
-          : ResponseApprovalStatus.APPROVED_FINAL;
-
-        await transaction.request()
-          .input('responseId', sql.UniqueIdentifier, responseId)
-          .input('status', sql.NVarChar, nextStatus)
-          .input('adminReviewedBy', sql.UniqueIdentifier, approvedBy)
-          .input('adminReviewedAt', sql.DateTime2, now)
-          .input('adminReviewReason', sql.NVarChar(sql.MAX), reason)
-          .input('finalizedAt', sql.DateTime2, nextStatus === ResponseApprovalStatus.APPROVED_FINAL ? now : null)
-          .query(`
-            UPDATE Responses
-            SET ResponseApprovalStatus = @status,
-                AdminReviewedBy = @adminReviewedBy,
-                AdminReviewedAt = @adminReviewedAt,
-                AdminReviewReason = @adminReviewReason,
-                FinalizedAt = @finalizedAt
-            WHERE ResponseId = @responseId
-          `);
+        const next = await this.advanceResponseWorkflow(transaction, responseId, currentStatus, {
+          fields: {
+            adminReviewedBy: approvedBy,
+            adminReviewedAt: now,
+            adminReviewReason: reason
+          }
+        });
 
         results.push({
           responseId,
-          surveyId: routing.surveyId,
-          status: nextStatus,
-          requiresITLead: routing.requiresITLead,
+          surveyId: next.surveyId,
+          status: next.status,
+          stageCode: next.stageCode,
+          dueAt: next.dueAt,
+          skippedStages: next.skippedStages,
+          requiresITLead: next.status === ResponseApprovalStatus.PENDING_IT_LEAD,
         });
       }
 
       await transaction.commit();
+      if (options.refreshScores !== false) {
+        await scoringService.refreshScoresForResponses(responseIds);
+      }
       return {
         success: true,
         updated: results,
         summary: {
           sentToITLead: results.filter((item) => item.status === ResponseApprovalStatus.PENDING_IT_LEAD).length,
+          sentToDepartmentHead: results.filter((item) => item.status === ResponseApprovalStatus.PENDING_DEPARTMENT_HEAD).length,
           finalizedByAdmin: results.filter((item) => item.status === ResponseApprovalStatus.APPROVED_FINAL).length,
         },
       };
@@ -322,7 +621,17 @@ class ApprovalService {
     }
   }
 
-  async approveFinalResponses(responseIds, approvedBy, reason = null, approvedByRole = null) {
+  /**
+   * Approve responses waiting on the approver's workflow stage and move them
+   * to the next stage, or finalize them when it was the last one
+   * @param {Array<string>} responseIds - Response IDs
+   * @param {string} approvedBy - Approver user ID
+   * @param {string|null} reason - Optional note
+   * @param {string|null} approvedByRole - ITLead or DepartmentHead, defaults to ITLead
+   * @param {Object} options - { refreshScores } - bulk jobs refresh scores once per batch
+   * @returns {Promise<Object>} { success, updated }
+   */
+  async approveFinalResponses(responseIds, approvedBy, reason = null, approvedByRole = null, options = {}) {
     await this.initialize();
     if (!Array.isArray(responseIds) || responseIds.length === 0 || !approvedBy) {
       throw new ValidationError('ResponseIds and ApprovedBy are required');
@@ -333,6 +642,13 @@ class ApprovalService {
       throw new ValidationError('Schema approval response belum siap. Jalankan migration terbaru terlebih dahulu.');
     }
 
+    const stageRole = approvedByRole || 'ITLead';
+    const expectedStatus = STAGE_ROLE_STATUS[stageRole];
+    if (!expectedStatus) {
+      throw new ValidationError(`Role ${stageRole} tidak memiliki tahap approval`);
+    }
+
+    const hasWorkflowSupport = await this.hasApprovalWorkflowSupport();
     const transaction = new sql.Transaction(this.pool);
     await transaction.begin();
     try {
@@ -340,14 +656,15 @@ class ApprovalService {
       const results = [];
 
       for (const responseId of responseIds) {
-        if (approvedByRole === 'ITLead') {
-          await this.assertITLeadCanAccessResponse(transaction, responseId, approvedBy);
-        }
+        const { onBehalfOf } = stageRole === 'ITLead'
+          ? await this.assertITLeadCanAccessResponse(transaction, responseId, approvedBy)
+          : await this.assertDepartmentHeadCanAccessResponse(transaction, responseId, approvedBy);
 
         const checkResult = await transaction.request()
           .input('responseId', sql.UniqueIdentifier, responseId)
           .query(`
             SELECT ResponseId, ResponseApprovalStatus
+              ${hasWorkflowSupport ? ', ApprovalStageCode' : ''}
             FROM Responses
             WHERE ResponseId = @responseId
           `);
@@ -356,27 +673,58 @@ class ApprovalService {
           throw new NotFoundError(`Response ${responseId} not found`);
         }
 
-        const currentStatus = checkResult.recordset[0].ResponseApprovalStatus || ResponseApprovalStatus.SUBMITTED;
-        if (currentStatus !== ResponseApprovalStatus.PENDING_IT_LEAD) {
-          throw new ValidationError(`Response ${responseId} belum siap untuk approval final IT Lead`);
+        const current = checkResult.recordset[0];
+        const currentStatus = current.ResponseApprovalStatus || ResponseApprovalStatus.SUBMITTED;
+        if (currentStatus !== expectedStatus) {
+          throw new ValidationError(`Response ${responseId} belum berada di tahap approval ${stageRole}`);
         }
 
-        await this.updateResponseApprovalStatus(
-          transaction,
-          responseId,
-          ResponseApprovalStatus.APPROVED_FINAL,
-          {
-            itLeadReviewedBy: approvedBy,
-            itLeadReviewedAt: now,
-            itLeadReviewReason: reason || null,
-            finalizedAt: now
-          }
-        );
+        const fields = stageRole === 'ITLead'
+          ? { itLeadReviewedBy: approvedBy, itLeadReviewedAt: now, itLeadReviewReason: reason || null }
+          : {};
+
+        if (hasWorkflowSupport) {
+          await recordStageAction(
+            transaction,
+            responseId,
+            { code: current.ApprovalStageCode || stageRole, role: stageRole },
+            ApprovalStageAction.APPROVED,
+            approvedBy,
+            reason,
+            onBehalfOf?.userId || null
+          );
+        }
+
+        const next = await this.advanceResponseWorkflow(transaction, responseId, currentStatus, {
+          stageCode: current.ApprovalStageCode || null,
+          fields
+        });
 
-        results.push({ responseId, status: ResponseApprovalStatus.APPROVED_FINAL });
+        results.push({
+          responseId,
+          status: next.status,
+          stageCode: next.stageCode,
+          dueAt: next.dueAt,
+          skippedStages: next.skippedStages,
+          onBehalfOf
+        });
       }
 
       await transaction.commit();
+      for (const result of results.filter((item) => item.onBehalfOf)) {
+        await this.logDelegatedAction({
+          performedBy: approvedBy,
+          onBehalfOf: result.onBehalfOf,
+          action: 'Approve',
+          verb: 'Approved',
+          entityType: 'Response',
+          entityId: result.responseId,
+          details: { Stage: stageRole, ResponseApprovalStatus: result.status, Reason: reason || null }
+        });
+      }
+      if (options.refreshScores !== false) {
+        await scoringService.refreshScoresForResponses(responseIds);
+      }
       return { success: true, updated: results };
     } catch (error) {
       await transaction.rollback();
@@ -384,6 +732,284 @@ class ApprovalService {
     }
   }
 
+  /**
+   * List responses waiting on the requester's workflow stage with their SLA
+   * @param {string} userId - IT Lead or Department Head user ID
+   * @param {string} role - ITLead or DepartmentHead
+   * @param {Object} filter - { surveyId, overdueOnly }
+   * @returns {Promise<Array<Object>>} Responses
+   */
+  async getPendingStageApprovals(userId, role, filter = {}) {
+    await this.initialize();
+    const status = STAGE_ROLE_STATUS[role];
+    if (!userId || !status) {
+      throw new ValidationError('UserId dan role tahap approval wajib diisi');
+    }
+
+    try {
+      const hasWorkflowSupport = await this.hasApprovalWorkflowSupport();
+      const hasDelegationSupport = await this.hasDelegationSupport();
+      const request = this.pool.request()
+        .input('userId', sql.UniqueIdentifier, userId)
+        .input('status', sql.NVarChar(50), status);
+
+      // Delegates also see the queue of the approvers they currently stand in for
+      const accessFilter = role === 'ITLead'
+        ? `EXISTS (
+            SELECT 1
+            FROM FunctionApplicationMappings fam
+            INNER JOIN Functions f ON f.FunctionId = fam.FunctionId
+            WHERE fam.ApplicationId = r.ApplicationId
+              AND ${approverScope('f.ITLeadUserId', '@userId', hasDelegationSupport)}
+          )`
+        : hasDelegationSupport
+          ? `r.DepartmentId IN (
+              SELECT DepartmentId FROM Users
+              WHERE UserId = @userId
+                OR (Role = 'DepartmentHead' AND ${approverScope('UserId', '@userId', true)})
+            )`
+          : 'r.DepartmentId = (SELECT DepartmentId FROM Users WHERE UserId = @userId)';
+
+      let query = `
+        SELECT r.ResponseId, r.SurveyId, s.Title as SurveyTitle,
+               r.RespondentEmail, r.RespondentName,
+               a.Name as ApplicationName, d.Name as DepartmentName,
+               r.SubmittedAt, r.AdminReviewedAt, r.ResponseApprovalStatus,
+               ${hasWorkflowSupport ? 'r.ApprovalStageCode, r.ApprovalStageDueAt' : 'NULL as ApprovalStageCode, NULL as ApprovalStageDueAt'}
+        FROM Responses r
+        INNER JOIN Surveys s ON s.SurveyId = r.SurveyId
+        INNER JOIN Applications a ON r.ApplicationId = a.ApplicationId
+        INNER JOIN Departments d ON r.DepartmentId = d.DepartmentId
+        WHERE r.ResponseApprovalStatus = @status
+          AND ${accessFilter}
+      `;
+
+      if (filter.surveyId) {
+        const resolvedSurveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, filter.surveyId);
+        query += ' AND r.SurveyId = @surveyId';
+        request.input('surveyId', sql.UniqueIdentifier, resolvedSurveyId);
+        query = await this.applyCurrentCycleFilter(request, query, resolvedSurveyId);
+      }
+      if (filter.overdueOnly && hasWorkflowSupport) {
+        query += ' AND r.ApprovalStageDueAt < GETDATE()';
+      }
+      query += hasWorkflowSupport
+        ? ' ORDER BY CASE WHEN r.ApprovalStageDueAt IS NULL THEN 1 ELSE 0 END, r.ApprovalStageDueAt, r.SubmittedAt'
+        : ' ORDER BY r.SubmittedAt';
+
+      const result = await request.query(query);
+      const now = Date.now();
+      return result.recordset.map((row) => ({
+        ...row,
+        IsOverdue: Boolean(row.ApprovalStageDueAt && new Date(row.ApprovalStageDueAt).getTime() < now)
+      }));
+    } catch (error) {
+      logger.error('Error getting pending stage approvals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ageing report of the approval backlog by stage and by IT Lead.
+   * AdminEvent only sees the events assigned to them.
+   * @param {Object} filter - { surveyId, requesterUserId, requesterRole }
+   * @returns {Promise<Object>} Ageing report (see approval-service/sla)
+   */
+  async getApprovalAgeingReport(filter = {}) {
+    await this.initialize();
+    try {
+      const { requesterUserId, requesterRole } = filter;
+      const isScopedAdmin = requesterRole === 'AdminEvent' && requesterUserId;
+      const options = { hasStageDueAt: await this.hasApprovalWorkflowSupport() };
+
+      if (filter.surveyId) {
+        options.surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, filter.surveyId);
+        if (isScopedAdmin) {
+          await this.assertAdminEventCanAccessSurvey(this.pool, options.surveyId, requesterUserId);
+        }
+      }
+      if (isScopedAdmin) {
+        options.adminUserId = requesterUserId;
+      }
+
+      const slaConfig = config.approvalSla || {};
+      const now = new Date();
+      const rows = await loadPendingApprovals(this.pool, options);
+      const items = rows.map((row) => annotatePendingApproval(row, slaConfig, now));
+      const itLeadsByApplication = items.length > 0 ? await loadITLeadsByApplication(this.pool) : new Map();
+      return buildAgeingReport(items, itLeadsByApplication, slaConfig, now);
+    } catch (error) {
+      logger.error('Error getting approval ageing report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List approver delegations. SuperAdmin sees every delegation (or those of
+   * filter.userId), other users the ones they gave or received.
+   * @param {Object} user - { userId, role } of the requester
+   * @param {Object} filter - { userId, activeOnly }
+   * @returns {Promise<Array<Object>>} Delegations
+   */
+  async getDelegations(user, filter = {}) {
+    await this.initialize();
+    await this.assertDelegationSupport();
+    return listDelegations(this.pool, {
+      userId: user.role === 'SuperAdmin' ? filter.userId || null : user.userId,
+      activeOnly: Boolean(filter.activeOnly)
+    });
+  }
+
+  /**
+   * Register a delegate who can take over an approver's queue for a date
+   * range. Approvers delegate their own queue; SuperAdmin can set one up for
+   * any approver (e.g. leave that started without a delegation).
+   * @param {Object} data - { delegatorUserId, delegateUserId, startDate, endDate, reason }
+   * @param {Object} user - { userId, role } of the requester
+   * @returns {Promise<Object>} Created delegation
+   */
+  async createDelegation(data, user) {
+    await this.initialize();
+    await this.assertDelegationSupport();
+
+    const delegatorUserId = data.delegatorUserId || user.userId;
+    if (user.role !== 'SuperAdmin' && String(delegatorUserId).toLowerCase() !== String(user.userId).toLowerCase()) {
+      throw new UnauthorizedError('Hanya SuperAdmin yang dapat mendaftarkan delegasi untuk approver lain');
+    }
+
+    const transaction = new sql.Transaction(this.pool);
+    await transaction.begin();
+    try {
+      const delegation = await createDelegation(transaction, {
+        ...data,
+        delegatorUserId,
+        createdBy: user.userId
+      });
+      await transaction.commit();
+      logger.info(`Approver ${delegatorUserId} delegated approvals to ${delegation.delegate.userId}`);
+      return delegation;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a delegation before its end date
+   * @param {string} delegationId - Delegation ID
+   * @param {Object} user - { userId, role } of the requester
+   * @returns {Promise<Object>} Revoked delegation
+   */
+  async revokeDelegation(delegationId, user) {
+    await this.initialize();
+    await this.assertDelegationSupport();
+    const delegation = await revokeDelegation(this.pool, delegationId, user);
+    logger.info(`Delegation ${delegationId} revoked by ${user.userId}`);
+    return delegation;
+  }
+
+  async getTakeoutReasons(options = {}) {
+    await this.initialize();
+    await this.assertTakeoutReasonSupport();
+    return listTakeoutReasons(this.pool, { includeInactive: Boolean(options.includeInactive) });
+  }
+
+  /**
+   * Create or update a takeout reason of the catalogue
+   * @param {string} reasonCode - Code, e.g. WRONG_APPLICATION
+   * @param {Object} data - { label, description, requiresDetail, sortOrder, isActive }
+   * @param {string} updatedBy - User ID
+   * @returns {Promise<Object>} { reason, created }
+   */
+  async saveTakeoutReason(reasonCode, data, updatedBy) {
+    await this.initialize();
+    await this.assertTakeoutReasonSupport();
+    const saved = await saveTakeoutReason(this.pool, reasonCode, data || {}, updatedBy);
+    logger.info(`Takeout reason ${saved.reason.reasonCode} ${saved.created ? 'created' : 'updated'} by ${updatedBy}`);
+    return saved;
+  }
+
+  /**
+   * Takeout proposals and their outcome by reason, by IT Lead and by
+   * application. AdminEvent only sees the events assigned to them.
+   * @param {Object} filter - { surveyId, from, to, requesterUserId, requesterRole }
+   * @returns {Promise<Object>} { totals, byReason, byITLead, byApplication }
+   */
+  async getTakeoutAnalytics(filter = {}) {
+    await this.initialize();
+    await this.assertTakeoutReasonSupport();
+    try {
+      const { requesterUserId, requesterRole } = filter;
+      const isScopedAdmin = requesterRole === 'AdminEvent' && requesterUserId;
+      const options = {};
+
+      if (filter.surveyId) {
+        options.surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, filter.surveyId);
+        if (isScopedAdmin) {
+          await this.assertAdminEventCanAccessSurvey(this.pool, options.surveyId, requesterUserId);
+        }
+      }
+      if (isScopedAdmin) {
+        options.adminUserId = requesterUserId;
+      }
+      if (filter.from) {
+        options.from = new Date(filter.from);
+      }
+      if (filter.to) {
+        // The end date is inclusive
+        options.to = new Date(filter.to);
+        options.to.setUTCDate(options.to.getUTCDate() + 1);
+      }
+      if (options.from && options.to && options.from >= options.to) {
+        throw new ValidationError('from must be on or before to');
+      }
+
+      const rows = await loadTakeoutProposals(this.pool, options);
+      return {
+        surveyId: options.surveyId || null,
+        ...buildTakeoutAnalytics(rows)
+      };
+    } catch (error) {
+      logger.error('Error getting takeout analytics:', error);
+      throw error;
+    }
+  }
+
+  async getApprovalWorkflows() {
+    await this.initialize();
+    await this.assertApprovalWorkflowSupport();
+    return listApprovalWorkflows(this.pool);
+  }
+
+  async getApprovalWorkflow(eventTypeId) {
+    await this.initialize();
+    await this.assertApprovalWorkflowSupport();
+    return getApprovalWorkflow(this.pool, eventTypeId);
+  }
+
+  /**
+   * Create or replace the approval workflow of an event type
+   * @param {string} eventTypeId - Event type ID
+   * @param {Object} data - { name, stages: [{ code, name, role, skipWhen, slaHours }] }
+   * @param {string} updatedBy - User ID
+   * @returns {Promise<Object>} Saved workflow
+   */
+  async saveApprovalWorkflow(eventTypeId, data, updatedBy) {
+    await this.initialize();
+    await this.assertApprovalWorkflowSupport();
+    const workflow = await saveApprovalWorkflow(this.pool, eventTypeId, data || {}, updatedBy);
+    logger.info(`Approval workflow saved for event type ${eventTypeId}`);
+    return workflow;
+  }
+
+  async resetApprovalWorkflow(eventTypeId) {
+    await this.initialize();
+    await this.assertApprovalWorkflowSupport();
+    const workflow = await deleteApprovalWorkflow(this.pool, eventTypeId);
+    logger.info(`Approval workflow reset to default for event type ${eventTypeId}`);
+    return workflow;
+  }
+
   async getRespondents(filter = {}) {
     await this.initialize();
     const { surveyId, duplicateFilter = 'all', applicationId, departmentId, requesterUserId, requesterRole } = filter;
@@ -438,10 +1064,10 @@ class ApprovalService {
     }
   }
 
-  async approveProposedTakeout(responseId, questionId, approvedBy, reason = null, approvedByRole = null) {
+  async approveProposedTakeout(responseId, questionId, approvedBy, reason = null, approvedByRole = null, reasonCode = null) {
     await this.initialize();
     try {
-      return await approveProposedTakeoutHelper({
+      const result = await approveProposedTakeoutHelper({
         ApprovalAction,
         ResponseApprovalStatus,
         TakeoutStatus,
@@ -451,9 +1077,13 @@ class ApprovalService {
         assertAdminEventCanAccessResponse: this.assertAdminEventCanAccessResponse.bind(this),
         getResponseApprovalStatus: this.getResponseApprovalStatus.bind(this),
         finalizeResponseIfReady: this.finalizeResponseIfReady.bind(this),
+        hasTakeoutReasonSupport: this.hasTakeoutReasonSupport.bind(this),
+        resolveTakeoutReason: this.resolveTakeoutReason.bind(this),
         pool: this.pool,
         sql
-      }, responseId, questionId, approvedBy, reason, approvedByRole);
+      }, responseId, questionId, approvedBy, reason, approvedByRole, reasonCode);
+      await scoringService.refreshScoresForResponses([responseId]);
+      return result;
     } catch (error) {
       logger.error('Error approving proposed takeout:', error);
       throw error;
@@ -463,7 +1093,7 @@ class ApprovalService {
   async rejectProposedTakeout(responseId, questionId, rejectedBy, reason, rejectedByRole = null) {
     await this.initialize();
     try {
-      return await rejectProposedTakeoutHelper({
+      const result = await rejectProposedTakeoutHelper({
         ApprovalAction,
         ResponseApprovalStatus,
         TakeoutStatus,
@@ -473,15 +1103,315 @@ class ApprovalService {
         assertAdminEventCanAccessResponse: this.assertAdminEventCanAccessResponse.bind(this),
         getResponseApprovalStatus: this.getResponseApprovalStatus.bind(this),
         finalizeResponseIfReady: this.finalizeResponseIfReady.bind(this),
+        hasTakeoutReasonSupport: this.hasTakeoutReasonSupport.bind(this),
         pool: this.pool,
         sql
       }, responseId, questionId, rejectedBy, reason, rejectedByRole);
+      await scoringService.refreshScoresForResponses([responseId]);
+      return result;
     } catch (error) {
       logger.error('Error rejecting proposed takeout:', error);
       throw error;
     }
   }
 
+  /**
+   * Send a finalised response back to an earlier stage of its workflow, e.g.
+   * after an approver found a mistake. The report of its publish cycle has to
+   * be generated again.
+   * @param {string} responseId - Response ID
+   * @param {Object} data - { targetStage, reason } - targetStage is Submitted or a stage code
+   * @param {Object} user - { userId, username, role } of the requester
+   * @returns {Promise<Object>} { responseId, previousStatus, status, stageCode, reportInvalidated }
+   */
+  async reopenResponse(responseId, data, user) {
+    await this.initialize();
+    await this.assertReopenSupport();
+
+    const hasWorkflowSupport = await this.hasApprovalWorkflowSupport();
+
+    return this.runReopen(responseId, data, user, async (transaction, response) => {
+      const routing = await this.getResponseRoutingRequirement(transaction, responseId);
+      const stages = await this.getWorkflowStages(transaction, routing.eventTypeId);
+      return reopenResponse({
+        updateResponseApprovalStatus: this.updateResponseApprovalStatus.bind(this),
+        hasWorkflowSupport,
+        stages,
+        routing
+      }, transaction, response, { ...data, performedBy: user.userId });
+    }, (result) => ({
+      entityType: 'Response',
+      entityId: responseId,
+      oldValues: {},
+      newValues: { StageCode: result.stageCode }
+    }));
+  }
+
+  /**
+   * Send a taken out answer of a finalised response back to the takeout
+   * decision (ProposedTakeout) or restore it (Active)
+   * @param {string} responseId - Response ID
+   * @param {string} questionId - Question ID
+   * @param {Object} data - { targetStatus, reason }
+   * @param {Object} user - { userId, username, role } of the requester
+   * @returns {Promise<Object>} { responseId, questionResponseId, previousStatus, takeoutStatus, status, stageCode, reportInvalidated }
+   */
+  async reopenQuestionResponse(responseId, questionId, data, user) {
+    await this.initialize();
+    await this.assertReopenSupport();
+
+    const hasWorkflowSupport = await this.hasApprovalWorkflowSupport();
+    const hasTakeoutReasonSupport = await this.hasTakeoutReasonSupport();
+
+    return this.runReopen(responseId, data, user, async (transaction, response) => {
+      const routing = await this.getResponseRoutingRequirement(transaction, responseId);
+      const stages = await this.getWorkflowStages(transaction, routing.eventTypeId);
+      return reopenQuestionResponse({
+        updateResponseApprovalStatus: this.updateResponseApprovalStatus.bind(this),
+        hasWorkflowSupport,
+        hasTakeoutReasonSupport,
+        stages
+      }, transaction, response, { ...data, questionId, performedBy: user.userId });
+    }, (result) => ({
+      entityType: 'QuestionResponse',
+      entityId: result.questionResponseId,
+      oldValues: { TakeoutStatus: result.previousStatus },
+      newValues: { TakeoutStatus: result.takeoutStatus, QuestionId: questionId }
+    }));
+  }
+
+  /**
+   * Shared transaction of the reopen actions: lock the finalised response,
+   * run the action and invalidate the generated report, then rescore and audit
+   * @param {Function} action - (transaction, response) => result
+   * @param {Function} describe - result => { entityType, entityId, oldValues, newValues }
+   */
+  async runReopen(responseId, data, user, action, describe) {
+    const hasPublishCycle = await publishCycleService.hasSupport(this.pool);
+    const transaction = new sql.Transaction(this.pool);
+    await transaction.begin();
+    let previousStatus;
+    let result;
+    try {
+      if (user.role === 'AdminEvent') {
+        await this.assertAdminEventCanAccessResponse(transaction, responseId, user.userId);
+      }
+      const response = await loadFinalizedResponse(transaction, responseId, hasPublishCycle);
+      previousStatus = response.ResponseApprovalStatus;
+      result = await action(transaction, response);
+      result.reportInvalidated = await publishCycleService.clearGenerated(transaction, response.PublishCycleId);
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      logger.error('Error reopening approval:', error);
+      throw error;
+    }
+
+    logger.info(`Response ${responseId} reopened to ${result.status} by ${user.userId}`);
+    await scoringService.refreshScoresForResponses([responseId]);
+    // The reopen is committed; a failed audit entry must not report it as failed
+    try {
+      const entry = describe(result);
+      await auditService.logAction({
+        userId: user.userId,
+        username: user.username || 'system',
+        action: 'Update',
+        entityType: entry.entityType,
+        entityId: entry.entityId,
+        oldValues: { ...entry.oldValues, ResponseApprovalStatus: previousStatus },
+        newValues: {
+          ...entry.newValues,
+          ResponseApprovalStatus: result.status,
+          Reason: String(data.reason).trim(),
+          ReportInvalidated: result.reportInvalidated
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to audit reopened approval:', error);
+    }
+    return { responseId, ...result };
+  }
+
+  /**
+   * Resolve the filter of a bulk approval for the requester: the event must
+   * be assigned to an AdminEvent, approvers only match their own queue
+   * @param {Object} data - Bulk approval request
+   * @param {Object} user - { userId, role } of the requester
+   * @returns {Promise<Object>} Options for the bulk job helpers
+   */
+  async resolveBulkJobScope(data, user) {
+    const request = normalizeBulkJobRequest(data || {}, user.role);
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, request.filter.surveyId);
+    if (user.role === 'AdminEvent') {
+      await this.assertAdminEventCanAccessSurvey(this.pool, surveyId, user.userId);
+    }
+    const currentCycle = await publishCycleService.getCurrentCycle(this.pool, surveyId);
+
+    return {
+      ...request,
+      surveyId,
+      publishCycleId: currentCycle?.PublishCycleId || null,
+      approverUserId: user.userId,
+      approverRole: ['ITLead', 'DepartmentHead'].includes(user.role) ? user.role : null,
+      hasDelegationSupport: await this.hasDelegationSupport()
+    };
+  }
+
+  /**
+   * Dry run of a bulk approval: how many responses match the filter and the
+   * first of them
+   * @param {Object} data - { action, surveyId, applicationId, departmentId, duplicateFilter, questionIds }
+   * @param {Object} user - { userId, role } of the requester
+   * @returns {Promise<Object>} { action, surveyId, total, sample }
+   */
+  async previewBulkApproval(data, user) {
+    await this.initialize();
+    await this.assertBulkJobSupport();
+    const options = await this.resolveBulkJobScope(data, user);
+    const preview = await previewBulkJob(this.pool, options);
+    return { action: options.action, surveyId: options.surveyId, ...preview };
+  }
+
+  /**
+   * Queue a bulk approval of every response matching a filter. The matching
+   * responses are fixed when the job is created; approvalBulkJobProcessor
+   * processes them one by one in the background.
+   * @param {Object} data - Preview request plus { reason, reasonCode, expectedTotal }
+   * @param {Object} user - { userId, username, role } of the requester
+   * @returns {Promise<Object>} Queued job
+   */
+  async createBulkApprovalJob(data, user) {
+    await this.initialize();
+    await this.assertBulkJobSupport();
+    const options = await this.resolveBulkJobScope(data, user);
+    if (options.reasonCode) {
+      await this.assertTakeoutReasonSupport();
+    }
+
+    const transaction = new sql.Transaction(this.pool);
+    await transaction.begin();
+    let job;
+    try {
+      job = await createBulkJob(transaction, {
+        ...options,
+        requestedBy: user.userId,
+        requestedByRole: user.role,
+        expectedTotal: data.expectedTotal
+      });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info(`Bulk ${job.action} job ${job.jobId} queued by ${user.userId} for ${job.totalItems} responses`);
+    try {
+      await auditService.logAction({
+        userId: user.userId,
+        username: user.username || 'system',
+        action: 'Create',
+        entityType: 'ApprovalBulkJob',
+        entityId: job.jobId,
+        newValues: { Action: job.action, ...job.filter, TotalItems: job.totalItems, Reason: job.reason }
+      });
+    } catch (error) {
+      logger.error('Failed to audit bulk approval job:', error);
+    }
+    return job;
+  }
+
+  /**
+   * Jobs are visible to their requester and to SuperAdmin
+   */
+  async getBulkApprovalJob(jobId, user) {
+    await this.initialize();
+    await this.assertBulkJobSupport();
+    const job = await getBulkJob(this.pool, jobId);
+    if (user.role !== 'SuperAdmin' && String(job.requestedBy).toLowerCase() !== String(user.userId).toLowerCase()) {
+      throw new UnauthorizedError('Bulk job ini bukan milik Anda');
+    }
+    return job;
+  }
+
+  async getBulkApprovalJobs(user) {
+    await this.initialize();
+    await this.assertBulkJobSupport();
+    return listBulkJobs(this.pool, { requestedBy: user.role === 'SuperAdmin' ? null : user.userId });
+  }
+
+  /**
+   * Result log of a bulk job
+   * @param {Object} filter - { status, limit, offset }
+   */
+  async getBulkApprovalJobItems(jobId, user, filter = {}) {
+    const job = await this.getBulkApprovalJob(jobId, user);
+    const items = await listBulkJobItems(this.pool, job.jobId, filter);
+    return { job, items };
+  }
+
+  /**
+   * Apply the action of a bulk job to one response, as the requester. Errors
+   * become the outcome of the item instead of stopping the job.
+   * @param {Object} job - Job being processed
+   * @param {string} responseId - Response ID
+   * @returns {Promise<Object>} { status, resultStatus, message }
+   */
+  async runBulkApprovalJobItem(job, responseId) {
+    await this.initialize();
+    try {
+      if (job.action === BulkApprovalAction.PROPOSE_TAKEOUT) {
+        return await this.proposeBulkJobTakeouts(job, responseId);
+      }
+
+      const approve = job.action === BulkApprovalAction.APPROVE_INITIAL
+        ? this.approveInitialResponses.bind(this)
+        : this.approveFinalResponses.bind(this);
+      const result = await approve([responseId], job.requestedBy, job.reason, job.requestedByRole, { refreshScores: false });
+      const status = result.updated[0]?.status || null;
+      return { status: BulkJobItemStatus.SUCCEEDED, resultStatus: status, message: `Approved, now ${status}` };
+    } catch (error) {
+      return classifyBulkJobItemError(error);
+    }
+  }
+
+  async proposeBulkJobTakeouts(job, responseId) {
+    const request = this.pool.request()
+      .input('responseId', sql.UniqueIdentifier, responseId)
+      .input('activeStatus', sql.NVarChar(50), TakeoutStatus.ACTIVE);
+    const params = job.questionIds.map((questionId, index) => {
+      request.input(`questionId${index}`, sql.UniqueIdentifier, questionId);
+      return `@questionId${index}`;
+    });
+    const answers = await request.query(`
+      SELECT QuestionId
+      FROM QuestionResponses
+      WHERE ResponseId = @responseId
+        AND QuestionId IN (${params.join(', ')})
+        AND TakeoutStatus = @activeStatus
+    `);
+
+    if (answers.recordset.length === 0) {
+      return { status: BulkJobItemStatus.SKIPPED, message: 'No active answer to the selected questions' };
+    }
+
+    let result = null;
+    for (const { QuestionId: questionId } of answers.recordset) {
+      result = await this.proposeTakeoutForQuestion({
+        responseId,
+        questionId,
+        reason: job.reason,
+        reasonCode: job.reasonCode,
+        proposedBy: job.requestedBy,
+        proposedByRole: job.requestedByRole
+      });
+    }
+    return {
+      status: BulkJobItemStatus.SUCCEEDED,
+      resultStatus: ResponseApprovalStatus.PENDING_ADMIN_TAKEOUT_DECISION,
+      message: `Takeout proposed for ${answers.recordset.length} answer(s)${result.reasonCode ? ` (${result.reasonCode})` : ''}`
+    };
+  }
+
   async bulkApprove(responseIds, questionIds, approvedBy, reason = null) {
     await this.initialize();
     if (!responseIds || !Array.isArray(responseIds) || responseIds.length === 0) {
@@ -523,23 +1453,45 @@ class ApprovalService {
     }
     try {
       const hasApprovalStatus = await this.hasResponseApprovalStatusColumn();
+      const hasDelegationSupport = await this.hasDelegationSupport();
+      // The queue also holds the applications of IT Leads who delegated to this user
+      const itLeadScope = (column) => approverScope(column, '@itLeadUserId', hasDelegationSupport);
       const functionFilterExists = filter.functionId
         ? ` AND EXISTS (
               SELECT 1
               FROM FunctionApplicationMappings famFilter
               INNER JOIN Functions fFilter ON famFilter.FunctionId = fFilter.FunctionId
               WHERE famFilter.ApplicationId = r.ApplicationId
-                AND fFilter.ITLeadUserId = @itLeadUserId
+                AND ${itLeadScope('fFilter.ITLeadUserId')}
                 AND fFilter.FunctionId = @functionId
             )`
         : '';
+      const delegationInfo = hasDelegationSupport
+        ? `OUTER APPLY (
+          SELECT TOP 1 owner.UserId AS OnBehalfOfUserId, owner.DisplayName AS OnBehalfOfName
+          FROM FunctionApplicationMappings famo
+          INNER JOIN Functions fo ON fo.FunctionId = famo.FunctionId
+          INNER JOIN Users owner ON owner.UserId = fo.ITLeadUserId
+          WHERE famo.ApplicationId = a.ApplicationId
+            AND fo.ITLeadUserId <> @itLeadUserId
+            AND ${itLeadScope('fo.ITLeadUserId')}
+            AND NOT EXISTS (
+              SELECT 1
+              FROM FunctionApplicationMappings famd
+              INNER JOIN Functions fd ON fd.FunctionId = famd.FunctionId
+              WHERE famd.ApplicationId = a.ApplicationId
+                AND fd.ITLeadUserId = @itLeadUserId
+            )
+        ) delegation`
+        : '';
       let query = `
         SELECT qr.QuestionResponseId, qr.ResponseId, qr.QuestionId, qr.TextValue, qr.NumericValue,
                qr.CommentValue, qr.TakeoutStatus, qr.TakeoutReason, qr.ProposedAt,
                q.PromptText as QuestionText, r.RespondentEmail, r.RespondentName,
                a.Name as ApplicationName, d.Name as DepartmentName,
                functionInfo.FunctionId, functionInfo.FunctionName,
-               proposer.DisplayName as ProposedByName
+               proposer.DisplayName as ProposedByName,
+               ${hasDelegationSupport ? 'delegation.OnBehalfOfUserId, delegation.OnBehalfOfName' : 'NULL as OnBehalfOfUserId, NULL as OnBehalfOfName'}
         FROM QuestionResponses qr
         INNER JOIN Questions q ON qr.QuestionId = q.QuestionId
         INNER JOIN Responses r ON qr.ResponseId = r.ResponseId
@@ -553,16 +1505,17 @@ class ApprovalService {
               FROM FunctionApplicationMappings fam2
               INNER JOIN Functions f2 ON fam2.FunctionId = f2.FunctionId
               WHERE fam2.ApplicationId = a.ApplicationId
-                AND f2.ITLeadUserId = @itLeadUserId
+                AND ${itLeadScope('f2.ITLeadUserId')}
                 ${filter.functionId ? 'AND f2.FunctionId = @functionId' : ''}
               FOR XML PATH(''), TYPE
             ).value('.', 'NVARCHAR(MAX)'), 1, 2, '') AS FunctionName
           FROM FunctionApplicationMappings famx
           INNER JOIN Functions f ON famx.FunctionId = f.FunctionId
           WHERE famx.ApplicationId = a.ApplicationId
-            AND f.ITLeadUserId = @itLeadUserId
+            AND ${itLeadScope('f.ITLeadUserId')}
             ${filter.functionId ? 'AND f.FunctionId = @functionId' : ''}
         ) functionInfo
+        ${delegationInfo}
         LEFT JOIN Users proposer ON qr.ProposedBy = proposer.UserId
         WHERE functionInfo.FunctionId IS NOT NULL
           ${functionFilterExists}
@@ -595,6 +1548,7 @@ class ApprovalService {
     await this.initialize();
     try {
       const hasApprovalStatus = await this.hasResponseApprovalStatusColumn();
+      const hasReasonCodes = await this.hasTakeoutReasonSupport();
       const { requesterUserId, requesterRole } = filter;
       const functionFilterExists = filter.functionId
         ? ` AND EXISTS (
@@ -611,7 +1565,8 @@ class ApprovalService {
                a.Name as ApplicationName, d.Name as DepartmentName,
                s.SurveyId, s.Title as SurveyTitle,
                functionInfo.FunctionId, functionInfo.FunctionName,
-               proposer.DisplayName as ProposedByName
+               proposer.DisplayName as ProposedByName,
+               ${hasReasonCodes ? 'qr.TakeoutReasonCode, takeoutReason.Label as TakeoutReasonLabel' : 'NULL as TakeoutReasonCode, NULL as TakeoutReasonLabel'}
         FROM QuestionResponses qr
         INNER JOIN Questions q ON qr.QuestionId = q.QuestionId
         INNER JOIN Surveys s ON q.SurveyId = s.SurveyId
@@ -635,6 +1590,7 @@ class ApprovalService {
             ${filter.functionId ? 'AND f.FunctionId = @functionId' : ''}
         ) functionInfo
         LEFT JOIN Users proposer ON qr.ProposedBy = proposer.UserId
+        ${hasReasonCodes ? 'LEFT JOIN TakeoutReasons takeoutReason ON takeoutReason.ReasonCode = qr.TakeoutReasonCode' : ''}
         WHERE 1=1
           AND functionInfo.FunctionId IS NOT NULL
           ${functionFilterExists}
@@ -654,15 +1610,7 @@ class ApprovalService {
         query = await this.applyCurrentCycleFilter(request, query, resolvedSurveyId);
       }
       if (requesterRole === 'AdminEvent' && requesterUserId) {
-        query += ` AND (
-          s.AssignedAdminId = @requesterUserId
-          OR EXISTS (
-            SELECT 1
-            FROM SurveyAdminAssignments saa
-            WHERE saa.SurveyId = s.SurveyId
-              AND saa.AdminUserId = @requesterUserId
-          )
-        )`;
+        query += ` AND ${adminEventScope('s', '@requesterUserId')}`;
         request.input('requesterUserId', sql.UniqueIdentifier, requesterUserId);
       }
       if (filter.applicationId) {
@@ -908,6 +1856,7 @@ module.exports.ApprovalService = ApprovalService;
 module.exports.TakeoutStatus = TakeoutStatus;
 module.exports.ResponseApprovalStatus = ResponseApprovalStatus;
 module.exports.ApprovalAction = ApprovalAction;
+module.exports.ApprovalStageAction = ApprovalStageAction;
 module.exports.ValidationError = ValidationError;
 module.exports.NotFoundError = NotFoundError;
 module.exports.UnauthorizedError = UnauthorizedError;
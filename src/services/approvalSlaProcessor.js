@@ -0,0 +1,273 @@
+/**
+ * Approval SLA Processor
+ * Daily job that reminds approvers of the responses waiting on them and
+ * escalates responses that overran the SLA of their approval stage, first to
+ * the admins assigned to the event and then to SuperAdmin
+ */
+
+const cron = require('node-cron');
+
+const config = require('../config');
+const logger = require('../config/logger');
+const db = require('../database/connection');
+const emailService = require('./emailService');
+const { ResponseApprovalStatus } = require('./approval-service/constants');
+const {
+    EscalationLevel,
+    annotatePendingApproval,
+    getDueEscalationLevels,
+    getEscalationRecipients,
+    getStageApprovers,
+    loadApprovers,
+    loadPendingApprovals,
+    recordEscalation
+} = require('./approval-service/sla');
+
+// Responses listed per digest email; the counts always cover the full backlog
+const DIGEST_ITEM_LIMIT = 25;
+
+function sortByUrgency(items) {
+    return [...items].sort((a, b) => b.overdueHours - a.overdueHours || b.ageHours - a.ageHours);
+}
+
+function groupByRecipient(groups, users, item, extra = {}) {
+    users.forEach((user) => {
+        if (!user.email) return;
+        const key = `${String(user.email).toLowerCase()}|${extra.level || ''}`;
+        if (!groups.has(key)) {
+            groups.set(key, { user, items: [], ...extra });
+        }
+        groups.get(key).items.push(item);
+    });
+}
+
+class ApprovalSlaProcessor {
+    constructor() {
+        this.isRunning = false;
+        this.cronJob = null;
+        this.supportCache = null;
+    }
+
+    /**
+     * Start the SLA processor on the configured schedule
+     */
+    start() {
+        if (this.cronJob) {
+            logger.warn('Approval SLA processor is already running');
+            return;
+        }
+
+        if (config.approvalSla?.enabled === false) {
+            logger.info('Approval SLA processor is disabled');
+            return;
+        }
+
+        this.cronJob = cron.schedule(config.approvalSla?.schedule || '0 8 * * *', async () => {
+            if (this.isRunning) {
+                logger.debug('Previous approval SLA run still running, skipping this cycle');
+                return;
+            }
+
+            this.isRunning = true;
+            try {
+                await this.processApprovalSla();
+            } catch (error) {
+                logger.error('Error processing approval SLA:', error);
+            } finally {
+                this.isRunning = false;
+            }
+        });
+
+        logger.info('Approval SLA processor started');
+    }
+
+    /**
+     * Stop the SLA processor
+     */
+    stop() {
+        if (this.cronJob) {
+            this.cronJob.stop();
+            this.cronJob = null;
+            logger.info('Approval SLA processor stopped');
+        }
+    }
+
+    /**
+     * Whether migration 039 (ApprovalStageDueAt), migration 050
+     * (ApprovalEscalations) and migration 051 (ApproverDelegations) have been applied
+     * @param {Object} pool - Connection pool
+     * @returns {Promise<Object>} { stageDueAt, escalations, delegations }
+     */
+    async hasSupport(pool) {
+        if (this.supportCache) {
+            return this.supportCache;
+        }
+
+        const result = await pool.request().query(`
+            SELECT
+                CASE WHEN COL_LENGTH('Responses', 'ApprovalStageDueAt') IS NULL THEN 0 ELSE 1 END AS StageDueAtSupported,
+                CASE WHEN OBJECT_ID('ApprovalEscalations', 'U') IS NULL THEN 0 ELSE 1 END AS EscalationsSupported,
+                CASE WHEN OBJECT_ID('ApproverDelegations', 'U') IS NULL THEN 0 ELSE 1 END AS DelegationsSupported
+        `);
+
+        const row = result.recordset?.[0] || {};
+        this.supportCache = {
+            stageDueAt: Number(row.StageDueAtSupported || 0) === 1,
+            escalations: Number(row.EscalationsSupported || 0) === 1,
+            delegations: Number(row.DelegationsSupported || 0) === 1
+        };
+        return this.supportCache;
+    }
+
+    /**
+     * Send the approver digests and escalate overdue approvals once
+     * @returns {Promise<Object>} Counts of the run
+     */
+    async processApprovalSla() {
+        const pool = await db.getPool();
+        const support = await this.hasSupport(pool);
+        const slaConfig = config.approvalSla || {};
+
+        const rows = await loadPendingApprovals(pool, { hasStageDueAt: support.stageDueAt });
+        if (rows.length === 0) {
+            logger.debug('No approvals pending, nothing to remind');
+            return { pending: 0, overdue: 0, digestsSent: 0, escalated: 0, escalationsSent: 0 };
+        }
+
+        const now = new Date();
+        const items = rows.map((row) => annotatePendingApproval(row, slaConfig, now));
+        const approvers = await loadApprovers(pool, { hasDelegationSupport: support.delegations });
+
+        const digestsSent = await this.sendDigests(items, approvers);
+        const escalation = support.escalations
+            ? await this.escalateOverdue(pool, items, approvers, slaConfig)
+            : { escalated: 0, sent: 0 };
+
+        const summary = {
+            pending: items.length,
+            overdue: items.filter((item) => item.isOverdue).length,
+            digestsSent,
+            escalated: escalation.escalated,
+            escalationsSent: escalation.sent
+        };
+
+        if (!support.escalations && summary.overdue) {
+            logger.warn('Overdue approvals were not escalated: run migration 050 to enable escalation');
+        }
+        logger.info('Approval SLA processed', summary);
+        return summary;
+    }
+
+    /**
+     * Email every approver the list of responses waiting on them
+     * @param {Array<Object>} items - Pending approvals
+     * @param {Object} approvers - Result of loadApprovers
+     * @returns {Promise<number>} Digests sent
+     */
+    async sendDigests(items, approvers) {
+        const digests = new Map();
+        items.forEach((item) => groupByRecipient(digests, getStageApprovers(item, approvers), item));
+
+        let sent = 0;
+        for (const { user, items: pending } of digests.values()) {
+            try {
+                const result = await emailService.sendApprovalDigest({
+                    recipientEmail: user.email,
+                    recipientName: user.displayName,
+                    pendingCount: pending.length,
+                    overdueCount: pending.filter((item) => item.isOverdue).length,
+                    items: sortByUrgency(pending).slice(0, DIGEST_ITEM_LIMIT)
+                });
+                if (result?.success) sent += 1;
+            } catch (error) {
+                logger.error(`Failed to send approval digest to ${user.email}:`, error);
+            }
+        }
+
+        return sent;
+    }
+
+    /**
+     * Escalate overdue approvals to the event admins and then to SuperAdmin.
+     * Each stage reaches each level once; levels without recipients are
+     * retried on the next run.
+     * @param {Object} pool - Connection pool
+     * @param {Array<Object>} items - Pending approvals
+     * @param {Object} approvers - Result of loadApprovers
+     * @param {Object} slaConfig - config.approvalSla
+     * @returns {Promise<Object>} { escalated, sent }
+     */
+    async escalateOverdue(pool, items, approvers, slaConfig) {
+        const escalations = new Map();
+        let escalated = 0;
+
+        for (const item of items) {
+            for (const level of getDueEscalationLevels(item, slaConfig)) {
+                const recipients = getEscalationRecipients(item, level, approvers).filter((user) => user.email);
+                if (recipients.length === 0) {
+                    if (level === EscalationLevel.EVENT_ADMINS && item.status !== ResponseApprovalStatus.PENDING_ADMIN_TAKEOUT_DECISION) {
+                        logger.warn(`Overdue response ${item.responseId} has no assigned admin to escalate to`);
+                    }
+                    continue;
+                }
+
+                try {
+                    if (await recordEscalation(pool, item, level, recipients.length)) {
+                        escalated += 1;
+                        groupByRecipient(escalations, recipients, item, { level });
+                    }
+                } catch (error) {
+                    logger.error(`Failed to escalate overdue response ${item.responseId}:`, error);
+                }
+            }
+        }
+
+        let sent = 0;
+        for (const { user, items: overdue, level } of escalations.values()) {
+            try {
+                const result = await emailService.sendApprovalEscalation({
+                    recipientEmail: user.email,
+                    recipientName: user.displayName,
+                    level,
+                    items: sortByUrgency(overdue)
+                });
+                if (result?.success) sent += 1;
+            } catch (error) {
+                logger.error(`Failed to send approval escalation to ${user.email}:`, error);
+            }
+        }
+
+        return { escalated, sent };
+    }
+
+    /**
+     * Manually trigger processing (for testing)
+     */
+    async triggerProcessing() {
+        if (this.isRunning) {
+            throw new Error('Processing is already running');
+        }
+
+        this.isRunning = true;
+        try {
+            return await this.processApprovalSla();
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Get processor status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            isScheduled: this.cronJob !== null
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new ApprovalSlaProcessor();
+module.exports.ApprovalSlaProcessor = ApprovalSlaProcessor;
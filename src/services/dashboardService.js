@@ -0,0 +1,378 @@
+const sql = require('../database/sql-client');
+/**
+ * Dashboard Service
+ * Aggregates role-specific statistics for the admin dashboard
+ */
+
+const db = require('../database/connection');
+const logger = require('../config/logger');
+const approvalService = require('./approvalService');
+const reportService = require('./reportService');
+const { DEFAULT_FORMULA, scoreAnswer } = require('./scoring-service/formula');
+const {
+  ResponseApprovalStatus,
+  TakeoutStatus,
+  UnauthorizedError,
+  ValidationError
+} = require('./approval-service/constants');
+const { adminEventScope } = require('./approval-service/workflow');
+
+function buildApprovalBacklog(rows) {
+  const backlog = {
+    submitted: 0,
+    rejectedByAdmin: 0,
+    pendingITLead: 0,
+    pendingAdminTakeoutDecision: 0,
+    approvedFinal: 0
+  };
+  const keyByStatus = {
+    [ResponseApprovalStatus.SUBMITTED]: 'submitted',
+    [ResponseApprovalStatus.REJECTED_BY_ADMIN]: 'rejectedByAdmin',
+    [ResponseApprovalStatus.PENDING_IT_LEAD]: 'pendingITLead',
+    [ResponseApprovalStatus.PENDING_ADMIN_TAKEOUT_DECISION]: 'pendingAdminTakeoutDecision',
+    [ResponseApprovalStatus.APPROVED_FINAL]: 'approvedFinal'
+  };
+
+  (rows || []).forEach((row) => {
+    const key = keyByStatus[row.ResponseApprovalStatus];
+    if (key) {
+      backlog[key] = Number(row.Count || 0);
+    }
+  });
+
+  return backlog;
+}
+
+/**
+ * Average answer score per event and overall, on the same 0-10 scale as
+ * Events.CurrentScore
+ * @param {Array<Object>} rows - { SurveyId, Type, Options, NumericValue, MatrixValues }
+ * @returns {Object} { bySurvey: Map<surveyId, average>, overall }
+ */
+function averageAnswerScores(rows) {
+  const totals = new Map();
+  let overallSum = 0;
+  let overallCount = 0;
+
+  (rows || []).forEach((row) => {
+    const score = scoreAnswer({
+      type: row.Type,
+      options: row.Options,
+      numericValue: row.NumericValue,
+      matrixValues: row.MatrixValues
+    });
+    if (score === null) return;
+
+    const key = String(row.SurveyId).toLowerCase();
+    const total = totals.get(key) || { sum: 0, count: 0 };
+    total.sum += score;
+    total.count += 1;
+    totals.set(key, total);
+    overallSum += score;
+    overallCount += 1;
+  });
+
+  const bySurvey = new Map();
+  totals.forEach((total, key) => bySurvey.set(key, total.sum / total.count));
+  return {
+    bySurvey,
+    overall: overallCount > 0 ? overallSum / overallCount : null
+  };
+}
+
+function toRoundedNumber(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? Math.round(numeric * 100) / 100 : null;
+}
+
+class DashboardService {
+  constructor() {
+    this.pool = null;
+  }
+
+  async initialize() {
+    if (!this.pool) {
+      this.pool = await db.getPool();
+    }
+  }
+
+  /**
+   * Get dashboard statistics for SuperAdmin and AdminEvent users.
+   * AdminEvent users only see events they are assigned to.
+   * @param {string} requesterUserId - Current user ID
+   * @param {string} requesterRole - Current user role
+   * @returns {Promise<Object>} Admin statistics
+   */
+  async getAdminStats(requesterUserId, requesterRole) {
+    await this.initialize();
+    try {
+      const hasApprovalStatus = await approvalService.hasResponseApprovalStatusColumn();
+      const isScoped = requesterRole === 'AdminEvent';
+      const scopeCondition = isScoped ? `AND ${adminEventScope('s', '@requesterUserId')}` : '';
+
+      const eventsRequest = this.pool.request();
+      if (isScoped) {
+        eventsRequest.input('requesterUserId', sql.UniqueIdentifier, requesterUserId);
+      }
+      const eventsResult = await eventsRequest.query(`
+        SELECT s.SurveyId, s.Title, s.Status, s.StartDate, s.EndDate,
+               s.TargetRespondents, s.TargetScore, s.CurrentScore,
+               (SELECT COUNT(*) FROM Responses r WHERE r.SurveyId = s.SurveyId) AS ResponseCount
+        FROM Surveys s
+        WHERE 1=1
+          ${scopeCondition}
+        ORDER BY s.CreatedAt DESC
+      `);
+      const events = eventsResult.recordset || [];
+
+      let approvalBacklog = buildApprovalBacklog([]);
+      if (hasApprovalStatus) {
+        const backlogRequest = this.pool.request();
+        if (isScoped) {
+          backlogRequest.input('requesterUserId', sql.UniqueIdentifier, requesterUserId);
+        }
+        const backlogResult = await backlogRequest.query(`
+          SELECT r.ResponseApprovalStatus, COUNT(*) AS Count
+          FROM Responses r
+          INNER JOIN Surveys s ON r.SurveyId = s.SurveyId
+          WHERE r.ResponseApprovalStatus IS NOT NULL
+            ${scopeCondition}
+          GROUP BY r.ResponseApprovalStatus
+        `);
+        approvalBacklog = buildApprovalBacklog(backlogResult.recordset);
+      }
+
+      const activeEvents = events
+        .filter(event => event.Status === 'Active')
+        .map(event => {
+          const responseCount = Number(event.ResponseCount || 0);
+          const targetRespondents = event.TargetRespondents ? Number(event.TargetRespondents) : null;
+          return {
+            surveyId: event.SurveyId,
+            title: event.Title,
+            startDate: event.StartDate,
+            endDate: event.EndDate,
+            responseCount,
+            targetRespondents,
+            responseRate: targetRespondents
+              ? toRoundedNumber((responseCount / targetRespondents) * 100)
+              : null,
+            targetScore: toRoundedNumber(event.TargetScore),
+            currentScore: toRoundedNumber(event.CurrentScore)
+          };
+        });
+
+      return {
+        totalSurveys: events.length,
+        activeSurveys: activeEvents.length,
+        pendingApprovals: approvalBacklog.submitted + approvalBacklog.pendingAdminTakeoutDecision,
+        totalResponses: events.reduce((sum, event) => sum + Number(event.ResponseCount || 0), 0),
+        approvalBacklog,
+        activeEvents
+      };
+    } catch (error) {
+      logger.error('Error getting admin dashboard statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get dashboard statistics for an IT Lead, scoped to the functions they lead.
+   * @param {string} itLeadUserId - IT Lead user ID
+   * @returns {Promise<Object>} IT Lead statistics
+   */
+  async getITLeadStats(itLeadUserId) {
+    await this.initialize();
+    if (!itLeadUserId) {
+      throw new ValidationError('ITLeadUserId is required');
+    }
+    try {
+      const hasApprovalStatus = await approvalService.hasResponseApprovalStatusColumn();
+
+      const functionsResult = await this.pool.request()
+        .input('itLeadUserId', sql.UniqueIdentifier, itLeadUserId)
+        .query(`
+          SELECT f.FunctionId, f.Name AS FunctionName,
+                 COUNT(DISTINCT fam.ApplicationId) AS ApplicationCount
+          FROM Functions f
+          LEFT JOIN FunctionApplicationMappings fam ON f.FunctionId = fam.FunctionId
+          WHERE f.ITLeadUserId = @itLeadUserId
+          GROUP BY f.FunctionId, f.Name
+          ORDER BY f.Name
+        `);
+      const functions = functionsResult.recordset || [];
+
+      const scopedResponses = `
+        EXISTS (
+          SELECT 1
+          FROM FunctionApplicationMappings fam
+          INNER JOIN Functions f ON fam.FunctionId = f.FunctionId
+          WHERE fam.ApplicationId = r.ApplicationId
+            AND f.ITLeadUserId = @itLeadUserId
+        )
+      `;
+
+      let approvalBacklog = buildApprovalBacklog([]);
+      if (hasApprovalStatus) {
+        const backlogResult = await this.pool.request()
+          .input('itLeadUserId', sql.UniqueIdentifier, itLeadUserId)
+          .query(`
+            SELECT r.ResponseApprovalStatus, COUNT(*) AS Count
+            FROM Responses r
+            WHERE r.ResponseApprovalStatus IS NOT NULL
+              AND ${scopedResponses}
+            GROUP BY r.ResponseApprovalStatus
+          `);
+        approvalBacklog = buildApprovalBacklog(backlogResult.recordset);
+      }
+
+      const takeoutResult = await this.pool.request()
+        .input('itLeadUserId', sql.UniqueIdentifier, itLeadUserId)
+        .query(`
+          SELECT qr.TakeoutStatus, COUNT(*) AS Count
+          FROM QuestionResponses qr
+          INNER JOIN Responses r ON qr.ResponseId = r.ResponseId
+          WHERE qr.TakeoutStatus IS NOT NULL
+            AND ${scopedResponses}
+          GROUP BY qr.TakeoutStatus
+        `);
+      const takeouts = { proposed: 0, takenOut: 0, rejected: 0 };
+      (takeoutResult.recordset || []).forEach((row) => {
+        if (row.TakeoutStatus === TakeoutStatus.PROPOSED_TAKEOUT) takeouts.proposed = Number(row.Count || 0);
+        else if (row.TakeoutStatus === TakeoutStatus.TAKEN_OUT) takeouts.takenOut = Number(row.Count || 0);
+        else if (row.TakeoutStatus === TakeoutStatus.REJECTED) takeouts.rejected = Number(row.Count || 0);
+      });
+
+      return {
+        pendingApprovals: approvalBacklog.pendingITLead,
+        pendingTakeouts: takeouts.proposed,
+        approvedCount: approvalBacklog.approvedFinal,
+        rejectedCount: takeouts.rejected,
+        assignedFunctions: functions.length,
+        approvalBacklog,
+        takeouts,
+        functions: functions.map(fn => ({
+          functionId: fn.FunctionId,
+          functionName: fn.FunctionName,
+          applicationCount: Number(fn.ApplicationCount || 0)
+        }))
+      };
+    } catch (error) {
+      logger.error('Error getting IT Lead dashboard statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get dashboard statistics for a Department Head's own department.
+   * Average scores are normalised per question scale like Events.CurrentScore,
+   * and AdminEvent users only see events they are assigned to.
+   * @param {string} userId - Department Head user ID
+   * @param {string} userRole - Current user role
+   * @param {string|null} departmentId - Optional department override (non Department Head roles)
+   * @returns {Promise<Object>} Department Head statistics
+   */
+  async getDeptHeadStats(userId, userRole, departmentId = null) {
+    await this.initialize();
+    try {
+      const targetDepartmentId = departmentId || await reportService.getUserDepartmentId(userId);
+      if (!targetDepartmentId) {
+        throw new UnauthorizedError('Department Head must be assigned to a department');
+      }
+      await reportService.validateDepartmentHeadAccess(userId, targetDepartmentId, userRole);
+
+      const hasApprovalStatus = await approvalService.hasResponseApprovalStatusColumn();
+      const approvedFilter = hasApprovalStatus
+        ? 'AND r.ResponseApprovalStatus = @approvedFinal'
+        : '';
+      const isScoped = userRole === 'AdminEvent';
+      const scopeCondition = isScoped ? `AND ${adminEventScope('s', '@requesterUserId')}` : '';
+
+      const eventsRequest = this.pool.request()
+        .input('departmentId', sql.UniqueIdentifier, targetDepartmentId)
+        .input('approvedFinal', sql.NVarChar(50), ResponseApprovalStatus.APPROVED_FINAL);
+      if (isScoped) {
+        eventsRequest.input('requesterUserId', sql.UniqueIdentifier, userId);
+      }
+      const eventsResult = await eventsRequest.query(`
+        SELECT s.SurveyId, s.Title, s.Status, s.TargetScore,
+               (SELECT COUNT(*) FROM Responses r
+                 WHERE r.SurveyId = s.SurveyId AND r.DepartmentId = @departmentId) AS ResponseCount,
+               (SELECT COUNT(*)
+                 FROM QuestionResponses qr
+                 INNER JOIN Responses r ON qr.ResponseId = r.ResponseId
+                 WHERE r.SurveyId = s.SurveyId
+                   AND r.DepartmentId = @departmentId
+                   AND qr.IsBestComment = 1
+                   ${approvedFilter}) AS BestCommentsCount
+        FROM Surveys s
+        WHERE (
+            s.Status = 'Active'
+            OR (
+              s.Status = 'Closed'
+              AND EXISTS (
+                SELECT 1 FROM Responses rx
+                WHERE rx.SurveyId = s.SurveyId AND rx.DepartmentId = @departmentId
+              )
+            )
+          )
+          ${scopeCondition}
+        ORDER BY s.StartDate DESC
+      `);
+      const events = eventsResult.recordset || [];
+
+      const answersRequest = this.pool.request()
+        .input('departmentId', sql.UniqueIdentifier, targetDepartmentId)
+        .input('approvedFinal', sql.NVarChar(50), ResponseApprovalStatus.APPROVED_FINAL)
+        .input('takenOut', sql.NVarChar(50), TakeoutStatus.TAKEN_OUT);
+      if (isScoped) {
+        answersRequest.input('requesterUserId', sql.UniqueIdentifier, userId);
+      }
+      const typeParams = DEFAULT_FORMULA.includedTypes.map((type, index) => {
+        answersRequest.input(`type${index}`, sql.NVarChar(50), type);
+        return `@type${index}`;
+      });
+      const answersResult = await answersRequest.query(`
+        SELECT r.SurveyId, q.Type, q.Options, qr.NumericValue, qr.MatrixValues
+        FROM QuestionResponses qr
+        INNER JOIN Responses r ON qr.ResponseId = r.ResponseId
+        INNER JOIN Surveys s ON r.SurveyId = s.SurveyId
+        INNER JOIN Questions q ON qr.QuestionId = q.QuestionId
+        WHERE r.DepartmentId = @departmentId
+          AND q.Type IN (${typeParams.join(', ')})
+          AND (qr.TakeoutStatus IS NULL OR qr.TakeoutStatus <> @takenOut)
+          ${approvedFilter}
+          ${scopeCondition}
+      `);
+      const averages = averageAnswerScores(answersResult.recordset);
+
+      const departmentScores = events.map(event => ({
+        surveyId: event.SurveyId,
+        title: event.Title,
+        status: event.Status,
+        responseCount: Number(event.ResponseCount || 0),
+        averageScore: toRoundedNumber(averages.bySurvey.get(String(event.SurveyId).toLowerCase())),
+        targetScore: toRoundedNumber(event.TargetScore),
+        bestCommentsCount: Number(event.BestCommentsCount || 0)
+      }));
+
+      return {
+        departmentId: targetDepartmentId,
+        activeSurveys: departmentScores.filter(event => event.status === 'Active').length,
+        totalResponses: departmentScores.reduce((sum, event) => sum + event.responseCount, 0),
+        averageScore: toRoundedNumber(averages.overall),
+        bestCommentsCount: departmentScores.reduce((sum, event) => sum + event.bestCommentsCount, 0),
+        departmentScores
+      };
+    } catch (error) {
+      logger.error('Error getting Department Head dashboard statistics:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new DashboardService();
+module.exports.DashboardService = DashboardService;
@@ -9,10 +9,45 @@ const ejs = require('ejs');
 const QRCode = require('qrcode');
 const path = require('path');
 const fs = require('fs').promises;
+const { randomUUID } = require('crypto');
 
   
 const logger = require('../config/logger');
 const db = require('../database/connection');
+const invitationService = require('./invitationService');
+const emailTrackingService = require('./emailTrackingService');
+const translationService = require('./translationService');
+
+/**
+ * Subjects of the respondent emails per language; {title} is the event title
+ */
+const EMAIL_SUBJECTS = {
+    invitation: {
+        id: 'Undangan Survey: {title}',
+        en: 'Survey Invitation: {title}'
+    },
+    reminder: {
+        id: 'Reminder: {title} - Segera Berakhir',
+        en: 'Reminder: {title} - Closing Soon'
+    },
+    resume: {
+        id: 'Lanjutkan Survey: {title}',
+        en: 'Continue Survey: {title}'
+    },
+    verification: {
+        id: 'Kode Verifikasi: {title}',
+        en: 'Verification Code: {title}'
+    },
+    edit: {
+        id: 'Ubah Jawaban Survey: {title}',
+        en: 'Edit Survey Answers: {title}'
+    }
+};
+
+const EMAIL_DATE_LOCALES = {
+    id: 'id-ID',
+    en: 'en-GB'
+};
 
 /**
  * @typedef {Object} EmailOptions
@@ -20,8 +55,10 @@ const db = require('../database/connection');
  * @property {string} subject - Email subject
  * @property {string} template - Template name (without .ejs extension)
  * @property {Object} data - Template data
+ * @property {string} [locale] - Language of the template (falls back to the default template)
  * @property {string} [surveyId] - Survey ID for logging
  * @property {string} [emailType] - Email type (Blast, Reminder, Notification)
+ * @property {boolean} [track] - Add an open pixel and a tracked survey link (Blast and Reminder only)
  */
 
 /**
@@ -71,15 +108,38 @@ class EmailService {
         }
     }
 
+    /**
+     * Find the template file of a language, e.g. survey-invitation.en.ejs,
+     * falling back to the default template
+     * @param {string} templateName - Template name (without .ejs extension)
+     * @param {string} [locale] - Template language
+     * @returns {Promise<string>} Template path
+     */
+    async resolveTemplatePath(templateName, locale) {
+        const defaultPath = path.join(this.templatesDir, `${templateName}.ejs`);
+        if (!locale || locale === translationService.getDefaultLocale()) {
+            return defaultPath;
+        }
+
+        const localizedPath = path.join(this.templatesDir, `${templateName}.${locale}.ejs`);
+        try {
+            await fs.access(localizedPath);
+            return localizedPath;
+        } catch (error) {
+            return defaultPath;
+        }
+    }
+
     /**
      * Render email template with data
      * @param {string} templateName - Template name (without .ejs extension)
      * @param {Object} data - Template data
+     * @param {string} [locale] - Template language
      * @returns {Promise<string>} Rendered HTML
      */
-    async renderTemplate(templateName, data) {
+    async renderTemplate(templateName, data, locale) {
         try {
-            const templatePath = path.join(this.templatesDir, `${templateName}.ejs`);
+            const templatePath = await this.resolveTemplatePath(templateName, locale);
             const templateContent = await fs.readFile(templatePath, 'utf-8');
             const html = ejs.render(templateContent, data);
             return html;
@@ -89,6 +149,42 @@ class EmailService {
         }
     }
 
+    /**
+     * Subject of a respondent email in the given language
+     * @param {string} type - invitation, reminder or resume
+     * @param {string} locale - Email language
+     * @param {string} surveyTitle - Event title
+     * @returns {string}
+     */
+    getSubject(type, locale, surveyTitle) {
+        const subjects = EMAIL_SUBJECTS[type];
+        const subject = subjects[locale] || subjects[translationService.getDefaultLocale()] || subjects.id;
+        return subject.replace('{title}', surveyTitle);
+    }
+
+    /**
+     * Format a date for a respondent email in the given language
+     * @param {Date|string} date - Date to format
+     * @param {string} locale - Email language
+     * @returns {string}
+     */
+    formatEmailDate(date, locale) {
+        return new Date(date).toLocaleDateString(EMAIL_DATE_LOCALES[locale] || EMAIL_DATE_LOCALES.id);
+    }
+
+    /**
+     * Add the email language to a survey link so the form opens in it
+     * @param {string} link - Survey link
+     * @param {string} locale - Email language
+     * @returns {string}
+     */
+    withLocaleParam(link, locale) {
+        if (!link || !locale || locale === translationService.getDefaultLocale()) {
+            return link;
+        }
+        return `${link}${link.includes('?') ? '&' : '?'}lang=${encodeURIComponent(locale)}`;
+    }
+
     /**
      * Get template by name
      * @param {string} templateName - Template name
@@ -111,11 +207,12 @@ class EmailService {
      * @returns {Promise<SendResult>}
      */
     async sendEmail(options) {
-        const { to, subject, template, data, attachments = [], surveyId, emailType = 'Notification' } = options;
+        const { to, subject, template, data, locale, attachments = [], surveyId, emailType = 'Notification', track = false } = options;
+        const tracking = await this.prepareTracking(track, emailType, data);
 
         try {
             // Render template
-            const html = await this.renderTemplate(template, data);
+            const html = await this.renderTemplate(template, tracking ? tracking.data : data, locale);
 
             const normalizedEmailType = this.normalizeEmailType(emailType);
             const mailOptions = {
@@ -144,6 +241,8 @@ class EmailService {
 
             // Log email
             await this.logEmail({
+                emailLogId: tracking?.emailLogId,
+                trackedLink: tracking?.trackedLink,
                 surveyId,
                 recipientEmail: to,
                 recipientName: data.recipientName || null,
@@ -164,6 +263,8 @@ class EmailService {
 
             // Log failed email
             await this.logEmail({
+                emailLogId: tracking?.emailLogId,
+                trackedLink: tracking?.trackedLink,
                 surveyId,
                 recipientEmail: to,
                 recipientName: data.recipientName || null,
@@ -180,6 +281,39 @@ class EmailService {
         }
     }
 
+    /**
+     * Assign the email log ID up front and swap the survey link for a tracked redirect
+     * @param {boolean} track - Whether tracking was requested
+     * @param {string} emailType - Email type
+     * @param {Object} data - Template data
+     * @returns {Promise<Object|null>} { emailLogId, trackedLink, data } or null when not tracked
+     */
+    async prepareTracking(track, emailType, data) {
+        if (!track || !data?.surveyLink || !emailTrackingService.isTrackedEmailType(emailType)) {
+            return null;
+        }
+
+        try {
+            if (!(await emailTrackingService.hasSupport())) {
+                return null;
+            }
+        } catch (error) {
+            logger.warn('Email tracking unavailable, sending untracked email', { error: error.message });
+            return null;
+        }
+
+        const emailLogId = randomUUID();
+        return {
+            emailLogId,
+            trackedLink: String(data.surveyLink).slice(0, 1000),
+            data: {
+                ...data,
+                surveyLink: emailTrackingService.buildClickUrl(emailLogId),
+                trackingPixelUrl: emailTrackingService.buildOpenPixelUrl(emailLogId)
+            }
+        };
+    }
+
     normalizeEmailType(emailType) {
         const normalized = String(emailType || '').trim();
         if (normalized === 'Blast' || normalized === 'Reminder' || normalized === 'Notification') {
@@ -249,24 +383,43 @@ class EmailService {
         const pool = await db.getPool();
         
         try {
-            await pool.request()
+            const request = pool.request()
                 .input('surveyId', sql.UniqueIdentifier, logData.surveyId || null)
                 .input('recipientEmail', sql.NVarChar(255), logData.recipientEmail)
                 .input('recipientName', sql.NVarChar(200), logData.recipientName)
                 .input('subject', sql.NVarChar(500), logData.subject)
                 .input('emailType', sql.NVarChar(50), logData.emailType)
                 .input('status', sql.NVarChar(50), logData.status)
-                .input('errorMessage', sql.NVarChar(sql.MAX), logData.errorMessage)
-                .query(`
-                    INSERT INTO EmailLogs (
-                        SurveyId, RecipientEmail, RecipientName, Subject,
-                        EmailType, Status, ErrorMessage, SentAt
-                    )
-                    VALUES (
-                        @surveyId, @recipientEmail, @recipientName, @subject,
-                        @emailType, @status, @errorMessage, GETDATE()
-                    )
-                `);
+                .input('errorMessage', sql.NVarChar(sql.MAX), logData.errorMessage);
+
+            if (logData.emailLogId) {
+                // Tracked emails reference their log row from the pixel and redirect links
+                await request
+                    .input('emailLogId', sql.UniqueIdentifier, logData.emailLogId)
+                    .input('trackedLink', sql.NVarChar(1000), logData.trackedLink || null)
+                    .query(`
+                        INSERT INTO EmailLogs (
+                            EmailLogId, SurveyId, RecipientEmail, RecipientName, Subject,
+                            EmailType, Status, ErrorMessage, TrackedLink, SentAt
+                        )
+                        VALUES (
+                            @emailLogId, @surveyId, @recipientEmail, @recipientName, @subject,
+                            @emailType, @status, @errorMessage, @trackedLink, GETDATE()
+                        )
+                    `);
+                return;
+            }
+
+            await request.query(`
+                INSERT INTO EmailLogs (
+                    SurveyId, RecipientEmail, RecipientName, Subject,
+                    EmailType, Status, ErrorMessage, SentAt
+                )
+                VALUES (
+                    @surveyId, @recipientEmail, @recipientName, @subject,
+                    @emailType, @status, @errorMessage, GETDATE()
+                )
+            `);
         } catch (error) {
             logger.error('Failed to log email:', error);
             // Don't throw - logging failure shouldn't prevent email sending
@@ -430,13 +583,15 @@ class EmailService {
             endDate,
             targetRespondents,
             embedCover,
-            heroCoverUrl
+            heroCoverUrl,
+            locale
         } = params;
 
         return this.sendEmail({
             to: recipientEmail,
-            subject: `Undangan Survey: ${surveyTitle}`,
+            subject: this.getSubject('invitation', locale, surveyTitle),
             template: 'survey-invitation',
+            locale,
             data: {
                 recipientName,
                 surveyTitle,
@@ -468,13 +623,15 @@ class EmailService {
             endDate,
             daysRemaining,
             embedCover,
-            heroCoverUrl
+            heroCoverUrl,
+            locale
         } = params;
 
         return this.sendEmail({
             to: recipientEmail,
-            subject: `Reminder: ${surveyTitle} - Segera Berakhir`,
+            subject: this.getSubject('reminder', locale, surveyTitle),
             template: 'survey-reminder',
+            locale,
             data: {
                 recipientName,
                 surveyTitle,
@@ -557,6 +714,127 @@ class EmailService {
         });
     }
 
+    /**
+     * Notify an assigned admin that an event was opened, closed or archived
+     * by the lifecycle processor
+     * @param {Object} params - Email parameters
+     * @returns {Promise<SendResult>}
+     */
+    async sendEventLifecycleNotification(params) {
+        const {
+            recipientEmail,
+            recipientName,
+            surveyId,
+            surveyTitle,
+            transition,
+            newStatus,
+            startDate,
+            endDate
+        } = params;
+
+        const subjects = {
+            Open: 'Event Dibuka',
+            Close: 'Event Ditutup',
+            Archive: 'Event Diarsipkan'
+        };
+
+        return this.sendEmail({
+            to: recipientEmail,
+            subject: `${subjects[transition] || 'Status Event Berubah'} - ${surveyTitle}`,
+            template: 'event-lifecycle',
+            data: {
+                recipientName,
+                surveyTitle,
+                transition,
+                newStatus,
+                startDate: startDate ? new Date(startDate).toLocaleDateString('id-ID') : '-',
+                endDate: endDate ? new Date(endDate).toLocaleDateString('id-ID') : '-'
+            },
+            surveyId,
+            emailType: 'Notification'
+        });
+    }
+
+    /**
+     * Shape pending approvals (see approval-service/sla) for the SLA emails
+     * @param {Array<Object>} items - Pending approvals
+     * @returns {Array<Object>} Template rows
+     */
+    formatApprovalSlaItems(items) {
+        const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+        const stageLabels = {
+            PendingITLead: 'Review IT Lead',
+            PendingDepartmentHead: 'Review Department Head',
+            PendingAdminTakeoutDecision: 'Keputusan Takeout Admin'
+        };
+        const pages = {
+            PendingITLead: 'approval-it-lead',
+            PendingDepartmentHead: 'dept-head-review',
+            PendingAdminTakeoutDecision: 'approval-admin'
+        };
+
+        return (items || []).map((item) => ({
+            surveyTitle: item.surveyTitle,
+            respondentName: item.respondentName || '-',
+            applicationName: item.applicationName || '-',
+            departmentName: item.departmentName || '-',
+            stage: stageLabels[item.status] || item.status,
+            ageDays: Math.floor((item.ageHours || 0) / 24),
+            dueDate: item.dueAt ? new Date(item.dueAt).toLocaleDateString('id-ID') : '-',
+            isOverdue: Boolean(item.isOverdue),
+            reviewLink: `${baseUrl}/admin/${pages[item.status] || 'approval-admin'}`
+        }));
+    }
+
+    /**
+     * Daily reminder of the responses waiting on an approver
+     * @param {Object} params - { recipientEmail, recipientName, pendingCount, overdueCount, items }
+     * @returns {Promise<SendResult>}
+     */
+    async sendApprovalDigest(params) {
+        const { recipientEmail, recipientName, pendingCount, overdueCount, items } = params;
+        const listedItems = this.formatApprovalSlaItems(items);
+
+        return this.sendEmail({
+            to: recipientEmail,
+            subject: overdueCount
+                ? `Pengingat Approval - ${pendingCount} respons menunggu (${overdueCount} melewati SLA)`
+                : `Pengingat Approval - ${pendingCount} respons menunggu`,
+            template: 'approval-sla-digest',
+            data: {
+                recipientName,
+                pendingCount,
+                overdueCount,
+                items: listedItems,
+                hiddenCount: Math.max(0, pendingCount - listedItems.length)
+            },
+            emailType: 'Notification'
+        });
+    }
+
+    /**
+     * Escalate approvals that overran their SLA to an event admin (level 1)
+     * or a SuperAdmin (level 2)
+     * @param {Object} params - { recipientEmail, recipientName, level, items }
+     * @returns {Promise<SendResult>}
+     */
+    async sendApprovalEscalation(params) {
+        const { recipientEmail, recipientName, level, items } = params;
+        const listedItems = this.formatApprovalSlaItems(items);
+
+        return this.sendEmail({
+            to: recipientEmail,
+            subject: `Eskalasi Approval - ${listedItems.length} respons melewati SLA`,
+            template: 'approval-sla-escalation',
+            data: {
+                recipientName,
+                level,
+                items: listedItems
+            },
+            emailType: 'Notification'
+        });
+    }
+
     /**
      * Get target recipients based on organizational criteria
      * @param {Object} criteria - Target criteria
@@ -654,7 +932,8 @@ class EmailService {
             recipientEmails = [],
             embedCover = false,
             duplicatePreventionHours = 24,
-            disableDuplicateCheck = false
+            disableDuplicateCheck = false,
+            locale = null
         } = params;
 
         try {
@@ -683,6 +962,11 @@ class EmailService {
             }
 
             const survey = surveyResult.recordset[0];
+            const emailLocale = translationService.resolveLocale(locale);
+            const surveyText = await translationService.translateEventText(surveyId, emailLocale, {
+                title: survey.Title,
+                description: survey.Description
+            });
 
             let recipients = [];
             if (Array.isArray(recipientEmails) && recipientEmails.length > 0) {
@@ -740,8 +1024,16 @@ class EmailService {
 
             logger.info(`Sending to ${filteredRecipients.length} recipients (${skippedCount} skipped)`);
 
+            // Personal tokenised links; recipients keep the token of an earlier blast
+            const invitations = await invitationService.hasSupport()
+                ? await invitationService.issueInvitations(null, surveyId, filteredRecipients)
+                : new Map();
+
             const publicSurveyBaseUrl = process.env.PUBLIC_SURVEY_BASE_URL || process.env.BASE_URL;
-            const surveyLink = survey.SurveyLink || `${publicSurveyBaseUrl}/survey/${surveyId}`;
+            const surveyLink = this.withLocaleParam(
+                survey.SurveyLink || `${publicSurveyBaseUrl}/survey/${surveyId}`,
+                emailLocale
+            );
             let qrCodeDataUrl = null;
             if (includeQrCode) {
                 qrCodeDataUrl = survey.QRCodeDataUrl || await QRCode.toDataURL(surveyLink, {
@@ -764,38 +1056,46 @@ class EmailService {
             const safeCustomMessage = this.sanitizeEmailPlainText(customMessage);
 
             // Prepare email options for batch sending
-            const subjectLine = String(customSubject || '').trim() || survey.Title;
-            const emails = filteredRecipients.map(recipient => ({
-                to: recipient.email,
-                subject: subjectLine,
-                template: emailTemplate || 'survey-invitation',
-                data: {
-                    recipientName: recipient.name,
-                    surveyTitle: survey.Title,
-                    surveyDescription: survey.Description,
-                    surveyLink,
-                    startDate: new Date(survey.StartDate).toLocaleDateString('id-ID'),
-                    endDate: new Date(survey.EndDate).toLocaleDateString('id-ID'),
-                    targetRespondents: survey.TargetRespondents,
-                    customMessage: safeCustomMessage,
-                    includeQrCode,
-                    qrCodeDataUrl,
-                    qrCodeImageSrc: qrImageSrc,
-                    embedCover,
-                    heroCoverUrl: embedCover ? survey.HeroImageUrl : null,
-                    baseUrl: process.env.BASE_URL || 'http://localhost:3000',
-                    logoCid: logo ? logo.cidRef : null
-                },
-                attachments: [
-                    ...(logo ? [logo.attachment] : []),
-                    ...(qrAttachment ? [qrAttachment] : [])
-                ],
-                surveyId,
-                emailType: 'Blast'
-            }));
+            const subjectLine = String(customSubject || '').trim() || surveyText.title;
+            const emails = filteredRecipients.map(recipient => {
+                const invitation = invitations.get(String(recipient.email).trim().toLowerCase());
+                return {
+                    to: recipient.email,
+                    subject: subjectLine,
+                    template: emailTemplate || 'survey-invitation',
+                    locale: emailLocale,
+                    data: {
+                        recipientName: recipient.name,
+                        surveyTitle: surveyText.title,
+                        surveyDescription: surveyText.description,
+                        surveyLink: invitation
+                            ? this.withLocaleParam(invitationService.buildInvitationLink(surveyId, invitation.token), emailLocale)
+                            : surveyLink,
+                        startDate: this.formatEmailDate(survey.StartDate, emailLocale),
+                        endDate: this.formatEmailDate(survey.EndDate, emailLocale),
+                        targetRespondents: survey.TargetRespondents,
+                        customMessage: safeCustomMessage,
+                        includeQrCode,
+                        qrCodeDataUrl,
+                        qrCodeImageSrc: qrImageSrc,
+                        embedCover,
+                        heroCoverUrl: embedCover ? survey.HeroImageUrl : null,
+                        baseUrl: process.env.BASE_URL || 'http://localhost:3000',
+                        logoCid: logo ? logo.cidRef : null
+                    },
+                    attachments: [
+                        ...(logo ? [logo.attachment] : []),
+                        ...(qrAttachment ? [qrAttachment] : [])
+                    ],
+                    surveyId,
+                    emailType: 'Blast',
+                    track: true
+                };
+            });
 
             // Send batch emails
             const results = await this.sendBatch(emails);
+            await this.markInvitationsDelivered(invitations, results, 'Blast');
 
             return {
                 ...results,
@@ -825,6 +1125,51 @@ class EmailService {
         return Buffer.from(match[1], 'base64');
     }
 
+    /**
+     * Record delivery on the invitations whose email went out
+     * @param {Map<string, Object>} invitations - Invitations keyed by lower-cased email
+     * @param {Object} results - sendBatch results
+     * @param {string} emailType - Blast or Reminder
+     * @returns {Promise<void>}
+     */
+    async markInvitationsDelivered(invitations, results, emailType) {
+        if (!invitations || invitations.size === 0) {
+            return;
+        }
+
+        const failedEmails = new Set(
+            (results.errors || []).map(item => String(item.email || '').trim().toLowerCase())
+        );
+        const deliveredIds = [...invitations.entries()]
+            .filter(([email]) => !failedEmails.has(email))
+            .map(([, invitation]) => invitation.invitationId);
+
+        try {
+            await invitationService.markDelivered(null, deliveredIds, emailType);
+        } catch (error) {
+            logger.error('Failed to record invitation delivery:', error);
+        }
+    }
+
+    /**
+     * Get invitations of a survey that have not been completed.
+     * Returns null when the survey was never blasted with personal invitations.
+     * @param {string} surveyId - Survey ID
+     * @returns {Promise<Array|null>} Pending invitations (including tokens)
+     */
+    async getPendingInvitations(surveyId) {
+        if (!(await invitationService.hasSupport())) {
+            return null;
+        }
+
+        const invitations = await invitationService.getInvitations(null, surveyId);
+        if (invitations.length === 0) {
+            return null;
+        }
+
+        return invitations.filter(invitation => invitation.status !== 'Completed');
+    }
+
     /**
      * Get non-respondents for a survey
      * @param {string} surveyId - Survey ID
@@ -834,6 +1179,18 @@ class EmailService {
         const pool = await db.getPool();
 
         try {
+            const pendingInvitations = await this.getPendingInvitations(surveyId);
+            if (pendingInvitations) {
+                logger.info(`Found ${pendingInvitations.length} invitations that have not been completed`);
+                return pendingInvitations.map(invitation => ({
+                    email: invitation.email,
+                    name: invitation.name,
+                    invitationStatus: invitation.status,
+                    openedAt: invitation.openedAt,
+                    reminderCount: invitation.reminderCount
+                }));
+            }
+
             // Get all recipients who received the blast email
             const blastRecipientsResult = await pool.request()
                 .input('surveyId', sql.UniqueIdentifier, surveyId)
@@ -897,7 +1254,8 @@ class EmailService {
             customMessage = '',
             recipientEmails = [],
             embedCover = false,
-            duplicatePreventionHours = 24
+            duplicatePreventionHours = 24,
+            locale = null
         } = params;
 
         try {
@@ -939,11 +1297,36 @@ class EmailService {
                 };
             }
 
+            const emailLocale = translationService.resolveLocale(locale);
+            const surveyText = await translationService.translateEventText(surveyId, emailLocale, {
+                title: survey.Title
+            });
+
             // Calculate days remaining
             const daysRemaining = Math.ceil((endDate - now) / (1000 * 60 * 60 * 24));
 
+            // Surveys blasted with personal invitations only remind token holders
+            // who have not completed, each with their own link
+            const pendingInvitations = await this.getPendingInvitations(surveyId);
+            const invitations = new Map();
+
             let nonRespondents = [];
-            if (Array.isArray(recipientEmails) && recipientEmails.length > 0) {
+            if (pendingInvitations) {
+                const requestedEmails = new Set(
+                    (Array.isArray(recipientEmails) ? recipientEmails : [])
+                        .map(email => String(email || '').trim().toLowerCase())
+                        .filter(Boolean)
+                );
+                pendingInvitations
+                    .filter(invitation => requestedEmails.size === 0 || requestedEmails.has(invitation.email))
+                    .forEach(invitation => {
+                        invitations.set(invitation.email, invitation);
+                        nonRespondents.push({
+                            email: invitation.email,
+                            name: invitation.name || invitation.email.split('@')[0]
+                        });
+                    });
+            } else if (Array.isArray(recipientEmails) && recipientEmails.length > 0) {
                 nonRespondents = recipientEmails
                     .map(email => String(email || '').trim())
                     .filter(Boolean)
@@ -1001,32 +1384,50 @@ class EmailService {
             const safeCustomMessage = this.sanitizeEmailPlainText(customMessage);
 
             // Prepare email options for batch sending
-            const subjectLine = String(customSubject || '').trim() || survey.Title;
-            const emails = filteredRecipients.map(recipient => ({
-                to: recipient.email,
-                subject: subjectLine,
-                template: emailTemplate || 'survey-reminder',
-                data: {
-                    recipientName: recipient.name,
-                    surveyTitle: survey.Title,
-                    surveyLink: survey.SurveyLink || `${process.env.PUBLIC_SURVEY_BASE_URL || process.env.BASE_URL}/survey/${surveyId}`,
-                    endDate: endDate.toLocaleDateString('id-ID'),
-                    daysRemaining,
-                    customMessage: safeCustomMessage,
-                    embedCover,
-                    heroCoverUrl: embedCover ? survey.HeroImageUrl : null,
-                    baseUrl: process.env.BASE_URL || 'http://localhost:3000',
-                    logoCid: logo ? logo.cidRef : null
-                },
-                attachments: [
-                    ...(logo ? [logo.attachment] : [])
-                ],
-                surveyId,
-                emailType: 'Reminder'
-            }));
+            const subjectLine = String(customSubject || '').trim() || surveyText.title;
+            const surveyLink = this.withLocaleParam(
+                survey.SurveyLink || `${process.env.PUBLIC_SURVEY_BASE_URL || process.env.BASE_URL}/survey/${surveyId}`,
+                emailLocale
+            );
+            const emails = filteredRecipients.map(recipient => {
+                const invitation = invitations.get(String(recipient.email).trim().toLowerCase());
+                return {
+                    to: recipient.email,
+                    subject: subjectLine,
+                    template: emailTemplate || 'survey-reminder',
+                    locale: emailLocale,
+                    data: {
+                        recipientName: recipient.name,
+                        surveyTitle: surveyText.title,
+                        surveyLink: invitation
+                            ? this.withLocaleParam(invitationService.buildInvitationLink(surveyId, invitation.token), emailLocale)
+                            : surveyLink,
+                        endDate: this.formatEmailDate(endDate, emailLocale),
+                        daysRemaining,
+                        customMessage: safeCustomMessage,
+                        embedCover,
+                        heroCoverUrl: embedCover ? survey.HeroImageUrl : null,
+                        baseUrl: process.env.BASE_URL || 'http://localhost:3000',
+                        logoCid: logo ? logo.cidRef : null
+                    },
+                    attachments: [
+                        ...(logo ? [logo.attachment] : [])
+                    ],
+                    surveyId,
+                    emailType: 'Reminder',
+                    track: true
+                };
+            });
 
             // Send batch emails
             const results = await this.sendBatch(emails);
+            const remindedInvitations = new Map(
+                filteredRecipients
+                    .map(recipient => String(recipient.email).trim().toLowerCase())
+                    .filter(email => invitations.has(email))
+                    .map(email => [email, invitations.get(email)])
+            );
+            await this.markInvitationsDelivered(remindedInvitations, results, 'Reminder');
 
             return {
                 ...results,
@@ -0,0 +1,289 @@
+const sql = require('../database/sql-client');
+const db = require('../database/connection');
+const config = require('../config');
+
+const TRACKING_EVENT_TYPES = ['Open', 'Click', 'Start', 'Submit'];
+const TRACKED_EMAIL_TYPES = ['Blast', 'Reminder'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function toRate(count, sent) {
+  return sent > 0 ? Math.round((count / sent) * 10000) / 100 : null;
+}
+
+function buildFunnelStages(counts) {
+  const sent = Number(counts.sent || 0);
+  const opened = Number(counts.opened || 0);
+  const clicked = Number(counts.clicked || 0);
+  const started = Number(counts.started || 0);
+  const submitted = Number(counts.submitted || 0);
+
+  return {
+    sent,
+    opened,
+    clicked,
+    started,
+    submitted,
+    openRate: toRate(opened, sent),
+    clickRate: toRate(clicked, sent),
+    startRate: toRate(started, sent),
+    submitRate: toRate(submitted, sent)
+  };
+}
+
+function addCounts(target, row) {
+  target.sent += Number(row.SentCount || 0);
+  target.opened += Number(row.OpenedCount || 0);
+  target.clicked += Number(row.ClickedCount || 0);
+  target.started += Number(row.StartedCount || 0);
+  target.submitted += Number(row.SubmittedCount || 0);
+}
+
+function emptyCounts() {
+  return { sent: 0, opened: 0, clicked: 0, started: 0, submitted: 0 };
+}
+
+class EmailTrackingService {
+  constructor() {
+    this.supportCache = null;
+  }
+
+  async getConnection(connection) {
+    if (connection && typeof connection.request === 'function') {
+      return connection;
+    }
+    return db.getPool();
+  }
+
+  async makeRequest(connection) {
+    const resolved = await this.getConnection(connection);
+    return resolved.request();
+  }
+
+  async hasSupport(connection) {
+    if (typeof this.supportCache === 'boolean') {
+      return this.supportCache;
+    }
+
+    const result = await (await this.makeRequest(connection))
+      .input('tableName', sql.NVarChar(128), 'EmailLogs')
+      .input('columnName', sql.NVarChar(128), 'TrackedLink')
+      .query(`
+        SELECT
+          (SELECT COUNT(1) FROM sys.tables WHERE name = 'EmailTrackingEvents') AS TableCnt,
+          (
+            SELECT COUNT(1)
+            FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_NAME = @tableName
+              AND COLUMN_NAME = @columnName
+          ) AS ColumnCnt
+      `);
+
+    const row = result.recordset?.[0] || {};
+    this.supportCache = Number(row.TableCnt || 0) > 0 && Number(row.ColumnCnt || 0) > 0;
+    return this.supportCache;
+  }
+
+  isTrackedEmailType(emailType) {
+    return TRACKED_EMAIL_TYPES.includes(emailType);
+  }
+
+  isValidEmailLogId(emailLogId) {
+    return UUID_PATTERN.test(String(emailLogId || '').trim());
+  }
+
+  buildOpenPixelUrl(emailLogId) {
+    return `${config.baseUrl}/e/${encodeURIComponent(emailLogId)}/open.gif`;
+  }
+
+  buildClickUrl(emailLogId) {
+    return `${config.baseUrl}/e/${encodeURIComponent(emailLogId)}/click`;
+  }
+
+  /**
+   * Add the email log reference to a survey link so the form can report start and submit
+   * @param {string} link - Survey link the email pointed to
+   * @param {string} emailLogId - Email log ID
+   * @returns {string} Link with the eml query parameter
+   */
+  appendTrackingParam(link, emailLogId) {
+    try {
+      const url = new URL(link);
+      url.searchParams.set('eml', emailLogId);
+      return url.toString();
+    } catch (error) {
+      const separator = String(link).includes('?') ? '&' : '?';
+      return `${link}${separator}eml=${encodeURIComponent(emailLogId)}`;
+    }
+  }
+
+  /**
+   * Record a tracking event against an email log row. Unknown IDs are ignored.
+   * @param {Object} connection - Pool or transaction (optional)
+   * @param {string} emailLogId - Email log ID
+   * @param {string} eventType - Open, Click, Start or Submit
+   * @param {Object} hit - { ipAddress, userAgent }
+   * @returns {Promise<Object|null>} { emailLogId, surveyId, trackedLink } or null when unknown
+   */
+  async recordEvent(connection, emailLogId, eventType, hit = {}) {
+    if (!TRACKING_EVENT_TYPES.includes(eventType) || !this.isValidEmailLogId(emailLogId)) {
+      return null;
+    }
+    if (!(await this.hasSupport(connection))) {
+      return null;
+    }
+
+    const result = await (await this.makeRequest(connection))
+      .input('emailLogId', sql.UniqueIdentifier, String(emailLogId).trim())
+      .input('eventType', sql.NVarChar(20), eventType)
+      .input('ipAddress', sql.NVarChar(50), hit.ipAddress ? String(hit.ipAddress).slice(0, 50) : null)
+      .input('userAgent', sql.NVarChar(500), hit.userAgent ? String(hit.userAgent).slice(0, 500) : null)
+      .query(`
+        INSERT INTO EmailTrackingEvents (EmailTrackingEventId, EmailLogId, EventType, OccurredAt, IpAddress, UserAgent)
+        SELECT NEWID(), EmailLogId, @eventType, GETDATE(), @ipAddress, @userAgent
+        FROM EmailLogs
+        WHERE EmailLogId = @emailLogId
+          AND TrackedLink IS NOT NULL;
+
+        SELECT EmailLogId, SurveyId, TrackedLink
+        FROM EmailLogs
+        WHERE EmailLogId = @emailLogId
+          AND TrackedLink IS NOT NULL;
+      `);
+
+    const row = result.recordset?.[0];
+    if (!row) {
+      return null;
+    }
+
+    return {
+      emailLogId: row.EmailLogId,
+      surveyId: row.SurveyId,
+      trackedLink: row.TrackedLink
+    };
+  }
+
+  /**
+   * Report sent -> opened -> clicked -> started -> submitted for tracked survey emails
+   * @param {Object} connection - Pool or transaction (optional)
+   * @param {Object} filter - { surveyId, emailType }
+   * @returns {Promise<Object>} { totals, events, businessUnits }
+   */
+  async getFunnel(connection, filter = {}) {
+    const request = await this.makeRequest(connection);
+    const conditions = [
+      "el.Status = 'Sent'",
+      "el.EmailType IN ('Blast', 'Reminder')",
+      'el.TrackedLink IS NOT NULL'
+    ];
+
+    if (filter.surveyId) {
+      request.input('surveyId', sql.UniqueIdentifier, filter.surveyId);
+      conditions.push('el.SurveyId = @surveyId');
+    }
+    if (filter.emailType) {
+      request.input('emailType', sql.NVarChar(50), filter.emailType);
+      conditions.push('el.EmailType = @emailType');
+    }
+
+    // An email that was clicked was opened even if the client blocked the pixel
+    const result = await request.query(`
+      WITH TrackedEmails AS (
+        SELECT
+          el.EmailLogId,
+          el.SurveyId,
+          s.Title AS SurveyTitle,
+          ru.BusinessUnitId,
+          bu.Name AS BusinessUnitName,
+          MAX(CASE WHEN ev.EventType IN ('Open', 'Click') THEN 1 ELSE 0 END) AS Opened,
+          MAX(CASE WHEN ev.EventType = 'Click' THEN 1 ELSE 0 END) AS Clicked,
+          MAX(CASE WHEN ev.EventType = 'Start' THEN 1 ELSE 0 END) AS Started,
+          MAX(CASE WHEN ev.EventType = 'Submit' THEN 1 ELSE 0 END) AS Submitted
+        FROM EmailLogs el
+        INNER JOIN Events s ON s.SurveyId = el.SurveyId
+        OUTER APPLY (
+          SELECT TOP 1 u.BusinessUnitId
+          FROM Users u
+          WHERE LOWER(u.Email) = LOWER(el.RecipientEmail)
+          ORDER BY u.IsActive DESC
+        ) ru
+        LEFT JOIN BusinessUnits bu ON bu.BusinessUnitId = ru.BusinessUnitId
+        LEFT JOIN EmailTrackingEvents ev ON ev.EmailLogId = el.EmailLogId
+        WHERE ${conditions.join(' AND ')}
+        GROUP BY el.EmailLogId, el.SurveyId, s.Title, ru.BusinessUnitId, bu.Name
+      )
+      SELECT
+        SurveyId,
+        SurveyTitle,
+        BusinessUnitId,
+        BusinessUnitName,
+        COUNT(1) AS SentCount,
+        SUM(Opened) AS OpenedCount,
+        SUM(Clicked) AS ClickedCount,
+        SUM(Started) AS StartedCount,
+        SUM(Submitted) AS SubmittedCount
+      FROM TrackedEmails
+      GROUP BY SurveyId, SurveyTitle, BusinessUnitId, BusinessUnitName
+      ORDER BY SurveyTitle, BusinessUnitName
+    `);
+
+    const totals = emptyCounts();
+    const events = new Map();
+    const businessUnits = new Map();
+
+    result.recordset.forEach((row) => {
+      addCounts(totals, row);
+
+      const surveyKey = String(row.SurveyId).toLowerCase();
+      if (!events.has(surveyKey)) {
+        events.set(surveyKey, {
+          surveyId: row.SurveyId,
+          surveyTitle: row.SurveyTitle,
+          counts: emptyCounts(),
+          businessUnits: []
+        });
+      }
+      const event = events.get(surveyKey);
+      addCounts(event.counts, row);
+      event.businessUnits.push({
+        businessUnitId: row.BusinessUnitId || null,
+        businessUnitName: row.BusinessUnitName || 'Unknown',
+        ...buildFunnelStages({
+          sent: row.SentCount,
+          opened: row.OpenedCount,
+          clicked: row.ClickedCount,
+          started: row.StartedCount,
+          submitted: row.SubmittedCount
+        })
+      });
+
+      const businessUnitKey = row.BusinessUnitId ? String(row.BusinessUnitId).toLowerCase() : 'unknown';
+      if (!businessUnits.has(businessUnitKey)) {
+        businessUnits.set(businessUnitKey, {
+          businessUnitId: row.BusinessUnitId || null,
+          businessUnitName: row.BusinessUnitName || 'Unknown',
+          counts: emptyCounts()
+        });
+      }
+      addCounts(businessUnits.get(businessUnitKey).counts, row);
+    });
+
+    return {
+      totals: buildFunnelStages(totals),
+      events: [...events.values()].map((event) => ({
+        surveyId: event.surveyId,
+        surveyTitle: event.surveyTitle,
+        ...buildFunnelStages(event.counts),
+        businessUnits: event.businessUnits
+      })),
+      businessUnits: [...businessUnits.values()].map((businessUnit) => ({
+        businessUnitId: businessUnit.businessUnitId,
+        businessUnitName: businessUnit.businessUnitName,
+        ...buildFunnelStages(businessUnit.counts)
+      }))
+    };
+  }
+}
+
+module.exports = new EmailTrackingService();
+module.exports.EmailTrackingService = EmailTrackingService;
+module.exports.TRACKING_EVENT_TYPES = TRACKING_EVENT_TYPES;
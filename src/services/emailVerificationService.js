@@ -0,0 +1,309 @@
+const sql = require('../database/sql-client');
+/**
+ * Email Verification Service
+ * Sends respondents a one-time code before they submit to events that require
+ * a verified email, and hands the form a token that proves the code was entered
+ */
+
+const crypto = require('crypto');
+const db = require('../database/connection');
+const logger = require('../config/logger');
+const { hashOneTimeToken } = require('./auth-service/utils');
+const { NotFoundError, ValidationError } = require('./response-service/errors');
+const { ConflictError } = require('./survey-service/errors');
+const { resolveSurveyIdentifier } = require('./survey-service/read-model');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CODE_PATTERN = /^[0-9]{6}$/;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+const CODE_EXPIRY_MINUTES = 10;
+const TOKEN_EXPIRY_MINUTES = 60;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_ATTEMPTS = 5;
+
+class EmailVerificationService {
+  constructor() {
+    this.supportCache = null;
+  }
+
+  async getConnection(connection) {
+    if (connection && typeof connection.request === 'function') {
+      return connection;
+    }
+    return db.getPool();
+  }
+
+  async makeRequest(connection) {
+    const resolved = await this.getConnection(connection);
+    return resolved.request();
+  }
+
+  async hasSupport(connection) {
+    if (typeof this.supportCache === 'boolean') {
+      return this.supportCache;
+    }
+
+    const result = await (await this.makeRequest(connection))
+      .query("SELECT COUNT(1) AS TableCnt FROM sys.tables WHERE name = 'ResponseEmailVerifications'");
+    this.supportCache = Number(result.recordset?.[0]?.TableCnt || 0) === 1;
+    return this.supportCache;
+  }
+
+  async assertSupport(connection) {
+    if (!(await this.hasSupport(connection))) {
+      throw new ConflictError('Email verification is not available. Run migration 048 first.');
+    }
+  }
+
+  normalizeEmail(email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(normalized) || normalized.length > 200) {
+      throw new ValidationError('A valid email address is required');
+    }
+    return normalized;
+  }
+
+  generateCode() {
+    return String(crypto.randomInt(100000, 1000000));
+  }
+
+  generateToken() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  /**
+   * Load an event that requires email verification
+   * @param {Object} connection - Pool
+   * @param {string} surveyId - Survey ID
+   * @returns {Promise<Object>} Event row
+   */
+  async getVerifiedEvent(connection, surveyId) {
+    const result = await (await this.makeRequest(connection))
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query('SELECT SurveyId, Title, Status, EmailVerificationRequired FROM Events WHERE SurveyId = @surveyId');
+
+    const event = result.recordset?.[0];
+    if (!event) {
+      throw new NotFoundError('Survey not found');
+    }
+    if (!(event.EmailVerificationRequired === true || event.EmailVerificationRequired === 1)) {
+      throw new ValidationError('Email verification is not enabled for this survey');
+    }
+    if (event.Status !== 'Active') {
+      throw new ValidationError('Survey is not currently active');
+    }
+    return event;
+  }
+
+  /**
+   * Email a one-time code to a respondent. Outstanding codes for the same
+   * address are invalidated, so only the latest code works.
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @param {string} email - Respondent email
+   * @param {Object} [meta] - { locale, ipAddress }
+   * @returns {Promise<Object>} { sent, email, expiresInMinutes }
+   */
+  async requestCode(surveyIdentifier, email, meta = {}) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const recipient = this.normalizeEmail(email);
+    const pool = await db.getPool();
+    if (!(await this.hasSupport(pool))) {
+      throw new ValidationError('Email verification is not enabled for this survey');
+    }
+    const event = await this.getVerifiedEvent(pool, surveyId);
+
+    // The cooldown check and the insert are one statement; the range lock keeps
+    // parallel requests for the same address from both getting a code
+    const code = this.generateCode();
+    const insertResult = await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('email', sql.NVarChar(200), recipient)
+      .input('codeHash', sql.NVarChar(64), hashOneTimeToken(code))
+      .input('expiryMinutes', sql.Int, CODE_EXPIRY_MINUTES)
+      .input('cooldownSeconds', sql.Int, RESEND_COOLDOWN_SECONDS)
+      .input('createdByIp', sql.NVarChar(50), meta.ipAddress || null)
+      .query(`
+        INSERT INTO ResponseEmailVerifications (SurveyId, Email, CodeHash, ExpiresAt, CreatedByIp)
+        OUTPUT INSERTED.VerificationId
+        SELECT @surveyId, @email, @codeHash, DATEADD(MINUTE, @expiryMinutes, GETDATE()), @createdByIp
+        WHERE NOT EXISTS (
+          SELECT 1
+          FROM ResponseEmailVerifications WITH (UPDLOCK, HOLDLOCK)
+          WHERE SurveyId = @surveyId
+            AND Email = @email
+            AND CreatedAt > DATEADD(SECOND, -@cooldownSeconds, GETDATE())
+        )
+      `);
+    const verificationId = insertResult.recordset?.[0]?.VerificationId;
+    if (!verificationId) {
+      throw new ValidationError('A code was just sent. Please wait a minute before requesting another one');
+    }
+
+    await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('email', sql.NVarChar(200), recipient)
+      .input('verificationId', sql.UniqueIdentifier, verificationId)
+      .query(`
+        UPDATE ResponseEmailVerifications
+        SET UsedAt = GETDATE()
+        WHERE SurveyId = @surveyId
+          AND Email = @email
+          AND VerificationId <> @verificationId
+          AND UsedAt IS NULL
+          AND ExpiresAt > GETDATE()
+      `);
+
+    const translationService = require('./translationService');
+    const locale = translationService.resolveLocale(meta.locale);
+    const { title: surveyTitle } = await translationService.translateEventText(surveyId, locale, {
+      title: event.Title || 'Survey'
+    });
+
+    const emailService = require('./emailService');
+    const sendResult = await emailService.sendEmail({
+      to: recipient,
+      subject: emailService.getSubject('verification', locale, surveyTitle),
+      template: 'email-verification',
+      locale,
+      data: {
+        surveyTitle,
+        code,
+        expiresInMinutes: CODE_EXPIRY_MINUTES
+      },
+      surveyId,
+      emailType: 'Notification'
+    });
+
+    logger.info('Respondent verification code sent', { surveyId, sent: Boolean(sendResult.success) });
+    return {
+      sent: Boolean(sendResult.success),
+      email: recipient,
+      expiresInMinutes: CODE_EXPIRY_MINUTES
+    };
+  }
+
+  /**
+   * Check a one-time code. A correct code is exchanged for a verification
+   * token the form sends with its submission.
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @param {string} email - Respondent email
+   * @param {string} code - Six-digit code from the email
+   * @returns {Promise<Object>} { verificationToken, email, expiresInMinutes }
+   */
+  async verifyCode(surveyIdentifier, email, code) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const recipient = this.normalizeEmail(email);
+    const normalizedCode = String(code || '').trim();
+    if (!CODE_PATTERN.test(normalizedCode)) {
+      throw new ValidationError('Verification code must be 6 digits');
+    }
+
+    const pool = await db.getPool();
+    if (!(await this.hasSupport(pool))) {
+      throw new ValidationError('Email verification is not enabled for this survey');
+    }
+
+    const result = await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('email', sql.NVarChar(200), recipient)
+      .query(`
+        SELECT TOP 1 VerificationId, Attempts
+        FROM ResponseEmailVerifications
+        WHERE SurveyId = @surveyId
+          AND Email = @email
+          AND VerifiedAt IS NULL
+          AND UsedAt IS NULL
+          AND ExpiresAt > GETDATE()
+        ORDER BY CreatedAt DESC
+      `);
+
+    const verification = result.recordset?.[0];
+    if (!verification) {
+      throw new ValidationError('Verification code is invalid or has expired');
+    }
+    if (Number(verification.Attempts || 0) >= MAX_ATTEMPTS) {
+      throw new ValidationError('Too many incorrect attempts. Please request a new code');
+    }
+
+    // Every check uses up an attempt first, so parallel guesses cannot get past the limit
+    const attemptResult = await pool.request()
+      .input('verificationId', sql.UniqueIdentifier, verification.VerificationId)
+      .input('maxAttempts', sql.Int, MAX_ATTEMPTS)
+      .query(`
+        UPDATE ResponseEmailVerifications
+        SET Attempts = Attempts + 1
+        OUTPUT INSERTED.CodeHash
+        WHERE VerificationId = @verificationId
+          AND Attempts < @maxAttempts
+      `);
+    const attempt = attemptResult.recordset?.[0];
+    if (!attempt) {
+      throw new ValidationError('Too many incorrect attempts. Please request a new code');
+    }
+    if (attempt.CodeHash !== hashOneTimeToken(normalizedCode)) {
+      throw new ValidationError('Verification code is incorrect');
+    }
+
+    const token = this.generateToken();
+    const verifyResult = await pool.request()
+      .input('verificationId', sql.UniqueIdentifier, verification.VerificationId)
+      .input('tokenHash', sql.NVarChar(64), hashOneTimeToken(token))
+      .input('expiryMinutes', sql.Int, TOKEN_EXPIRY_MINUTES)
+      .query(`
+        UPDATE ResponseEmailVerifications
+        SET VerifiedAt = GETDATE(),
+            TokenHash = @tokenHash,
+            ExpiresAt = DATEADD(MINUTE, @expiryMinutes, GETDATE())
+        WHERE VerificationId = @verificationId
+          AND VerifiedAt IS NULL
+          AND UsedAt IS NULL
+          AND ExpiresAt > GETDATE()
+      `);
+    if (!verifyResult.rowsAffected?.[0]) {
+      throw new ValidationError('Verification code is invalid or has expired');
+    }
+
+    return {
+      verificationToken: token,
+      email: recipient,
+      expiresInMinutes: TOKEN_EXPIRY_MINUTES
+    };
+  }
+
+  /**
+   * Use up a verification token inside the submission transaction. The token
+   * only counts for the address it was issued to.
+   * @param {Object} connection - Submission transaction
+   * @param {string} surveyId - Survey ID
+   * @param {string} email - Normalized respondent email
+   * @param {string} token - Verification token
+   * @returns {Promise<string|null>} Verification ID, or null if the token is not valid
+   */
+  async consumeToken(connection, surveyId, email, token) {
+    const normalizedToken = String(token || '').trim();
+    if (!TOKEN_PATTERN.test(normalizedToken) || !email) {
+      return null;
+    }
+
+    const result = await (await this.makeRequest(connection))
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('email', sql.NVarChar(200), String(email).trim().toLowerCase())
+      .input('tokenHash', sql.NVarChar(64), hashOneTimeToken(normalizedToken))
+      .query(`
+        UPDATE ResponseEmailVerifications
+        SET UsedAt = GETDATE()
+        OUTPUT INSERTED.VerificationId
+        WHERE SurveyId = @surveyId
+          AND Email = @email
+          AND TokenHash = @tokenHash
+          AND VerifiedAt IS NOT NULL
+          AND UsedAt IS NULL
+          AND ExpiresAt > GETDATE()
+      `);
+
+    return result.recordset?.[0]?.VerificationId || null;
+  }
+}
+
+module.exports = new EmailVerificationService();
+module.exports.EmailVerificationService = EmailVerificationService;
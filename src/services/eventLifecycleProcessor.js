@@ -0,0 +1,351 @@
+const sql = require('../database/sql-client');
+/**
+ * Event Lifecycle Processor
+ * Background job that opens, closes and archives events based on
+ * StartDate/EndDate and cancels the pending emails of closed events
+ */
+
+const cron = require('node-cron');
+
+const config = require('../config');
+const logger = require('../config/logger');
+const db = require('../database/connection');
+const auditService = require('./auditService');
+const emailService = require('./emailService');
+const publishCycleService = require('./publishCycleService');
+
+const LifecycleTransition = {
+    OPEN: 'Open',
+    CLOSE: 'Close',
+    ARCHIVE: 'Archive'
+};
+
+class EventLifecycleProcessor {
+    constructor() {
+        this.isRunning = false;
+        this.cronJob = null;
+        this.supportCache = null;
+    }
+
+    /**
+     * Start the lifecycle processor on the configured schedule
+     */
+    start() {
+        if (this.cronJob) {
+            logger.warn('Event lifecycle processor is already running');
+            return;
+        }
+
+        if (config.lifecycle?.enabled === false) {
+            logger.info('Event lifecycle processor is disabled');
+            return;
+        }
+
+        this.cronJob = cron.schedule(config.lifecycle?.schedule || '*/5 * * * *', async () => {
+            if (this.isRunning) {
+                logger.debug('Previous lifecycle run still running, skipping this cycle');
+                return;
+            }
+
+            this.isRunning = true;
+            try {
+                await this.processLifecycle();
+            } catch (error) {
+                logger.error('Error processing event lifecycle:', error);
+            } finally {
+                this.isRunning = false;
+            }
+        });
+
+        logger.info('Event lifecycle processor started');
+    }
+
+    /**
+     * Stop the lifecycle processor
+     */
+    stop() {
+        if (this.cronJob) {
+            this.cronJob.stop();
+            this.cronJob = null;
+            logger.info('Event lifecycle processor stopped');
+        }
+    }
+
+    /**
+     * Whether migration 040 (AutoPublish, ClosedAt, ArchivedAt) has been applied
+     * @param {Object} pool - Connection pool
+     * @returns {Promise<boolean>}
+     */
+    async hasSupport(pool) {
+        if (typeof this.supportCache === 'boolean') {
+            return this.supportCache;
+        }
+
+        const result = await pool.request().query(`
+            SELECT CASE WHEN COL_LENGTH('Events', 'AutoPublish') IS NULL THEN 0 ELSE 1 END AS Supported
+        `);
+
+        this.supportCache = Number(result.recordset?.[0]?.Supported || 0) === 1;
+        return this.supportCache;
+    }
+
+    /**
+     * Run every lifecycle step once
+     * @returns {Promise<Object>} Counts per step
+     */
+    async processLifecycle() {
+        const pool = await db.getPool();
+        const hasSupport = await this.hasSupport(pool);
+
+        const opened = hasSupport ? await this.openReadyEvents(pool) : [];
+        const closed = await this.closeEndedEvents(pool, hasSupport);
+        const archived = await this.archiveClosedEvents(pool, hasSupport);
+        const cancelledOperations = await this.cancelOperationsForClosedEvents(pool);
+
+        const summary = {
+            opened: opened.length,
+            closed: closed.length,
+            archived: archived.length,
+            cancelledOperations
+        };
+
+        if (summary.opened || summary.closed || summary.archived || summary.cancelledOperations) {
+            logger.info('Event lifecycle processed', summary);
+        } else {
+            logger.debug('No event lifecycle transitions due');
+        }
+
+        return summary;
+    }
+
+    /**
+     * Open Draft events marked AutoPublish once StartDate is reached.
+     * Events without questions or whose EndDate has passed stay Draft.
+     * @param {Object} pool - Connection pool
+     * @returns {Promise<Array<Object>>} Opened events
+     */
+    async openReadyEvents(pool) {
+        const result = await pool.request().query(`
+            SELECT e.SurveyId, e.Title, e.StartDate, e.EndDate
+            FROM Events e
+            WHERE e.Status = 'Draft'
+                AND e.AutoPublish = 1
+                AND e.StartDate <= GETDATE()
+                AND e.EndDate > GETDATE()
+                AND EXISTS (SELECT 1 FROM Questions q WHERE q.SurveyId = e.SurveyId)
+            ORDER BY e.StartDate
+        `);
+
+        const opened = [];
+        for (const event of result.recordset) {
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+            try {
+                const update = await transaction.request()
+                    .input('surveyId', sql.UniqueIdentifier, event.SurveyId)
+                    .query(`
+                        UPDATE Events
+                        SET Status = 'Active',
+                            UpdatedAt = GETDATE()
+                        WHERE SurveyId = @surveyId
+                            AND Status = 'Draft'
+                    `);
+
+                if (!update.rowsAffected || update.rowsAffected[0] === 0) {
+                    await transaction.rollback();
+                    continue;
+                }
+
+                await publishCycleService.activateNewCycle(transaction, event.SurveyId, null);
+                await transaction.commit();
+            } catch (error) {
+                await transaction.rollback();
+                logger.error(`Failed to open event ${event.SurveyId}:`, error);
+                continue;
+            }
+
+            await this.recordTransition(pool, event, LifecycleTransition.OPEN, 'Draft', 'Active');
+            opened.push(event);
+        }
+
+        return opened;
+    }
+
+    /**
+     * Close Active events whose EndDate has passed
+     * @param {Object} pool - Connection pool
+     * @param {boolean} hasSupport - Whether ClosedAt exists
+     * @returns {Promise<Array<Object>>} Closed events
+     */
+    async closeEndedEvents(pool, hasSupport) {
+        const result = await pool.request().query(`
+            UPDATE Events
+            SET Status = 'Closed',
+                ${hasSupport ? 'ClosedAt = GETDATE(),' : ''}
+                UpdatedAt = GETDATE()
+            OUTPUT INSERTED.SurveyId, INSERTED.Title, INSERTED.StartDate, INSERTED.EndDate
+            WHERE Status = 'Active'
+                AND EndDate IS NOT NULL
+                AND EndDate <= GETDATE()
+        `);
+
+        for (const event of result.recordset) {
+            await this.recordTransition(pool, event, LifecycleTransition.CLOSE, 'Active', 'Closed');
+        }
+
+        return result.recordset;
+    }
+
+    /**
+     * Archive events that have been Closed for longer than the retention period
+     * @param {Object} pool - Connection pool
+     * @param {boolean} hasSupport - Whether ClosedAt/ArchivedAt exist
+     * @returns {Promise<Array<Object>>} Archived events
+     */
+    async archiveClosedEvents(pool, hasSupport) {
+        const archiveAfterDays = Number(config.lifecycle?.archiveAfterDays);
+        if (!Number.isInteger(archiveAfterDays) || archiveAfterDays <= 0) {
+            return [];
+        }
+
+        const result = await pool.request()
+            .input('archiveAfterDays', sql.Int, archiveAfterDays)
+            .query(`
+                UPDATE Events
+                SET Status = 'Archived',
+                    ${hasSupport ? 'ArchivedAt = GETDATE(),' : ''}
+                    UpdatedAt = GETDATE()
+                OUTPUT INSERTED.SurveyId, INSERTED.Title, INSERTED.StartDate, INSERTED.EndDate
+                WHERE Status = 'Closed'
+                    AND ${hasSupport ? 'COALESCE(ClosedAt, EndDate)' : 'EndDate'} <= DATEADD(DAY, -@archiveAfterDays, GETDATE())
+            `);
+
+        for (const event of result.recordset) {
+            await this.recordTransition(pool, event, LifecycleTransition.ARCHIVE, 'Closed', 'Archived', { archiveAfterDays });
+        }
+
+        return result.recordset;
+    }
+
+    /**
+     * Cancel pending blasts and reminders of events that are no longer open,
+     * whether they were closed by this processor or by an admin
+     * @param {Object} pool - Connection pool
+     * @returns {Promise<number>} Cancelled operation count
+     */
+    async cancelOperationsForClosedEvents(pool) {
+        const result = await pool.request().query(`
+            UPDATE so
+            SET Status = 'Cancelled',
+                NextExecutionAt = NULL,
+                ErrorMessage = 'Cancelled automatically: event is ' + e.Status
+            OUTPUT INSERTED.OperationId, INSERTED.SurveyId, INSERTED.OperationType
+            FROM ScheduledOperations so
+            INNER JOIN Events e ON e.SurveyId = so.SurveyId
+            WHERE so.Status = 'Pending'
+                AND e.Status IN ('Closed', 'Archived')
+        `);
+
+        result.recordset.forEach((operation) => {
+            logger.info(`Cancelled ${operation.OperationType} ${operation.OperationId} of closed event ${operation.SurveyId}`);
+        });
+
+        return result.recordset.length;
+    }
+
+    /**
+     * Write the audit entry of a transition and notify the assigned admins.
+     * Failures are logged so one event cannot block the rest of the run.
+     */
+    async recordTransition(pool, event, transition, previousStatus, newStatus, details = {}) {
+        try {
+            await auditService.logAction({
+                userId: null,
+                username: 'system',
+                action: 'Update',
+                entityType: 'Event',
+                entityId: event.SurveyId,
+                oldValues: { Status: previousStatus },
+                newValues: { Status: newStatus, LifecycleTransition: transition, ...details }
+            });
+        } catch (error) {
+            logger.error(`Failed to audit lifecycle transition of event ${event.SurveyId}:`, error);
+        }
+
+        if (config.lifecycle?.notifyAdmins) {
+            try {
+                await this.notifyAssignedAdmins(pool, event, transition, newStatus);
+            } catch (error) {
+                logger.error(`Failed to notify admins of event ${event.SurveyId}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Email the admins assigned to an event about a lifecycle transition
+     * @returns {Promise<number>} Emails sent
+     */
+    async notifyAssignedAdmins(pool, event, transition, newStatus) {
+        const result = await pool.request()
+            .input('surveyId', sql.UniqueIdentifier, event.SurveyId)
+            .query(`
+                SELECT DISTINCT u.Email, u.DisplayName
+                FROM Users u
+                WHERE u.IsActive = 1
+                    AND u.Email IS NOT NULL
+                    AND (
+                        u.UserId IN (SELECT AssignedAdminId FROM Events WHERE SurveyId = @surveyId)
+                        OR u.UserId IN (SELECT AdminUserId FROM SurveyAdminAssignments WHERE SurveyId = @surveyId)
+                    )
+            `);
+
+        let sent = 0;
+        for (const admin of result.recordset) {
+            const sendResult = await emailService.sendEventLifecycleNotification({
+                recipientEmail: admin.Email,
+                recipientName: admin.DisplayName,
+                surveyId: event.SurveyId,
+                surveyTitle: event.Title,
+                transition,
+                newStatus,
+                startDate: event.StartDate,
+                endDate: event.EndDate
+            });
+            if (sendResult?.success) sent += 1;
+        }
+
+        return sent;
+    }
+
+    /**
+     * Manually trigger processing (for testing)
+     */
+    async triggerProcessing() {
+        if (this.isRunning) {
+            throw new Error('Processing is already running');
+        }
+
+        this.isRunning = true;
+        try {
+            return await this.processLifecycle();
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Get processor status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            isScheduled: this.cronJob !== null
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new EventLifecycleProcessor();
+module.exports.EventLifecycleProcessor = EventLifecycleProcessor;
+module.exports.LifecycleTransition = LifecycleTransition;
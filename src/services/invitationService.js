@@ -0,0 +1,272 @@
+const sql = require('../database/sql-client');
+const crypto = require('crypto');
+const db = require('../database/connection');
+const config = require('../config');
+
+const INVITATION_STATUSES = ['Sent', 'Opened', 'Completed'];
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+class InvitationService {
+  constructor() {
+    this.supportCache = null;
+  }
+
+  async getConnection(connection) {
+    if (connection && typeof connection.request === 'function') {
+      return connection;
+    }
+    return db.getPool();
+  }
+
+  async makeRequest(connection) {
+    const resolved = await this.getConnection(connection);
+    return resolved.request();
+  }
+
+  async hasSupport(connection) {
+    if (typeof this.supportCache === 'boolean') {
+      return this.supportCache;
+    }
+
+    const result = await (await this.makeRequest(connection))
+      .input('tableName', sql.NVarChar(128), 'Responses')
+      .input('columnName', sql.NVarChar(128), 'InvitationId')
+      .query(`
+        SELECT
+          (SELECT COUNT(1) FROM sys.tables WHERE name = 'SurveyInvitations') AS TableCnt,
+          (
+            SELECT COUNT(1)
+            FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_NAME = @tableName
+              AND COLUMN_NAME = @columnName
+          ) AS ColumnCnt
+      `);
+
+    const row = result.recordset?.[0] || {};
+    this.supportCache = Number(row.TableCnt || 0) > 0 && Number(row.ColumnCnt || 0) > 0;
+    return this.supportCache;
+  }
+
+  generateToken() {
+    return crypto.randomBytes(24).toString('base64url');
+  }
+
+  isValidToken(token) {
+    return TOKEN_PATTERN.test(String(token || '').trim());
+  }
+
+  buildInvitationLink(surveyId, token) {
+    const publicSurveyBaseUrl = String(config.publicSurveyBaseUrl || config.baseUrl || '').replace(/\/$/, '');
+    return `${publicSurveyBaseUrl}/survey/${encodeURIComponent(surveyId)}?invite=${encodeURIComponent(token)}`;
+  }
+
+  mapInvitation(row) {
+    return {
+      invitationId: row.InvitationId,
+      surveyId: row.SurveyId,
+      token: row.Token,
+      email: row.RecipientEmail,
+      name: row.RecipientName || null,
+      userId: row.UserId || null,
+      businessUnitId: row.BusinessUnitId || null,
+      divisionId: row.DivisionId || null,
+      departmentId: row.DepartmentId || null,
+      status: row.Status,
+      sentAt: row.SentAt || null,
+      openedAt: row.OpenedAt || null,
+      completedAt: row.CompletedAt || null,
+      reminderCount: Number(row.ReminderCount || 0)
+    };
+  }
+
+  /**
+   * Get or create the invitation of each recipient. Existing invitations keep their
+   * token so links from earlier blasts keep working.
+   * @param {Object} connection - Pool or transaction (optional)
+   * @param {string} surveyId - Survey ID
+   * @param {Array<Object>} recipients - [{ email, name, userId }]
+   * @returns {Promise<Map<string, Object>>} Invitations keyed by lower-cased email
+   */
+  async issueInvitations(connection, surveyId, recipients) {
+    const invitations = new Map();
+
+    for (const recipient of recipients) {
+      const email = String(recipient.email || '').trim().toLowerCase();
+      if (!email || invitations.has(email)) {
+        continue;
+      }
+
+      // Identity and org hierarchy come from Users when the address belongs to a user
+      const result = await (await this.makeRequest(connection))
+        .input('invitationId', sql.UniqueIdentifier, crypto.randomUUID())
+        .input('surveyId', sql.UniqueIdentifier, surveyId)
+        .input('token', sql.NVarChar(64), this.generateToken())
+        .input('email', sql.NVarChar(200), email)
+        .input('name', sql.NVarChar(200), recipient.name ? String(recipient.name).slice(0, 200) : null)
+        .input('userId', sql.UniqueIdentifier, recipient.userId || null)
+        .query(`
+          IF NOT EXISTS (
+            SELECT 1 FROM SurveyInvitations
+            WHERE SurveyId = @surveyId AND RecipientEmail = @email
+          )
+          BEGIN
+            INSERT INTO SurveyInvitations (
+              InvitationId, SurveyId, Token, RecipientEmail, RecipientName, UserId,
+              BusinessUnitId, DivisionId, DepartmentId, Status, CreatedAt
+            )
+            SELECT
+              @invitationId, @surveyId, @token, @email,
+              COALESCE(u.DisplayName, @name), u.UserId,
+              u.BusinessUnitId, u.DivisionId, u.DepartmentId, 'Sent', GETDATE()
+            FROM (SELECT 1 AS Seed) seed
+            OUTER APPLY (
+              SELECT TOP 1 UserId, DisplayName, BusinessUnitId, DivisionId, DepartmentId
+              FROM Users
+              WHERE (@userId IS NOT NULL AND UserId = @userId)
+                 OR (@userId IS NULL AND LOWER(Email) = @email)
+              ORDER BY IsActive DESC
+            ) u;
+          END
+
+          SELECT *
+          FROM SurveyInvitations
+          WHERE SurveyId = @surveyId AND RecipientEmail = @email;
+        `);
+
+      if (result.recordset.length > 0) {
+        invitations.set(email, this.mapInvitation(result.recordset[0]));
+      }
+    }
+
+    return invitations;
+  }
+
+  /**
+   * Record that invitation or reminder emails were delivered
+   * @param {Object} connection - Pool or transaction (optional)
+   * @param {Array<string>} invitationIds - Invitation IDs
+   * @param {string} emailType - Blast or Reminder
+   * @returns {Promise<void>}
+   */
+  async markDelivered(connection, invitationIds, emailType = 'Blast') {
+    const ids = [...new Set((invitationIds || []).filter(Boolean))];
+    if (ids.length === 0) {
+      return;
+    }
+
+    const request = await this.makeRequest(connection);
+    ids.forEach((id, index) => request.input(`inv${index}`, sql.UniqueIdentifier, id));
+    const setClause = emailType === 'Reminder'
+      ? 'LastReminderAt = GETDATE(), ReminderCount = ReminderCount + 1'
+      : 'SentAt = COALESCE(SentAt, GETDATE())';
+
+    await request.query(`
+      UPDATE SurveyInvitations
+      SET ${setClause},
+          UpdatedAt = GETDATE()
+      WHERE InvitationId IN (${ids.map((_, index) => `@inv${index}`).join(', ')})
+    `);
+  }
+
+  /**
+   * Find an invitation by token
+   * @param {Object} connection - Pool or transaction (optional)
+   * @param {string} token - Invitation token
+   * @returns {Promise<Object|null>} Invitation or null when unknown
+   */
+  async findByToken(connection, token) {
+    const normalizedToken = String(token || '').trim();
+    if (!this.isValidToken(normalizedToken)) {
+      return null;
+    }
+    if (!(await this.hasSupport(connection))) {
+      return null;
+    }
+
+    const result = await (await this.makeRequest(connection))
+      .input('token', sql.NVarChar(64), normalizedToken)
+      .query('SELECT * FROM SurveyInvitations WHERE Token = @token');
+
+    return result.recordset.length > 0 ? this.mapInvitation(result.recordset[0]) : null;
+  }
+
+  /**
+   * Resolve a token opened from the survey form and mark the invitation opened
+   * @param {Object} connection - Pool or transaction (optional)
+   * @param {string} token - Invitation token
+   * @returns {Promise<Object|null>} Invitation or null when unknown
+   */
+  async openInvitation(connection, token) {
+    const invitation = await this.findByToken(connection, token);
+    if (!invitation || invitation.status !== 'Sent') {
+      return invitation;
+    }
+
+    await (await this.makeRequest(connection))
+      .input('invitationId', sql.UniqueIdentifier, invitation.invitationId)
+      .query(`
+        UPDATE SurveyInvitations
+        SET Status = 'Opened',
+            OpenedAt = GETDATE(),
+            UpdatedAt = GETDATE()
+        WHERE InvitationId = @invitationId
+          AND Status = 'Sent'
+      `);
+
+    return { ...invitation, status: 'Opened', openedAt: new Date() };
+  }
+
+  /**
+   * Mark an invitation completed and link the submitted responses to it
+   * @param {Object} connection - Pool or transaction (optional)
+   * @param {string} invitationId - Invitation ID
+   * @param {Array<string>} responseIds - Submitted response IDs
+   * @returns {Promise<void>}
+   */
+  async markCompleted(connection, invitationId, responseIds = []) {
+    const request = await this.makeRequest(connection);
+    request.input('invitationId', sql.UniqueIdentifier, invitationId);
+    responseIds.forEach((id, index) => request.input(`resp${index}`, sql.UniqueIdentifier, id));
+
+    const linkResponses = responseIds.length > 0
+      ? `
+        UPDATE Responses
+        SET InvitationId = @invitationId
+        WHERE ResponseId IN (${responseIds.map((_, index) => `@resp${index}`).join(', ')});
+      `
+      : '';
+
+    await request.query(`
+      UPDATE SurveyInvitations
+      SET Status = 'Completed',
+          OpenedAt = COALESCE(OpenedAt, GETDATE()),
+          CompletedAt = GETDATE(),
+          UpdatedAt = GETDATE()
+      WHERE InvitationId = @invitationId;
+      ${linkResponses}
+    `);
+  }
+
+  /**
+   * List the invitations of a survey
+   * @param {Object} connection - Pool or transaction (optional)
+   * @param {string} surveyId - Survey ID
+   * @returns {Promise<Array<Object>>} Invitations
+   */
+  async getInvitations(connection, surveyId) {
+    const result = await (await this.makeRequest(connection))
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query(`
+        SELECT *
+        FROM SurveyInvitations
+        WHERE SurveyId = @surveyId
+        ORDER BY RecipientName, RecipientEmail
+      `);
+
+    return result.recordset.map((row) => this.mapInvitation(row));
+  }
+}
+
+module.exports = new InvitationService();
+module.exports.InvitationService = InvitationService;
+module.exports.INVITATION_STATUSES = INVITATION_STATUSES;
@@ -0,0 +1,347 @@
+const sql = require('../database/sql-client');
+/**
+ * Kiosk Service
+ * Registers booth devices that run the public form in kiosk mode and records
+ * the idempotency keys of the submissions they sync
+ */
+
+const crypto = require('crypto');
+const db = require('../database/connection');
+const config = require('../config');
+const logger = require('../config/logger');
+const { KioskDeviceError } = require('./response-service/errors');
+const { ConflictError, NotFoundError, ValidationError } = require('./survey-service/errors');
+const { resolveSurveyIdentifier } = require('./survey-service/read-model');
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+const DEFAULT_RESET_SECONDS = 60;
+const MIN_RESET_SECONDS = 10;
+const MAX_RESET_SECONDS = 3600;
+const MAX_BATCH_SIZE = 50;
+
+class KioskService {
+  constructor() {
+    this.supportCache = null;
+  }
+
+  async getConnection(connection) {
+    if (connection && typeof connection.request === 'function') {
+      return connection;
+    }
+    return db.getPool();
+  }
+
+  async makeRequest(connection) {
+    const resolved = await this.getConnection(connection);
+    return resolved.request();
+  }
+
+  async hasSupport(connection) {
+    if (typeof this.supportCache === 'boolean') {
+      return this.supportCache;
+    }
+
+    const result = await (await this.makeRequest(connection))
+      .query("SELECT COUNT(1) AS TableCnt FROM sys.tables WHERE name IN ('KioskDevices', 'KioskSubmissions')");
+    this.supportCache = Number(result.recordset?.[0]?.TableCnt || 0) === 2;
+    return this.supportCache;
+  }
+
+  async assertSupport(connection) {
+    if (!(await this.hasSupport(connection))) {
+      throw new ConflictError('Kiosk mode is not available. Run migration 047 first.');
+    }
+  }
+
+  generateToken() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  buildKioskLink(surveyId, token) {
+    const publicSurveyBaseUrl = String(config.publicSurveyBaseUrl || config.baseUrl || '').replace(/\/$/, '');
+    return `${publicSurveyBaseUrl}/survey/index?id=${encodeURIComponent(surveyId)}&kiosk=${encodeURIComponent(token)}`;
+  }
+
+  isValidIdempotencyKey(key) {
+    return IDEMPOTENCY_KEY_PATTERN.test(String(key || ''));
+  }
+
+  normalizeResetAfterSeconds(value) {
+    if (value === undefined || value === null || value === '') {
+      return DEFAULT_RESET_SECONDS;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isInteger(seconds) || seconds < MIN_RESET_SECONDS || seconds > MAX_RESET_SECONDS) {
+      throw new ValidationError(`resetAfterSeconds must be a whole number between ${MIN_RESET_SECONDS} and ${MAX_RESET_SECONDS}`);
+    }
+    return seconds;
+  }
+
+  mapDevice(row) {
+    return {
+      deviceId: row.DeviceId,
+      surveyId: row.SurveyId,
+      name: row.DeviceName,
+      resetAfterSeconds: Number(row.ResetAfterSeconds || DEFAULT_RESET_SECONDS),
+      isActive: row.IsActive === true || row.IsActive === 1,
+      lastSeenAt: row.LastSeenAt || null,
+      lastSyncAt: row.LastSyncAt || null,
+      submissionCount: Number(row.SubmissionCount || 0),
+      createdAt: row.CreatedAt || null,
+      revokedAt: row.RevokedAt || null
+    };
+  }
+
+  async findDevice(connection, surveyId, deviceId) {
+    const result = await (await this.makeRequest(connection))
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('deviceId', sql.UniqueIdentifier, deviceId)
+      .query(`
+        SELECT
+          d.*,
+          (SELECT COUNT(1) FROM KioskSubmissions ks WHERE ks.DeviceId = d.DeviceId) AS SubmissionCount
+        FROM KioskDevices d
+        WHERE d.SurveyId = @surveyId AND d.DeviceId = @deviceId
+      `);
+
+    return result.recordset.length > 0 ? this.mapDevice(result.recordset[0]) : null;
+  }
+
+  /**
+   * Register a kiosk device for an event. The token is returned only once;
+   * opening the kiosk link on the device stores it there for every kiosk request.
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @param {Object} data - { name, resetAfterSeconds }
+   * @param {string} createdBy - User ID
+   * @returns {Promise<Object>} { device, token, kioskUrl }
+   */
+  async registerDevice(surveyIdentifier, data = {}, createdBy = null) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const pool = await db.getPool();
+    await this.assertSupport(pool);
+
+    const name = String(data.name || '').trim();
+    if (!name || name.length > 200) {
+      throw new ValidationError('Device name is required and must not exceed 200 characters');
+    }
+    const resetAfterSeconds = this.normalizeResetAfterSeconds(data.resetAfterSeconds);
+
+    const eventResult = await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query('SELECT SurveyId FROM Events WHERE SurveyId = @surveyId');
+    if (eventResult.recordset.length === 0) {
+      throw new NotFoundError('Survey not found');
+    }
+
+    const token = this.generateToken();
+    const deviceId = crypto.randomUUID();
+    await pool.request()
+      .input('deviceId', sql.UniqueIdentifier, deviceId)
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('name', sql.NVarChar(200), name)
+      .input('tokenHash', sql.NVarChar(64), this.hashToken(token))
+      .input('resetAfterSeconds', sql.Int, resetAfterSeconds)
+      .input('createdBy', sql.UniqueIdentifier, createdBy || null)
+      .query(`
+        INSERT INTO KioskDevices (
+          DeviceId, SurveyId, DeviceName, TokenHash, ResetAfterSeconds, IsActive, CreatedBy, CreatedAt
+        )
+        VALUES (@deviceId, @surveyId, @name, @tokenHash, @resetAfterSeconds, 1, @createdBy, GETDATE())
+      `);
+
+    logger.info('Kiosk device registered', { surveyId, deviceId });
+    return {
+      device: await this.findDevice(pool, surveyId, deviceId),
+      token,
+      kioskUrl: this.buildKioskLink(surveyId, token)
+    };
+  }
+
+  /**
+   * List the kiosk devices of an event
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @returns {Promise<Array<Object>>} Devices, newest first
+   */
+  async getDevices(surveyIdentifier) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const pool = await db.getPool();
+    await this.assertSupport(pool);
+
+    const result = await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query(`
+        SELECT
+          d.*,
+          (SELECT COUNT(1) FROM KioskSubmissions ks WHERE ks.DeviceId = d.DeviceId) AS SubmissionCount
+        FROM KioskDevices d
+        WHERE d.SurveyId = @surveyId
+        ORDER BY d.CreatedAt DESC
+      `);
+
+    return result.recordset.map((row) => this.mapDevice(row));
+  }
+
+  /**
+   * Revoke a kiosk device. It can no longer load the kiosk session or sync.
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @param {string} deviceId - Device ID
+   * @param {string} revokedBy - User ID
+   * @returns {Promise<Object>} Revoked device
+   */
+  async revokeDevice(surveyIdentifier, deviceId, revokedBy = null) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const pool = await db.getPool();
+    await this.assertSupport(pool);
+
+    const result = await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('deviceId', sql.UniqueIdentifier, deviceId)
+      .input('revokedBy', sql.UniqueIdentifier, revokedBy || null)
+      .query(`
+        UPDATE KioskDevices
+        SET IsActive = 0,
+            RevokedBy = COALESCE(RevokedBy, @revokedBy),
+            RevokedAt = COALESCE(RevokedAt, GETDATE())
+        WHERE SurveyId = @surveyId AND DeviceId = @deviceId
+      `);
+
+    if (!result.rowsAffected?.[0]) {
+      throw new NotFoundError('Kiosk device not found');
+    }
+
+    logger.info('Kiosk device revoked', { surveyId, deviceId });
+    return this.findDevice(pool, surveyId, deviceId);
+  }
+
+  /**
+   * Resolve the device behind a kiosk token and record that it was seen
+   * @param {string} token - Device token
+   * @returns {Promise<Object>} Active device
+   * @throws {KioskDeviceError} If the token is unknown or the device was revoked
+   */
+  async authenticateDevice(token) {
+    const normalizedToken = String(token || '').trim();
+    if (!TOKEN_PATTERN.test(normalizedToken)) {
+      throw new KioskDeviceError('Kiosk device token is missing or invalid');
+    }
+
+    const pool = await db.getPool();
+    if (!(await this.hasSupport(pool))) {
+      throw new KioskDeviceError('Kiosk mode is not available');
+    }
+
+    const result = await pool.request()
+      .input('tokenHash', sql.NVarChar(64), this.hashToken(normalizedToken))
+      .query(`
+        UPDATE KioskDevices
+        SET LastSeenAt = GETDATE()
+        OUTPUT INSERTED.*
+        WHERE TokenHash = @tokenHash
+      `);
+
+    const row = result.recordset?.[0];
+    if (!row) {
+      throw new KioskDeviceError('Kiosk device token is missing or invalid');
+    }
+    if (!(row.IsActive === true || row.IsActive === 1)) {
+      throw new KioskDeviceError('This kiosk device has been revoked');
+    }
+    return this.mapDevice(row);
+  }
+
+  /**
+   * Find a submission a device already synced
+   * @param {Object} connection - Pool or transaction (optional)
+   * @param {string} deviceId - Device ID
+   * @param {string} idempotencyKey - Key generated on the device
+   * @returns {Promise<Object|null>} { idempotencyKey, responseIds, receivedAt }
+   */
+  async findSubmission(connection, deviceId, idempotencyKey) {
+    const result = await (await this.makeRequest(connection))
+      .input('deviceId', sql.UniqueIdentifier, deviceId)
+      .input('idempotencyKey', sql.NVarChar(100), idempotencyKey)
+      .query(`
+        SELECT IdempotencyKey, ResponseIds, ReceivedAt
+        FROM KioskSubmissions
+        WHERE DeviceId = @deviceId AND IdempotencyKey = @idempotencyKey
+      `);
+
+    const row = result.recordset?.[0];
+    if (!row) {
+      return null;
+    }
+
+    let responseIds = [];
+    try {
+      responseIds = JSON.parse(row.ResponseIds || '[]');
+    } catch (error) {
+      logger.warn(`Invalid kiosk submission response IDs for key ${idempotencyKey}`);
+    }
+    return {
+      idempotencyKey: row.IdempotencyKey,
+      responseIds,
+      receivedAt: row.ReceivedAt || null
+    };
+  }
+
+  /**
+   * Record a kiosk submission inside the submission transaction. The unique
+   * key on (DeviceId, IdempotencyKey) rolls back a concurrent retry.
+   * @param {Object} connection - Submission transaction
+   * @param {Object} kiosk - { deviceId, idempotencyKey, capturedAt }
+   * @param {Array<string>} responseIds - Created response IDs
+   * @returns {Promise<void>}
+   */
+  async recordSubmission(connection, kiosk, responseIds = []) {
+    const capturedAt = kiosk.capturedAt ? new Date(kiosk.capturedAt) : null;
+
+    await (await this.makeRequest(connection))
+      .input('deviceId', sql.UniqueIdentifier, kiosk.deviceId)
+      .input('idempotencyKey', sql.NVarChar(100), kiosk.idempotencyKey)
+      .input('responseIds', sql.NVarChar(sql.MAX), JSON.stringify(responseIds))
+      .input('capturedAt', sql.DateTime2, capturedAt && !Number.isNaN(capturedAt.getTime()) ? capturedAt : null)
+      .query(`
+        INSERT INTO KioskSubmissions (DeviceId, IdempotencyKey, ResponseIds, CapturedAt, ReceivedAt)
+        VALUES (@deviceId, @idempotencyKey, @responseIds, @capturedAt, GETDATE())
+      `);
+  }
+
+  /**
+   * Moment a kiosk submission is checked against the event window: when it was
+   * captured, but never later than the sync and never earlier than the grace
+   * period allows
+   * @param {string|Date} capturedAt - Capture time reported by the device
+   * @param {Date} [now] - Sync time
+   * @returns {Date}
+   */
+  resolveWindowTime(capturedAt, now = new Date()) {
+    const captured = capturedAt ? new Date(capturedAt) : null;
+    if (!captured || Number.isNaN(captured.getTime())) {
+      return now;
+    }
+
+    const graceMs = Math.max(Number(config.kiosk?.syncGraceHours) || 0, 0) * 60 * 60 * 1000;
+    return new Date(Math.min(now.getTime(), Math.max(captured.getTime(), now.getTime() - graceMs)));
+  }
+
+  async markSynced(deviceId) {
+    await (await this.makeRequest())
+      .input('deviceId', sql.UniqueIdentifier, deviceId)
+      .query('UPDATE KioskDevices SET LastSyncAt = GETDATE() WHERE DeviceId = @deviceId');
+  }
+
+  isDuplicateKeyError(error) {
+    return error?.number === 2627 || error?.number === 2601
+      || error?.originalError?.number === 2627 || error?.originalError?.number === 2601;
+  }
+}
+
+module.exports = new KioskService();
+module.exports.KioskService = KioskService;
+module.exports.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
@@ -3,10 +3,12 @@ const sql = require('../database/sql-client');
   
 const { randomUUID } = require('crypto');
 const db = require('../database/connection');
+const { QUESTION_VERSION_COLUMNS } = require('./survey-service/definition-versions');
 
 class PublishCycleService {
   constructor() {
     this.supportCache = null;
+    this.definitionSupportCache = null;
   }
 
   async getConnection(connection) {
@@ -58,6 +60,24 @@ class PublishCycleService {
     return this.supportCache;
   }
 
+  async hasDefinitionVersionSupport(connection) {
+    if (typeof this.definitionSupportCache === 'boolean') {
+      return this.definitionSupportCache;
+    }
+
+    const result = await (await this.makeRequest(connection)).query(`
+      SELECT CASE
+        WHEN OBJECT_ID(N'dbo.SurveyDefinitionVersions', N'U') IS NOT NULL
+          AND OBJECT_ID(N'dbo.QuestionVersions', N'U') IS NOT NULL
+          AND COL_LENGTH('QuestionResponses', 'QuestionVersionId') IS NOT NULL
+        THEN 1 ELSE 0
+      END AS Supported
+    `);
+
+    this.definitionSupportCache = Number(result.recordset?.[0]?.Supported || 0) === 1;
+    return this.definitionSupportCache;
+  }
+
   async getCurrentCycle(connection, surveyId) {
     if (!surveyId) return null;
     if (!(await this.hasSupport(connection))) return null;
@@ -134,9 +154,150 @@ class PublishCycleService {
         )
       `);
 
+    const cycle = result.recordset?.[0] || null;
+    if (cycle && setCurrent) {
+      await this.snapshotDefinition(connection, surveyId, cycle.PublishCycleId, publishedBy);
+    }
+    return cycle;
+  }
+
+  /**
+   * Lock the definition versions of an event until the transaction ends and
+   * return the next version number. Parallel callers wait here, so only one
+   * of them creates a version.
+   * @param {Object} connection - Transaction
+   * @param {string} surveyId - Event ID
+   * @returns {Promise<number>} Next version number
+   */
+  async lockDefinitionVersions(connection, surveyId) {
+    const result = await (await this.makeRequest(connection))
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query(`
+        SELECT ISNULL(MAX(VersionNumber), 0) + 1 AS NextVersion
+        FROM SurveyDefinitionVersions WITH (UPDLOCK, HOLDLOCK)
+        WHERE SurveyId = @surveyId
+      `);
+    return Number(result.recordset?.[0]?.NextVersion || 1);
+  }
+
+  /**
+   * Freeze the current question set of an event as a new definition version
+   * of a publish cycle. Earlier versions are never changed, so answers keep
+   * pointing at the wording they were given against. The version number is
+   * taken under lockDefinitionVersions, so run it inside a transaction.
+   * @param {Object} connection - Pool or transaction
+   * @param {string} surveyId - Event ID
+   * @param {string} publishCycleId - Publish cycle the version belongs to
+   * @param {string} createdBy - User ID
+   * @returns {Promise<Object|null>} Definition version, or null without migration 045
+   */
+  async snapshotDefinition(connection, surveyId, publishCycleId, createdBy = null) {
+    if (!surveyId || !publishCycleId) return null;
+    if (!(await this.hasDefinitionVersionSupport(connection))) return null;
+
+    const nextVersionNumber = await this.lockDefinitionVersions(connection, surveyId);
+
+    await (await this.makeRequest(connection))
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query(`
+        UPDATE SurveyDefinitionVersions
+        SET IsCurrent = 0
+        WHERE SurveyId = @surveyId
+          AND IsCurrent = 1
+      `);
+
+    const definitionVersionId = randomUUID();
+    const result = await (await this.makeRequest(connection))
+      .input('definitionVersionId', sql.UniqueIdentifier, definitionVersionId)
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('publishCycleId', sql.UniqueIdentifier, publishCycleId)
+      .input('versionNumber', sql.Int, nextVersionNumber)
+      .input('createdBy', sql.UniqueIdentifier, createdBy || null)
+      .query(`
+        INSERT INTO SurveyDefinitionVersions (
+          DefinitionVersionId, SurveyId, PublishCycleId, VersionNumber, IsCurrent, CreatedBy, CreatedAt
+        )
+        OUTPUT INSERTED.*
+        VALUES (
+          @definitionVersionId, @surveyId, @publishCycleId, @versionNumber, 1, @createdBy, GETDATE()
+        )
+      `);
+
+    const columns = QUESTION_VERSION_COLUMNS.join(', ');
+    await (await this.makeRequest(connection))
+      .input('definitionVersionId', sql.UniqueIdentifier, definitionVersionId)
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query(`
+        INSERT INTO QuestionVersions (DefinitionVersionId, QuestionId, ${columns})
+        SELECT @definitionVersionId, QuestionId, ${columns}
+        FROM Questions
+        WHERE SurveyId = @surveyId
+      `);
+
+    return result.recordset?.[0] || null;
+  }
+
+  async getCurrentDefinitionVersion(connection, surveyId) {
+    if (!surveyId) return null;
+    if (!(await this.hasDefinitionVersionSupport(connection))) return null;
+
+    const result = await (await this.makeRequest(connection))
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query(`
+        SELECT TOP 1 DefinitionVersionId, SurveyId, PublishCycleId, VersionNumber, IsCurrent, CreatedAt
+        FROM SurveyDefinitionVersions
+        WHERE SurveyId = @surveyId
+          AND IsCurrent = 1
+      `);
+
     return result.recordset?.[0] || null;
   }
 
+  /**
+   * Get the definition version new answers of a publish cycle are saved
+   * against, freezing one first for cycles started before migration 045
+   * @param {Object} connection - Pool or transaction
+   * @param {string} surveyId - Event ID
+   * @param {Object} publishCycle - Current publish cycle row
+   * @returns {Promise<Object|null>} Definition version
+   */
+  async ensureDefinitionVersion(connection, surveyId, publishCycle) {
+    if (!publishCycle?.PublishCycleId) return null;
+
+    const cycleId = String(publishCycle.PublishCycleId).toLowerCase();
+    const isCycleVersion = (version) => version && String(version.PublishCycleId).toLowerCase() === cycleId;
+    const current = await this.getCurrentDefinitionVersion(connection, surveyId);
+    if (isCycleVersion(current)) {
+      return current;
+    }
+
+    // A parallel submission may have frozen the version while this one waited for the lock
+    if (!(await this.hasDefinitionVersionSupport(connection))) return null;
+    await this.lockDefinitionVersions(connection, surveyId);
+    const locked = await this.getCurrentDefinitionVersion(connection, surveyId);
+    if (isCycleVersion(locked)) {
+      return locked;
+    }
+    return this.snapshotDefinition(connection, surveyId, publishCycle.PublishCycleId, null);
+  }
+
+  /**
+   * Freeze a new definition version after the questions of an event change.
+   * Events that were never published have no cycle yet; their definition is
+   * frozen when the first cycle starts.
+   * @param {Object} connection - Pool or transaction
+   * @param {string} surveyId - Event ID
+   * @param {string} updatedBy - User ID
+   * @returns {Promise<Object|null>} New definition version
+   */
+  async refreshDefinitionVersion(connection, surveyId, updatedBy = null) {
+    if (!(await this.hasDefinitionVersionSupport(connection))) return null;
+
+    const currentCycle = await this.getCurrentCycle(connection, surveyId);
+    if (!currentCycle) return null;
+    return this.snapshotDefinition(connection, surveyId, currentCycle.PublishCycleId, updatedBy);
+  }
+
   async markGenerated(connection, publishCycleId, generatedBy = null) {
     if (!publishCycleId) return;
     if (!(await this.hasSupport(connection))) return;
@@ -152,6 +313,30 @@ class PublishCycleService {
         WHERE PublishCycleId = @publishCycleId
       `);
   }
+
+  /**
+   * Mark the report of a publish cycle as outdated so it has to be generated
+   * again, e.g. after an approved response was reopened
+   * @param {Object} connection - Pool or transaction
+   * @param {string} publishCycleId - Publish cycle ID
+   * @returns {Promise<boolean>} True when a generated report was invalidated
+   */
+  async clearGenerated(connection, publishCycleId) {
+    if (!publishCycleId) return false;
+    if (!(await this.hasSupport(connection))) return false;
+
+    const result = await (await this.makeRequest(connection))
+      .input('publishCycleId', sql.UniqueIdentifier, publishCycleId)
+      .query(`
+        UPDATE SurveyPublishCycles
+        SET GeneratedAt = NULL,
+            GeneratedBy = NULL,
+            UpdatedAt = GETDATE()
+        WHERE PublishCycleId = @publishCycleId
+          AND GeneratedAt IS NOT NULL
+      `);
+    return Number(result.rowsAffected?.[0] || 0) > 0;
+  }
 }
 
 module.exports = new PublishCycleService();
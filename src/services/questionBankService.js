@@ -0,0 +1,330 @@
+const sql = require('../database/sql-client');
+/**
+ * Question Bank Service
+ * Manages canonical questions that events reuse under a stable key
+ */
+
+const db = require('../database/connection');
+const logger = require('../config/logger');
+const { ConflictError, NotFoundError, ValidationError } = require('./survey-service/errors');
+const {
+  assertQuestionKey,
+  hasContentChanged,
+  mapBankQuestion,
+  normalizeBankQuestionContent,
+  normalizeCategory,
+  normalizeQuestionKey
+} = require('./survey-service/question-bank');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class QuestionBankService {
+  constructor() {
+    this.bankSupportCache = null;
+  }
+
+  async hasQuestionBankSupport(pool) {
+    if (typeof this.bankSupportCache === 'boolean') {
+      return this.bankSupportCache;
+    }
+
+    const result = await pool.request()
+      .query(`
+        SELECT CASE
+          WHEN OBJECT_ID(N'dbo.QuestionBank', N'U') IS NOT NULL
+            AND COL_LENGTH('Questions', 'BankQuestionId') IS NOT NULL
+          THEN 1 ELSE 0
+        END AS Supported
+      `);
+    this.bankSupportCache = Number(result.recordset?.[0]?.Supported || 0) === 1;
+    return this.bankSupportCache;
+  }
+
+  async assertQuestionBankSupport(pool) {
+    if (!(await this.hasQuestionBankSupport(pool))) {
+      throw new ConflictError('The question bank is not available. Run migration 044 first.');
+    }
+  }
+
+  /**
+   * List the current version of every bank question
+   * @param {Object} filter - { category, search, includeInactive }
+   * @returns {Promise<Array<Object>>} Bank questions with the number of linked event questions
+   */
+  async getBankQuestions(filter = {}) {
+    const pool = await db.getPool();
+    await this.assertQuestionBankSupport(pool);
+
+    const request = pool.request();
+    const conditions = ['qb.IsCurrent = 1'];
+    if (!filter.includeInactive) {
+      conditions.push('qb.IsActive = 1');
+    }
+    if (filter.category) {
+      request.input('category', sql.NVarChar(100), String(filter.category).trim());
+      conditions.push('qb.Category = @category');
+    }
+    if (filter.search) {
+      request.input('search', sql.NVarChar(200), `%${String(filter.search).trim()}%`);
+      conditions.push('(qb.QuestionKey LIKE @search OR qb.PromptText LIKE @search)');
+    }
+
+    const result = await request.query(`
+      SELECT
+        qb.*,
+        u.DisplayName AS CreatedByName,
+        (
+          SELECT COUNT(1)
+          FROM Questions q
+          INNER JOIN QuestionBank linked ON linked.BankQuestionId = q.BankQuestionId
+          WHERE linked.QuestionKey = qb.QuestionKey
+        ) AS UsageCount
+      FROM QuestionBank qb
+      LEFT JOIN Users u ON u.UserId = qb.CreatedBy
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY qb.Category, qb.QuestionKey
+    `);
+
+    return result.recordset.map(mapBankQuestion);
+  }
+
+  async loadVersions(pool, questionKey) {
+    const result = await pool.request()
+      .input('questionKey', sql.NVarChar(100), normalizeQuestionKey(questionKey))
+      .query(`
+        SELECT
+          qb.*,
+          u.DisplayName AS CreatedByName,
+          (SELECT COUNT(1) FROM Questions q WHERE q.BankQuestionId = qb.BankQuestionId) AS UsageCount
+        FROM QuestionBank qb
+        LEFT JOIN Users u ON u.UserId = qb.CreatedBy
+        WHERE qb.QuestionKey = @questionKey
+        ORDER BY qb.Version DESC
+      `);
+
+    if (result.recordset.length === 0) {
+      throw new NotFoundError('Bank question not found');
+    }
+    return result.recordset.map(mapBankQuestion);
+  }
+
+  /**
+   * Get a bank question with all of its versions
+   * @param {string} questionKey - Stable question key
+   * @returns {Promise<Object>} Current version with `versions` (newest first)
+   */
+  async getBankQuestion(questionKey) {
+    const pool = await db.getPool();
+    await this.assertQuestionBankSupport(pool);
+
+    const versions = await this.loadVersions(pool, questionKey);
+    const current = versions.find((version) => version.isCurrent) || versions[0];
+    return {
+      ...current,
+      usageCount: versions.reduce((sum, version) => sum + (version.usageCount || 0), 0),
+      versions
+    };
+  }
+
+  async insertVersion(connection, questionKey, version, category, content, isActive, createdBy) {
+    await new sql.Request(connection)
+      .input('questionKey', sql.NVarChar(100), questionKey)
+      .input('version', sql.Int, version)
+      .input('category', sql.NVarChar(100), category)
+      .input('type', sql.NVarChar(50), content.type)
+      .input('promptText', sql.NVarChar(sql.MAX), content.promptText)
+      .input('subtitle', sql.NVarChar(500), content.subtitle)
+      .input('options', sql.NVarChar(sql.MAX), content.options ? JSON.stringify(content.options) : null)
+      .input('isActive', sql.Bit, isActive)
+      .input('createdBy', sql.UniqueIdentifier, createdBy || null)
+      .query(`
+        INSERT INTO QuestionBank (
+          QuestionKey, Version, Category, Type, PromptText, Subtitle,
+          Options, IsCurrent, IsActive, CreatedBy, CreatedAt
+        )
+        VALUES (
+          @questionKey, @version, @category, @type, @promptText, @subtitle,
+          @options, 1, @isActive, @createdBy, GETDATE()
+        )
+      `);
+  }
+
+  /**
+   * Add a question to the bank
+   * @param {Object} data - { questionKey, category, type, promptText, subtitle, options }
+   * @param {string} createdBy - User ID
+   * @returns {Promise<Object>} Created bank question
+   */
+  async createBankQuestion(data, createdBy) {
+    const questionKey = assertQuestionKey(data.questionKey);
+    const category = normalizeCategory(data.category);
+    const content = normalizeBankQuestionContent(data);
+
+    const pool = await db.getPool();
+    await this.assertQuestionBankSupport(pool);
+
+    const existing = await pool.request()
+      .input('questionKey', sql.NVarChar(100), questionKey)
+      .query('SELECT TOP 1 BankQuestionId FROM QuestionBank WHERE QuestionKey = @questionKey');
+    if (existing.recordset.length > 0) {
+      throw new ConflictError(`A bank question with key ${questionKey} already exists`);
+    }
+
+    await this.insertVersion(pool, questionKey, 1, category, content, true, createdBy);
+
+    logger.info('Bank question created', { questionKey });
+    return this.getBankQuestion(questionKey);
+  }
+
+  /**
+   * Update a bank question. Content changes (type, prompt, subtitle or
+   * options) add a new version; event questions keep the version they link to.
+   * @param {string} questionKey - Stable question key
+   * @param {Object} data - { category, type, promptText, subtitle, options }
+   * @param {string} updatedBy - User ID
+   * @returns {Promise<Object>} Bank question after the update
+   */
+  async updateBankQuestion(questionKey, data, updatedBy) {
+    const pool = await db.getPool();
+    await this.assertQuestionBankSupport(pool);
+
+    const versions = await this.loadVersions(pool, questionKey);
+    const current = versions.find((version) => version.isCurrent) || versions[0];
+    const category = data.category !== undefined ? normalizeCategory(data.category) : current.category;
+    const content = normalizeBankQuestionContent({
+      type: data.type !== undefined ? data.type : current.type,
+      promptText: data.promptText !== undefined ? data.promptText : current.promptText,
+      subtitle: data.subtitle !== undefined ? data.subtitle : current.subtitle,
+      options: data.options !== undefined ? data.options : current.options
+    });
+
+    if (!hasContentChanged(current, content)) {
+      await pool.request()
+        .input('questionKey', sql.NVarChar(100), current.questionKey)
+        .input('category', sql.NVarChar(100), category)
+        .query(`
+          UPDATE QuestionBank
+          SET Category = @category, UpdatedAt = GETDATE()
+          WHERE QuestionKey = @questionKey
+        `);
+      logger.info('Bank question updated', { questionKey: current.questionKey });
+      return this.getBankQuestion(current.questionKey);
+    }
+
+    const nextVersion = Math.max(...versions.map((version) => version.version)) + 1;
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+    try {
+      await new sql.Request(transaction)
+        .input('questionKey', sql.NVarChar(100), current.questionKey)
+        .input('category', sql.NVarChar(100), category)
+        .query(`
+          UPDATE QuestionBank
+          SET IsCurrent = 0, Category = @category, UpdatedAt = GETDATE()
+          WHERE QuestionKey = @questionKey
+        `);
+      await this.insertVersion(transaction, current.questionKey, nextVersion, category, content, current.isActive, updatedBy);
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info('Bank question versioned', { questionKey: current.questionKey, version: nextVersion });
+    return this.getBankQuestion(current.questionKey);
+  }
+
+  /**
+   * Hide a bank question from the builder. Linked event questions and their
+   * history stay untouched.
+   * @param {string} questionKey - Stable question key
+   */
+  async deactivateBankQuestion(questionKey) {
+    const pool = await db.getPool();
+    await this.assertQuestionBankSupport(pool);
+
+    const key = normalizeQuestionKey(questionKey);
+    const result = await pool.request()
+      .input('questionKey', sql.NVarChar(100), key)
+      .query(`
+        UPDATE QuestionBank
+        SET IsActive = 0, UpdatedAt = GETDATE()
+        WHERE QuestionKey = @questionKey
+          AND IsActive = 1
+      `);
+
+    if (!result.rowsAffected || result.rowsAffected[0] === 0) {
+      throw new NotFoundError('Bank question not found');
+    }
+    logger.info('Bank question deactivated', { questionKey: key });
+  }
+
+  /**
+   * Whether copied questions carry bank links that can be written
+   * @param {Array<Object>} questions - Snapshot questions
+   * @returns {Promise<boolean>}
+   */
+  async hasQuestionLinks(questions) {
+    if (!(questions || []).some((question) => question.bankQuestionId)) {
+      return false;
+    }
+    return this.hasQuestionBankSupport(await db.getPool());
+  }
+
+  /**
+   * Check the bank links of questions saved from the builder. A linked
+   * question must keep the type of its bank version so its scores stay
+   * comparable.
+   * @param {Array<Object>} questions - Builder questions with optional bankQuestionId
+   * @returns {Promise<boolean>} Whether any question sets bankQuestionId
+   */
+  async validateQuestionLinks(questions) {
+    const linked = (questions || []).filter((question) => question && question.bankQuestionId !== undefined);
+    if (linked.length === 0) {
+      return false;
+    }
+
+    const pool = await db.getPool();
+    await this.assertQuestionBankSupport(pool);
+
+    const ids = [...new Set(linked
+      .filter((question) => question.bankQuestionId)
+      .map((question) => String(question.bankQuestionId).toLowerCase()))];
+    ids.forEach((id) => {
+      if (!UUID_PATTERN.test(id)) {
+        throw new ValidationError('bankQuestionId must be a valid UUID');
+      }
+    });
+    if (ids.length === 0) {
+      return true;
+    }
+
+    const request = pool.request();
+    const params = ids.map((id, index) => {
+      request.input(`bankQuestionId${index}`, sql.UniqueIdentifier, id);
+      return `@bankQuestionId${index}`;
+    });
+    const result = await request.query(`
+      SELECT BankQuestionId, QuestionKey, Type
+      FROM QuestionBank
+      WHERE BankQuestionId IN (${params.join(', ')})
+    `);
+    const bankQuestions = new Map(result.recordset.map((row) => [String(row.BankQuestionId).toLowerCase(), row]));
+
+    linked.filter((question) => question.bankQuestionId).forEach((question) => {
+      const bankQuestion = bankQuestions.get(String(question.bankQuestionId).toLowerCase());
+      if (!bankQuestion) {
+        throw new ValidationError(`Bank question ${question.bankQuestionId} not found`);
+      }
+      if (bankQuestion.Type !== question.type) {
+        throw new ValidationError(
+          `Question linked to ${bankQuestion.QuestionKey} must be of type ${bankQuestion.Type}`
+        );
+      }
+    });
+    return true;
+  }
+}
+
+module.exports = new QuestionBankService();
+module.exports.QuestionBankService = QuestionBankService;
@@ -0,0 +1,263 @@
+const sql = require('../database/sql-client');
+/**
+ * Quota Service
+ * Manages per-segment response quotas of events and enforces them on submission
+ */
+
+const db = require('../database/connection');
+const logger = require('../config/logger');
+const publishCycleService = require('./publishCycleService');
+const { QuotaReachedError } = require('./response-service/errors');
+const { ConflictError, NotFoundError, ValidationError } = require('./survey-service/errors');
+const { resolveSurveyIdentifier } = require('./survey-service/read-model');
+const {
+  QUOTA_SEGMENTS,
+  buildQuotaReachedMessage,
+  findExceededQuota,
+  mapQuotaProgress,
+  normalizeQuotas
+} = require('./survey-service/quotas');
+
+class QuotaService {
+  constructor() {
+    this.quotaSupportCache = null;
+    this.approvalStatusCache = null;
+  }
+
+  async hasQuotaSupport(connection) {
+    if (typeof this.quotaSupportCache === 'boolean') {
+      return this.quotaSupportCache;
+    }
+
+    const result = await connection.request()
+      .query("SELECT COUNT(1) AS TableCnt FROM sys.tables WHERE name = 'EventResponseQuotas'");
+    this.quotaSupportCache = Number(result.recordset?.[0]?.TableCnt || 0) > 0;
+    return this.quotaSupportCache;
+  }
+
+  async assertQuotaSupport(connection) {
+    if (!(await this.hasQuotaSupport(connection))) {
+      throw new ConflictError('Response quotas are not available. Run migration 046 first.');
+    }
+  }
+
+  async hasResponseApprovalStatusColumn(connection) {
+    if (typeof this.approvalStatusCache === 'boolean') {
+      return this.approvalStatusCache;
+    }
+
+    const result = await connection.request()
+      .query("SELECT CASE WHEN COL_LENGTH('Responses', 'ResponseApprovalStatus') IS NULL THEN 0 ELSE 1 END AS HasColumn");
+    this.approvalStatusCache = Number(result.recordset?.[0]?.HasColumn || 0) === 1;
+    return this.approvalStatusCache;
+  }
+
+  /**
+   * Load the quotas of an event with the responses counted against them.
+   * Responses of the current publish cycle count unless an admin rejected them.
+   * @param {Object} connection - Pool or transaction
+   * @param {string} surveyId - Event ID
+   * @param {Object} options - { lock } holds the counted rows until the transaction ends
+   * @returns {Promise<Array<Object>>} Quota progress
+   */
+  async loadQuotaProgress(connection, surveyId, options = {}) {
+    const request = connection.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId);
+    const conditions = ['r.SurveyId = q.SurveyId'];
+
+    const currentCycle = await publishCycleService.getCurrentCycle(connection, surveyId);
+    if (currentCycle?.PublishCycleId) {
+      request.input('publishCycleId', sql.UniqueIdentifier, currentCycle.PublishCycleId);
+      conditions.push('r.PublishCycleId = @publishCycleId');
+    }
+    if (await this.hasResponseApprovalStatusColumn(connection)) {
+      conditions.push("ISNULL(r.ResponseApprovalStatus, '') <> 'RejectedByAdmin'");
+    }
+
+    const segmentMatch = Object.entries(QUOTA_SEGMENTS)
+      .map(([segmentType, segment]) => `(q.SegmentType = '${segmentType}' AND r.${segment.column} = q.SegmentId)`)
+      .join(' OR ');
+
+    const result = await request.query(`
+      SELECT
+        q.QuotaId,
+        q.SegmentType,
+        q.SegmentId,
+        q.MaxResponses,
+        COALESCE(bu.Name, dept.Name, a.Name) AS SegmentName,
+        (
+          SELECT COUNT(1)
+          FROM Responses r${options.lock ? ' WITH (UPDLOCK, HOLDLOCK)' : ''}
+          WHERE ${conditions.join(' AND ')}
+            AND (${segmentMatch})
+        ) AS ResponseCount
+      FROM EventResponseQuotas q
+      LEFT JOIN BusinessUnits bu ON q.SegmentType = 'BusinessUnit' AND bu.BusinessUnitId = q.SegmentId
+      LEFT JOIN Departments dept ON q.SegmentType = 'Department' AND dept.DepartmentId = q.SegmentId
+      LEFT JOIN Applications a ON q.SegmentType = 'Application' AND a.ApplicationId = q.SegmentId
+      WHERE q.SurveyId = @surveyId
+      ORDER BY q.SegmentType, SegmentName
+    `);
+
+    return result.recordset.map(mapQuotaProgress);
+  }
+
+  /**
+   * Get the quotas of an event with their progress, for the dashboards
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @returns {Promise<Object>} { surveyId, targetRespondents, totalResponses, fullCount, quotas }
+   */
+  async getQuotaProgress(surveyIdentifier) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const pool = await db.getPool();
+    await this.assertQuotaSupport(pool);
+
+    const eventResult = await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query('SELECT SurveyId, TargetRespondents FROM Events WHERE SurveyId = @surveyId');
+    if (eventResult.recordset.length === 0) {
+      throw new NotFoundError('Survey not found');
+    }
+
+    const totalRequest = pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId);
+    let totalQuery = 'SELECT COUNT(1) AS TotalResponses FROM Responses WHERE SurveyId = @surveyId';
+    const currentCycle = await publishCycleService.getCurrentCycle(pool, surveyId);
+    if (currentCycle?.PublishCycleId) {
+      totalQuery += ' AND PublishCycleId = @publishCycleId';
+      totalRequest.input('publishCycleId', sql.UniqueIdentifier, currentCycle.PublishCycleId);
+    }
+    if (await this.hasResponseApprovalStatusColumn(pool)) {
+      totalQuery += " AND ISNULL(ResponseApprovalStatus, '') <> 'RejectedByAdmin'";
+    }
+    const totalResult = await totalRequest.query(totalQuery);
+
+    const quotas = await this.loadQuotaProgress(pool, surveyId);
+    return {
+      surveyId,
+      targetRespondents: eventResult.recordset[0].TargetRespondents ?? null,
+      totalResponses: Number(totalResult.recordset?.[0]?.TotalResponses || 0),
+      fullCount: quotas.filter((quota) => quota.isFull).length,
+      quotas
+    };
+  }
+
+  async assertSegmentsExist(pool, quotas) {
+    for (const [segmentType, segment] of Object.entries(QUOTA_SEGMENTS)) {
+      const ids = quotas.filter((quota) => quota.segmentType === segmentType).map((quota) => quota.segmentId);
+      if (ids.length === 0) continue;
+
+      const request = pool.request();
+      const params = ids.map((id, index) => {
+        request.input(`segmentId${index}`, sql.UniqueIdentifier, id);
+        return `@segmentId${index}`;
+      });
+      const result = await request.query(`
+        SELECT ${segment.column} AS SegmentId
+        FROM ${segment.table}
+        WHERE ${segment.column} IN (${params.join(', ')})
+      `);
+      const found = new Set(result.recordset.map((row) => String(row.SegmentId).toLowerCase()));
+      const missing = ids.find((id) => !found.has(id));
+      if (missing) {
+        throw new ValidationError(`The ${segment.label} ${missing} was not found`);
+      }
+    }
+  }
+
+  /**
+   * Replace the quotas of an event
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @param {Array<Object>} quotas - [{ segmentType, segmentId, maxResponses }]; empty removes all quotas
+   * @param {string} updatedBy - User ID
+   * @returns {Promise<Object>} Quota progress after the save
+   */
+  async saveQuotas(surveyIdentifier, quotas, updatedBy) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const normalized = normalizeQuotas(quotas);
+    const pool = await db.getPool();
+    await this.assertQuotaSupport(pool);
+
+    const eventResult = await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query('SELECT SurveyId FROM Events WHERE SurveyId = @surveyId');
+    if (eventResult.recordset.length === 0) {
+      throw new NotFoundError('Survey not found');
+    }
+    await this.assertSegmentsExist(pool, normalized);
+
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+    try {
+      await new sql.Request(transaction)
+        .input('surveyId', sql.UniqueIdentifier, surveyId)
+        .query('DELETE FROM EventResponseQuotas WHERE SurveyId = @surveyId');
+
+      for (const quota of normalized) {
+        await new sql.Request(transaction)
+          .input('surveyId', sql.UniqueIdentifier, surveyId)
+          .input('segmentType', sql.NVarChar(30), quota.segmentType)
+          .input('segmentId', sql.UniqueIdentifier, quota.segmentId)
+          .input('maxResponses', sql.Int, quota.maxResponses)
+          .input('createdBy', sql.UniqueIdentifier, updatedBy || null)
+          .query(`
+            INSERT INTO EventResponseQuotas (SurveyId, SegmentType, SegmentId, MaxResponses, CreatedBy, CreatedAt)
+            VALUES (@surveyId, @segmentType, @segmentId, @maxResponses, @createdBy, GETDATE())
+          `);
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info('Response quotas saved', { surveyId, count: normalized.length });
+    return this.getQuotaProgress(surveyId);
+  }
+
+  /**
+   * Segments of an event whose quota is reached
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @returns {Promise<Object>} Sets of lower-cased IDs keyed by segment type
+   */
+  async getFullSegments(surveyIdentifier) {
+    const fullSegments = Object.keys(QUOTA_SEGMENTS)
+      .reduce((segments, segmentType) => ({ ...segments, [segmentType]: new Set() }), {});
+
+    const pool = await db.getPool();
+    if (!(await this.hasQuotaSupport(pool))) {
+      return fullSegments;
+    }
+
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const quotas = await this.loadQuotaProgress(pool, surveyId);
+    quotas.filter((quota) => quota.isFull).forEach((quota) => {
+      fullSegments[quota.segmentType].add(String(quota.segmentId).toLowerCase());
+    });
+    return fullSegments;
+  }
+
+  /**
+   * Reject a submission that would exceed a quota of its event. Runs inside
+   * the submission transaction so concurrent submissions cannot both take
+   * the last place.
+   * @param {Object} transaction - Submission transaction
+   * @param {string} surveyId - Event ID
+   * @param {Array<Object>} submissions - [{ businessUnitId, departmentId, applicationId }], one per response
+   * @throws {QuotaReachedError} If a quota would be exceeded
+   */
+  async assertQuotaAvailable(transaction, surveyId, submissions) {
+    if (!(await this.hasQuotaSupport(transaction))) return;
+
+    const quotas = await this.loadQuotaProgress(transaction, surveyId, { lock: true });
+    const exceeded = findExceededQuota(quotas, submissions);
+    if (exceeded) {
+      logger.info('Submission rejected by response quota', { surveyId, quotaId: exceeded.quotaId });
+      throw new QuotaReachedError(buildQuotaReachedMessage(exceeded));
+    }
+  }
+}
+
+module.exports = new QuotaService();
+module.exports.QuotaService = QuotaService;
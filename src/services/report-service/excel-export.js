@@ -4,6 +4,7 @@ async function exportToExcel(deps, request) {
     buildWorkbookView,
     formatDateLabel,
     formatScore,
+    getTrends,
     logger,
     sanitizeForExcel,
     styleKeyValueCell,
@@ -15,6 +16,12 @@ async function exportToExcel(deps, request) {
 
   logger.info(`Exporting report to Excel for surveyId: ${request.surveyId}`);
   const reportData = await viewReport(request);
+  reportData.trends = await getTrends({
+    surveyId: request.surveyId,
+    departmentId: request.departmentId,
+    userId: request.userId,
+    userRole: request.userRole
+  });
   const workbookView = buildWorkbookView(reportData);
 
   const workbook = new ExcelJS.Workbook();
@@ -69,14 +76,13 @@ async function exportToExcel(deps, request) {
   reportSheet.getRow(7).getCell(5).value = 'Score';
   reportSheet.getRow(7).getCell(6).value = 'Value';
   styleTableHeader(reportSheet.getRow(7));
-  reportSheet.getRow(8).getCell(5).value = '2023';
-  reportSheet.getRow(8).getCell(6).value = formatScore(workbookView.yearlyScores.find((item) => item.year === 2023)?.score);
-  reportSheet.getRow(9).getCell(5).value = '2024';
-  reportSheet.getRow(9).getCell(6).value = formatScore(workbookView.yearlyScores.find((item) => item.year === 2024)?.score);
-  reportSheet.getRow(10).getCell(5).value = '2025';
-  reportSheet.getRow(10).getCell(6).value = formatScore(workbookView.yearlyScores.find((item) => item.year === 2025)?.score);
-  reportSheet.getRow(11).getCell(5).value = '% Change';
-  reportSheet.getRow(11).getCell(6).value = workbookView.percentChange;
+  const summaryTrendScores = workbookView.trendScores.slice(-5);
+  summaryTrendScores.forEach((item, index) => {
+    reportSheet.getRow(8 + index).getCell(5).value = sanitizeForExcel(item.label);
+    reportSheet.getRow(8 + index).getCell(6).value = formatScore(item.score);
+  });
+  reportSheet.getRow(8 + summaryTrendScores.length).getCell(5).value = '% Change';
+  reportSheet.getRow(8 + summaryTrendScores.length).getCell(6).value = workbookView.percentChange;
 
   let cursor = Math.max(10 + workbookView.respondentByBu.length, 14);
   reportSheet.getCell(`A${cursor}`).value = 'Function Score';
@@ -207,6 +213,51 @@ async function exportToExcel(deps, request) {
     mergeStartRow = mergeEndRow + 1;
   }
 
+  const trendSheet = workbook.addWorksheet('Trends');
+  trendSheet.pageSetup = { paperSize: 9, orientation: 'landscape', fitToPage: true, fitToWidth: 1, fitToHeight: 0 };
+  const trendColumnCount = Math.max(
+    reportData.trends.events.length,
+    reportData.trends.cycles.length
+  ) + 3;
+  trendSheet.columns = Array.from({ length: trendColumnCount }, (_, index) => ({ width: index === 0 ? 32 : 18 }));
+  trendSheet.getCell('A1').value = `Score Trend by ${reportData.trends.dimension}`;
+  styleSheetHeader(trendSheet.getRow(1));
+  trendSheet.getCell('A2').value = reportData.trends.survey.eventTypeName
+    ? `Compared with previous ${sanitizeForExcel(reportData.trends.survey.eventTypeName)} events`
+    : 'Event type is not set; only the current event is shown';
+  styleSectionNote(trendSheet.getCell('A2'));
+
+  const writeTrendTable = (startRow, title, periods, series) => {
+    trendSheet.getCell(`A${startRow}`).value = title;
+    styleSheetHeader(trendSheet.getRow(startRow));
+    trendSheet.getRow(startRow + 1).values = [
+      'Name',
+      ...periods.map((period) => sanitizeForExcel(period.label)),
+      'Change',
+      '% Change'
+    ];
+    styleTableHeader(trendSheet.getRow(startRow + 1));
+    trendSheet.getRow(startRow + 2).values = [
+      'Overall',
+      ...periods.map((period) => formatScore(period.overallScore)),
+    ];
+    trendSheet.getRow(startRow + 2).font = { bold: true };
+    series.forEach((item, index) => {
+      trendSheet.getRow(startRow + 3 + index).values = [
+        sanitizeForExcel(item.name),
+        ...item.scores.map((score) => formatScore(score.score)),
+        item.change === null ? '' : formatScore(item.change),
+        item.percentChange === null ? '' : `${item.percentChange.toFixed(2)}%`
+      ];
+    });
+    return startRow + 3 + series.length + 1;
+  };
+
+  const trendCursor = writeTrendTable(4, 'Event Trend', reportData.trends.events, reportData.trends.eventSeries);
+  if (reportData.trends.cycles.length > 0) {
+    writeTrendTable(trendCursor, 'Publish Cycle Trend', reportData.trends.cycles, reportData.trends.cycleSeries);
+  }
+
   const detailsSheet = workbook.addWorksheet('Response Details');
   detailsSheet.views = [{ state: 'frozen', ySplit: 1 }];
   detailsSheet.pageSetup = { paperSize: 9, orientation: 'landscape', fitToPage: true, fitToWidth: 1, fitToHeight: 0 };
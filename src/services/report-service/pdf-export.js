@@ -1,6 +1,16 @@
-async function exportToPdf(PDFDocument, logger, request, viewReport) {
+function formatTrendScore(value) {
+  return typeof value === 'number' ? value.toFixed(2) : 'N/A';
+}
+
+async function exportToPdf(PDFDocument, logger, request, viewReport, getTrends) {
   logger.info(`Exporting report to PDF for surveyId: ${request.surveyId}`);
   const reportData = await viewReport(request);
+  const trends = await getTrends({
+    surveyId: request.surveyId,
+    departmentId: request.departmentId,
+    userId: request.userId,
+    userRole: request.userRole
+  });
 
   return new Promise((resolve, reject) => {
     try {
@@ -53,6 +63,37 @@ async function exportToPdf(PDFDocument, logger, request, viewReport) {
         doc.moveDown();
       }
 
+      doc.fontSize(14).font('Helvetica-Bold').text('Score Trend');
+      doc.moveDown(0.5);
+      doc.fontSize(10).font('Helvetica');
+      if (trends.events.length > 1) {
+        trends.events.forEach((event) => {
+          doc.text(`${event.label}: ${formatTrendScore(event.overallScore)} (${event.responseCount} responses)`);
+        });
+        if (trends.percentChange !== null) {
+          doc.text(`Change vs previous event: ${trends.percentChange.toFixed(2)}%`);
+        }
+      } else {
+        doc.text('No previous events of the same event type to compare.');
+      }
+      if (trends.cycles.length > 1) {
+        doc.moveDown(0.5);
+        trends.cycles.forEach((cycle) => {
+          doc.text(`${cycle.label}: ${formatTrendScore(cycle.overallScore)} (${cycle.responseCount} responses)`);
+        });
+      }
+      const movers = trends.eventSeries.filter((item) => item.change !== null);
+      if (movers.length > 0) {
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').text(`Change by ${trends.dimension}`);
+        doc.font('Helvetica');
+        movers.forEach((item) => {
+          const sign = item.change > 0 ? '+' : '';
+          doc.text(`${item.name}: ${formatTrendScore(item.previousScore)} -> ${formatTrendScore(item.latestScore)} (${sign}${item.change.toFixed(2)})`);
+        });
+      }
+      doc.moveDown();
+
       doc.addPage();
       doc.fontSize(14).font('Helvetica-Bold').text('Response Details (Sample)');
       doc.moveDown(0.5);
@@ -0,0 +1,179 @@
+const { classifyNpsScore } = require('../survey-service/question-types');
+
+const AGGREGATED_QUESTION_TYPES = ['NPS', 'Ranking', 'Slider', 'Numeric', 'Email', 'Phone', 'FileUpload'];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function parseMatrixValues(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function summarizeNps(rows) {
+  const counts = { promoters: 0, passives: 0, detractors: 0 };
+  rows.forEach((row) => {
+    const category = classifyNpsScore(row.NumericValue);
+    if (category === 'Promoter') counts.promoters += 1;
+    if (category === 'Passive') counts.passives += 1;
+    if (category === 'Detractor') counts.detractors += 1;
+  });
+
+  const answerCount = counts.promoters + counts.passives + counts.detractors;
+  const percentage = (count) => (answerCount > 0 ? round((count / answerCount) * 100) : 0);
+
+  return {
+    answerCount,
+    ...counts,
+    promoterPercentage: percentage(counts.promoters),
+    passivePercentage: percentage(counts.passives),
+    detractorPercentage: percentage(counts.detractors),
+    npsScore: answerCount > 0 ? round(percentage(counts.promoters) - percentage(counts.detractors)) : null
+  };
+}
+
+function summarizeNumbers(rows) {
+  const values = rows
+    .map((row) => toNumber(row.NumericValue))
+    .filter((value) => value !== null)
+    .sort((a, b) => a - b);
+
+  if (values.length === 0) {
+    return { answerCount: 0, average: null, median: null, min: null, max: null };
+  }
+
+  const middle = Math.floor(values.length / 2);
+  const median = values.length % 2 === 0
+    ? (values[middle - 1] + values[middle]) / 2
+    : values[middle];
+
+  return {
+    answerCount: values.length,
+    average: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+    median: round(median),
+    min: values[0],
+    max: values[values.length - 1]
+  };
+}
+
+function summarizeRanking(rows) {
+  const items = new Map();
+  let answerCount = 0;
+
+  rows.forEach((row) => {
+    const ranking = parseMatrixValues(row.MatrixValues);
+    if (!ranking || typeof ranking !== 'object') return;
+    answerCount += 1;
+    Object.entries(ranking).forEach(([item, value]) => {
+      const rank = toNumber(value);
+      if (rank === null) return;
+      if (!items.has(item)) {
+        items.set(item, { item, rankSum: 0, rankCount: 0, firstPlaceCount: 0 });
+      }
+      const entry = items.get(item);
+      entry.rankSum += rank;
+      entry.rankCount += 1;
+      if (rank === 1) entry.firstPlaceCount += 1;
+    });
+  });
+
+  return {
+    answerCount,
+    items: Array.from(items.values())
+      .map((entry) => ({
+        item: entry.item,
+        averageRank: round(entry.rankSum / entry.rankCount),
+        firstPlaceCount: entry.firstPlaceCount
+      }))
+      .sort((a, b) => a.averageRank - b.averageRank || a.item.localeCompare(b.item))
+  };
+}
+
+function summarizeText(rows) {
+  const values = rows
+    .map((row) => String(row.TextValue || '').trim())
+    .filter(Boolean);
+  return {
+    answerCount: values.length,
+    uniqueCount: new Set(values.map((value) => value.toLowerCase())).size
+  };
+}
+
+function summarizeFiles(rows) {
+  const files = rows
+    .filter((row) => String(row.TextValue || '').trim() !== '')
+    .map((row) => ({
+      responseId: row.ResponseId,
+      respondentName: row.RespondentName || null,
+      fileUrl: row.TextValue
+    }));
+  return { answerCount: files.length, files };
+}
+
+function summarizeQuestion(type, rows) {
+  switch (type) {
+    case 'NPS':
+      return summarizeNps(rows);
+    case 'Slider':
+    case 'Numeric':
+      return summarizeNumbers(rows);
+    case 'Ranking':
+      return summarizeRanking(rows);
+    case 'Email':
+    case 'Phone':
+      return summarizeText(rows);
+    case 'FileUpload':
+      return summarizeFiles(rows);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Aggregate answers of the question types that are not averaged as ratings
+ * @param {Array<Object>} rows - Report detail rows ({ QuestionId, PromptText, QuestionType,
+ *   TextValue, NumericValue, MatrixValues, ResponseId, RespondentName })
+ * @returns {Array<Object>} One entry per question in first-seen order
+ */
+function buildQuestionAggregations(rows) {
+  const questions = new Map();
+  (rows || []).forEach((row) => {
+    if (!AGGREGATED_QUESTION_TYPES.includes(row.QuestionType)) return;
+    const key = String(row.QuestionId).toLowerCase();
+    if (!questions.has(key)) {
+      questions.set(key, {
+        questionId: row.QuestionId,
+        promptText: row.PromptText,
+        questionType: row.QuestionType,
+        rows: []
+      });
+    }
+    questions.get(key).rows.push(row);
+  });
+
+  return Array.from(questions.values()).map((question) => ({
+    questionId: question.questionId,
+    promptText: question.promptText,
+    questionType: question.questionType,
+    ...summarizeQuestion(question.questionType, question.rows)
+  }));
+}
+
+module.exports = {
+  AGGREGATED_QUESTION_TYPES,
+  buildQuestionAggregations,
+  summarizeNps,
+  summarizeRanking
+};
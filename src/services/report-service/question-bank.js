@@ -0,0 +1,250 @@
+const { SCORABLE_QUESTION_TYPES, scoreAnswer } = require('../scoring-service/formula');
+
+function roundScore(value) {
+  if (value === null || value === undefined) return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? Math.round(numeric * 100) / 100 : null;
+}
+
+function yearOf(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.getFullYear();
+}
+
+function createBucket() {
+  return { sum: 0, count: 0 };
+}
+
+function averageOf(bucket) {
+  return bucket.count > 0 ? roundScore(bucket.sum / bucket.count) : null;
+}
+
+/**
+ * Compare the scores of bank questions across the events and years they were
+ * asked in. Answers are normalised to the 0-10 scale of Events.CurrentScore so
+ * versions on different rating scales stay comparable.
+ * @param {Array<Object>} rows - { QuestionKey, Category, CurrentPromptText, Version, SurveyId,
+ *   Title, StartDate, Type, Options, NumericValue, MatrixValues }
+ * @returns {Object} { events, years, questions }
+ */
+function buildQuestionBankComparison(rows) {
+  const events = new Map();
+  const questions = new Map();
+
+  (rows || []).forEach((row) => {
+    const score = scoreAnswer({
+      type: row.Type,
+      options: row.Options,
+      numericValue: row.NumericValue,
+      matrixValues: row.MatrixValues
+    });
+    if (score === null) return;
+
+    const eventKey = String(row.SurveyId).toLowerCase();
+    const year = yearOf(row.StartDate);
+    if (!events.has(eventKey)) {
+      events.set(eventKey, {
+        surveyId: row.SurveyId,
+        title: row.Title,
+        startDate: row.StartDate || null,
+        year
+      });
+    }
+
+    if (!questions.has(row.QuestionKey)) {
+      questions.set(row.QuestionKey, {
+        questionKey: row.QuestionKey,
+        category: row.Category || null,
+        promptText: row.CurrentPromptText,
+        byEvent: new Map(),
+        byYear: new Map()
+      });
+    }
+    const question = questions.get(row.QuestionKey);
+
+    if (!question.byEvent.has(eventKey)) {
+      question.byEvent.set(eventKey, { ...createBucket(), versions: new Set() });
+    }
+    const eventBucket = question.byEvent.get(eventKey);
+    eventBucket.sum += score;
+    eventBucket.count += 1;
+    eventBucket.versions.add(Number(row.Version || 1));
+
+    if (year !== null) {
+      if (!question.byYear.has(year)) {
+        question.byYear.set(year, { ...createBucket(), events: new Set() });
+      }
+      const yearBucket = question.byYear.get(year);
+      yearBucket.sum += score;
+      yearBucket.count += 1;
+      yearBucket.events.add(eventKey);
+    }
+  });
+
+  const orderedEvents = [...events.values()]
+    .sort((a, b) => new Date(a.startDate || 0).getTime() - new Date(b.startDate || 0).getTime());
+  const years = [...new Set(orderedEvents.map((event) => event.year).filter((year) => year !== null))];
+
+  return {
+    events: orderedEvents,
+    years,
+    questions: [...questions.values()]
+      .map((question) => {
+        const eventScores = orderedEvents
+          .filter((event) => question.byEvent.has(String(event.surveyId).toLowerCase()))
+          .map((event) => {
+            const bucket = question.byEvent.get(String(event.surveyId).toLowerCase());
+            return {
+              surveyId: event.surveyId,
+              title: event.title,
+              year: event.year,
+              versions: [...bucket.versions].sort((a, b) => a - b),
+              averageScore: averageOf(bucket),
+              answerCount: bucket.count
+            };
+          });
+        const latest = eventScores[eventScores.length - 1] || null;
+        const previous = eventScores[eventScores.length - 2] || null;
+
+        return {
+          questionKey: question.questionKey,
+          category: question.category,
+          promptText: question.promptText,
+          events: eventScores,
+          years: years
+            .filter((year) => question.byYear.has(year))
+            .map((year) => {
+              const bucket = question.byYear.get(year);
+              return {
+                year,
+                averageScore: averageOf(bucket),
+                answerCount: bucket.count,
+                eventCount: bucket.events.size
+              };
+            }),
+          latestScore: latest ? latest.averageScore : null,
+          previousScore: previous ? previous.averageScore : null,
+          change: latest && previous ? roundScore(latest.averageScore - previous.averageScore) : null
+        };
+      })
+      .sort((a, b) => String(a.category || '').localeCompare(String(b.category || ''))
+        || a.questionKey.localeCompare(b.questionKey))
+  };
+}
+
+/**
+ * Load the scored answers of bank-linked questions and compare them across
+ * events. Only ApprovedFinal responses of the latest publish cycle count and
+ * taken-out answers are left out, as for the event score.
+ * @param {Object} deps - Data access dependencies
+ * @param {Object} request - { questionKey, category, eventTypeId, fromYear, toYear, departmentId }
+ * @returns {Promise<Object>} Comparison data
+ */
+async function getQuestionBankComparison(deps, request) {
+  const {
+    ConflictError,
+    ValidationError,
+    createRequest,
+    hasEventTypeColumn,
+    hasPublishCycleSupport,
+    hasQuestionBankSupport,
+    hasResponseApprovalStatusColumn,
+    sql
+  } = deps;
+
+  const questionKey = String(request.questionKey || '').trim().toUpperCase();
+  const category = String(request.category || '').trim();
+  if (!questionKey && !category) {
+    throw new ValidationError('questionKey or category is required');
+  }
+
+  const fromYear = request.fromYear ? Number.parseInt(request.fromYear, 10) : null;
+  const toYear = request.toYear ? Number.parseInt(request.toYear, 10) : null;
+  if ((request.fromYear && !Number.isFinite(fromYear)) || (request.toYear && !Number.isFinite(toYear))) {
+    throw new ValidationError('fromYear and toYear must be years');
+  }
+
+  if (!(await hasQuestionBankSupport())) {
+    throw new ConflictError('The question bank is not available. Run migration 044 first.');
+  }
+
+  const dbRequest = await createRequest();
+  const typeParams = SCORABLE_QUESTION_TYPES.map((type, index) => {
+    dbRequest.input(`type${index}`, sql.NVarChar(50), type);
+    return `@type${index}`;
+  });
+  const conditions = [
+    `q.Type IN (${typeParams.join(', ')})`,
+    "ISNULL(qr.TakeoutStatus, 'Active') <> 'TakenOut'"
+  ];
+
+  if (questionKey) {
+    dbRequest.input('questionKey', sql.NVarChar(100), questionKey);
+    conditions.push('qb.QuestionKey = @questionKey');
+  }
+  if (category) {
+    dbRequest.input('category', sql.NVarChar(100), category);
+    conditions.push('current_qb.Category = @category');
+  }
+  if (request.eventTypeId && await hasEventTypeColumn()) {
+    dbRequest.input('eventTypeId', sql.UniqueIdentifier, request.eventTypeId);
+    conditions.push('s.EventTypeId = @eventTypeId');
+  }
+  if (fromYear) {
+    dbRequest.input('fromYear', sql.Int, fromYear);
+    conditions.push('YEAR(s.StartDate) >= @fromYear');
+  }
+  if (toYear) {
+    dbRequest.input('toYear', sql.Int, toYear);
+    conditions.push('YEAR(s.StartDate) <= @toYear');
+  }
+  if (request.departmentId) {
+    dbRequest.input('departmentId', sql.UniqueIdentifier, request.departmentId);
+    conditions.push('r.DepartmentId = @departmentId');
+  }
+  if (await hasResponseApprovalStatusColumn()) {
+    conditions.push("r.ResponseApprovalStatus = 'ApprovedFinal'");
+  }
+  if (await hasPublishCycleSupport()) {
+    conditions.push(`(
+      NOT EXISTS (SELECT 1 FROM SurveyPublishCycles pcx WHERE pcx.SurveyId = r.SurveyId)
+      OR r.PublishCycleId = (
+        SELECT TOP 1 pc.PublishCycleId
+        FROM SurveyPublishCycles pc
+        WHERE pc.SurveyId = r.SurveyId
+        ORDER BY pc.IsCurrent DESC, pc.CycleNumber DESC, pc.PublishedAt DESC
+      )
+    )`);
+  }
+
+  // A question whose type no longer matches its bank version is not comparable
+  const result = await dbRequest.query(`
+    SELECT
+      qb.QuestionKey, current_qb.Category, current_qb.PromptText AS CurrentPromptText, qb.Version,
+      s.SurveyId, s.Title, s.StartDate,
+      q.Type, q.Options, qr.NumericValue, qr.MatrixValues
+    FROM QuestionResponses qr
+    INNER JOIN Responses r ON r.ResponseId = qr.ResponseId
+    INNER JOIN Questions q ON q.QuestionId = qr.QuestionId
+    INNER JOIN QuestionBank qb ON qb.BankQuestionId = q.BankQuestionId AND qb.Type = q.Type
+    INNER JOIN QuestionBank current_qb ON current_qb.QuestionKey = qb.QuestionKey AND current_qb.IsCurrent = 1
+    INNER JOIN Surveys s ON s.SurveyId = r.SurveyId
+    WHERE ${conditions.join(' AND ')}
+  `);
+
+  return {
+    questionKey: questionKey || null,
+    category: category || null,
+    eventTypeId: request.eventTypeId || null,
+    fromYear,
+    toYear,
+    departmentId: request.departmentId || null,
+    ...buildQuestionBankComparison(result.recordset || [])
+  };
+}
+
+module.exports = {
+  buildQuestionBankComparison,
+  getQuestionBankComparison
+};
@@ -1,3 +1,5 @@
+const { buildRatingAnswerCondition } = require('../survey-service/question-types');
+
 async function getTakeoutComparisonTable(createRequest, sql, surveyId, functionId = null) {
   const request = await createRequest();
   request.input('surveyId', sql.UniqueIdentifier, surveyId);
@@ -42,7 +44,9 @@ async function getDepartmentHeadReview(createRequest, sql, departmentId, surveyI
         AVG(CAST(qr.NumericValue AS FLOAT)) AS AverageScore
       FROM Responses r
       INNER JOIN Applications a ON r.ApplicationId = a.ApplicationId
-      LEFT JOIN QuestionResponses qr ON qr.ResponseId = r.ResponseId AND qr.NumericValue IS NOT NULL
+      LEFT JOIN QuestionResponses qr ON qr.ResponseId = r.ResponseId
+        AND qr.NumericValue IS NOT NULL
+        AND ${buildRatingAnswerCondition('qr')}
       WHERE r.DepartmentId = @departmentId
         AND r.SurveyId = @surveyId
       GROUP BY a.ApplicationId, a.Name
@@ -68,6 +72,7 @@ async function getScoresByFunction(createRequest, sql, departmentId, surveyId) {
       WHERE r.DepartmentId = @departmentId
         AND r.SurveyId = @surveyId
         AND qr.NumericValue IS NOT NULL
+        AND ${buildRatingAnswerCondition('qr')}
       GROUP BY f.FunctionId, f.Name
       ORDER BY f.Name
     `);
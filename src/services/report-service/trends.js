@@ -0,0 +1,354 @@
+const { buildRatingAnswerCondition } = require('../survey-service/question-types');
+
+const TREND_DIMENSIONS = {
+  function: {
+    select: 'f.FunctionId AS DimensionKey, f.Name AS DimensionName',
+    join: `
+      INNER JOIN FunctionApplicationMappings fam ON fam.ApplicationId = r.ApplicationId
+      INNER JOIN Functions f ON f.FunctionId = fam.FunctionId
+    `,
+    groupBy: 'f.FunctionId, f.Name'
+  },
+  application: {
+    select: 'a.ApplicationId AS DimensionKey, a.Name AS DimensionName',
+    join: 'INNER JOIN Applications a ON a.ApplicationId = r.ApplicationId',
+    groupBy: 'a.ApplicationId, a.Name'
+  },
+  department: {
+    select: 'dept.DepartmentId AS DimensionKey, dept.Name AS DimensionName',
+    join: 'INNER JOIN Departments dept ON dept.DepartmentId = r.DepartmentId',
+    groupBy: 'dept.DepartmentId, dept.Name'
+  }
+};
+
+const DEFAULT_TREND_LIMIT = 5;
+const MAX_TREND_LIMIT = 10;
+
+function roundScore(value) {
+  if (value === null || value === undefined) return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? Math.round(numeric * 100) / 100 : null;
+}
+
+function percentChange(previous, current) {
+  if (typeof previous !== 'number' || typeof current !== 'number' || previous === 0) {
+    return null;
+  }
+  return roundScore(((current - previous) / previous) * 100);
+}
+
+/**
+ * Pivot grouped score rows into one series per dimension value.
+ * @param {Array} periods - Ordered periods (oldest first) with a `key`
+ * @param {Array} rows - Rows with PeriodKey, DimensionKey, DimensionName, AverageScore
+ * @returns {Array} Series with one score per period and change vs the previous period
+ */
+function buildTrendSeries(periods, rows) {
+  const seriesMap = new Map();
+  (rows || []).forEach((row) => {
+    const key = String(row.DimensionKey || '').toLowerCase();
+    if (!key) return;
+    if (!seriesMap.has(key)) {
+      seriesMap.set(key, { key: row.DimensionKey, name: row.DimensionName, scoreByPeriod: new Map() });
+    }
+    seriesMap.get(key).scoreByPeriod.set(
+      String(row.PeriodKey || '').toLowerCase(),
+      roundScore(row.AverageScore)
+    );
+  });
+
+  return [...seriesMap.values()]
+    .map((series) => {
+      const scores = periods.map((period) => ({
+        key: period.key,
+        label: period.label,
+        score: series.scoreByPeriod.get(String(period.key || '').toLowerCase()) ?? null
+      }));
+      const available = scores.filter((item) => typeof item.score === 'number');
+      const latest = available[available.length - 1] || null;
+      const previous = available[available.length - 2] || null;
+      return {
+        key: series.key,
+        name: series.name,
+        scores,
+        latestScore: latest ? latest.score : null,
+        previousScore: previous ? previous.score : null,
+        change: latest && previous ? roundScore(latest.score - previous.score) : null,
+        percentChange: latest && previous ? percentChange(previous.score, latest.score) : null
+      };
+    })
+    .sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+}
+
+function buildScoreFilter(options) {
+  const conditions = [
+    'qr.NumericValue IS NOT NULL',
+    buildRatingAnswerCondition('qr'),
+    "ISNULL(qr.TakeoutStatus, 'Active') <> 'TakenOut'"
+  ];
+  if (options.hasApprovalStatus) {
+    conditions.push("r.ResponseApprovalStatus = 'ApprovedFinal'");
+  }
+  if (options.departmentId) {
+    conditions.push('r.DepartmentId = @departmentId');
+  }
+  return conditions.join(' AND ');
+}
+
+async function loadEventPeriods(deps, survey, limit, hasEventType) {
+  const { createRequest, sql } = deps;
+  const request = await createRequest();
+  request.input('surveyId', sql.UniqueIdentifier, survey.SurveyId);
+  request.input('limit', sql.Int, limit);
+
+  let relatedFilter = '';
+  if (hasEventType && survey.EventTypeId && survey.StartDate) {
+    request.input('eventTypeId', sql.UniqueIdentifier, survey.EventTypeId);
+    request.input('currentStartDate', sql.DateTime2, survey.StartDate);
+    relatedFilter = `
+      OR (
+        s.EventTypeId = @eventTypeId
+        AND s.Status IN ('Active', 'Closed', 'Archived')
+        AND s.StartDate < @currentStartDate
+      )
+    `;
+  }
+
+  const result = await request.query(`
+    SELECT TOP (@limit) s.SurveyId, s.Title, s.StartDate, s.EndDate, s.TargetScore
+    FROM Surveys s
+    WHERE s.SurveyId = @surveyId
+    ${relatedFilter}
+    ORDER BY CASE WHEN s.SurveyId = @surveyId THEN 0 ELSE 1 END, s.StartDate DESC
+  `);
+
+  return (result.recordset || [])
+    .slice()
+    .sort((a, b) => new Date(a.StartDate || 0).getTime() - new Date(b.StartDate || 0).getTime())
+    .map((row) => ({
+      key: row.SurveyId,
+      surveyId: row.SurveyId,
+      label: row.StartDate ? `${row.Title} (${new Date(row.StartDate).getFullYear()})` : row.Title,
+      title: row.Title,
+      year: row.StartDate ? new Date(row.StartDate).getFullYear() : null,
+      startDate: row.StartDate,
+      endDate: row.EndDate,
+      targetScore: roundScore(row.TargetScore),
+      isCurrent: String(row.SurveyId).toLowerCase() === String(survey.SurveyId).toLowerCase()
+    }));
+}
+
+async function queryEventScores(deps, periods, options, dimension) {
+  const { createRequest, sql } = deps;
+  const request = await createRequest();
+  const surveyParams = periods.map((period, index) => {
+    request.input(`trendSurvey${index}`, sql.UniqueIdentifier, period.surveyId);
+    return `@trendSurvey${index}`;
+  });
+  if (options.departmentId) {
+    request.input('departmentId', sql.UniqueIdentifier, options.departmentId);
+  }
+
+  const cycleFilter = options.hasPublishCycles
+    ? `AND (
+        NOT EXISTS (SELECT 1 FROM SurveyPublishCycles pcx WHERE pcx.SurveyId = r.SurveyId)
+        OR r.PublishCycleId = (
+          SELECT TOP 1 pc.PublishCycleId
+          FROM SurveyPublishCycles pc
+          WHERE pc.SurveyId = r.SurveyId
+          ORDER BY pc.IsCurrent DESC, pc.CycleNumber DESC, pc.PublishedAt DESC
+        )
+      )`
+    : '';
+  const dimensionConfig = dimension ? TREND_DIMENSIONS[dimension] : null;
+
+  const result = await request.query(`
+    SELECT
+      r.SurveyId AS PeriodKey,
+      ${dimensionConfig ? `${dimensionConfig.select},` : ''}
+      AVG(CAST(qr.NumericValue AS FLOAT)) AS AverageScore,
+      COUNT(DISTINCT r.ResponseId) AS ResponseCount
+    FROM Responses r
+    INNER JOIN QuestionResponses qr ON qr.ResponseId = r.ResponseId
+    ${dimensionConfig ? dimensionConfig.join : ''}
+    WHERE r.SurveyId IN (${surveyParams.join(', ')})
+      AND ${buildScoreFilter(options)}
+      ${cycleFilter}
+    GROUP BY r.SurveyId${dimensionConfig ? `, ${dimensionConfig.groupBy}` : ''}
+  `);
+  return result.recordset || [];
+}
+
+async function queryCycleScores(deps, surveyId, options, dimension) {
+  const { createRequest, sql } = deps;
+  const request = await createRequest();
+  request.input('surveyId', sql.UniqueIdentifier, surveyId);
+  if (options.departmentId) {
+    request.input('departmentId', sql.UniqueIdentifier, options.departmentId);
+  }
+  const dimensionConfig = dimension ? TREND_DIMENSIONS[dimension] : null;
+
+  const result = await request.query(`
+    SELECT
+      r.PublishCycleId AS PeriodKey,
+      ${dimensionConfig ? `${dimensionConfig.select},` : ''}
+      AVG(CAST(qr.NumericValue AS FLOAT)) AS AverageScore,
+      COUNT(DISTINCT r.ResponseId) AS ResponseCount
+    FROM Responses r
+    INNER JOIN QuestionResponses qr ON qr.ResponseId = r.ResponseId
+    ${dimensionConfig ? dimensionConfig.join : ''}
+    WHERE r.SurveyId = @surveyId
+      AND r.PublishCycleId IS NOT NULL
+      AND ${buildScoreFilter(options)}
+    GROUP BY r.PublishCycleId${dimensionConfig ? `, ${dimensionConfig.groupBy}` : ''}
+  `);
+  return result.recordset || [];
+}
+
+async function loadCyclePeriods(deps, surveyId, limit) {
+  const { createRequest, sql } = deps;
+  const result = await (await createRequest())
+    .input('surveyId', sql.UniqueIdentifier, surveyId)
+    .input('limit', sql.Int, limit)
+    .query(`
+      SELECT TOP (@limit) PublishCycleId, CycleNumber, PublishedAt, IsCurrent, GeneratedAt
+      FROM SurveyPublishCycles
+      WHERE SurveyId = @surveyId
+      ORDER BY CycleNumber DESC
+    `);
+
+  return (result.recordset || [])
+    .slice()
+    .sort((a, b) => Number(a.CycleNumber || 0) - Number(b.CycleNumber || 0))
+    .map((row) => ({
+      key: row.PublishCycleId,
+      publishCycleId: row.PublishCycleId,
+      label: `Cycle ${row.CycleNumber}`,
+      cycleNumber: row.CycleNumber,
+      publishedAt: row.PublishedAt,
+      generatedAt: row.GeneratedAt,
+      isCurrent: Boolean(row.IsCurrent)
+    }));
+}
+
+function attachOverallScores(periods, overallRows) {
+  const overallByPeriod = new Map(
+    (overallRows || []).map((row) => [String(row.PeriodKey || '').toLowerCase(), row])
+  );
+  return periods.map((period) => {
+    const row = overallByPeriod.get(String(period.key || '').toLowerCase());
+    return {
+      ...period,
+      overallScore: row ? roundScore(row.AverageScore) : null,
+      responseCount: row ? Number(row.ResponseCount || 0) : 0
+    };
+  });
+}
+
+/**
+ * Build score trends across previous events of the same EventType and across
+ * the publish cycles of the selected event.
+ * @param {Object} deps - Data access dependencies
+ * @param {Object} request - { surveyId, dimension, limit, departmentId }
+ * @returns {Promise<Object>} Trend data
+ */
+async function getTrendData(deps, request) {
+  const {
+    NotFoundError,
+    ValidationError,
+    createRequest,
+    hasEventTypeColumn,
+    hasPublishCycleSupport,
+    hasResponseApprovalStatusColumn,
+    sql
+  } = deps;
+
+  if (!request.surveyId) {
+    throw new ValidationError('Survey ID is required');
+  }
+
+  const dimension = String(request.dimension || 'function').toLowerCase();
+  if (!TREND_DIMENSIONS[dimension]) {
+    throw new ValidationError(`Trend dimension must be one of: ${Object.keys(TREND_DIMENSIONS).join(', ')}`);
+  }
+
+  const parsedLimit = Number.parseInt(request.limit, 10);
+  const limit = Number.isFinite(parsedLimit)
+    ? Math.min(MAX_TREND_LIMIT, Math.max(2, parsedLimit))
+    : DEFAULT_TREND_LIMIT;
+
+  const hasEventType = await hasEventTypeColumn();
+  const surveyResult = await (await createRequest())
+    .input('surveyId', sql.UniqueIdentifier, request.surveyId)
+    .query(hasEventType
+      ? `
+        SELECT s.SurveyId, s.Title, s.StartDate, s.EndDate, s.TargetScore,
+               s.EventTypeId, et.Code AS EventTypeCode, et.Name AS EventTypeName
+        FROM Surveys s
+        LEFT JOIN EventTypes et ON et.EventTypeId = s.EventTypeId
+        WHERE s.SurveyId = @surveyId
+      `
+      : `
+        SELECT s.SurveyId, s.Title, s.StartDate, s.EndDate, s.TargetScore
+        FROM Surveys s
+        WHERE s.SurveyId = @surveyId
+      `);
+
+  if (surveyResult.recordset.length === 0) {
+    throw new NotFoundError(`Survey with ID ${request.surveyId} not found`);
+  }
+
+  const survey = surveyResult.recordset[0];
+  const options = {
+    departmentId: request.departmentId || null,
+    hasApprovalStatus: await hasResponseApprovalStatusColumn(),
+    hasPublishCycles: await hasPublishCycleSupport()
+  };
+
+  const eventPeriods = await loadEventPeriods(deps, survey, limit, hasEventType);
+  const eventOverall = await queryEventScores(deps, eventPeriods, options, null);
+  const eventRows = await queryEventScores(deps, eventPeriods, options, dimension);
+  const events = attachOverallScores(eventPeriods, eventOverall);
+
+  let cycles = [];
+  let cycleSeries = [];
+  if (options.hasPublishCycles) {
+    const cyclePeriods = await loadCyclePeriods(deps, survey.SurveyId, limit);
+    if (cyclePeriods.length > 0) {
+      const cycleOverall = await queryCycleScores(deps, survey.SurveyId, options, null);
+      const cycleRows = await queryCycleScores(deps, survey.SurveyId, options, dimension);
+      cycles = attachOverallScores(cyclePeriods, cycleOverall);
+      cycleSeries = buildTrendSeries(cyclePeriods, cycleRows);
+    }
+  }
+
+  const scoredEvents = events.filter((event) => typeof event.overallScore === 'number');
+  const latestEvent = scoredEvents[scoredEvents.length - 1] || null;
+  const previousEvent = scoredEvents[scoredEvents.length - 2] || null;
+
+  return {
+    survey: {
+      surveyId: survey.SurveyId,
+      title: survey.Title,
+      eventTypeId: survey.EventTypeId || null,
+      eventTypeCode: survey.EventTypeCode || null,
+      eventTypeName: survey.EventTypeName || null,
+      targetScore: roundScore(survey.TargetScore)
+    },
+    dimension,
+    departmentId: options.departmentId,
+    events,
+    eventSeries: buildTrendSeries(eventPeriods, eventRows),
+    cycles,
+    cycleSeries,
+    percentChange: latestEvent && previousEvent
+      ? percentChange(previousEvent.overallScore, latestEvent.overallScore)
+      : null
+  };
+}
+
+module.exports = {
+  TREND_DIMENSIONS,
+  buildTrendSeries,
+  getTrendData
+};
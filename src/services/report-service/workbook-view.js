@@ -41,16 +41,14 @@ function buildWorkbookView(reportData) {
     ? reportData.statistics.averageRating
     : avg(numericRows.map((row) => row.score));
 
-  const years = [2023, 2024, 2025];
-  const yearlyScores = years.map((year) => {
-    const values = numericRows
-      .filter((row) => {
-        const date = new Date(row.SubmittedAt || '');
-        return !Number.isNaN(date.getTime()) && date.getFullYear() === year;
-      })
-      .map((row) => row.score);
-    return { year, score: avg(values) };
-  });
+  const trends = reportData.trends || null;
+  const trendScores = (trends?.events || []).map((event) => ({
+    label: event.label,
+    surveyId: event.surveyId,
+    year: event.year,
+    score: toNumber(event.overallScore),
+    isCurrent: Boolean(event.isCurrent),
+  }));
 
   const functionScoreMap = new Map();
   numericRows.forEach((row) => {
@@ -105,16 +103,14 @@ function buildWorkbookView(reportData) {
 
   const topApp = [...appScores].sort((a, b) => (b.score || 0) - (a.score || 0))[0] || null;
   const topBu = [...respondentByBu].sort((a, b) => (b.score || 0) - (a.score || 0))[0] || null;
-  const yearly2023 = yearlyScores.find((item) => item.year === 2023)?.score;
-  const yearly2025 = yearlyScores.find((item) => item.year === 2025)?.score;
-  const percentChange = yearly2023 && yearly2025
-    ? `${(((yearly2025 - yearly2023) / yearly2023) * 100).toFixed(2)}%`
+  const percentChange = typeof trends?.percentChange === 'number'
+    ? `${trends.percentChange.toFixed(2)}%`
     : '';
 
   return {
     respondentByBu,
     targetScore,
-    yearlyScores,
+    trendScores,
     functionScores,
     criteriaScores,
     appScores,
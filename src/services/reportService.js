@@ -6,6 +6,9 @@ const logger = require('../config/logger');
 const ExcelJS = require('exceljs');
 const PDFDocument = require('pdfkit');
 const publishCycleService = require('./publishCycleService');
+const questionBankService = require('./questionBankService');
+const emailVerificationService = require('./emailVerificationService');
+const { ConflictError } = require('./survey-service/errors');
 const {
   NotFoundError,
   UnauthorizedError,
@@ -31,6 +34,11 @@ const {
   getTakeoutComparisonTable
 } = require('./report-service/review');
 const { exportToPdf: exportReportToPdf } = require('./report-service/pdf-export');
+const { getTrendData } = require('./report-service/trends');
+const { getQuestionBankComparison } = require('./report-service/question-bank');
+const { buildQuestionAggregations } = require('./report-service/question-aggregations');
+const { buildQuestionVersionJoin, versionedQuestionColumn } = require('./survey-service/definition-versions');
+const { buildRatingAnswerCondition } = require('./survey-service/question-types');
 
 /**
  * Report Service
@@ -40,6 +48,7 @@ class ReportService {
   constructor() {
     this.pool = pool;
     this.responsesHasApprovalStatus = null;
+    this.eventsHasEventType = null;
   }
 
   async createRequest() {
@@ -66,6 +75,25 @@ class ReportService {
     return this.responsesHasApprovalStatus;
   }
 
+  async hasEventTypeColumn() {
+    if (typeof this.eventsHasEventType === 'boolean') {
+      return this.eventsHasEventType;
+    }
+
+    const result = await (await this.createRequest())
+      .input('tableName', sql.NVarChar(128), 'Events')
+      .input('columnName', sql.NVarChar(128), 'EventTypeId')
+      .query(`
+        SELECT COUNT(1) AS Cnt
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_NAME = @tableName
+          AND COLUMN_NAME = @columnName
+      `);
+
+    this.eventsHasEventType = Number(result.recordset?.[0]?.Cnt || 0) > 0;
+    return this.eventsHasEventType;
+  }
+
   /**
    * Generate report with filtering
    * @param {Object} request - Report request parameters
@@ -76,6 +104,7 @@ class ReportService {
    * @param {string} request.functionId - Optional Function filter
    * @param {string} request.applicationId - Optional Application filter
    * @param {boolean} request.includeTakenOut - Include taken out responses
+   * @param {boolean} request.verifiedOnly - Only count responses with a verified email
    * @param {string} request.userId - User ID for authorization
    * @param {string} request.userRole - User role for authorization
    * @returns {Promise<Object>} Report data
@@ -171,6 +200,10 @@ class ReportService {
         filterConditions.push(`r.ResponseApprovalStatus = 'ApprovedFinal'`);
       }
 
+      if (request.verifiedOnly && await emailVerificationService.hasSupport()) {
+        filterConditions.push('r.EmailVerified = 1');
+      }
+
       // Apply function filter through application mapping
       if (request.functionId) {
         filterConditions.push(`
@@ -189,6 +222,7 @@ class ReportService {
       }
 
       const whereClause = filterConditions.join(' AND ');
+      const hasVersions = await publishCycleService.hasDefinitionVersionSupport(this.pool);
 
       // Get aggregate statistics
       const statsQuery = `
@@ -205,6 +239,7 @@ class ReportService {
         INNER JOIN QuestionResponses qr ON r.ResponseId = qr.ResponseId
         WHERE ${whereClause}
         AND qr.NumericValue IS NOT NULL
+        AND ${buildRatingAnswerCondition('qr')}
       `;
 
       const statsResult = await sqlRequest.query(statsQuery);
@@ -223,8 +258,8 @@ class ReportService {
           f.Name as FunctionName,
           a.Name as ApplicationName,
           q.QuestionId,
-          q.PromptText,
-          q.Type as QuestionType,
+          ${versionedQuestionColumn(hasVersions, 'PromptText')} as PromptText,
+          ${versionedQuestionColumn(hasVersions, 'Type')} as QuestionType,
           qr.TextValue,
           qr.NumericValue,
           qr.DateValue,
@@ -236,6 +271,7 @@ class ReportService {
         FROM Responses r
         INNER JOIN QuestionResponses qr ON r.ResponseId = qr.ResponseId
         INNER JOIN Questions q ON qr.QuestionId = q.QuestionId
+        ${buildQuestionVersionJoin(hasVersions)}
         INNER JOIN BusinessUnits bu ON r.BusinessUnitId = bu.BusinessUnitId
         INNER JOIN Divisions d ON r.DivisionId = d.DivisionId
         INNER JOIN Departments dept ON r.DepartmentId = dept.DepartmentId
@@ -247,7 +283,7 @@ class ReportService {
         ) fam_single ON fam_single.ApplicationId = a.ApplicationId
         LEFT JOIN Functions f ON f.FunctionId = fam_single.FunctionId
         WHERE ${whereClause}
-        ORDER BY r.SubmittedAt DESC, q.DisplayOrder
+        ORDER BY r.SubmittedAt DESC, ${versionedQuestionColumn(hasVersions, 'DisplayOrder')}
       `;
 
       const detailsResult = await sqlRequest.query(detailsQuery);
@@ -261,6 +297,7 @@ class ReportService {
         INNER JOIN QuestionResponses qr ON r.ResponseId = qr.ResponseId
         WHERE ${whereClause}
         AND qr.NumericValue IS NOT NULL
+        AND ${buildRatingAnswerCondition('qr')}
         GROUP BY qr.NumericValue
         ORDER BY qr.NumericValue
       `;
@@ -293,7 +330,8 @@ class ReportService {
           proposedCount: statistics.ProposedCount || 0
         },
         responses: detailsResult.recordset,
-        ratingDistribution: distributionResult.recordset
+        ratingDistribution: distributionResult.recordset,
+        questionAggregations: buildQuestionAggregations(detailsResult.recordset)
       };
 
     } catch (error) {
@@ -587,10 +625,11 @@ class ReportService {
       const approvedTakeouts = await this.getApprovedTakeouts(departmentId, surveyId);
 
       // Get best comments with feedback
+      const hasVersions = await publishCycleService.hasDefinitionVersionSupport(this.pool);
       const bestCommentsQuery = `
         SELECT 
           qr.QuestionResponseId,
-          q.PromptText as QuestionText,
+          ${versionedQuestionColumn(hasVersions, 'PromptText')} as QuestionText,
           qr.CommentValue,
           r.RespondentName,
           r.RespondentEmail,
@@ -603,6 +642,7 @@ class ReportService {
         FROM QuestionResponses qr
         INNER JOIN Responses r ON qr.ResponseId = r.ResponseId
         INNER JOIN Questions q ON qr.QuestionId = q.QuestionId
+        ${buildQuestionVersionJoin(hasVersions)}
         INNER JOIN Surveys s ON q.SurveyId = s.SurveyId
         INNER JOIN Applications a ON r.ApplicationId = a.ApplicationId
         LEFT JOIN FunctionApplicationMappings fam ON a.ApplicationId = fam.ApplicationId
@@ -676,6 +716,7 @@ class ReportService {
         AND s.SurveyId = @surveyId
         ${await this.hasResponseApprovalStatusColumn() ? "AND r.ResponseApprovalStatus = 'ApprovedFinal'" : ''}
         AND qr.NumericValue IS NOT NULL
+        AND ${buildRatingAnswerCondition('qr')}
         AND qr.TakeoutStatus != 'TakenOut'
         GROUP BY f.FunctionId, f.Name, s.TargetScore
         ORDER BY f.Name
@@ -711,10 +752,11 @@ class ReportService {
     try {
       logger.info(`Getting approved takeouts for departmentId: ${departmentId}, surveyId: ${surveyId}`);
 
+      const hasVersions = await publishCycleService.hasDefinitionVersionSupport(this.pool);
       const query = `
         SELECT 
           qr.QuestionResponseId,
-          q.PromptText as QuestionText,
+          ${versionedQuestionColumn(hasVersions, 'PromptText')} as QuestionText,
           qr.NumericValue as Score,
           qr.CommentValue,
           qr.TakeoutReason,
@@ -726,6 +768,7 @@ class ReportService {
         FROM QuestionResponses qr
         INNER JOIN Responses r ON qr.ResponseId = r.ResponseId
         INNER JOIN Questions q ON qr.QuestionId = q.QuestionId
+        ${buildQuestionVersionJoin(hasVersions)}
         INNER JOIN Applications a ON r.ApplicationId = a.ApplicationId
         LEFT JOIN FunctionApplicationMappings fam ON a.ApplicationId = fam.ApplicationId
         LEFT JOIN Functions f ON fam.FunctionId = f.FunctionId
@@ -817,6 +860,92 @@ class ReportService {
     }
   }
 
+  /**
+   * Get score trends across previous events of the same event type and
+   * across the publish cycles of the selected event
+   * @param {Object} request - Trend request parameters
+   * @param {string} request.surveyId - Survey ID
+   * @param {string} request.dimension - function | application | department
+   * @param {number} request.limit - Maximum number of events/cycles to compare
+   * @param {string} request.departmentId - Optional Department filter
+   * @param {string} request.userId - User ID for authorization
+   * @param {string} request.userRole - User role for authorization
+   * @returns {Promise<Object>} Trend data
+   */
+  async getTrends(request) {
+    try {
+      logger.info(`Getting report trends for surveyId: ${request.surveyId}`);
+
+      let departmentId = request.departmentId || null;
+      if (request.userRole === 'DepartmentHead') {
+        departmentId = await this.getUserDepartmentId(request.userId);
+        if (!departmentId) {
+          throw new UnauthorizedError('Department Head must be assigned to a department');
+        }
+      }
+
+      return await getTrendData(
+        {
+          NotFoundError,
+          ValidationError,
+          createRequest: this.createRequest.bind(this),
+          hasEventTypeColumn: this.hasEventTypeColumn.bind(this),
+          hasPublishCycleSupport: () => publishCycleService.hasSupport(this.pool),
+          hasResponseApprovalStatusColumn: this.hasResponseApprovalStatusColumn.bind(this),
+          sql
+        },
+        { ...request, departmentId }
+      );
+    } catch (error) {
+      logger.error(`Error getting report trends: ${error.message}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Compare scores of question bank questions across events and years
+   * @param {Object} request - Comparison request parameters
+   * @param {string} request.questionKey - Bank question key
+   * @param {string} request.category - Bank category (all of its questions)
+   * @param {string} request.eventTypeId - Optional EventType filter
+   * @param {number} request.fromYear - Optional first event year
+   * @param {number} request.toYear - Optional last event year
+   * @param {string} request.departmentId - Optional Department filter
+   * @param {string} request.userId - User ID for authorization
+   * @param {string} request.userRole - User role for authorization
+   * @returns {Promise<Object>} Comparison data
+   */
+  async getQuestionBankComparison(request) {
+    try {
+      logger.info(`Getting question bank comparison for ${request.questionKey || request.category}`);
+
+      let departmentId = request.departmentId || null;
+      if (request.userRole === 'DepartmentHead') {
+        departmentId = await this.getUserDepartmentId(request.userId);
+        if (!departmentId) {
+          throw new UnauthorizedError('Department Head must be assigned to a department');
+        }
+      }
+
+      return await getQuestionBankComparison(
+        {
+          ConflictError,
+          ValidationError,
+          createRequest: this.createRequest.bind(this),
+          hasEventTypeColumn: this.hasEventTypeColumn.bind(this),
+          hasPublishCycleSupport: () => publishCycleService.hasSupport(this.pool),
+          hasQuestionBankSupport: async () => questionBankService.hasQuestionBankSupport(await this.pool.getPool()),
+          hasResponseApprovalStatusColumn: this.hasResponseApprovalStatusColumn.bind(this),
+          sql
+        },
+        { ...request, departmentId }
+      );
+    } catch (error) {
+      logger.error(`Error getting question bank comparison: ${error.message}`, { error });
+      throw error;
+    }
+  }
+
   buildWorkbookView(reportData) {
     return buildWorkbookView(reportData);
   }
@@ -834,6 +963,7 @@ class ReportService {
           buildWorkbookView: this.buildWorkbookView.bind(this),
           formatDateLabel,
           formatScore,
+          getTrends: this.getTrends.bind(this),
           logger,
           sanitizeForExcel,
           styleKeyValueCell,
@@ -863,7 +993,13 @@ class ReportService {
    */
   async exportToPdf(request) {
     try {
-      return await exportReportToPdf(PDFDocument, logger, request, this.viewReport.bind(this));
+      return await exportReportToPdf(
+        PDFDocument,
+        logger,
+        request,
+        this.viewReport.bind(this),
+        this.getTrends.bind(this)
+      );
     } catch (error) {
       logger.error(`Error exporting to PDF: ${error.message}`, { error });
       throw error;
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+/**
+ * Files respondents may attach to a FileUpload question, keyed by the type
+ * names stored in `options.allowedFileTypes`.
+ */
+const ATTACHMENT_FILE_TYPES = {
+  pdf: { extension: '.pdf', mimeTypes: ['application/pdf'] },
+  jpg: { extension: '.jpg', mimeTypes: ['image/jpeg', 'image/jpg'] },
+  png: { extension: '.png', mimeTypes: ['image/png'] },
+  docx: { extension: '.docx', mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+  xlsx: { extension: '.xlsx', mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'] },
+  pptx: { extension: '.pptx', mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'] },
+  txt: { extension: '.txt', mimeTypes: ['text/plain'] }
+};
+
+const ATTACHMENT_MIME_TYPES = Object.values(ATTACHMENT_FILE_TYPES)
+  .reduce((mimeTypes, fileType) => mimeTypes.concat(fileType.mimeTypes), []);
+
+const ATTACHMENT_SUBDIRECTORY = 'responses';
+const DEFAULT_ATTACHMENT_SIZE_MB = 5;
+
+// Name generateAttachmentFilename gives a file: upload timestamp, random hex, extension
+const ATTACHMENT_FILENAME_PATTERN = `(\\d+)-[a-f0-9]{16}\\.(${Object.values(ATTACHMENT_FILE_TYPES)
+  .map((fileType) => fileType.extension.slice(1))
+  .join('|')})`;
+
+function findFileType(mimeType) {
+  return Object.keys(ATTACHMENT_FILE_TYPES)
+    .find((key) => ATTACHMENT_FILE_TYPES[key].mimeTypes.includes(mimeType)) || null;
+}
+
+/**
+ * Check an uploaded file against the FileUpload question settings
+ * @param {Function} ValidationError - Error class to throw
+ * @param {Object} file - Multer file ({ buffer, mimetype, size })
+ * @param {Object} options - Question options ({ allowedFileTypes, maxSizeMB })
+ * @param {number} uploadLimitMB - Server wide upload limit
+ * @returns {string} Matched file type key
+ */
+function validateAttachmentFile(ValidationError, file, options, uploadLimitMB) {
+  if (!file || !file.buffer) {
+    throw new ValidationError('No file provided');
+  }
+
+  const allowedFileTypes = Array.isArray(options?.allowedFileTypes) && options.allowedFileTypes.length > 0
+    ? options.allowedFileTypes.filter((type) => ATTACHMENT_FILE_TYPES[type])
+    : Object.keys(ATTACHMENT_FILE_TYPES);
+  const fileType = findFileType(file.mimetype);
+  if (!fileType || !allowedFileTypes.includes(fileType)) {
+    throw new ValidationError(`Invalid file type. Allowed types: ${allowedFileTypes.join(', ')}`);
+  }
+
+  const requestedMB = Number(options?.maxSizeMB);
+  const maxSizeMB = Math.min(
+    Number.isFinite(requestedMB) && requestedMB > 0 ? requestedMB : DEFAULT_ATTACHMENT_SIZE_MB,
+    uploadLimitMB || DEFAULT_ATTACHMENT_SIZE_MB
+  );
+  if (file.size > maxSizeMB * 1024 * 1024) {
+    throw new ValidationError(`File size exceeds maximum allowed size of ${maxSizeMB}MB`);
+  }
+
+  return fileType;
+}
+
+function generateAttachmentFilename(fileType) {
+  return `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ATTACHMENT_FILE_TYPES[fileType].extension}`;
+}
+
+/**
+ * Whether a FileUpload answer points at a file stored by the attachment upload
+ * @param {string} url - Stored file URL
+ * @returns {boolean}
+ */
+function isResponseAttachmentUrl(url) {
+  const pattern = new RegExp(`(^|/)uploads/${ATTACHMENT_SUBDIRECTORY}/${ATTACHMENT_FILENAME_PATTERN}$`);
+  return pattern.test(String(url || ''));
+}
+
+/**
+ * Upload time of a stored attachment, read from its generated filename
+ * @param {string} filename - Filename in the attachment directory
+ * @returns {Date|null} Upload time, null for files the upload did not generate
+ */
+function getAttachmentUploadedAt(filename) {
+  const match = new RegExp(`^${ATTACHMENT_FILENAME_PATTERN}$`).exec(String(filename || ''));
+  return match ? new Date(Number(match[1])) : null;
+}
+
+module.exports = {
+  ATTACHMENT_FILE_TYPES,
+  ATTACHMENT_MIME_TYPES,
+  ATTACHMENT_SUBDIRECTORY,
+  generateAttachmentFilename,
+  getAttachmentUploadedAt,
+  isResponseAttachmentUrl,
+  validateAttachmentFile
+};
@@ -0,0 +1,311 @@
+const {
+  checkResponseHasValue,
+  extractNumericResponseValue,
+  normalizeQuestionRef
+} = require('./validation');
+
+/**
+ * Display logic rules are stored on each question as `options.displayLogic`
+ * (question level) and `options.pageDisplayLogic` (copied by the builder to
+ * every question on a page). Both share the same shape:
+ *
+ * {
+ *   action: 'show' | 'hide',
+ *   match: 'all' | 'any',
+ *   conditions: [
+ *     { source: 'question', sourceQuestionId, operator, value, values, min, max },
+ *     { source: 'application', operator: 'in' | 'not_in', values: [applicationId] }
+ *   ]
+ * }
+ */
+const DisplayLogicOperators = [
+  'answered',
+  'not_answered',
+  'equals',
+  'not_equals',
+  'contains',
+  'in',
+  'not_in',
+  'between',
+  'gte',
+  'lte'
+];
+
+function parseQuestionOptions(question) {
+  if (!question || !question.options) return {};
+  if (typeof question.options === 'string') {
+    try {
+      return JSON.parse(question.options) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+  return question.options;
+}
+
+function hasDisplayLogic(rule) {
+  return Boolean(rule && Array.isArray(rule.conditions) && rule.conditions.length > 0);
+}
+
+function splitSelectedValues(value) {
+  if (!value) return [];
+  const raw = value.textValue !== undefined && value.textValue !== null
+    ? String(value.textValue)
+    : '';
+  return raw
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function normalizeCompareValues(condition) {
+  const values = Array.isArray(condition.values)
+    ? condition.values
+    : (condition.value !== undefined && condition.value !== null ? [condition.value] : []);
+  return values.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+function evaluateApplicationCondition(condition, selectedApplicationIds) {
+  const expected = normalizeCompareValues(condition);
+  const selected = (selectedApplicationIds || []).map(id => String(id).trim().toLowerCase());
+  const matched = selected.some(id => expected.includes(id));
+  return condition.operator === 'not_in' ? !matched : matched;
+}
+
+function evaluateQuestionCondition(condition, sourceQuestion, sourceResponse) {
+  const value = sourceResponse ? sourceResponse.value : null;
+  const answered = sourceQuestion
+    ? Boolean(checkResponseHasValue(sourceQuestion.type, value))
+    : false;
+
+  switch (condition.operator) {
+    case 'answered':
+      return answered;
+    case 'not_answered':
+      return !answered;
+    case 'between':
+    case 'gte':
+    case 'lte': {
+      if (!answered) return false;
+      const numeric = extractNumericResponseValue(value, sourceQuestion ? sourceQuestion.type : undefined);
+      if (numeric === null) return false;
+      const min = Number(condition.operator === 'lte' ? -Infinity : (condition.min ?? condition.value));
+      const max = Number(condition.operator === 'gte' ? Infinity : (condition.max ?? condition.value));
+      return (!Number.isFinite(min) || numeric >= min) && (!Number.isFinite(max) || numeric <= max);
+    }
+    case 'equals':
+    case 'not_equals':
+    case 'contains':
+    case 'in':
+    case 'not_in': {
+      const expected = normalizeCompareValues(condition);
+      const numeric = extractNumericResponseValue(value, sourceQuestion ? sourceQuestion.type : undefined);
+      const selected = answered
+        ? (splitSelectedValues(value).length > 0
+          ? splitSelectedValues(value)
+          : (numeric !== null ? [String(numeric)] : []))
+        : [];
+      if (condition.operator === 'equals') {
+        return answered && selected.length === expected.length && expected.every(item => selected.includes(item));
+      }
+      if (condition.operator === 'not_equals') {
+        return !(answered && selected.length === expected.length && expected.every(item => selected.includes(item)));
+      }
+      const matched = selected.some(item => expected.includes(item));
+      return condition.operator === 'not_in' ? !matched : matched;
+    }
+    default:
+      return true;
+  }
+}
+
+function evaluateDisplayLogic(rule, context) {
+  if (!hasDisplayLogic(rule)) {
+    return true;
+  }
+
+  const results = rule.conditions.map((condition) => {
+    if (!condition || typeof condition !== 'object') return true;
+    if (condition.source === 'application') {
+      return evaluateApplicationCondition(condition, context.selectedApplicationIds);
+    }
+
+    const sourceId = normalizeQuestionRef(condition.sourceQuestionId);
+    if (!sourceId) return true;
+    if (context.hiddenQuestionIds.has(sourceId)) {
+      return evaluateQuestionCondition(condition, context.questionMap.get(sourceId), null);
+    }
+    return evaluateQuestionCondition(
+      condition,
+      context.questionMap.get(sourceId),
+      context.responseMap.get(sourceId)
+    );
+  });
+
+  const matched = String(rule.match || 'all').toLowerCase() === 'any'
+    ? results.some(Boolean)
+    : results.every(Boolean);
+
+  return String(rule.action || 'show').toLowerCase() === 'hide' ? !matched : matched;
+}
+
+function sortQuestionsForEvaluation(questions) {
+  return questions
+    .map((question, index) => ({ question, index }))
+    .sort((a, b) => {
+      const pageDiff = Number(a.question.pageNumber || 1) - Number(b.question.pageNumber || 1);
+      if (pageDiff !== 0) return pageDiff;
+      const orderDiff = Number(a.question.displayOrder || 0) - Number(b.question.displayOrder || 0);
+      if (orderDiff !== 0) return orderDiff;
+      return a.index - b.index;
+    })
+    .map(item => item.question);
+}
+
+/**
+ * Resolve which questions are hidden for the submitted answers.
+ * Questions are evaluated in page/display order so a question hidden earlier
+ * counts as unanswered for rules that depend on it.
+ * @param {Array} questions - Survey questions (questionId, type, options, pageNumber, displayOrder)
+ * @param {Array} responses - Submitted responses ({ questionId, value })
+ * @param {Object} context - { selectedApplicationIds }
+ * @returns {Set<string>} Normalized IDs of hidden questions
+ */
+function resolveHiddenQuestionIds(questions, responses, context = {}) {
+  const hiddenQuestionIds = new Set();
+  const questionList = Array.isArray(questions) ? questions : [];
+  const responseMap = new Map(
+    (responses || []).map(response => [normalizeQuestionRef(response.questionId), response])
+  );
+  const questionMap = new Map(
+    questionList.map(question => [normalizeQuestionRef(question.questionId), question])
+  );
+  const evaluationContext = {
+    hiddenQuestionIds,
+    questionMap,
+    responseMap,
+    selectedApplicationIds: context.selectedApplicationIds || []
+  };
+
+  for (const question of sortQuestionsForEvaluation(questionList)) {
+    const options = parseQuestionOptions(question);
+    const pageVisible = evaluateDisplayLogic(options.pageDisplayLogic, evaluationContext);
+    const questionVisible = pageVisible && evaluateDisplayLogic(options.displayLogic, evaluationContext);
+    if (!questionVisible) {
+      hiddenQuestionIds.add(normalizeQuestionRef(question.questionId));
+    }
+  }
+
+  return hiddenQuestionIds;
+}
+
+/**
+ * Drop answers that belong to hidden questions.
+ * @param {Array} responses - Submitted responses
+ * @param {Set<string>} hiddenQuestionIds - Hidden question IDs
+ * @returns {Array} Responses for visible questions only
+ */
+function filterHiddenResponses(responses, hiddenQuestionIds) {
+  if (!hiddenQuestionIds || hiddenQuestionIds.size === 0) {
+    return responses || [];
+  }
+  return (responses || []).filter(
+    response => !hiddenQuestionIds.has(normalizeQuestionRef(response.questionId))
+  );
+}
+
+function validateDisplayLogicRule(ValidationError, rule, label) {
+  if (rule === undefined || rule === null) return;
+  if (typeof rule !== 'object' || !Array.isArray(rule.conditions)) {
+    throw new ValidationError(`${label} must contain a conditions array`);
+  }
+  if (rule.action && !['show', 'hide'].includes(rule.action)) {
+    throw new ValidationError(`${label} action must be either "show" or "hide"`);
+  }
+  if (rule.match && !['all', 'any'].includes(rule.match)) {
+    throw new ValidationError(`${label} match must be either "all" or "any"`);
+  }
+  for (const condition of rule.conditions) {
+    if (!condition || typeof condition !== 'object') {
+      throw new ValidationError(`${label} contains an invalid condition`);
+    }
+    if (condition.source === 'application') {
+      if (!['in', 'not_in'].includes(condition.operator)) {
+        throw new ValidationError(`${label} application conditions must use "in" or "not_in"`);
+      }
+      continue;
+    }
+    if (!condition.sourceQuestionId) {
+      throw new ValidationError(`${label} conditions require a source question`);
+    }
+    if (!DisplayLogicOperators.includes(condition.operator)) {
+      throw new ValidationError(`${label} operator must be one of: ${DisplayLogicOperators.join(', ')}`);
+    }
+  }
+}
+
+function questionKey(value) {
+  return normalizeQuestionRef(value).toLowerCase();
+}
+
+/**
+ * Check the source questions of display logic against the questions of the
+ * event: a question rule may only depend on a question before it, a page rule
+ * only on a question of an earlier page. As every source comes first, the
+ * rules cannot form a cycle.
+ * @param {Function} ValidationError - Error class to throw
+ * @param {Array} questions - Event questions as saved (questionId, pageNumber, displayOrder, options)
+ * @param {Object} [savedQuestion] - Item of questions; only rules of it or depending on it are checked
+ */
+function validateDisplayLogicSources(ValidationError, questions, savedQuestion = null) {
+  const ordered = sortQuestionsForEvaluation(Array.isArray(questions) ? questions : []);
+  const positions = new Map();
+  ordered.forEach((question, index) => {
+    const key = questionKey(question.questionId);
+    if (key) positions.set(key, index);
+  });
+  const savedKey = savedQuestion ? questionKey(savedQuestion.questionId) : '';
+
+  ordered.forEach((question, index) => {
+    const key = questionKey(question.questionId);
+    const options = parseQuestionOptions(question);
+    const rules = [
+      { rule: options.displayLogic, label: 'Display logic', samePage: true },
+      { rule: options.pageDisplayLogic, label: 'Page display logic', samePage: false }
+    ];
+
+    for (const { rule, label, samePage } of rules) {
+      if (!hasDisplayLogic(rule)) continue;
+      for (const condition of rule.conditions) {
+        if (!condition || typeof condition !== 'object' || condition.source === 'application') continue;
+        const sourceKey = questionKey(condition.sourceQuestionId);
+        if (savedQuestion && question !== savedQuestion && (!savedKey || sourceKey !== savedKey)) continue;
+
+        const name = `${label} of question ${index + 1}`;
+        if (key && sourceKey === key) {
+          throw new ValidationError(`${name} cannot depend on the question itself`);
+        }
+        if (!positions.has(sourceKey)) {
+          throw new ValidationError(`${name} depends on a question that is not part of this event`);
+        }
+        const sourceIndex = positions.get(sourceKey);
+        if (samePage && sourceIndex > index) {
+          throw new ValidationError(`${name} can only depend on questions before it`);
+        }
+        if (!samePage && Number(ordered[sourceIndex].pageNumber || 1) >= Number(question.pageNumber || 1)) {
+          throw new ValidationError(`${name} can only depend on questions of earlier pages`);
+        }
+      }
+    }
+  });
+}
+
+module.exports = {
+  DisplayLogicOperators,
+  evaluateDisplayLogic,
+  filterHiddenResponses,
+  parseQuestionOptions,
+  resolveHiddenQuestionIds,
+  validateDisplayLogicRule,
+  validateDisplayLogicSources
+};
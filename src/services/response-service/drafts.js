@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+
+const DRAFT_EXPIRATION_DAYS = 30;
+const MAX_DRAFT_DATA_LENGTH = 2 * 1024 * 1024;
+const RESUME_EMAIL_COOLDOWN_MINUTES = 5;
+
+function hashResumeToken(resumeToken) {
+  return crypto.createHash('sha256').update(String(resumeToken)).digest('hex');
+}
+
+function normalizeResumeToken(ValidationError, resumeToken) {
+  const normalized = String(resumeToken || '').trim().toLowerCase();
+  if (!/^[a-f0-9]{64}$/.test(normalized)) {
+    throw new ValidationError('Invalid resume token');
+  }
+  return normalized;
+}
+
+function parseDraftData(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function mapDraft(row) {
+  const data = parseDraftData(row.DraftData);
+  return {
+    draftId: row.DraftId,
+    surveyId: row.SurveyId,
+    respondent: data.respondent || null,
+    selectedApplicationIds: Array.isArray(data.selectedApplicationIds) ? data.selectedApplicationIds : [],
+    responses: Array.isArray(data.responses) ? data.responses : [],
+    clientState: data.clientState || null,
+    locale: data.locale || null,
+    currentPage: Number(row.CurrentPage || 0),
+    expiresAt: row.ExpiresAt,
+    resumeEmailSentAt: row.ResumeEmailSentAt || null,
+    updatedAt: row.UpdatedAt || row.CreatedAt
+  };
+}
+
+/**
+ * Merge a stored draft into a final submission. Values sent with the
+ * submission win; answers are merged per question.
+ * @param {Object} draft - Draft returned by getDraft
+ * @param {Object} request - Submission request
+ * @returns {Object} Submission request with draft values filled in
+ */
+function mergeDraftIntoSubmission(draft, request) {
+  const responsesByQuestion = new Map();
+  [...(draft.responses || []), ...(request.responses || [])].forEach((response) => {
+    if (!response || !response.questionId) return;
+    responsesByQuestion.set(String(response.questionId).toLowerCase(), response);
+  });
+
+  return {
+    ...request,
+    respondent: request.respondent || draft.respondent,
+    locale: request.locale || draft.locale,
+    selectedApplicationIds: Array.isArray(request.selectedApplicationIds) && request.selectedApplicationIds.length > 0
+      ? request.selectedApplicationIds
+      : draft.selectedApplicationIds,
+    responses: [...responsesByQuestion.values()]
+  };
+}
+
+async function findActiveDraft(createRequest, sql, NotFoundError, tokenHash) {
+  const result = await (await createRequest())
+    .input('tokenHash', sql.NVarChar(64), tokenHash)
+    .query(`
+      SELECT DraftId, SurveyId, DraftData, CurrentPage, ExpiresAt, ResumeEmailSentAt, CreatedAt, UpdatedAt
+      FROM ResponseDrafts
+      WHERE ResumeTokenHash = @tokenHash
+        AND Status = 'InProgress'
+        AND ExpiresAt > GETDATE()
+    `);
+
+  if (result.recordset.length === 0) {
+    throw new NotFoundError('Draft not found or has expired');
+  }
+
+  return result.recordset[0];
+}
+
+/**
+ * Create or update a respondent draft
+ * @param {Function} createRequest - Request factory
+ * @param {Object} sql - mssql module
+ * @param {Object} errors - { NotFoundError, ValidationError }
+ * @param {Object} request - { surveyId, resumeToken, respondent, selectedApplicationIds, responses, clientState, currentPage, locale, ipAddress }
+ * @returns {Promise<Object>} { resumeToken, expiresAt, currentPage }
+ */
+async function saveDraft(createRequest, sql, errors, request) {
+  const { NotFoundError, ValidationError } = errors;
+
+  if (request.responses !== undefined && !Array.isArray(request.responses)) {
+    throw new ValidationError('Draft responses must be an array');
+  }
+
+  const surveyResult = await (await createRequest())
+    .input('surveyId', sql.UniqueIdentifier, request.surveyId)
+    .query('SELECT SurveyId, Status, EndDate FROM Surveys WHERE SurveyId = @surveyId');
+
+  if (surveyResult.recordset.length === 0) {
+    throw new NotFoundError('Survey not found');
+  }
+  const survey = surveyResult.recordset[0];
+  if (survey.Status !== 'Active') {
+    throw new ValidationError('Survey is not accepting responses');
+  }
+
+  const draftData = JSON.stringify({
+    respondent: request.respondent || null,
+    selectedApplicationIds: Array.isArray(request.selectedApplicationIds) ? request.selectedApplicationIds : [],
+    responses: request.responses || [],
+    clientState: request.clientState || null,
+    locale: request.locale || null
+  });
+  if (draftData.length > MAX_DRAFT_DATA_LENGTH) {
+    throw new ValidationError('Draft is too large');
+  }
+
+  const expiresAt = new Date(Date.now() + DRAFT_EXPIRATION_DAYS * 24 * 60 * 60 * 1000);
+  if (survey.EndDate && new Date(survey.EndDate).getTime() < expiresAt.getTime()) {
+    expiresAt.setTime(new Date(survey.EndDate).getTime());
+  }
+
+  const currentPage = Math.max(0, Number.parseInt(request.currentPage, 10) || 0);
+  const respondentName = request.respondent?.name ? String(request.respondent.name).slice(0, 200) : null;
+  const respondentEmail = request.respondent?.email ? String(request.respondent.email).slice(0, 200) : null;
+
+  if (request.resumeToken) {
+    const resumeToken = normalizeResumeToken(ValidationError, request.resumeToken);
+    const result = await (await createRequest())
+      .input('tokenHash', sql.NVarChar(64), hashResumeToken(resumeToken))
+      .input('surveyId', sql.UniqueIdentifier, request.surveyId)
+      .input('draftData', sql.NVarChar(sql.MAX), draftData)
+      .input('currentPage', sql.Int, currentPage)
+      .input('respondentName', sql.NVarChar(200), respondentName)
+      .input('respondentEmail', sql.NVarChar(200), respondentEmail)
+      .input('expiresAt', sql.DateTime2, expiresAt)
+      .query(`
+        UPDATE ResponseDrafts
+        SET DraftData = @draftData,
+            CurrentPage = @currentPage,
+            RespondentName = COALESCE(@respondentName, RespondentName),
+            RespondentEmail = COALESCE(@respondentEmail, RespondentEmail),
+            ExpiresAt = @expiresAt,
+            UpdatedAt = GETDATE()
+        WHERE ResumeTokenHash = @tokenHash
+          AND SurveyId = @surveyId
+          AND Status = 'InProgress'
+          AND ExpiresAt > GETDATE()
+      `);
+
+    if (!result.rowsAffected || result.rowsAffected[0] === 0) {
+      throw new NotFoundError('Draft not found or has expired');
+    }
+
+    return { resumeToken, expiresAt, currentPage };
+  }
+
+  const resumeToken = crypto.randomBytes(32).toString('hex');
+  await (await createRequest())
+    .input('draftId', sql.UniqueIdentifier, crypto.randomUUID())
+    .input('surveyId', sql.UniqueIdentifier, request.surveyId)
+    .input('tokenHash', sql.NVarChar(64), hashResumeToken(resumeToken))
+    .input('respondentName', sql.NVarChar(200), respondentName)
+    .input('respondentEmail', sql.NVarChar(200), respondentEmail)
+    .input('draftData', sql.NVarChar(sql.MAX), draftData)
+    .input('currentPage', sql.Int, currentPage)
+    .input('expiresAt', sql.DateTime2, expiresAt)
+    .input('ipAddress', sql.NVarChar(50), request.ipAddress || null)
+    .query(`
+      INSERT INTO ResponseDrafts (
+        DraftId, SurveyId, ResumeTokenHash, RespondentName, RespondentEmail,
+        DraftData, CurrentPage, Status, ExpiresAt, IpAddress, CreatedAt
+      )
+      VALUES (
+        @draftId, @surveyId, @tokenHash, @respondentName, @respondentEmail,
+        @draftData, @currentPage, 'InProgress', @expiresAt, @ipAddress, GETDATE()
+      )
+    `);
+
+  return { resumeToken, expiresAt, currentPage };
+}
+
+/**
+ * Load an in-progress draft by resume token
+ * @param {Function} createRequest - Request factory
+ * @param {Object} sql - mssql module
+ * @param {Object} errors - { NotFoundError, ValidationError }
+ * @param {string} resumeToken - Resume token
+ * @returns {Promise<Object>} Draft
+ */
+async function getDraft(createRequest, sql, errors, resumeToken) {
+  const normalized = normalizeResumeToken(errors.ValidationError, resumeToken);
+  const row = await findActiveDraft(createRequest, sql, errors.NotFoundError, hashResumeToken(normalized));
+  return mapDraft(row);
+}
+
+/**
+ * Record that a resume link was emailed, enforcing a short cooldown
+ * @param {Function} createRequest - Request factory
+ * @param {Object} sql - mssql module
+ * @param {Object} errors - { NotFoundError, ValidationError }
+ * @param {Object} draft - Draft returned by getDraft
+ * @param {string} email - Recipient email
+ * @returns {Promise<void>}
+ */
+async function markResumeEmailSent(createRequest, sql, errors, draft, email) {
+  if (draft.resumeEmailSentAt) {
+    const elapsedMs = Date.now() - new Date(draft.resumeEmailSentAt).getTime();
+    if (elapsedMs < RESUME_EMAIL_COOLDOWN_MINUTES * 60 * 1000) {
+      throw new errors.ValidationError(
+        `A resume link was sent recently. Please wait ${RESUME_EMAIL_COOLDOWN_MINUTES} minutes before requesting another one`
+      );
+    }
+  }
+
+  await (await createRequest())
+    .input('draftId', sql.UniqueIdentifier, draft.draftId)
+    .input('email', sql.NVarChar(200), email)
+    .query(`
+      UPDATE ResponseDrafts
+      SET ResumeEmailSentAt = GETDATE(),
+          RespondentEmail = @email,
+          UpdatedAt = GETDATE()
+      WHERE DraftId = @draftId
+    `);
+}
+
+/**
+ * Mark a draft as promoted into final responses
+ * @param {Function} createRequest - Request factory (transaction-bound on submit)
+ * @param {Object} sql - mssql module
+ * @param {string} draftId - Draft ID
+ * @param {Array<string>} responseIds - Created response IDs
+ * @returns {Promise<void>}
+ */
+async function markDraftSubmitted(createRequest, sql, draftId, responseIds) {
+  await (await createRequest())
+    .input('draftId', sql.UniqueIdentifier, draftId)
+    .input('responseIds', sql.NVarChar(sql.MAX), JSON.stringify(responseIds || []))
+    .query(`
+      UPDATE ResponseDrafts
+      SET Status = 'Submitted',
+          SubmittedAt = GETDATE(),
+          SubmittedResponseIds = @responseIds,
+          UpdatedAt = GETDATE()
+      WHERE DraftId = @draftId
+    `);
+}
+
+module.exports = {
+  getDraft,
+  hashResumeToken,
+  markDraftSubmitted,
+  markResumeEmailSent,
+  mergeDraftIntoSubmission,
+  saveDraft
+};
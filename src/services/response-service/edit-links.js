@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+
+const EDIT_EMAIL_COOLDOWN_MINUTES = 5;
+
+function hashEditToken(editToken) {
+  return crypto.createHash('sha256').update(String(editToken)).digest('hex');
+}
+
+function normalizeEditToken(ValidationError, editToken) {
+  const normalized = String(editToken || '').trim();
+  if (!/^[A-Za-z0-9_-]{43}$/.test(normalized)) {
+    throw new ValidationError('Invalid edit token');
+  }
+  return normalized;
+}
+
+function parseResponseIds(value) {
+  try {
+    const ids = JSON.parse(value || '[]');
+    return Array.isArray(ids) ? ids : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function mapEditLink(row) {
+  return {
+    editLinkId: row.EditLinkId,
+    surveyId: row.SurveyId,
+    responseIds: parseResponseIds(row.ResponseIds),
+    respondentEmail: row.RespondentEmail || null,
+    revisionCount: Number(row.RevisionCount || 0),
+    lastEditedAt: row.LastEditedAt || null,
+    emailSentAt: row.EmailSentAt || null
+  };
+}
+
+function buildIdParams(request, sql, ids) {
+  return ids.map((responseId, index) => {
+    request.input(`responseId${index}`, sql.UniqueIdentifier, responseId);
+    return `@responseId${index}`;
+  });
+}
+
+/**
+ * Create the edit link of a submission inside the submission transaction
+ * @param {Function} createRequest - Request factory (transaction-bound on submit)
+ * @param {Object} sql - mssql module
+ * @param {Object} submission - { surveyId, responseIds, respondentEmail }
+ * @returns {Promise<string>} Edit token (returned once, only its hash is stored)
+ */
+async function createEditLink(createRequest, sql, submission) {
+  const editToken = crypto.randomBytes(32).toString('base64url');
+  await (await createRequest())
+    .input('surveyId', sql.UniqueIdentifier, submission.surveyId)
+    .input('tokenHash', sql.NVarChar(64), hashEditToken(editToken))
+    .input('responseIds', sql.NVarChar(sql.MAX), JSON.stringify(submission.responseIds || []))
+    .input('respondentEmail', sql.NVarChar(200), submission.respondentEmail || null)
+    .query(`
+      INSERT INTO ResponseEditLinks (SurveyId, TokenHash, ResponseIds, RespondentEmail, CreatedAt)
+      VALUES (@surveyId, @tokenHash, @responseIds, @respondentEmail, GETDATE())
+    `);
+
+  return editToken;
+}
+
+/**
+ * Load an edit link by token
+ * @param {Function} createRequest - Request factory
+ * @param {Object} sql - mssql module
+ * @param {Object} errors - { NotFoundError, ValidationError }
+ * @param {string} editToken - Edit token
+ * @returns {Promise<Object>} Edit link
+ */
+async function findEditLink(createRequest, sql, errors, editToken) {
+  const normalized = normalizeEditToken(errors.ValidationError, editToken);
+  const result = await (await createRequest())
+    .input('tokenHash', sql.NVarChar(64), hashEditToken(normalized))
+    .query(`
+      SELECT EditLinkId, SurveyId, ResponseIds, RespondentEmail, RevisionCount, LastEditedAt, EmailSentAt
+      FROM ResponseEditLinks
+      WHERE TokenHash = @tokenHash
+    `);
+
+  if (result.recordset.length === 0) {
+    throw new errors.NotFoundError('Edit link not found');
+  }
+  return mapEditLink(result.recordset[0]);
+}
+
+/**
+ * Reject the edit once an admin has started reviewing any of the responses:
+ * the approval status moved on, a stage was approved, or an answer was
+ * proposed for takeout or picked as best comment. Locks the responses when
+ * called inside a transaction, so a review cannot start halfway through.
+ * @param {Function} createRequest - Request factory
+ * @param {Object} sql - mssql module
+ * @param {Function} ResponseLockedError - Error thrown when the review started
+ * @param {Array<string>} responseIds - Response IDs of the edit link
+ * @param {boolean} hasApprovalStatus - Whether Responses.ResponseApprovalStatus exists
+ * @returns {Promise<void>}
+ */
+async function assertNotUnderReview(createRequest, sql, ResponseLockedError, responseIds, hasApprovalStatus) {
+  if (responseIds.length === 0) {
+    throw new ResponseLockedError('This submission can no longer be changed');
+  }
+
+  const request = await createRequest();
+  const params = buildIdParams(request, sql, responseIds);
+  const result = await request.query(`
+    SELECT
+      COUNT(1) AS ResponseCnt,
+      SUM(CASE
+        WHEN ${hasApprovalStatus ? "ISNULL(r.ResponseApprovalStatus, 'Submitted') <> 'Submitted' OR" : ''}
+          EXISTS (
+            SELECT 1 FROM QuestionResponses qr
+            WHERE qr.ResponseId = r.ResponseId
+              AND (qr.TakeoutStatus <> 'Active' OR qr.IsBestComment = 1)
+          )
+          OR EXISTS (SELECT 1 FROM ResponseStageApprovals rsa WHERE rsa.ResponseId = r.ResponseId)
+        THEN 1 ELSE 0
+      END) AS ReviewedCnt
+    FROM Responses r WITH (UPDLOCK, HOLDLOCK)
+    WHERE r.ResponseId IN (${params.join(', ')})
+  `);
+
+  const row = result.recordset?.[0] || {};
+  if (Number(row.ResponseCnt || 0) !== responseIds.length) {
+    throw new ResponseLockedError('This submission can no longer be changed');
+  }
+  if (Number(row.ReviewedCnt || 0) > 0) {
+    throw new ResponseLockedError('This submission is being reviewed and can no longer be changed');
+  }
+}
+
+/**
+ * Load the stored answers of responses, for the edit form and the revision log
+ * @param {Function} createRequest - Request factory
+ * @param {Object} sql - mssql module
+ * @param {Array<string>} responseIds - Response IDs
+ * @returns {Promise<Array<Object>>} Responses with their answers
+ */
+async function loadSubmissionResponses(createRequest, sql, responseIds) {
+  if (responseIds.length === 0) {
+    return [];
+  }
+
+  const request = await createRequest();
+  const params = buildIdParams(request, sql, responseIds);
+  const result = await request.query(`
+    SELECT
+      r.ResponseId, r.RespondentName, r.RespondentEmail, r.BusinessUnitId, r.DivisionId,
+      r.DepartmentId, r.ApplicationId, r.SubmittedAt,
+      qr.QuestionId, qr.TextValue, qr.NumericValue, qr.DateValue, qr.MatrixValues, qr.CommentValue
+    FROM Responses r
+    LEFT JOIN QuestionResponses qr ON qr.ResponseId = r.ResponseId
+    WHERE r.ResponseId IN (${params.join(', ')})
+    ORDER BY r.SubmittedAt, r.ResponseId
+  `);
+
+  const responses = new Map();
+  result.recordset.forEach((row) => {
+    if (!responses.has(row.ResponseId)) {
+      responses.set(row.ResponseId, {
+        responseId: row.ResponseId,
+        respondentName: row.RespondentName,
+        respondentEmail: row.RespondentEmail,
+        businessUnitId: row.BusinessUnitId,
+        divisionId: row.DivisionId,
+        departmentId: row.DepartmentId,
+        applicationId: row.ApplicationId,
+        answers: []
+      });
+    }
+    if (row.QuestionId) {
+      responses.get(row.ResponseId).answers.push({
+        questionId: row.QuestionId,
+        value: {
+          textValue: row.TextValue,
+          numericValue: row.NumericValue,
+          dateValue: row.DateValue,
+          matrixValues: row.MatrixValues ? parseMatrixValues(row.MatrixValues) : null,
+          commentValue: row.CommentValue
+        }
+      });
+    }
+  });
+  return [...responses.values()];
+}
+
+function parseMatrixValues(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Point the edit link at the responses of the new revision
+ * @param {Function} createRequest - Request factory (transaction-bound)
+ * @param {Object} sql - mssql module
+ * @param {string} editLinkId - Edit link ID
+ * @param {Array<string>} responseIds - Response IDs after the edit
+ * @returns {Promise<number>} Revision number
+ */
+async function recordRevision(createRequest, sql, editLinkId, responseIds) {
+  const result = await (await createRequest())
+    .input('editLinkId', sql.UniqueIdentifier, editLinkId)
+    .input('responseIds', sql.NVarChar(sql.MAX), JSON.stringify(responseIds))
+    .query(`
+      UPDATE ResponseEditLinks
+      SET ResponseIds = @responseIds,
+          RevisionCount = RevisionCount + 1,
+          LastEditedAt = GETDATE()
+      OUTPUT INSERTED.RevisionCount
+      WHERE EditLinkId = @editLinkId
+    `);
+
+  return Number(result.recordset?.[0]?.RevisionCount || 0);
+}
+
+/**
+ * Record that an edit link was emailed, enforcing a short cooldown. The check
+ * and the update are one statement, so parallel requests send one mail.
+ * @param {Function} createRequest - Request factory
+ * @param {Object} sql - mssql module
+ * @param {Object} errors - { ValidationError }
+ * @param {Object} editLink - Edit link returned by findEditLink
+ * @returns {Promise<void>}
+ */
+async function markEditEmailSent(createRequest, sql, errors, editLink) {
+  const result = await (await createRequest())
+    .input('editLinkId', sql.UniqueIdentifier, editLink.editLinkId)
+    .input('cooldownMinutes', sql.Int, EDIT_EMAIL_COOLDOWN_MINUTES)
+    .query(`
+      UPDATE ResponseEditLinks
+      SET EmailSentAt = GETDATE()
+      OUTPUT INSERTED.EditLinkId
+      WHERE EditLinkId = @editLinkId
+        AND (EmailSentAt IS NULL OR EmailSentAt < DATEADD(MINUTE, -@cooldownMinutes, GETDATE()))
+    `);
+
+  if (!result.recordset?.[0]) {
+    throw new errors.ValidationError(
+      `An edit link was sent recently. Please wait ${EDIT_EMAIL_COOLDOWN_MINUTES} minutes before requesting another one`
+    );
+  }
+}
+
+module.exports = {
+  assertNotUnderReview,
+  createEditLink,
+  findEditLink,
+  hashEditToken,
+  loadSubmissionResponses,
+  markEditEmailSent,
+  normalizeEditToken,
+  recordRevision
+};
@@ -5,6 +5,10 @@ class ValidationError extends Error {
   }
 }
 
+// Keeps the ValidationError name so the API still answers 400; kiosk sync tells it
+// apart to keep submissions captured while the event was open
+class SurveyClosedError extends ValidationError {}
+
 class NotFoundError extends Error {
   constructor(message) {
     super(message);
@@ -19,8 +23,33 @@ class DuplicateError extends Error {
   }
 }
 
+class QuotaReachedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuotaReachedError';
+  }
+}
+
+class KioskDeviceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KioskDeviceError';
+  }
+}
+
+class ResponseLockedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ResponseLockedError';
+  }
+}
+
 module.exports = {
   DuplicateError,
+  KioskDeviceError,
   NotFoundError,
+  QuotaReachedError,
+  ResponseLockedError,
+  SurveyClosedError,
   ValidationError
 };
@@ -1,5 +1,8 @@
-async function getResponses(createRequest, sql, logger, filter = {}) {
+const { buildQuestionVersionJoin, versionedQuestionColumn } = require('../survey-service/definition-versions');
+
+async function getResponses(createRequest, sql, logger, hasEmailVerificationSupport, filter = {}) {
   logger.info('Getting responses with filter', { filter });
+  const hasEmailVerification = await hasEmailVerificationSupport();
 
   let query = `
     SELECT 
@@ -13,6 +16,7 @@ async function getResponses(createRequest, sql, logger, filter = {}) {
       r.ApplicationId,
       r.SubmittedAt,
       r.IpAddress,
+      ${hasEmailVerification ? 'r.EmailVerified,' : ''}
       s.Title as SurveyTitle,
       bu.Name as BusinessUnitName,
       d.Name as DivisionName,
@@ -61,6 +65,9 @@ async function getResponses(createRequest, sql, logger, filter = {}) {
     query += ' AND r.SubmittedAt <= @endDate';
     request.input('endDate', sql.DateTime, filter.endDate);
   }
+  if (typeof filter.emailVerified === 'boolean' && hasEmailVerification) {
+    query += ` AND r.EmailVerified = ${filter.emailVerified ? 1 : 0}`;
+  }
 
   query += ' ORDER BY r.SubmittedAt DESC';
   const result = await request.query(query);
@@ -80,11 +87,20 @@ async function getResponses(createRequest, sql, logger, filter = {}) {
     applicationName: row.ApplicationName,
     applicationCode: row.ApplicationCode,
     submittedAt: row.SubmittedAt,
-    ipAddress: row.IpAddress
+    ipAddress: row.IpAddress,
+    emailVerified: row.EmailVerified === true || row.EmailVerified === 1
   }));
 }
 
-async function getResponseById(createRequest, sql, errors, logger, hasQuestionResponseApplicationIdColumn, responseId) {
+async function getResponseById(
+  createRequest,
+  sql,
+  errors,
+  logger,
+  hasQuestionResponseApplicationIdColumn,
+  hasDefinitionVersionSupport,
+  responseId
+) {
   const { NotFoundError, ValidationError } = errors;
   logger.info(`Getting response by ID: ${responseId}`);
 
@@ -127,6 +143,8 @@ async function getResponseById(createRequest, sql, errors, logger, hasQuestionRe
 
   const response = responseResult.recordset[0];
   const hasQuestionResponseApplicationId = await hasQuestionResponseApplicationIdColumn();
+  // Answers show the question version they were given against
+  const hasVersions = await hasDefinitionVersionSupport();
   const questionResponsesResult = await (await createRequest())
     .input('responseId', sql.UniqueIdentifier, responseId)
     .query(`
@@ -147,19 +165,22 @@ async function getResponseById(createRequest, sql, errors, logger, hasQuestionRe
         qr.ReviewedBy,
         qr.ReviewedAt,
         qr.IsBestComment,
-        q.Type as QuestionType,
-        q.PromptText as QuestionText,
-        q.DisplayOrder
+        ${hasVersions ? 'qr.QuestionVersionId' : 'CAST(NULL AS UNIQUEIDENTIFIER) AS QuestionVersionId'},
+        ${versionedQuestionColumn(hasVersions, 'Type')} as QuestionType,
+        ${versionedQuestionColumn(hasVersions, 'PromptText')} as QuestionText,
+        ${versionedQuestionColumn(hasVersions, 'DisplayOrder')} as DisplayOrder
       FROM QuestionResponses qr
       INNER JOIN Questions q ON qr.QuestionId = q.QuestionId
+      ${buildQuestionVersionJoin(hasVersions)}
       WHERE qr.ResponseId = @responseId
-      ORDER BY q.DisplayOrder
+      ORDER BY DisplayOrder
     `);
 
   const questionResponses = questionResponsesResult.recordset.map((qr) => ({
     questionResponseId: qr.QuestionResponseId,
     responseId: qr.ResponseId,
     questionId: qr.QuestionId,
+    questionVersionId: qr.QuestionVersionId,
     applicationId: qr.ApplicationId,
     questionType: qr.QuestionType,
     questionText: qr.QuestionText,
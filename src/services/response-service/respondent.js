@@ -17,6 +17,24 @@ function normalizeRespondent(respondent) {
   };
 }
 
+/**
+ * Lock respondent identity to a personal invitation. Org units the invitation does
+ * not know about are still taken from the form.
+ * @param {Object} respondent - Respondent sent by the form
+ * @param {Object} invitation - Invitation resolved from the token
+ * @returns {Object} Respondent
+ */
+function applyInvitationIdentity(respondent, invitation) {
+  return {
+    ...(respondent || {}),
+    name: invitation.name || respondent?.name || invitation.email,
+    email: invitation.email,
+    businessUnitId: invitation.businessUnitId || respondent?.businessUnitId || null,
+    divisionId: invitation.divisionId || respondent?.divisionId || null,
+    departmentId: invitation.departmentId || respondent?.departmentId || null
+  };
+}
+
 async function getOrgHierarchyByApplication(createRequest, sql, applicationId) {
   const result = await (await createRequest())
     .input('applicationId', sql.UniqueIdentifier, applicationId)
@@ -70,6 +88,7 @@ async function resolveRespondentOrg(createRequest, sql, respondent, applicationI
 }
 
 module.exports = {
+  applyInvitationIdentity,
   getOrgHierarchyByApplication,
   normalizeRespondent,
   resolveRespondentOrg,
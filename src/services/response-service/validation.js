@@ -1,3 +1,12 @@
+const { NPS_MAX, NPS_MIN } = require('../survey-service/question-types');
+const { isResponseAttachmentUrl } = require('./attachments');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9][0-9\s\-().]{5,19}$/;
+
+// Types answered with free text that may look numeric but is never a score
+const NON_NUMERIC_QUESTION_TYPES = ['Ranking', 'Email', 'Phone', 'FileUpload'];
+
 function normalizeQuestionRef(value) {
   const raw = String(value || '').trim();
   if (raw.toLowerCase().startsWith('q-')) {
@@ -22,20 +31,28 @@ function checkResponseHasValue(type, value) {
     case 'Checkbox':
       return value.textValue && value.textValue.trim() !== '';
     case 'Rating':
-      return value.numericValue !== null && value.numericValue !== undefined;
+    case 'NPS':
+    case 'Slider':
+    case 'Numeric':
+      return value.numericValue !== null && value.numericValue !== undefined && value.numericValue !== '';
     case 'Date':
       return value.dateValue !== null && value.dateValue !== undefined;
     case 'MatrixLikert':
+    case 'Ranking':
       return value.matrixValues && Object.keys(value.matrixValues).length > 0;
     case 'Signature':
+    case 'Email':
+    case 'Phone':
+    case 'FileUpload':
       return value.textValue && value.textValue.trim() !== '';
     default:
       return false;
   }
 }
 
-function extractNumericResponseValue(value) {
+function extractNumericResponseValue(value, type) {
   if (!value || typeof value !== 'object') return null;
+  if (NON_NUMERIC_QUESTION_TYPES.includes(type)) return null;
 
   const numericValue = Number(value.numericValue);
   if (Number.isFinite(numericValue)) {
@@ -66,7 +83,8 @@ function validateApplicationSelections(ValidationError, selectedApplicationIds)
   }
 }
 
-function validateMandatoryQuestions(ValidationError, questions, responses) {
+function validateMandatoryQuestions(ValidationError, questions, responses, options = {}) {
+  const hiddenQuestionIds = options.hiddenQuestionIds || new Set();
   const responseMap = new Map(
     responses.map((response) => [normalizeQuestionRef(response.questionId), response]),
   );
@@ -87,6 +105,9 @@ function validateMandatoryQuestions(ValidationError, questions, responses) {
     : false;
 
   const shouldSkipByVisibility = (question, options) => {
+    if (hiddenQuestionIds.has(normalizeQuestionRef(question.questionId))) {
+      return true;
+    }
     const displayCondition = String(options?.displayCondition || 'always');
     return displayCondition === 'after_mapped_selection' && !hasMappedSelection;
   };
@@ -110,7 +131,11 @@ function validateMandatoryQuestions(ValidationError, questions, responses) {
     }
 
     const sourceResponse = responseMap.get(sourceQuestionId);
-    const sourceNumericValue = extractNumericResponseValue(sourceResponse ? sourceResponse.value : null);
+    const sourceQuestion = questions.find((item) => normalizeQuestionRef(item.questionId) === sourceQuestionId);
+    const sourceNumericValue = extractNumericResponseValue(
+      sourceResponse ? sourceResponse.value : null,
+      sourceQuestion ? sourceQuestion.type : undefined
+    );
     if (sourceNumericValue === null) {
       continue;
     }
@@ -158,11 +183,130 @@ function validateMandatoryQuestions(ValidationError, questions, responses) {
   }
 }
 
+function toFiniteNumber(value, fallback = null) {
+  if (value === null || value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function validateNumberInRange(ValidationError, question, number, options) {
+  const min = toFiniteNumber(options.min);
+  const max = toFiniteNumber(options.max);
+  if (min !== null && number < min) {
+    throw new ValidationError(`Answer to "${question.promptText}" must be at least ${min}`);
+  }
+  if (max !== null && number > max) {
+    throw new ValidationError(`Answer to "${question.promptText}" must be at most ${max}`);
+  }
+}
+
+/**
+ * Check that an answer has the shape its question type expects
+ * @param {Function} ValidationError - Error class to throw
+ * @param {Object} question - Question ({ promptText, type, options })
+ * @param {Object} value - Response value
+ * @throws {ValidationError} If the answer is malformed
+ */
+function validateAnswerValue(ValidationError, question, value) {
+  if (!checkResponseHasValue(question.type, value)) return;
+
+  const options = (typeof question.options === 'string' ? JSON.parse(question.options) : question.options) || {};
+  const prompt = question.promptText;
+
+  switch (question.type) {
+    case 'NPS': {
+      const score = Number(value.numericValue);
+      if (!Number.isInteger(score) || score < NPS_MIN || score > NPS_MAX) {
+        throw new ValidationError(`Answer to "${prompt}" must be a whole number between ${NPS_MIN} and ${NPS_MAX}`);
+      }
+      return;
+    }
+    case 'Slider': {
+      const number = Number(value.numericValue);
+      if (!Number.isFinite(number)) {
+        throw new ValidationError(`Answer to "${prompt}" must be a number`);
+      }
+      const min = toFiniteNumber(options.min, 0);
+      const max = toFiniteNumber(options.max, 100);
+      validateNumberInRange(ValidationError, question, number, { min, max });
+      const step = toFiniteNumber(options.step, 1);
+      if (step > 0) {
+        const steps = (number - min) / step;
+        if (Math.abs(steps - Math.round(steps)) > 1e-6) {
+          throw new ValidationError(`Answer to "${prompt}" must be a multiple of ${step} from ${min}`);
+        }
+      }
+      return;
+    }
+    case 'Numeric': {
+      const number = Number(value.numericValue);
+      if (!Number.isFinite(number)) {
+        throw new ValidationError(`Answer to "${prompt}" must be a number`);
+      }
+      if (!options.allowDecimals && !Number.isInteger(number)) {
+        throw new ValidationError(`Answer to "${prompt}" must be a whole number`);
+      }
+      validateNumberInRange(ValidationError, question, number, options);
+      return;
+    }
+    case 'Email':
+      if (!EMAIL_PATTERN.test(value.textValue.trim())) {
+        throw new ValidationError(`Answer to "${prompt}" must be a valid email address`);
+      }
+      return;
+    case 'Phone':
+      if (!PHONE_PATTERN.test(value.textValue.trim())) {
+        throw new ValidationError(`Answer to "${prompt}" must be a valid phone number`);
+      }
+      return;
+    case 'Ranking': {
+      const items = Array.isArray(options.options) ? options.options.map((item) => String(item)) : [];
+      const ranked = Object.keys(value.matrixValues);
+      const ranks = Object.values(value.matrixValues).map((rank) => Number(rank)).sort((a, b) => a - b);
+      const isComplete = ranked.length === items.length && ranked.every((item) => items.includes(item));
+      const isSequence = ranks.every((rank, index) => rank === index + 1);
+      if (!isComplete || !isSequence) {
+        throw new ValidationError(`Answer to "${prompt}" must rank every item exactly once`);
+      }
+      return;
+    }
+    case 'FileUpload':
+      if (!isResponseAttachmentUrl(value.textValue.trim())) {
+        throw new ValidationError(`Answer to "${prompt}" must be a file uploaded to this survey`);
+      }
+      return;
+    default:
+      return;
+  }
+}
+
+/**
+ * Validate the format of every submitted answer
+ * @param {Function} ValidationError - Error class to throw
+ * @param {Array} questions - Survey questions
+ * @param {Array} responses - Question responses
+ * @throws {ValidationError} If an answer is malformed
+ */
+function validateAnswerValues(ValidationError, questions, responses) {
+  const questionMap = new Map(
+    questions.map((question) => [normalizeQuestionRef(question.questionId), question]),
+  );
+
+  for (const response of responses) {
+    const question = questionMap.get(normalizeQuestionRef(response.questionId));
+    if (question) {
+      validateAnswerValue(ValidationError, question, response.value);
+    }
+  }
+}
+
 module.exports = {
   checkResponseHasValue,
   extractNumericResponseValue,
   isSourceMappedApplication,
   normalizeQuestionRef,
+  validateAnswerValue,
+  validateAnswerValues,
   validateApplicationSelections,
   validateMandatoryQuestions
 };
@@ -0,0 +1,195 @@
+const sql = require('../database/sql-client');
+/**
+ * Response Attachment Cleanup Processor
+ * Background job that deletes uploaded response attachments once they are
+ * older than the configured TTL and no submitted answer or open draft refers
+ * to them. The upload endpoint is public, so files of abandoned forms would
+ * otherwise stay on disk forever.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const cron = require('node-cron');
+
+const config = require('../config');
+const logger = require('../config/logger');
+const db = require('../database/connection');
+const { ATTACHMENT_SUBDIRECTORY, getAttachmentUploadedAt } = require('./response-service/attachments');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Filenames checked for references per query
+const REFERENCE_BATCH_SIZE = 100;
+
+class ResponseAttachmentCleanupProcessor {
+    constructor() {
+        this.isRunning = false;
+        this.cronJob = null;
+    }
+
+    /**
+     * Start the cleanup processor on the configured schedule
+     */
+    start() {
+        if (this.cronJob) {
+            logger.warn('Response attachment cleanup processor is already running');
+            return;
+        }
+
+        if (config.attachmentCleanup?.enabled === false) {
+            logger.info('Response attachment cleanup processor is disabled');
+            return;
+        }
+
+        this.cronJob = cron.schedule(config.attachmentCleanup?.schedule || '0 3 * * *', async () => {
+            if (this.isRunning) {
+                logger.debug('Previous attachment cleanup run still running, skipping this cycle');
+                return;
+            }
+
+            this.isRunning = true;
+            try {
+                await this.cleanupAttachments();
+            } catch (error) {
+                logger.error('Error cleaning up response attachments:', error);
+            } finally {
+                this.isRunning = false;
+            }
+        });
+
+        logger.info('Response attachment cleanup processor started');
+    }
+
+    /**
+     * Stop the cleanup processor
+     */
+    stop() {
+        if (this.cronJob) {
+            this.cronJob.stop();
+            this.cronJob = null;
+            logger.info('Response attachment cleanup processor stopped');
+        }
+    }
+
+    getAttachmentDirectory() {
+        return path.join(config.upload.directory || 'uploads', ATTACHMENT_SUBDIRECTORY);
+    }
+
+    /**
+     * Attachments uploaded before the cutoff. Other files in the directory are
+     * left alone.
+     * @param {Date} cutoff - Upload time files must be older than
+     * @returns {Promise<Array<string>>} Filenames
+     */
+    async listExpiredAttachments(cutoff) {
+        let filenames;
+        try {
+            filenames = await fs.readdir(this.getAttachmentDirectory());
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return filenames.filter((filename) => {
+            const uploadedAt = getAttachmentUploadedAt(filename);
+            return uploadedAt !== null && uploadedAt < cutoff;
+        });
+    }
+
+    /**
+     * Filenames a submitted FileUpload answer or an open draft still refers to
+     * @param {Object} pool - Connection pool
+     * @param {Array<string>} filenames - Attachment filenames
+     * @returns {Promise<Set<string>>}
+     */
+    async findReferencedAttachments(pool, filenames) {
+        const request = pool.request();
+        const values = filenames.map((filename, index) => {
+            request.input(`file${index}`, sql.NVarChar(100), filename);
+            return `(@file${index})`;
+        });
+
+        // Generated filenames hold no LIKE wildcards
+        const result = await request.query(`
+            SELECT f.FileName
+            FROM (VALUES ${values.join(', ')}) AS f(FileName)
+            WHERE EXISTS (
+                    SELECT 1
+                    FROM QuestionResponses qr
+                    INNER JOIN Questions q ON qr.QuestionId = q.QuestionId
+                    WHERE q.Type = 'FileUpload'
+                      AND qr.TextValue LIKE '%' + f.FileName + '%'
+                )
+                OR EXISTS (
+                    SELECT 1
+                    FROM ResponseDrafts d
+                    WHERE d.ExpiresAt > GETDATE()
+                      AND d.DraftData LIKE '%' + f.FileName + '%'
+                )
+        `);
+
+        return new Set((result.recordset || []).map((row) => row.FileName));
+    }
+
+    /**
+     * Delete the expired attachments nothing refers to
+     * @returns {Promise<Object>} { checked, deleted }
+     */
+    async cleanupAttachments() {
+        const orphanHours = config.attachmentCleanup?.orphanHours || 48;
+        const cutoff = new Date(Date.now() - orphanHours * HOUR_MS);
+        const expired = await this.listExpiredAttachments(cutoff);
+        if (expired.length === 0) {
+            logger.debug('No expired response attachments to check');
+            return { checked: 0, deleted: 0 };
+        }
+
+        const pool = await db.getPool();
+        const directory = this.getAttachmentDirectory();
+        let deleted = 0;
+
+        for (let start = 0; start < expired.length; start += REFERENCE_BATCH_SIZE) {
+            const batch = expired.slice(start, start + REFERENCE_BATCH_SIZE);
+            const referenced = await this.findReferencedAttachments(pool, batch);
+
+            for (const filename of batch) {
+                if (referenced.has(filename)) continue;
+                try {
+                    await fs.unlink(path.join(directory, filename));
+                    deleted += 1;
+                } catch (error) {
+                    logger.warn(`Failed to delete response attachment ${filename}: ${error.message}`);
+                }
+            }
+        }
+
+        const summary = { checked: expired.length, deleted };
+        if (deleted > 0) {
+            logger.info('Unreferenced response attachments deleted', summary);
+        } else {
+            logger.debug('No unreferenced response attachments to delete', summary);
+        }
+        return summary;
+    }
+
+    /**
+     * Run the cleanup now
+     * @returns {Promise<Object>} { checked, deleted }
+     */
+    async triggerProcessing() {
+        if (this.isRunning) {
+            throw new Error('Processing is already running');
+        }
+
+        this.isRunning = true;
+        try {
+            return await this.cleanupAttachments();
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new ResponseAttachmentCleanupProcessor();
+module.exports.ResponseAttachmentCleanupProcessor = ResponseAttachmentCleanupProcessor;
@@ -2,12 +2,24 @@ const sql = require('../database/sql-client');
 
   
 const { randomUUID } = require('crypto');
+const fs = require('fs').promises;
 const pool = require('../database/connection');
 const logger = require('../config/logger');
+const config = require('../config');
 const publishCycleService = require('./publishCycleService');
+const shortLinkService = require('./shortLinkService');
+const invitationService = require('./invitationService');
+const emailTrackingService = require('./emailTrackingService');
+const translationService = require('./translationService');
+const quotaService = require('./quotaService');
+const kioskService = require('./kioskService');
+const emailVerificationService = require('./emailVerificationService');
+const auditService = require('./auditService');
 const {
   DuplicateError,
   NotFoundError,
+  ResponseLockedError,
+  SurveyClosedError,
   ValidationError
 } = require('./response-service/errors');
 const {
@@ -15,10 +27,36 @@ const {
   extractNumericResponseValue,
   isSourceMappedApplication,
   normalizeQuestionRef,
+  validateAnswerValues,
   validateApplicationSelections,
   validateMandatoryQuestions
 } = require('./response-service/validation');
 const {
+  ATTACHMENT_SUBDIRECTORY,
+  generateAttachmentFilename,
+  validateAttachmentFile
+} = require('./response-service/attachments');
+const {
+  filterHiddenResponses,
+  resolveHiddenQuestionIds
+} = require('./response-service/display-logic');
+const {
+  getDraft,
+  markDraftSubmitted,
+  markResumeEmailSent,
+  mergeDraftIntoSubmission,
+  saveDraft
+} = require('./response-service/drafts');
+const {
+  assertNotUnderReview,
+  createEditLink,
+  findEditLink,
+  loadSubmissionResponses,
+  markEditEmailSent,
+  recordRevision
+} = require('./response-service/edit-links');
+const {
+  applyInvitationIdentity,
   getOrgHierarchyByApplication,
   normalizeRespondent,
   resolveRespondentOrg,
@@ -35,6 +73,7 @@ const {
 const {
   resolveSurveyIdentifier
 } = require('./survey-service/read-model');
+const { saveFile } = require('./survey-service/uploads');
 
 function parseSurveyWindowDate(value, fieldName) {
   if (value instanceof Date) {
@@ -56,6 +95,12 @@ function parseSurveyWindowDate(value, fieldName) {
   return parseComparableDate(value, fieldName);
 }
 
+// Keep 0 answers (NPS detractors, numeric inputs) instead of storing them as NULL
+function toNumericValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return value;
+}
+
 /**
  * Response Service
  * Handles survey form rendering, response submission, and retrieval
@@ -66,6 +111,8 @@ class ResponseService {
     this.questionResponsesHasApplicationId = null;
     this.questionResponsesHasTakeoutStatus = null;
     this.responsesHasApprovalStatus = null;
+    this.responsesHasLocale = null;
+    this.editLinksSupported = null;
   }
 
   async createRequest() {
@@ -133,18 +180,51 @@ class ResponseService {
     return this.responsesHasApprovalStatus;
   }
 
+  async hasResponseLocaleColumn() {
+    if (typeof this.responsesHasLocale === 'boolean') {
+      return this.responsesHasLocale;
+    }
+
+    const result = await (await this.createRequest())
+      .input('tableName', sql.NVarChar(128), 'Responses')
+      .input('columnName', sql.NVarChar(128), 'Locale')
+      .query(`
+        SELECT COUNT(1) AS Cnt
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_NAME = @tableName
+          AND COLUMN_NAME = @columnName
+      `);
+
+    this.responsesHasLocale = Number(result.recordset?.[0]?.Cnt || 0) > 0;
+    return this.responsesHasLocale;
+  }
+
+  async hasEditLinkSupport() {
+    if (typeof this.editLinksSupported === 'boolean') {
+      return this.editLinksSupported;
+    }
+
+    const result = await (await this.createRequest())
+      .query("SELECT COUNT(1) AS TableCnt FROM sys.tables WHERE name = 'ResponseEditLinks'");
+    this.editLinksSupported = Number(result.recordset?.[0]?.TableCnt || 0) === 1;
+    return this.editLinksSupported;
+  }
+
   /**
    * Get survey form with configuration and questions
    * @param {string} surveyId - Survey ID
+   * @param {Object} [options] - { locale } language to show the form in,
+   * { availableAt } moment to check the event window against instead of now
    * @returns {Promise<Object>} Survey form data
    */
-  async getSurveyForm(surveyId) {
+  async getSurveyForm(surveyId, options = {}) {
     try {
       if (!String(surveyId || '').trim()) {
         throw new ValidationError('Survey ID is required');
       }
       const resolvedSurveyId = await resolveSurveyIdentifier(this.pool, sql, NotFoundError, surveyId);
       logger.info(`Getting survey form for surveyId: ${surveyId}`);
+      const hasEmailVerification = await emailVerificationService.hasSupport();
 
       // Get survey details
       const surveyResult = await (await this.createRequest())
@@ -160,6 +240,7 @@ class ResponseService {
             s.TargetRespondents,
             s.TargetScore,
             s.DuplicatePreventionEnabled,
+            ${hasEmailVerification ? 's.EmailVerificationRequired,' : ''}
             sc.HeroTitle,
             sc.HeroSubtitle,
             sc.HeroImageUrl,
@@ -184,17 +265,19 @@ class ResponseService {
 
       const survey = surveyResult.recordset[0];
 
-      // Check if survey is active
-      if (survey.Status !== 'Active') {
-        throw new ValidationError('Survey is not currently active');
+      // Check if survey is active. A submission checked at an earlier moment may
+      // arrive after the lifecycle processor closed the event.
+      const openStatuses = options.availableAt ? ['Active', 'Closed'] : ['Active'];
+      if (!openStatuses.includes(survey.Status)) {
+        throw new SurveyClosedError('Survey is not currently active');
       }
 
       // Check if survey is within date range
-      const now = new Date();
+      const now = options.availableAt || new Date();
       const surveyStartDate = parseSurveyWindowDate(survey.StartDate, 'survey start date');
       const surveyEndDate = parseSurveyWindowDate(survey.EndDate, 'survey end date');
       if (now < surveyStartDate || now > surveyEndDate) {
-        throw new ValidationError('Survey is not available at this time');
+        throw new SurveyClosedError('Survey is not available at this time');
       }
 
       // Get questions
@@ -232,7 +315,7 @@ class ResponseService {
         layoutOrientation: q.LayoutOrientation
       }));
 
-      return {
+      return await translationService.translateForm({
         surveyId: survey.SurveyId,
         title: survey.Title,
         description: survey.Description,
@@ -242,6 +325,7 @@ class ResponseService {
         targetRespondents: survey.TargetRespondents,
         targetScore: survey.TargetScore,
         duplicatePreventionEnabled: survey.DuplicatePreventionEnabled,
+        emailVerificationRequired: survey.EmailVerificationRequired === true || survey.EmailVerificationRequired === 1,
         configuration: {
           heroTitle: survey.HeroTitle,
           heroSubtitle: survey.HeroSubtitle,
@@ -258,7 +342,7 @@ class ResponseService {
           multiPage: survey.MultiPage
         },
         questions: questions
-      };
+      }, options.locale);
     } catch (error) {
       logger.error(`Error getting survey form: ${error.message}`, { error, surveyId });
       throw error;
@@ -332,18 +416,52 @@ class ResponseService {
 
       const result = await request.query(query);
 
-      return result.recordset.map(app => ({
-        applicationId: app.ApplicationId,
-        code: app.Code,
-        name: app.Name,
-        description: app.Description
-      }));
+      // Segments whose response quota is reached are closed
+      const fullSegments = await quotaService.getFullSegments(surveyId);
+      if (departmentId && await this.isDepartmentClosed(fullSegments, departmentId)) {
+        return [];
+      }
+
+      return result.recordset
+        .filter((app) => !fullSegments.Application.has(String(app.ApplicationId).toLowerCase()))
+        .map(app => ({
+          applicationId: app.ApplicationId,
+          code: app.Code,
+          name: app.Name,
+          description: app.Description
+        }));
     } catch (error) {
       logger.error(`Error getting available applications: ${error.message}`, { error, surveyId, departmentId, functionId });
       throw error;
     }
   }
 
+  /**
+   * Whether the quota of a department, or of its business unit, is reached
+   * @param {Object} fullSegments - Result of quotaService.getFullSegments
+   * @param {string} departmentId - Department ID
+   * @returns {Promise<boolean>}
+   */
+  async isDepartmentClosed(fullSegments, departmentId) {
+    if (fullSegments.Department.has(String(departmentId).toLowerCase())) {
+      return true;
+    }
+    if (fullSegments.BusinessUnit.size === 0) {
+      return false;
+    }
+
+    const result = await (await this.createRequest())
+      .input('departmentId', sql.UniqueIdentifier, departmentId)
+      .query(`
+        SELECT div.BusinessUnitId
+        FROM Departments dept
+        INNER JOIN Divisions div ON dept.DivisionId = div.DivisionId
+        WHERE dept.DepartmentId = @departmentId
+      `);
+    const businessUnitId = result.recordset?.[0]?.BusinessUnitId;
+    return Boolean(businessUnitId) && fullSegments.BusinessUnit.has(String(businessUnitId).toLowerCase());
+  }
+
   /**
    * Validate optional organizational selections (UUID format already checked in controller).
    * If provided partially, missing parts may still be derived from application mappings.
@@ -389,18 +507,261 @@ class ResponseService {
    * Validate mandatory questions
    * @param {Array} questions - Survey questions
    * @param {Array} responses - Question responses
+   * @param {Object} context - Display logic context ({ selectedApplicationIds })
    * @throws {ValidationError} If validation fails
    */
-  validateMandatoryQuestions(questions, responses) {
-    return validateMandatoryQuestions(ValidationError, questions, responses);
+  validateMandatoryQuestions(questions, responses, context = {}) {
+    const hiddenQuestionIds = resolveHiddenQuestionIds(questions, responses, context);
+    return validateMandatoryQuestions(ValidationError, questions, responses, { hiddenQuestionIds });
+  }
+
+  /**
+   * Remove answers to questions hidden by display logic
+   * @param {Array} questions - Survey questions
+   * @param {Array} responses - Question responses
+   * @param {Object} context - Display logic context ({ selectedApplicationIds })
+   * @returns {Array} Responses for visible questions
+   */
+  filterVisibleResponses(questions, responses, context = {}) {
+    const hiddenQuestionIds = resolveHiddenQuestionIds(questions, responses, context);
+    return filterHiddenResponses(responses, hiddenQuestionIds);
   }
 
   checkResponseHasValue(type, value) {
     return checkResponseHasValue(type, value);
   }
 
-  extractNumericResponseValue(value) {
-    return extractNumericResponseValue(value);
+  extractNumericResponseValue(value, type) {
+    return extractNumericResponseValue(value, type);
+  }
+
+  /**
+   * Store a respondent file for a FileUpload question. The returned URL is
+   * submitted as the textValue of the answer.
+   * @param {string} surveyId - Survey ID or number
+   * @param {string} questionId - FileUpload question ID
+   * @param {Object} file - Multer file
+   * @returns {Promise<Object>} { fileUrl, fileName, mimeType, size }
+   */
+  async uploadAttachment(surveyId, questionId, file) {
+    try {
+      const survey = await this.getSurveyForm(surveyId);
+      const question = survey.questions.find(
+        (item) => String(item.questionId).toLowerCase() === normalizeQuestionRef(questionId).toLowerCase()
+      );
+      if (!question || question.type !== 'FileUpload') {
+        throw new NotFoundError(`File upload question ${questionId} not found in this survey`);
+      }
+
+      const fileType = validateAttachmentFile(ValidationError, file, question.options, config.upload.maxFileSizeMB);
+      const fileUrl = await saveFile(
+        file.buffer,
+        generateAttachmentFilename(fileType),
+        ATTACHMENT_SUBDIRECTORY,
+        { config, fs, logger }
+      );
+
+      logger.info(`Stored response attachment for surveyId: ${survey.surveyId}, questionId: ${question.questionId}`);
+
+      return {
+        fileUrl,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size
+      };
+    } catch (error) {
+      logger.error(`Error uploading response attachment: ${error.message}`, { error, surveyId, questionId });
+      throw error;
+    }
+  }
+
+  /**
+   * Insert one response of a submission, with its answers, inside the submission transaction
+   * @param {Object} transaction - Submission transaction
+   * @param {Object} submission - Submission context shared by every selected application
+   * @param {string} applicationId - Application ID
+   * @param {Object} resolvedOrg - { businessUnitId, divisionId, departmentId }
+   * @returns {Promise<string>} Response ID
+   */
+  async insertSubmittedResponse(transaction, submission, applicationId, resolvedOrg) {
+    // Insert main response record
+    const responseInsertRequest = transaction.request()
+      .input('responseId', sql.UniqueIdentifier, randomUUID())
+      .input('surveyId', sql.UniqueIdentifier, submission.surveyId)
+      .input('respondentName', sql.NVarChar(200), submission.respondent.name)
+      .input('respondentEmail', sql.NVarChar(200), submission.respondent.email)
+      .input('businessUnitId', sql.UniqueIdentifier, resolvedOrg.businessUnitId)
+      .input('divisionId', sql.UniqueIdentifier, resolvedOrg.divisionId)
+      .input('departmentId', sql.UniqueIdentifier, resolvedOrg.departmentId)
+      .input('applicationId', sql.UniqueIdentifier, applicationId)
+      .input('submittedAt', sql.DateTime, new Date())
+      .input('ipAddress', sql.NVarChar(50), submission.ipAddress);
+
+    let responseResult;
+    if (submission.publishCycle?.PublishCycleId && submission.hasResponseApprovalStatus) {
+      responseResult = await responseInsertRequest
+        .input('publishCycleId', sql.UniqueIdentifier, submission.publishCycle.PublishCycleId)
+        .input('responseApprovalStatus', sql.NVarChar(50), 'Submitted')
+        .query(`
+          INSERT INTO Responses (
+            ResponseId, SurveyId, PublishCycleId, RespondentName, RespondentEmail,
+            BusinessUnitId, DivisionId, DepartmentId, ApplicationId,
+            SubmittedAt, IpAddress, ResponseApprovalStatus
+          )
+          OUTPUT INSERTED.ResponseId
+          VALUES (
+            @responseId, @surveyId, @publishCycleId, @respondentName, @respondentEmail,
+            @businessUnitId, @divisionId, @departmentId, @applicationId,
+            @submittedAt, @ipAddress, @responseApprovalStatus
+          )
+        `);
+    } else if (submission.publishCycle?.PublishCycleId) {
+      responseResult = await responseInsertRequest
+        .input('publishCycleId', sql.UniqueIdentifier, submission.publishCycle.PublishCycleId)
+        .query(`
+          INSERT INTO Responses (
+            ResponseId, SurveyId, PublishCycleId, RespondentName, RespondentEmail,
+            BusinessUnitId, DivisionId, DepartmentId, ApplicationId,
+            SubmittedAt, IpAddress
+          )
+          OUTPUT INSERTED.ResponseId
+          VALUES (
+            @responseId, @surveyId, @publishCycleId, @respondentName, @respondentEmail,
+            @businessUnitId, @divisionId, @departmentId, @applicationId,
+            @submittedAt, @ipAddress
+          )
+        `);
+    } else if (submission.hasResponseApprovalStatus) {
+      responseResult = await responseInsertRequest
+        .input('responseApprovalStatus', sql.NVarChar(50), 'Submitted')
+        .query(`
+          INSERT INTO Responses (
+            ResponseId, SurveyId, RespondentName, RespondentEmail,
+            BusinessUnitId, DivisionId, DepartmentId, ApplicationId,
+            SubmittedAt, IpAddress, ResponseApprovalStatus
+          )
+          OUTPUT INSERTED.ResponseId
+          VALUES (
+            @responseId, @surveyId, @respondentName, @respondentEmail,
+            @businessUnitId, @divisionId, @departmentId, @applicationId,
+            @submittedAt, @ipAddress, @responseApprovalStatus
+          )
+        `);
+    } else {
+      responseResult = await responseInsertRequest.query(`
+        INSERT INTO Responses (
+          ResponseId, SurveyId, RespondentName, RespondentEmail,
+          BusinessUnitId, DivisionId, DepartmentId, ApplicationId,
+          SubmittedAt, IpAddress
+        )
+        OUTPUT INSERTED.ResponseId
+        VALUES (
+          @responseId, @surveyId, @respondentName, @respondentEmail,
+          @businessUnitId, @divisionId, @departmentId, @applicationId,
+          @submittedAt, @ipAddress
+        )
+      `);
+    }
+
+    const responseId = responseResult.recordset[0].ResponseId;
+
+    if (submission.shortLinkId) {
+      await transaction.request()
+        .input('responseId', sql.UniqueIdentifier, responseId)
+        .input('shortLinkId', sql.UniqueIdentifier, submission.shortLinkId)
+        .query('UPDATE Responses SET ShortLinkId = @shortLinkId WHERE ResponseId = @responseId');
+    }
+
+    if (submission.responseLocale) {
+      await transaction.request()
+        .input('responseId', sql.UniqueIdentifier, responseId)
+        .input('locale', sql.NVarChar(10), submission.responseLocale)
+        .query('UPDATE Responses SET Locale = @locale WHERE ResponseId = @responseId');
+    }
+
+    if (submission.emailVerified && await emailVerificationService.hasSupport()) {
+      await transaction.request()
+        .input('responseId', sql.UniqueIdentifier, responseId)
+        .input('emailVerificationId', sql.UniqueIdentifier, submission.emailVerificationId)
+        .query(`
+          UPDATE Responses
+          SET EmailVerified = 1, EmailVerificationId = @emailVerificationId
+          WHERE ResponseId = @responseId
+        `);
+    }
+
+    await this.insertQuestionResponses(transaction, submission, responseId, applicationId);
+    return responseId;
+  }
+
+  /**
+   * Insert the answers of one response and link them to the question versions the respondent saw
+   * @param {Object} transaction - Submission transaction
+   * @param {Object} submission - Submission context
+   * @param {string} responseId - Response ID
+   * @param {string} applicationId - Application ID
+   * @returns {Promise<void>}
+   */
+  async insertQuestionResponses(transaction, submission, responseId, applicationId) {
+    for (const response of submission.responses) {
+      const value = response.value;
+
+      const questionResponseRequest = transaction.request()
+        .input('questionResponseId', sql.UniqueIdentifier, randomUUID())
+        .input('responseId', sql.UniqueIdentifier, responseId)
+        .input('questionId', sql.UniqueIdentifier, response.questionId)
+        .input('textValue', sql.NVarChar(sql.MAX), value.textValue || null)
+        .input('numericValue', sql.Decimal(10, 2), toNumericValue(value.numericValue))
+        .input('dateValue', sql.DateTime, value.dateValue || null)
+        .input('matrixValues', sql.NVarChar(sql.MAX), value.matrixValues ? JSON.stringify(value.matrixValues) : null)
+        .input('commentValue', sql.NVarChar(sql.MAX), value.commentValue || null)
+        .input('takeoutStatus', sql.NVarChar(50), 'Active');
+
+      if (submission.hasQuestionResponseApplicationId) {
+        await questionResponseRequest
+          .input('applicationId', sql.UniqueIdentifier, applicationId)
+          .query(`
+            INSERT INTO QuestionResponses (
+              QuestionResponseId, ResponseId, QuestionId, ApplicationId,
+              TextValue, NumericValue, DateValue, MatrixValues, CommentValue,
+              TakeoutStatus
+            )
+            VALUES (
+              @questionResponseId, @responseId, @questionId, @applicationId,
+              @textValue, @numericValue, @dateValue, @matrixValues, @commentValue,
+              @takeoutStatus
+            )
+          `);
+      } else {
+        await questionResponseRequest.query(`
+          INSERT INTO QuestionResponses (
+            QuestionResponseId, ResponseId, QuestionId,
+            TextValue, NumericValue, DateValue, MatrixValues, CommentValue,
+            TakeoutStatus
+          )
+          VALUES (
+            @questionResponseId, @responseId, @questionId,
+            @textValue, @numericValue, @dateValue, @matrixValues, @commentValue,
+            @takeoutStatus
+          )
+        `);
+      }
+    }
+
+    if (submission.definitionVersion) {
+      await transaction.request()
+        .input('responseId', sql.UniqueIdentifier, responseId)
+        .input('definitionVersionId', sql.UniqueIdentifier, submission.definitionVersion.DefinitionVersionId)
+        .query(`
+          UPDATE qr
+          SET QuestionVersionId = qv.QuestionVersionId
+          FROM QuestionResponses qr
+          INNER JOIN QuestionVersions qv
+            ON qv.QuestionId = qr.QuestionId
+           AND qv.DefinitionVersionId = @definitionVersionId
+          WHERE qr.ResponseId = @responseId
+        `);
+    }
   }
 
   /**
@@ -412,9 +773,11 @@ class ResponseService {
   /**
    * Submit survey response
    * @param {Object} request - Response submission request
+   * @param {Object} options - { kiosk } records the idempotency key of a kiosk submission.
+   * Kiosk devices are registered by an admin, so they skip email verification.
    * @returns {Promise<Object>} Submission result
    */
-  async submitResponse(request) {
+  async submitResponse(request, options = {}) {
     const dbPool = this.pool && typeof this.pool.getPool === 'function'
       ? await this.pool.getPool()
       : this.pool;
@@ -428,6 +791,27 @@ class ResponseService {
         throw new ValidationError('Survey ID is required');
       }
       const resolvedSurveyId = await resolveSurveyIdentifier(this.pool, sql, NotFoundError, request.surveyId);
+
+      // Promote a saved draft: fill in whatever the final submission did not resend
+      let draft = null;
+      if (request.resumeToken) {
+        draft = await this.getDraft(request.resumeToken);
+        if (String(draft.surveyId).toLowerCase() !== String(resolvedSurveyId).toLowerCase()) {
+          throw new ValidationError('Draft does not belong to this survey');
+        }
+        request = mergeDraftIntoSubmission(draft, request);
+      }
+
+      // A personal invitation link locks the respondent to the invited recipient
+      let invitation = null;
+      if (request.invitationToken) {
+        invitation = await invitationService.findByToken(null, request.invitationToken);
+        if (!invitation || String(invitation.surveyId).toLowerCase() !== String(resolvedSurveyId).toLowerCase()) {
+          throw new ValidationError('Invitation link is not valid for this survey');
+        }
+        request.respondent = applyInvitationIdentity(request.respondent, invitation);
+      }
+
       if (!request.respondent) {
         throw new ValidationError('Respondent information is required');
       }
@@ -446,19 +830,44 @@ class ResponseService {
       // Validate application selections
       this.validateApplicationSelections(request.selectedApplicationIds);
 
-      // Get survey and questions
-      const survey = await this.getSurveyForm(resolvedSurveyId);
+      // Get survey and questions. Kiosk submissions are checked against the
+      // moment they were captured, since a device may sync after the event closed.
+      const survey = await this.getSurveyForm(
+        resolvedSurveyId,
+        options.kiosk ? { availableAt: kioskService.resolveWindowTime(options.kiosk.capturedAt) } : {}
+      );
+
+      // Ignore answers to questions hidden by display logic, then validate mandatory questions
+      const displayContext = { selectedApplicationIds: request.selectedApplicationIds };
+      request.responses = this.filterVisibleResponses(survey.questions, request.responses, displayContext);
+      this.validateMandatoryQuestions(survey.questions, request.responses, displayContext);
+      validateAnswerValues(ValidationError, survey.questions, request.responses);
 
-      // Validate mandatory questions
-      this.validateMandatoryQuestions(survey.questions, request.responses);
+      if (invitation && invitation.status === 'Completed' && survey.duplicatePreventionEnabled) {
+        throw new DuplicateError('This invitation has already been used to submit a response');
+      }
+
+      // An invitation link was delivered to the respondent's mailbox, so it counts as verified
+      const verifyWithToken = Boolean(!invitation && !options.kiosk && request.emailVerificationToken);
+      if (survey.emailVerificationRequired && !invitation && !options.kiosk) {
+        if (!request.respondent.email) {
+          throw new ValidationError('Email is required for this survey');
+        }
+        if (!verifyWithToken) {
+          throw new ValidationError('Please verify your email before submitting this survey');
+        }
+      }
+      const emailVerified = Boolean(invitation) || verifyWithToken;
 
-      // Check for duplicates if enabled
+      // Check for duplicates if enabled. A verified respondent is only blocked by
+      // verified responses, so someone typing their address cannot lock them out.
       if (survey.duplicatePreventionEnabled && request.respondent.email) {
         for (const applicationId of request.selectedApplicationIds) {
           const isDuplicate = await this.checkDuplicateResponse(
             request.surveyId,
             request.respondent.email,
-            applicationId
+            applicationId,
+            { verifiedOnly: emailVerified && survey.emailVerificationRequired }
           );
           
           if (isDuplicate) {
@@ -474,157 +883,654 @@ class ResponseService {
       await transaction.begin();
       const hasQuestionResponseApplicationId = await this.hasQuestionResponseApplicationIdColumn();
       const hasResponseApprovalStatus = await this.hasResponseApprovalStatusColumn();
+      const responseLocale = request.locale && await this.hasResponseLocaleColumn()
+        ? translationService.resolveLocale(request.locale)
+        : null;
       const publishCycle = await publishCycleService.ensureCurrentCycle(transaction, resolvedSurveyId);
+      const definitionVersion = await publishCycleService.ensureDefinitionVersion(
+        transaction,
+        resolvedSurveyId,
+        publishCycle
+      );
+      const shortLinkId = await shortLinkService.findAttributionLinkId(
+        transaction,
+        resolvedSurveyId,
+        request.shortLinkCode
+      );
+      let emailVerificationId = null;
+      if (verifyWithToken && await emailVerificationService.hasSupport()) {
+        emailVerificationId = await emailVerificationService.consumeToken(
+          transaction,
+          resolvedSurveyId,
+          request.respondent.email,
+          request.emailVerificationToken
+        );
+        if (!emailVerificationId) {
+          throw new ValidationError('Email verification has expired or does not match this email. Please verify again');
+        }
+      }
+
+      const resolvedOrgs = new Map();
+      for (const applicationId of request.selectedApplicationIds) {
+        resolvedOrgs.set(applicationId, await this.resolveRespondentOrg(request.respondent, applicationId));
+      }
+      await quotaService.assertQuotaAvailable(
+        transaction,
+        resolvedSurveyId,
+        request.selectedApplicationIds.map((applicationId) => ({ ...resolvedOrgs.get(applicationId), applicationId }))
+      );
 
       // Create responses for each selected application
+      const submission = {
+        surveyId: resolvedSurveyId,
+        respondent: request.respondent,
+        responses: request.responses,
+        ipAddress,
+        publishCycle,
+        definitionVersion,
+        hasQuestionResponseApplicationId,
+        hasResponseApprovalStatus,
+        responseLocale,
+        shortLinkId,
+        emailVerified,
+        emailVerificationId
+      };
       const responseIds = [];
-      
       for (const applicationId of request.selectedApplicationIds) {
-        const resolvedOrg = await this.resolveRespondentOrg(request.respondent, applicationId);
-
-        // Insert main response record
-        const responseInsertRequest = transaction.request()
-          .input('responseId', sql.UniqueIdentifier, randomUUID())
-          .input('surveyId', sql.UniqueIdentifier, resolvedSurveyId)
-          .input('respondentName', sql.NVarChar(200), request.respondent.name)
-          .input('respondentEmail', sql.NVarChar(200), request.respondent.email)
+        responseIds.push(await this.insertSubmittedResponse(
+          transaction,
+          submission,
+          applicationId,
+          resolvedOrgs.get(applicationId)
+        ));
+      }
+
+      if (invitation) {
+        await invitationService.markCompleted(transaction, invitation.invitationId, responseIds);
+      }
+
+      if (draft) {
+        await markDraftSubmitted(() => transaction.request(), sql, draft.draftId, responseIds);
+      }
+
+      if (options.kiosk) {
+        await kioskService.recordSubmission(transaction, options.kiosk, responseIds);
+      }
+
+      // Kiosk devices are shared, so only personal submissions get an edit link
+      let editToken = null;
+      if (!options.kiosk && await this.hasEditLinkSupport()) {
+        editToken = await createEditLink(() => transaction.request(), sql, {
+          surveyId: resolvedSurveyId,
+          responseIds,
+          respondentEmail: request.respondent.email
+        });
+      }
+
+      await transaction.commit();
+
+      logger.info(`Response submitted successfully for surveyId: ${resolvedSurveyId}, responseIds: ${responseIds.join(', ')}`);
+
+      // Email funnel tracking is best effort and must not fail a stored submission
+      if (request.emailLogId) {
+        try {
+          await emailTrackingService.recordEvent(null, request.emailLogId, 'Submit');
+        } catch (trackingError) {
+          logger.warn(`Unable to record email submit event: ${trackingError.message}`);
+        }
+      }
+
+      return {
+        success: true,
+        message: 'Survey response submitted successfully',
+        responseIds: responseIds,
+        ...(editToken ? {
+          editToken,
+          editUrl: this.buildEditUrl(resolvedSurveyId, editToken, responseLocale),
+          editableUntil: survey.endDate
+        } : {})
+      };
+    } catch (error) {
+      if (transaction._aborted === false) {
+        await transaction.rollback();
+      }
+      logger.error(`Error submitting response: ${error.message}`, { error, request });
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a personal invitation token for the survey form and mark it opened
+   * @param {string} token - Invitation token
+   * @returns {Promise<Object>} { surveyId, status, respondent }
+   */
+  async getInvitation(token) {
+    try {
+      const invitation = await invitationService.openInvitation(null, token);
+      if (!invitation) {
+        throw new NotFoundError('Invitation not found');
+      }
+
+      return {
+        surveyId: invitation.surveyId,
+        status: invitation.status,
+        respondent: {
+          name: invitation.name,
+          email: invitation.email,
+          businessUnitId: invitation.businessUnitId,
+          divisionId: invitation.divisionId,
+          departmentId: invitation.departmentId
+        }
+      };
+    } catch (error) {
+      logger.error(`Error getting invitation: ${error.message}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the kiosk device behind a token for the kiosk form
+   * @param {string} deviceToken - Kiosk device token
+   * @returns {Promise<Object>} { surveyId, device }
+   */
+  async getKioskSession(deviceToken) {
+    const device = await kioskService.authenticateDevice(deviceToken);
+    return {
+      surveyId: device.surveyId,
+      device: {
+        deviceId: device.deviceId,
+        name: device.name,
+        resetAfterSeconds: device.resetAfterSeconds
+      }
+    };
+  }
+
+  /**
+   * Submit the queued submissions of a kiosk device. Every submission carries an
+   * idempotency key, so a batch can be retried without creating duplicates.
+   * Each item is reported as accepted, duplicate (synced before), rejected
+   * (will never succeed; drop it) or failed (retry later). An item captured
+   * outside the event window also fails, so the device keeps it.
+   * @param {string} deviceToken - Kiosk device token
+   * @param {Array<Object>} submissions - [{ idempotencyKey, capturedAt, respondent, selectedApplicationIds, responses, locale }]
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Object>} { deviceId, results, summary }
+   */
+  async submitKioskBatch(deviceToken, submissions, ipAddress = null) {
+    const device = await kioskService.authenticateDevice(deviceToken);
+    if (!Array.isArray(submissions) || submissions.length === 0) {
+      throw new ValidationError('submissions must be a non-empty array');
+    }
+    if (submissions.length > kioskService.MAX_BATCH_SIZE) {
+      throw new ValidationError(`A kiosk batch may contain at most ${kioskService.MAX_BATCH_SIZE} submissions`);
+    }
+
+    const results = [];
+    for (const item of submissions) {
+      results.push(await this.submitKioskItem(device, item || {}, ipAddress));
+    }
+    await kioskService.markSynced(device.deviceId);
+
+    const summary = { accepted: 0, duplicate: 0, rejected: 0, failed: 0 };
+    results.forEach((result) => {
+      summary[result.status] += 1;
+    });
+    logger.info('Kiosk batch synced', { deviceId: device.deviceId, ...summary });
+
+    return { deviceId: device.deviceId, results, summary };
+  }
+
+  async submitKioskItem(device, item, ipAddress) {
+    const idempotencyKey = String(item.idempotencyKey || '').trim();
+    if (!kioskService.isValidIdempotencyKey(idempotencyKey)) {
+      return { idempotencyKey, status: 'rejected', message: 'idempotencyKey must be 8-100 letters, digits, dashes or underscores' };
+    }
+
+    const synced = await kioskService.findSubmission(null, device.deviceId, idempotencyKey);
+    if (synced) {
+      return { idempotencyKey, status: 'duplicate', responseIds: synced.responseIds };
+    }
+
+    try {
+      const result = await this.submitResponse({
+        surveyId: device.surveyId,
+        respondent: item.respondent || {},
+        selectedApplicationIds: item.selectedApplicationIds,
+        responses: item.responses,
+        locale: item.locale,
+        ipAddress
+      }, {
+        kiosk: { deviceId: device.deviceId, idempotencyKey, capturedAt: item.capturedAt }
+      });
+      return { idempotencyKey, status: 'accepted', responseIds: result.responseIds };
+    } catch (error) {
+      // A concurrent retry of the same submission won the unique key
+      if (kioskService.isDuplicateKeyError(error)) {
+        const stored = await kioskService.findSubmission(null, device.deviceId, idempotencyKey);
+        if (stored) {
+          return { idempotencyKey, status: 'duplicate', responseIds: stored.responseIds };
+        }
+      }
+      if (error instanceof SurveyClosedError) {
+        return { idempotencyKey, status: 'failed', message: error.message };
+      }
+      if (['ValidationError', 'DuplicateError', 'NotFoundError', 'QuotaReachedError'].includes(error?.name)) {
+        return { idempotencyKey, status: 'rejected', message: error.message };
+      }
+
+      logger.error(`Error syncing kiosk submission: ${error.message}`, { deviceId: device.deviceId, idempotencyKey });
+      return { idempotencyKey, status: 'failed', message: 'The submission could not be stored. It will be retried.' };
+    }
+  }
+
+  /**
+   * Save in-progress answers so the respondent can resume later
+   * @param {Object} request - Draft request (surveyId, resumeToken, respondent, selectedApplicationIds, responses, clientState, currentPage, locale)
+   * @returns {Promise<Object>} { resumeToken, expiresAt, currentPage }
+   */
+  async saveDraft(request) {
+    try {
+      if (!request.surveyId) {
+        throw new ValidationError('Survey ID is required');
+      }
+      const resolvedSurveyId = await resolveSurveyIdentifier(this.pool, sql, NotFoundError, request.surveyId);
+      return await saveDraft(
+        this.createRequest.bind(this),
+        sql,
+        { NotFoundError, ValidationError },
+        { ...request, surveyId: resolvedSurveyId }
+      );
+    } catch (error) {
+      logger.error(`Error saving response draft: ${error.message}`, { error, surveyId: request.surveyId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an in-progress draft by resume token
+   * @param {string} resumeToken - Resume token
+   * @returns {Promise<Object>} Draft
+   */
+  async getDraft(resumeToken) {
+    try {
+      return await getDraft(this.createRequest.bind(this), sql, { NotFoundError, ValidationError }, resumeToken);
+    } catch (error) {
+      logger.error(`Error getting response draft: ${error.message}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Email the respondent a link to continue their draft
+   * @param {string} resumeToken - Resume token
+   * @param {string} email - Recipient email
+   * @returns {Promise<Object>} { sent, expiresAt }
+   */
+  async sendDraftResumeLink(resumeToken, email) {
+    try {
+      const recipient = String(email || '').trim().toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipient)) {
+        throw new ValidationError('A valid email address is required');
+      }
+
+      const draft = await this.getDraft(resumeToken);
+      const surveyResult = await (await this.createRequest())
+        .input('surveyId', sql.UniqueIdentifier, draft.surveyId)
+        .query('SELECT Title FROM Surveys WHERE SurveyId = @surveyId');
+      const locale = translationService.resolveLocale(draft.locale);
+      const { title: surveyTitle } = await translationService.translateEventText(draft.surveyId, locale, {
+        title: surveyResult.recordset[0]?.Title || 'Survey'
+      });
+
+      await markResumeEmailSent(this.createRequest.bind(this), sql, { NotFoundError, ValidationError }, draft, recipient);
+
+      const publicSurveyBaseUrl = String(config.publicSurveyBaseUrl || config.baseUrl || '').replace(/\/$/, '');
+      const resumeLink = `${publicSurveyBaseUrl}/survey/${encodeURIComponent(draft.surveyId)}?resume=${encodeURIComponent(String(resumeToken).trim().toLowerCase())}&lang=${encodeURIComponent(locale)}`;
+
+      const emailService = require('./emailService');
+      const sendResult = await emailService.sendEmail({
+        to: recipient,
+        subject: emailService.getSubject('resume', locale, surveyTitle),
+        template: 'survey-resume',
+        locale,
+        data: {
+          surveyTitle,
+          resumeLink,
+          expiresAt: draft.expiresAt
+        },
+        surveyId: draft.surveyId,
+        emailType: 'Notification'
+      });
+
+      return {
+        sent: Boolean(sendResult.success),
+        expiresAt: draft.expiresAt
+      };
+    } catch (error) {
+      logger.error(`Error sending draft resume link: ${error.message}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the public link a respondent uses to amend their submission
+   * @param {string} surveyId - Survey ID
+   * @param {string} editToken - Edit token
+   * @param {string} [locale] - Form language
+   * @returns {string} Edit URL
+   */
+  buildEditUrl(surveyId, editToken, locale) {
+    const publicSurveyBaseUrl = String(config.publicSurveyBaseUrl || config.baseUrl || '').replace(/\/$/, '');
+    const lang = locale ? `&lang=${encodeURIComponent(locale)}` : '';
+    return `${publicSurveyBaseUrl}/survey/index?id=${encodeURIComponent(surveyId)}&edit=${encodeURIComponent(editToken)}${lang}`;
+  }
+
+  /**
+   * Resolve an edit link and check the submission can still be changed
+   * @param {string} editToken - Edit token
+   * @returns {Promise<Object>} { editLink, previous, survey }
+   */
+  async loadEditableSubmission(editToken) {
+    if (!(await this.hasEditLinkSupport())) {
+      throw new NotFoundError('Edit link not found');
+    }
+
+    const createRequest = this.createRequest.bind(this);
+    const editLink = await findEditLink(createRequest, sql, { NotFoundError, ValidationError }, editToken);
+    const previous = await loadSubmissionResponses(createRequest, sql, editLink.responseIds);
+    if (previous.length === 0) {
+      throw new ResponseLockedError('This submission can no longer be changed');
+    }
+
+    // Editing closes with the event: getSurveyForm rejects events that are no longer active or have ended
+    let survey;
+    try {
+      survey = await this.getSurveyForm(editLink.surveyId);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw new ResponseLockedError('The survey has closed and this submission can no longer be changed');
+      }
+      throw error;
+    }
+
+    return { editLink, previous, survey };
+  }
+
+  /**
+   * Get a submission for the respondent to amend
+   * @param {string} editToken - Edit token
+   * @returns {Promise<Object>} Submission with its answers and editing deadline
+   */
+  async getEditableSubmission(editToken) {
+    try {
+      const { editLink, previous, survey } = await this.loadEditableSubmission(editToken);
+      await assertNotUnderReview(
+        this.createRequest.bind(this),
+        sql,
+        ResponseLockedError,
+        editLink.responseIds,
+        await this.hasResponseApprovalStatusColumn()
+      );
+
+      const [first] = previous;
+      return {
+        surveyId: editLink.surveyId,
+        respondent: {
+          name: first.respondentName,
+          email: first.respondentEmail,
+          businessUnitId: first.businessUnitId,
+          divisionId: first.divisionId,
+          departmentId: first.departmentId
+        },
+        selectedApplicationIds: previous.map((response) => response.applicationId),
+        responses: first.answers,
+        revisionCount: editLink.revisionCount,
+        lastEditedAt: editLink.lastEditedAt,
+        editableUntil: survey.endDate
+      };
+    } catch (error) {
+      logger.error(`Error getting editable submission: ${error.message}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the answers of a submission through its edit link. The respondent
+   * email stays locked; applications can be added or removed. Each change is
+   * written to the audit trail as a revision of the affected responses.
+   * @param {string} editToken - Edit token
+   * @param {Object} request - { respondent, selectedApplicationIds, responses, ipAddress, userAgent }
+   * @returns {Promise<Object>} Amendment result
+   */
+  async amendResponse(editToken, request) {
+    const dbPool = this.pool && typeof this.pool.getPool === 'function'
+      ? await this.pool.getPool()
+      : this.pool;
+    const transaction = new sql.Transaction(dbPool);
+
+    try {
+      const { editLink, previous, survey } = await this.loadEditableSubmission(editToken);
+      const surveyId = editLink.surveyId;
+
+      if (!request.selectedApplicationIds || request.selectedApplicationIds.length === 0) {
+        throw new ValidationError('At least one application must be selected');
+      }
+      if (!request.responses || request.responses.length === 0) {
+        throw new ValidationError('Survey responses are required');
+      }
+
+      const respondent = this.normalizeRespondent({
+        ...(request.respondent || {}),
+        name: request.respondent?.name || previous[0].respondentName,
+        email: previous[0].respondentEmail
+      });
+      this.validateOrganizationalSelections(respondent);
+      this.validateApplicationSelections(request.selectedApplicationIds);
+
+      const displayContext = { selectedApplicationIds: request.selectedApplicationIds };
+      const responses = this.filterVisibleResponses(survey.questions, request.responses, displayContext);
+      this.validateMandatoryQuestions(survey.questions, responses, displayContext);
+      validateAnswerValues(ValidationError, survey.questions, responses);
+
+      const previousByApplication = new Map(
+        previous.map((response) => [String(response.applicationId).toLowerCase(), response])
+      );
+      const isSelected = (applicationId) => request.selectedApplicationIds
+        .some((selectedId) => String(selectedId).toLowerCase() === String(applicationId).toLowerCase());
+      const addedApplicationIds = request.selectedApplicationIds
+        .filter((applicationId) => !previousByApplication.has(String(applicationId).toLowerCase()));
+      const removedResponses = previous.filter((response) => !isSelected(response.applicationId));
+
+      let emailVerified = false;
+      let emailVerificationId = null;
+      if (await emailVerificationService.hasSupport()) {
+        const verificationResult = await (await this.createRequest())
+          .input('responseId', sql.UniqueIdentifier, previous[0].responseId)
+          .query('SELECT EmailVerified, EmailVerificationId FROM Responses WHERE ResponseId = @responseId');
+        const verification = verificationResult.recordset?.[0] || {};
+        emailVerified = verification.EmailVerified === true || verification.EmailVerified === 1;
+        emailVerificationId = verification.EmailVerificationId || null;
+      }
+
+      // Only newly added applications can collide with another submission
+      if (survey.duplicatePreventionEnabled && respondent.email) {
+        for (const applicationId of addedApplicationIds) {
+          const isDuplicate = await this.checkDuplicateResponse(
+            surveyId,
+            respondent.email,
+            applicationId,
+            { verifiedOnly: emailVerified && survey.emailVerificationRequired }
+          );
+          if (isDuplicate) {
+            const app = await this.getApplicationById(applicationId);
+            throw new DuplicateError(`You have already submitted a response for application: ${app.name}`);
+          }
+        }
+      }
+
+      const resolvedOrgs = new Map();
+      for (const applicationId of request.selectedApplicationIds) {
+        resolvedOrgs.set(applicationId, await this.resolveRespondentOrg(respondent, applicationId));
+      }
+
+      await transaction.begin();
+      const createTransactionRequest = () => transaction.request();
+      await assertNotUnderReview(
+        createTransactionRequest,
+        sql,
+        ResponseLockedError,
+        editLink.responseIds,
+        await this.hasResponseApprovalStatusColumn()
+      );
+
+      if (addedApplicationIds.length > 0) {
+        await quotaService.assertQuotaAvailable(
+          transaction,
+          surveyId,
+          addedApplicationIds.map((applicationId) => ({ ...resolvedOrgs.get(applicationId), applicationId }))
+        );
+      }
+
+      const publishCycle = await publishCycleService.ensureCurrentCycle(transaction, surveyId);
+      const submission = {
+        surveyId,
+        respondent,
+        responses,
+        ipAddress: request.ipAddress || null,
+        publishCycle,
+        definitionVersion: await publishCycleService.ensureDefinitionVersion(transaction, surveyId, publishCycle),
+        hasQuestionResponseApplicationId: await this.hasQuestionResponseApplicationIdColumn(),
+        hasResponseApprovalStatus: await this.hasResponseApprovalStatusColumn(),
+        responseLocale: null,
+        shortLinkId: null,
+        emailVerified,
+        emailVerificationId
+      };
+
+      const responseIds = [];
+      const revisions = [];
+      for (const applicationId of request.selectedApplicationIds) {
+        const resolvedOrg = resolvedOrgs.get(applicationId);
+        const existing = previousByApplication.get(String(applicationId).toLowerCase());
+        if (!existing) {
+          const responseId = await this.insertSubmittedResponse(transaction, submission, applicationId, resolvedOrg);
+          responseIds.push(responseId);
+          revisions.push({ action: 'Create', responseId, applicationId });
+          continue;
+        }
+
+        await transaction.request()
+          .input('responseId', sql.UniqueIdentifier, existing.responseId)
+          .input('respondentName', sql.NVarChar(200), respondent.name)
           .input('businessUnitId', sql.UniqueIdentifier, resolvedOrg.businessUnitId)
           .input('divisionId', sql.UniqueIdentifier, resolvedOrg.divisionId)
           .input('departmentId', sql.UniqueIdentifier, resolvedOrg.departmentId)
-          .input('applicationId', sql.UniqueIdentifier, applicationId)
-          .input('submittedAt', sql.DateTime, new Date())
-          .input('ipAddress', sql.NVarChar(50), ipAddress);
-
-        let responseResult;
-        if (publishCycle?.PublishCycleId && hasResponseApprovalStatus) {
-          responseResult = await responseInsertRequest
-            .input('publishCycleId', sql.UniqueIdentifier, publishCycle.PublishCycleId)
-            .input('responseApprovalStatus', sql.NVarChar(50), 'Submitted')
-            .query(`
-              INSERT INTO Responses (
-                ResponseId, SurveyId, PublishCycleId, RespondentName, RespondentEmail,
-                BusinessUnitId, DivisionId, DepartmentId, ApplicationId,
-                SubmittedAt, IpAddress, ResponseApprovalStatus
-              )
-              OUTPUT INSERTED.ResponseId
-              VALUES (
-                @responseId, @surveyId, @publishCycleId, @respondentName, @respondentEmail,
-                @businessUnitId, @divisionId, @departmentId, @applicationId,
-                @submittedAt, @ipAddress, @responseApprovalStatus
-              )
-            `);
-        } else if (publishCycle?.PublishCycleId) {
-          responseResult = await responseInsertRequest
-            .input('publishCycleId', sql.UniqueIdentifier, publishCycle.PublishCycleId)
-            .query(`
-              INSERT INTO Responses (
-                ResponseId, SurveyId, PublishCycleId, RespondentName, RespondentEmail,
-                BusinessUnitId, DivisionId, DepartmentId, ApplicationId,
-                SubmittedAt, IpAddress
-              )
-              OUTPUT INSERTED.ResponseId
-              VALUES (
-                @responseId, @surveyId, @publishCycleId, @respondentName, @respondentEmail,
-                @businessUnitId, @divisionId, @departmentId, @applicationId,
-                @submittedAt, @ipAddress
-              )
-            `);
-        } else if (hasResponseApprovalStatus) {
-          responseResult = await responseInsertRequest
-            .input('responseApprovalStatus', sql.NVarChar(50), 'Submitted')
-            .query(`
-              INSERT INTO Responses (
-                ResponseId, SurveyId, RespondentName, RespondentEmail,
-                BusinessUnitId, DivisionId, DepartmentId, ApplicationId,
-                SubmittedAt, IpAddress, ResponseApprovalStatus
-              )
-              OUTPUT INSERTED.ResponseId
-              VALUES (
-                @responseId, @surveyId, @respondentName, @respondentEmail,
-                @businessUnitId, @divisionId, @departmentId, @applicationId,
-                @submittedAt, @ipAddress, @responseApprovalStatus
-              )
-            `);
-        } else {
-          responseResult = await responseInsertRequest.query(`
-            INSERT INTO Responses (
-              ResponseId, SurveyId, RespondentName, RespondentEmail,
-              BusinessUnitId, DivisionId, DepartmentId, ApplicationId,
-              SubmittedAt, IpAddress
-            )
-            OUTPUT INSERTED.ResponseId
-            VALUES (
-              @responseId, @surveyId, @respondentName, @respondentEmail,
-              @businessUnitId, @divisionId, @departmentId, @applicationId,
-              @submittedAt, @ipAddress
-            )
+          .query(`
+            UPDATE Responses
+            SET RespondentName = @respondentName,
+                BusinessUnitId = @businessUnitId,
+                DivisionId = @divisionId,
+                DepartmentId = @departmentId
+            WHERE ResponseId = @responseId
           `);
-        }
+        await transaction.request()
+          .input('responseId', sql.UniqueIdentifier, existing.responseId)
+          .query('DELETE FROM QuestionResponses WHERE ResponseId = @responseId');
+        await this.insertQuestionResponses(transaction, submission, existing.responseId, applicationId);
+        responseIds.push(existing.responseId);
+        revisions.push({ action: 'Update', responseId: existing.responseId, applicationId, previous: existing });
+      }
 
-        const responseId = responseResult.recordset[0].ResponseId;
-        responseIds.push(responseId);
-
-        // Insert question responses
-        for (const response of request.responses) {
-          const value = response.value;
-
-          const questionResponseRequest = transaction.request()
-            .input('questionResponseId', sql.UniqueIdentifier, randomUUID())
-            .input('responseId', sql.UniqueIdentifier, responseId)
-            .input('questionId', sql.UniqueIdentifier, response.questionId)
-            .input('textValue', sql.NVarChar(sql.MAX), value.textValue || null)
-            .input('numericValue', sql.Decimal(10, 2), value.numericValue || null)
-            .input('dateValue', sql.DateTime, value.dateValue || null)
-            .input('matrixValues', sql.NVarChar(sql.MAX), value.matrixValues ? JSON.stringify(value.matrixValues) : null)
-            .input('commentValue', sql.NVarChar(sql.MAX), value.commentValue || null)
-            .input('takeoutStatus', sql.NVarChar(50), 'Active');
-
-          if (hasQuestionResponseApplicationId) {
-            await questionResponseRequest
-              .input('applicationId', sql.UniqueIdentifier, applicationId)
-              .query(`
-                INSERT INTO QuestionResponses (
-                  QuestionResponseId, ResponseId, QuestionId, ApplicationId,
-                  TextValue, NumericValue, DateValue, MatrixValues, CommentValue,
-                  TakeoutStatus
-                )
-                VALUES (
-                  @questionResponseId, @responseId, @questionId, @applicationId,
-                  @textValue, @numericValue, @dateValue, @matrixValues, @commentValue,
-                  @takeoutStatus
-                )
-              `);
-          } else {
-            await questionResponseRequest.query(`
-              INSERT INTO QuestionResponses (
-                QuestionResponseId, ResponseId, QuestionId,
-                TextValue, NumericValue, DateValue, MatrixValues, CommentValue,
-                TakeoutStatus
-              )
-              VALUES (
-                @questionResponseId, @responseId, @questionId,
-                @textValue, @numericValue, @dateValue, @matrixValues, @commentValue,
-                @takeoutStatus
-              )
-            `);
-          }
-        }
+      for (const removed of removedResponses) {
+        await transaction.request()
+          .input('responseId', sql.UniqueIdentifier, removed.responseId)
+          .query('DELETE FROM Responses WHERE ResponseId = @responseId');
+        revisions.push({ action: 'Delete', responseId: removed.responseId, previous: removed });
       }
 
+      const revision = await recordRevision(createTransactionRequest, sql, editLink.editLinkId, responseIds);
       await transaction.commit();
 
-      logger.info(`Response submitted successfully for surveyId: ${resolvedSurveyId}, responseIds: ${responseIds.join(', ')}`);
+      logger.info(`Response amended by respondent for surveyId: ${surveyId}, revision: ${revision}`);
+
+      for (const entry of revisions) {
+        const oldValues = entry.previous
+          ? { applicationId: entry.previous.applicationId, respondentName: entry.previous.respondentName, answers: entry.previous.answers }
+          : null;
+        const newValues = { revision, applicationId: entry.applicationId, respondentName: respondent.name, answers: responses };
+        if (entry.action === 'Create') {
+          await auditService.logCreate(null, 'respondent', 'Response', entry.responseId, newValues, submission.ipAddress, request.userAgent);
+        } else if (entry.action === 'Update') {
+          await auditService.logUpdate(null, 'respondent', 'Response', entry.responseId, oldValues, newValues, submission.ipAddress, request.userAgent);
+        } else {
+          await auditService.logDelete(null, 'respondent', 'Response', entry.responseId, { ...oldValues, revision }, submission.ipAddress, request.userAgent);
+        }
+      }
 
       return {
         success: true,
-        message: 'Survey response submitted successfully',
-        responseIds: responseIds
+        message: 'Survey response updated successfully',
+        responseIds,
+        revision,
+        editableUntil: survey.endDate
       };
     } catch (error) {
       if (transaction._aborted === false) {
         await transaction.rollback();
       }
-      logger.error(`Error submitting response: ${error.message}`, { error, request });
+      logger.error(`Error amending response: ${error.message}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Email the respondent the link to amend their submission. The link only
+   * goes to the email stored with the submission.
+   * @param {string} editToken - Edit token
+   * @param {string} [locale] - Email language
+   * @returns {Promise<Object>} { sent }
+   */
+  async sendEditLink(editToken, locale) {
+    try {
+      if (!(await this.hasEditLinkSupport())) {
+        throw new NotFoundError('Edit link not found');
+      }
+
+      const createRequest = this.createRequest.bind(this);
+      const editLink = await findEditLink(createRequest, sql, { NotFoundError, ValidationError }, editToken);
+      const recipient = String(editLink.respondentEmail || '').trim().toLowerCase();
+      if (!recipient) {
+        throw new ValidationError('No email address was given with this submission');
+      }
+
+      const surveyResult = await (await this.createRequest())
+        .input('surveyId', sql.UniqueIdentifier, editLink.surveyId)
+        .query('SELECT Title, EndDate FROM Surveys WHERE SurveyId = @surveyId');
+      const resolvedLocale = translationService.resolveLocale(locale);
+      const { title: surveyTitle } = await translationService.translateEventText(editLink.surveyId, resolvedLocale, {
+        title: surveyResult.recordset[0]?.Title || 'Survey'
+      });
+
+      await markEditEmailSent(createRequest, sql, { ValidationError }, editLink);
+
+      const emailService = require('./emailService');
+      const sendResult = await emailService.sendEmail({
+        to: recipient,
+        subject: emailService.getSubject('edit', resolvedLocale, surveyTitle),
+        template: 'response-edit',
+        locale: resolvedLocale,
+        data: {
+          surveyTitle,
+          editLink: this.buildEditUrl(editLink.surveyId, String(editToken).trim(), resolvedLocale),
+          editableUntil: surveyResult.recordset[0]?.EndDate || null
+        },
+        surveyId: editLink.surveyId,
+        emailType: 'Notification'
+      });
+
+      return { sent: Boolean(sendResult.success) };
+    } catch (error) {
+      logger.error(`Error sending response edit link: ${error.message}`, { error });
       throw error;
     }
   }
@@ -665,9 +1571,10 @@ class ResponseService {
    * @param {string} surveyId - Survey ID
    * @param {string} email - Respondent email
    * @param {string} applicationId - Application ID
+   * @param {Object} [options] - { verifiedOnly } only count responses with a verified email
    * @returns {Promise<boolean>} True if duplicate exists
    */
-  async checkDuplicateResponse(surveyId, email, applicationId) {
+  async checkDuplicateResponse(surveyId, email, applicationId, options = {}) {
     try {
       if (!String(surveyId || '').trim()) {
         throw new ValidationError('Survey ID is required');
@@ -702,6 +1609,9 @@ class ResponseService {
         query += ' AND PublishCycleId = @publishCycleId';
         request.input('publishCycleId', sql.UniqueIdentifier, publishCycle.PublishCycleId);
       }
+      if (options.verifiedOnly && await emailVerificationService.hasSupport()) {
+        query += ' AND EmailVerified = 1';
+      }
 
       const result = await request.query(query);
 
@@ -723,7 +1633,13 @@ class ResponseService {
    */
   async getResponses(filter = {}) {
     try {
-      return await getResponses(this.createRequest.bind(this), sql, logger, filter);
+      return await getResponses(
+        this.createRequest.bind(this),
+        sql,
+        logger,
+        () => emailVerificationService.hasSupport(),
+        filter
+      );
     } catch (error) {
       logger.error(`Error getting responses: ${error.message}`, { error, filter });
       throw error;
@@ -743,6 +1659,7 @@ class ResponseService {
         { NotFoundError, ValidationError },
         logger,
         this.hasQuestionResponseApplicationIdColumn.bind(this),
+        () => publishCycleService.hasDefinitionVersionSupport(),
         responseId,
       );
     } catch (error) {
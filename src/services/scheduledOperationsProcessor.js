@@ -208,6 +208,7 @@ class ScheduledOperationsProcessor {
         const customMessage = typeof targetCriteria.customMessage === 'string'
             ? targetCriteria.customMessage
             : '';
+        const locale = typeof targetCriteria.locale === 'string' ? targetCriteria.locale : null;
 
         const resolvedTemplate = this.resolveTemplateName(operation.EmailTemplate, 'survey-invitation');
         const legacyMessage = resolvedTemplate === 'survey-invitation' && operation.EmailTemplate !== resolvedTemplate
@@ -223,7 +224,8 @@ class ScheduledOperationsProcessor {
             includeQrCode,
             recipientEmails,
             disableDuplicateCheck: true,
-            embedCover: operation.EmbedCover
+            embedCover: operation.EmbedCover,
+            locale
         });
     }
 
@@ -245,6 +247,7 @@ class ScheduledOperationsProcessor {
         const customMessage = typeof targetCriteria.customMessage === 'string'
             ? targetCriteria.customMessage
             : '';
+        const locale = typeof targetCriteria.locale === 'string' ? targetCriteria.locale : null;
 
         const resolvedTemplate = this.resolveTemplateName(operation.EmailTemplate, 'survey-reminder');
         const legacyMessage = resolvedTemplate === 'survey-reminder' && operation.EmailTemplate !== resolvedTemplate
@@ -257,7 +260,8 @@ class ScheduledOperationsProcessor {
             customSubject,
             customMessage: customMessage || legacyMessage,
             recipientEmails,
-            embedCover: operation.EmbedCover
+            embedCover: operation.EmbedCover,
+            locale
         });
     }
 
@@ -0,0 +1,243 @@
+const { ValidationError } = require('../survey-service/errors');
+const { NPS_MAX, NPS_MIN } = require('../survey-service/question-types');
+
+/**
+ * Common scale every answer is normalised to. Matches the 0-10 range of
+ * Events.TargetScore so CurrentScore can be compared with it directly.
+ */
+const SCORE_SCALE = 10;
+
+// Question types whose answer lies on a known scale
+const SCORABLE_QUESTION_TYPES = ['Rating', 'MatrixLikert', 'NPS', 'Slider', 'Numeric'];
+
+const MAX_QUESTION_WEIGHT = 100;
+
+// Only satisfaction ratings count unless the formula opts into the other types
+const DEFAULT_FORMULA = {
+  includedTypes: ['Rating', 'MatrixLikert'],
+  questionWeights: {}
+};
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Validate a scoring formula and return it in canonical form
+ * @param {Object} formula - { includedTypes, questionWeights: { [questionId]: weight } }
+ * @returns {Object} Normalized formula
+ */
+function normalizeScoringFormula(formula) {
+  if (!formula || typeof formula !== 'object' || Array.isArray(formula)) {
+    throw new ValidationError('Scoring formula must be an object');
+  }
+
+  const includedTypes = formula.includedTypes === undefined
+    ? DEFAULT_FORMULA.includedTypes
+    : formula.includedTypes;
+  if (!Array.isArray(includedTypes) || includedTypes.length === 0) {
+    throw new ValidationError('includedTypes must be a non-empty array');
+  }
+  includedTypes.forEach((type) => {
+    if (!SCORABLE_QUESTION_TYPES.includes(type)) {
+      throw new ValidationError(`includedTypes must only contain: ${SCORABLE_QUESTION_TYPES.join(', ')}`);
+    }
+  });
+
+  const weights = formula.questionWeights === undefined || formula.questionWeights === null
+    ? {}
+    : formula.questionWeights;
+  if (typeof weights !== 'object' || Array.isArray(weights)) {
+    throw new ValidationError('questionWeights must be an object keyed by question ID');
+  }
+
+  const questionWeights = {};
+  Object.entries(weights).forEach(([questionId, value]) => {
+    const weight = Number(value);
+    if (!Number.isFinite(weight) || weight < 0 || weight > MAX_QUESTION_WEIGHT) {
+      throw new ValidationError(`Weight of question ${questionId} must be between 0 and ${MAX_QUESTION_WEIGHT}`);
+    }
+    questionWeights[questionId.toLowerCase()] = weight;
+  });
+
+  return {
+    includedTypes: SCORABLE_QUESTION_TYPES.filter((type) => includedTypes.includes(type)),
+    questionWeights
+  };
+}
+
+/**
+ * Weight of a question. Questions without an explicit weight count once;
+ * a weight of 0 leaves the question out of the score.
+ */
+function getQuestionWeight(formula, questionId) {
+  const weight = formula.questionWeights[String(questionId).toLowerCase()];
+  return weight === undefined ? 1 : weight;
+}
+
+function toFiniteNumber(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Range a question's answers lie in, from its options and the defaults the
+ * builder and renderer use
+ * @param {string} type - Question type
+ * @param {Object} options - Question options
+ * @returns {Object|null} { min, max }, null when the question has no bounded scale
+ */
+function resolveScale(type, options) {
+  let scale = null;
+  if (type === 'Rating') {
+    scale = { min: 1, max: toFiniteNumber(options.ratingScale, SCORE_SCALE) };
+  } else if (type === 'MatrixLikert') {
+    scale = { min: toFiniteNumber(options.scaleMin, 1), max: toFiniteNumber(options.scaleMax, SCORE_SCALE) };
+  } else if (type === 'NPS') {
+    scale = { min: NPS_MIN, max: NPS_MAX };
+  } else if (type === 'Slider') {
+    scale = { min: toFiniteNumber(options.min, 0), max: toFiniteNumber(options.max, 100) };
+  } else if (type === 'Numeric') {
+    // Free numeric input only scores when the question sets both bounds
+    scale = { min: toFiniteNumber(options.min, null), max: toFiniteNumber(options.max, null) };
+  }
+
+  if (!scale || scale.min === null || scale.max === null || scale.max <= scale.min) return null;
+  return scale;
+}
+
+function normalizeValue(value, scale) {
+  const number = toFiniteNumber(value, null);
+  if (number === null) return null;
+  const clamped = Math.min(Math.max(number, scale.min), scale.max);
+  return ((clamped - scale.min) / (scale.max - scale.min)) * SCORE_SCALE;
+}
+
+/**
+ * Score a single answer on the common scale. Every answer is placed between
+ * the minimum and maximum of its question's scale; matrix rows are averaged so
+ * statements on different scales weigh the same. A 0 answer is a valid answer.
+ * @param {Object} answer - { type, options, numericValue, matrixValues }
+ * @returns {number|null} Score between 0 and SCORE_SCALE, null when unanswered
+ */
+function scoreAnswer(answer) {
+  const options = parseJson(answer.options, {}) || {};
+  const scale = resolveScale(answer.type, options);
+  if (!scale) return null;
+
+  if (answer.type === 'MatrixLikert') {
+    const matrixValues = parseJson(answer.matrixValues, null);
+    if (matrixValues && typeof matrixValues === 'object') {
+      const rows = Object.values(matrixValues)
+        .map((value) => normalizeValue(value, scale))
+        .filter((value) => value !== null);
+      if (rows.length > 0) {
+        return rows.reduce((sum, value) => sum + value, 0) / rows.length;
+      }
+      return null;
+    }
+  }
+
+  return normalizeValue(answer.numericValue, scale);
+}
+
+function roundScore(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+function createAccumulator(key, name) {
+  return { key, name, weightedSum: 0, totalWeight: 0, answerCount: 0, responseIds: new Set() };
+}
+
+function addToAccumulator(accumulator, score, weight, responseId) {
+  accumulator.weightedSum += score * weight;
+  accumulator.totalWeight += weight;
+  accumulator.answerCount += 1;
+  accumulator.responseIds.add(responseId);
+}
+
+function finalizeAccumulator(accumulator) {
+  return {
+    score: accumulator.totalWeight > 0 ? roundScore(accumulator.weightedSum / accumulator.totalWeight) : null,
+    responseCount: accumulator.responseIds.size,
+    answerCount: accumulator.answerCount
+  };
+}
+
+/**
+ * Calculate the weighted event score and its breakdowns
+ * @param {Array<Object>} answers - { responseId, questionId, type, options, numericValue, matrixValues,
+ *   applicationId, applicationName, departmentId, departmentName }
+ * @param {Object} formula - Normalized formula
+ * @param {Map<string, Array<Object>>} functionsByApplication - applicationId -> [{ functionId, functionName }]
+ * @returns {Object} { score, responseCount, answerCount, byApplication, byFunction, byDepartment }
+ */
+function calculateScore(answers, formula, functionsByApplication = new Map()) {
+  const overall = createAccumulator(null, null);
+  const groups = {
+    byApplication: new Map(),
+    byFunction: new Map(),
+    byDepartment: new Map()
+  };
+
+  const addToGroup = (group, key, name, score, weight, responseId) => {
+    if (!key) return;
+    const groupKey = String(key).toLowerCase();
+    if (!group.has(groupKey)) {
+      group.set(groupKey, createAccumulator(key, name));
+    }
+    addToAccumulator(group.get(groupKey), score, weight, responseId);
+  };
+
+  answers.forEach((answer) => {
+    if (!formula.includedTypes.includes(answer.type)) return;
+    const weight = getQuestionWeight(formula, answer.questionId);
+    if (weight <= 0) return;
+    const score = scoreAnswer(answer);
+    if (score === null) return;
+
+    addToAccumulator(overall, score, weight, answer.responseId);
+    addToGroup(groups.byApplication, answer.applicationId, answer.applicationName, score, weight, answer.responseId);
+    addToGroup(groups.byDepartment, answer.departmentId, answer.departmentName, score, weight, answer.responseId);
+
+    const functions = answer.applicationId
+      ? functionsByApplication.get(String(answer.applicationId).toLowerCase()) || []
+      : [];
+    functions.forEach((fn) => {
+      addToGroup(groups.byFunction, fn.functionId, fn.functionName, score, weight, answer.responseId);
+    });
+  });
+
+  const listGroup = (group, idField, nameField) => Array.from(group.values())
+    .map((accumulator) => ({
+      [idField]: accumulator.key,
+      [nameField]: accumulator.name || null,
+      ...finalizeAccumulator(accumulator)
+    }))
+    .sort((a, b) => String(a[nameField] || '').localeCompare(String(b[nameField] || '')));
+
+  return {
+    ...finalizeAccumulator(overall),
+    byApplication: listGroup(groups.byApplication, 'applicationId', 'applicationName'),
+    byFunction: listGroup(groups.byFunction, 'functionId', 'functionName'),
+    byDepartment: listGroup(groups.byDepartment, 'departmentId', 'departmentName')
+  };
+}
+
+module.exports = {
+  DEFAULT_FORMULA,
+  SCORABLE_QUESTION_TYPES,
+  SCORE_SCALE,
+  calculateScore,
+  getQuestionWeight,
+  normalizeScoringFormula,
+  parseJson,
+  scoreAnswer
+};
@@ -0,0 +1,430 @@
+const sql = require('../database/sql-client');
+/**
+ * Scoring Service
+ * Calculates the CSI score of an event and keeps Events.CurrentScore up to date
+ */
+
+const db = require('../database/connection');
+const logger = require('../config/logger');
+const publishCycleService = require('./publishCycleService');
+const { ConflictError, NotFoundError, ValidationError } = require('./survey-service/errors');
+const { resolveSurveyIdentifier } = require('./survey-service/read-model');
+const {
+  DEFAULT_FORMULA,
+  SCORABLE_QUESTION_TYPES,
+  SCORE_SCALE,
+  calculateScore,
+  getQuestionWeight,
+  normalizeScoringFormula,
+  parseJson
+} = require('./scoring-service/formula');
+
+class ScoringService {
+  constructor() {
+    this.formulaSupportCache = null;
+    this.responsesHasApprovalStatus = null;
+    this.questionResponsesHasApplicationId = null;
+    this.eventsHasScoreCalculatedAt = null;
+  }
+
+  async hasColumn(pool, tableName, columnName) {
+    const result = await pool.request()
+      .input('tableName', sql.NVarChar(128), tableName)
+      .input('columnName', sql.NVarChar(128), columnName)
+      .query(`
+        SELECT COUNT(1) AS Cnt
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_NAME = @tableName
+          AND COLUMN_NAME = @columnName
+      `);
+    return Number(result.recordset?.[0]?.Cnt || 0) > 0;
+  }
+
+  async hasFormulaSupport(pool) {
+    if (typeof this.formulaSupportCache === 'boolean') {
+      return this.formulaSupportCache;
+    }
+
+    const result = await pool.request()
+      .query("SELECT COUNT(1) AS TableCnt FROM sys.tables WHERE name = 'EventScoringFormulas'");
+    this.formulaSupportCache = Number(result.recordset?.[0]?.TableCnt || 0) > 0;
+    return this.formulaSupportCache;
+  }
+
+  async assertFormulaSupport(pool) {
+    if (!(await this.hasFormulaSupport(pool))) {
+      throw new ConflictError('Scoring formulas are not available. Run migration 041 first.');
+    }
+  }
+
+  async hasResponseApprovalStatusColumn(pool) {
+    if (typeof this.responsesHasApprovalStatus !== 'boolean') {
+      this.responsesHasApprovalStatus = await this.hasColumn(pool, 'Responses', 'ResponseApprovalStatus');
+    }
+    return this.responsesHasApprovalStatus;
+  }
+
+  async hasQuestionResponseApplicationIdColumn(pool) {
+    if (typeof this.questionResponsesHasApplicationId !== 'boolean') {
+      this.questionResponsesHasApplicationId = await this.hasColumn(pool, 'QuestionResponses', 'ApplicationId');
+    }
+    return this.questionResponsesHasApplicationId;
+  }
+
+  async hasScoreCalculatedAtColumn(pool) {
+    if (typeof this.eventsHasScoreCalculatedAt !== 'boolean') {
+      this.eventsHasScoreCalculatedAt = await this.hasColumn(pool, 'Events', 'ScoreCalculatedAt');
+    }
+    return this.eventsHasScoreCalculatedAt;
+  }
+
+  async getEvent(pool, surveyId) {
+    const result = await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query('SELECT SurveyId, Title, TargetScore, CurrentScore FROM Events WHERE SurveyId = @surveyId');
+
+    if (result.recordset.length === 0) {
+      throw new NotFoundError('Survey not found');
+    }
+    return result.recordset[0];
+  }
+
+  async loadFormula(pool, surveyId) {
+    if (!(await this.hasFormulaSupport(pool))) {
+      return { formula: DEFAULT_FORMULA, isDefault: true, updatedBy: null, updatedAt: null };
+    }
+
+    const result = await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query('SELECT Formula, UpdatedBy, CreatedAt, UpdatedAt FROM EventScoringFormulas WHERE SurveyId = @surveyId');
+
+    const row = result.recordset[0];
+    if (!row) {
+      return { formula: DEFAULT_FORMULA, isDefault: true, updatedBy: null, updatedAt: null };
+    }
+
+    let formula;
+    try {
+      formula = normalizeScoringFormula(parseJson(row.Formula, null));
+    } catch (error) {
+      logger.warn(`Ignoring invalid scoring formula of event ${surveyId}: ${error.message}`);
+      return { formula: DEFAULT_FORMULA, isDefault: true, updatedBy: null, updatedAt: null };
+    }
+
+    return {
+      formula,
+      isDefault: false,
+      updatedBy: row.UpdatedBy || null,
+      updatedAt: row.UpdatedAt || row.CreatedAt || null
+    };
+  }
+
+  /**
+   * Load the answers that count towards the score: ApprovedFinal responses
+   * of the current publish cycle, without taken-out answers
+   */
+  async loadScoredAnswers(pool, surveyId, includedTypes) {
+    const hasApprovalStatus = await this.hasResponseApprovalStatusColumn(pool);
+    const hasAnswerApplication = await this.hasQuestionResponseApplicationIdColumn(pool);
+    const applicationColumn = hasAnswerApplication ? 'COALESCE(qr.ApplicationId, r.ApplicationId)' : 'r.ApplicationId';
+
+    const request = pool.request().input('surveyId', sql.UniqueIdentifier, surveyId);
+    const typeParams = includedTypes.map((type, index) => {
+      request.input(`type${index}`, sql.NVarChar(50), type);
+      return `@type${index}`;
+    });
+
+    let cycleFilter = '';
+    const currentCycle = await publishCycleService.getCurrentCycle(pool, surveyId);
+    if (currentCycle?.PublishCycleId) {
+      request.input('publishCycleId', sql.UniqueIdentifier, currentCycle.PublishCycleId);
+      cycleFilter = 'AND r.PublishCycleId = @publishCycleId';
+    }
+
+    const result = await request.query(`
+      SELECT
+        r.ResponseId, qr.QuestionId, q.Type, q.Options,
+        qr.NumericValue, qr.MatrixValues,
+        ${applicationColumn} AS ApplicationId, a.Name AS ApplicationName,
+        r.DepartmentId, d.Name AS DepartmentName
+      FROM QuestionResponses qr
+      INNER JOIN Responses r ON qr.ResponseId = r.ResponseId
+      INNER JOIN Questions q ON qr.QuestionId = q.QuestionId
+      LEFT JOIN Applications a ON a.ApplicationId = ${applicationColumn}
+      LEFT JOIN Departments d ON d.DepartmentId = r.DepartmentId
+      WHERE r.SurveyId = @surveyId
+        AND q.Type IN (${typeParams.join(', ')})
+        AND qr.TakeoutStatus <> 'TakenOut'
+        ${hasApprovalStatus ? "AND r.ResponseApprovalStatus = 'ApprovedFinal'" : ''}
+        ${cycleFilter}
+    `);
+
+    return result.recordset.map((row) => ({
+      responseId: row.ResponseId,
+      questionId: row.QuestionId,
+      type: row.Type,
+      options: row.Options,
+      numericValue: row.NumericValue,
+      matrixValues: row.MatrixValues,
+      applicationId: row.ApplicationId,
+      applicationName: row.ApplicationName,
+      departmentId: row.DepartmentId,
+      departmentName: row.DepartmentName
+    }));
+  }
+
+  async loadFunctionsByApplication(pool, answers) {
+    const applicationIds = [...new Set(answers
+      .map((answer) => answer.applicationId)
+      .filter(Boolean)
+      .map((id) => String(id).toLowerCase()))];
+    const functionsByApplication = new Map();
+    if (applicationIds.length === 0) {
+      return functionsByApplication;
+    }
+
+    const request = pool.request();
+    const params = applicationIds.map((applicationId, index) => {
+      request.input(`applicationId${index}`, sql.UniqueIdentifier, applicationId);
+      return `@applicationId${index}`;
+    });
+
+    const result = await request.query(`
+      SELECT fam.ApplicationId, f.FunctionId, f.Name AS FunctionName
+      FROM FunctionApplicationMappings fam
+      INNER JOIN Functions f ON fam.FunctionId = f.FunctionId
+      WHERE fam.ApplicationId IN (${params.join(', ')})
+    `);
+
+    result.recordset.forEach((row) => {
+      const key = String(row.ApplicationId).toLowerCase();
+      if (!functionsByApplication.has(key)) {
+        functionsByApplication.set(key, []);
+      }
+      functionsByApplication.get(key).push({ functionId: row.FunctionId, functionName: row.FunctionName });
+    });
+
+    return functionsByApplication;
+  }
+
+  async computeScore(pool, surveyId) {
+    const { formula, isDefault } = await this.loadFormula(pool, surveyId);
+    const answers = await this.loadScoredAnswers(pool, surveyId, formula.includedTypes);
+    const functionsByApplication = await this.loadFunctionsByApplication(pool, answers);
+    return {
+      formula: { ...formula, isDefault },
+      ...calculateScore(answers, formula, functionsByApplication)
+    };
+  }
+
+  /**
+   * Recalculate the score of an event and store it in Events.CurrentScore
+   * @param {string} surveyId - Survey ID
+   * @returns {Promise<number|null>} New score, null when nothing is scored yet
+   */
+  async recalculateEventScore(surveyId) {
+    const pool = await db.getPool();
+    const { score } = await this.computeScore(pool, surveyId);
+    const hasCalculatedAt = await this.hasScoreCalculatedAtColumn(pool);
+
+    await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('currentScore', sql.Decimal(5, 2), score)
+      .query(`
+        UPDATE Events
+        SET CurrentScore = @currentScore
+          ${hasCalculatedAt ? ', ScoreCalculatedAt = GETDATE()' : ''}
+        WHERE SurveyId = @surveyId
+      `);
+
+    logger.info('Event score recalculated', { surveyId, score });
+    return score;
+  }
+
+  /**
+   * Recalculate the events the given responses belong to. Failures are
+   * logged only: the score is derived data and must not fail the action
+   * that changed the responses.
+   * @param {Array<string>} responseIds - Response IDs
+   */
+  async refreshScoresForResponses(responseIds) {
+    const ids = [...new Set((responseIds || []).filter(Boolean))];
+    if (ids.length === 0) return;
+
+    try {
+      const pool = await db.getPool();
+      const request = pool.request();
+      const params = ids.map((responseId, index) => {
+        request.input(`responseId${index}`, sql.UniqueIdentifier, responseId);
+        return `@responseId${index}`;
+      });
+      const result = await request.query(`
+        SELECT DISTINCT SurveyId
+        FROM Responses
+        WHERE ResponseId IN (${params.join(', ')})
+      `);
+
+      for (const row of result.recordset) {
+        await this.recalculateEventScore(row.SurveyId);
+      }
+    } catch (error) {
+      logger.warn(`Unable to refresh event scores: ${error.message}`);
+    }
+  }
+
+  /**
+   * Score an event with breakdowns per application, function and department
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @returns {Promise<Object>} Score compared with TargetScore
+   */
+  async getEventScore(surveyIdentifier) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const pool = await db.getPool();
+    const event = await this.getEvent(pool, surveyId);
+    const result = await this.computeScore(pool, surveyId);
+
+    const targetScore = event.TargetScore === null || event.TargetScore === undefined
+      ? null
+      : Number(event.TargetScore);
+    const withTarget = (entry) => ({
+      ...entry,
+      status: targetScore === null || entry.score === null
+        ? null
+        : (entry.score >= targetScore ? 'On Track' : 'Below Target')
+    });
+
+    return {
+      surveyId,
+      title: event.Title,
+      scale: SCORE_SCALE,
+      targetScore,
+      currentScore: event.CurrentScore === null || event.CurrentScore === undefined ? null : Number(event.CurrentScore),
+      ...withTarget({ score: result.score, responseCount: result.responseCount, answerCount: result.answerCount }),
+      formula: result.formula,
+      byApplication: result.byApplication.map(withTarget),
+      byFunction: result.byFunction.map(withTarget),
+      byDepartment: result.byDepartment.map(withTarget)
+    };
+  }
+
+  /**
+   * Recalculate and store the score of an event on request
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @returns {Promise<Object>} Score compared with TargetScore
+   */
+  async recalculateScore(surveyIdentifier) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const pool = await db.getPool();
+    await this.getEvent(pool, surveyId);
+    await this.recalculateEventScore(surveyId);
+    return this.getEventScore(surveyId);
+  }
+
+  /**
+   * Get the scoring formula of an event
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @returns {Promise<Object>} { surveyId, isDefault, includedTypes, questionWeights, scorableQuestions }
+   */
+  async getScoringFormula(surveyIdentifier) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const pool = await db.getPool();
+    await this.getEvent(pool, surveyId);
+    const { formula, isDefault, updatedBy, updatedAt } = await this.loadFormula(pool, surveyId);
+    const questions = await this.getScorableQuestions(pool, surveyId);
+
+    return {
+      surveyId,
+      isDefault,
+      ...formula,
+      updatedBy,
+      updatedAt,
+      scorableQuestions: questions.map((question) => ({
+        questionId: question.QuestionId,
+        type: question.Type,
+        promptText: question.PromptText,
+        weight: formula.includedTypes.includes(question.Type)
+          ? getQuestionWeight(formula, question.QuestionId)
+          : 0
+      }))
+    };
+  }
+
+  async getScorableQuestions(pool, surveyId) {
+    const request = pool.request().input('surveyId', sql.UniqueIdentifier, surveyId);
+    const typeParams = SCORABLE_QUESTION_TYPES.map((type, index) => {
+      request.input(`type${index}`, sql.NVarChar(50), type);
+      return `@type${index}`;
+    });
+    const result = await request.query(`
+      SELECT QuestionId, Type, PromptText
+      FROM Questions
+      WHERE SurveyId = @surveyId
+        AND Type IN (${typeParams.join(', ')})
+      ORDER BY PageNumber, DisplayOrder
+    `);
+    return result.recordset;
+  }
+
+  /**
+   * Save the scoring formula of an event and recalculate its score
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @param {Object} data - { includedTypes, questionWeights }
+   * @param {string} updatedBy - User ID
+   * @returns {Promise<Object>} Saved formula
+   */
+  async saveScoringFormula(surveyIdentifier, data, updatedBy) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const pool = await db.getPool();
+    await this.assertFormulaSupport(pool);
+    await this.getEvent(pool, surveyId);
+
+    const formula = normalizeScoringFormula(data);
+    const questionIds = new Set((await this.getScorableQuestions(pool, surveyId))
+      .map((question) => String(question.QuestionId).toLowerCase()));
+    Object.keys(formula.questionWeights).forEach((questionId) => {
+      if (!questionIds.has(questionId)) {
+        throw new ValidationError(`Question ${questionId} is not a scorable question of this event`);
+      }
+    });
+
+    await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('formula', sql.NVarChar(sql.MAX), JSON.stringify(formula))
+      .input('updatedBy', sql.UniqueIdentifier, updatedBy || null)
+      .query(`
+        MERGE EventScoringFormulas AS target
+        USING (SELECT @surveyId AS SurveyId) AS source
+        ON target.SurveyId = source.SurveyId
+        WHEN MATCHED THEN
+          UPDATE SET Formula = @formula, UpdatedBy = @updatedBy, UpdatedAt = GETDATE()
+        WHEN NOT MATCHED THEN
+          INSERT (SurveyId, Formula, UpdatedBy, CreatedAt)
+          VALUES (@surveyId, @formula, @updatedBy, GETDATE());
+      `);
+
+    await this.recalculateEventScore(surveyId);
+    return this.getScoringFormula(surveyId);
+  }
+
+  /**
+   * Remove the scoring formula of an event so the default formula applies
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @returns {Promise<Object>} Default formula
+   */
+  async resetScoringFormula(surveyIdentifier) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const pool = await db.getPool();
+    await this.assertFormulaSupport(pool);
+    await this.getEvent(pool, surveyId);
+
+    await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query('DELETE FROM EventScoringFormulas WHERE SurveyId = @surveyId');
+
+    await this.recalculateEventScore(surveyId);
+    return this.getScoringFormula(surveyId);
+  }
+}
+
+module.exports = new ScoringService();
+module.exports.ScoringService = ScoringService;
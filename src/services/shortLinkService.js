@@ -0,0 +1,337 @@
+const sql = require('../database/sql-client');
+const crypto = require('crypto');
+const db = require('../database/connection');
+const config = require('../config');
+const { ValidationError, NotFoundError } = require('./survey-service/errors');
+
+const SHORT_LINK_CHANNELS = ['direct', 'email', 'qr', 'poster', 'intranet', 'other'];
+const CODE_ALPHABET = 'abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+const MAX_CODE_ATTEMPTS = 5;
+
+class ShortLinkService {
+  constructor() {
+    this.supportCache = null;
+  }
+
+  async getConnection(connection) {
+    if (connection && typeof connection.request === 'function') {
+      return connection;
+    }
+    return db.getPool();
+  }
+
+  async makeRequest(connection) {
+    const resolved = await this.getConnection(connection);
+    return resolved.request();
+  }
+
+  async hasSupport(connection) {
+    if (typeof this.supportCache === 'boolean') {
+      return this.supportCache;
+    }
+
+    const result = await (await this.makeRequest(connection))
+      .input('tableName', sql.NVarChar(128), 'Responses')
+      .input('columnName', sql.NVarChar(128), 'ShortLinkId')
+      .query(`
+        SELECT
+          (SELECT COUNT(1) FROM sys.tables WHERE name IN ('ShortLinks', 'ShortLinkHits')) AS TableCnt,
+          (
+            SELECT COUNT(1)
+            FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_NAME = @tableName
+              AND COLUMN_NAME = @columnName
+          ) AS ColumnCnt
+      `);
+
+    const row = result.recordset?.[0] || {};
+    this.supportCache = Number(row.TableCnt || 0) === 2 && Number(row.ColumnCnt || 0) > 0;
+    return this.supportCache;
+  }
+
+  generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i += 1) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+
+  buildShortUrl(code) {
+    return `${config.baseUrl}/s/${encodeURIComponent(code)}`;
+  }
+
+  normalizeChannel(channel) {
+    const normalized = String(channel || 'direct').trim().toLowerCase();
+    if (!SHORT_LINK_CHANNELS.includes(normalized)) {
+      throw new ValidationError(`Channel must be one of: ${SHORT_LINK_CHANNELS.join(', ')}`);
+    }
+    return normalized;
+  }
+
+  normalizeExpiresAt(expiresAt) {
+    if (expiresAt === undefined || expiresAt === null || expiresAt === '') {
+      return null;
+    }
+    const parsed = new Date(expiresAt);
+    if (Number.isNaN(parsed.getTime())) {
+      throw new ValidationError('Expiry must be a valid date');
+    }
+    if (parsed.getTime() <= Date.now()) {
+      throw new ValidationError('Expiry must be in the future');
+    }
+    return parsed;
+  }
+
+  mapShortLink(row) {
+    const expired = row.ExpiresAt ? new Date(row.ExpiresAt).getTime() <= Date.now() : false;
+    return {
+      shortLinkId: row.ShortLinkId,
+      surveyId: row.SurveyId,
+      code: row.Code,
+      channel: row.Channel,
+      label: row.Label || null,
+      url: this.buildShortUrl(row.Code),
+      expiresAt: row.ExpiresAt || null,
+      isActive: Boolean(row.IsActive),
+      isExpired: expired,
+      hitCount: Number(row.HitCount || 0),
+      lastHitAt: row.LastHitAt || null,
+      responseCount: Number(row.ResponseCount || 0),
+      createdAt: row.CreatedAt
+    };
+  }
+
+  /**
+   * Create a short link with a random code for a survey
+   * @param {Object} connection - Pool or transaction (optional)
+   * @param {Object} data - { surveyId, channel, label, expiresAt, createdBy }
+   * @returns {Promise<Object>} Created short link
+   */
+  async createShortLink(connection, data) {
+    const channel = this.normalizeChannel(data.channel);
+    const expiresAt = this.normalizeExpiresAt(data.expiresAt);
+    const label = data.label ? String(data.label).trim().slice(0, 200) : null;
+
+    for (let attempt = 1; attempt <= MAX_CODE_ATTEMPTS; attempt += 1) {
+      const code = this.generateCode();
+      try {
+        const result = await (await this.makeRequest(connection))
+          .input('shortLinkId', sql.UniqueIdentifier, crypto.randomUUID())
+          .input('surveyId', sql.UniqueIdentifier, data.surveyId)
+          .input('code', sql.NVarChar(32), code)
+          .input('channel', sql.NVarChar(20), channel)
+          .input('label', sql.NVarChar(200), label)
+          .input('expiresAt', sql.DateTime2, expiresAt)
+          .input('createdBy', sql.UniqueIdentifier, data.createdBy || null)
+          .query(`
+            INSERT INTO ShortLinks (
+              ShortLinkId, SurveyId, Code, Channel, Label, ExpiresAt,
+              IsActive, HitCount, CreatedBy, CreatedAt
+            )
+            OUTPUT INSERTED.*
+            VALUES (
+              @shortLinkId, @surveyId, @code, @channel, @label, @expiresAt,
+              1, 0, @createdBy, GETDATE()
+            )
+          `);
+        return this.mapShortLink(result.recordset[0]);
+      } catch (error) {
+        // 2627 = unique constraint violation on Code; retry with a fresh code
+        if (error?.number !== 2627 || attempt === MAX_CODE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Reuse the newest active, unexpired link of a channel or create one
+   * @param {Object} connection - Pool or transaction (optional)
+   * @param {string} surveyId - Survey ID
+   * @param {string} channel - Distribution channel
+   * @param {string} createdBy - User ID (optional)
+   * @returns {Promise<Object>} Short link
+   */
+  async getOrCreateChannelLink(connection, surveyId, channel, createdBy = null) {
+    const normalizedChannel = this.normalizeChannel(channel);
+    const result = await (await this.makeRequest(connection))
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('channel', sql.NVarChar(20), normalizedChannel)
+      .query(`
+        SELECT TOP 1 *
+        FROM ShortLinks
+        WHERE SurveyId = @surveyId
+          AND Channel = @channel
+          AND IsActive = 1
+          AND (ExpiresAt IS NULL OR ExpiresAt > GETDATE())
+          AND ISNULL(Label, '') <> 'Legacy link'
+        ORDER BY CreatedAt DESC
+      `);
+
+    if (result.recordset.length > 0) {
+      return this.mapShortLink(result.recordset[0]);
+    }
+
+    return this.createShortLink(connection, { surveyId, channel: normalizedChannel, createdBy });
+  }
+
+  /**
+   * List short links of a survey with hit and response counts
+   * @param {Object} connection - Pool or transaction (optional)
+   * @param {string} surveyId - Survey ID
+   * @returns {Promise<Object>} { links, channels }
+   */
+  async getShortLinks(connection, surveyId) {
+    const result = await (await this.makeRequest(connection))
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query(`
+        SELECT
+          sl.*,
+          (SELECT COUNT(1) FROM Responses r WHERE r.ShortLinkId = sl.ShortLinkId) AS ResponseCount
+        FROM ShortLinks sl
+        WHERE sl.SurveyId = @surveyId
+        ORDER BY sl.CreatedAt DESC
+      `);
+
+    const links = result.recordset.map((row) => this.mapShortLink(row));
+    const channelMap = new Map(SHORT_LINK_CHANNELS.map((channel) => [channel, {
+      channel,
+      linkCount: 0,
+      hitCount: 0,
+      responseCount: 0
+    }]));
+    links.forEach((link) => {
+      const summary = channelMap.get(link.channel);
+      if (!summary) return;
+      summary.linkCount += 1;
+      summary.hitCount += link.hitCount;
+      summary.responseCount += link.responseCount;
+    });
+
+    return {
+      links,
+      channels: [...channelMap.values()]
+        .filter((summary) => summary.linkCount > 0)
+        .map((summary) => ({
+          ...summary,
+          conversionRate: summary.hitCount > 0
+            ? Math.round((summary.responseCount / summary.hitCount) * 10000) / 100
+            : null
+        }))
+    };
+  }
+
+  /**
+   * Deactivate a short link so it no longer resolves
+   * @param {Object} connection - Pool or transaction (optional)
+   * @param {string} surveyId - Survey ID
+   * @param {string} shortLinkId - Short link ID
+   * @returns {Promise<Object>} Updated short link
+   */
+  async deactivateShortLink(connection, surveyId, shortLinkId) {
+    const result = await (await this.makeRequest(connection))
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('shortLinkId', sql.UniqueIdentifier, shortLinkId)
+      .query(`
+        UPDATE ShortLinks
+        SET IsActive = 0,
+            UpdatedAt = GETDATE()
+        OUTPUT INSERTED.*
+        WHERE ShortLinkId = @shortLinkId
+          AND SurveyId = @surveyId
+      `);
+
+    if (result.recordset.length === 0) {
+      throw new NotFoundError('Short link not found');
+    }
+
+    return this.mapShortLink(result.recordset[0]);
+  }
+
+  /**
+   * Resolve a short code and log the hit
+   * @param {Object} connection - Pool or transaction (optional)
+   * @param {string} code - Short link code
+   * @param {Object} hit - { ipAddress, userAgent, referrer }
+   * @returns {Promise<Object|null>} { shortLinkId, surveyId, code } or null when unknown, inactive or expired
+   */
+  async resolveShortLink(connection, code, hit = {}) {
+    const normalizedCode = String(code || '').trim();
+    if (!/^[A-Za-z0-9]{6,32}$/.test(normalizedCode)) {
+      return null;
+    }
+
+    const result = await (await this.makeRequest(connection))
+      .input('code', sql.NVarChar(32), normalizedCode)
+      .query(`
+        SELECT ShortLinkId, SurveyId, Code
+        FROM ShortLinks
+        WHERE Code = @code
+          AND IsActive = 1
+          AND (ExpiresAt IS NULL OR ExpiresAt > GETDATE())
+      `);
+
+    if (result.recordset.length === 0) {
+      return null;
+    }
+
+    const link = result.recordset[0];
+    await (await this.makeRequest(connection))
+      .input('shortLinkId', sql.UniqueIdentifier, link.ShortLinkId)
+      .input('ipAddress', sql.NVarChar(50), hit.ipAddress ? String(hit.ipAddress).slice(0, 50) : null)
+      .input('userAgent', sql.NVarChar(500), hit.userAgent ? String(hit.userAgent).slice(0, 500) : null)
+      .input('referrer', sql.NVarChar(500), hit.referrer ? String(hit.referrer).slice(0, 500) : null)
+      .query(`
+        UPDATE ShortLinks
+        SET HitCount = HitCount + 1,
+            LastHitAt = GETDATE()
+        WHERE ShortLinkId = @shortLinkId;
+
+        INSERT INTO ShortLinkHits (ShortLinkHitId, ShortLinkId, HitAt, IpAddress, UserAgent, Referrer)
+        VALUES (NEWID(), @shortLinkId, GETDATE(), @ipAddress, @userAgent, @referrer);
+      `);
+
+    return {
+      shortLinkId: link.ShortLinkId,
+      surveyId: link.SurveyId,
+      code: link.Code
+    };
+  }
+
+  /**
+   * Find the short link a response should be attributed to
+   * @param {Object} connection - Pool or transaction (optional)
+   * @param {string} surveyId - Survey ID
+   * @param {string} code - Short link code forwarded by the survey form
+   * @returns {Promise<string|null>} Short link ID
+   */
+  async findAttributionLinkId(connection, surveyId, code) {
+    const normalizedCode = String(code || '').trim();
+    if (!normalizedCode || !/^[A-Za-z0-9]{6,32}$/.test(normalizedCode)) {
+      return null;
+    }
+    if (!(await this.hasSupport(connection))) {
+      return null;
+    }
+
+    const result = await (await this.makeRequest(connection))
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('code', sql.NVarChar(32), normalizedCode)
+      .query(`
+        SELECT TOP 1 ShortLinkId
+        FROM ShortLinks
+        WHERE SurveyId = @surveyId
+          AND Code = @code
+      `);
+
+    return result.recordset[0]?.ShortLinkId || null;
+  }
+}
+
+module.exports = new ShortLinkService();
+module.exports.ShortLinkService = ShortLinkService;
+module.exports.SHORT_LINK_CHANNELS = SHORT_LINK_CHANNELS;
@@ -0,0 +1,408 @@
+const crypto = require('crypto');
+const path = require('path');
+const { generateUniqueFilename } = require('./file-utils');
+const { saveFile, deleteFile } = require('./uploads');
+
+const UPLOADED_FILE_PATTERN = /\/uploads\/([A-Za-z0-9_-]+)\/([A-Za-z0-9_-]+\.[A-Za-z0-9]+)$/;
+const CONFIGURATION_IMAGE_KEYS = ['heroImageUrl', 'logoUrl', 'backgroundImageUrl'];
+
+function parseOptions(options) {
+  if (!options) return null;
+  if (typeof options === 'string') {
+    try {
+      return JSON.parse(options);
+    } catch (error) {
+      return null;
+    }
+  }
+  return options;
+}
+
+function mapConfiguration(row) {
+  if (!row) return null;
+  return {
+    heroTitle: row.HeroTitle || null,
+    heroSubtitle: row.HeroSubtitle || null,
+    heroImageUrl: row.HeroImageUrl || null,
+    logoUrl: row.LogoUrl || null,
+    backgroundColor: row.BackgroundColor || null,
+    backgroundImageUrl: row.BackgroundImageUrl || null,
+    primaryColor: row.PrimaryColor || null,
+    secondaryColor: row.SecondaryColor || null,
+    fontFamily: row.FontFamily || null,
+    buttonStyle: row.ButtonStyle || null,
+    showProgressBar: row.ShowProgressBar !== false,
+    showPageNumbers: row.ShowPageNumbers !== false,
+    multiPage: row.MultiPage === true
+  };
+}
+
+function mapQuestion(row) {
+  return {
+    sourceQuestionId: row.QuestionId,
+    type: row.Type,
+    promptText: row.PromptText,
+    subtitle: row.Subtitle || null,
+    imageUrl: row.ImageUrl || null,
+    isMandatory: row.IsMandatory === true,
+    displayOrder: row.DisplayOrder,
+    pageNumber: row.PageNumber || 1,
+    layoutOrientation: row.LayoutOrientation || null,
+    options: parseOptions(row.Options),
+    commentRequiredBelowRating: row.CommentRequiredBelowRating ?? null,
+    bankQuestionId: row.BankQuestionId || null
+  };
+}
+
+/**
+ * Load everything needed to rebuild an event: details, configuration,
+ * questions and admin assignments.
+ * @returns {Promise<Object>} { survey, configuration, questions, assignedAdminIds }
+ */
+async function loadSurveySnapshot(db, sql, NotFoundError, surveyId) {
+  const pool = await db.getPool();
+
+  const surveyResult = await pool.request()
+    .input('surveyId', sql.UniqueIdentifier, surveyId)
+    .query('SELECT * FROM Events WHERE SurveyId = @surveyId');
+
+  if (surveyResult.recordset.length === 0) {
+    throw new NotFoundError('Survey not found');
+  }
+  const survey = surveyResult.recordset[0];
+
+  const configResult = await pool.request()
+    .input('surveyId', sql.UniqueIdentifier, surveyId)
+    .query('SELECT TOP 1 * FROM EventConfiguration WHERE SurveyId = @surveyId');
+
+  const questionsResult = await pool.request()
+    .input('surveyId', sql.UniqueIdentifier, surveyId)
+    .query('SELECT * FROM Questions WHERE SurveyId = @surveyId ORDER BY PageNumber, DisplayOrder');
+
+  const assignmentsResult = await pool.request()
+    .input('surveyId', sql.UniqueIdentifier, surveyId)
+    .query('SELECT AdminUserId FROM EventAdminAssignments WHERE SurveyId = @surveyId');
+
+  return {
+    survey: {
+      title: survey.Title,
+      description: survey.Description || null,
+      eventTypeId: survey.EventTypeId || null,
+      assignedAdminId: survey.AssignedAdminId || null,
+      targetRespondents: survey.TargetRespondents ?? null,
+      targetScore: survey.TargetScore ?? null,
+      duplicatePreventionEnabled: survey.DuplicatePreventionEnabled !== false
+    },
+    configuration: mapConfiguration(configResult.recordset[0]),
+    questions: questionsResult.recordset.map(mapQuestion),
+    assignedAdminIds: assignmentsResult.recordset.map((row) => row.AdminUserId)
+  };
+}
+
+/**
+ * Point display logic and conditional-required references at the copied questions.
+ * References keep their `q-` prefix when they had one.
+ * @param {Object|null} options - Question options
+ * @param {Map<string, string>} questionIdMap - Lower-cased source ID -> new ID
+ * @returns {Object|null} Options with remapped references
+ */
+function remapQuestionReferences(options, questionIdMap) {
+  if (!options || typeof options !== 'object') {
+    return options;
+  }
+
+  const remapRef = (value) => {
+    const raw = String(value || '').trim();
+    const hasPrefix = raw.toLowerCase().startsWith('q-');
+    const mapped = questionIdMap.get((hasPrefix ? raw.slice(2) : raw).toLowerCase());
+    if (!mapped) return value;
+    return hasPrefix ? `q-${mapped}` : mapped;
+  };
+
+  const remapRule = (rule) => {
+    if (!rule || !Array.isArray(rule.conditions)) return rule;
+    return {
+      ...rule,
+      conditions: rule.conditions.map((condition) => (
+        condition && condition.sourceQuestionId
+          ? { ...condition, sourceQuestionId: remapRef(condition.sourceQuestionId) }
+          : condition
+      ))
+    };
+  };
+
+  const remapped = { ...options };
+  if (options.displayLogic) remapped.displayLogic = remapRule(options.displayLogic);
+  if (options.pageDisplayLogic) remapped.pageDisplayLogic = remapRule(options.pageDisplayLogic);
+  if (options.conditionalRequired && options.conditionalRequired.sourceElementId) {
+    remapped.conditionalRequired = {
+      ...options.conditionalRequired,
+      sourceElementId: remapRef(options.conditionalRequired.sourceElementId)
+    };
+  }
+  return remapped;
+}
+
+/**
+ * Copy an uploaded image to a new file so the copy does not share (and later
+ * delete) the source image. External URLs are kept as they are.
+ * @returns {Promise<string|null>} URL of the copy
+ */
+async function copyUploadedFile(fileUrl, subdirectory, { config, fs, logger }) {
+  if (!fileUrl) return null;
+
+  const match = String(fileUrl).match(UPLOADED_FILE_PATTERN);
+  if (!match) return fileUrl;
+
+  const [, sourceSubdirectory, filename] = match;
+  const uploadDir = config.upload.directory || 'uploads';
+
+  let buffer;
+  try {
+    buffer = await fs.readFile(path.join(uploadDir, sourceSubdirectory, filename));
+  } catch (error) {
+    logger.warn(`Failed to copy uploaded file, keeping original URL: ${fileUrl}`, error);
+    return fileUrl;
+  }
+
+  return saveFile(buffer, generateUniqueFilename(filename), subdirectory, { config, fs, logger });
+}
+
+/**
+ * Copy every uploaded image referenced by a snapshot.
+ * @param {Object} snapshot - Snapshot from loadSurveySnapshot
+ * @param {Object} subdirectories - { configuration, questions, options } target folders
+ * @param {Object} deps - { config, fs, logger }
+ * @param {Array<string>} copiedUrls - Receives the URLs of created copies
+ * @returns {Promise<Object>} Snapshot pointing at the copies
+ */
+async function copySnapshotImages(snapshot, subdirectories, deps, copiedUrls = []) {
+  const copy = async (fileUrl, subdirectory) => {
+    const copiedUrl = await copyUploadedFile(fileUrl, subdirectory, deps);
+    if (copiedUrl && copiedUrl !== fileUrl) {
+      copiedUrls.push(copiedUrl);
+    }
+    return copiedUrl;
+  };
+
+  let configuration = snapshot.configuration;
+  if (configuration) {
+    configuration = { ...configuration };
+    for (const key of CONFIGURATION_IMAGE_KEYS) {
+      configuration[key] = await copy(configuration[key], subdirectories.configuration);
+    }
+  }
+
+  const questions = [];
+  for (const question of snapshot.questions) {
+    const copiedQuestion = {
+      ...question,
+      imageUrl: await copy(question.imageUrl, subdirectories.questions)
+    };
+
+    if (copiedQuestion.options && Array.isArray(copiedQuestion.options.options)) {
+      const optionItems = [];
+      for (const option of copiedQuestion.options.options) {
+        optionItems.push(option && typeof option === 'object' && option.imageUrl
+          ? { ...option, imageUrl: await copy(option.imageUrl, subdirectories.options) }
+          : option);
+      }
+      copiedQuestion.options = { ...copiedQuestion.options, options: optionItems };
+    }
+
+    questions.push(copiedQuestion);
+  }
+
+  return { ...snapshot, configuration, questions };
+}
+
+async function removeCopiedFiles(copiedUrls, deps) {
+  for (const fileUrl of copiedUrls) {
+    await deleteFile(fileUrl, deps);
+  }
+}
+
+/**
+ * Create a new Draft event from a snapshot. Images are copied and display
+ * logic is rewired to the new question IDs.
+ * @param {Object} db - Database connection module
+ * @param {Object} sql - mssql client
+ * @param {Object} logger - Logger
+ * @param {Object} deps - { config, fs, linkBankQuestions, syncSurveyAdminAssignments }
+ * @param {Object} snapshot - Snapshot from loadSurveySnapshot or a template
+ * @param {Object} data - { title, startDate, endDate, eventTypeId, assignedAdminIds, createdBy }
+ * @returns {Promise<Object>} Created event with configuration and questions
+ */
+async function createSurveyFromSnapshot(db, sql, logger, deps, snapshot, data) {
+  const { config, fs, linkBankQuestions, syncSurveyAdminAssignments } = deps;
+  const fileDeps = { config, fs, logger };
+  const copiedUrls = [];
+
+  let copied;
+  try {
+    copied = await copySnapshotImages(snapshot, {
+      configuration: 'surveys',
+      questions: 'questions',
+      options: 'options'
+    }, fileDeps, copiedUrls);
+  } catch (error) {
+    await removeCopiedFiles(copiedUrls, fileDeps);
+    throw error;
+  }
+
+  const questionIdMap = new Map(
+    copied.questions
+      .filter((question) => question.sourceQuestionId)
+      .map((question) => [String(question.sourceQuestionId).toLowerCase(), crypto.randomUUID()])
+  );
+
+  const pool = await db.getPool();
+  const transaction = new sql.Transaction(pool);
+
+  try {
+    await transaction.begin();
+
+    const surveyData = copied.survey || {};
+    const surveyResult = await new sql.Request(transaction)
+      .input('title', sql.NVarChar(500), data.title)
+      .input('description', sql.NVarChar(sql.MAX), surveyData.description || null)
+      .input('startDate', sql.NVarChar(32), data.startDate || null)
+      .input('endDate', sql.NVarChar(32), data.endDate || null)
+      .input('status', sql.NVarChar(50), 'Draft')
+      .input('assignedAdminId', sql.UniqueIdentifier, surveyData.assignedAdminId || null)
+      .input('targetRespondents', sql.Int, surveyData.targetRespondents || null)
+      .input('targetScore', sql.Decimal(5, 2), surveyData.targetScore || null)
+      .input('duplicatePreventionEnabled', sql.Bit, surveyData.duplicatePreventionEnabled !== false)
+      .input('eventTypeId', sql.UniqueIdentifier, data.eventTypeId || surveyData.eventTypeId || null)
+      .input('createdBy', sql.UniqueIdentifier, data.createdBy)
+      .query(`
+        IF (
+          (OBJECT_ID(N'dbo.Events', N'U') IS NOT NULL AND COL_LENGTH('dbo.Events', 'EventTypeId') IS NOT NULL)
+        ) AND OBJECT_ID(N'dbo.EventTypes', N'U') IS NOT NULL
+        BEGIN
+          INSERT INTO Events (
+            Title, Description, StartDate, EndDate, Status,
+            AssignedAdminId, TargetRespondents, TargetScore,
+            DuplicatePreventionEnabled, CreatedBy, CreatedAt, EventTypeId
+          )
+          OUTPUT INSERTED.*
+          VALUES (
+            @title, @description, CONVERT(DATETIME2, @startDate, 126), CONVERT(DATETIME2, @endDate, 126), @status,
+            @assignedAdminId, @targetRespondents, @targetScore,
+            @duplicatePreventionEnabled, @createdBy, GETDATE(),
+            COALESCE(@eventTypeId, (SELECT TOP 1 EventTypeId FROM EventTypes WHERE Code = 'SURVEY' AND IsActive = 1))
+          )
+        END
+        ELSE
+        BEGIN
+          INSERT INTO Events (
+            Title, Description, StartDate, EndDate, Status,
+            AssignedAdminId, TargetRespondents, TargetScore,
+            DuplicatePreventionEnabled, CreatedBy, CreatedAt
+          )
+          OUTPUT INSERTED.*
+          VALUES (
+            @title, @description, CONVERT(DATETIME2, @startDate, 126), CONVERT(DATETIME2, @endDate, 126), @status,
+            @assignedAdminId, @targetRespondents, @targetScore,
+            @duplicatePreventionEnabled, @createdBy, GETDATE()
+          )
+        END
+      `);
+
+    const survey = surveyResult.recordset[0];
+
+    const assignedAdminIds = data.assignedAdminIds || copied.assignedAdminIds || [];
+    if (assignedAdminIds.length > 0) {
+      await syncSurveyAdminAssignments(transaction, survey.SurveyId, assignedAdminIds);
+    }
+
+    const configuration = copied.configuration || {};
+    const configResult = await new sql.Request(transaction)
+      .input('surveyId', sql.UniqueIdentifier, survey.SurveyId)
+      .input('heroTitle', sql.NVarChar(500), configuration.heroTitle || null)
+      .input('heroSubtitle', sql.NVarChar(500), configuration.heroSubtitle || null)
+      .input('heroImageUrl', sql.NVarChar(500), configuration.heroImageUrl || null)
+      .input('logoUrl', sql.NVarChar(500), configuration.logoUrl || null)
+      .input('backgroundColor', sql.NVarChar(50), configuration.backgroundColor || null)
+      .input('backgroundImageUrl', sql.NVarChar(500), configuration.backgroundImageUrl || null)
+      .input('primaryColor', sql.NVarChar(50), configuration.primaryColor || null)
+      .input('secondaryColor', sql.NVarChar(50), configuration.secondaryColor || null)
+      .input('fontFamily', sql.NVarChar(100), configuration.fontFamily || null)
+      .input('buttonStyle', sql.NVarChar(50), configuration.buttonStyle || null)
+      .input('showProgressBar', sql.Bit, configuration.showProgressBar !== false)
+      .input('showPageNumbers', sql.Bit, configuration.showPageNumbers !== false)
+      .input('multiPage', sql.Bit, configuration.multiPage === true)
+      .query(`
+        INSERT INTO EventConfiguration (
+          SurveyId, HeroTitle, HeroSubtitle, HeroImageUrl, LogoUrl,
+          BackgroundColor, BackgroundImageUrl, PrimaryColor, SecondaryColor,
+          FontFamily, ButtonStyle, ShowProgressBar, ShowPageNumbers, MultiPage,
+          CreatedAt
+        )
+        OUTPUT INSERTED.*
+        VALUES (
+          @surveyId, @heroTitle, @heroSubtitle, @heroImageUrl, @logoUrl,
+          @backgroundColor, @backgroundImageUrl, @primaryColor, @secondaryColor,
+          @fontFamily, @buttonStyle, @showProgressBar, @showPageNumbers, @multiPage,
+          GETDATE()
+        )
+      `);
+
+    for (const question of copied.questions) {
+      const questionId = question.sourceQuestionId
+        ? questionIdMap.get(String(question.sourceQuestionId).toLowerCase())
+        : crypto.randomUUID();
+      const options = remapQuestionReferences(question.options, questionIdMap);
+      const bankQuestionId = linkBankQuestions ? question.bankQuestionId || null : null;
+
+      await new sql.Request(transaction)
+        .input('questionId', sql.UniqueIdentifier, questionId)
+        .input('surveyId', sql.UniqueIdentifier, survey.SurveyId)
+        .input('type', sql.NVarChar(50), question.type)
+        .input('promptText', sql.NVarChar(sql.MAX), question.promptText)
+        .input('subtitle', sql.NVarChar(500), question.subtitle || null)
+        .input('imageUrl', sql.NVarChar(500), question.imageUrl || null)
+        .input('isMandatory', sql.Bit, question.isMandatory || false)
+        .input('displayOrder', sql.Int, question.displayOrder)
+        .input('pageNumber', sql.Int, question.pageNumber || 1)
+        .input('layoutOrientation', sql.NVarChar(20), question.layoutOrientation || null)
+        .input('options', sql.NVarChar(sql.MAX), options ? JSON.stringify(options) : null)
+        .input('commentRequiredBelowRating', sql.Int, question.commentRequiredBelowRating || null)
+        .input('createdBy', sql.UniqueIdentifier, data.createdBy)
+        .input('bankQuestionId', sql.UniqueIdentifier, bankQuestionId)
+        .query(`
+          INSERT INTO Questions (
+            QuestionId, SurveyId, Type, PromptText, Subtitle, ImageUrl,
+            IsMandatory, DisplayOrder, PageNumber, LayoutOrientation,
+            Options, CommentRequiredBelowRating, CreatedBy, CreatedAt${bankQuestionId ? ', BankQuestionId' : ''}
+          )
+          VALUES (
+            @questionId, @surveyId, @type, @promptText, @subtitle, @imageUrl,
+            @isMandatory, @displayOrder, @pageNumber, @layoutOrientation,
+            @options, @commentRequiredBelowRating, @createdBy, GETDATE()${bankQuestionId ? ', @bankQuestionId' : ''}
+          )
+        `);
+    }
+
+    await transaction.commit();
+
+    return {
+      ...survey,
+      configuration: configResult.recordset[0],
+      questionCount: copied.questions.length
+    };
+  } catch (error) {
+    await removeCopiedFiles(copiedUrls, fileDeps);
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+module.exports = {
+  copySnapshotImages,
+  copyUploadedFile,
+  createSurveyFromSnapshot,
+  loadSurveySnapshot,
+  remapQuestionReferences,
+  removeCopiedFiles
+};
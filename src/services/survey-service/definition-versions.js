@@ -0,0 +1,41 @@
+// Questions columns copied into every definition version
+const QUESTION_VERSION_COLUMNS = [
+  'Type',
+  'PromptText',
+  'Subtitle',
+  'ImageUrl',
+  'IsMandatory',
+  'DisplayOrder',
+  'PageNumber',
+  'LayoutOrientation',
+  'Options',
+  'CommentRequiredBelowRating'
+];
+
+/**
+ * SQL join to the question version an answer was given against
+ * @param {boolean} enabled - Whether definition versions are available
+ * @param {string} alias - QuestionResponses table alias
+ * @returns {string} LEFT JOIN clause aliased `qv`, or an empty string
+ */
+function buildQuestionVersionJoin(enabled, alias = 'qr') {
+  return enabled ? `LEFT JOIN QuestionVersions qv ON qv.QuestionVersionId = ${alias}.QuestionVersionId` : '';
+}
+
+/**
+ * SQL expression reading a question column from the answered version,
+ * falling back to the live question for answers saved before versioning
+ * @param {boolean} enabled - Whether definition versions are available
+ * @param {string} column - Questions column name
+ * @param {string} alias - Questions table alias
+ * @returns {string} Column expression
+ */
+function versionedQuestionColumn(enabled, column, alias = 'q') {
+  return enabled ? `COALESCE(qv.${column}, ${alias}.${column})` : `${alias}.${column}`;
+}
+
+module.exports = {
+  QUESTION_VERSION_COLUMNS,
+  buildQuestionVersionJoin,
+  versionedQuestionColumn
+};
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const path = require('path');
+const { remapQuestionReferences } = require('./cloning');
+
+const DEFINITION_FORMAT = 'csi-portal/event-definition';
+const DEFINITION_VERSION = 1;
+const UPLOADED_ASSET_PATTERN = /\/uploads\/([A-Za-z0-9_-]+)\/([A-Za-z0-9_-]+\.[A-Za-z0-9]+)$/;
+
+function cloneJson(value) {
+  return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function toIsoString(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * List every image URL a definition points at, with where it is used
+ * @param {Object} definition - Event definition
+ * @returns {Array<Object>} [{ url, usage, uploaded }]
+ */
+function collectAssetReferences(definition) {
+  const assets = [];
+  const add = (url, usage) => {
+    if (url) {
+      assets.push({ url, usage, uploaded: UPLOADED_ASSET_PATTERN.test(String(url)) });
+    }
+  };
+
+  const configuration = definition.configuration || {};
+  add(configuration.heroImageUrl, 'configuration.heroImageUrl');
+  add(configuration.logoUrl, 'configuration.logoUrl');
+  add(configuration.backgroundImageUrl, 'configuration.backgroundImageUrl');
+
+  (definition.questions || []).forEach((question, questionIndex) => {
+    add(question.imageUrl, `questions[${questionIndex}].imageUrl`);
+    const optionItems = question.options && Array.isArray(question.options.options) ? question.options.options : [];
+    optionItems.forEach((option, optionIndex) => {
+      if (option && typeof option === 'object') {
+        add(option.imageUrl, `questions[${questionIndex}].options.options[${optionIndex}].imageUrl`);
+      }
+    });
+  });
+
+  return assets;
+}
+
+/**
+ * Build a portable event definition from a snapshot. Question IDs are kept as
+ * `ref` values so conditional rules stay readable and can be remapped on import.
+ * @param {Object} snapshot - Snapshot from loadSurveySnapshot
+ * @param {Object} meta - { sourceSurveyId, eventTypeCode, startDate, endDate, baseUrl }
+ * @returns {Object} Event definition document
+ */
+function buildSurveyDefinition(snapshot, meta = {}) {
+  const survey = snapshot.survey || {};
+  const definition = {
+    format: DEFINITION_FORMAT,
+    version: DEFINITION_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: {
+      surveyId: meta.sourceSurveyId || null,
+      baseUrl: meta.baseUrl || null
+    },
+    event: {
+      title: survey.title,
+      description: survey.description || null,
+      eventTypeCode: meta.eventTypeCode || null,
+      startDate: toIsoString(meta.startDate),
+      endDate: toIsoString(meta.endDate),
+      targetRespondents: survey.targetRespondents ?? null,
+      targetScore: survey.targetScore ?? null,
+      duplicatePreventionEnabled: survey.duplicatePreventionEnabled !== false
+    },
+    configuration: cloneJson(snapshot.configuration),
+    questions: (snapshot.questions || []).map((question) => ({
+      ref: question.sourceQuestionId ? String(question.sourceQuestionId).toLowerCase() : null,
+      type: question.type,
+      promptText: question.promptText,
+      subtitle: question.subtitle || null,
+      imageUrl: question.imageUrl || null,
+      isMandatory: question.isMandatory === true,
+      displayOrder: question.displayOrder,
+      pageNumber: question.pageNumber || 1,
+      layoutOrientation: question.layoutOrientation || null,
+      options: cloneJson(question.options),
+      commentRequiredBelowRating: question.commentRequiredBelowRating ?? null
+    }))
+  };
+
+  definition.assets = collectAssetReferences(definition);
+  return definition;
+}
+
+/**
+ * Validate an event definition and turn it into a saveSurvey payload with
+ * fresh question IDs and remapped conditional rules.
+ * @param {Object} definition - Event definition document
+ * @param {Object} deps - { ValidationError, validateQuestionType, validateLayoutOrientation, validateDisplayLogic }
+ * @returns {Object} { event, configuration, questions, assets }
+ */
+function prepareSurveyImport(definition, deps) {
+  const { ValidationError, validateQuestionType, validateLayoutOrientation, validateDisplayLogic } = deps;
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new ValidationError('Event definition must be a JSON object');
+  }
+  if (definition.format !== DEFINITION_FORMAT) {
+    throw new ValidationError(`Event definition format must be "${DEFINITION_FORMAT}"`);
+  }
+  if (Number(definition.version) !== DEFINITION_VERSION) {
+    throw new ValidationError(`Unsupported event definition version: ${definition.version}`);
+  }
+  if (!definition.event || typeof definition.event !== 'object') {
+    throw new ValidationError('Event definition must contain an event object');
+  }
+  if (!Array.isArray(definition.questions)) {
+    throw new ValidationError('Event definition must contain a questions array');
+  }
+
+  const questionIdMap = new Map();
+  definition.questions.forEach((question, index) => {
+    if (!question || typeof question !== 'object') {
+      throw new ValidationError(`Question ${index + 1} is not an object`);
+    }
+    if (!question.promptText && question.type !== 'HeroCover') {
+      throw new ValidationError(`Question ${index + 1} requires promptText`);
+    }
+    validateQuestionType(question.type);
+    if (question.layoutOrientation) {
+      validateLayoutOrientation(question.layoutOrientation);
+    }
+    if (question.options !== null && question.options !== undefined && typeof question.options !== 'object') {
+      throw new ValidationError(`Question ${index + 1} options must be an object`);
+    }
+
+    if (question.ref) {
+      const ref = String(question.ref).trim().toLowerCase();
+      if (questionIdMap.has(ref)) {
+        throw new ValidationError(`Question ref "${question.ref}" is used more than once`);
+      }
+      questionIdMap.set(ref, crypto.randomUUID());
+    }
+  });
+
+  const questions = definition.questions.map((question, index) => {
+    const options = remapQuestionReferences(question.options || null, questionIdMap);
+    validateDisplayLogic(options);
+
+    return {
+      newQuestionId: question.ref
+        ? questionIdMap.get(String(question.ref).trim().toLowerCase())
+        : crypto.randomUUID(),
+      type: question.type,
+      promptText: question.promptText || '',
+      subtitle: question.subtitle || null,
+      imageUrl: question.imageUrl || null,
+      isMandatory: question.isMandatory === true,
+      displayOrder: Number.isInteger(question.displayOrder) ? question.displayOrder : index + 1,
+      pageNumber: Number.isInteger(question.pageNumber) && question.pageNumber > 0 ? question.pageNumber : 1,
+      layoutOrientation: question.layoutOrientation || null,
+      options,
+      commentRequiredBelowRating: question.commentRequiredBelowRating ?? null
+    };
+  });
+
+  return {
+    event: definition.event,
+    configuration: definition.configuration && typeof definition.configuration === 'object'
+      ? definition.configuration
+      : null,
+    questions,
+    assets: collectAssetReferences({ configuration: definition.configuration, questions })
+  };
+}
+
+/**
+ * Find uploaded assets that are not present in this environment's upload folder.
+ * Files are not carried in the definition and must be copied separately.
+ * @param {Array<Object>} assets - From collectAssetReferences
+ * @param {Object} deps - { config, fs }
+ * @returns {Promise<Array<Object>>} Missing assets
+ */
+async function findMissingAssets(assets, { config, fs }) {
+  const uploadDir = config.upload.directory || 'uploads';
+  const missing = [];
+
+  for (const asset of assets) {
+    const match = asset.uploaded ? String(asset.url).match(UPLOADED_ASSET_PATTERN) : null;
+    if (!match) continue;
+    try {
+      await fs.access(path.join(uploadDir, match[1], match[2]));
+    } catch (error) {
+      missing.push(asset);
+    }
+  }
+
+  return missing;
+}
+
+module.exports = {
+  DEFINITION_FORMAT,
+  DEFINITION_VERSION,
+  buildSurveyDefinition,
+  collectAssetReferences,
+  findMissingAssets,
+  prepareSurveyImport
+};
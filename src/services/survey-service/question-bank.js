@@ -0,0 +1,121 @@
+const { ValidationError } = require('./errors');
+const { validateQuestionType } = require('./validators');
+
+const QUESTION_KEY_PATTERN = /^[A-Z0-9][A-Z0-9_.-]{1,99}$/;
+
+// Display logic refers to questions of one event, so it is not kept in the bank
+const EVENT_SPECIFIC_OPTIONS = ['displayLogic', 'pageDisplayLogic'];
+
+function parseOptions(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function normalizeQuestionKey(value) {
+  return String(value || '').trim().toUpperCase();
+}
+
+function assertQuestionKey(value) {
+  const questionKey = normalizeQuestionKey(value);
+  if (!QUESTION_KEY_PATTERN.test(questionKey)) {
+    throw new ValidationError('questionKey must be 2-100 characters of letters, digits, ".", "_" or "-"');
+  }
+  return questionKey;
+}
+
+function normalizeCategory(value) {
+  const category = String(value || '').trim();
+  if (category.length > 100) {
+    throw new ValidationError('category must not exceed 100 characters');
+  }
+  return category || null;
+}
+
+function normalizeBankOptions(options) {
+  if (options === undefined || options === null) return null;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new ValidationError('options must be an object');
+  }
+  const normalized = { ...options };
+  EVENT_SPECIFIC_OPTIONS.forEach((key) => {
+    delete normalized[key];
+  });
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Validate the content of a bank question
+ * @param {Object} data - { type, promptText, subtitle, options }
+ * @returns {Object} { type, promptText, subtitle, options }
+ */
+function normalizeBankQuestionContent(data) {
+  validateQuestionType(data.type);
+  if (data.type === 'HeroCover') {
+    throw new ValidationError('HeroCover blocks cannot be added to the question bank');
+  }
+
+  const promptText = String(data.promptText || '').trim();
+  if (!promptText) {
+    throw new ValidationError('promptText is required');
+  }
+
+  const subtitle = String(data.subtitle || '').trim();
+  if (subtitle.length > 500) {
+    throw new ValidationError('subtitle must not exceed 500 characters');
+  }
+
+  return {
+    type: data.type,
+    promptText,
+    subtitle: subtitle || null,
+    options: normalizeBankOptions(data.options)
+  };
+}
+
+/**
+ * Whether new content differs from a stored version. Only content changes
+ * create a new version; category changes are applied in place.
+ * @param {Object} current - Mapped bank question
+ * @param {Object} content - Result of normalizeBankQuestionContent
+ * @returns {boolean}
+ */
+function hasContentChanged(current, content) {
+  return current.type !== content.type
+    || current.promptText !== content.promptText
+    || (current.subtitle || null) !== content.subtitle
+    || JSON.stringify(current.options || null) !== JSON.stringify(content.options);
+}
+
+function mapBankQuestion(row) {
+  return {
+    bankQuestionId: row.BankQuestionId,
+    questionKey: row.QuestionKey,
+    version: Number(row.Version || 1),
+    category: row.Category || null,
+    type: row.Type,
+    promptText: row.PromptText,
+    subtitle: row.Subtitle || null,
+    options: parseOptions(row.Options),
+    isCurrent: row.IsCurrent !== false,
+    isActive: row.IsActive !== false,
+    usageCount: row.UsageCount === undefined ? undefined : Number(row.UsageCount || 0),
+    createdBy: row.CreatedBy || null,
+    createdByName: row.CreatedByName || null,
+    createdAt: row.CreatedAt,
+    updatedAt: row.UpdatedAt || null
+  };
+}
+
+module.exports = {
+  assertQuestionKey,
+  hasContentChanged,
+  mapBankQuestion,
+  normalizeBankQuestionContent,
+  normalizeCategory,
+  normalizeQuestionKey
+};
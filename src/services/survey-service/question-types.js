@@ -0,0 +1,62 @@
+const QUESTION_TYPES = [
+  'HeroCover',
+  'Text',
+  'MultipleChoice',
+  'Checkbox',
+  'Dropdown',
+  'MatrixLikert',
+  'Rating',
+  'Date',
+  'Signature',
+  'NPS',
+  'Ranking',
+  'Slider',
+  'Numeric',
+  'Email',
+  'Phone',
+  'FileUpload'
+];
+
+/**
+ * Types whose answer is stored in QuestionResponses.NumericValue but is not a
+ * satisfaction rating. Rating averages and distributions must leave them out.
+ */
+const NUMERIC_INPUT_QUESTION_TYPES = ['NPS', 'Slider', 'Numeric'];
+
+const NPS_MIN = 0;
+const NPS_MAX = 10;
+const NPS_PROMOTER_MIN = 9;
+const NPS_PASSIVE_MIN = 7;
+
+/**
+ * Classify a Net Promoter Score answer (0-6 detractor, 7-8 passive, 9-10 promoter)
+ * @param {number} value - Answer between 0 and 10
+ * @returns {string|null} 'Promoter', 'Passive', 'Detractor' or null when not a valid score
+ */
+function classifyNpsScore(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const score = Number(value);
+  if (!Number.isInteger(score) || score < NPS_MIN || score > NPS_MAX) return null;
+  if (score >= NPS_PROMOTER_MIN) return 'Promoter';
+  if (score >= NPS_PASSIVE_MIN) return 'Passive';
+  return 'Detractor';
+}
+
+/**
+ * SQL condition keeping only answers that count as ratings
+ * @param {string} alias - QuestionResponses table alias
+ * @returns {string} Condition for a WHERE clause
+ */
+function buildRatingAnswerCondition(alias = 'qr') {
+  const types = NUMERIC_INPUT_QUESTION_TYPES.map((type) => `'${type}'`).join(', ');
+  return `NOT EXISTS (SELECT 1 FROM Questions nq WHERE nq.QuestionId = ${alias}.QuestionId AND nq.Type IN (${types}))`;
+}
+
+module.exports = {
+  NPS_MAX,
+  NPS_MIN,
+  NUMERIC_INPUT_QUESTION_TYPES,
+  QUESTION_TYPES,
+  buildRatingAnswerCondition,
+  classifyNpsScore
+};
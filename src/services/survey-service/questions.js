@@ -27,9 +27,38 @@ function normalizeOptionalString(value) {
   return null;
 }
 
-async function addQuestion(db, sql, logger, errors, validators, surveyId, data) {
+/**
+ * Load the questions of an event in the shape display logic is checked on
+ * @param {Object} pool - Connection pool
+ * @param {Object} sql - mssql module
+ * @param {string} surveyId - Survey ID
+ * @returns {Promise<Array>} { questionId, pageNumber, displayOrder, options }
+ */
+async function loadLogicQuestions(pool, sql, surveyId) {
+  const result = await pool.request()
+    .input('surveyId', sql.UniqueIdentifier, surveyId)
+    .query('SELECT QuestionId, PageNumber, DisplayOrder, Options FROM Questions WHERE SurveyId = @surveyId');
+  return result.recordset.map((row) => ({
+    questionId: row.QuestionId,
+    pageNumber: row.PageNumber,
+    displayOrder: row.DisplayOrder,
+    options: row.Options
+  }));
+}
+
+function hasLogicRules(options) {
+  return Boolean(options && (options.displayLogic || options.pageDisplayLogic));
+}
+
+async function addQuestion(db, sql, logger, errors, validators, surveyId, data, hooks = {}) {
   const { NotFoundError, ValidationError } = errors;
-  const { validateLayoutOrientation, validateQuestionType } = validators;
+  const {
+    validateBankQuestionLinks,
+    validateDisplayLogic,
+    validateDisplayLogicReferences,
+    validateLayoutOrientation,
+    validateQuestionType
+  } = validators;
   const pool = await db.getPool();
 
   if (!data.type) {
@@ -43,6 +72,12 @@ async function addQuestion(db, sql, logger, errors, validators, surveyId, data)
   if (data.layoutOrientation) {
     validateLayoutOrientation(data.layoutOrientation);
   }
+  if (validateDisplayLogic && data.options) {
+    validateDisplayLogic(data.options);
+  }
+  if (validateBankQuestionLinks && data.bankQuestionId !== undefined) {
+    await validateBankQuestionLinks([{ type: data.type, bankQuestionId: data.bankQuestionId }]);
+  }
 
   const surveyCheck = await pool.request()
     .input('surveyId', sql.UniqueIdentifier, surveyId)
@@ -63,36 +98,63 @@ async function addQuestion(db, sql, logger, errors, validators, surveyId, data)
   if (pageNumber < 1) {
     throw new ValidationError('Page number must be at least 1');
   }
+  // Nothing can depend on a new question yet, so only its own rules are checked
+  if (validateDisplayLogicReferences && hasLogicRules(data.options)) {
+    const questions = await loadLogicQuestions(pool, sql, surveyId);
+    const saved = { questionId: null, pageNumber, displayOrder, options: data.options };
+    validateDisplayLogicReferences([...questions, saved], saved);
+  }
 
   const optionsJson = data.options ? JSON.stringify(data.options) : null;
-  const result = await pool.request()
-    .input('surveyId', sql.UniqueIdentifier, surveyId)
-    .input('type', sql.NVarChar(50), data.type)
-    .input('promptText', sql.NVarChar(sql.MAX), normalizeOptionalString(data.promptText) ?? '')
-    .input('subtitle', sql.NVarChar(500), normalizeOptionalString(data.subtitle))
-    .input('imageUrl', sql.NVarChar(500), normalizeOptionalString(data.imageUrl))
-    .input('isMandatory', sql.Bit, data.isMandatory || false)
-    .input('displayOrder', sql.Int, displayOrder)
-    .input('pageNumber', sql.Int, pageNumber)
-    .input('layoutOrientation', sql.NVarChar(20), data.layoutOrientation || null)
-    .input('options', sql.NVarChar(sql.MAX), optionsJson)
-    .input('commentRequiredBelowRating', sql.Int, data.commentRequiredBelowRating || null)
-    .input('createdBy', sql.UniqueIdentifier, data.createdBy)
-    .query(`
-      INSERT INTO Questions (
-        SurveyId, Type, PromptText, Subtitle, ImageUrl,
-        IsMandatory, DisplayOrder, PageNumber, LayoutOrientation,
-        Options, CommentRequiredBelowRating, CreatedBy, CreatedAt
-      )
-      OUTPUT INSERTED.*
-      VALUES (
-        @surveyId, @type, @promptText, @subtitle, @imageUrl,
-        @isMandatory, @displayOrder, @pageNumber, @layoutOrientation,
-        @options, @commentRequiredBelowRating, @createdBy, GETDATE()
-      )
-    `);
+  const bankQuestionId = data.bankQuestionId || null;
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+
+  let question;
+  try {
+    const request = new sql.Request(transaction);
+    if (bankQuestionId) {
+      request.input('bankQuestionId', sql.UniqueIdentifier, bankQuestionId);
+    }
+
+    const result = await request
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('type', sql.NVarChar(50), data.type)
+      .input('promptText', sql.NVarChar(sql.MAX), normalizeOptionalString(data.promptText) ?? '')
+      .input('subtitle', sql.NVarChar(500), normalizeOptionalString(data.subtitle))
+      .input('imageUrl', sql.NVarChar(500), normalizeOptionalString(data.imageUrl))
+      .input('isMandatory', sql.Bit, data.isMandatory || false)
+      .input('displayOrder', sql.Int, displayOrder)
+      .input('pageNumber', sql.Int, pageNumber)
+      .input('layoutOrientation', sql.NVarChar(20), data.layoutOrientation || null)
+      .input('options', sql.NVarChar(sql.MAX), optionsJson)
+      .input('commentRequiredBelowRating', sql.Int, data.commentRequiredBelowRating || null)
+      .input('createdBy', sql.UniqueIdentifier, data.createdBy)
+      .query(`
+        INSERT INTO Questions (
+          SurveyId, Type, PromptText, Subtitle, ImageUrl,
+          IsMandatory, DisplayOrder, PageNumber, LayoutOrientation,
+          Options, CommentRequiredBelowRating, CreatedBy, CreatedAt${bankQuestionId ? ', BankQuestionId' : ''}
+        )
+        OUTPUT INSERTED.*
+        VALUES (
+          @surveyId, @type, @promptText, @subtitle, @imageUrl,
+          @isMandatory, @displayOrder, @pageNumber, @layoutOrientation,
+          @options, @commentRequiredBelowRating, @createdBy, GETDATE()${bankQuestionId ? ', @bankQuestionId' : ''}
+        )
+      `);
+
+    question = result.recordset[0];
+    if (hooks.refreshDefinitionVersion) {
+      await hooks.refreshDefinitionVersion(transaction, surveyId, data.createdBy);
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
 
-  const question = result.recordset[0];
   if (question.Options) {
     question.Options = JSON.parse(question.Options);
   }
@@ -101,14 +163,20 @@ async function addQuestion(db, sql, logger, errors, validators, surveyId, data)
   return question;
 }
 
-async function updateQuestion(db, sql, logger, errors, validators, questionId, data) {
+async function updateQuestion(db, sql, logger, errors, validators, questionId, data, hooks = {}) {
   const { NotFoundError, ValidationError } = errors;
-  const { validateLayoutOrientation, validateQuestionType } = validators;
+  const {
+    validateBankQuestionLinks,
+    validateDisplayLogic,
+    validateDisplayLogicReferences,
+    validateLayoutOrientation,
+    validateQuestionType
+  } = validators;
   const pool = await db.getPool();
 
   const questionCheck = await pool.request()
     .input('questionId', sql.UniqueIdentifier, questionId)
-    .query('SELECT QuestionId, SurveyId FROM Questions WHERE QuestionId = @questionId');
+    .query('SELECT QuestionId, SurveyId, Type FROM Questions WHERE QuestionId = @questionId');
   if (questionCheck.recordset.length === 0) {
     throw new NotFoundError('Question not found');
   }
@@ -119,9 +187,25 @@ async function updateQuestion(db, sql, logger, errors, validators, questionId, d
   if (data.layoutOrientation) {
     validateLayoutOrientation(data.layoutOrientation);
   }
+  if (validateDisplayLogic && data.options) {
+    validateDisplayLogic(data.options);
+  }
+  // Moving a question can also break the rules of the questions depending on it
+  if (validateDisplayLogicReferences
+    && (hasLogicRules(data.options) || data.pageNumber !== undefined || data.displayOrder !== undefined)) {
+    const questions = await loadLogicQuestions(pool, sql, questionCheck.recordset[0].SurveyId);
+    const saved = questions.find((question) => String(question.questionId).toLowerCase() === String(questionId).toLowerCase());
+    if (saved) {
+      if (data.options !== undefined) saved.options = data.options;
+      if (data.pageNumber !== undefined) saved.pageNumber = data.pageNumber;
+      if (data.displayOrder !== undefined) saved.displayOrder = data.displayOrder;
+      validateDisplayLogicReferences(questions, saved);
+    }
+  }
 
   const updateFields = [];
-  const request = pool.request();
+  const transaction = new sql.Transaction(pool);
+  const request = new sql.Request(transaction);
   request.input('questionId', sql.UniqueIdentifier, questionId);
 
   if (data.type !== undefined) {
@@ -167,6 +251,14 @@ async function updateQuestion(db, sql, logger, errors, validators, questionId, d
     updateFields.push('CommentRequiredBelowRating = @commentRequiredBelowRating');
     request.input('commentRequiredBelowRating', sql.Int, data.commentRequiredBelowRating);
   }
+  if (validateBankQuestionLinks && data.bankQuestionId !== undefined) {
+    await validateBankQuestionLinks([{
+      type: data.type || questionCheck.recordset[0].Type,
+      bankQuestionId: data.bankQuestionId
+    }]);
+    updateFields.push('BankQuestionId = @bankQuestionId');
+    request.input('bankQuestionId', sql.UniqueIdentifier, data.bankQuestionId || null);
+  }
 
   if (updateFields.length === 0) {
     throw new ValidationError('No fields to update');
@@ -178,14 +270,27 @@ async function updateQuestion(db, sql, logger, errors, validators, questionId, d
   }
   updateFields.push('UpdatedAt = GETDATE()');
 
-  const result = await request.query(`
-    UPDATE Questions
-    SET ${updateFields.join(', ')}
-    OUTPUT INSERTED.*
-    WHERE QuestionId = @questionId
-  `);
+  await transaction.begin();
+  let question;
+  try {
+    const result = await request.query(`
+      UPDATE Questions
+      SET ${updateFields.join(', ')}
+      OUTPUT INSERTED.*
+      WHERE QuestionId = @questionId
+    `);
+
+    question = result.recordset[0];
+    if (hooks.refreshDefinitionVersion) {
+      await hooks.refreshDefinitionVersion(transaction, questionCheck.recordset[0].SurveyId, data.updatedBy);
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
 
-  const question = result.recordset[0];
   if (question.Options) {
     question.Options = JSON.parse(question.Options);
   }
@@ -194,7 +299,7 @@ async function updateQuestion(db, sql, logger, errors, validators, questionId, d
   return question;
 }
 
-async function deleteQuestion(db, sql, logger, errors, questionId) {
+async function deleteQuestion(db, sql, logger, errors, questionId, hooks = {}) {
   const { NotFoundError } = errors;
   const pool = await db.getPool();
   const transaction = new sql.Transaction(pool);
@@ -218,6 +323,10 @@ async function deleteQuestion(db, sql, logger, errors, questionId) {
       .input('deleteQuestionId', sql.UniqueIdentifier, questionId)
       .query('DELETE FROM Questions WHERE QuestionId = @deleteQuestionId');
 
+    if (hooks.refreshDefinitionVersion) {
+      await hooks.refreshDefinitionVersion(transaction, questionCheck.recordset[0].SurveyId);
+    }
+
     await transaction.commit();
     logger.info('Question deleted', { questionId });
     return result.rowsAffected[0] > 0;
@@ -229,7 +338,7 @@ async function deleteQuestion(db, sql, logger, errors, questionId) {
   }
 }
 
-async function reorderQuestions(db, sql, logger, errors, surveyId, questionOrders) {
+async function reorderQuestions(db, sql, logger, errors, surveyId, questionOrders, hooks = {}) {
   const { NotFoundError, ValidationError } = errors;
   const pool = await db.getPool();
   const transaction = new sql.Transaction(pool);
@@ -262,6 +371,10 @@ async function reorderQuestions(db, sql, logger, errors, surveyId, questionOrder
         `);
     }
 
+    if (hooks.refreshDefinitionVersion) {
+      await hooks.refreshDefinitionVersion(transaction, surveyId);
+    }
+
     await transaction.commit();
     logger.info('Questions reordered', { surveyId, count: questionOrders.length });
 
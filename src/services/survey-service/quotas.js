@@ -0,0 +1,100 @@
+const { ValidationError } = require('./errors');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_QUOTA = 100000;
+
+// Segment types a quota can apply to, with the Responses column they count by
+const QUOTA_SEGMENTS = {
+  BusinessUnit: { column: 'BusinessUnitId', property: 'businessUnitId', table: 'BusinessUnits', label: 'business unit' },
+  Department: { column: 'DepartmentId', property: 'departmentId', table: 'Departments', label: 'department' },
+  Application: { column: 'ApplicationId', property: 'applicationId', table: 'Applications', label: 'application' }
+};
+
+function segmentKey(segmentType, segmentId) {
+  return `${segmentType}:${String(segmentId).toLowerCase()}`;
+}
+
+/**
+ * Validate the quotas of an event
+ * @param {Array<Object>} quotas - [{ segmentType, segmentId, maxResponses }]
+ * @returns {Array<Object>} Normalized quotas
+ */
+function normalizeQuotas(quotas) {
+  if (!Array.isArray(quotas)) {
+    throw new ValidationError('quotas must be an array');
+  }
+
+  const seen = new Set();
+  return quotas.map((quota, index) => {
+    const segmentType = String(quota?.segmentType || '').trim();
+    if (!QUOTA_SEGMENTS[segmentType]) {
+      throw new ValidationError(`quotas[${index}].segmentType must be one of ${Object.keys(QUOTA_SEGMENTS).join(', ')}`);
+    }
+
+    const segmentId = String(quota.segmentId || '').trim().toLowerCase();
+    if (!UUID_PATTERN.test(segmentId)) {
+      throw new ValidationError(`quotas[${index}].segmentId must be a valid UUID`);
+    }
+
+    const maxResponses = Number(quota.maxResponses);
+    if (!Number.isInteger(maxResponses) || maxResponses < 1 || maxResponses > MAX_QUOTA) {
+      throw new ValidationError(`quotas[${index}].maxResponses must be a whole number between 1 and ${MAX_QUOTA}`);
+    }
+
+    const key = segmentKey(segmentType, segmentId);
+    if (seen.has(key)) {
+      throw new ValidationError(`The ${QUOTA_SEGMENTS[segmentType].label} ${segmentId} has more than one quota`);
+    }
+    seen.add(key);
+
+    return { segmentType, segmentId, maxResponses };
+  });
+}
+
+function mapQuotaProgress(row) {
+  const maxResponses = Number(row.MaxResponses || 0);
+  const responseCount = Number(row.ResponseCount || 0);
+  return {
+    quotaId: row.QuotaId,
+    segmentType: row.SegmentType,
+    segmentId: row.SegmentId,
+    segmentName: row.SegmentName || null,
+    maxResponses,
+    responseCount,
+    remaining: Math.max(maxResponses - responseCount, 0),
+    percentage: maxResponses > 0 ? Math.min(Math.round((responseCount / maxResponses) * 10000) / 100, 100) : 0,
+    isFull: responseCount >= maxResponses
+  };
+}
+
+/**
+ * Find the first quota a submission would push past its maximum
+ * @param {Array<Object>} quotas - Result of mapQuotaProgress
+ * @param {Array<Object>} submissions - [{ businessUnitId, departmentId, applicationId }], one per response
+ * @returns {Object|null} Exceeded quota
+ */
+function findExceededQuota(quotas, submissions) {
+  return (quotas || []).find((quota) => {
+    const { property } = QUOTA_SEGMENTS[quota.segmentType] || {};
+    if (!property) return false;
+
+    const added = (submissions || []).filter((submission) => submission[property]
+      && String(submission[property]).toLowerCase() === String(quota.segmentId).toLowerCase()).length;
+    return added > 0 && quota.responseCount + added > quota.maxResponses;
+  }) || null;
+}
+
+function buildQuotaReachedMessage(quota) {
+  const { label } = QUOTA_SEGMENTS[quota.segmentType];
+  const name = quota.segmentName ? `${label} ${quota.segmentName}` : `this ${label}`;
+  return `Thank you for your interest. The response quota for ${name} has been reached, so no more responses are accepted for it.`;
+}
+
+module.exports = {
+  QUOTA_SEGMENTS,
+  buildQuotaReachedMessage,
+  findExceededQuota,
+  mapQuotaProgress,
+  normalizeQuotas,
+  segmentKey
+};
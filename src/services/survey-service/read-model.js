@@ -187,6 +187,7 @@ function mapSurveyListRow(row) {
     QRCodeDataUrl: row.QRCodeDataUrl,
     EmbedCode: row.EmbedCode,
     DuplicatePreventionEnabled: row.DuplicatePreventionEnabled,
+    EmailVerificationRequired: row.EmailVerificationRequired === true || row.EmailVerificationRequired === 1,
     CreatedAt: row.CreatedAt,
     CreatedBy: row.CreatedBy,
     UpdatedAt: row.UpdatedAt,
@@ -281,6 +282,7 @@ async function getSurveyById(db, sql, NotFoundError, surveyIdentifier) {
     QRCodeDataUrl: row.QRCodeDataUrl,
     EmbedCode: row.EmbedCode,
     DuplicatePreventionEnabled: row.DuplicatePreventionEnabled,
+    EmailVerificationRequired: row.EmailVerificationRequired === true || row.EmailVerificationRequired === 1,
     CreatedAt: row.CreatedAt,
     CreatedBy: row.CreatedBy,
     UpdatedAt: row.UpdatedAt,
@@ -139,11 +139,20 @@ async function syncSurveyConfiguration(transaction, surveyId, configuration) {
   }
 }
 
-async function syncSurveyQuestions(transaction, surveyId, questions, isUpdate, userId, validateQuestionType, validateLayoutOrientation) {
+async function syncSurveyQuestions(transaction, surveyId, questions, isUpdate, userId, validateQuestionType, validateLayoutOrientation, validateDisplayLogic = null, linkBankQuestions = false, validateDisplayLogicReferences = null) {
   if (!questions || !Array.isArray(questions)) {
     return;
   }
 
+  if (validateDisplayLogicReferences) {
+    validateDisplayLogicReferences(questions.map((question) => ({
+      questionId: question.QuestionId || question.newQuestionId || null,
+      pageNumber: question.pageNumber || 1,
+      displayOrder: question.displayOrder,
+      options: question.options
+    })));
+  }
+
   if (isUpdate) {
     const existingQuestionsResult = await new sql.Request(transaction)
       .input('surveyId', sql.UniqueIdentifier, surveyId)
@@ -170,10 +179,21 @@ async function syncSurveyQuestions(transaction, surveyId, questions, isUpdate, u
       validateLayoutOrientation(question.layoutOrientation);
     }
 
+    if (validateDisplayLogic) {
+      validateDisplayLogic(question.options);
+    }
+
     const optionsJson = question.options ? JSON.stringify(question.options) : null;
+    // Questions saved without bankQuestionId keep their current link
+    const setBankLink = linkBankQuestions && question.bankQuestionId !== undefined;
 
     if (question.QuestionId) {
-      await new sql.Request(transaction)
+      const updateRequest = new sql.Request(transaction);
+      if (setBankLink) {
+        updateRequest.input('bankQuestionId', sql.UniqueIdentifier, question.bankQuestionId || null);
+      }
+
+      await updateRequest
         .input('questionId', sql.UniqueIdentifier, question.QuestionId)
         .input('type', sql.NVarChar(50), question.type)
         .input('promptText', sql.NVarChar(sql.MAX), question.promptText)
@@ -193,13 +213,24 @@ async function syncSurveyQuestions(transaction, surveyId, questions, isUpdate, u
               DisplayOrder = @displayOrder, PageNumber = @pageNumber,
               LayoutOrientation = @layoutOrientation, Options = @options,
               CommentRequiredBelowRating = @commentRequiredBelowRating,
+              ${setBankLink ? 'BankQuestionId = @bankQuestionId,' : ''}
               UpdatedBy = @updatedBy, UpdatedAt = GETDATE()
           WHERE QuestionId = @questionId
         `);
       continue;
     }
 
-    await new sql.Request(transaction)
+    // Imported definitions pre-assign IDs so display logic can reference questions of the same save
+    const insertRequest = new sql.Request(transaction);
+    if (question.newQuestionId) {
+      insertRequest.input('questionId', sql.UniqueIdentifier, question.newQuestionId);
+    }
+    const insertBankLink = setBankLink && Boolean(question.bankQuestionId);
+    if (insertBankLink) {
+      insertRequest.input('bankQuestionId', sql.UniqueIdentifier, question.bankQuestionId);
+    }
+
+    await insertRequest
       .input('surveyId', sql.UniqueIdentifier, surveyId)
       .input('type', sql.NVarChar(50), question.type)
       .input('promptText', sql.NVarChar(sql.MAX), question.promptText)
@@ -214,14 +245,14 @@ async function syncSurveyQuestions(transaction, surveyId, questions, isUpdate, u
       .input('createdBy', sql.UniqueIdentifier, userId)
       .query(`
         INSERT INTO Questions (
-          SurveyId, Type, PromptText, Subtitle, ImageUrl,
+          ${question.newQuestionId ? 'QuestionId, ' : ''}SurveyId, Type, PromptText, Subtitle, ImageUrl,
           IsMandatory, DisplayOrder, PageNumber, LayoutOrientation,
-          Options, CommentRequiredBelowRating, CreatedBy, CreatedAt
+          Options, CommentRequiredBelowRating, CreatedBy, CreatedAt${insertBankLink ? ', BankQuestionId' : ''}
         )
         VALUES (
-          @surveyId, @type, @promptText, @subtitle, @imageUrl,
+          ${question.newQuestionId ? '@questionId, ' : ''}@surveyId, @type, @promptText, @subtitle, @imageUrl,
           @isMandatory, @displayOrder, @pageNumber, @layoutOrientation,
-          @options, @commentRequiredBelowRating, @createdBy, GETDATE()
+          @options, @commentRequiredBelowRating, @createdBy, GETDATE()${insertBankLink ? ', @bankQuestionId' : ''}
         )
       `);
   }
@@ -370,6 +401,7 @@ async function createSurveyCore(transaction, data, dependencies) {
     .input('targetRespondents', sql.Int, data.targetRespondents || null)
     .input('targetScore', sql.Decimal(5, 2), data.targetScore || null)
     .input('duplicatePreventionEnabled', sql.Bit, data.duplicatePreventionEnabled !== false)
+    .input('eventTypeId', sql.UniqueIdentifier, data.eventTypeId || null)
     .input('createdBy', sql.UniqueIdentifier, data.userId)
     .query(`
       IF (
@@ -387,7 +419,7 @@ async function createSurveyCore(transaction, data, dependencies) {
           @title, @description, @startDate, @endDate, @status,
           @assignedAdminId, @targetRespondents, @targetScore,
           @duplicatePreventionEnabled, @createdBy, GETDATE(),
-          (SELECT TOP 1 EventTypeId FROM EventTypes WHERE Code = 'SURVEY' AND IsActive = 1)
+          COALESCE(@eventTypeId, (SELECT TOP 1 EventTypeId FROM EventTypes WHERE Code = 'SURVEY' AND IsActive = 1))
         )
       END
       ELSE
@@ -1,4 +1,14 @@
-async function generateSurveyLink(db, sql, config, NotFoundError, logger, surveyId, shortenUrl = false) {
+async function generateSurveyLink(
+  db,
+  sql,
+  config,
+  NotFoundError,
+  logger,
+  shortLinkService,
+  surveyId,
+  shortenUrl = false,
+  createdBy = null
+) {
   const pool = await db.getPool();
 
   const surveyResult = await pool.request()
@@ -13,8 +23,12 @@ async function generateSurveyLink(db, sql, config, NotFoundError, logger, survey
   let shortenedLink = null;
 
   if (shortenUrl) {
-    const shortCode = surveyId.substring(0, 8);
-    shortenedLink = `${config.baseUrl}/s/${shortCode}`;
+    if (await shortLinkService.hasSupport(pool)) {
+      const shortLink = await shortLinkService.getOrCreateChannelLink(pool, surveyId, 'direct', createdBy);
+      shortenedLink = shortLink.url;
+    } else {
+      logger.warn('ShortLinks table is not available; run migration 034 to enable short links');
+    }
   }
 
   await pool.request()
@@ -37,7 +51,7 @@ async function generateSurveyLink(db, sql, config, NotFoundError, logger, survey
   };
 }
 
-async function generateQRCode(db, sql, NotFoundError, logger, generateSurveyLinkFn, surveyId) {
+async function generateQRCode(db, sql, NotFoundError, logger, shortLinkService, generateSurveyLinkFn, surveyId, createdBy = null) {
   const pool = await db.getPool();
 
   const surveyResult = await pool.request()
@@ -51,6 +65,12 @@ async function generateQRCode(db, sql, NotFoundError, logger, generateSurveyLink
   const survey = surveyResult.recordset[0];
   let linkToEncode = survey.ShortenedLink || survey.SurveyLink;
 
+  // Scans get their own link so the QR channel can be told apart from shared URLs
+  if (await shortLinkService.hasSupport(pool)) {
+    const shortLink = await shortLinkService.getOrCreateChannelLink(pool, surveyId, 'qr', createdBy);
+    linkToEncode = shortLink.url;
+  }
+
   if (!linkToEncode) {
     const linkResult = await generateSurveyLinkFn(surveyId, false);
     linkToEncode = linkResult.surveyLink;
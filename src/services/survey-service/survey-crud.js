@@ -184,6 +184,8 @@ async function updateSurvey(db, sql, logger, publishCycleService, errors, helper
   if (data.targetRespondents !== undefined) updateFields.push('TargetRespondents = @targetRespondents');
   if (data.targetScore !== undefined) updateFields.push('TargetScore = @targetScore');
   if (data.duplicatePreventionEnabled !== undefined) updateFields.push('DuplicatePreventionEnabled = @duplicatePreventionEnabled');
+  if (data.autoPublish !== undefined) updateFields.push('AutoPublish = @autoPublish');
+  if (data.emailVerificationRequired !== undefined) updateFields.push('EmailVerificationRequired = @emailVerificationRequired');
 
   if (updateFields.length === 0) {
     throw new ValidationError('No fields to update');
@@ -202,6 +204,8 @@ async function updateSurvey(db, sql, logger, publishCycleService, errors, helper
     if (data.targetRespondents !== undefined) request.input('targetRespondents', sql.Int, data.targetRespondents);
     if (data.targetScore !== undefined) request.input('targetScore', sql.Decimal(5, 2), data.targetScore);
     if (data.duplicatePreventionEnabled !== undefined) request.input('duplicatePreventionEnabled', sql.Bit, data.duplicatePreventionEnabled);
+    if (data.autoPublish !== undefined) request.input('autoPublish', sql.Bit, data.autoPublish);
+    if (data.emailVerificationRequired !== undefined) request.input('emailVerificationRequired', sql.Bit, data.emailVerificationRequired);
     if (data.updatedBy) {
       updateFields.push('UpdatedBy = @updatedBy');
       request.input('updatedBy', sql.UniqueIdentifier, data.updatedBy);
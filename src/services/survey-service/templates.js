@@ -0,0 +1,178 @@
+const { copySnapshotImages, removeCopiedFiles } = require('./cloning');
+
+function parseTemplateContent(content) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+}
+
+function mapTemplate(row) {
+  return {
+    templateId: row.TemplateId,
+    name: row.Name,
+    description: row.Description || null,
+    eventTypeId: row.EventTypeId || null,
+    eventTypeCode: row.EventTypeCode || null,
+    eventTypeName: row.EventTypeName || null,
+    sourceSurveyId: row.SourceSurveyId || null,
+    questionCount: Number(row.QuestionCount || 0),
+    createdBy: row.CreatedBy || null,
+    createdByName: row.CreatedByName || null,
+    createdAt: row.CreatedAt,
+    updatedAt: row.UpdatedAt || null
+  };
+}
+
+/**
+ * Store an event snapshot as a template. Images are copied into the templates
+ * folder so deleting the source event does not break the template.
+ * @param {Object} db - Database connection module
+ * @param {Object} sql - mssql client
+ * @param {Object} logger - Logger
+ * @param {Object} deps - { config, fs }
+ * @param {Object} snapshot - Snapshot from loadSurveySnapshot
+ * @param {Object} data - { name, description, eventTypeId, sourceSurveyId, createdBy }
+ * @returns {Promise<Object>} Created template
+ */
+async function saveTemplate(db, sql, logger, deps, snapshot, data) {
+  const fileDeps = { config: deps.config, fs: deps.fs, logger };
+  const copiedUrls = [];
+
+  try {
+    const copied = await copySnapshotImages(snapshot, {
+      configuration: 'templates',
+      questions: 'templates',
+      options: 'templates'
+    }, fileDeps, copiedUrls);
+
+    // Admin assignments belong to an event, not to a reusable template
+    const content = {
+      survey: { ...copied.survey, assignedAdminId: null },
+      configuration: copied.configuration,
+      questions: copied.questions
+    };
+
+    const pool = await db.getPool();
+    const result = await pool.request()
+      .input('eventTypeId', sql.UniqueIdentifier, data.eventTypeId || null)
+      .input('name', sql.NVarChar(200), data.name)
+      .input('description', sql.NVarChar(1000), data.description || null)
+      .input('sourceSurveyId', sql.UniqueIdentifier, data.sourceSurveyId || null)
+      .input('questionCount', sql.Int, content.questions.length)
+      .input('content', sql.NVarChar(sql.MAX), JSON.stringify(content))
+      .input('createdBy', sql.UniqueIdentifier, data.createdBy || null)
+      .query(`
+        INSERT INTO SurveyTemplates (
+          EventTypeId, Name, Description, SourceSurveyId, QuestionCount,
+          Content, IsActive, CreatedBy, CreatedAt
+        )
+        OUTPUT INSERTED.*
+        VALUES (
+          @eventTypeId, @name, @description, @sourceSurveyId, @questionCount,
+          @content, 1, @createdBy, GETDATE()
+        )
+      `);
+
+    return mapTemplate(result.recordset[0]);
+  } catch (error) {
+    await removeCopiedFiles(copiedUrls, fileDeps);
+    throw error;
+  }
+}
+
+/**
+ * List active templates, optionally scoped to an event type
+ * @param {Object} db - Database connection module
+ * @param {Object} sql - mssql client
+ * @param {Object} filter - { eventTypeId, eventTypeCode, search }
+ * @returns {Promise<Array<Object>>} Templates without their content
+ */
+async function getTemplates(db, sql, filter = {}) {
+  const pool = await db.getPool();
+  const request = pool.request();
+  const conditions = ['t.IsActive = 1'];
+
+  if (filter.eventTypeId) {
+    request.input('eventTypeId', sql.UniqueIdentifier, filter.eventTypeId);
+    conditions.push('t.EventTypeId = @eventTypeId');
+  }
+  if (filter.eventTypeCode) {
+    request.input('eventTypeCode', sql.NVarChar(50), String(filter.eventTypeCode).trim().toUpperCase());
+    conditions.push('et.Code = @eventTypeCode');
+  }
+  if (filter.search) {
+    request.input('search', sql.NVarChar(200), `%${String(filter.search).trim()}%`);
+    conditions.push('(t.Name LIKE @search OR t.Description LIKE @search)');
+  }
+
+  const result = await request.query(`
+    SELECT
+      t.TemplateId, t.Name, t.Description, t.EventTypeId, t.SourceSurveyId,
+      t.QuestionCount, t.CreatedBy, t.CreatedAt, t.UpdatedAt,
+      et.Code AS EventTypeCode,
+      et.Name AS EventTypeName,
+      u.DisplayName AS CreatedByName
+    FROM SurveyTemplates t
+    LEFT JOIN EventTypes et ON et.EventTypeId = t.EventTypeId
+    LEFT JOIN Users u ON u.UserId = t.CreatedBy
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY et.Name, t.Name
+  `);
+
+  return result.recordset.map(mapTemplate);
+}
+
+/**
+ * Load an active template with its snapshot
+ * @returns {Promise<Object>} { template, snapshot }
+ */
+async function getTemplateSnapshot(db, sql, NotFoundError, templateId) {
+  const pool = await db.getPool();
+  const result = await pool.request()
+    .input('templateId', sql.UniqueIdentifier, templateId)
+    .query('SELECT * FROM SurveyTemplates WHERE TemplateId = @templateId AND IsActive = 1');
+
+  if (result.recordset.length === 0) {
+    throw new NotFoundError('Template not found');
+  }
+
+  const row = result.recordset[0];
+  const content = parseTemplateContent(row.Content) || {};
+
+  return {
+    template: mapTemplate(row),
+    snapshot: {
+      survey: content.survey || {},
+      configuration: content.configuration || null,
+      questions: Array.isArray(content.questions) ? content.questions : [],
+      assignedAdminIds: []
+    }
+  };
+}
+
+async function deactivateTemplate(db, sql, NotFoundError, templateId) {
+  const pool = await db.getPool();
+  const result = await pool.request()
+    .input('templateId', sql.UniqueIdentifier, templateId)
+    .query(`
+      UPDATE SurveyTemplates
+      SET IsActive = 0,
+          UpdatedAt = GETDATE()
+      WHERE TemplateId = @templateId
+        AND IsActive = 1
+    `);
+
+  if (!result.rowsAffected || result.rowsAffected[0] === 0) {
+    throw new NotFoundError('Template not found');
+  }
+}
+
+module.exports = {
+  deactivateTemplate,
+  getTemplateSnapshot,
+  getTemplates,
+  mapTemplate,
+  saveTemplate
+};
@@ -0,0 +1,202 @@
+const LOCALE_PATTERN = /^[a-z]{2}(-[a-z]{2})?$/;
+
+/**
+ * Option lists whose entries are shown to respondents. Answers keep the
+ * source text, so translated entries are returned as display labels only.
+ */
+const TRANSLATABLE_OPTION_LISTS = ['options', 'rows', 'columns'];
+
+/**
+ * Single text options shown to respondents
+ */
+const TRANSLATABLE_OPTION_TEXTS = [
+  'pageTitle',
+  'ratingLowLabel',
+  'ratingHighLabel',
+  'lowLabel',
+  'highLabel',
+  'minLabel',
+  'maxLabel',
+  'unit'
+];
+
+function normalizeLocale(value) {
+  const locale = String(value || '').trim().toLowerCase().replace('_', '-');
+  return LOCALE_PATTERN.test(locale) ? locale : '';
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).trim();
+}
+
+function parseOptions(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function questionKey(questionId, field) {
+  return `question.${String(questionId).toLowerCase()}.${field}`;
+}
+
+/**
+ * List the texts of an event that can be translated
+ * @param {Object} form - { title, description, configuration: { heroTitle, heroSubtitle }, questions }
+ * @returns {Array<Object>} { key, context, sourceText } in display order
+ */
+function collectTranslatableFields(form) {
+  const fields = [];
+  const add = (key, context, value) => {
+    const sourceText = toText(value);
+    if (sourceText) {
+      fields.push({ key, context, sourceText });
+    }
+  };
+
+  add('event.title', 'Event title', form.title);
+  add('event.description', 'Event description', form.description);
+  add('configuration.heroTitle', 'Hero title', form.configuration?.heroTitle);
+  add('configuration.heroSubtitle', 'Hero subtitle', form.configuration?.heroSubtitle);
+
+  (form.questions || []).forEach((question, index) => {
+    const label = `Question ${index + 1} (${question.type})`;
+    const options = parseOptions(question.options);
+
+    add(questionKey(question.questionId, 'promptText'), `${label} prompt`, question.promptText);
+    add(questionKey(question.questionId, 'subtitle'), `${label} subtitle`, question.subtitle);
+    TRANSLATABLE_OPTION_TEXTS.forEach((field) => {
+      add(questionKey(question.questionId, `options.${field}`), `${label} ${field}`, options[field]);
+    });
+    TRANSLATABLE_OPTION_LISTS.forEach((list) => {
+      if (!Array.isArray(options[list])) return;
+      options[list].forEach((entry, entryIndex) => {
+        add(
+          questionKey(question.questionId, `options.${list}.${entryIndex}`),
+          `${label} ${list} ${entryIndex + 1}`,
+          entry
+        );
+      });
+    });
+  });
+
+  return fields;
+}
+
+/**
+ * Whether a stored translation still matches the text it was made from
+ * @param {Object} translation - { sourceText, translatedText }
+ * @param {string} sourceText - Current source text
+ * @returns {boolean}
+ */
+function isCurrentTranslation(translation, sourceText) {
+  return Boolean(translation)
+    && toText(translation.translatedText) !== ''
+    && toText(translation.sourceText) === toText(sourceText);
+}
+
+/**
+ * Replace the texts of a survey form with their translations. Outdated
+ * translations are ignored so respondents never see text that no longer
+ * matches the question. Option list entries are exposed as
+ * `question.optionLabels` (source text -> translation).
+ * @param {Object} form - Survey form as returned by getSurveyForm
+ * @param {Map<string, Object>} translations - Translations keyed by translation key
+ * @returns {Object} Translated copy of the form
+ */
+function applyTranslations(form, translations) {
+  if (!translations || translations.size === 0) {
+    return form;
+  }
+
+  const translate = (key, value) => {
+    const translation = translations.get(key);
+    return isCurrentTranslation(translation, value) ? translation.translatedText : value;
+  };
+
+  return {
+    ...form,
+    title: translate('event.title', form.title),
+    description: translate('event.description', form.description),
+    configuration: form.configuration
+      ? {
+        ...form.configuration,
+        heroTitle: translate('configuration.heroTitle', form.configuration.heroTitle),
+        heroSubtitle: translate('configuration.heroSubtitle', form.configuration.heroSubtitle)
+      }
+      : form.configuration,
+    questions: (form.questions || []).map((question) => {
+      const options = parseOptions(question.options);
+      const translatedOptions = { ...options };
+      TRANSLATABLE_OPTION_TEXTS.forEach((field) => {
+        if (toText(options[field])) {
+          translatedOptions[field] = translate(questionKey(question.questionId, `options.${field}`), options[field]);
+        }
+      });
+
+      const optionLabels = {};
+      TRANSLATABLE_OPTION_LISTS.forEach((list) => {
+        if (!Array.isArray(options[list])) return;
+        options[list].forEach((entry, entryIndex) => {
+          const translated = translate(questionKey(question.questionId, `options.${list}.${entryIndex}`), entry);
+          if (translated !== entry) {
+            optionLabels[String(entry)] = translated;
+          }
+        });
+      });
+
+      return {
+        ...question,
+        promptText: translate(questionKey(question.questionId, 'promptText'), question.promptText),
+        subtitle: translate(questionKey(question.questionId, 'subtitle'), question.subtitle),
+        options: question.options ? translatedOptions : question.options,
+        optionLabels
+      };
+    })
+  };
+}
+
+/**
+ * Pair translatable fields with the stored translations of one language
+ * @param {Array<Object>} fields - Result of collectTranslatableFields
+ * @param {Map<string, Object>} translations - Translations keyed by translation key
+ * @returns {Object} { entries, completion: { total, translated, outdated, percentage } }
+ */
+function summarizeTranslations(fields, translations) {
+  const entries = fields.map((field) => {
+    const translation = translations.get(field.key);
+    const translatedText = translation ? translation.translatedText : null;
+    return {
+      ...field,
+      translatedText,
+      isOutdated: Boolean(translatedText) && !isCurrentTranslation(translation, field.sourceText),
+      updatedAt: translation?.updatedAt || null
+    };
+  });
+
+  const translated = entries.filter((entry) => entry.translatedText && !entry.isOutdated).length;
+  const outdated = entries.filter((entry) => entry.isOutdated).length;
+
+  return {
+    entries,
+    completion: {
+      total: entries.length,
+      translated,
+      outdated,
+      percentage: entries.length > 0 ? Math.round((translated / entries.length) * 100) : 100
+    }
+  };
+}
+
+module.exports = {
+  TRANSLATABLE_OPTION_LISTS,
+  TRANSLATABLE_OPTION_TEXTS,
+  applyTranslations,
+  collectTranslatableFields,
+  normalizeLocale,
+  summarizeTranslations
+};
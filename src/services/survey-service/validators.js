@@ -1,10 +1,11 @@
 const config = require('../../config');
 const { ValidationError } = require('./errors');
+const { validateDisplayLogicRule, validateDisplayLogicSources } = require('../response-service/display-logic');
+const { QUESTION_TYPES } = require('./question-types');
 
 function validateQuestionType(type) {
-  const validTypes = ['HeroCover', 'Text', 'MultipleChoice', 'Checkbox', 'Dropdown', 'MatrixLikert', 'Rating', 'Date', 'Signature'];
-  if (!validTypes.includes(type)) {
-    throw new ValidationError(`Question type must be one of: ${validTypes.join(', ')}`);
+  if (!QUESTION_TYPES.includes(type)) {
+    throw new ValidationError(`Question type must be one of: ${QUESTION_TYPES.join(', ')}`);
   }
 }
 
@@ -14,6 +15,18 @@ function validateLayoutOrientation(orientation) {
   }
 }
 
+function validateDisplayLogic(options) {
+  if (!options || typeof options !== 'object') {
+    return;
+  }
+  validateDisplayLogicRule(ValidationError, options.displayLogic, 'Display logic');
+  validateDisplayLogicRule(ValidationError, options.pageDisplayLogic, 'Page display logic');
+}
+
+function validateDisplayLogicReferences(questions, savedQuestion = null) {
+  validateDisplayLogicSources(ValidationError, questions, savedQuestion);
+}
+
 function validateImageFile(file) {
   if (!file || !file.buffer) {
     throw new ValidationError('No file provided');
@@ -48,6 +61,8 @@ function validateImageFile(file) {
 }
 
 module.exports = {
+  validateDisplayLogic,
+  validateDisplayLogicReferences,
   validateImageFile,
   validateLayoutOrientation,
   validateQuestionType
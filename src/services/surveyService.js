@@ -8,6 +8,9 @@ const config = require('../config');
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const publishCycleService = require('./publishCycleService');
+const shortLinkService = require('./shortLinkService');
+const questionBankService = require('./questionBankService');
+const emailVerificationService = require('./emailVerificationService');
 const { ValidationError, ConflictError, NotFoundError } = require('./survey-service/errors');
 const {
   calculateNextExecution,
@@ -67,6 +70,8 @@ const {
   uploadSurveyConfigurationImage
 } = require('./survey-service/uploads');
 const {
+  validateDisplayLogic,
+  validateDisplayLogicReferences,
   validateImageFile,
   validateLayoutOrientation,
   validateQuestionType
@@ -76,6 +81,21 @@ const {
   getMimeTypeFromFilename,
   getSafeExtension
 } = require('./survey-service/file-utils');
+const {
+  createSurveyFromSnapshot,
+  loadSurveySnapshot
+} = require('./survey-service/cloning');
+const {
+  buildSurveyDefinition,
+  findMissingAssets,
+  prepareSurveyImport
+} = require('./survey-service/definition');
+const {
+  deactivateTemplate,
+  getTemplateSnapshot,
+  getTemplates: getTemplatesHelper,
+  saveTemplate
+} = require('./survey-service/templates');
 const {
   uploadOptionImageAction,
   uploadQuestionImageAction,
@@ -96,6 +116,8 @@ class SurveyService {
   constructor() {
     this.surveyRepository = new BaseRepository('Surveys', 'SurveyId');
     this.configRepository = new BaseRepository('SurveyConfiguration', 'ConfigId');
+    this.templateSupportCache = null;
+    this.lifecycleSupportCache = null;
   }
 
   /**
@@ -208,6 +230,12 @@ class SurveyService {
    */
   async updateSurvey(surveyId, data) {
     try {
+      if (data.autoPublish !== undefined) {
+        await this.assertLifecycleSupport();
+      }
+      if (data.emailVerificationRequired !== undefined) {
+        await emailVerificationService.assertSupport();
+      }
       const resolvedSurveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyId);
       return await updateSurveyHelper(
         db,
@@ -258,6 +286,331 @@ class SurveyService {
     }
   }
 
+  validateCopyTitle(title) {
+    const normalizedTitle = String(title || '').trim();
+    if (!normalizedTitle) {
+      throw new ValidationError('Title is required');
+    }
+    if (normalizedTitle.length > 500) {
+      throw new ValidationError('Title must not exceed 500 characters');
+    }
+    return normalizedTitle;
+  }
+
+  resolveCopyDates(data) {
+    const startDate = data.startDate ? this.normalizeDateValue(data.startDate, 'start date') : null;
+    const endDate = data.endDate ? this.normalizeDateValue(data.endDate, 'end date') : null;
+    if (startDate && endDate) {
+      this.validateDates(startDate, endDate);
+    }
+    return { startDate, endDate };
+  }
+
+  /**
+   * Resolve admin assignments of a copied event. An Admin Event who makes the
+   * copy stays assigned so the new draft shows up in their event list.
+   */
+  async resolveCopyAdmins(data, fallbackAdminIds) {
+    const hasAssignmentPayload = data.assignedAdminIds !== undefined || data.assignedAdminId !== undefined;
+    const assignedAdminIds = hasAssignmentPayload ? this.normalizeAssignedAdminIds(data) : [...fallbackAdminIds];
+    if (hasAssignmentPayload && assignedAdminIds.length > 0) {
+      await this.validateAssignedAdmins(await db.getPool(), assignedAdminIds);
+    }
+
+    const ownerAdminId = data.ownerAdminId ? String(data.ownerAdminId) : null;
+    if (ownerAdminId && !assignedAdminIds.some((id) => String(id).toLowerCase() === ownerAdminId.toLowerCase())) {
+      assignedAdminIds.push(ownerAdminId);
+    }
+    return assignedAdminIds;
+  }
+
+  /**
+   * Clone an event into a new Draft event. Details, configuration, questions
+   * (with display logic rewired) and uploaded images are copied; responses,
+   * schedules and links are not.
+   * @param {string} surveyId - Source survey ID or code
+   * @param {Object} data - { title, startDate, endDate, assignedAdminIds, ownerAdminId, createdBy }
+   * @returns {Promise<Object>} Created survey
+   */
+  async cloneSurvey(surveyId, data = {}) {
+    try {
+      const resolvedSurveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyId);
+      if (!data.createdBy) {
+        throw new ValidationError('CreatedBy is required');
+      }
+
+      const snapshot = await loadSurveySnapshot(db, sql, NotFoundError, resolvedSurveyId);
+      const title = this.validateCopyTitle(data.title || `${snapshot.survey.title} (Copy)`.slice(0, 500));
+      const { startDate, endDate } = this.resolveCopyDates(data);
+      const assignedAdminIds = await this.resolveCopyAdmins(data, snapshot.assignedAdminIds);
+
+      const survey = await createSurveyFromSnapshot(db, sql, logger, {
+        config,
+        fs,
+        linkBankQuestions: await questionBankService.hasQuestionLinks(snapshot.questions),
+        syncSurveyAdminAssignments: this.syncSurveyAdminAssignments.bind(this)
+      }, snapshot, {
+        title,
+        startDate,
+        endDate,
+        assignedAdminIds,
+        createdBy: data.createdBy
+      });
+
+      logger.info('Survey cloned', { sourceSurveyId: resolvedSurveyId, surveyId: survey.SurveyId });
+      return survey;
+    } catch (error) {
+      logger.error('Error cloning survey:', error);
+      throw error;
+    }
+  }
+
+  async hasTemplateSupport() {
+    if (typeof this.templateSupportCache === 'boolean') {
+      return this.templateSupportCache;
+    }
+
+    const pool = await db.getPool();
+    const result = await pool.request()
+      .query("SELECT COUNT(1) AS TableCnt FROM sys.tables WHERE name = 'SurveyTemplates'");
+    this.templateSupportCache = Number(result.recordset?.[0]?.TableCnt || 0) > 0;
+    return this.templateSupportCache;
+  }
+
+  async assertTemplateSupport() {
+    if (!(await this.hasTemplateSupport())) {
+      throw new ConflictError('Event templates are not available. Run migration 038 first.');
+    }
+  }
+
+  async hasLifecycleSupport() {
+    if (typeof this.lifecycleSupportCache === 'boolean') {
+      return this.lifecycleSupportCache;
+    }
+
+    const pool = await db.getPool();
+    const result = await pool.request()
+      .query("SELECT CASE WHEN COL_LENGTH('Events', 'AutoPublish') IS NULL THEN 0 ELSE 1 END AS Supported");
+    this.lifecycleSupportCache = Number(result.recordset?.[0]?.Supported || 0) === 1;
+    return this.lifecycleSupportCache;
+  }
+
+  async assertLifecycleSupport() {
+    if (!(await this.hasLifecycleSupport())) {
+      throw new ConflictError('Automatic publishing is not available. Run migration 040 first.');
+    }
+  }
+
+  /**
+   * Save an event as a reusable template scoped to its event type
+   * @param {string} surveyId - Source survey ID or code
+   * @param {Object} data - { name, description, createdBy }
+   * @returns {Promise<Object>} Created template
+   */
+  async saveSurveyAsTemplate(surveyId, data = {}) {
+    try {
+      const resolvedSurveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyId);
+      await this.assertTemplateSupport();
+
+      const snapshot = await loadSurveySnapshot(db, sql, NotFoundError, resolvedSurveyId);
+      const name = String(data.name || snapshot.survey.title || '').trim();
+      if (!name) {
+        throw new ValidationError('Template name is required');
+      }
+      if (name.length > 200) {
+        throw new ValidationError('Template name must not exceed 200 characters');
+      }
+
+      const template = await saveTemplate(db, sql, logger, { config, fs }, snapshot, {
+        name,
+        description: data.description ? String(data.description).trim() : null,
+        eventTypeId: snapshot.survey.eventTypeId,
+        sourceSurveyId: resolvedSurveyId,
+        createdBy: data.createdBy
+      });
+
+      logger.info('Survey saved as template', { surveyId: resolvedSurveyId, templateId: template.templateId });
+      return template;
+    } catch (error) {
+      logger.error('Error saving survey as template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List active templates
+   * @param {Object} filter - { eventTypeId, eventTypeCode, search }
+   * @returns {Promise<Array<Object>>} Templates
+   */
+  async getTemplates(filter = {}) {
+    try {
+      await this.assertTemplateSupport();
+      return await getTemplatesHelper(db, sql, filter);
+    } catch (error) {
+      logger.error('Error getting templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new Draft event from a template
+   * @param {string} templateId - Template ID
+   * @param {Object} data - { title, startDate, endDate, assignedAdminIds, ownerAdminId, createdBy }
+   * @returns {Promise<Object>} Created survey
+   */
+  async createSurveyFromTemplate(templateId, data = {}) {
+    try {
+      await this.assertTemplateSupport();
+      if (!data.createdBy) {
+        throw new ValidationError('CreatedBy is required');
+      }
+
+      const { template, snapshot } = await getTemplateSnapshot(db, sql, NotFoundError, templateId);
+      const title = this.validateCopyTitle(data.title || template.name);
+      const { startDate, endDate } = this.resolveCopyDates(data);
+      const assignedAdminIds = await this.resolveCopyAdmins(data, []);
+
+      const survey = await createSurveyFromSnapshot(db, sql, logger, {
+        config,
+        fs,
+        linkBankQuestions: await questionBankService.hasQuestionLinks(snapshot.questions),
+        syncSurveyAdminAssignments: this.syncSurveyAdminAssignments.bind(this)
+      }, snapshot, {
+        title,
+        startDate,
+        endDate,
+        eventTypeId: template.eventTypeId,
+        assignedAdminIds,
+        createdBy: data.createdBy
+      });
+
+      logger.info('Survey created from template', { templateId, surveyId: survey.SurveyId });
+      return survey;
+    } catch (error) {
+      logger.error('Error creating survey from template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a template from the library
+   * @param {string} templateId - Template ID
+   * @returns {Promise<boolean>} True if removed
+   */
+  async deleteTemplate(templateId) {
+    try {
+      await this.assertTemplateSupport();
+      await deactivateTemplate(db, sql, NotFoundError, templateId);
+      logger.info('Template deactivated', { templateId });
+      return true;
+    } catch (error) {
+      logger.error('Error deleting template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export an event as a portable JSON definition (event, configuration,
+   * questions with options and conditional rules, and asset references)
+   * @param {string} surveyId - Survey ID or code
+   * @returns {Promise<Object>} Event definition document
+   */
+  async exportSurveyDefinition(surveyId) {
+    try {
+      const resolvedSurveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyId);
+      const snapshot = await loadSurveySnapshot(db, sql, NotFoundError, resolvedSurveyId);
+
+      const pool = await db.getPool();
+      const eventResult = await pool.request()
+        .input('surveyId', sql.UniqueIdentifier, resolvedSurveyId)
+        .query(`
+          SELECT e.StartDate, e.EndDate, et.Code AS EventTypeCode
+          FROM Events e
+          LEFT JOIN EventTypes et ON et.EventTypeId = e.EventTypeId
+          WHERE e.SurveyId = @surveyId
+        `);
+      const eventRow = eventResult.recordset[0] || {};
+
+      return buildSurveyDefinition(snapshot, {
+        sourceSurveyId: resolvedSurveyId,
+        eventTypeCode: eventRow.EventTypeCode || null,
+        startDate: eventRow.StartDate,
+        endDate: eventRow.EndDate,
+        baseUrl: config.baseUrl
+      });
+    } catch (error) {
+      logger.error('Error exporting survey definition:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import a JSON definition as a new Draft event. Question IDs are regenerated
+   * and conditional rules remapped, then the event goes through saveSurvey.
+   * @param {Object} definition - Event definition document
+   * @param {Object} data - { title, startDate, endDate, ownerAdminId, userId }
+   * @returns {Promise<Object>} { survey, missingAssets }
+   */
+  async importSurveyDefinition(definition, data = {}) {
+    try {
+      if (!data.userId) {
+        throw new ValidationError('userId is required');
+      }
+
+      const prepared = prepareSurveyImport(definition, {
+        ValidationError,
+        validateQuestionType: this.validateQuestionType.bind(this),
+        validateLayoutOrientation: this.validateLayoutOrientation.bind(this),
+        validateDisplayLogic: this.validateDisplayLogic.bind(this)
+      });
+
+      let eventTypeId = null;
+      if (prepared.event.eventTypeCode) {
+        const pool = await db.getPool();
+        const eventTypeResult = await pool.request()
+          .input('code', sql.NVarChar(50), String(prepared.event.eventTypeCode).trim().toUpperCase())
+          .query('SELECT TOP 1 EventTypeId FROM EventTypes WHERE Code = @code AND IsActive = 1');
+        if (eventTypeResult.recordset.length === 0) {
+          throw new ValidationError(`Event type ${prepared.event.eventTypeCode} does not exist in this environment`);
+        }
+        eventTypeId = eventTypeResult.recordset[0].EventTypeId;
+      }
+
+      const survey = await this.saveSurvey({
+        title: data.title || prepared.event.title,
+        description: prepared.event.description || null,
+        startDate: data.startDate || prepared.event.startDate,
+        endDate: data.endDate || prepared.event.endDate,
+        status: 'Draft',
+        targetRespondents: prepared.event.targetRespondents ?? null,
+        targetScore: prepared.event.targetScore ?? null,
+        duplicatePreventionEnabled: prepared.event.duplicatePreventionEnabled !== false,
+        eventTypeId,
+        configuration: prepared.configuration,
+        questions: prepared.questions,
+        userId: data.userId
+      });
+
+      if (data.ownerAdminId) {
+        await this.syncSurveyAdminAssignments(await db.getPool(), survey.SurveyId, [data.ownerAdminId]);
+      }
+
+      const missingAssets = await findMissingAssets(prepared.assets, { config, fs });
+      if (missingAssets.length > 0) {
+        logger.warn('Imported survey references uploads missing from this environment', {
+          surveyId: survey.SurveyId,
+          missingAssets: missingAssets.map((asset) => asset.url)
+        });
+      }
+
+      logger.info('Survey definition imported', { surveyId: survey.SurveyId, questions: prepared.questions.length });
+      return { survey, missingAssets };
+    } catch (error) {
+      logger.error('Error importing survey definition:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get surveys with optional filtering
    * @param {Object} [filter] - Filter options
@@ -359,7 +712,8 @@ class SurveyService {
    * @param {number} [data.targetScore] - Target score
    * @param {boolean} [data.duplicatePreventionEnabled=true] - Enable duplicate prevention
    * @param {Object} [data.configuration] - Survey configuration (theme)
-   * @param {Array} [data.questions] - Array of questions
+   * @param {Array} [data.questions] - Array of questions (bankQuestionId links a question to the question bank)
+   * @param {string} [data.eventTypeId] - Event type for new events (defaults to SURVEY)
    * @param {string} data.userId - User ID performing the operation (createdBy or updatedBy)
    * @returns {Promise<Object>} Saved survey with complete data
    */
@@ -369,6 +723,7 @@ class SurveyService {
       throw new ValidationError('userId is required');
     }
 
+    const linkBankQuestions = await questionBankService.validateQuestionLinks(data.questions);
     const pool = await db.getPool();
     const transaction = new sql.Transaction(pool);
 
@@ -405,8 +760,14 @@ class SurveyService {
         isUpdate,
         data.userId,
         this.validateQuestionType.bind(this),
-        this.validateLayoutOrientation.bind(this)
+        this.validateLayoutOrientation.bind(this),
+        this.validateDisplayLogic.bind(this),
+        linkBankQuestions,
+        this.validateDisplayLogicReferences.bind(this)
       );
+      if (isUpdate) {
+        await publishCycleService.refreshDefinitionVersion(transaction, survey.SurveyId, data.userId);
+      }
 
       await transaction.commit();
 
@@ -446,6 +807,25 @@ class SurveyService {
     return validateLayoutOrientation(orientation);
   }
 
+  /**
+   * Validate question and page display logic rules
+   * @param {Object} options - Question options
+   * @throws {ValidationError} If a rule is malformed
+   */
+  validateDisplayLogic(options) {
+    return validateDisplayLogic(options);
+  }
+
+  /**
+   * Validate that display logic only depends on earlier questions of the event
+   * @param {Array} questions - Event questions (questionId, pageNumber, displayOrder, options)
+   * @param {Object} [savedQuestion] - Item of questions that is being saved
+   * @throws {ValidationError} If a source is missing, the question itself or comes later
+   */
+  validateDisplayLogicReferences(questions, savedQuestion) {
+    return validateDisplayLogicReferences(questions, savedQuestion);
+  }
+
   /**
    * Add question to survey
    * @param {string} surveyId - Survey ID
@@ -460,6 +840,7 @@ class SurveyService {
    * @param {string} [data.layoutOrientation] - Layout orientation (vertical/horizontal) for choice questions
    * @param {Object} [data.options] - Question options (JSON)
    * @param {number} [data.commentRequiredBelowRating] - Rating threshold for required comment
+   * @param {string} [data.bankQuestionId] - Question bank version the question is built from
    * @param {string} data.createdBy - User ID creating the question
    * @returns {Promise<Object>} Created question
    */
@@ -472,11 +853,15 @@ class SurveyService {
         logger,
         { NotFoundError, ValidationError },
         {
+          validateBankQuestionLinks: questionBankService.validateQuestionLinks.bind(questionBankService),
+          validateDisplayLogic: this.validateDisplayLogic.bind(this),
+          validateDisplayLogicReferences: this.validateDisplayLogicReferences.bind(this),
           validateLayoutOrientation: this.validateLayoutOrientation.bind(this),
           validateQuestionType: this.validateQuestionType.bind(this)
         },
         resolvedSurveyId,
         data,
+        { refreshDefinitionVersion: publishCycleService.refreshDefinitionVersion.bind(publishCycleService) },
       );
     } catch (error) {
       if (error.name === 'ValidationError' || error.name === 'NotFoundError') {
@@ -502,11 +887,15 @@ class SurveyService {
         logger,
         { NotFoundError, ValidationError },
         {
+          validateBankQuestionLinks: questionBankService.validateQuestionLinks.bind(questionBankService),
+          validateDisplayLogic: this.validateDisplayLogic.bind(this),
+          validateDisplayLogicReferences: this.validateDisplayLogicReferences.bind(this),
           validateLayoutOrientation: this.validateLayoutOrientation.bind(this),
           validateQuestionType: this.validateQuestionType.bind(this)
         },
         questionId,
         data,
+        { refreshDefinitionVersion: publishCycleService.refreshDefinitionVersion.bind(publishCycleService) },
       );
     } catch (error) {
       if (error.name === 'ValidationError' || error.name === 'NotFoundError') {
@@ -530,6 +919,7 @@ class SurveyService {
         logger,
         { NotFoundError },
         questionId,
+        { refreshDefinitionVersion: publishCycleService.refreshDefinitionVersion.bind(publishCycleService) },
       );
     } catch (error) {
       if (error.name === 'ValidationError' || error.name === 'NotFoundError') {
@@ -556,6 +946,7 @@ class SurveyService {
         { NotFoundError, ValidationError },
         resolvedSurveyId,
         questionOrders,
+        { refreshDefinitionVersion: publishCycleService.refreshDefinitionVersion.bind(publishCycleService) },
       );
     } catch (error) {
       if (error.name === 'ValidationError' || error.name === 'NotFoundError') {
@@ -576,17 +967,27 @@ class SurveyService {
     }
   }
 
-  async generateSurveyLink(surveyId, shortenUrl = false) {
+  async generateSurveyLink(surveyId, shortenUrl = false, createdBy = null) {
     try {
       const resolvedSurveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyId);
-      return await generateSurveyLink(db, sql, config, NotFoundError, logger, resolvedSurveyId, shortenUrl);
+      return await generateSurveyLink(
+        db,
+        sql,
+        config,
+        NotFoundError,
+        logger,
+        shortLinkService,
+        resolvedSurveyId,
+        shortenUrl,
+        createdBy,
+      );
     } catch (error) {
       logger.error('Error generating survey link:', error);
       throw error;
     }
   }
 
-  async generateQRCode(surveyId) {
+  async generateQRCode(surveyId, createdBy = null) {
     try {
       const resolvedSurveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyId);
       return await generateQRCode(
@@ -594,8 +995,10 @@ class SurveyService {
         sql,
         NotFoundError,
         logger,
+        shortLinkService,
         this.generateSurveyLink.bind(this),
         resolvedSurveyId,
+        createdBy,
       );
     } catch (error) {
       logger.error('Error generating QR code:', error);
@@ -620,6 +1023,71 @@ class SurveyService {
     }
   }
 
+  async assertShortLinkSupport() {
+    if (!(await shortLinkService.hasSupport())) {
+      throw new ConflictError('Short links are not available. Run migration 034 first.');
+    }
+  }
+
+  /**
+   * Create a channel-tagged short link for a survey
+   * @param {string} surveyId - Survey ID or code
+   * @param {Object} data - { channel, label, expiresAt }
+   * @param {string} createdBy - User ID
+   * @returns {Promise<Object>} Created short link
+   */
+  async createShortLink(surveyId, data = {}, createdBy = null) {
+    try {
+      const resolvedSurveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyId);
+      await this.assertShortLinkSupport();
+      const shortLink = await shortLinkService.createShortLink(null, {
+        surveyId: resolvedSurveyId,
+        channel: data.channel,
+        label: data.label,
+        expiresAt: data.expiresAt,
+        createdBy
+      });
+      logger.info(`Short link ${shortLink.code} (${shortLink.channel}) created for survey ${resolvedSurveyId}`);
+      return shortLink;
+    } catch (error) {
+      logger.error('Error creating short link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get short links of a survey with hit/response counts per channel
+   * @param {string} surveyId - Survey ID or code
+   * @returns {Promise<Object>} { links, channels }
+   */
+  async getShortLinks(surveyId) {
+    try {
+      const resolvedSurveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyId);
+      await this.assertShortLinkSupport();
+      return await shortLinkService.getShortLinks(null, resolvedSurveyId);
+    } catch (error) {
+      logger.error('Error getting short links:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deactivate a short link
+   * @param {string} surveyId - Survey ID or code
+   * @param {string} shortLinkId - Short link ID
+   * @returns {Promise<Object>} Deactivated short link
+   */
+  async deactivateShortLink(surveyId, shortLinkId) {
+    try {
+      const resolvedSurveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyId);
+      await this.assertShortLinkSupport();
+      return await shortLinkService.deactivateShortLink(null, resolvedSurveyId, shortLinkId);
+    } catch (error) {
+      logger.error('Error deactivating short link:', error);
+      throw error;
+    }
+  }
+
   normalizeScheduledTime(scheduledTime) {
     return normalizeScheduledTime(scheduledTime);
   }
@@ -0,0 +1,444 @@
+const sql = require('../database/sql-client');
+/**
+ * Translation Service
+ * Manages per-language texts of events and the translation workbook
+ */
+
+const ExcelJS = require('exceljs');
+const db = require('../database/connection');
+const config = require('../config');
+const logger = require('../config/logger');
+const { ConflictError, NotFoundError, ValidationError } = require('./survey-service/errors');
+const { resolveSurveyIdentifier } = require('./survey-service/read-model');
+const {
+  applyTranslations,
+  collectTranslatableFields,
+  normalizeLocale,
+  summarizeTranslations
+} = require('./survey-service/translations');
+
+const WORKBOOK_SHEET_NAME = 'Translations';
+const WORKBOOK_FIXED_COLUMNS = ['Key', 'Context'];
+
+class TranslationService {
+  constructor() {
+    this.translationSupportCache = null;
+  }
+
+  async hasTranslationSupport(pool) {
+    if (typeof this.translationSupportCache === 'boolean') {
+      return this.translationSupportCache;
+    }
+
+    const result = await pool.request()
+      .query("SELECT COUNT(1) AS TableCnt FROM sys.tables WHERE name = 'SurveyTranslations'");
+    this.translationSupportCache = Number(result.recordset?.[0]?.TableCnt || 0) > 0;
+    return this.translationSupportCache;
+  }
+
+  async assertTranslationSupport(pool) {
+    if (!(await this.hasTranslationSupport(pool))) {
+      throw new ConflictError('Survey translations are not available. Run migration 043 first.');
+    }
+  }
+
+  getDefaultLocale() {
+    return normalizeLocale(config.i18n?.defaultLocale) || 'id';
+  }
+
+  getSupportedLocales() {
+    const defaultLocale = this.getDefaultLocale();
+    const locales = (config.i18n?.supportedLocales || [])
+      .map(normalizeLocale)
+      .filter(Boolean);
+    return [...new Set([defaultLocale, ...locales])];
+  }
+
+  /**
+   * Languages an event can be translated into (every supported locale
+   * except the one the event is authored in)
+   * @returns {Array<string>}
+   */
+  getTranslationLocales() {
+    const defaultLocale = this.getDefaultLocale();
+    return this.getSupportedLocales().filter((locale) => locale !== defaultLocale);
+  }
+
+  /**
+   * Resolve the language a respondent asked for
+   * @param {string} locale - Requested locale
+   * @returns {string} Supported locale, the default locale otherwise
+   */
+  resolveLocale(locale) {
+    const normalized = normalizeLocale(locale);
+    if (this.getSupportedLocales().includes(normalized)) {
+      return normalized;
+    }
+    const language = normalized.split('-')[0];
+    return this.getSupportedLocales().includes(language) ? language : this.getDefaultLocale();
+  }
+
+  assertTranslationLocale(locale) {
+    const normalized = normalizeLocale(locale);
+    if (!this.getTranslationLocales().includes(normalized)) {
+      throw new ValidationError(`locale must be one of: ${this.getTranslationLocales().join(', ')}`);
+    }
+    return normalized;
+  }
+
+  async loadSource(pool, surveyId) {
+    const eventResult = await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query(`
+        SELECT s.SurveyId, s.Title, s.Description, sc.HeroTitle, sc.HeroSubtitle
+        FROM Events s
+        LEFT JOIN EventConfiguration sc ON s.SurveyId = sc.SurveyId
+        WHERE s.SurveyId = @surveyId
+      `);
+
+    const event = eventResult.recordset[0];
+    if (!event) {
+      throw new NotFoundError('Survey not found');
+    }
+
+    const questionsResult = await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query(`
+        SELECT QuestionId, Type, PromptText, Subtitle, Options
+        FROM Questions
+        WHERE SurveyId = @surveyId
+        ORDER BY PageNumber, DisplayOrder
+      `);
+
+    return {
+      title: event.Title,
+      description: event.Description,
+      configuration: {
+        heroTitle: event.HeroTitle,
+        heroSubtitle: event.HeroSubtitle
+      },
+      questions: questionsResult.recordset.map((question) => ({
+        questionId: question.QuestionId,
+        type: question.Type,
+        promptText: question.PromptText,
+        subtitle: question.Subtitle,
+        options: question.Options
+      }))
+    };
+  }
+
+  async loadTranslations(pool, surveyId, locale) {
+    const result = await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('languageCode', sql.NVarChar(10), locale)
+      .query(`
+        SELECT TranslationKey, SourceText, TranslatedText, CreatedAt, UpdatedAt
+        FROM SurveyTranslations
+        WHERE SurveyId = @surveyId
+          AND LanguageCode = @languageCode
+      `);
+
+    return new Map(result.recordset.map((row) => [row.TranslationKey, {
+      sourceText: row.SourceText,
+      translatedText: row.TranslatedText,
+      updatedAt: row.UpdatedAt || row.CreatedAt || null
+    }]));
+  }
+
+  /**
+   * Get the translations of an event in one language, with the source text
+   * of every translatable field
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @param {string} locale - Target language
+   * @returns {Promise<Object>} { surveyId, locale, defaultLocale, entries, completion }
+   */
+  async getTranslations(surveyIdentifier, locale) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const targetLocale = this.assertTranslationLocale(locale);
+    const pool = await db.getPool();
+    await this.assertTranslationSupport(pool);
+
+    const fields = collectTranslatableFields(await this.loadSource(pool, surveyId));
+    const translations = await this.loadTranslations(pool, surveyId, targetLocale);
+
+    return {
+      surveyId,
+      locale: targetLocale,
+      defaultLocale: this.getDefaultLocale(),
+      ...summarizeTranslations(fields, translations)
+    };
+  }
+
+  async upsertTranslation(pool, surveyId, locale, field, translatedText, updatedBy) {
+    const request = pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .input('languageCode', sql.NVarChar(10), locale)
+      .input('translationKey', sql.NVarChar(400), field.key);
+
+    if (!translatedText) {
+      await request.query(`
+        DELETE FROM SurveyTranslations
+        WHERE SurveyId = @surveyId
+          AND LanguageCode = @languageCode
+          AND TranslationKey = @translationKey
+      `);
+      return;
+    }
+
+    await request
+      .input('sourceText', sql.NVarChar(sql.MAX), field.sourceText)
+      .input('translatedText', sql.NVarChar(sql.MAX), translatedText)
+      .input('updatedBy', sql.UniqueIdentifier, updatedBy || null)
+      .query(`
+        MERGE SurveyTranslations AS target
+        USING (SELECT @surveyId AS SurveyId, @languageCode AS LanguageCode, @translationKey AS TranslationKey) AS source
+        ON target.SurveyId = source.SurveyId
+          AND target.LanguageCode = source.LanguageCode
+          AND target.TranslationKey = source.TranslationKey
+        WHEN MATCHED THEN
+          UPDATE SET SourceText = @sourceText, TranslatedText = @translatedText,
+            UpdatedBy = @updatedBy, UpdatedAt = GETDATE()
+        WHEN NOT MATCHED THEN
+          INSERT (SurveyId, LanguageCode, TranslationKey, SourceText, TranslatedText, UpdatedBy)
+          VALUES (@surveyId, @languageCode, @translationKey, @sourceText, @translatedText, @updatedBy);
+      `);
+  }
+
+  /**
+   * Save translations of an event in one language. An empty text removes
+   * the translation so the source text is shown again.
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @param {string} locale - Target language
+   * @param {Array<Object>} translations - { key, translatedText }
+   * @param {string} updatedBy - User ID
+   * @returns {Promise<Object>} Translations after saving
+   */
+  async saveTranslations(surveyIdentifier, locale, translations, updatedBy) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const targetLocale = this.assertTranslationLocale(locale);
+    if (!Array.isArray(translations) || translations.length === 0) {
+      throw new ValidationError('translations must be a non-empty array');
+    }
+
+    const pool = await db.getPool();
+    await this.assertTranslationSupport(pool);
+
+    const fields = new Map(collectTranslatableFields(await this.loadSource(pool, surveyId))
+      .map((field) => [field.key, field]));
+    translations.forEach((translation) => {
+      if (!fields.has(translation?.key)) {
+        throw new ValidationError(`Unknown translation key: ${translation?.key}`);
+      }
+    });
+
+    for (const translation of translations) {
+      const translatedText = String(translation.translatedText || '').trim();
+      await this.upsertTranslation(pool, surveyId, targetLocale, fields.get(translation.key), translatedText, updatedBy);
+    }
+
+    logger.info('Survey translations saved', { surveyId, locale: targetLocale, count: translations.length });
+    return this.getTranslations(surveyId, targetLocale);
+  }
+
+  /**
+   * Build the translation workbook of an event: one row per translatable
+   * text, one column per language
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @param {Array<string>} [locales] - Target languages, all when omitted
+   * @returns {Promise<Object>} { buffer, filename }
+   */
+  async exportWorkbook(surveyIdentifier, locales) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    const targetLocales = Array.isArray(locales) && locales.length > 0
+      ? [...new Set(locales.map((locale) => this.assertTranslationLocale(locale)))]
+      : this.getTranslationLocales();
+    const pool = await db.getPool();
+    await this.assertTranslationSupport(pool);
+
+    const source = await this.loadSource(pool, surveyId);
+    const fields = collectTranslatableFields(source);
+    const translationsByLocale = new Map();
+    for (const locale of targetLocales) {
+      translationsByLocale.set(locale, await this.loadTranslations(pool, surveyId, locale));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(WORKBOOK_SHEET_NAME);
+    sheet.columns = [
+      { header: 'Key', key: 'key', width: 30 },
+      { header: 'Context', key: 'context', width: 35 },
+      { header: this.getDefaultLocale(), key: 'source', width: 50 },
+      ...targetLocales.map((locale) => ({ header: locale, key: locale, width: 50 }))
+    ];
+    sheet.getColumn('key').hidden = true;
+    sheet.getRow(1).eachCell((cell) => {
+      cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1D4ED8' } };
+    });
+
+    fields.forEach((field) => {
+      const row = { key: field.key, context: field.context, source: field.sourceText };
+      targetLocales.forEach((locale) => {
+        const translation = translationsByLocale.get(locale).get(field.key);
+        row[locale] = translation ? translation.translatedText : '';
+      });
+      sheet.addRow(row).alignment = { vertical: 'top', wrapText: true };
+    });
+    sheet.views = [{ state: 'frozen', xSplit: 3, ySplit: 1 }];
+
+    const safeTitle = String(source.title || 'event').replace(/[^a-zA-Z0-9-_]+/g, '-').slice(0, 60);
+    return {
+      buffer: await workbook.xlsx.writeBuffer(),
+      filename: `translations-${safeTitle}.xlsx`
+    };
+  }
+
+  /**
+   * Import a translation workbook produced by exportWorkbook. Rows of
+   * texts that no longer exist are skipped and reported.
+   * @param {string} surveyIdentifier - Survey ID or number
+   * @param {Buffer} buffer - Uploaded xlsx file
+   * @param {string} updatedBy - User ID
+   * @returns {Promise<Object>} { locales, imported, cleared, skipped, errors }
+   */
+  async importWorkbook(surveyIdentifier, buffer, updatedBy) {
+    const surveyId = await resolveSurveyIdentifier(db, sql, NotFoundError, surveyIdentifier);
+    if (!buffer) {
+      throw new ValidationError('No file provided');
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw new ValidationError('File is not a valid translation workbook');
+    }
+
+    const sheet = workbook.getWorksheet(WORKBOOK_SHEET_NAME) || workbook.worksheets[0];
+    if (!sheet) {
+      throw new ValidationError('File is not a valid translation workbook');
+    }
+
+    const headers = {};
+    sheet.getRow(1).eachCell((cell, columnNumber) => {
+      headers[String(cell.value || '').trim()] = columnNumber;
+    });
+    if (!WORKBOOK_FIXED_COLUMNS.every((column) => headers[column])) {
+      throw new ValidationError(`Translation workbook must have the columns: ${WORKBOOK_FIXED_COLUMNS.join(', ')}`);
+    }
+
+    const locales = this.getTranslationLocales().filter((locale) => headers[locale]);
+    if (locales.length === 0) {
+      throw new ValidationError(`Translation workbook has no language column (${this.getTranslationLocales().join(', ')})`);
+    }
+
+    const pool = await db.getPool();
+    await this.assertTranslationSupport(pool);
+    const fields = new Map(collectTranslatableFields(await this.loadSource(pool, surveyId))
+      .map((field) => [field.key, field]));
+
+    const cellText = (row, column) => {
+      const value = row.getCell(column).value;
+      if (value && typeof value === 'object' && Array.isArray(value.richText)) {
+        return value.richText.map((part) => part.text).join('').trim();
+      }
+      return value === null || value === undefined ? '' : String(value).trim();
+    };
+
+    const result = { locales, imported: 0, cleared: 0, skipped: 0, errors: [] };
+    for (let rowNumber = 2; rowNumber <= sheet.rowCount; rowNumber++) {
+      const row = sheet.getRow(rowNumber);
+      const key = cellText(row, headers.Key);
+      if (!key) continue;
+
+      const field = fields.get(key);
+      if (!field) {
+        result.skipped++;
+        result.errors.push({ row: rowNumber, key, message: 'Text no longer exists in this event' });
+        continue;
+      }
+
+      for (const locale of locales) {
+        const translatedText = cellText(row, headers[locale]);
+        await this.upsertTranslation(pool, surveyId, locale, field, translatedText, updatedBy);
+        if (translatedText) {
+          result.imported++;
+        } else {
+          result.cleared++;
+        }
+      }
+    }
+
+    logger.info('Survey translation workbook imported', { surveyId, ...result, errors: result.errors.length });
+    return result;
+  }
+
+  /**
+   * Translate a survey form for respondents. Falls back to the source
+   * text when the event has no translations in the requested language.
+   * @param {Object} form - Survey form as returned by getSurveyForm
+   * @param {string} locale - Requested locale
+   * @returns {Promise<Object>} Form with locale, defaultLocale and availableLocales
+   */
+  async translateForm(form, locale) {
+    const defaultLocale = this.getDefaultLocale();
+    const untranslated = { ...form, locale: defaultLocale, defaultLocale, availableLocales: [defaultLocale] };
+
+    try {
+      const pool = await db.getPool();
+      if (!(await this.hasTranslationSupport(pool))) {
+        return untranslated;
+      }
+
+      const availableLocales = [defaultLocale, ...await this.getTranslatedLocales(pool, form.surveyId)];
+      const resolvedLocale = this.resolveLocale(locale);
+      if (resolvedLocale === defaultLocale || !availableLocales.includes(resolvedLocale)) {
+        return { ...untranslated, availableLocales };
+      }
+
+      const translations = await this.loadTranslations(pool, form.surveyId, resolvedLocale);
+      return applyTranslations({ ...form, locale: resolvedLocale, defaultLocale, availableLocales }, translations);
+    } catch (error) {
+      logger.warn(`Unable to translate survey form ${form.surveyId}: ${error.message}`);
+      return untranslated;
+    }
+  }
+
+  async getTranslatedLocales(pool, surveyId) {
+    const result = await pool.request()
+      .input('surveyId', sql.UniqueIdentifier, surveyId)
+      .query('SELECT DISTINCT LanguageCode FROM SurveyTranslations WHERE SurveyId = @surveyId');
+    const translated = new Set(result.recordset.map((row) => row.LanguageCode));
+    return this.getTranslationLocales().filter((locale) => translated.has(locale));
+  }
+
+  /**
+   * Get the translated title and description of an event for emails
+   * @param {string} surveyId - Survey ID
+   * @param {string} locale - Email language
+   * @param {Object} event - { title, description } in the default language
+   * @returns {Promise<Object>} { title, description }
+   */
+  async translateEventText(surveyId, locale, event) {
+    const resolvedLocale = this.resolveLocale(locale);
+    if (resolvedLocale === this.getDefaultLocale()) {
+      return event;
+    }
+
+    try {
+      const pool = await db.getPool();
+      if (!(await this.hasTranslationSupport(pool))) {
+        return event;
+      }
+      const translations = await this.loadTranslations(pool, surveyId, resolvedLocale);
+      const translated = applyTranslations({ ...event, questions: [] }, translations);
+      return { title: translated.title, description: translated.description };
+    } catch (error) {
+      logger.warn(`Unable to translate event ${surveyId}: ${error.message}`);
+      return event;
+    }
+  }
+}
+
+module.exports = new TranslationService();
+module.exports.TranslationService = TranslationService;